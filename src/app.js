@@ -10,6 +10,7 @@ const rateLimit = require('express-rate-limit');
 
 const routes = require('./routes');
 const { errorHandler, notFound } = require('./middleware/errorHandler');
+const { detectLocale } = require('./middleware/locale.middleware');
 const logger = require('./utils/logger');
 
 // Create Express app
@@ -64,6 +65,9 @@ app.use(morgan(morganFormat, {
   },
 }));
 
+// Request locale (Accept-Language, overridden by the user's saved locale)
+app.use(detectLocale);
+
 // API routes
 app.use(`/api/${process.env.API_VERSION || 'v1'}`, routes);
 
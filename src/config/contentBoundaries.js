@@ -0,0 +1,42 @@
+// src/config/contentBoundaries.js
+
+/**
+ * Content Boundaries
+ *
+ * Explicit question categories a player can opt out of, per game type.
+ * When a session is created the categories excluded by either player are
+ * left out of its question order, so neither player is ever shown them.
+ */
+
+const OPTIONAL_CATEGORIES = {
+  intimacy_spectrum: ['fantasy_roleplay', 'kinks_intensity'],
+  never_have_i_ever: ['desires_fantasies', 'dark_confessions'],
+};
+
+const BOUNDARY_GAMES = Object.keys(OPTIONAL_CATEGORIES);
+
+/**
+ * Categories excluded by any of the given players
+ * @param {Array} boundariesList - Each player's contentBoundaries
+ * @param {String} gameType - e.g. 'intimacy_spectrum'
+ * @returns {Array<String>}
+ */
+const mergeExcludedCategories = (boundariesList, gameType) => {
+  const optional = OPTIONAL_CATEGORIES[gameType] || [];
+  const excluded = new Set();
+
+  boundariesList.forEach(boundaries => {
+    (boundaries?.[gameType] || []).forEach(category => {
+      if (optional.includes(category)) excluded.add(category);
+    });
+  });
+
+  // Keep the config order so sessions store a stable list
+  return optional.filter(category => excluded.has(category));
+};
+
+module.exports = {
+  OPTIONAL_CATEGORIES,
+  BOUNDARY_GAMES,
+  mergeExcludedCategories,
+};
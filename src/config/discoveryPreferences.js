@@ -0,0 +1,75 @@
+// src/config/discoveryPreferences.js
+
+/**
+ * Discovery Preferences
+ *
+ * Who a user wants to be shown (User.discoveryPreferences), enforced both
+ * ways by services/matching.service.js: a candidate is only offered when
+ * each user fits what the other asked for.
+ *
+ * - age range, within the app-wide AGE_LIMITS
+ * - max distance, capped by the user's plan (DistanceService.getDistanceLimit)
+ * - hard filters: each user states their own value and the values they
+ *   accept from a partner (none = open to everyone)
+ *
+ * Like a missing date of birth, a value a user hasn't stated never
+ * excludes them.
+ */
+
+const AGE_LIMITS = {
+  min: parseInt(process.env.MATCHING_MIN_AGE || 18),
+  max: parseInt(process.env.MATCHING_MAX_AGE || 99),
+};
+
+const HARD_FILTERS = {
+  relationshipIntent: [
+    'long_term',
+    'long_term_open_to_short',
+    'short_term_open_to_long',
+    'short_term',
+    'figuring_it_out',
+  ],
+  kids: [
+    'want',
+    'dont_want',
+    'have_and_want_more',
+    'have_and_dont_want_more',
+    'not_sure',
+  ],
+  smoking: ['never', 'socially', 'regularly', 'trying_to_quit'],
+  religion: [
+    'agnostic',
+    'atheist',
+    'buddhist',
+    'christian',
+    'hindu',
+    'jewish',
+    'muslim',
+    'sikh',
+    'spiritual',
+    'other',
+  ],
+};
+
+const HARD_FILTER_KEYS = Object.keys(HARD_FILTERS);
+
+/**
+ * Age range a user is shown (their preference within AGE_LIMITS)
+ * @param {Object} user - User with discoveryPreferences
+ * @returns {Object} { minAge, maxAge }
+ */
+const getAgeRange = (user) => {
+  const preferences = user?.discoveryPreferences || {};
+
+  return {
+    minAge: Math.max(preferences.ageMin ?? AGE_LIMITS.min, AGE_LIMITS.min),
+    maxAge: Math.min(preferences.ageMax ?? AGE_LIMITS.max, AGE_LIMITS.max),
+  };
+};
+
+module.exports = {
+  AGE_LIMITS,
+  HARD_FILTERS,
+  HARD_FILTER_KEYS,
+  getAgeRange,
+};
@@ -0,0 +1,40 @@
+// src/config/gameModes.js
+
+/**
+ * Game Modes
+ *
+ * Timed games are played 'live' by default: both players connected at once,
+ * one question at a time on a server timer. Games listed in ASYNC_GAMES can
+ * also be played 'async': each player answers over REST on their own
+ * schedule, and a question is revealed once both have answered it.
+ */
+
+const GAME_MODES = ['live', 'async'];
+
+const DEFAULT_GAME_MODE = 'live';
+
+const ASYNC_GAMES = ['would_you_rather', 'intimacy_spectrum', 'never_have_i_ever'];
+
+// An async invitation waits this long to be accepted
+const ASYNC_INVITATION_TTL_MS = 3 * 24 * 60 * 60 * 1000;
+
+// Once accepted, an async game must be finished within this window
+const ASYNC_PLAY_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+/**
+ * Whether a game can be played in a mode
+ * @param {String} gameType - e.g. 'intimacy_spectrum'
+ * @param {String} mode - 'live' or 'async'
+ * @returns {Boolean}
+ */
+const supportsMode = (gameType, mode) =>
+  mode === DEFAULT_GAME_MODE || (mode === 'async' && ASYNC_GAMES.includes(gameType));
+
+module.exports = {
+  GAME_MODES,
+  DEFAULT_GAME_MODE,
+  ASYNC_GAMES,
+  ASYNC_INVITATION_TTL_MS,
+  ASYNC_PLAY_WINDOW_MS,
+  supportsMode,
+};
@@ -0,0 +1,88 @@
+// src/config/locales.js
+
+/**
+ * Supported Locales
+ *
+ * Languages the app can be served in. English is the source language of
+ * every question bank and string catalog, and the fallback for anything
+ * not translated yet.
+ *
+ * Environment variables (optional):
+ * - SUPPORTED_LOCALES: Comma-separated subset of the locales below (default: all)
+ */
+
+const DEFAULT_LOCALE = 'en';
+
+// Locale code -> language name (used in AI prompts)
+const LANGUAGES = {
+  en: 'English',
+  hi: 'Hindi',
+  es: 'Spanish',
+  fr: 'French',
+  de: 'German',
+  pt: 'Portuguese',
+};
+
+const SUPPORTED_LOCALES = (process.env.SUPPORTED_LOCALES || Object.keys(LANGUAGES).join(','))
+  .split(',')
+  .map(locale => locale.trim().toLowerCase())
+  .filter(locale => LANGUAGES[locale]);
+
+if (!SUPPORTED_LOCALES.includes(DEFAULT_LOCALE)) {
+  SUPPORTED_LOCALES.unshift(DEFAULT_LOCALE);
+}
+
+/**
+ * Supported locale for a language tag
+ * @param {String} tag - e.g. 'hi', 'hi-IN', 'pt_BR'
+ * @returns {String|null}
+ */
+const normalizeLocale = (tag) => {
+  if (!tag || typeof tag !== 'string') return null;
+
+  const language = tag.trim().toLowerCase().split(/[-_]/)[0];
+  return SUPPORTED_LOCALES.includes(language) ? language : null;
+};
+
+/**
+ * Best supported locale for an Accept-Language header
+ * @param {String} header - e.g. 'hi-IN,hi;q=0.9,en;q=0.8'
+ * @returns {String|null} null when nothing matches
+ */
+const parseAcceptLanguage = (header) => {
+  if (!header || typeof header !== 'string') return null;
+
+  const ranges = header
+    .split(',')
+    .map((part, index) => {
+      const [tag, ...params] = part.trim().split(';');
+      const qParam = params.find(param => param.trim().startsWith('q='));
+      const quality = qParam ? parseFloat(qParam.trim().slice(2)) : 1;
+
+      return { tag, quality: isNaN(quality) ? 0 : quality, index };
+    })
+    .filter(range => range.tag && range.quality > 0)
+    .sort((a, b) => b.quality - a.quality || a.index - b.index);
+
+  for (const range of ranges) {
+    const locale = normalizeLocale(range.tag);
+    if (locale) return locale;
+  }
+
+  return null;
+};
+
+/**
+ * Language name for prompts
+ * @param {String} locale
+ * @returns {String}
+ */
+const getLanguageName = (locale) => LANGUAGES[locale] || LANGUAGES[DEFAULT_LOCALE];
+
+module.exports = {
+  DEFAULT_LOCALE,
+  SUPPORTED_LOCALES,
+  normalizeLocale,
+  parseAcceptLanguage,
+  getLanguageName,
+};
@@ -0,0 +1,97 @@
+// src/config/matchDrops.js
+
+/**
+ * Daily Match Drops
+ *
+ * New matches arrive once a day as a "drop" of a fixed size, made by the
+ * match-drops job at each user's local morning. Earlier matches keep their
+ * rank and reveal tier; each drop is ranked on its own.
+ *
+ * Manual refreshes add an extra drop on the spot, a limited number per
+ * local day (more with the extra_match_refreshes entitlement).
+ *
+ * Environment variables (optional):
+ * - MATCH_DROP_SIZE: New matches per drop (default 5)
+ * - MATCH_DROP_HOUR: Local hour the daily drop is made (default 8)
+ * - MATCH_DROP_USERS_PER_RUN: Users the job handles per run (default 2000)
+ * - MATCH_REFRESH_DAILY_LIMIT: Manual refreshes per day (default 1)
+ * - MATCH_REFRESH_PREMIUM_DAILY_LIMIT: With extra_match_refreshes (default 5)
+ */
+
+const { isValidTimezone, getLocalTime, fromLocalTime } = require('../utils/timezone');
+
+// Unset or not a number gives the fallback (0 stays 0)
+const parseInteger = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? parsed : fallback;
+};
+
+const policy = {
+  dropSize: parseInt(process.env.MATCH_DROP_SIZE, 10) || 5,
+  dropHour: Math.min(Math.max(parseInteger(process.env.MATCH_DROP_HOUR, 8), 0), 23),
+  usersPerRun: parseInt(process.env.MATCH_DROP_USERS_PER_RUN, 10) || 2000,
+  refreshLimit: Math.max(parseInteger(process.env.MATCH_REFRESH_DAILY_LIMIT, 1), 0),
+  premiumRefreshLimit: Math.max(parseInteger(process.env.MATCH_REFRESH_PREMIUM_DAILY_LIMIT, 5), 0),
+};
+
+/**
+ * A user's timezone: their own, else their quiet hours', else UTC
+ * @param {Object} user - User
+ * @returns {String}
+ */
+const getUserTimezone = (user) => [
+  user?.timezone,
+  user?.notificationPreferences?.quietHours?.timezone,
+].find(timezone => timezone && isValidTimezone(timezone)) || 'UTC';
+
+/**
+ * The user's current local date ('YYYY-MM-DD'), which drops are keyed by
+ * @param {Object} user - User
+ * @param {Date} now
+ * @returns {String}
+ */
+const getDropDate = (user, now = new Date()) => getLocalTime(getUserTimezone(user), now).date;
+
+/**
+ * Whether the user's daily drop is due: not made today and past the drop hour
+ * @param {Object} user - User with matchDrops
+ * @param {Date} now
+ * @returns {Boolean}
+ */
+const isDropDue = (user, now = new Date()) => {
+  const local = getLocalTime(getUserTimezone(user), now);
+  return user.matchDrops?.lastDropDate !== local.date && local.hour >= policy.dropHour;
+};
+
+/**
+ * When the user's next daily drop is due
+ * Later today if the drop hour is still ahead and today's drop isn't made
+ * @param {Object} user - User with matchDrops
+ * @param {Date} now
+ * @returns {Date}
+ */
+const getNextDropAt = (user, now = new Date()) => {
+  const timezone = getUserTimezone(user);
+  const local = getLocalTime(timezone, now);
+
+  if (local.hour < policy.dropHour && user.matchDrops?.lastDropDate !== local.date) {
+    return fromLocalTime(timezone, { ...local, hour: policy.dropHour });
+  }
+
+  // Tomorrow's date (noon UTC of today's date + 1 day never shifts the day)
+  const tomorrow = new Date(Date.UTC(local.year, local.month - 1, local.day + 1, 12));
+  return fromLocalTime(timezone, {
+    year: tomorrow.getUTCFullYear(),
+    month: tomorrow.getUTCMonth() + 1,
+    day: tomorrow.getUTCDate(),
+    hour: policy.dropHour,
+  });
+};
+
+module.exports = {
+  policy,
+  getUserTimezone,
+  getDropDate,
+  isDropDue,
+  getNextDropAt,
+};
@@ -0,0 +1,61 @@
+// src/config/matchExpiry.js
+
+/**
+ * Match Expiry Policy
+ *
+ * How long a match may sit in each stage before the match-expiry job
+ * expires it. Every stage restarts the clock.
+ *
+ * Environment variables (optional):
+ * - MATCH_EXPIRY_PENDING_DAYS: Not acted on (pending / revealed), from generation (default 30)
+ * - MATCH_EXPIRY_LIKED_DAYS: One-sided like, from the like (default 14)
+ * - MATCH_EXPIRY_MUTUAL_DAYS: Mutual match with no conversation, from the match (default 7)
+ * - MATCH_EXPIRY_WARNING_HOURS: Warning sent this long before expiry (default 24)
+ * - MATCH_EXTENSION_DAYS: Added by the one-time extension (default 7)
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const policy = {
+  pendingDays: parseInt(process.env.MATCH_EXPIRY_PENDING_DAYS, 10) || 30,
+  likedDays: parseInt(process.env.MATCH_EXPIRY_LIKED_DAYS, 10) || 14,
+  mutualDays: parseInt(process.env.MATCH_EXPIRY_MUTUAL_DAYS, 10) || 7,
+  warningHours: parseInt(process.env.MATCH_EXPIRY_WARNING_HOURS, 10) || 24,
+  extensionDays: parseInt(process.env.MATCH_EXTENSION_DAYS, 10) || 7,
+};
+
+// Statuses that can expire (passed and expired matches are final)
+const EXPIRABLE_STATUSES = ['pending', 'revealed', 'liked', 'mutual_like'];
+
+// Statuses a match expires from with an outcome (an unanswered like, a
+// mutual like); outcome training reads these
+const OUTCOME_EXPIRY_STATUSES = ['liked', 'mutual_like'];
+
+/**
+ * Expiry date of a match in its current stage
+ * @param {Object} match - Match document
+ * @returns {Date|null} null when the stage does not expire
+ */
+const computeExpiresAt = (match) => {
+  const from = (date, days) => new Date(new Date(date || Date.now()).getTime() + days * DAY_MS);
+
+  switch (match.status) {
+    case 'pending':
+    case 'revealed':
+      return from(match.generatedAt, policy.pendingDays);
+    case 'liked':
+      return from(match.interactedAt, policy.likedDays);
+    case 'mutual_like':
+      // Stops applying once the conversation starts (see matchExpiry.service.js)
+      return from(match.mutualMatchedAt, policy.mutualDays);
+    default:
+      return null;
+  }
+};
+
+module.exports = {
+  policy,
+  EXPIRABLE_STATUSES,
+  OUTCOME_EXPIRY_STATUSES,
+  computeExpiresAt,
+};
@@ -0,0 +1,123 @@
+// src/config/matchingAlgorithms.js
+
+/**
+ * Matching Algorithms
+ *
+ * How each dimension of a match is scored (see services/dimensionScorers.js
+ * for the scorers). Every version is kept so matches made under it can be
+ * explained and re-evaluated (scripts/evaluateMatchingAlgorithms.js);
+ * Match.matchingAlgorithmVersion records which one scored a match.
+ *
+ * A dimension is scored by one or more components, each naming a scorer,
+ * its options and a weight. Components that can't score a pair (e.g. a
+ * trait unknown for one user) are left out and the others reweighted; a
+ * dimension no component can score is left out of the match.
+ *
+ * Scorers:
+ * - similarity:      closer dimension scores are better
+ * - complementarity: a set gap between the two values is best
+ * - pairing:         table of scores for pairs of a categorical trait
+ * - love_languages:  shared main / secondary love language
+ */
+
+// Attachment pairs (order doesn't matter)
+const ATTACHMENT_PAIRS = {
+  'secure+secure': 100,
+  'anxious+secure': 75,
+  'avoidant+secure': 70,
+  'fearful-avoidant+secure': 65,
+  'anxious+anxious': 50,
+  'avoidant+avoidant': 45,
+  'anxious+fearful-avoidant': 35,
+  'avoidant+fearful-avoidant': 35,
+  'fearful-avoidant+fearful-avoidant': 30,
+  'anxious+avoidant': 20, // Pursue-withdraw cycle
+};
+
+// Conflict style pairs (order doesn't matter)
+const CONFLICT_STYLE_PAIRS = {
+  'collaborative+collaborative': 100,
+  'collaborative+direct': 90,
+  'direct+direct': 75,
+  'collaborative+passive': 70,
+  'avoidant+collaborative': 65,
+  'passive+passive': 55,
+  'direct+passive': 55,
+  'avoidant+passive': 50,
+  'avoidant+avoidant': 45,
+  'avoidant+direct': 35, // One raises issues, the other withdraws
+  'aggressive+collaborative': 40,
+  'collaborative+passive-aggressive': 40,
+  'aggressive+direct': 30,
+  'direct+passive-aggressive': 30,
+  'aggressive+avoidant': 20,
+  'avoidant+passive-aggressive': 25,
+  'aggressive+passive': 15,
+  'passive+passive-aggressive': 25,
+  'aggressive+passive-aggressive': 10,
+  'passive-aggressive+passive-aggressive': 15,
+  'aggressive+aggressive': 10,
+};
+
+const ALGORITHMS = {
+  '1.0': {
+    description: 'Each dimension scores 100 minus the gap between your two scores; the overall score is their weighted average.',
+    dimensions: {
+      emotional_intimacy: [{ scorer: 'similarity', weight: 1 }],
+      life_vision: [{ scorer: 'similarity', weight: 1 }],
+      conflict_communication: [{ scorer: 'similarity', weight: 1 }],
+      love_languages: [{ scorer: 'similarity', weight: 1 }],
+      physical_sexual: [{ scorer: 'similarity', weight: 1 }],
+      lifestyle: [{ scorer: 'similarity', weight: 1 }],
+    },
+  },
+
+  '2.0': {
+    description: 'Each dimension combines how close your scores are with how your attachment, conflict styles, love languages and social energy fit together; the overall score is their weighted average.',
+    dimensions: {
+      emotional_intimacy: [
+        { scorer: 'pairing', trait: 'attachment_style', pairs: ATTACHMENT_PAIRS, weight: 0.6 },
+        { scorer: 'similarity', weight: 0.4 },
+      ],
+      life_vision: [{ scorer: 'similarity', weight: 1 }],
+      conflict_communication: [
+        { scorer: 'pairing', trait: 'conflict_style', pairs: CONFLICT_STYLE_PAIRS, weight: 0.6 },
+        { scorer: 'similarity', weight: 0.4 },
+      ],
+      love_languages: [
+        { scorer: 'love_languages', weight: 0.5 },
+        { scorer: 'similarity', weight: 0.5 },
+      ],
+      physical_sexual: [{ scorer: 'similarity', weight: 1 }],
+      lifestyle: [
+        { scorer: 'similarity', weight: 0.7 },
+        // Some difference in social energy balances a couple
+        { scorer: 'complementarity', trait: 'introversion_score', idealGap: 20, weight: 0.3 },
+      ],
+    },
+  },
+};
+
+const ALGORITHM_VERSIONS = Object.keys(ALGORITHMS);
+
+const CURRENT_ALGORITHM_VERSION = ALGORITHMS[process.env.MATCHING_ALGORITHM_VERSION]
+  ? process.env.MATCHING_ALGORITHM_VERSION
+  : '2.0';
+
+/**
+ * Algorithm definition of a version (unknown versions read as 1.0,
+ * the version of matches made before it was recorded)
+ * @param {String} version
+ * @returns {Object} { version, description, dimensions }
+ */
+const getAlgorithm = (version) => {
+  const known = ALGORITHMS[version] ? version : '1.0';
+  return { version: known, ...ALGORITHMS[known] };
+};
+
+module.exports = {
+  ALGORITHMS,
+  ALGORITHM_VERSIONS,
+  CURRENT_ALGORITHM_VERSION,
+  getAlgorithm,
+};
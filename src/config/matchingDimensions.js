@@ -0,0 +1,56 @@
+// src/config/matchingDimensions.js
+
+/**
+ * Matching Dimensions
+ *
+ * The six psychological dimensions scored by answer analysis
+ * (models/AnswerAnalysis.js) and compared by services/matching.service.js.
+ *
+ * A match's overall score is the weighted average of the dimensions both
+ * users have a score for, so weights are renormalised over those.
+ */
+
+const MATCHING_DIMENSIONS = [
+  'emotional_intimacy',
+  'life_vision',
+  'conflict_communication',
+  'love_languages',
+  'physical_sexual',
+  'lifestyle',
+];
+
+// Share of the overall score (total = 1)
+const DIMENSION_WEIGHTS = {
+  emotional_intimacy: 0.25,
+  life_vision: 0.20,
+  conflict_communication: 0.15,
+  love_languages: 0.15,
+  physical_sexual: 0.15,
+  lifestyle: 0.10,
+};
+
+const DIMENSION_LABELS = {
+  emotional_intimacy: 'Emotional Intimacy',
+  life_vision: 'Life Vision & Values',
+  conflict_communication: 'Conflict & Communication',
+  love_languages: 'Love Languages & Affection',
+  physical_sexual: 'Physical & Sexual',
+  lifestyle: 'Lifestyle & Daily Rhythms',
+};
+
+// AnswerAnalysis.personalityProfile traits behind each dimension
+const DIMENSION_TRAITS = {
+  emotional_intimacy: ['attachment_style', 'emotional_intelligence'],
+  life_vision: ['openness'],
+  conflict_communication: ['conflict_style', 'communication_style'],
+  love_languages: ['dominant_love_language', 'secondary_love_language'],
+  physical_sexual: [],
+  lifestyle: ['introversion_score', 'conscientiousness'],
+};
+
+module.exports = {
+  MATCHING_DIMENSIONS,
+  DIMENSION_WEIGHTS,
+  DIMENSION_LABELS,
+  DIMENSION_TRAITS,
+};
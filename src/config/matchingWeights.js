@@ -0,0 +1,84 @@
+// src/config/matchingWeights.js
+
+/**
+ * Matching Weights
+ *
+ * Dimension weights behind two overall scores, each a "scope":
+ * - matching:             Match.compatibilityScore (AnswerAnalysis dimensions)
+ * - couple_compatibility: CoupleCompatibility overall score (game dimensions)
+ *
+ * Version 0 of a scope is its built-in default weights. The weight
+ * training job fits newer versions from outcomes (see
+ * services/matchingWeights.service.js) and stores them as
+ * MatchingWeightSet; they are only used once selected here.
+ *
+ * Environment variables (optional):
+ * - MATCHING_WEIGHT_SET: Version used for matching (default 0)
+ * - MATCHING_WEIGHT_SET_EXPERIMENT: Version tried on a share of users (A/B)
+ * - MATCHING_WEIGHT_SET_EXPERIMENT_SHARE: Percent of users in the experiment (default 50)
+ * - COMPATIBILITY_WEIGHT_SET: Version used for couple compatibility (default 0)
+ */
+
+const { MATCHING_DIMENSIONS, DIMENSION_WEIGHTS } = require('./matchingDimensions');
+
+// Game dimensions of CoupleCompatibility (total = 1)
+const COUPLE_DIMENSION_WEIGHTS = {
+  intuition: 0.10,   // Two Truths & A Lie
+  lifestyle: 0.15,   // Would You Rather
+  physical: 0.20,    // Intimacy Spectrum
+  experience: 0.10,  // Never Have I Ever
+  character: 0.25,   // What Would You Do (highest - most predictive)
+  future: 0.20,      // Dream Board
+};
+
+const WEIGHT_SCOPES = {
+  matching: {
+    dimensions: MATCHING_DIMENSIONS,
+    defaultWeights: DIMENSION_WEIGHTS,
+    outcome: 'Mutual like (vs a pass or an unanswered like)',
+  },
+  couple_compatibility: {
+    dimensions: Object.keys(COUPLE_DIMENSION_WEIGHTS),
+    defaultWeights: COUPLE_DIMENSION_WEIGHTS,
+    outcome: 'Went on the date (DateDecision feedback)',
+  },
+};
+
+const WEIGHT_SCOPE_NAMES = Object.keys(WEIGHT_SCOPES);
+
+const parseVersion = (value) => Math.max(parseInt(value, 10) || 0, 0);
+
+// Percent 0-100; unset or not a number gives the fallback (0 stays 0)
+const parsePercent = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isFinite(parsed) ? Math.min(Math.max(parsed, 0), 100) : fallback;
+};
+
+const selection = {
+  matching: parseVersion(process.env.MATCHING_WEIGHT_SET),
+  matchingExperiment: process.env.MATCHING_WEIGHT_SET_EXPERIMENT
+    ? parseVersion(process.env.MATCHING_WEIGHT_SET_EXPERIMENT)
+    : null,
+  experimentShare: parsePercent(process.env.MATCHING_WEIGHT_SET_EXPERIMENT_SHARE, 50),
+  coupleCompatibility: parseVersion(process.env.COMPATIBILITY_WEIGHT_SET),
+};
+
+const training = {
+  // Below these the job stores nothing
+  minSamples: 200,
+  minPerOutcome: 20,
+  // Most recent outcomes read per scope
+  maxSamples: 100000,
+  // Percent of pairs kept out of fitting to compare against the defaults
+  holdoutShare: 20,
+  // Pseudo-samples pulling fitted weights toward the defaults
+  priorStrength: 200,
+};
+
+module.exports = {
+  COUPLE_DIMENSION_WEIGHTS,
+  WEIGHT_SCOPES,
+  WEIGHT_SCOPE_NAMES,
+  selection,
+  training,
+};
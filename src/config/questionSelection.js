@@ -0,0 +1,106 @@
+// src/config/questionSelection.js
+
+/**
+ * Question Selection
+ *
+ * How the question games pick a session's questions
+ * (services/games/questionSelection.service.js):
+ *
+ * - questions the couple has played least come first, so repeats only
+ *   fill what unseen questions can't
+ * - categories take turns, so no category crowds out the others
+ * - within that, questions with a higher insightValue are more likely
+ * - premium players can pick a focus pack: a shorter session drawn mostly
+ *   from the pack's categories
+ *
+ * Categories a player opted out of (config/contentBoundaries.js) are never
+ * selected, focus pack or not.
+ */
+
+// questionCount: questions per session (capped by the published bank)
+// focusQuestionCount: questions in a focus pack session
+// order: 'shuffled', or 'progressive' for games whose question numbers
+//        run from easy to spicy
+const SELECTION_GAMES = {
+  would_you_rather: { questionCount: 50, focusQuestionCount: 25, order: 'shuffled' },
+  intimacy_spectrum: { questionCount: 30, focusQuestionCount: 15, order: 'progressive' },
+  never_have_i_ever: { questionCount: 30, focusQuestionCount: 15, order: 'progressive' },
+};
+
+// When the couple has seen some questions before but at least this many
+// are still new, the session plays only the new ones instead of padding
+// with repeats
+const MIN_SESSION_QUESTIONS = 10;
+
+// Share of a focus pack session drawn from the pack's categories
+const FOCUS_SHARE = 0.6;
+
+const FOCUS_PACKS = {
+  deep_talk: {
+    name: 'Deep Talk',
+    description: 'Values, feelings and the big questions',
+    categories: {
+      would_you_rather: ['love', 'philosophy', 'family', 'future'],
+      intimacy_spectrum: ['desire_drive', 'communication'],
+      never_have_i_ever: ['emotional_depths', 'secrets_honesty'],
+    },
+  },
+  real_life: {
+    name: 'Real Life',
+    description: 'Money, conflict and everyday habits',
+    categories: {
+      would_you_rather: ['money', 'conflict', 'lifestyle', 'friendship'],
+      intimacy_spectrum: ['initiation_power', 'communication'],
+      never_have_i_ever: ['past_patterns', 'secrets_honesty'],
+    },
+  },
+  playful: {
+    name: 'Playful',
+    description: 'Light, fun and a little flirty',
+    categories: {
+      would_you_rather: ['travel', 'hobbies', 'lifestyle', 'friendship'],
+      intimacy_spectrum: ['turn_ons', 'fantasy_roleplay'],
+      never_have_i_ever: ['past_patterns', 'desires_fantasies'],
+    },
+  },
+  heat: {
+    name: 'Turn Up the Heat',
+    description: 'Desire, intimacy and fantasies',
+    categories: {
+      would_you_rather: ['intimacy', 'love'],
+      intimacy_spectrum: ['fantasy_roleplay', 'kinks_intensity'],
+      never_have_i_ever: ['physical_intimacy', 'desires_fantasies', 'dark_confessions'],
+    },
+  },
+};
+
+/**
+ * Focus packs available for a game
+ * @param {String} gameType - e.g. 'would_you_rather'
+ * @returns {Array<Object>} [{ id, name, description, categories }]
+ */
+const getFocusPacks = (gameType) =>
+  Object.entries(FOCUS_PACKS)
+    .filter(([, pack]) => pack.categories[gameType])
+    .map(([id, pack]) => ({
+      id,
+      name: pack.name,
+      description: pack.description,
+      categories: pack.categories[gameType],
+    }));
+
+/**
+ * Categories of a focus pack for a game
+ * @returns {Array<String>|null} null for an unknown pack
+ */
+const getFocusCategories = (focusPack, gameType) =>
+  FOCUS_PACKS[focusPack]?.categories[gameType] || null;
+
+module.exports = {
+  SELECTION_GAMES,
+  MIN_SESSION_QUESTIONS,
+  FOCUS_SHARE,
+  FOCUS_PACKS,
+  getFocusPacks,
+  getFocusCategories,
+};
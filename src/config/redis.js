@@ -0,0 +1,53 @@
+const { createClient } = require('redis');
+const logger = require('../utils/logger');
+
+/**
+ * Create a Redis client from REDIS_URL, or REDIS_HOST / REDIS_PORT / REDIS_PASSWORD.
+ * Commands issued before the connection is ready are queued by the client.
+ *
+ * @param {String} name - Client name (for logs)
+ * @returns {RedisClient} Connecting client
+ */
+const createRedisClient = (name = 'default') => {
+  const client = createClient(
+    process.env.REDIS_URL
+      ? { url: process.env.REDIS_URL }
+      : {
+          socket: {
+            host: process.env.REDIS_HOST || 'localhost',
+            port: parseInt(process.env.REDIS_PORT, 10) || 6379,
+          },
+          password: process.env.REDIS_PASSWORD || undefined,
+        }
+  );
+
+  client.on('error', (err) => {
+    logger.error(`Redis (${name}) error:`, err);
+  });
+
+  client.on('ready', () => {
+    logger.info(`Redis (${name}) connected`);
+  });
+
+  client.connect().catch((err) => {
+    logger.error(`Redis (${name}) connection failed:`, err);
+  });
+
+  return client;
+};
+
+/**
+ * Close a client: flush pending commands when connected, otherwise
+ * just stop reconnecting (quit() never settles on a client that is not ready)
+ */
+const closeRedisClient = async (client) => {
+  if (!client.isOpen) return;
+
+  if (client.isReady) {
+    await client.quit();
+  } else {
+    await client.disconnect();
+  }
+};
+
+module.exports = { createRedisClient, closeRedisClient };
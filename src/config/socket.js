@@ -1,22 +1,34 @@
 // src/config/socket.js
 
 const socketIO = require('socket.io');
+const { createAdapter } = require('@socket.io/redis-adapter');
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const ConversationService = require('../services/conversation.service');
 const MessageService = require('../services/message.service');
+const notificationService = require('../services/notification.service');
+const presenceService = require('../services/presence.service');
+const { createRedisClient, closeRedisClient } = require('./redis');
 const logger = require('../utils/logger');
+const { DEFAULT_LOCALE, normalizeLocale, parseAcceptLanguage } = require('./locales');
 
-// Import game socket handlers
-const { initializeWouldYouRatherSocket } = require('../sockets/wouldYouRather.socket');
-const { initializeIntimacySpectrumSocket } = require('../sockets/intimacySpectrum.socket');
-const { initializeNeverHaveIEverSocket } = require('../sockets/neverHaveIEver.socket');
+// Game socket handlers: invitations for every game, plus each game's own
+const { initializeGamesSocket } = require('../sockets/games.socket');
+const gameRegistry = require('../services/games/gameRegistry');
 
 class SocketManager {
   constructor() {
     this.io = null;
-    this.userSockets = new Map(); // userId -> socketId mapping
+    this.userSockets = new Map(); // userId -> Set of socketIds (this instance only)
     this.socketUsers = new Map(); // socketId -> userId mapping
+    this.redisClients = [];
+  }
+
+  /**
+   * Room every socket of a user joins (reaches all devices, on any instance)
+   */
+  getUserRoom(userId) {
+    return `user:${userId}`;
   }
 
   /**
@@ -32,13 +44,54 @@ class SocketManager {
       maxHttpBufferSize: 1e8 // 100 MB for file uploads
     });
 
+    this.setupAdapter();
     this.setupMiddleware();
     this.setupEventHandlers();
 
+    presenceService.start();
+
     logger.info('Socket.io initialized successfully');
     return this.io;
   }
 
+  /**
+   * Shared adapter so rooms and broadcasts span every server instance
+   *
+   * SOCKET_ADAPTER: 'memory' (default, single instance) | 'redis'
+   */
+  setupAdapter() {
+    const adapter = process.env.SOCKET_ADAPTER || 'memory';
+
+    if (adapter === 'memory') {
+      logger.info('Socket.io using in-memory adapter');
+      return;
+    }
+
+    if (adapter !== 'redis') {
+      throw new Error(`Unknown socket adapter: ${adapter}`);
+    }
+
+    const pubClient = createRedisClient('socket-pub');
+    const subClient = createRedisClient('socket-sub');
+    this.redisClients = [pubClient, subClient];
+
+    this.io.adapter(createAdapter(pubClient, subClient));
+    logger.info('Socket.io using Redis adapter');
+  }
+
+  /**
+   * Stop presence heartbeats and release adapter connections (shutdown)
+   */
+  async close() {
+    presenceService.stop();
+
+    await Promise.all([
+      presenceService.getStore().close(),
+      ...this.redisClients.map(closeRedisClient),
+    ]);
+    this.redisClients = [];
+  }
+
   /**
    * Socket authentication middleware
    */
@@ -53,7 +106,7 @@ class SocketManager {
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
         const user = await User.findById(decoded.userId || decoded.id)
-          .select('_id username isOnline');
+          .select('_id username isOnline locale');
 
         if (!user) {
           return next(new Error('User not found'));
@@ -61,6 +114,9 @@ class SocketManager {
 
         socket.userId = user._id.toString();
         socket.user = user;
+        socket.locale = normalizeLocale(user.locale)
+          || parseAcceptLanguage(socket.handshake.headers['accept-language'])
+          || DEFAULT_LOCALE;
         next();
 
       } catch (error) {
@@ -74,17 +130,35 @@ class SocketManager {
    * Setup socket event handlers
    */
   setupEventHandlers() {
+    // Loaded up front - live game sockets register their timers on load,
+    // before the timer service recovers deadlines
+    const gameSockets = gameRegistry.getAll()
+      .filter(definition => definition.socket)
+      .map(definition => definition.socket());
+
     this.io.on('connection', async (socket) => {
       const userId = socket.userId;
       
       logger.info(`User connected: ${userId}`);
       
-      // Store socket mapping
-      this.userSockets.set(userId, socket.id);
+      // Store socket mapping (a user may have several devices)
+      if (!this.userSockets.has(userId)) {
+        this.userSockets.set(userId, new Set());
+      }
+      this.userSockets.get(userId).add(socket.id);
       this.socketUsers.set(socket.id, userId);
 
-      // Update user online status
-      await this.updateUserStatus(userId, true);
+      socket.join(this.getUserRoom(userId));
+
+      // Update user online status when their first device connects
+      try {
+        const { firstConnection } = await presenceService.connect(userId, socket.id);
+        if (firstConnection) {
+          await this.updateUserStatus(userId, true);
+        }
+      } catch (error) {
+        logger.error('Error registering presence:', error);
+      }
 
       // Join user's conversation rooms
       await this.joinUserConversations(socket);
@@ -100,20 +174,12 @@ class SocketManager {
       this.handleReaction(socket);
 
       // =====================================================
-      // GAME HANDLERS - Would You Rather
+      // GAME HANDLERS - invitations of every game, then each game's own
+      // (services/games/gameRegistry.js socket)
       // =====================================================
-      initializeWouldYouRatherSocket(this.io, socket, this);
+      initializeGamesSocket(this.io, socket);
+      gameSockets.forEach(initializeGameSocket => initializeGameSocket(this.io, socket, this));
 
-      // =====================================================
-      // GAME HANDLERS - Intimacy Spectrum
-      // =====================================================
-      initializeIntimacySpectrumSocket(this.io, socket, this);
-
-
-      // =====================================================
-      // GAME HANDLERS - Never Have I Ever
-      // =====================================================
-      initializeNeverHaveIEverSocket(this.io, socket, this);  
       // =====================================================
       // Disconnect handler (must be last)
       this.handleDisconnect(socket);
@@ -232,17 +298,7 @@ class SocketManager {
         });
 
         // Send push notification to offline recipient
-        // FIX: Access participants properly based on conversation structure
-        const otherParticipant = conversation.otherUser || 
-          conversation.participants?.find(
-            p => (p.userId?._id || p.userId || p).toString() !== socket.userId
-          );
-        
-        const recipientId = otherParticipant?._id || otherParticipant?.userId || otherParticipant;
-
-        if (recipientId && !this.userSockets.has(recipientId.toString())) {
-          await this.sendPushNotification(recipientId, message, conversation);
-        }
+        await this.notifyOfflineRecipient(conversation, socket.userId, message);
 
       } catch (error) {
         logger.error('Error sending message:', error);
@@ -437,15 +493,32 @@ class SocketManager {
       logger.info(`User disconnected: ${userId}`);
 
       // Remove socket mapping
-      this.userSockets.delete(userId);
+      const sockets = this.userSockets.get(userId);
+      if (sockets) {
+        sockets.delete(socket.id);
+        if (sockets.size === 0) {
+          this.userSockets.delete(userId);
+        }
+      }
       this.socketUsers.delete(socket.id);
 
-      // Update user online status (with 30s grace period)
-      setTimeout(async () => {
-        if (!this.userSockets.has(userId)) {
-          await this.updateUserStatus(userId, false);
-        }
-      }, 30000);
+      try {
+        const { isOnline } = await presenceService.disconnect(userId, socket.id);
+        if (isOnline) return;
+
+        // Update user online status (with 30s grace period)
+        setTimeout(async () => {
+          try {
+            if (!(await presenceService.isOnline(userId))) {
+              await this.updateUserStatus(userId, false);
+            }
+          } catch (error) {
+            logger.error('Error updating presence after disconnect:', error);
+          }
+        }, 30000);
+      } catch (error) {
+        logger.error('Error unregistering presence:', error);
+      }
     });
   }
 
@@ -482,21 +555,61 @@ class SocketManager {
   }
 
   /**
-   * Send push notification (placeholder - implement with FCM)
+   * Push a new message to the other participant if they are not connected
+   * @param {Object} conversation - Conversation with populated participants
+   * @param {String} senderId - Sender user ID
+   * @param {Object} message - The sent message
    */
-  async sendPushNotification(userId, message, conversation) {
-    // This will be implemented with Firebase Cloud Messaging
-    logger.info(`Push notification to ${userId}: New message in conversation`);
+  async notifyOfflineRecipient(conversation, senderId, message) {
+    try {
+      const sender = conversation.participants?.find(
+        p => (p.userId?._id || p.userId).toString() === senderId.toString()
+      );
+      const recipient = conversation.participants?.find(
+        p => (p.userId?._id || p.userId).toString() !== senderId.toString()
+      );
+
+      if (!recipient) return;
+
+      const recipientId = (recipient.userId?._id || recipient.userId).toString();
+
+      if (await this.isUserOnline(recipientId)) return;
+
+      await this.sendPushNotification(recipientId, message, conversation, {
+        senderId,
+        senderName: sender?.userId?.firstName,
+        isMuted: recipient.isMuted && (!recipient.mutedUntil || new Date(recipient.mutedUntil) > new Date()),
+      });
+    } catch (error) {
+      logger.error('Error notifying offline recipient:', error);
+    }
   }
 
   /**
-   * Emit event to specific user
+   * Send push notification for a new message
+   */
+  async sendPushNotification(userId, message, conversation, { senderId, senderName, isMuted = false } = {}) {
+    await notificationService.notifyNewMessage(userId, {
+      senderId,
+      senderName,
+      conversationId: conversation._id,
+      message,
+      isMuted,
+    });
+  }
+
+  /**
+   * Whether the user is connected on any device / instance
+   */
+  async isUserOnline(userId) {
+    return presenceService.isOnline(userId);
+  }
+
+  /**
+   * Emit event to specific user (all their devices, on any instance)
    */
   emitToUser(userId, event, data) {
-    const socketId = this.userSockets.get(userId.toString());
-    if (socketId) {
-      this.io.to(socketId).emit(event, data);
-    }
+    this.io.to(this.getUserRoom(userId.toString())).emit(event, data);
   }
 
   /**
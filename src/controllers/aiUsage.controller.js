@@ -0,0 +1,53 @@
+// src/controllers/aiUsage.controller.js
+
+const aiGateway = require('../services/ai');
+const { FEATURES, getModel } = require('../services/ai/features');
+const AiUsage = require('../models/AiUsage');
+const ApiResponse = require('../utils/apiResponse');
+const asyncHandler = require('../middleware/errorHandler').asyncHandler;
+
+/**
+ * AI Usage Controller
+ *
+ * Token and cost accounting for calls made through the AI gateway.
+ */
+
+/**
+ * @route   GET /api/v1/admin/ai-usage
+ * @desc    Usage totals grouped by feature, user or model
+ * @access  Admin
+ */
+const getUsageSummary = asyncHandler(async (req, res) => {
+  const { groupBy, userId, feature, from, to, limit } = req.query;
+
+  const summary = await AiUsage.getSummary({ groupBy, userId, feature, from, to, limit });
+
+  res.status(200).json(
+    new ApiResponse(200, summary, 'AI usage retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/admin/ai-usage/features
+ * @desc    AI features with the model and provider currently in use
+ * @access  Admin
+ */
+const getFeatures = asyncHandler(async (req, res) => {
+  const features = Object.entries(FEATURES).map(([name, config]) => ({
+    name,
+    kind: config.kind,
+    model: getModel(name),
+  }));
+
+  res.status(200).json(
+    new ApiResponse(200, {
+      provider: aiGateway.getProvider().name,
+      features,
+    }, 'AI features retrieved successfully')
+  );
+});
+
+module.exports = {
+  getUsageSummary,
+  getFeatures
+};
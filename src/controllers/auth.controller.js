@@ -1,6 +1,7 @@
 const AuthService = require('../services/auth.service');
 const ApiResponse = require('../utils/apiResponse');
 const { asyncHandler } = require('../middleware/errorHandler');
+const { parseAcceptLanguage } = require('../config/locales');
 
 /**
  * Auth Controller
@@ -31,17 +32,24 @@ class AuthController {
   static verifyOTP = asyncHandler(async (req, res) => {
     const { phone, otp } = req.body;
 
-    const result = await AuthService.verifyOTP(phone, otp);
+    const result = await AuthService.verifyOTP(
+      phone,
+      otp,
+      parseAcceptLanguage(req.headers['accept-language'])
+    );
 
     const message = result.isNewUser 
       ? 'Account created successfully' 
-      : 'Logged in successfully';
+      : result.accountRestored
+        ? 'Account restored and deletion cancelled'
+        : 'Logged in successfully';
 
     return ApiResponse.success(res, result.isNewUser ? 201 : 200, message, {
       user: result.user,
       accessToken: result.tokens.accessToken,
       refreshToken: result.tokens.refreshToken,
       isNewUser: result.isNewUser,
+      accountRestored: result.accountRestored,
     });
   });
 
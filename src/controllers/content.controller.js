@@ -0,0 +1,292 @@
+// src/controllers/content.controller.js
+
+const contentService = require('../services/content.service');
+const ApiResponse = require('../utils/apiResponse');
+const asyncHandler = require('../middleware/errorHandler').asyncHandler;
+
+/**
+ * Content Controller
+ *
+ * Admin management of the question banks: drafts, publishing,
+ * retirement, changelog and bulk import / export.
+ */
+
+/**
+ * @route   GET /api/v1/admin/content
+ * @desc    List banks with their fields and counts per status
+ * @access  Admin
+ */
+const listBanks = asyncHandler(async (req, res) => {
+  const banks = await contentService.listBanks();
+
+  res.status(200).json(
+    new ApiResponse(200, { banks }, 'Content banks retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/admin/content/:bank
+ * @desc    List questions of a bank
+ * @access  Admin
+ */
+const listQuestions = asyncHandler(async (req, res) => {
+  const { status, page, limit } = req.query;
+
+  const result = await contentService.listQuestions(req.params.bank, { status, page, limit });
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Questions retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/admin/content/:bank/:key
+ * @desc    Get one question
+ * @access  Admin
+ */
+const getQuestion = asyncHandler(async (req, res) => {
+  const question = await contentService.getQuestion(req.params.bank, req.params.key);
+
+  res.status(200).json(
+    new ApiResponse(200, { question }, 'Question retrieved successfully')
+  );
+});
+
+/**
+ * @route   POST /api/v1/admin/content/:bank
+ * @desc    Create a question (draft)
+ * @access  Admin
+ */
+const createQuestion = asyncHandler(async (req, res) => {
+  const question = await contentService.createQuestion(req.params.bank, req.body, req.user._id);
+
+  res.status(201).json(
+    new ApiResponse(201, { question }, 'Question created as draft')
+  );
+});
+
+/**
+ * @route   PATCH /api/v1/admin/content/:bank/:key
+ * @desc    Edit a question (new version; running games keep theirs)
+ * @access  Admin
+ */
+const updateQuestion = asyncHandler(async (req, res) => {
+  const question = await contentService.updateQuestion(
+    req.params.bank,
+    req.params.key,
+    req.body,
+    req.user._id
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { question }, 'Question updated successfully')
+  );
+});
+
+/**
+ * @route   POST /api/v1/admin/content/:bank/:key/publish
+ * @desc    Publish a draft or retired question
+ * @access  Admin
+ */
+const publishQuestion = asyncHandler(async (req, res) => {
+  const question = await contentService.publishQuestion(req.params.bank, req.params.key, req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, { question }, 'Question published')
+  );
+});
+
+/**
+ * @route   POST /api/v1/admin/content/:bank/:key/retire
+ * @desc    Retire a question (kept for past sessions)
+ * @access  Admin
+ */
+const retireQuestion = asyncHandler(async (req, res) => {
+  const question = await contentService.retireQuestion(req.params.bank, req.params.key, req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, { question }, 'Question retired')
+  );
+});
+
+/**
+ * @route   POST /api/v1/admin/content/:bank/:key/restore
+ * @desc    Bring a retired question back as a draft
+ * @access  Admin
+ */
+const restoreQuestion = asyncHandler(async (req, res) => {
+  const question = await contentService.restoreQuestion(req.params.bank, req.params.key, req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, { question }, 'Question restored as draft')
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/admin/content/:bank/:key
+ * @desc    Delete a question, or retire it when sessions / answers use it
+ * @access  Admin
+ */
+const deleteQuestion = asyncHandler(async (req, res) => {
+  const result = await contentService.deleteQuestion(req.params.bank, req.params.key, req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      result,
+      result.deleted ? 'Question deleted' : 'Question is in use and was retired instead'
+    )
+  );
+});
+
+/**
+ * @route   GET /api/v1/admin/content/:bank/:key/history
+ * @desc    Changelog of a question (newest first)
+ * @access  Admin
+ */
+const getHistory = asyncHandler(async (req, res) => {
+  const revisions = await contentService.getHistory(req.params.bank, req.params.key);
+
+  res.status(200).json(
+    new ApiResponse(200, { revisions }, 'Question history retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/admin/content/:bank/export
+ * @desc    Export a bank as JSON or CSV
+ * @access  Admin
+ */
+const exportQuestions = asyncHandler(async (req, res) => {
+  const { format, status } = req.query;
+
+  const result = await contentService.exportQuestions(req.params.bank, { format, status });
+
+  if (format === 'csv') {
+    res.attachment(result.fileName);
+    return res.type('text/csv').send(result.csv);
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Questions exported successfully')
+  );
+});
+
+/**
+ * @route   POST /api/v1/admin/content/:bank/import
+ * @desc    Import questions (upsert by question number, all-or-nothing validation)
+ * @access  Admin
+ */
+const importQuestions = asyncHandler(async (req, res) => {
+  const { format, data, publish } = req.body;
+
+  const summary = await contentService.importQuestions(
+    req.params.bank,
+    { format, data, publish },
+    req.user._id
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, summary, 'Questions imported successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/admin/content/:bank/translations/:locale
+ * @desc    Translation coverage of a bank (missing and stale question numbers)
+ * @access  Admin
+ */
+const getTranslationCoverage = asyncHandler(async (req, res) => {
+  const coverage = await contentService.getTranslationCoverage(req.params.bank, req.params.locale);
+
+  res.status(200).json(
+    new ApiResponse(200, coverage, 'Translation coverage retrieved successfully')
+  );
+});
+
+/**
+ * @route   PUT /api/v1/admin/content/:bank/translations/:locale
+ * @desc    Import translations for one locale (all-or-nothing validation)
+ * @access  Admin
+ */
+const importTranslations = asyncHandler(async (req, res) => {
+  const summary = await contentService.importTranslations(
+    req.params.bank,
+    req.params.locale,
+    req.body.items,
+    req.user._id
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, summary, 'Translations imported successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/admin/content/:bank/:key/translations
+ * @desc    Translations of a question
+ * @access  Admin
+ */
+const listTranslations = asyncHandler(async (req, res) => {
+  const result = await contentService.listTranslations(req.params.bank, req.params.key);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Translations retrieved successfully')
+  );
+});
+
+/**
+ * @route   PUT /api/v1/admin/content/:bank/:key/translations/:locale
+ * @desc    Create or replace a translation
+ * @access  Admin
+ */
+const saveTranslation = asyncHandler(async (req, res) => {
+  const { bank, key, locale } = req.params;
+
+  const translation = await contentService.saveTranslation(
+    bank,
+    key,
+    locale,
+    req.body.fields,
+    req.user._id
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { translation }, 'Translation saved successfully')
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/admin/content/:bank/:key/translations/:locale
+ * @desc    Delete a translation (players get English again)
+ * @access  Admin
+ */
+const deleteTranslation = asyncHandler(async (req, res) => {
+  const { bank, key, locale } = req.params;
+
+  await contentService.deleteTranslation(bank, key, locale);
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'Translation deleted successfully')
+  );
+});
+
+module.exports = {
+  listBanks,
+  listQuestions,
+  getQuestion,
+  createQuestion,
+  updateQuestion,
+  publishQuestion,
+  retireQuestion,
+  restoreQuestion,
+  deleteQuestion,
+  getHistory,
+  exportQuestions,
+  importQuestions,
+  getTranslationCoverage,
+  importTranslations,
+  listTranslations,
+  saveTranslation,
+  deleteTranslation,
+};
@@ -107,7 +107,8 @@ class ConversationController {
         userId,
         {
           cursor: cursor,
-          limit: parseInt(limit)
+          limit: parseInt(limit),
+          locale: req.locale
         }
       );
 
@@ -199,6 +200,9 @@ class ConversationController {
         }
       );
 
+      // Push to the recipient if they are offline
+      await socketManager.notifyOfflineRecipient(conversation, senderId, message);
+
       res.status(201).json(
         new ApiResponse(
           201,
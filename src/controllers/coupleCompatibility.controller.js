@@ -235,6 +235,198 @@ class CoupleCompatibilityController {
     }
   }
 
+  // =====================================================
+  // GAME TRENDS
+  // =====================================================
+
+  /**
+   * How each game's score changed over repeated games (rematches)
+   * 
+   * GET /api/compatibility/:matchId/trends
+   */
+  async getGameTrends(req, res) {
+    try {
+      const { matchId } = req.params;
+      const userId = req.user._id;
+
+      // Validate matchId
+      if (!matchId || matchId === 'undefined') {
+        return res.status(400).json({
+          success: false,
+          message: 'Match ID is required'
+        });
+      }
+
+      const trends = await coupleCompatibilityService.getGameTrends(matchId, userId);
+
+      return res.status(200).json({
+        success: true,
+        data: trends
+      });
+
+    } catch (error) {
+      logger.error('Error in getGameTrends controller:', error);
+
+      if (error.message === 'Match not found') {
+        return res.status(404).json({
+          success: false,
+          message: 'Match not found'
+        });
+      }
+
+      if (error.message === 'You are not a participant in this match') {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not authorized to view these trends'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get game trends',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  // =====================================================
+  // TIMELINE & SNAPSHOT DIFF
+  // =====================================================
+
+  /**
+   * Overall and per-dimension scores over every generation
+   * 
+   * GET /api/compatibility/:matchId/timeline
+   * Query params: ?limit=50 (most recent snapshots, max 100)
+   */
+  async getTimeline(req, res) {
+    try {
+      const { matchId } = req.params;
+      const userId = req.user._id;
+
+      // Validate matchId
+      if (!matchId || matchId === 'undefined') {
+        return res.status(400).json({
+          success: false,
+          message: 'Match ID is required'
+        });
+      }
+
+      const limit = req.query.limit !== undefined ? parseInt(req.query.limit, 10) : undefined;
+      if (limit !== undefined && (!Number.isInteger(limit) || limit < 1)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Limit must be a positive integer'
+        });
+      }
+
+      const timeline = await coupleCompatibilityService.getTimeline(matchId, userId, { limit });
+
+      return res.status(200).json({
+        success: true,
+        data: timeline
+      });
+
+    } catch (error) {
+      logger.error('Error in getTimeline controller:', error);
+
+      if (error.message === 'Match not found') {
+        return res.status(404).json({
+          success: false,
+          message: 'Match not found'
+        });
+      }
+
+      if (error.message === 'You are not a participant in this match') {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not authorized to view this timeline'
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to get compatibility timeline',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
+  /**
+   * What changed between two snapshots
+   * 
+   * GET /api/compatibility/:matchId/timeline/diff
+   * Query params: ?from=1&to=3 (snapshot versions, default latest vs previous)
+   */
+  async getSnapshotDiff(req, res) {
+    try {
+      const { matchId } = req.params;
+      const userId = req.user._id;
+
+      // Validate matchId
+      if (!matchId || matchId === 'undefined') {
+        return res.status(400).json({
+          success: false,
+          message: 'Match ID is required'
+        });
+      }
+
+      const versions = {};
+      for (const key of ['from', 'to']) {
+        if (req.query[key] === undefined) continue;
+
+        const version = parseInt(req.query[key], 10);
+        if (!Number.isInteger(version) || version < 1) {
+          return res.status(400).json({
+            success: false,
+            message: `${key} must be a snapshot version (1 or more)`
+          });
+        }
+        versions[key] = version;
+      }
+
+      const diff = await coupleCompatibilityService.getSnapshotDiff(matchId, userId, versions);
+
+      return res.status(200).json({
+        success: true,
+        data: diff
+      });
+
+    } catch (error) {
+      logger.error('Error in getSnapshotDiff controller:', error);
+
+      if (error.message === 'Match not found' ||
+          error.message === 'Snapshot not found' ||
+          error.message === 'No compatibility history for this match') {
+        return res.status(404).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      if (error.message === 'You are not a participant in this match') {
+        return res.status(403).json({
+          success: false,
+          message: 'You are not authorized to view this compatibility'
+        });
+      }
+
+      if (error.message.includes('snapshots are needed') ||
+          error.message.includes('must be earlier')) {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+
+      return res.status(500).json({
+        success: false,
+        message: 'Failed to compare compatibility snapshots',
+        error: process.env.NODE_ENV === 'development' ? error.message : undefined
+      });
+    }
+  }
+
   // =====================================================
   // GAME DETAILS
   // =====================================================
@@ -33,7 +33,7 @@ exports.getDateReadiness = async (req, res) => {
     logger.info('Getting date readiness', { matchId, userId, refresh });
 
     const forceRefresh = refresh === 'true';
-    const result = await dateDecisionService.getDateReadiness(matchId, userId, forceRefresh);
+    const result = await dateDecisionService.getDateReadiness(matchId, userId, forceRefresh, req.locale);
 
     return res.status(200).json({
       success: true,
@@ -154,7 +154,7 @@ exports.refreshDateDecision = async (req, res) => {
 
     logger.info('Refreshing date decision', { matchId, userId });
 
-    const result = await dateDecisionService.getDateReadiness(matchId, userId, true);
+    const result = await dateDecisionService.getDateReadiness(matchId, userId, true, req.locale);
 
     return res.status(200).json({
       success: true,
@@ -202,7 +202,7 @@ exports.getDateStatus = async (req, res) => {
 
     logger.info('Getting date status', { matchId, userId });
 
-    const result = await dateDecisionService.getQuickStatus(matchId, userId);
+    const result = await dateDecisionService.getQuickStatus(matchId, userId, req.locale);
 
     return res.status(200).json({
       success: true,
@@ -334,7 +334,7 @@ exports.recordDateFeedback = async (req, res) => {
 exports.getDecisionInfo = async (req, res) => {
   try {
     const DateDecision = require('../models/DateDecision');
-    const info = DateDecision.getDecisionInfo();
+    const info = DateDecision.getDecisionInfo(req.locale);
 
     return res.status(200).json({
       success: true,
@@ -13,10 +13,6 @@ const logger = require('../../utils/logger');
  * Endpoints:
  * - GET    /info                                    - Game information
  * - GET    /categories                              - Get all categories & cards
- * - POST   /invite                                  - Create game invitation
- * - POST   /accept/:sessionId                       - Accept invitation
- * - POST   /decline/:sessionId                      - Decline invitation
- * - GET    /pending                                 - Get pending invitation
  * - GET    /active                                  - Get active game
  * - GET    /session/:sessionId                      - Get session state
  * - GET    /category/:sessionId/:categoryNumber     - Get specific category
@@ -27,13 +23,11 @@ const logger = require('../../utils/logger');
  * - GET    /elaborate/:sessionId/:categoryNumber    - Get elaboration
  * - DELETE /elaborate/:sessionId/:categoryNumber    - Delete elaboration
  * 
- * RESULTS & DISCUSSION:
+ * RESULTS:
  * - GET    /results/:sessionId                      - Get game results
- * - GET    /history                                 - Get completed games
- * - POST   /discussion/:sessionId                   - Add discussion voice note
- * - GET    /discussion/:sessionId                   - Get discussion notes
- * - POST   /discussion/:sessionId/listened/:noteIndex - Mark note listened
- * - POST   /abandon/:sessionId                      - Abandon game
+ *
+ * Invitations, history, abandoning, discussion notes and insights are
+ * served for every game by controllers/games/games.controller.js.
  */
 
 class DreamBoardController {
@@ -128,7 +122,7 @@ class DreamBoardController {
    */
   async getAllCategories(req, res) {
     try {
-      const data = await dreamBoardService.getAllCategories();
+      const data = await dreamBoardService.getAllCategories(req.locale);
 
       res.json({
         success: true,
@@ -144,171 +138,6 @@ class DreamBoardController {
     }
   }
 
-  // =====================================================
-  // INVITATION ENDPOINTS
-  // =====================================================
-
-  /**
-   * POST /api/games/dream-board/invite
-   * Create a new game invitation
-   * Body: { matchId: string }
-   */
-  async createInvitation(req, res) {
-    try {
-      const userId = req.user._id;
-      const { matchId } = req.body;
-
-      if (!matchId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Match ID is required'
-        });
-      }
-
-      const result = await dreamBoardService.createInvitation(userId, matchId);
-
-      res.status(201).json({
-        success: true,
-        message: 'Game invitation sent',
-        data: {
-          sessionId: result.session.sessionId,
-          invitedUser: result.invitedUser,
-          expiresAt: result.session.expiresAt,
-          gameInfo: {
-            name: 'Dream Board',
-            tagline: 'See if your futures align',
-            categoryCount: 10,
-            estimatedTime: '10-15 minutes',
-            features: ['Voice elaborations for deeper insights']
-          }
-        }
-      });
-
-    } catch (error) {
-      logger.error('Create invitation error:', error);
-
-      const statusCode = error.message.includes('not found') ? 404
-        : error.message.includes('not part of') ? 403
-        : error.message.includes('already exists') ? 409
-        : 400;
-
-      res.status(statusCode).json({
-        success: false,
-        message: error.message || 'Failed to create invitation'
-      });
-    }
-  }
-
-  /**
-   * POST /api/games/dream-board/accept/:sessionId
-   * Accept a game invitation
-   */
-  async acceptInvitation(req, res) {
-    try {
-      const userId = req.user._id;
-      const { sessionId } = req.params;
-
-      if (!sessionId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Session ID is required'
-        });
-      }
-
-      const session = await dreamBoardService.acceptInvitation(sessionId, userId);
-
-      res.json({
-        success: true,
-        message: 'Invitation accepted! Start building your dream board.',
-        data: {
-          sessionId: session.sessionId,
-          status: session.status,
-          totalCategories: 10,
-          tips: [
-            'Take your time with each category',
-            'Add voice notes to explain choices that matter most to you',
-            'Your partner won\'t see your selections until you both finish'
-          ]
-        }
-      });
-
-    } catch (error) {
-      logger.error('Accept invitation error:', error);
-
-      const statusCode = error.message.includes('not found') ? 404
-        : error.message.includes('Only the invited') ? 403
-        : error.message.includes('expired') ? 410
-        : 400;
-
-      res.status(statusCode).json({
-        success: false,
-        message: error.message || 'Failed to accept invitation'
-      });
-    }
-  }
-
-  /**
-   * POST /api/games/dream-board/decline/:sessionId
-   * Decline a game invitation
-   */
-  async declineInvitation(req, res) {
-    try {
-      const userId = req.user._id;
-      const { sessionId } = req.params;
-
-      if (!sessionId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Session ID is required'
-        });
-      }
-
-      await dreamBoardService.declineInvitation(sessionId, userId);
-
-      res.json({
-        success: true,
-        message: 'Invitation declined'
-      });
-
-    } catch (error) {
-      logger.error('Decline invitation error:', error);
-
-      const statusCode = error.message.includes('not found') ? 404
-        : error.message.includes('Only the invited') ? 403
-        : 400;
-
-      res.status(statusCode).json({
-        success: false,
-        message: error.message || 'Failed to decline invitation'
-      });
-    }
-  }
-
-  /**
-   * GET /api/games/dream-board/pending
-   * Get pending invitation for current user
-   */
-  async getPendingInvitation(req, res) {
-    try {
-      const userId = req.user._id;
-
-      const invitation = await dreamBoardService.getPendingInvitation(userId);
-
-      res.json({
-        success: true,
-        hasInvitation: !!invitation,
-        data: invitation
-      });
-
-    } catch (error) {
-      logger.error('Get pending invitation error:', error);
-      res.status(500).json({
-        success: false,
-        message: error.message || 'Failed to get pending invitation'
-      });
-    }
-  }
-
   // =====================================================
   // GAME STATE ENDPOINTS
   // =====================================================
@@ -361,7 +190,7 @@ class DreamBoardController {
         });
       }
 
-      const state = await dreamBoardService.getSessionState(sessionId, userId);
+      const state = await dreamBoardService.getSessionState(sessionId, userId, req.locale);
 
       res.json({
         success: true,
@@ -410,7 +239,7 @@ class DreamBoardController {
         });
       }
 
-      const data = await dreamBoardService.getCategory(sessionId, userId, catNum);
+      const data = await dreamBoardService.getCategory(sessionId, userId, catNum, req.locale);
 
       res.json({
         success: true,
@@ -799,251 +628,6 @@ class DreamBoardController {
       });
     }
   }
-
-  /**
-   * GET /api/games/dream-board/history
-   * Get completed games history
-   * Query: ?limit=10
-   */
-  async getGameHistory(req, res) {
-    try {
-      const userId = req.user._id;
-      const limit = parseInt(req.query.limit, 10) || 10;
-
-      const history = await dreamBoardService.getGameHistory(userId, limit);
-
-      res.json({
-        success: true,
-        count: history.length,
-        data: history
-      });
-
-    } catch (error) {
-      logger.error('Get game history error:', error);
-      res.status(500).json({
-        success: false,
-        message: error.message || 'Failed to get game history'
-      });
-    }
-  }
-
-  // =====================================================
-  // DISCUSSION VOICE NOTES (POST-GAME)
-  // =====================================================
-
-  /**
-   * POST /api/games/dream-board/discussion/:sessionId
-   * Add a discussion voice note
-   * 
-   * Multipart form data:
-   * - voiceNote: audio file (required)
-   * - duration: number in seconds (required)
-   * - categoryNumber: number 1-10 (optional, for category-specific discussion)
-   */
-  async addDiscussionNote(req, res) {
-    try {
-      const userId = req.user._id;
-      const { sessionId } = req.params;
-      const { duration, categoryNumber } = req.body;
-
-      if (!sessionId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Session ID is required'
-        });
-      }
-
-      if (!req.file) {
-        return res.status(400).json({
-          success: false,
-          message: 'Voice note file is required'
-        });
-      }
-
-      if (!duration) {
-        return res.status(400).json({
-          success: false,
-          message: 'Duration is required'
-        });
-      }
-
-      const durationNum = parseInt(duration, 10);
-      if (isNaN(durationNum) || durationNum < 1) {
-        return res.status(400).json({
-          success: false,
-          message: 'Duration must be a positive number'
-        });
-      }
-
-      // Parse category number if provided
-      let catNum = null;
-      if (categoryNumber) {
-        catNum = parseInt(categoryNumber, 10);
-        if (isNaN(catNum) || catNum < 1 || catNum > 10) {
-          return res.status(400).json({
-            success: false,
-            message: 'Category number must be between 1 and 10'
-          });
-        }
-      }
-
-      const result = await dreamBoardService.addDiscussionNote(
-        sessionId,
-        userId,
-        req.file.buffer,
-        req.file.mimetype,
-        durationNum,
-        catNum
-      );
-
-      res.status(201).json({
-        success: true,
-        message: catNum 
-          ? `Voice note added for category ${catNum}`
-          : 'Voice note added to discussion',
-        data: result
-      });
-
-    } catch (error) {
-      logger.error('Add discussion note error:', error);
-
-      const statusCode = error.message.includes('not found') ? 404
-        : error.message.includes('not a participant') ? 403
-        : error.message.includes('only available') ? 400
-        : 400;
-
-      res.status(statusCode).json({
-        success: false,
-        message: error.message || 'Failed to add discussion note'
-      });
-    }
-  }
-
-  /**
-   * GET /api/games/dream-board/discussion/:sessionId
-   * Get all discussion notes for a session
-   */
-  async getDiscussionNotes(req, res) {
-    try {
-      const userId = req.user._id;
-      const { sessionId } = req.params;
-
-      if (!sessionId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Session ID is required'
-        });
-      }
-
-      const notes = await dreamBoardService.getDiscussionNotes(sessionId, userId);
-
-      res.json({
-        success: true,
-        count: notes.length,
-        data: notes
-      });
-
-    } catch (error) {
-      logger.error('Get discussion notes error:', error);
-
-      const statusCode = error.message.includes('not found') ? 404
-        : error.message.includes('not a participant') ? 403
-        : 400;
-
-      res.status(statusCode).json({
-        success: false,
-        message: error.message || 'Failed to get discussion notes'
-      });
-    }
-  }
-
-  /**
-   * POST /api/games/dream-board/discussion/:sessionId/listened/:noteIndex
-   * Mark a discussion note as listened
-   */
-  async markNoteListened(req, res) {
-    try {
-      const userId = req.user._id;
-      const { sessionId, noteIndex } = req.params;
-
-      if (!sessionId || noteIndex === undefined) {
-        return res.status(400).json({
-          success: false,
-          message: 'Session ID and note index are required'
-        });
-      }
-
-      const noteIdx = parseInt(noteIndex, 10);
-      if (isNaN(noteIdx) || noteIdx < 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'Note index must be a non-negative number'
-        });
-      }
-
-      await dreamBoardService.markNoteListened(sessionId, userId, noteIdx);
-
-      res.json({
-        success: true,
-        message: 'Note marked as listened'
-      });
-
-    } catch (error) {
-      logger.error('Mark note listened error:', error);
-
-      const statusCode = error.message.includes('not found') ? 404
-        : error.message.includes('not a participant') ? 403
-        : error.message.includes('Invalid note') ? 400
-        : 400;
-
-      res.status(statusCode).json({
-        success: false,
-        message: error.message || 'Failed to mark note as listened'
-      });
-    }
-  }
-
-  // =====================================================
-  // GAME MANAGEMENT
-  // =====================================================
-
-  /**
-   * POST /api/games/dream-board/abandon/:sessionId
-   * Abandon an active game
-   */
-  async abandonGame(req, res) {
-    try {
-      const userId = req.user._id;
-      const { sessionId } = req.params;
-
-      if (!sessionId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Session ID is required'
-        });
-      }
-
-      await dreamBoardService.abandonGame(sessionId, userId);
-
-      res.json({
-        success: true,
-        message: 'Game abandoned'
-      });
-
-    } catch (error) {
-      logger.error('Abandon game error:', error);
-
-      const statusCode = error.message.includes('not found') ? 404
-        : error.message.includes('not a participant') ? 403
-        : error.message.includes('cannot be abandoned') ? 400
-        : 400;
-
-      res.status(statusCode).json({
-        success: false,
-        message: error.message || 'Failed to abandon game'
-      });
-    }
-  }
 }
 
-module.exports = new DreamBoardController();
\ No newline at end of file
+module.exports = new DreamBoardController();
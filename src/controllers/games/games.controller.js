@@ -0,0 +1,231 @@
+// src/controllers/games/games.controller.js
+
+const gamesService = require('../../services/games/games.service');
+const ApiResponse = require('../../utils/apiResponse');
+const asyncHandler = require('../../middleware/errorHandler').asyncHandler;
+
+/**
+ * Games Controller
+ *
+ * HTTP handlers for views across every registered game, and for the
+ * session flows every game shares (gameType as registered, e.g.
+ * would_you_rather).
+ */
+
+/**
+ * @route   GET /api/v1/games?matchId=
+ * @desc    Get the state of every game for a match
+ * @access  Private
+ */
+const getMatchGames = asyncHandler(async (req, res) => {
+  const result = await gamesService.getMatchGames(req.user._id, req.query.matchId);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Games retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/games/lobby
+ * @desc    Get pending invitations, active games and recent results
+ *          across every game (optionally for one match)
+ * @access  Private
+ */
+const getLobby = asyncHandler(async (req, res) => {
+  const result = await gamesService.getLobby(req.user._id, { matchId: req.query.matchId });
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Game lobby retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/games/focus-packs?gameType=
+ * @desc    Get the category focus packs of the question games
+ * @access  Private
+ */
+const getFocusPacks = asyncHandler(async (req, res) => {
+  const result = gamesService.getFocusPacks(req.user, req.query.gameType);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Focus packs retrieved successfully')
+  );
+});
+
+/**
+ * @route   POST /api/v1/games/:gameType/sessions/:sessionId/rematch
+ * @desc    Invite the partner to a rematch of a completed game
+ * @access  Private
+ */
+const createRematch = asyncHandler(async (req, res) => {
+  const { gameType, sessionId } = req.params;
+  const result = await gamesService.createRematch(req.user._id, gameType, sessionId);
+
+  res.status(201).json(
+    new ApiResponse(201, result, 'Rematch invitation sent')
+  );
+});
+
+/**
+ * @route   POST /api/v1/games/:gameType/invitations
+ * @desc    Invite the other player of a mutual match to a game
+ * @access  Private
+ */
+const createInvitation = asyncHandler(async (req, res) => {
+  const { matchId, mode, focusPack } = req.body;
+  const result = await gamesService.createInvitation(req.user._id, req.params.gameType, { matchId, mode, focusPack });
+
+  res.status(201).json(
+    new ApiResponse(201, result, 'Game invitation sent')
+  );
+});
+
+/**
+ * @route   GET /api/v1/games/:gameType/invitations
+ * @desc    Get open invitations you have received
+ * @access  Private
+ */
+const getPendingInvitations = asyncHandler(async (req, res) => {
+  const result = await gamesService.getPendingInvitations(req.user._id, req.params.gameType);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Invitations retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/games/:gameType/history?limit=&skip=&matchId=
+ * @desc    Get your completed games
+ * @access  Private
+ */
+const getGameHistory = asyncHandler(async (req, res) => {
+  const { limit, skip, matchId } = req.query;
+  const result = await gamesService.getGameHistory(req.user._id, req.params.gameType, { limit, skip, matchId });
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Game history retrieved successfully')
+  );
+});
+
+/**
+ * @route   POST /api/v1/games/:gameType/sessions/:sessionId/accept
+ * @desc    Accept an invitation
+ * @access  Private (invited player)
+ */
+const acceptInvitation = asyncHandler(async (req, res) => {
+  const { gameType, sessionId } = req.params;
+  const result = await gamesService.acceptInvitation(req.user._id, gameType, sessionId);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Game invitation accepted')
+  );
+});
+
+/**
+ * @route   POST /api/v1/games/:gameType/sessions/:sessionId/decline
+ * @desc    Decline an invitation
+ * @access  Private (invited player)
+ */
+const declineInvitation = asyncHandler(async (req, res) => {
+  const { gameType, sessionId } = req.params;
+  const result = await gamesService.declineInvitation(req.user._id, gameType, sessionId);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Game invitation declined')
+  );
+});
+
+/**
+ * @route   POST /api/v1/games/:gameType/sessions/:sessionId/abandon
+ * @desc    Leave an invited or running game
+ * @access  Private (players)
+ */
+const abandonGame = asyncHandler(async (req, res) => {
+  const { gameType, sessionId } = req.params;
+  const result = await gamesService.abandonGame(req.user._id, gameType, sessionId, { reason: req.body.reason });
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Game abandoned')
+  );
+});
+
+/**
+ * @route   GET /api/v1/games/:gameType/sessions/:sessionId/insights
+ * @desc    Get the AI insights of a completed game
+ * @access  Private (players)
+ */
+const getInsights = asyncHandler(async (req, res) => {
+  const { gameType, sessionId } = req.params;
+  const result = await gamesService.getInsights(req.user._id, gameType, sessionId);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Insights retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/games/:gameType/sessions/:sessionId/voice-notes
+ * @desc    Get the voice notes of a game
+ * @access  Private (players)
+ */
+const getVoiceNotes = asyncHandler(async (req, res) => {
+  const { gameType, sessionId } = req.params;
+  const result = await gamesService.getVoiceNotes(req.user._id, gameType, sessionId);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Voice notes retrieved successfully')
+  );
+});
+
+/**
+ * @route   POST /api/v1/games/:gameType/sessions/:sessionId/voice-notes
+ * @desc    Send a voice note about a completed game
+ *          (multipart: 'audio' file, duration, relatedTo)
+ * @access  Private (players)
+ */
+const addVoiceNote = asyncHandler(async (req, res) => {
+  const { gameType, sessionId } = req.params;
+  const { duration, relatedTo } = req.body;
+
+  const result = await gamesService.addVoiceNote(req.user._id, gameType, sessionId, {
+    buffer: req.file.buffer,
+    mimeType: req.file.mimetype,
+    duration,
+    relatedTo,
+  });
+
+  res.status(201).json(
+    new ApiResponse(201, result, 'Voice note sent')
+  );
+});
+
+/**
+ * @route   POST /api/v1/games/:gameType/sessions/:sessionId/voice-notes/:noteId/listened
+ * @desc    Mark the partner's voice note as listened to
+ * @access  Private (players)
+ */
+const markVoiceNoteListened = asyncHandler(async (req, res) => {
+  const { gameType, sessionId, noteId } = req.params;
+  const result = await gamesService.markVoiceNoteListened(req.user._id, gameType, sessionId, noteId);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Voice note marked as listened')
+  );
+});
+
+module.exports = {
+  getMatchGames,
+  getLobby,
+  getFocusPacks,
+  createRematch,
+  createInvitation,
+  getPendingInvitations,
+  getGameHistory,
+  acceptInvitation,
+  declineInvitation,
+  abandonGame,
+  getInsights,
+  getVoiceNotes,
+  addVoiceNote,
+  markVoiceNoteListened
+};
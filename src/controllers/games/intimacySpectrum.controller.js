@@ -3,7 +3,6 @@
 const intimacySpectrumService = require('../../services/games/intimacySpectrum.service');
 const IntimacySpectrumSession = require('../../models/games/IntimacySpectrumSession');
 const IntimacySpectrumQuestion = require('../../models/games/IntimacySpectrumQuestion');
-const s3Service = require('../../services/s3.service');
 const logger = require('../../utils/logger');
 
 /**
@@ -15,10 +14,10 @@ const logger = require('../../utils/logger');
  * These endpoints handle:
  * - Fetching questions and categories
  * - Getting results after game completion
- * - Getting AI insights
- * - Game history
- * - Voice note uploads
- * - Checking pending invitations (for app launch)
+ * - Session state and async play
+ *
+ * Invitations, history, voice notes and AI insights are served for every
+ * game by controllers/games/games.controller.js.
  */
 
 // =====================================================
@@ -43,17 +42,19 @@ exports.getQuestions = async (req, res) => {
       questions = await IntimacySpectrumQuestion.getAllActive();
     }
 
+    const localized = await IntimacySpectrumQuestion.localize(questions.map(q => ({
+      questionNumber: q.questionNumber,
+      category: q.category,
+      questionText: q.questionText,
+      leftLabel: q.leftLabel,
+      rightLabel: q.rightLabel,
+      spiceLevel: q.spiceLevel
+    })), req.locale);
+
     res.status(200).json({
       success: true,
-      count: questions.length,
-      data: questions.map(q => ({
-        questionNumber: q.questionNumber,
-        category: q.category,
-        questionText: q.questionText,
-        leftLabel: q.leftLabel,
-        rightLabel: q.rightLabel,
-        spiceLevel: q.spiceLevel
-      }))
+      count: localized.length,
+      data: localized
     });
 
   } catch (error) {
@@ -108,34 +109,9 @@ exports.getCategories = async (req, res) => {
 };
 
 // =====================================================
-// GAME STATE & INVITATIONS
+// GAME STATE
 // =====================================================
 
-/**
- * Check for pending game invitation
- * GET /api/games/intimacy-spectrum/pending-invitation
- */
-exports.getPendingInvitation = async (req, res) => {
-  try {
-    const userId = req.user._id;
-
-    const invitation = await intimacySpectrumService.getPendingInvitation(userId);
-
-    res.status(200).json({
-      success: true,
-      hasPendingInvitation: !!invitation,
-      data: invitation
-    });
-
-  } catch (error) {
-    logger.error('Error checking pending invitation:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to check pending invitation'
-    });
-  }
-};
-
 /**
  * Get user's active game session
  * GET /api/games/intimacy-spectrum/active
@@ -161,116 +137,6 @@ exports.getActiveSession = async (req, res) => {
   }
 };
 
-/**
- * Create game invitation via HTTP (alternative to socket)
- * POST /api/games/intimacy-spectrum/invite
- * Body: { matchId }
- */
-exports.createInvitation = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { matchId } = req.body;
-
-    if (!matchId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Match ID is required'
-      });
-    }
-
-    const result = await intimacySpectrumService.createInvitation(userId, matchId);
-
-    res.status(201).json({
-      success: true,
-      message: 'Game invitation sent',
-      data: {
-        sessionId: result.session.sessionId,
-        status: result.session.status,
-        expiresAt: result.session.expiresAt,
-        invitedUser: result.invitedUser
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error creating invitation:', error);
-
-    const statusCode = error.message.includes('not found') ? 404
-      : error.message.includes('not part of') ? 403
-      : error.message.includes('already exists') ? 409
-      : 500;
-
-    res.status(statusCode).json({
-      success: false,
-      message: error.message || 'Failed to create invitation'
-    });
-  }
-};
-
-/**
- * Accept game invitation via HTTP
- * POST /api/games/intimacy-spectrum/sessions/:sessionId/accept
- */
-exports.acceptInvitation = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { sessionId } = req.params;
-
-    const session = await intimacySpectrumService.acceptInvitation(sessionId, userId);
-
-    res.status(200).json({
-      success: true,
-      message: 'Game invitation accepted',
-      data: {
-        sessionId: session.sessionId,
-        status: session.status
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error accepting invitation:', error);
-
-    const statusCode = error.message.includes('not found') ? 404
-      : error.message.includes('Only the invited') ? 403
-      : error.message.includes('expired') ? 410
-      : 500;
-
-    res.status(statusCode).json({
-      success: false,
-      message: error.message || 'Failed to accept invitation'
-    });
-  }
-};
-
-/**
- * Decline game invitation via HTTP
- * POST /api/games/intimacy-spectrum/sessions/:sessionId/decline
- */
-exports.declineInvitation = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { sessionId } = req.params;
-
-    await intimacySpectrumService.declineInvitation(sessionId, userId);
-
-    res.status(200).json({
-      success: true,
-      message: 'Game invitation declined'
-    });
-
-  } catch (error) {
-    logger.error('Error declining invitation:', error);
-
-    const statusCode = error.message.includes('not found') ? 404
-      : error.message.includes('Only the invited') ? 403
-      : 500;
-
-    res.status(statusCode).json({
-      success: false,
-      message: error.message || 'Failed to decline invitation'
-    });
-  }
-};
-
 // =====================================================
 // SESSION DETAILS
 // =====================================================
@@ -315,7 +181,7 @@ exports.getSession = async (req, res) => {
       status: session.status,
       matchId: session.matchId,
       partner: {
-        oduserId: partner.userId._id,
+        userId: partner.userId._id,
         firstName: partner.userId.firstName,
         lastName: partner.userId.lastName,
         profilePhoto: partner.userId.profilePhoto,
@@ -323,12 +189,14 @@ exports.getSession = async (req, res) => {
       },
       you: {
         totalAnswered: you.totalAnswered,
-        totalTimedOut: you.totalTimedOut
+        totalTimedOut: you.totalTimedOut,
+        totalRatherNotSay: you.totalRatherNotSay
       },
+      excludedCategories: session.excludedCategories,
       progress: {
         currentQuestionIndex: session.currentQuestionIndex,
-        totalQuestions: 30,
-        percent: Math.round((session.currentQuestionIndex / 30) * 100)
+        totalQuestions: session.totalQuestions,
+        percent: Math.round((session.currentQuestionIndex / session.totalQuestions) * 100)
       },
       timestamps: {
         invitedAt: session.invitedAt,
@@ -341,7 +209,7 @@ exports.getSession = async (req, res) => {
     // Add current question if game is in progress
     if (session.status === 'playing') {
       const questionNumber = session.questionOrder[session.currentQuestionIndex];
-      const question = await IntimacySpectrumQuestion.findOne({ questionNumber });
+      const question = await IntimacySpectrumQuestion.findVersionAsOf(questionNumber, session.createdAt, req.locale);
 
       response.currentQuestion = {
         index: session.currentQuestionIndex,
@@ -460,7 +328,7 @@ exports.getDetailedResults = async (req, res) => {
       });
     }
 
-    const detailed = await intimacySpectrumService.getDetailedResults(sessionId);
+    const detailed = await intimacySpectrumService.getDetailedResults(sessionId, req.locale);
 
     res.status(200).json({
       success: true,
@@ -481,222 +349,77 @@ exports.getDetailedResults = async (req, res) => {
   }
 };
 
-/**
- * Get AI-generated insights
- * GET /api/games/intimacy-spectrum/sessions/:sessionId/insights
- */
-exports.getAiInsights = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { sessionId } = req.params;
-
-    // Verify user is a player
-    const session = await IntimacySpectrumSession.findBySessionId(sessionId);
-
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        message: 'Session not found'
-      });
-    }
-
-    const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
-    const userIdStr = userId.toString();
-
-    if (userIdStr !== p1Id && userIdStr !== p2Id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a player in this game'
-      });
-    }
-
-    // Generate insights if not already done
-    const insights = await intimacySpectrumService.generateAiInsights(sessionId);
-
-    res.status(200).json({
-      success: true,
-      data: insights
-    });
-
-  } catch (error) {
-    logger.error('Error fetching AI insights:', error);
-
-    const statusCode = error.message.includes('not found') ? 404
-      : error.message.includes('must be completed') ? 400
-      : 500;
-
-    res.status(statusCode).json({
-      success: false,
-      message: error.message || 'Failed to fetch AI insights'
-    });
-  }
-};
-
 // =====================================================
-// HISTORY
+// ASYNC PLAY
 // =====================================================
 
 /**
- * Get user's game history
- * GET /api/games/intimacy-spectrum/history
+ * HTTP status for an async play error: the engine's ApiError status,
+ * or 400 for an answer the game rejected
  */
-exports.getHistory = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { limit = 10 } = req.query;
-
-    const history = await intimacySpectrumService.getGameHistory(
-      userId,
-      Math.min(parseInt(limit), 50)
-    );
-
-    res.status(200).json({
-      success: true,
-      count: history.length,
-      data: history
-    });
-
-  } catch (error) {
-    logger.error('Error fetching game history:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch game history'
-    });
-  }
-};
-
-// =====================================================
-// VOICE NOTES
-// =====================================================
+function asyncErrorStatus(error) {
+  return error.statusCode || 400;
+}
 
 /**
- * Upload a voice note
- * POST /api/games/intimacy-spectrum/sessions/:sessionId/voice-notes
- * Multipart form: audio file
+ * Get async game state: your next question, both players' progress
+ * and the questions revealed so far
+ * GET /api/games/intimacy-spectrum/sessions/:sessionId/async
  */
-exports.uploadVoiceNote = async (req, res) => {
+exports.getAsyncState = async (req, res) => {
   try {
     const userId = req.user._id;
     const { sessionId } = req.params;
 
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'Audio file is required'
-      });
-    }
-
-    // Get duration from request body (sent by client)
-    const duration = parseInt(req.body.duration);
-
-    if (!duration || duration <= 0 || duration > 60) {
-      return res.status(400).json({
-        success: false,
-        message: 'Valid duration (1-60 seconds) is required'
-      });
-    }
-
-    // Verify user is a player
-    const session = await IntimacySpectrumSession.findBySessionId(sessionId);
-
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        message: 'Session not found'
-      });
-    }
-
-    const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
-    const userIdStr = userId.toString();
-
-    if (userIdStr !== p1Id && userIdStr !== p2Id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a player in this game'
-      });
-    }
-
-    // Upload to S3
-    const fileName = `intimacy-spectrum/${sessionId}/${userId}_${Date.now()}.webm`;
-    const audioUrl = await s3Service.uploadFile(req.file.buffer, fileName, req.file.mimetype);
-
-    // Add voice note to session
-    const result = await intimacySpectrumService.addVoiceNote(
-      sessionId,
-      userId,
-      audioUrl,
-      duration
-    );
+    const state = await intimacySpectrumService.getAsyncState(sessionId, userId, req.locale);
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: 'Voice note uploaded',
-      data: {
-        audioUrl,
-        duration,
-        totalVoiceNotes: result.count
-      }
+      data: state
     });
 
   } catch (error) {
-    logger.error('Error uploading voice note:', error);
-
-    const statusCode = error.message.includes('not found') ? 404
-      : error.message.includes('not a player') ? 403
-      : error.message.includes('only available after') ? 400
-      : error.message.includes('Maximum') ? 400
-      : 500;
-
-    res.status(statusCode).json({
+    logger.error('Error fetching async game state:', error);
+    res.status(asyncErrorStatus(error)).json({
       success: false,
-      message: error.message || 'Failed to upload voice note'
+      message: error.message || 'Failed to fetch game state'
     });
   }
 };
 
 /**
- * Get voice notes for a session
- * GET /api/games/intimacy-spectrum/sessions/:sessionId/voice-notes
+ * Answer your next question in an async game
+ * POST /api/games/intimacy-spectrum/sessions/:sessionId/async/answer
+ * Body: { questionIndex, position (0-100), ratherNotSay }
  */
-exports.getVoiceNotes = async (req, res) => {
+exports.submitAsyncAnswer = async (req, res) => {
   try {
     const userId = req.user._id;
     const { sessionId } = req.params;
+    const questionIndex = Number(req.body.questionIndex);
 
-    const session = await IntimacySpectrumSession.findBySessionId(sessionId);
-
-    if (!session) {
-      return res.status(404).json({
+    if (!Number.isInteger(questionIndex) || questionIndex < 0) {
+      return res.status(400).json({
         success: false,
-        message: 'Session not found'
+        message: 'questionIndex must be a non-negative integer'
       });
     }
 
-    // Verify user is a player
-    const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
-    const userIdStr = userId.toString();
-
-    if (userIdStr !== p1Id && userIdStr !== p2Id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a player in this game'
-      });
-    }
+    const result = await intimacySpectrumService.submitAsyncAnswer(sessionId, userId, questionIndex, {
+      position: req.body.position,
+      ratherNotSay: req.body.ratherNotSay === true
+    }, req.locale);
 
     res.status(200).json({
       success: true,
-      count: session.voiceNotes.length,
-      data: session.voiceNotes
+      data: result
     });
 
   } catch (error) {
-    logger.error('Error fetching voice notes:', error);
-    res.status(500).json({
+    logger.error('Error submitting async answer:', error);
+    res.status(asyncErrorStatus(error)).json({
       success: false,
-      message: 'Failed to fetch voice notes'
+      message: error.message || 'Failed to submit answer'
     });
   }
-};
\ No newline at end of file
+};
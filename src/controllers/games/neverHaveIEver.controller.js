@@ -14,10 +14,10 @@ const logger = require('../../utils/logger');
  * These endpoints handle:
  * - Fetching questions and categories
  * - Getting results after game completion
- * - Getting AI insights
- * - Game history
- * - Voice note uploads
- * - Checking pending invitations (for app launch)
+ * - Session state and async play
+ *
+ * Invitations, history, abandoning, voice notes and AI insights are served
+ * for every game by controllers/games/games.controller.js.
  */
 
 // =====================================================
@@ -42,16 +42,18 @@ exports.getQuestions = async (req, res) => {
       questions = await NeverHaveIEverQuestion.getAllActive();
     }
 
+    const localized = await NeverHaveIEverQuestion.localize(questions.map(q => ({
+      questionNumber: q.questionNumber,
+      category: q.category,
+      statementText: q.statementText,
+      insight: q.insight,
+      spiceLevel: q.spiceLevel
+    })), req.locale);
+
     res.status(200).json({
       success: true,
-      count: questions.length,
-      data: questions.map(q => ({
-        questionNumber: q.questionNumber,
-        category: q.category,
-        statementText: q.statementText,
-        insight: q.insight,
-        spiceLevel: q.spiceLevel
-      }))
+      count: localized.length,
+      data: localized
     });
 
   } catch (error) {
@@ -106,34 +108,9 @@ exports.getCategories = async (req, res) => {
 };
 
 // =====================================================
-// GAME STATE & INVITATIONS
+// GAME STATE
 // =====================================================
 
-/**
- * Check for pending game invitation
- * GET /api/games/never-have-i-ever/pending-invitation
- */
-exports.getPendingInvitation = async (req, res) => {
-  try {
-    const userId = req.user._id;
-
-    const invitation = await neverHaveIEverService.getPendingInvitation(userId);
-
-    res.status(200).json({
-      success: true,
-      hasPendingInvitation: !!invitation,
-      data: invitation
-    });
-
-  } catch (error) {
-    logger.error('Error checking pending invitation:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to check pending invitation'
-    });
-  }
-};
-
 /**
  * Get user's active game session
  * GET /api/games/never-have-i-ever/active
@@ -159,152 +136,6 @@ exports.getActiveSession = async (req, res) => {
   }
 };
 
-/**
- * Create game invitation via HTTP (alternative to socket)
- * POST /api/games/never-have-i-ever/invite
- * Body: { matchId }
- */
-exports.createInvitation = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { matchId } = req.body;
-
-    if (!matchId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Match ID is required'
-      });
-    }
-
-    const result = await neverHaveIEverService.createInvitation(userId, matchId);
-
-    res.status(201).json({
-      success: true,
-      message: 'Game invitation sent',
-      data: {
-        sessionId: result.session.sessionId,
-        status: result.session.status,
-        expiresAt: result.session.expiresAt,
-        invitedUser: result.invitedUser
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error creating invitation:', error);
-
-    const statusCode = error.message.includes('not found') ? 404
-      : error.message.includes('not part of') ? 403
-      : error.message.includes('already exists') ? 409
-      : 500;
-
-    res.status(statusCode).json({
-      success: false,
-      message: error.message || 'Failed to create invitation'
-    });
-  }
-};
-
-/**
- * Accept game invitation via HTTP
- * POST /api/games/never-have-i-ever/sessions/:sessionId/accept
- */
-exports.acceptInvitation = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { sessionId } = req.params;
-
-    const session = await neverHaveIEverService.acceptInvitation(sessionId, userId);
-
-    res.status(200).json({
-      success: true,
-      message: 'Game invitation accepted',
-      data: {
-        sessionId: session.sessionId,
-        status: session.status
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error accepting invitation:', error);
-
-    const statusCode = error.message.includes('not found') ? 404
-      : error.message.includes('Only the invited') ? 403
-      : error.message.includes('expired') ? 410
-      : 400;
-
-    res.status(statusCode).json({
-      success: false,
-      message: error.message || 'Failed to accept invitation'
-    });
-  }
-};
-
-/**
- * Decline game invitation via HTTP
- * POST /api/games/never-have-i-ever/sessions/:sessionId/decline
- */
-exports.declineInvitation = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { sessionId } = req.params;
-
-    const session = await neverHaveIEverService.declineInvitation(sessionId, userId);
-
-    res.status(200).json({
-      success: true,
-      message: 'Game invitation declined',
-      data: {
-        sessionId: session.sessionId,
-        status: session.status
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error declining invitation:', error);
-
-    const statusCode = error.message.includes('not found') ? 404
-      : error.message.includes('Only the invited') ? 403
-      : 400;
-
-    res.status(statusCode).json({
-      success: false,
-      message: error.message || 'Failed to decline invitation'
-    });
-  }
-};
-
-/**
- * Abandon game
- * POST /api/games/never-have-i-ever/sessions/:sessionId/abandon
- */
-exports.abandonGame = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { sessionId } = req.params;
-
-    const session = await neverHaveIEverService.abandonGame(sessionId, userId);
-
-    res.status(200).json({
-      success: true,
-      message: 'Game abandoned',
-      data: {
-        sessionId: session.sessionId,
-        status: session.status
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error abandoning game:', error);
-
-    const statusCode = error.message.includes('not found') ? 404 : 400;
-
-    res.status(statusCode).json({
-      success: false,
-      message: error.message || 'Failed to abandon game'
-    });
-  }
-};
-
 // =====================================================
 // SESSION DETAILS
 // =====================================================
@@ -349,7 +180,7 @@ exports.getSession = async (req, res) => {
       status: session.status,
       matchId: session.matchId,
       partner: {
-        oduserId: partner.userId._id,
+        userId: partner.userId._id,
         firstName: partner.userId.firstName,
         lastName: partner.userId.lastName,
         profilePhoto: partner.userId.profilePhoto,
@@ -359,12 +190,14 @@ exports.getSession = async (req, res) => {
         totalAnswered: you.totalAnswered,
         totalIHave: you.totalIHave,
         totalIHavent: you.totalIHavent,
-        discoveryPoints: you.discoveryPoints
+        discoveryPoints: you.discoveryPoints,
+        totalRatherNotSay: you.totalRatherNotSay
       },
+      excludedCategories: session.excludedCategories,
       progress: {
         currentQuestionIndex: session.currentQuestionIndex,
-        totalQuestions: 30,
-        percent: Math.round((session.currentQuestionIndex / 30) * 100)
+        totalQuestions: session.totalQuestions,
+        percent: Math.round((session.currentQuestionIndex / session.totalQuestions) * 100)
       },
       timestamps: {
         invitedAt: session.invitedAt,
@@ -377,7 +210,7 @@ exports.getSession = async (req, res) => {
     // Add current question if game is in progress
     if (session.status === 'playing') {
       const questionNumber = session.questionOrder[session.currentQuestionIndex];
-      const question = await NeverHaveIEverQuestion.findOne({ questionNumber });
+      const question = await NeverHaveIEverQuestion.findVersionAsOf(questionNumber, session.createdAt, req.locale);
 
       response.currentQuestion = {
         index: session.currentQuestionIndex,
@@ -465,177 +298,76 @@ exports.getResults = async (req, res) => {
 };
 
 // =====================================================
-// GAME HISTORY
+// ASYNC PLAY
 // =====================================================
 
 /**
- * Get user's game history
- * GET /api/games/never-have-i-ever/history
+ * HTTP status for an async play error: the engine's ApiError status,
+ * or 400 for an answer the game rejected
  */
-exports.getGameHistory = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const limit = parseInt(req.query.limit) || 10;
-
-    const history = await neverHaveIEverService.getGameHistory(userId, limit);
-
-    res.status(200).json({
-      success: true,
-      count: history.length,
-      data: history
-    });
-
-  } catch (error) {
-    logger.error('Error fetching game history:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch game history'
-    });
-  }
-};
-
-// =====================================================
-// VOICE NOTES
-// =====================================================
+function asyncErrorStatus(error) {
+  return error.statusCode || 400;
+}
 
 /**
- * Upload voice note for discussion
- * POST /api/games/never-have-i-ever/sessions/:sessionId/voice-notes
- * Body: multipart/form-data with 'audio' file
+ * Get async game state: your next question, both players' progress
+ * and the questions revealed so far
+ * GET /api/games/never-have-i-ever/sessions/:sessionId/async
  */
-exports.uploadVoiceNote = async (req, res) => {
+exports.getAsyncState = async (req, res) => {
   try {
     const userId = req.user._id;
     const { sessionId } = req.params;
 
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'Audio file is required'
-      });
-    }
-
-    // Verify user is participant
-    const session = await NeverHaveIEverSession.findBySessionId(sessionId);
-
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        message: 'Session not found'
-      });
-    }
-
-    const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
-    const userIdStr = userId.toString();
+    const state = await neverHaveIEverService.getAsyncState(sessionId, userId, req.locale);
 
-    if (userIdStr !== p1Id && userIdStr !== p2Id) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a participant in this game'
-      });
-    }
-
-    // Upload to S3 (using existing upload service)
-    const s3Service = require('../../services/s3.service');
-    const audioUrl = await s3Service.uploadFile(req.file, 'voice-notes/never-have-i-ever');
-
-    // Get duration from request body (frontend should calculate)
-    const duration = parseInt(req.body.duration) || 0;
-
-    await neverHaveIEverService.addVoiceNote(sessionId, userId, audioUrl, duration);
-
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: 'Voice note uploaded',
-      data: {
-        audioUrl,
-        duration
-      }
+      data: state
     });
 
   } catch (error) {
-    logger.error('Error uploading voice note:', error);
-
-    const statusCode = error.message.includes('not found') ? 404
-      : error.message.includes('only available') ? 400
-      : 500;
-
-    res.status(statusCode).json({
+    logger.error('Error fetching async game state:', error);
+    res.status(asyncErrorStatus(error)).json({
       success: false,
-      message: error.message || 'Failed to upload voice note'
+      message: error.message || 'Failed to fetch game state'
     });
   }
 };
 
 /**
- * Get voice notes for session
- * GET /api/games/never-have-i-ever/sessions/:sessionId/voice-notes
+ * Answer your next question in an async game
+ * POST /api/games/never-have-i-ever/sessions/:sessionId/async/answer
+ * Body: { questionIndex, answer: Boolean, ratherNotSay }
  */
-exports.getVoiceNotes = async (req, res) => {
+exports.submitAsyncAnswer = async (req, res) => {
   try {
     const userId = req.user._id;
     const { sessionId } = req.params;
+    const questionIndex = Number(req.body.questionIndex);
 
-    // Verify user is participant
-    const session = await NeverHaveIEverSession.findBySessionId(sessionId);
-
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        message: 'Session not found'
-      });
-    }
-
-    const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
-    const userIdStr = userId.toString();
-
-    if (userIdStr !== p1Id && userIdStr !== p2Id) {
-      return res.status(403).json({
+    if (!Number.isInteger(questionIndex) || questionIndex < 0) {
+      return res.status(400).json({
         success: false,
-        message: 'You are not a participant in this game'
+        message: 'questionIndex must be a non-negative integer'
       });
     }
 
-    const voiceNotes = await neverHaveIEverService.getVoiceNotes(sessionId);
+    const result = await neverHaveIEverService.submitAsyncAnswer(sessionId, userId, questionIndex, {
+      answer: req.body.answer,
+      ratherNotSay: req.body.ratherNotSay === true
+    }, req.locale);
 
     res.status(200).json({
       success: true,
-      count: voiceNotes.length,
-      data: voiceNotes
+      data: result
     });
 
   } catch (error) {
-    logger.error('Error fetching voice notes:', error);
-    res.status(500).json({
+    logger.error('Error submitting async answer:', error);
+    res.status(asyncErrorStatus(error)).json({
       success: false,
-      message: 'Failed to fetch voice notes'
+      message: error.message || 'Failed to submit answer'
     });
   }
 };
-
-/**
- * Mark voice note as listened
- * POST /api/games/never-have-i-ever/sessions/:sessionId/voice-notes/:oduserId/listened
- */
-exports.markVoiceNoteListened = async (req, res) => {
-  try {
-    const listenerId = req.user._id;
-    const { sessionId, oduserId } = req.params;
-
-    await neverHaveIEverService.markVoiceNoteListened(sessionId, oduserId, listenerId);
-
-    res.status(200).json({
-      success: true,
-      message: 'Voice note marked as listened'
-    });
-
-  } catch (error) {
-    logger.error('Error marking voice note listened:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to mark voice note as listened'
-    });
-  }
-};
\ No newline at end of file
@@ -10,174 +10,19 @@ const logger = require('../../utils/logger');
  * HTTP endpoints for the async scenario-based voice note game.
  * 
  * Endpoints:
- * - POST   /invite              - Create game invitation
- * - POST   /accept/:sessionId   - Accept invitation
- * - POST   /decline/:sessionId  - Decline invitation
- * - GET    /pending             - Get pending invitation
  * - GET    /active              - Get active game
  * - GET    /session/:sessionId  - Get session state
  * - GET    /question/:sessionId/:questionNumber - Get question for answering
  * - POST   /answer/:sessionId   - Submit voice note answer
  * - GET    /results/:sessionId  - Get game results
- * - GET    /history             - Get completed games
- * - POST   /discussion/:sessionId - Add discussion note
- * - GET    /discussion/:sessionId - Get discussion notes
- * - POST   /abandon/:sessionId  - Abandon game
  * - GET    /questions           - Get all questions (admin/debug)
+ *
+ * Invitations, history, abandoning, discussion notes and AI insights are
+ * served for every game by controllers/games/games.controller.js.
  */
 
 class WhatWouldYouDoController {
 
-  // =====================================================
-  // INVITATION ENDPOINTS
-  // =====================================================
-
-  /**
-   * POST /api/games/what-would-you-do/invite
-   * Create a new game invitation
-   */
-  async createInvitation(req, res) {
-    try {
-      const userId = req.user._id;
-      const { matchId } = req.body;
-
-      if (!matchId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Match ID is required'
-        });
-      }
-
-      const result = await whatWouldYouDoService.createInvitation(userId, matchId);
-
-      res.status(201).json({
-        success: true,
-        message: 'Game invitation sent',
-        data: {
-          sessionId: result.session.sessionId,
-          invitedUser: result.invitedUser,
-          expiresAt: result.session.expiresAt,
-          gameInfo: {
-            name: 'What Would You Do?',
-            description: '15 real-life scenarios to discover compatibility before commitment',
-            questionCount: 15,
-            responseType: 'voice',
-            estimatedTime: '20-30 minutes'
-          }
-        }
-      });
-
-    } catch (error) {
-      logger.error('Create invitation error:', error);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to create invitation'
-      });
-    }
-  }
-
-  /**
-   * POST /api/games/what-would-you-do/accept/:sessionId
-   * Accept a game invitation
-   */
-  async acceptInvitation(req, res) {
-    try {
-      const userId = req.user._id;
-      const { sessionId } = req.params;
-
-      if (!sessionId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Session ID is required'
-        });
-      }
-
-      const session = await whatWouldYouDoService.acceptInvitation(sessionId, userId);
-
-      res.json({
-        success: true,
-        message: 'Invitation accepted! Game is now active.',
-        data: {
-          sessionId: session.sessionId,
-          status: session.status,
-          expiresAt: session.expiresAt,
-          totalQuestions: 15
-        }
-      });
-
-    } catch (error) {
-      logger.error('Accept invitation error:', error);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to accept invitation'
-      });
-    }
-  }
-
-  /**
-   * POST /api/games/what-would-you-do/decline/:sessionId
-   * Decline a game invitation
-   */
-  async declineInvitation(req, res) {
-    try {
-      const userId = req.user._id;
-      const { sessionId } = req.params;
-
-      if (!sessionId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Session ID is required'
-        });
-      }
-
-      await whatWouldYouDoService.declineInvitation(sessionId, userId);
-
-      res.json({
-        success: true,
-        message: 'Invitation declined'
-      });
-
-    } catch (error) {
-      logger.error('Decline invitation error:', error);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to decline invitation'
-      });
-    }
-  }
-
-  /**
-   * GET /api/games/what-would-you-do/pending
-   * Get pending invitation for current user
-   */
-  async getPendingInvitation(req, res) {
-    try {
-      const userId = req.user._id;
-
-      const invitation = await whatWouldYouDoService.getPendingInvitation(userId);
-
-      if (!invitation) {
-        return res.json({
-          success: true,
-          data: null,
-          message: 'No pending invitations'
-        });
-      }
-
-      res.json({
-        success: true,
-        data: invitation
-      });
-
-    } catch (error) {
-      logger.error('Get pending invitation error:', error);
-      res.status(500).json({
-        success: false,
-        message: error.message || 'Failed to get pending invitation'
-      });
-    }
-  }
-
   // =====================================================
   // GAME STATE ENDPOINTS
   // =====================================================
@@ -274,7 +119,7 @@ class WhatWouldYouDoController {
         });
       }
 
-      const question = await whatWouldYouDoService.getQuestion(sessionId, userId, qNum);
+      const question = await whatWouldYouDoService.getQuestion(sessionId, userId, qNum, req.locale);
 
       res.json({
         success: true,
@@ -458,7 +303,7 @@ class WhatWouldYouDoController {
         });
       }
 
-      const results = await whatWouldYouDoService.getResults(sessionId, userId);
+      const results = await whatWouldYouDoService.getResults(sessionId, userId, req.locale);
 
       res.json({
         success: true,
@@ -474,208 +319,6 @@ class WhatWouldYouDoController {
     }
   }
 
-  /**
-   * GET /api/games/what-would-you-do/history
-   * Get completed games history
-   */
-  async getGameHistory(req, res) {
-    try {
-      const userId = req.user._id;
-      const limit = parseInt(req.query.limit, 10) || 10;
-
-      const history = await whatWouldYouDoService.getGameHistory(userId, limit);
-
-      res.json({
-        success: true,
-        data: history
-      });
-
-    } catch (error) {
-      logger.error('Get game history error:', error);
-      res.status(500).json({
-        success: false,
-        message: error.message || 'Failed to get game history'
-      });
-    }
-  }
-
-  // =====================================================
-  // DISCUSSION ENDPOINTS
-  // =====================================================
-
-  /**
-   * POST /api/games/what-would-you-do/discussion/:sessionId
-   * Add a discussion voice note
-   * 
-   * Expects multipart form data with:
-   * - voiceNote: audio file
-   * - duration: number (seconds)
-   * - questionNumber: (optional) specific question to discuss
-   */
-  async addDiscussionNote(req, res) {
-    try {
-      const userId = req.user._id;
-      const { sessionId } = req.params;
-      const { duration, questionNumber } = req.body;
-
-      if (!sessionId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Session ID is required'
-        });
-      }
-
-      if (!req.file) {
-        return res.status(400).json({
-          success: false,
-          message: 'Voice note file is required'
-        });
-      }
-
-      const durationSec = parseFloat(duration);
-      if (isNaN(durationSec) || durationSec < 1 || durationSec > 300) {
-        return res.status(400).json({
-          success: false,
-          message: 'Duration must be between 1 and 300 seconds'
-        });
-      }
-
-      const qNum = questionNumber ? parseInt(questionNumber, 10) : null;
-      if (qNum !== null && (qNum < 1 || qNum > 15)) {
-        return res.status(400).json({
-          success: false,
-          message: 'Question number must be between 1 and 15'
-        });
-      }
-
-      const result = await whatWouldYouDoService.addDiscussionNote(
-        sessionId,
-        userId,
-        req.file.buffer,
-        req.file.mimetype,
-        durationSec,
-        qNum
-      );
-
-      res.json({
-        success: true,
-        message: 'Discussion note added',
-        data: result
-      });
-
-    } catch (error) {
-      logger.error('Add discussion note error:', error);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to add discussion note'
-      });
-    }
-  }
-
-  /**
-   * GET /api/games/what-would-you-do/discussion/:sessionId
-   * Get all discussion notes for a session
-   */
-  async getDiscussionNotes(req, res) {
-    try {
-      const userId = req.user._id;
-      const { sessionId } = req.params;
-
-      if (!sessionId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Session ID is required'
-        });
-      }
-
-      const notes = await whatWouldYouDoService.getDiscussionNotes(sessionId, userId);
-
-      res.json({
-        success: true,
-        data: notes
-      });
-
-    } catch (error) {
-      logger.error('Get discussion notes error:', error);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to get discussion notes'
-      });
-    }
-  }
-
-  /**
-   * POST /api/games/what-would-you-do/discussion/:sessionId/listened/:noteIndex
-   * Mark a discussion note as listened
-   */
-  async markNoteListened(req, res) {
-    try {
-      const userId = req.user._id;
-      const { sessionId, noteIndex } = req.params;
-
-      if (!sessionId || noteIndex === undefined) {
-        return res.status(400).json({
-          success: false,
-          message: 'Session ID and note index are required'
-        });
-      }
-
-      await whatWouldYouDoService.markDiscussionNoteListened(
-        sessionId,
-        parseInt(noteIndex, 10),
-        userId
-      );
-
-      res.json({
-        success: true,
-        message: 'Note marked as listened'
-      });
-
-    } catch (error) {
-      logger.error('Mark note listened error:', error);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to mark note as listened'
-      });
-    }
-  }
-
-  // =====================================================
-  // GAME MANAGEMENT ENDPOINTS
-  // =====================================================
-
-  /**
-   * POST /api/games/what-would-you-do/abandon/:sessionId
-   * Abandon an active game
-   */
-  async abandonGame(req, res) {
-    try {
-      const userId = req.user._id;
-      const { sessionId } = req.params;
-
-      if (!sessionId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Session ID is required'
-        });
-      }
-
-      await whatWouldYouDoService.abandonGame(sessionId, userId);
-
-      res.json({
-        success: true,
-        message: 'Game abandoned'
-      });
-
-    } catch (error) {
-      logger.error('Abandon game error:', error);
-      res.status(400).json({
-        success: false,
-        message: error.message || 'Failed to abandon game'
-      });
-    }
-  }
-
   // =====================================================
   // UTILITY ENDPOINTS
   // =====================================================
@@ -686,7 +329,10 @@ class WhatWouldYouDoController {
    */
   async getAllQuestions(req, res) {
     try {
-      const questions = await WhatWouldYouDoQuestion.getGameQuestions();
+      const questions = await WhatWouldYouDoQuestion.localize(
+        await WhatWouldYouDoQuestion.getGameQuestions(),
+        req.locale
+      );
       const categoryInfo = WhatWouldYouDoQuestion.getCategoryInfo();
 
       res.json({
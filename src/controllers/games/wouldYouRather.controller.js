@@ -3,7 +3,6 @@
 const wouldYouRatherService = require('../../services/games/wouldYouRather.service');
 const WouldYouRatherSession = require('../../models/games/WouldYouRatherSession');
 const WouldYouRatherQuestion = require('../../models/games/WouldYouRatherQuestion');
-const s3Service = require('../../services/s3.service');
 const logger = require('../../utils/logger');
 
 /**
@@ -14,10 +13,10 @@ const logger = require('../../utils/logger');
  * Note: Most gameplay happens via Socket.io (real-time).
  * These endpoints handle:
  * - Fetching results after game completion
- * - Getting AI insights
- * - Game history
- * - Voice note uploads
- * - Checking pending invitations (for app launch)
+ * - Session state and async play
+ *
+ * Invitations, history, voice notes and AI insights are served for every
+ * game by controllers/games/games.controller.js.
  */
 
 /**
@@ -35,16 +34,18 @@ exports.getQuestions = async (req, res) => {
       questions = await WouldYouRatherQuestion.getAllActive();
     }
 
+    const localized = await WouldYouRatherQuestion.localize(questions.map(q => ({
+      questionNumber: q.questionNumber,
+      category: q.category,
+      optionA: q.optionA,
+      optionB: q.optionB,
+      spiceLevel: q.spiceLevel
+    })), req.locale);
+
     res.status(200).json({
       success: true,
-      count: questions.length,
-      data: questions.map(q => ({
-        questionNumber: q.questionNumber,
-        category: q.category,
-        optionA: q.optionA,
-        optionB: q.optionB,
-        spiceLevel: q.spiceLevel
-      }))
+      count: localized.length,
+      data: localized
     });
 
   } catch (error) {
@@ -92,31 +93,6 @@ exports.getCategories = async (req, res) => {
   }
 };
 
-/**
- * Check for pending game invitation
- * GET /api/games/would-you-rather/pending-invitation
- */
-exports.getPendingInvitation = async (req, res) => {
-  try {
-    const userId = req.user._id;
-
-    const invitation = await wouldYouRatherService.getPendingInvitation(userId);
-
-    res.status(200).json({
-      success: true,
-      hasPendingInvitation: !!invitation,
-      data: invitation
-    });
-
-  } catch (error) {
-    logger.error('Error checking pending invitation:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to check pending invitations'
-    });
-  }
-};
-
 /**
  * Get active game session (if any)
  * GET /api/games/would-you-rather/active
@@ -190,7 +166,7 @@ exports.getDetailedResults = async (req, res) => {
       });
     }
 
-    const detailed = await wouldYouRatherService.getDetailedResults(sessionId, userId);
+    const detailed = await wouldYouRatherService.getDetailedResults(sessionId, userId, req.locale);
 
     res.status(200).json({
       success: true,
@@ -206,257 +182,6 @@ exports.getDetailedResults = async (req, res) => {
   }
 };
 
-/**
- * Get or generate AI insights
- * GET /api/games/would-you-rather/sessions/:sessionId/insights
- */
-exports.getAiInsights = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { sessionId } = req.params;
-
-    if (!sessionId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Session ID is required'
-      });
-    }
-
-    // First verify user is a player
-    const session = await WouldYouRatherSession.findOne({ sessionId });
-    
-    if (!session) {
-      return res.status(404).json({
-        success: false,
-        message: 'Session not found'
-      });
-    }
-
-    const isPlayer = 
-      session.player1.userId.toString() === userId.toString() ||
-      session.player2.userId.toString() === userId.toString();
-
-    if (!isPlayer) {
-      return res.status(403).json({
-        success: false,
-        message: 'You are not a player in this game'
-      });
-    }
-
-    if (!['completed', 'discussion'].includes(session.status)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Game is not completed yet'
-      });
-    }
-
-    // Check if insights already exist
-    if (session.aiInsights?.generatedAt) {
-      return res.status(200).json({
-        success: true,
-        data: session.aiInsights
-      });
-    }
-
-    // Generate new insights
-    const insights = await wouldYouRatherService.generateAiInsights(sessionId);
-
-    res.status(200).json({
-      success: true,
-      data: insights
-    });
-
-  } catch (error) {
-    logger.error('Error fetching AI insights:', error);
-    res.status(500).json({
-      success: false,
-      message: error.message || 'Failed to fetch AI insights'
-    });
-  }
-};
-
-/**
- * Get game history for current user
- * GET /api/games/would-you-rather/history
- */
-exports.getGameHistory = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { limit = 20 } = req.query;
-
-    const history = await wouldYouRatherService.getGameHistory(
-      userId, 
-      parseInt(limit)
-    );
-
-    res.status(200).json({
-      success: true,
-      count: history.length,
-      data: history
-    });
-
-  } catch (error) {
-    logger.error('Error fetching game history:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch game history'
-    });
-  }
-};
-
-/**
- * Get game history with a specific match
- * GET /api/games/would-you-rather/history/:matchId
- */
-exports.getMatchHistory = async (req, res) => {
-  try {
-    const { matchId } = req.params;
-
-    if (!matchId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Match ID is required'
-      });
-    }
-
-    const history = await WouldYouRatherSession.getMatchHistory(matchId);
-
-    res.status(200).json({
-      success: true,
-      count: history.length,
-      data: history
-    });
-
-  } catch (error) {
-    logger.error('Error fetching match history:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Failed to fetch match history'
-    });
-  }
-};
-
-/**
- * Upload voice note for a session
- * POST /api/games/would-you-rather/sessions/:sessionId/voice-notes
- * Body: multipart/form-data with 'audio' file
- */
-exports.uploadVoiceNote = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { sessionId } = req.params;
-
-    if (!sessionId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Session ID is required'
-      });
-    }
-
-    if (!req.file) {
-      return res.status(400).json({
-        success: false,
-        message: 'Audio file is required'
-      });
-    }
-
-    // Validate file type
-    const allowedMimeTypes = ['audio/mpeg', 'audio/mp4', 'audio/wav', 'audio/webm', 'audio/ogg'];
-    if (!allowedMimeTypes.includes(req.file.mimetype)) {
-      return res.status(400).json({
-        success: false,
-        message: 'Invalid audio format. Allowed: mp3, mp4, wav, webm, ogg'
-      });
-    }
-
-    // Validate file size (max 5MB)
-    const maxSize = 5 * 1024 * 1024;
-    if (req.file.size > maxSize) {
-      return res.status(400).json({
-        success: false,
-        message: 'Audio file too large. Maximum size is 5MB'
-      });
-    }
-
-    // Get duration from request body (frontend should calculate this)
-    const duration = parseInt(req.body.duration) || 0;
-    
-    if (duration <= 0 || duration > 60) {
-      return res.status(400).json({
-        success: false,
-        message: 'Duration must be between 1 and 60 seconds'
-      });
-    }
-
-    // Upload to S3
-    const key = `games/wyr/${sessionId}/voice-notes/${userId}-${Date.now()}.${getFileExtension(req.file.mimetype)}`;
-    
-    const audioUrl = await s3Service.uploadFile(
-      req.file.buffer,
-      key,
-      req.file.mimetype
-    );
-
-    // Add voice note to session
-    const result = await wouldYouRatherService.addVoiceNote(
-      sessionId,
-      userId,
-      audioUrl,
-      duration
-    );
-
-    res.status(201).json({
-      success: true,
-      message: 'Voice note uploaded successfully',
-      data: {
-        audioUrl,
-        duration,
-        voiceNoteCount: result.voiceNotes.length
-      }
-    });
-
-  } catch (error) {
-    logger.error('Error uploading voice note:', error);
-    res.status(error.message.includes('not found') ? 404 : 500).json({
-      success: false,
-      message: error.message || 'Failed to upload voice note'
-    });
-  }
-};
-
-/**
- * Get voice notes for a session
- * GET /api/games/would-you-rather/sessions/:sessionId/voice-notes
- */
-exports.getVoiceNotes = async (req, res) => {
-  try {
-    const userId = req.user._id;
-    const { sessionId } = req.params;
-
-    if (!sessionId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Session ID is required'
-      });
-    }
-
-    const voiceNotes = await wouldYouRatherService.getVoiceNotes(sessionId, userId);
-
-    res.status(200).json({
-      success: true,
-      count: voiceNotes.length,
-      data: voiceNotes
-    });
-
-  } catch (error) {
-    logger.error('Error fetching voice notes:', error);
-    res.status(error.message.includes('not found') ? 404 : 500).json({
-      success: false,
-      message: error.message || 'Failed to fetch voice notes'
-    });
-  }
-};
-
 /**
  * Get session details (for reconnection)
  * GET /api/games/would-you-rather/sessions/:sessionId
@@ -502,7 +227,7 @@ exports.getSession = async (req, res) => {
       status: session.status,
       matchId: session.matchId,
       partner: {
-        oduserId: partner.userId._id,
+        userId: partner.userId._id,
         firstName: partner.userId.firstName,
         lastName: partner.userId.lastName,
         profilePhoto: partner.userId.profilePhoto,
@@ -514,8 +239,8 @@ exports.getSession = async (req, res) => {
       },
       progress: {
         currentQuestionIndex: session.currentQuestionIndex,
-        totalQuestions: 50,
-        percent: Math.round((session.currentQuestionIndex / 50) * 100)
+        totalQuestions: session.totalQuestions,
+        percent: session.progressPercent
       },
       timestamps: {
         invitedAt: session.invitedAt,
@@ -528,7 +253,7 @@ exports.getSession = async (req, res) => {
     // Add current question if game is in progress
     if (session.status === 'playing') {
       const questionNumber = session.questionOrder[session.currentQuestionIndex];
-      const question = await WouldYouRatherQuestion.findOne({ questionNumber });
+      const question = await WouldYouRatherQuestion.findVersionAsOf(questionNumber, session.createdAt, req.locale);
 
       response.currentQuestion = {
         index: session.currentQuestionIndex,
@@ -560,97 +285,74 @@ exports.getSession = async (req, res) => {
   }
 };
 
+// =====================================================
+// ASYNC PLAY
+// =====================================================
+
+/**
+ * HTTP status for an async play error: the engine's ApiError status,
+ * or 400 for an answer the game rejected
+ */
+function asyncErrorStatus(error) {
+  return error.statusCode || 400;
+}
+
 /**
- * Create game invitation via HTTP (alternative to socket)
- * POST /api/games/would-you-rather/invite
- * Body: { matchId }
+ * Get async game state: your next question, both players' progress
+ * and the questions revealed so far
+ * GET /api/games/would-you-rather/sessions/:sessionId/async
  */
-exports.createInvitation = async (req, res) => {
+exports.getAsyncState = async (req, res) => {
   try {
     const userId = req.user._id;
-    const { matchId } = req.body;
-
-    if (!matchId) {
-      return res.status(400).json({
-        success: false,
-        message: 'Match ID is required'
-      });
-    }
+    const { sessionId } = req.params;
 
-    const result = await wouldYouRatherService.createInvitation(userId, matchId);
+    const state = await wouldYouRatherService.getAsyncState(sessionId, userId, req.locale);
 
-    res.status(201).json({
+    res.status(200).json({
       success: true,
-      message: 'Game invitation sent',
-      data: result
+      data: state
     });
 
   } catch (error) {
-    logger.error('Error creating invitation:', error);
-    res.status(error.message.includes('not found') ? 404 : 400).json({
+    logger.error('Error fetching async game state:', error);
+    res.status(asyncErrorStatus(error)).json({
       success: false,
-      message: error.message || 'Failed to create invitation'
+      message: error.message || 'Failed to fetch game state'
     });
   }
 };
 
-exports.acceptInvitation = async (req, res) => {
-    try {
-      const { sessionId } = req.params;
-      const userId = req.user._id;
-  
-      const session = await wouldYouRatherService.acceptInvitation(sessionId, userId);
-      
-      // NEW: Also start the game after accepting
-      const gameData = await wouldYouRatherService.startGame(sessionId);
-      
-      res.status(200).json({
-        success: true,
-        message: 'Invitation accepted and game started',
-        data: {
-          sessionId: session.sessionId,
-          status: gameData.status,
-          currentQuestion: gameData.currentQuestion
-        }
-      });
-    } catch (error) {
-      logger.error('Error accepting invitation:', { error: error.message, stack: error.stack });
-      res.status(400).json({
-        success: false,
-        message: error.message
-      });
-    }
-  };
-
 /**
- * Decline invitation via HTTP (alternative to socket)
- * POST /api/games/would-you-rather/sessions/:sessionId/decline
+ * Answer your next question in an async game
+ * POST /api/games/would-you-rather/sessions/:sessionId/async/answer
+ * Body: { questionIndex, answer: 'A' | 'B' }
  */
-exports.declineInvitation = async (req, res) => {
+exports.submitAsyncAnswer = async (req, res) => {
   try {
     const userId = req.user._id;
     const { sessionId } = req.params;
+    const questionIndex = Number(req.body.questionIndex);
 
-    if (!sessionId) {
+    if (!Number.isInteger(questionIndex) || questionIndex < 0) {
       return res.status(400).json({
         success: false,
-        message: 'Session ID is required'
+        message: 'questionIndex must be a non-negative integer'
       });
     }
 
-    const result = await wouldYouRatherService.declineInvitation(sessionId, userId);
+    const result = await wouldYouRatherService.submitAsyncAnswer(sessionId, userId, questionIndex, { answer: req.body.answer }, req.locale);
 
     res.status(200).json({
       success: true,
-      message: 'Game invitation declined',
       data: result
     });
 
   } catch (error) {
-    logger.error('Error declining invitation:', error);
-    res.status(error.message.includes('not found') ? 404 : 400).json({
+    logger.error('Error submitting async answer:', error);
+    res.status(asyncErrorStatus(error)).json({
       success: false,
-      message: error.message || 'Failed to decline invitation'
+      message: error.message || 'Failed to submit answer'
     });
   }
 };
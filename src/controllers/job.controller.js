@@ -0,0 +1,78 @@
+// src/controllers/job.controller.js
+
+const jobScheduler = require('../jobs');
+const JobRun = require('../models/JobRun');
+const ApiResponse = require('../utils/apiResponse');
+const ApiError = require('../utils/apiError');
+const asyncHandler = require('../middleware/errorHandler').asyncHandler;
+
+/**
+ * Job Controller
+ *
+ * HTTP request handlers for inspecting and triggering background jobs.
+ */
+
+/**
+ * @route   GET /api/v1/jobs
+ * @desc    List registered jobs with schedule and last run outcome
+ * @access  Admin
+ */
+const listJobs = asyncHandler(async (req, res) => {
+  const jobs = await jobScheduler.listJobs();
+
+  res.status(200).json(
+    new ApiResponse(200, { jobs }, 'Jobs retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/jobs/:name/runs
+ * @desc    Get recent run history for a job
+ * @access  Admin
+ */
+const getJobRuns = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 20, 100);
+
+  if (!jobScheduler.hasJob(name)) {
+    throw ApiError.notFound('Job not found');
+  }
+
+  const runs = await JobRun.getRecentRuns(name, limit);
+
+  res.status(200).json(
+    new ApiResponse(200, { name, runs }, 'Job runs retrieved successfully')
+  );
+});
+
+/**
+ * @route   POST /api/v1/jobs/:name/run
+ * @desc    Trigger a job immediately
+ * @access  Admin
+ */
+const triggerJob = asyncHandler(async (req, res) => {
+  const { name } = req.params;
+
+  if (!jobScheduler.hasJob(name)) {
+    throw ApiError.notFound('Job not found');
+  }
+
+  const run = await jobScheduler.runJob(name, {
+    trigger: 'manual',
+    triggeredBy: req.user._id,
+  });
+
+  if (run.status === 'skipped') {
+    throw ApiError.conflict('Job is already running');
+  }
+
+  res.status(200).json(
+    new ApiResponse(200, { run }, `Job ${run.status}`)
+  );
+});
+
+module.exports = {
+  listJobs,
+  getJobRuns,
+  triggerJob
+};
@@ -1,5 +1,11 @@
 const MatchingService = require('../services/matching.service');
 const ConversationStarterService = require('../services/conversationStarter.service');
+const MatchExplanationService = require('../services/matchExplanation.service');
+const notificationService = require('../services/notification.service');
+const matchExpiryService = require('../services/matchExpiry.service');
+const matchDropService = require('../services/matchDrop.service');
+const entitlementService = require('../services/entitlement.service');
+const { ENTITLEMENTS } = require('../services/subscription/plans');
 const Match = require('../models/Match');
 const User = require('../models/User');
 const AnswerAnalysis = require('../models/AnswerAnalysis');
@@ -15,11 +21,14 @@ class MatchController {
     // Bind all methods to this instance
     this.generateMatches = this.generateMatches.bind(this);
     this.getMatches = this.getMatches.bind(this);
+    this.getTodayMatches = this.getTodayMatches.bind(this);
     this.getMatchDetails = this.getMatchDetails.bind(this);
+    this.getMatchExplanation = this.getMatchExplanation.bind(this);
     this.revealMatch = this.revealMatch.bind(this);
     this.likeMatchWithMessage = this.likeMatchWithMessage.bind(this);
     this.getConversationStarters = this.getConversationStarters.bind(this);
     this.passMatch = this.passMatch.bind(this);
+    this.extendMatch = this.extendMatch.bind(this);
     this.getMutualMatches = this.getMutualMatches.bind(this);
     this.getMatchStats = this.getMatchStats.bind(this);
     this.refreshMatches = this.refreshMatches.bind(this);
@@ -30,21 +39,22 @@ class MatchController {
   }
 
   /**
-   * Generate matches for current user
+   * Get today's match drop for current user (made now if it isn't yet)
    * POST /api/v1/matches/generate
    */
   async generateMatches(req, res, next) {
     try {
       const userId = req.user._id;
 
-      logger.info(`Generating matches for user: ${userId}`);
+      logger.info(`Getting today's match drop for user: ${userId}`);
 
-      const result = await MatchingService.generateMatches(userId);
+      const result = await matchDropService.generateTodayDrop(userId);
 
       res.status(200).json({
         success: true,
         message: result.message,
         data: {
+          dropDate: result.dropDate,
           totalMatches: result.matches.length,
           stats: result.stats,
           matches: result.matches.map(m => ({
@@ -60,7 +70,30 @@ class MatchController {
 
     } catch (error) {
       logger.error('Error generating matches:', error);
-      next(new ApiError(error.message, 500));
+      next(error instanceof ApiError ? error : ApiError.internal(error.message));
+    }
+  }
+
+  /**
+   * Get today's matches with drop and refresh status
+   * GET /api/v1/matches/today
+   */
+  async getTodayMatches(req, res, next) {
+    try {
+      const userId = req.user._id;
+
+      logger.info(`Getting today's matches for user: ${userId}`);
+
+      const today = await matchDropService.getToday(userId);
+
+      res.status(200).json({
+        success: true,
+        data: today
+      });
+
+    } catch (error) {
+      logger.error('Error getting today\'s matches:', error);
+      next(error instanceof ApiError ? error : ApiError.internal(error.message));
     }
   }
 
@@ -118,12 +151,7 @@ class MatchController {
       }
 
       // Check if user has access to this match
-      const user = await User.findById(userId);
-      const isPremium = user.isPremium && user.premiumExpiry > new Date();
-      const devPremium = process.env.NODE_ENV === 'development' && 
-                         process.env.PREMIUM_TESTING_ENABLED === 'true' &&
-                         user.isPremium;
-      const hasAccess = isPremium || devPremium;
+      const hasAccess = entitlementService.hasEntitlement(req.user, ENTITLEMENTS.REVEAL_ALL_MATCHES);
 
       // Format response based on tier and access
       const response = {
@@ -141,7 +169,9 @@ class MatchController {
         isTeaser: match.isTeaser,
         status: match.status,
         isHighQualityMatch: match.isHighQualityMatch,
-        isMutualMatch: match.isMutualMatch
+        isMutualMatch: match.isMutualMatch,
+        expiresAt: match.expiresAt || null,
+        canExtend: match.canExtend()
       };
 
       // Determine what user info to show
@@ -187,6 +217,29 @@ class MatchController {
     }
   }
 
+  /**
+   * Explain a match's compatibility score
+   * GET /api/v1/matches/:matchId/explanation
+   */
+  async getMatchExplanation(req, res, next) {
+    try {
+      const explanation = await MatchExplanationService.explainMatch(
+        req.params.matchId,
+        req.user,
+        req.locale
+      );
+
+      res.status(200).json({
+        success: true,
+        data: explanation
+      });
+
+    } catch (error) {
+      logger.error('Error explaining match:', error);
+      next(error instanceof ApiError ? error : ApiError.internal(error.message));
+    }
+  }
+
   /**
    * Reveal/unlock a match
    * POST /api/v1/matches/:matchId/reveal
@@ -205,18 +258,17 @@ class MatchController {
         return next(new ApiError('Match not found', 404));
       }
 
+      if (match.status === 'expired') {
+        return next(ApiError.badRequest('Match has expired'));
+      }
+
       // Check if already revealed
       if (match.status === 'revealed' || match.status === 'liked' || match.status === 'passed') {
         return next(new ApiError('Match already revealed', 400));
       }
 
       // Check if user needs premium
-      const user = await User.findById(userId);
-      const isPremium = user.isPremium && user.premiumExpiry > new Date();
-      const devPremium = process.env.NODE_ENV === 'development' && 
-                         process.env.PREMIUM_TESTING_ENABLED === 'true' &&
-                         user.isPremium;
-      const hasAccess = isPremium || devPremium;
+      const hasAccess = entitlementService.hasEntitlement(req.user, ENTITLEMENTS.REVEAL_ALL_MATCHES);
 
       if (match.revealTier === 'premium_locked' && !hasAccess) {
         return res.status(403).json({
@@ -282,6 +334,10 @@ class MatchController {
     }
 
     // Validation checks
+    if (match.status === 'expired') {
+      return next(ApiError.badRequest('Match has expired'));
+    }
+
     if (match.status === 'pending') {
       return next(new ApiError('Match must be revealed before liking', 400));
     }
@@ -336,6 +392,13 @@ class MatchController {
       }
     }
 
+    // Let the other user know (they see mutual matches on their reverse match)
+    if (isMutual) {
+      await notificationService.notifyMutualMatch(match.matchedUserId._id, userId, reverseMatch._id);
+    } else {
+      await notificationService.notifyNewLike(match.matchedUserId._id, userId, match._id);
+    }
+
     res.status(200).json({
       success: true,
       message: isMutual ? 'It\'s a mutual match! 🎉' : 'Match liked successfully',
@@ -389,7 +452,8 @@ async getConversationStarters(req, res, next) {
       {
         overallScore: match.compatibilityScore,
         dimensionScores: match.dimensionScores
-      }
+      },
+      req.locale
     );
 
     // Cache in match document
@@ -454,6 +518,26 @@ async getConversationStarters(req, res, next) {
     }
   }
 
+  /**
+   * Extend a match before it expires (once per match)
+   * POST /api/v1/matches/:matchId/extend
+   */
+  async extendMatch(req, res, next) {
+    try {
+      const result = await matchExpiryService.extendMatch(req.user._id, req.params.matchId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Match extended successfully',
+        data: result
+      });
+
+    } catch (error) {
+      logger.error('Error extending match:', error);
+      next(error);
+    }
+  }
+
   /**
    * Get mutual matches
    * GET /api/v1/matches/mutual
@@ -520,7 +604,7 @@ async getConversationStarters(req, res, next) {
   }
 
   /**
-   * Refresh matches (re-generate)
+   * Refresh matches: an extra drop, limited per day
    * POST /api/v1/matches/refresh
    */
   async refreshMatches(req, res, next) {
@@ -529,20 +613,22 @@ async getConversationStarters(req, res, next) {
 
       logger.info(`Refreshing matches for user: ${userId}`);
 
-      const result = await MatchingService.refreshMatches(userId);
+      const result = await matchDropService.refresh(userId);
 
       res.status(200).json({
         success: true,
         message: result.message,
         data: {
+          dropDate: result.dropDate,
           totalMatches: result.matches.length,
-          stats: result.stats
+          stats: result.stats,
+          refreshes: result.refreshes
         }
       });
 
     } catch (error) {
       logger.error('Error refreshing matches:', error);
-      next(new ApiError(error.message, 500));
+      next(error instanceof ApiError ? error : ApiError.internal(error.message));
     }
   }
 
@@ -714,6 +800,10 @@ async getConversationStarters(req, res, next) {
         return next(new ApiError('This like has already been passed on', 400));
       }
 
+      if (incomingMatch.status === 'expired') {
+        return next(ApiError.badRequest('This like has expired'));
+      }
+
       // 2️⃣ Ensure we have B→A match (my perspective)
       let myMatch = await Match.findOne({
         userId,
@@ -738,7 +828,8 @@ async getConversationStarters(req, res, next) {
           isHighQualityMatch: incomingMatch.isHighQualityMatch,
           status: 'revealed', // B is actively looking at this
           generatedAt: new Date(),
-          matchingAlgorithmVersion: incomingMatch.matchingAlgorithmVersion || '1.0'
+          matchingAlgorithmVersion: incomingMatch.matchingAlgorithmVersion || '1.0',
+          weightSetVersion: incomingMatch.weightSetVersion || 0
         });
       }
 
@@ -797,6 +888,9 @@ async getConversationStarters(req, res, next) {
         // right after this call, using myMatch.initialMessage.
       }
 
+      // Tell A their like was returned
+      await notificationService.notifyMutualMatch(otherUserId, userId, incomingMatch._id);
+
       return res.status(200).json({
         success: true,
         message: 'It\'s a mutual match! 🎉',
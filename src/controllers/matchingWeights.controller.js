@@ -0,0 +1,30 @@
+// src/controllers/matchingWeights.controller.js
+
+const matchingWeightsService = require('../services/matchingWeights.service');
+const ApiResponse = require('../utils/apiResponse');
+const asyncHandler = require('../middleware/errorHandler').asyncHandler;
+
+/**
+ * Matching Weights Controller
+ *
+ * Trained dimension weights and how well each dimension predicts outcomes.
+ */
+
+/**
+ * @route   GET /api/v1/admin/matching-weights/report
+ * @desc    Predictive power per dimension, weight sets in use and experiment arms
+ * @access  Admin
+ */
+const getReport = asyncHandler(async (req, res) => {
+  const { scope = 'matching', version } = req.query;
+
+  const report = await matchingWeightsService.getReport(scope, version);
+
+  res.status(200).json(
+    new ApiResponse(200, report, 'Matching weights report retrieved successfully')
+  );
+});
+
+module.exports = {
+  getReport
+};
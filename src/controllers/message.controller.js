@@ -52,6 +52,10 @@ class MessageController {
         conversationId: conversation._id.toString()
       });
 
+      // Push to the recipient if they are offline
+      const populatedConversation = await ConversationService.getConversation(conversation._id, senderId);
+      await socketManager.notifyOfflineRecipient(populatedConversation, senderId, message);
+
       res.status(201).json(
         new ApiResponse(
           201,
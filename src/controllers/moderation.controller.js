@@ -0,0 +1,300 @@
+// src/controllers/moderation.controller.js
+
+const moderationService = require('../services/moderation.service');
+const ApiResponse = require('../utils/apiResponse');
+const asyncHandler = require('../middleware/errorHandler').asyncHandler;
+
+/**
+ * Moderation Controller
+ *
+ * HTTP request handlers for the admin moderation API.
+ * All routes are guarded by authenticate + requireAdmin.
+ */
+
+// ============================================
+// REPORT QUEUE
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/moderation/reports
+ * @desc    Paginated moderation queue
+ * @access  Admin
+ */
+const getQueue = asyncHandler(async (req, res) => {
+  const { status, severity, reason } = req.query;
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 20;
+
+  const result = await moderationService.getQueue({ status, severity, reason, page, limit });
+
+  return ApiResponse.paginated(res, result.reports, page, limit, result.total, 'Moderation queue retrieved successfully');
+});
+
+/**
+ * @route   GET /api/v1/admin/moderation/reports/:reportId
+ * @desc    Report with reported message and surrounding conversation
+ * @access  Admin
+ */
+const getReport = asyncHandler(async (req, res) => {
+  const context = req.query.context ?? 10;
+
+  const result = await moderationService.getReportDetail(req.params.reportId, context);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Report retrieved successfully')
+  );
+});
+
+/**
+ * @route   POST /api/v1/admin/moderation/reports/:reportId/dismiss
+ * @desc    Dismiss a report
+ * @access  Admin
+ */
+const dismissReport = asyncHandler(async (req, res) => {
+  const report = await moderationService.dismissReport(
+    req.params.reportId,
+    req.user._id,
+    req.body.notes
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { report }, 'Report dismissed')
+  );
+});
+
+/**
+ * @route   POST /api/v1/admin/moderation/reports/:reportId/escalate
+ * @desc    Escalate a report
+ * @access  Admin
+ */
+const escalateReport = asyncHandler(async (req, res) => {
+  const report = await moderationService.escalateReport(
+    req.params.reportId,
+    req.user._id,
+    req.body.notes
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { report }, 'Report escalated')
+  );
+});
+
+/**
+ * @route   POST /api/v1/admin/moderation/reports/:reportId/warn
+ * @desc    Warn the reported user
+ * @access  Admin
+ */
+const warnUser = asyncHandler(async (req, res) => {
+  const report = await moderationService.warnUser(
+    req.params.reportId,
+    req.user._id,
+    req.body.notes
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { report }, 'Warning issued')
+  );
+});
+
+/**
+ * @route   POST /api/v1/admin/moderation/reports/:reportId/remove-message
+ * @desc    Remove the reported message
+ * @access  Admin
+ */
+const removeMessage = asyncHandler(async (req, res) => {
+  const report = await moderationService.removeMessage(
+    req.params.reportId,
+    req.user._id,
+    req.body.notes
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { report }, 'Message removed')
+  );
+});
+
+/**
+ * @route   POST /api/v1/admin/moderation/reports/:reportId/ban
+ * @desc    Ban the reported user
+ * @access  Admin
+ */
+const banFromReport = asyncHandler(async (req, res) => {
+  const report = await moderationService.banFromReport(
+    req.params.reportId,
+    req.user._id,
+    req.body.reason,
+    req.body.notes
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { report }, 'User banned')
+  );
+});
+
+// ============================================
+// USERS
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/moderation/users/:userId
+ * @desc    User's violations, open reports and moderation history
+ * @access  Admin
+ */
+const getUserRecord = asyncHandler(async (req, res) => {
+  const result = await moderationService.getUserRecord(req.params.userId);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'User moderation record retrieved successfully')
+  );
+});
+
+/**
+ * @route   POST /api/v1/admin/moderation/users/:userId/ban
+ * @desc    Ban a user directly
+ * @access  Admin
+ */
+const banUser = asyncHandler(async (req, res) => {
+  const user = await moderationService.banUser(
+    req.params.userId,
+    req.user._id,
+    req.body.reason,
+    req.body.notes
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { user }, 'User banned')
+  );
+});
+
+/**
+ * @route   POST /api/v1/admin/moderation/users/:userId/unban
+ * @desc    Lift a user's ban
+ * @access  Admin
+ */
+const unbanUser = asyncHandler(async (req, res) => {
+  const user = await moderationService.unbanUser(
+    req.params.userId,
+    req.user._id,
+    req.body.notes
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { user }, 'User unbanned')
+  );
+});
+
+// ============================================
+// BLOCKS
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/moderation/blocks
+ * @desc    Blocks awaiting review
+ * @access  Admin
+ */
+const getBlocks = asyncHandler(async (req, res) => {
+  const { reviewStatus } = req.query;
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 20;
+
+  const result = await moderationService.getBlocks({ reviewStatus, page, limit });
+
+  return ApiResponse.paginated(res, result.blocks, page, limit, result.total, 'Blocks retrieved successfully');
+});
+
+/**
+ * @route   POST /api/v1/admin/moderation/blocks/:blockId/review
+ * @desc    Record a review decision on a block
+ * @access  Admin
+ */
+const reviewBlock = asyncHandler(async (req, res) => {
+  const block = await moderationService.reviewBlock(
+    req.params.blockId,
+    req.user._id,
+    req.body.status,
+    req.body.notes
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { block }, 'Block reviewed')
+  );
+});
+
+/**
+ * @route   POST /api/v1/admin/moderation/blocks/:blockId/extend
+ * @desc    Extend a temporary block
+ * @access  Admin
+ */
+const extendBlock = asyncHandler(async (req, res) => {
+  const block = await moderationService.extendBlock(
+    req.params.blockId,
+    req.user._id,
+    req.body.days || 30,
+    req.body.notes
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { block }, 'Block extended')
+  );
+});
+
+/**
+ * @route   POST /api/v1/admin/moderation/blocks/:blockId/make-permanent
+ * @desc    Make a block permanent
+ * @access  Admin
+ */
+const makeBlockPermanent = asyncHandler(async (req, res) => {
+  const block = await moderationService.makeBlockPermanent(
+    req.params.blockId,
+    req.user._id,
+    req.body.notes
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { block }, 'Block made permanent')
+  );
+});
+
+// ============================================
+// AUDIT TRAIL
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/moderation/audit
+ * @desc    Audit trail of moderator actions
+ * @access  Admin
+ */
+const getAuditTrail = asyncHandler(async (req, res) => {
+  const { moderatorId, userId, reportId, action } = req.query;
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 50;
+
+  const result = await moderationService.getAuditTrail({
+    moderatorId,
+    subjectUserId: userId,
+    reportId,
+    action,
+    page,
+    limit,
+  });
+
+  return ApiResponse.paginated(res, result.actions, page, limit, result.total, 'Audit trail retrieved successfully');
+});
+
+module.exports = {
+  getQueue,
+  getReport,
+  dismissReport,
+  escalateReport,
+  warnUser,
+  removeMessage,
+  banFromReport,
+  getUserRecord,
+  banUser,
+  unbanUser,
+  getBlocks,
+  reviewBlock,
+  extendBlock,
+  makeBlockPermanent,
+  getAuditTrail
+};
@@ -0,0 +1,160 @@
+// src/controllers/notification.controller.js
+
+const notificationService = require('../services/notification.service');
+const ApiResponse = require('../utils/apiResponse');
+const asyncHandler = require('../middleware/errorHandler').asyncHandler;
+
+/**
+ * Notification Controller
+ *
+ * HTTP request handlers for the notification inbox, preferences
+ * and push device token.
+ */
+
+// ============================================
+// INBOX
+// ============================================
+
+/**
+ * @route   GET /api/v1/notifications
+ * @desc    Get notification inbox (newest first)
+ * @access  Private
+ */
+const getInbox = asyncHandler(async (req, res) => {
+  const unreadOnly = req.query.unreadOnly || false;
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 20;
+
+  const result = await notificationService.getInbox(req.user._id, { unreadOnly, page, limit });
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Notifications retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/notifications/unread-count
+ * @desc    Get unread notification count
+ * @access  Private
+ */
+const getUnreadCount = asyncHandler(async (req, res) => {
+  const unreadCount = await notificationService.getUnreadCount(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, { unreadCount }, 'Unread count retrieved successfully')
+  );
+});
+
+/**
+ * @route   PATCH /api/v1/notifications/:notificationId/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+const markAsRead = asyncHandler(async (req, res) => {
+  const notification = await notificationService.markAsRead(
+    req.user._id,
+    req.params.notificationId
+  );
+
+  res.status(200).json(
+    new ApiResponse(200, { notification }, 'Notification marked as read')
+  );
+});
+
+/**
+ * @route   POST /api/v1/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+const markAllAsRead = asyncHandler(async (req, res) => {
+  const updated = await notificationService.markAllAsRead(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, { updated }, 'All notifications marked as read')
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/notifications/:notificationId
+ * @desc    Delete a notification
+ * @access  Private
+ */
+const deleteNotification = asyncHandler(async (req, res) => {
+  await notificationService.deleteNotification(req.user._id, req.params.notificationId);
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'Notification deleted')
+  );
+});
+
+// ============================================
+// PREFERENCES
+// ============================================
+
+/**
+ * @route   GET /api/v1/notifications/preferences
+ * @desc    Get notification preferences
+ * @access  Private
+ */
+const getPreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationService.getPreferences(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, { preferences }, 'Preferences retrieved successfully')
+  );
+});
+
+/**
+ * @route   PATCH /api/v1/notifications/preferences
+ * @desc    Update notification preferences
+ * @access  Private
+ */
+const updatePreferences = asyncHandler(async (req, res) => {
+  const preferences = await notificationService.updatePreferences(req.user._id, req.body);
+
+  res.status(200).json(
+    new ApiResponse(200, { preferences }, 'Preferences updated successfully')
+  );
+});
+
+// ============================================
+// DEVICE TOKEN
+// ============================================
+
+/**
+ * @route   PUT /api/v1/notifications/device-token
+ * @desc    Register the device's push token
+ * @access  Private
+ */
+const registerDeviceToken = asyncHandler(async (req, res) => {
+  await notificationService.registerDeviceToken(req.user._id, req.body.token);
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'Device token registered')
+  );
+});
+
+/**
+ * @route   DELETE /api/v1/notifications/device-token
+ * @desc    Remove the push token (e.g. on logout)
+ * @access  Private
+ */
+const removeDeviceToken = asyncHandler(async (req, res) => {
+  await notificationService.removeDeviceToken(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, null, 'Device token removed')
+  );
+});
+
+module.exports = {
+  getInbox,
+  getUnreadCount,
+  markAsRead,
+  markAllAsRead,
+  deleteNotification,
+  getPreferences,
+  updatePreferences,
+  registerDeviceToken,
+  removeDeviceToken
+};
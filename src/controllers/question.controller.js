@@ -64,7 +64,7 @@ class QuestionController {
 
       logger.info(`Getting daily questions for user ${userId}`);
 
-      const result = await QuestionService.getDailyQuestions(userId);
+      const result = await QuestionService.getDailyQuestions(userId, req.locale);
 
       return res.status(200).json({
         success: true,
@@ -101,7 +101,7 @@ class QuestionController {
 
       logger.info(`Getting question ${questionNumber} for user ${userId}`);
 
-      const result = await QuestionService.getQuestionByNumber(userId, questionNumber);
+      const result = await QuestionService.getQuestionByNumber(userId, questionNumber, req.locale);
 
       return res.status(200).json({
         success: true,
@@ -339,7 +339,7 @@ static async submitAnswer(req, res) {
 
       logger.info(`Getting all answers for user ${userId}`);
 
-      const answers = await QuestionService.getUserAnswers(userId);
+      const answers = await QuestionService.getUserAnswers(userId, req.locale);
 
       return res.status(200).json({
         success: true,
@@ -453,7 +453,7 @@ static async submitAnswer(req, res) {
 
       logger.info(`Getting questions for dimension ${dimension}, user ${userId}`);
 
-      const questions = await QuestionService.getQuestionsByDimension(userId, dimension);
+      const questions = await QuestionService.getQuestionsByDimension(userId, dimension, req.locale);
 
       return res.status(200).json({
         success: true,
@@ -0,0 +1,80 @@
+// src/controllers/subscription.controller.js
+
+const subscriptionService = require('../services/subscription.service');
+const ApiResponse = require('../utils/apiResponse');
+const asyncHandler = require('../middleware/errorHandler').asyncHandler;
+
+/**
+ * Subscription Controller
+ *
+ * HTTP request handlers for premium plans, receipt verification
+ * and subscription status.
+ */
+
+/**
+ * @route   GET /api/v1/subscriptions/plans
+ * @desc    List purchasable plans with their store product IDs
+ * @access  Private
+ */
+const getPlans = asyncHandler(async (req, res) => {
+  const plans = subscriptionService.getPlans();
+
+  res.status(200).json(
+    new ApiResponse(200, { plans }, 'Plans retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/subscriptions/me
+ * @desc    Get current entitlements and subscription
+ * @access  Private
+ */
+const getMySubscription = asyncHandler(async (req, res) => {
+  const status = await subscriptionService.getStatus(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, status, 'Subscription retrieved successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/subscriptions/me/history
+ * @desc    Get subscription event history (newest first)
+ * @access  Private
+ */
+const getMyHistory = asyncHandler(async (req, res) => {
+  const page = req.query.page || 1;
+  const limit = req.query.limit || 20;
+
+  const history = await subscriptionService.getHistory(req.user._id, { page, limit });
+
+  res.status(200).json(
+    new ApiResponse(200, history, 'Subscription history retrieved successfully')
+  );
+});
+
+/**
+ * @route   POST /api/v1/subscriptions/verify
+ * @desc    Verify a store receipt (new purchase or restore)
+ * @access  Private
+ */
+const verifyReceipt = asyncHandler(async (req, res) => {
+  const { platform, productId, receipt } = req.body;
+
+  const status = await subscriptionService.verifyPurchase(req.user._id, {
+    platform,
+    productId,
+    receipt,
+  });
+
+  res.status(200).json(
+    new ApiResponse(200, status, 'Purchase verified successfully')
+  );
+});
+
+module.exports = {
+  getPlans,
+  getMySubscription,
+  getMyHistory,
+  verifyReceipt,
+};
@@ -10,74 +10,6 @@ class TwoTruthsLieController {
   
   // ==================== GAME MANAGEMENT ====================
 
-  /**
-   * Start a new game with a matched partner
-   * POST /api/v1/games/two-truths-lie/start
-   */
-  async startGame(req, res) {
-    try {
-      const initiatorId = req.user._id;
-      const { partnerId } = req.body;
-
-      // Validation
-      if (!partnerId) {
-        return res.status(400).json({
-          success: false,
-          message: 'partnerId is required',
-        });
-      }
-
-      if (initiatorId.toString() === partnerId) {
-        return res.status(400).json({
-          success: false,
-          message: 'Cannot start a game with yourself',
-        });
-      }
-
-      const result = await twoTruthsLieService.startGame(initiatorId, partnerId);
-      const { game } = result;
-
-      logger.info('Game started', {
-        gameId: game._id.toString(),
-        initiatorId: initiatorId.toString(),
-        partnerId,
-      });
-
-      // Return the already-populated game directly instead of re-fetching
-      res.status(201).json({
-        success: true,
-        message: 'Game invitation sent',
-        data: {
-          game,
-          userRole: 'initiator',
-          userPhase: game.initiatorPhase,
-        },
-      });
-
-    } catch (error) {
-      logger.error('Error starting game:', error);
-
-      if (error.message.includes('mutual match') || error.message.includes('No mutual match')) {
-        return res.status(403).json({
-          success: false,
-          message: 'You can only play with mutual matches',
-        });
-      }
-
-      if (error.message.includes('active game')) {
-        return res.status(409).json({
-          success: false,
-          message: 'You already have an active game with this person',
-        });
-      }
-
-      res.status(500).json({
-        success: false,
-        message: 'Failed to start game',
-      });
-    }
-  }
-
   /**
    * Get active games for current user
    * GET /api/v1/games/two-truths-lie/active
@@ -104,32 +36,6 @@ class TwoTruthsLieController {
     }
   }
 
-  /**
-   * Get pending invitations for current user
-   * GET /api/v1/games/two-truths-lie/invitations
-   */
-  async getPendingInvitations(req, res) {
-    try {
-      const userId = req.user._id;
-      const invitations = await twoTruthsLieService.getPendingInvitations(userId);
-
-      res.json({
-        success: true,
-        data: {
-          invitations,
-          count: invitations.length,
-        },
-      });
-
-    } catch (error) {
-      logger.error('Error getting pending invitations:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to get pending invitations',
-      });
-    }
-  }
-
   /**
    * Get game details by ID
    * GET /api/v1/games/two-truths-lie/:gameId
@@ -179,92 +85,6 @@ class TwoTruthsLieController {
     }
   }
 
-  /**
-   * Accept game invitation
-   * POST /api/v1/games/two-truths-lie/:gameId/accept
-   */
-  async acceptInvitation(req, res) {
-    try {
-      const userId = req.user._id;
-      const { gameId } = req.params;
-
-      const game = await twoTruthsLieService.acceptInvitation(gameId, userId);
-
-      logger.info('Game invitation accepted', {
-        gameId,
-        acceptedBy: userId,
-      });
-
-      res.json({
-        success: true,
-        message: 'Game accepted! Start writing your statements.',
-        data: {
-          game: await twoTruthsLieService.getGameDetails(gameId, userId),
-        },
-      });
-
-    } catch (error) {
-      logger.error('Error accepting invitation:', error);
-
-      if (error.message.includes('Only the partner') || error.message.includes('Only the invited')) {
-        return res.status(403).json({
-          success: false,
-          message: 'Only the invited player can accept',
-        });
-      }
-
-      if (error.message.includes('pending_acceptance') || error.message.includes('not pending')) {
-        return res.status(400).json({
-          success: false,
-          message: 'This invitation is no longer pending',
-        });
-      }
-
-      res.status(500).json({
-        success: false,
-        message: 'Failed to accept invitation',
-      });
-    }
-  }
-
-  /**
-   * Decline game invitation
-   * POST /api/v1/games/two-truths-lie/:gameId/decline
-   */
-  async declineInvitation(req, res) {
-    try {
-      const userId = req.user._id;
-      const { gameId } = req.params;
-
-      await twoTruthsLieService.declineInvitation(gameId, userId);
-
-      logger.info('Game invitation declined', {
-        gameId,
-        declinedBy: userId,
-      });
-
-      res.json({
-        success: true,
-        message: 'Game invitation declined',
-      });
-
-    } catch (error) {
-      logger.error('Error declining invitation:', error);
-
-      if (error.message.includes('Only the partner') || error.message.includes('Only the invited')) {
-        return res.status(403).json({
-          success: false,
-          message: 'Only the invited player can decline',
-        });
-      }
-
-      res.status(500).json({
-        success: false,
-        message: 'Failed to decline invitation',
-      });
-    }
-  }
-
   // ==================== STATEMENTS ====================
 
   /**
@@ -651,160 +471,6 @@ class TwoTruthsLieController {
     }
   }
 
-  // ==================== VOICE NOTES ====================
-
-  /**
-   * Send voice note
-   * POST /api/v1/games/two-truths-lie/:gameId/voice-notes
-   */
-  async sendVoiceNote(req, res) {
-    try {
-      const userId = req.user._id;
-      const { gameId } = req.params;
-      const { duration, relatedRoundNumber } = req.body;
-
-      // Validation
-      if (!req.file) {
-        return res.status(400).json({
-          success: false,
-          message: 'Audio file is required',
-        });
-      }
-
-      const parsedDuration = parseFloat(duration);
-      if (!duration || isNaN(parsedDuration) || parsedDuration <= 0) {
-        return res.status(400).json({
-          success: false,
-          message: 'duration is required and must be a positive number',
-        });
-      }
-
-      if (parsedDuration > 60) {
-        return res.status(400).json({
-          success: false,
-          message: 'Voice note cannot exceed 60 seconds',
-        });
-      }
-
-      let roundNum = null;
-      if (relatedRoundNumber !== undefined && relatedRoundNumber !== null && relatedRoundNumber !== '') {
-        roundNum = parseInt(relatedRoundNumber);
-        if (isNaN(roundNum) || roundNum < 1 || roundNum > 10) {
-          return res.status(400).json({
-            success: false,
-            message: 'relatedRoundNumber must be between 1 and 10',
-          });
-        }
-      }
-
-      const voiceNote = await twoTruthsLieService.sendVoiceNote(
-        gameId,
-        userId,
-        req.file,
-        parsedDuration,
-        roundNum
-      );
-
-      logger.info('Voice note sent', {
-        gameId,
-        voiceNoteId: voiceNote._id,
-        senderId: userId,
-        duration: parsedDuration,
-      });
-
-      res.status(201).json({
-        success: true,
-        message: 'Voice note sent',
-        data: {
-          voiceNote,
-        },
-      });
-
-    } catch (error) {
-      logger.error('Error sending voice note:', error);
-
-      if (error.message.includes('completed')) {
-        return res.status(400).json({
-          success: false,
-          message: 'Voice notes can only be sent after game completion',
-        });
-      }
-
-      if (error.message.includes('Invalid audio')) {
-        return res.status(400).json({
-          success: false,
-          message: 'Invalid audio format. Supported: mp3, m4a, wav, webm, ogg',
-        });
-      }
-
-      res.status(500).json({
-        success: false,
-        message: 'Failed to send voice note',
-      });
-    }
-  }
-
-  /**
-   * Get voice notes for game
-   * GET /api/v1/games/two-truths-lie/:gameId/voice-notes
-   */
-  async getVoiceNotes(req, res) {
-    try {
-      const userId = req.user._id;
-      const { gameId } = req.params;
-
-      const voiceNotes = await twoTruthsLieService.getVoiceNotes(gameId, userId);
-
-      res.json({
-        success: true,
-        data: {
-          voiceNotes,
-          count: voiceNotes.length,
-        },
-      });
-
-    } catch (error) {
-      logger.error('Error getting voice notes:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to get voice notes',
-      });
-    }
-  }
-
-  /**
-   * Mark voice note as listened
-   * POST /api/v1/games/two-truths-lie/:gameId/voice-notes/:voiceNoteId/listened
-   */
-  async markVoiceNoteListened(req, res) {
-    try {
-      const userId = req.user._id;
-      const { voiceNoteId } = req.params;
-
-      await twoTruthsLieService.markVoiceNoteListened(voiceNoteId, userId);
-
-      res.json({
-        success: true,
-        message: 'Voice note marked as listened',
-      });
-
-    } catch (error) {
-      logger.error('Error marking voice note listened:', error);
-
-      if (error.message.includes('Only the receiver')) {
-        return res.status(403).json({
-          success: false,
-          message: 'Only the receiver can mark voice note as listened',
-        });
-      }
-
-      res.status(500).json({
-        success: false,
-        message: 'Failed to mark voice note as listened',
-      });
-    }
-  }
-
   // ==================== RESTART ====================
 
   /**
@@ -934,78 +600,7 @@ class TwoTruthsLieController {
     }
   }
 
-  // ==================== CANCEL ====================
-
-  /**
-   * Cancel game
-   * DELETE /api/v1/games/two-truths-lie/:gameId
-   */
-  async cancelGame(req, res) {
-    try {
-      const userId = req.user._id;
-      const { gameId } = req.params;
-      const { reason } = req.body;
-
-      await twoTruthsLieService.cancelGame(gameId, userId, reason);
-
-      logger.info('Game cancelled', {
-        gameId,
-        cancelledBy: userId,
-        reason,
-      });
-
-      res.json({
-        success: true,
-        message: 'Game cancelled',
-      });
-
-    } catch (error) {
-      logger.error('Error cancelling game:', error);
-
-      if (error.message.includes('Cannot cancel') || error.message.includes('cannot be cancelled')) {
-        return res.status(400).json({
-          success: false,
-          message: 'This game cannot be cancelled',
-        });
-      }
-
-      res.status(500).json({
-        success: false,
-        message: 'Failed to cancel game',
-      });
-    }
-  }
-
-  // ==================== HISTORY & STATS ====================
-
-  /**
-   * Get game history
-   * GET /api/v1/games/two-truths-lie/history
-   */
-  async getHistory(req, res) {
-    try {
-      const userId = req.user._id;
-      const { page = 1, limit = 10, partnerId } = req.query;
-
-      const result = await twoTruthsLieService.getGameHistory(userId, {
-        page: parseInt(page),
-        limit: Math.min(parseInt(limit), 50), // Cap at 50
-        partnerId,
-      });
-
-      res.json({
-        success: true,
-        data: result,
-      });
-
-    } catch (error) {
-      logger.error('Error getting game history:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Failed to get game history',
-      });
-    }
-  }
+  // ==================== STATS ====================
 
   /**
    * Get user stats
@@ -1,6 +1,8 @@
 // src/controllers/user.controller.js
 
 const userService = require('../services/user.service');
+const presenceService = require('../services/presence.service');
+const accountService = require('../services/account.service');
 const ApiResponse = require('../utils/apiResponse');
 const ApiError = require('../utils/apiError');
 const asyncHandler = require('../middleware/errorHandler').asyncHandler;
@@ -25,6 +27,38 @@ const getMyProfile = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * @route   DELETE /api/v1/users/me
+ * @desc    Request account deletion (purged after the grace period)
+ * @access  Private
+ */
+const deleteMyAccount = asyncHandler(async (req, res) => {
+  const deletion = await accountService.requestDeletion(req.user._id, {
+    reason: req.body?.reason
+  });
+
+  res.status(200).json(
+    new ApiResponse(
+      200,
+      { deletion },
+      'Account scheduled for deletion. Log in again before the scheduled date to cancel.'
+    )
+  );
+});
+
+/**
+ * @route   POST /api/v1/users/me/export
+ * @desc    Export all personal data as a downloadable archive
+ * @access  Private
+ */
+const exportMyData = asyncHandler(async (req, res) => {
+  const dataExport = await accountService.exportData(req.user._id);
+
+  res.status(201).json(
+    new ApiResponse(201, { export: dataExport }, 'Data export created successfully')
+  );
+});
+
 /**
  * @route   GET /api/v1/users/:userId
  * @desc    Get public profile of another user
@@ -41,6 +75,19 @@ const getPublicProfile = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * @route   GET /api/v1/users/:userId/presence
+ * @desc    Get online status and last seen of a user
+ * @access  Private
+ */
+const getUserPresence = asyncHandler(async (req, res) => {
+  const presence = await presenceService.getPresence(req.params.userId, req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, { presence }, 'Presence retrieved successfully')
+  );
+});
+
 /**
  * @route   PATCH /api/v1/users/profile
  * @desc    Update user profile
@@ -216,9 +263,64 @@ const updateLocation = asyncHandler(async (req, res) => {
   );
 });
 
+/**
+ * @route   GET /api/v1/users/me/content-boundaries
+ * @desc    Get explicit game categories the user opted out of
+ * @access  Private
+ */
+const getContentBoundaries = asyncHandler(async (req, res) => {
+  const result = await userService.getContentBoundaries(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Content boundaries retrieved successfully')
+  );
+});
+
+/**
+ * @route   PUT /api/v1/users/me/content-boundaries
+ * @desc    Update explicit game categories the user opted out of
+ * @access  Private
+ */
+const updateContentBoundaries = asyncHandler(async (req, res) => {
+  const result = await userService.updateContentBoundaries(req.user._id, req.body);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Content boundaries updated successfully')
+  );
+});
+
+/**
+ * @route   GET /api/v1/users/preferences
+ * @desc    Get discovery preferences (age range, distance, hard filters)
+ * @access  Private
+ */
+const getDiscoveryPreferences = asyncHandler(async (req, res) => {
+  const result = await userService.getDiscoveryPreferences(req.user._id);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Discovery preferences retrieved successfully')
+  );
+});
+
+/**
+ * @route   PATCH /api/v1/users/preferences
+ * @desc    Update discovery preferences
+ * @access  Private
+ */
+const updateDiscoveryPreferences = asyncHandler(async (req, res) => {
+  const result = await userService.updateDiscoveryPreferences(req.user._id, req.body);
+
+  res.status(200).json(
+    new ApiResponse(200, result, 'Discovery preferences updated successfully')
+  );
+});
+
 module.exports = {
   getMyProfile,
+  deleteMyAccount,
+  exportMyData,
   getPublicProfile,
+  getUserPresence,
   updateProfile,
   uploadProfilePhoto,
   deleteProfilePhoto,
@@ -228,5 +330,9 @@ module.exports = {
   deleteVoiceBio,
   updateUsername,
   updateBio,
-  updateLocation
+  updateLocation,
+  getContentBoundaries,
+  updateContentBoundaries,
+  getDiscoveryPreferences,
+  updateDiscoveryPreferences
 };
\ No newline at end of file
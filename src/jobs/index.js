@@ -0,0 +1,118 @@
+// src/jobs/index.js
+
+const jobScheduler = require('./scheduler');
+
+const Block = require('../models/Block');
+const MessageReport = require('../models/MessageReport');
+const TwoTruthsLieGame = require('../models/TwoTruthsLieGame');
+const QuestionService = require('../services/question.service');
+const accountService = require('../services/account.service');
+const subscriptionService = require('../services/subscription.service');
+const matchExpiryService = require('../services/matchExpiry.service');
+const matchDropService = require('../services/matchDrop.service');
+const matchingWeightsService = require('../services/matchingWeights.service');
+const wouldYouRatherService = require('../services/games/wouldYouRather.service');
+const whatWouldYouDoService = require('../services/games/whatWouldYouDo.service');
+const gamesService = require('../services/games/games.service');
+
+/**
+ * JOB DEFINITIONS
+ *
+ * All recurring maintenance jobs. Schedules are defaults and can be
+ * overridden per job with JOB_<NAME>_SCHEDULE.
+ */
+
+jobScheduler
+  .register({
+    name: 'block-cleanup',
+    description: 'Remove temporary blocks whose expiry has passed',
+    schedule: '0 * * * *', // hourly
+    handler: async () => ({
+      removed: await Block.cleanupExpiredBlocks(),
+    }),
+  })
+  .register({
+    name: 'report-auto-resolve',
+    description: 'Auto-resolve dismissed message reports older than 30 days',
+    schedule: '30 3 * * *', // daily 03:30
+    handler: async () => ({
+      resolved: await MessageReport.autoResolveOldReports(),
+    }),
+  })
+  .register({
+    name: 'two-truths-lie-invitation-expiry',
+    description: 'Expire Two Truths & A Lie invitations past their deadline',
+    schedule: '*/15 * * * *',
+    handler: async () => ({
+      expired: await TwoTruthsLieGame.expireOldInvitations(),
+    }),
+  })
+  .register({
+    name: 'would-you-rather-invitation-cleanup',
+    description: 'Expire pending Would You Rather invitations',
+    schedule: '*/5 * * * *',
+    handler: async () => ({
+      expired: await wouldYouRatherService.cleanupExpiredInvitations(),
+    }),
+  })
+  .register({
+    name: 'what-would-you-do-session-expiry',
+    description: 'Expire What Would You Do sessions past their deadline',
+    schedule: '*/15 * * * *',
+    handler: async () => ({
+      expired: await whatWouldYouDoService.expireOldSessions(),
+    }),
+  })
+  .register({
+    name: 'async-game-expiry',
+    description: 'Expire async games not finished within their play window',
+    schedule: '*/15 * * * *',
+    handler: () => gamesService.expireAsyncGames(),
+  })
+  .register({
+    name: 'transcription-retry',
+    description: 'Retry failed voice answer transcriptions',
+    schedule: '*/30 * * * *',
+    lockTtlMs: 30 * 60 * 1000,
+    handler: async () => {
+      const { errors, ...summary } = await QuestionService.retryFailedTranscriptions();
+      return { ...summary, failedAnswerIds: errors.map(e => e.answerId) };
+    },
+  })
+  .register({
+    name: 'account-deletion',
+    description: 'Purge accounts whose deletion grace period has ended',
+    schedule: '0 4 * * *', // daily 04:00
+    lockTtlMs: 60 * 60 * 1000,
+    handler: () => accountService.purgeDueAccounts(),
+  })
+  .register({
+    name: 'subscription-renewal',
+    description: 'Re-verify ended subscription periods: renew, start grace period or expire',
+    schedule: '*/30 * * * *',
+    lockTtlMs: 30 * 60 * 1000,
+    handler: () => subscriptionService.processRenewals(),
+  })
+  .register({
+    name: 'match-expiry',
+    description: 'Warn about and expire stale matches (pending, one-sided likes, silent mutual matches)',
+    schedule: '15 * * * *', // hourly
+    lockTtlMs: 30 * 60 * 1000,
+    handler: () => matchExpiryService.processExpirations(),
+  })
+  .register({
+    name: 'match-drops',
+    description: 'Make daily match drops at each user\'s local morning and notify them',
+    schedule: '*/15 * * * *',
+    lockTtlMs: 30 * 60 * 1000,
+    handler: () => matchDropService.processDueDrops(),
+  })
+  .register({
+    name: 'matching-weight-training',
+    description: 'Fit new dimension weight sets from match outcomes and date feedback',
+    schedule: '0 5 * * 1', // weekly, Monday 05:00
+    lockTtlMs: 60 * 60 * 1000,
+    handler: () => matchingWeightsService.trainAll(),
+  });
+
+module.exports = jobScheduler;
@@ -0,0 +1,208 @@
+// src/jobs/scheduler.js
+
+const os = require('os');
+const cron = require('node-cron');
+const JobRun = require('../models/JobRun');
+const JobLock = require('../models/JobLock');
+const logger = require('../utils/logger');
+
+/**
+ * JOB SCHEDULER
+ *
+ * Registers named recurring jobs and runs them on their cron schedule.
+ *
+ * - Each job has its own schedule, overridable via JOB_<NAME>_SCHEDULE
+ *   (name upper-cased, dashes -> underscores) and can be switched off
+ *   with JOB_<NAME>_ENABLED=false
+ * - Runs are guarded by a Mongo-backed lock so a job never overlaps
+ *   itself, even with several server instances
+ * - Every run (including skipped ones) is persisted to JobRun
+ */
+
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000; // 10 minutes
+
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();   // name -> job definition
+    this.tasks = new Map();  // name -> node-cron task
+    this.running = new Set(); // names currently executing in this process
+    this.owner = `${os.hostname()}:${process.pid}`;
+    this.started = false;
+  }
+
+  /**
+   * Register a job
+   * @param {Object} definition
+   * @param {String} definition.name - Unique kebab-case name
+   * @param {String} definition.description - Human readable description
+   * @param {String} definition.schedule - Default cron expression
+   * @param {Function} definition.handler - async () => result
+   * @param {Number} definition.lockTtlMs - Max expected run time
+   */
+  register(definition) {
+    const { name, schedule, handler } = definition;
+
+    if (!name || typeof handler !== 'function') {
+      throw new Error('Job requires a name and a handler');
+    }
+
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+
+    const envKey = name.toUpperCase().replace(/-/g, '_');
+    const resolvedSchedule = process.env[`JOB_${envKey}_SCHEDULE`] || schedule;
+
+    if (!cron.validate(resolvedSchedule)) {
+      throw new Error(`Invalid cron schedule for job ${name}: ${resolvedSchedule}`);
+    }
+
+    this.jobs.set(name, {
+      description: '',
+      lockTtlMs: DEFAULT_LOCK_TTL_MS,
+      ...definition,
+      schedule: resolvedSchedule,
+      enabled: process.env[`JOB_${envKey}_ENABLED`] !== 'false',
+    });
+
+    return this;
+  }
+
+  /**
+   * Start cron tasks for every enabled job
+   */
+  start() {
+    if (this.started) return;
+
+    if (process.env.JOBS_ENABLED === 'false') {
+      logger.info('Job scheduler disabled via JOBS_ENABLED=false');
+      return;
+    }
+
+    for (const [name, job] of this.jobs) {
+      if (!job.enabled) {
+        logger.info(`Job ${name} is disabled, not scheduling`);
+        continue;
+      }
+
+      const task = cron.schedule(job.schedule, () => {
+        this.runJob(name, { trigger: 'schedule' }).catch((error) => {
+          logger.error(`Unexpected error running job ${name}:`, error);
+        });
+      });
+
+      this.tasks.set(name, task);
+      logger.info(`Job scheduled: ${name} (${job.schedule})`);
+    }
+
+    this.started = true;
+  }
+
+  /**
+   * Stop all cron tasks (in-flight runs are left to finish)
+   */
+  stop() {
+    for (const task of this.tasks.values()) {
+      task.stop();
+    }
+    this.tasks.clear();
+    this.started = false;
+    logger.info('Job scheduler stopped');
+  }
+
+  /**
+   * Run a job now, honouring the overlap lock
+   * @param {String} name - Job name
+   * @param {Object} options - { trigger, triggeredBy }
+   * @returns {Promise<Object>} Persisted JobRun
+   */
+  async runJob(name, { trigger = 'manual', triggeredBy = null } = {}) {
+    const job = this.jobs.get(name);
+
+    if (!job) {
+      throw new Error(`Job not found: ${name}`);
+    }
+
+    const run = new JobRun({
+      jobName: name,
+      trigger,
+      triggeredBy,
+      host: this.owner,
+    });
+
+    // Cheap in-process check before hitting the shared lock
+    const acquired = !this.running.has(name)
+      && await JobLock.acquire(name, this.owner, job.lockTtlMs);
+
+    if (!acquired) {
+      run.skipReason = 'Previous run still in progress';
+      await run.finish('skipped');
+      logger.info(`Job ${name} skipped: previous run still in progress`);
+      return run;
+    }
+
+    this.running.add(name);
+
+    // Saving the run is inside the try so a failed save still frees the lock
+    try {
+      await run.save();
+      const result = await job.handler();
+      await run.finish('succeeded', { result: result ?? null });
+      logger.info(`Job ${name} succeeded in ${run.durationMs}ms`, { result });
+    } catch (error) {
+      await run.finish('failed', { error });
+      logger.error(`Job ${name} failed:`, error);
+    } finally {
+      this.running.delete(name);
+      await JobLock.release(name, this.owner).catch((error) => {
+        logger.error(`Failed to release lock for job ${name}:`, error);
+      });
+    }
+
+    return run;
+  }
+
+  /**
+   * Check if a job is registered
+   */
+  hasJob(name) {
+    return this.jobs.has(name);
+  }
+
+  /**
+   * List all jobs with their last run and lock state
+   */
+  async listJobs() {
+    const names = [...this.jobs.keys()];
+    const lastRuns = await JobRun.getLastRuns(names);
+
+    return Promise.all(names.map(async (name) => {
+      const job = this.jobs.get(name);
+      const lastRun = lastRuns[name] || null;
+
+      return {
+        name,
+        description: job.description,
+        schedule: job.schedule,
+        enabled: job.enabled,
+        scheduled: this.tasks.has(name),
+        isRunning: await JobLock.isLocked(name),
+        lastRun: lastRun && {
+          runId: lastRun._id,
+          trigger: lastRun.trigger,
+          status: lastRun.status,
+          startedAt: lastRun.startedAt,
+          finishedAt: lastRun.finishedAt,
+          durationMs: lastRun.durationMs,
+          result: lastRun.result,
+          error: lastRun.error?.message || null,
+        },
+      };
+    }));
+  }
+}
+
+// Create singleton instance
+const jobScheduler = new JobScheduler();
+
+module.exports = jobScheduler;
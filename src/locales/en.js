@@ -0,0 +1,43 @@
+// src/locales/en.js
+
+/**
+ * English strings (source catalog)
+ *
+ * Every key must exist here; other catalogs fall back to it per key.
+ * {placeholders} are filled by utils/i18n.js.
+ */
+
+module.exports = {
+  // Chat system messages (models/Message.js)
+  'systemMessage.conversation_started': 'Conversation started',
+  'systemMessage.match_created': 'You matched! Start a conversation 🎉',
+  'systemMessage.user_blocked': 'User has been blocked',
+  'systemMessage.user_unblocked': 'User has been unblocked',
+  'systemMessage.message_deleted': 'Message was deleted',
+  'systemMessage.media_expired': 'Media has expired',
+  'systemMessage.safety_warning': 'Please keep conversations respectful',
+  'systemMessage.match_expiring': 'This match expires soon. Send a message to keep it ⏳',
+  'systemMessage.match_expired': 'This match has expired',
+
+  // Date decision labels (models/DateDecision.js)
+  'dateDecision.label.ready': 'Ready for a Date!',
+  'dateDecision.label.almost_ready': 'Almost There',
+  'dateDecision.label.caution': 'Proceed with Caution',
+  'dateDecision.label.not_yet': 'Not Yet Ready',
+  'dateDecision.label.blocked': 'Not Recommended',
+  'dateDecision.label.unknown': 'Unknown',
+
+  // Ice breakers used when AI generation returns nothing
+  'iceBreaker.fallback.fun': "What's the most spontaneous thing you've done recently?",
+  'iceBreaker.fallback.deep': 'If you could have dinner with anyone, living or dead, who would it be and why?',
+  'iceBreaker.fallback.hobby': 'What hobby have you always wanted to try but never got around to?',
+  'iceBreaker.fallback.travel': "What's your dream travel destination and what would you do there?",
+  'iceBreaker.fallback.creative': 'If you could master any skill overnight, what would it be?',
+
+  // Ice breakers used when AI generation fails
+  'iceBreaker.default.fun': 'What made you swipe right on me?',
+  'iceBreaker.default.deep': "What's something you're passionate about that doesn't show in your profile?",
+  'iceBreaker.default.hobby': "What's your ideal weekend like?",
+  'iceBreaker.default.travel': 'If you could teleport anywhere right now, where would you go?',
+  'iceBreaker.default.creative': "What's the best advice you've ever received?",
+};
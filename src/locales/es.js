@@ -0,0 +1,36 @@
+// src/locales/es.js
+
+/**
+ * Spanish strings (missing keys fall back to locales/en.js)
+ */
+
+module.exports = {
+  'systemMessage.conversation_started': 'Conversación iniciada',
+  'systemMessage.match_created': '¡Hicieron match! Empieza una conversación 🎉',
+  'systemMessage.user_blocked': 'El usuario ha sido bloqueado',
+  'systemMessage.user_unblocked': 'El usuario ha sido desbloqueado',
+  'systemMessage.message_deleted': 'El mensaje fue eliminado',
+  'systemMessage.media_expired': 'El archivo ha caducado',
+  'systemMessage.safety_warning': 'Por favor, mantén las conversaciones respetuosas',
+  'systemMessage.match_expiring': 'Este match caduca pronto. Envía un mensaje para conservarlo ⏳',
+  'systemMessage.match_expired': 'Este match ha caducado',
+
+  'dateDecision.label.ready': '¡Listos para una cita!',
+  'dateDecision.label.almost_ready': 'Casi listos',
+  'dateDecision.label.caution': 'Avanza con precaución',
+  'dateDecision.label.not_yet': 'Todavía no',
+  'dateDecision.label.blocked': 'No recomendado',
+  'dateDecision.label.unknown': 'Desconocido',
+
+  'iceBreaker.fallback.fun': '¿Qué es lo más espontáneo que has hecho últimamente?',
+  'iceBreaker.fallback.deep': 'Si pudieras cenar con cualquier persona, viva o muerta, ¿quién sería y por qué?',
+  'iceBreaker.fallback.hobby': '¿Qué pasatiempo siempre has querido probar y nunca has llegado a hacerlo?',
+  'iceBreaker.fallback.travel': '¿Cuál es tu destino de viaje soñado y qué harías allí?',
+  'iceBreaker.fallback.creative': 'Si pudieras dominar cualquier habilidad de la noche a la mañana, ¿cuál sería?',
+
+  'iceBreaker.default.fun': '¿Qué fue lo que te llamó la atención de mí?',
+  'iceBreaker.default.deep': '¿Qué te apasiona que no se ve en tu perfil?',
+  'iceBreaker.default.hobby': '¿Cómo es tu fin de semana ideal?',
+  'iceBreaker.default.travel': 'Si pudieras teletransportarte a cualquier lugar ahora mismo, ¿adónde irías?',
+  'iceBreaker.default.creative': '¿Cuál es el mejor consejo que te han dado?',
+};
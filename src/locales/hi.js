@@ -0,0 +1,36 @@
+// src/locales/hi.js
+
+/**
+ * Hindi strings (missing keys fall back to locales/en.js)
+ */
+
+module.exports = {
+  'systemMessage.conversation_started': 'बातचीत शुरू हुई',
+  'systemMessage.match_created': 'आपका मैच हो गया! बातचीत शुरू करें 🎉',
+  'systemMessage.user_blocked': 'उपयोगकर्ता को ब्लॉक कर दिया गया है',
+  'systemMessage.user_unblocked': 'उपयोगकर्ता को अनब्लॉक कर दिया गया है',
+  'systemMessage.message_deleted': 'संदेश हटा दिया गया',
+  'systemMessage.media_expired': 'मीडिया की समय-सीमा समाप्त हो गई है',
+  'systemMessage.safety_warning': 'कृपया बातचीत सम्मानजनक रखें',
+  'systemMessage.match_expiring': 'यह मैच जल्द ही समाप्त हो जाएगा। इसे बनाए रखने के लिए संदेश भेजें ⏳',
+  'systemMessage.match_expired': 'यह मैच समाप्त हो गया है',
+
+  'dateDecision.label.ready': 'डेट के लिए तैयार!',
+  'dateDecision.label.almost_ready': 'लगभग तैयार',
+  'dateDecision.label.caution': 'सावधानी से आगे बढ़ें',
+  'dateDecision.label.not_yet': 'अभी तैयार नहीं',
+  'dateDecision.label.blocked': 'अनुशंसित नहीं',
+  'dateDecision.label.unknown': 'अज्ञात',
+
+  'iceBreaker.fallback.fun': 'हाल ही में आपने सबसे अचानक क्या किया है?',
+  'iceBreaker.fallback.deep': 'अगर आप किसी के भी साथ डिनर कर सकते, जीवित या दिवंगत, तो वह कौन होता और क्यों?',
+  'iceBreaker.fallback.hobby': 'कौन-सा शौक आप हमेशा आज़माना चाहते थे, पर कभी मौका नहीं मिला?',
+  'iceBreaker.fallback.travel': 'आपकी सपनों की यात्रा कहाँ की है, और वहाँ आप क्या करेंगे?',
+  'iceBreaker.fallback.creative': 'अगर आप रातों-रात कोई एक हुनर सीख सकते, तो वह क्या होता?',
+
+  'iceBreaker.default.fun': 'मुझमें आपको सबसे पहले क्या पसंद आया?',
+  'iceBreaker.default.deep': 'ऐसा कौन-सा जुनून है जो आपकी प्रोफ़ाइल में नहीं दिखता?',
+  'iceBreaker.default.hobby': 'आपका आदर्श वीकेंड कैसा होता है?',
+  'iceBreaker.default.travel': 'अगर आप अभी कहीं भी पहुँच सकते, तो कहाँ जाते?',
+  'iceBreaker.default.creative': 'आपको अब तक मिली सबसे अच्छी सलाह क्या है?',
+};
@@ -1,8 +1,10 @@
 //src/middleware/auth.middleware.js
 const User = require('../models/User');
 const JWTService = require('../services/jwt.service');
+const entitlementService = require('../services/entitlement.service');
 const ApiError = require('../utils/apiError');
 const { asyncHandler } = require('./errorHandler');
+const { applyUserLocale } = require('./locale.middleware');
 
 /**
  * Authentication Middleware
@@ -46,6 +48,7 @@ const authenticate = asyncHandler(async (req, res, next) => {
 
     // Attach user to request
     req.user = user;
+    applyUserLocale(req, res, user);
     
     // Update last active timestamp (async, don't await)
     user.updateLastActive().catch(err => {
@@ -87,6 +90,7 @@ const optionalAuth = asyncHandler(async (req, res, next) => {
 
     if (user && user.isActive && !user.isBanned) {
       req.user = user;
+      applyUserLocale(req, res, user);
     }
   } catch (error) {
     // Silent fail - continue without user
@@ -118,16 +122,49 @@ const requirePremium = (req, res, next) => {
     throw ApiError.unauthorized('Authentication required');
   }
 
-  if (!req.user.isPremium || (req.user.premiumExpiry && req.user.premiumExpiry < new Date())) {
+  if (!entitlementService.isPremium(req.user)) {
     throw ApiError.forbidden('Premium subscription required');
   }
 
   next();
 };
 
+/**
+ * Check if user has an entitlement (see services/subscription/plans.js)
+ * @param {String} entitlement - Entitlement key
+ */
+const requireEntitlement = (entitlement) => (req, res, next) => {
+  if (!req.user) {
+    throw ApiError.unauthorized('Authentication required');
+  }
+
+  if (!entitlementService.hasEntitlement(req.user, entitlement)) {
+    throw ApiError.forbidden('Premium subscription required');
+  }
+
+  next();
+};
+
+/**
+ * Check if user is an admin
+ */
+const requireAdmin = (req, res, next) => {
+  if (!req.user) {
+    throw ApiError.unauthorized('Authentication required');
+  }
+
+  if (!req.user.isAdmin()) {
+    throw ApiError.forbidden('Admin access required');
+  }
+
+  next();
+};
+
 module.exports = {
   authenticate,
   optionalAuth,
   requireCompleteProfile,
   requirePremium,
+  requireEntitlement,
+  requireAdmin,
 };
\ No newline at end of file
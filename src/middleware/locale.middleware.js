@@ -0,0 +1,52 @@
+// src/middleware/locale.middleware.js
+
+const {
+  DEFAULT_LOCALE,
+  normalizeLocale,
+  parseAcceptLanguage,
+} = require('../config/locales');
+
+/**
+ * Locale Middleware
+ *
+ * Sets req.locale from the Accept-Language header (English when nothing
+ * supported is requested). authenticate() lets the user's saved locale
+ * override it via setLocale().
+ */
+
+/**
+ * Set the locale a request is answered in
+ * @param {Object} req
+ * @param {Object} res
+ * @param {String} locale - Supported locale code
+ */
+const setLocale = (req, res, locale) => {
+  req.locale = locale;
+  res.set('Content-Language', locale);
+};
+
+/**
+ * Detect the request locale from Accept-Language
+ */
+const detectLocale = (req, res, next) => {
+  setLocale(req, res, parseAcceptLanguage(req.headers['accept-language']) || DEFAULT_LOCALE);
+  next();
+};
+
+/**
+ * Apply a user's saved locale (if any) to the request
+ * @param {Object} req
+ * @param {Object} res
+ * @param {Object} user - User document
+ */
+const applyUserLocale = (req, res, user) => {
+  const locale = normalizeLocale(user.locale);
+  if (locale) {
+    setLocale(req, res, locale);
+  }
+};
+
+module.exports = {
+  detectLocale,
+  applyUserLocale,
+};
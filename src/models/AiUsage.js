@@ -0,0 +1,179 @@
+const mongoose = require('mongoose');
+
+/**
+ * AiUsage Model
+ * One record per AI gateway call, for token and cost accounting
+ */
+const aiUsageSchema = new mongoose.Schema(
+  {
+    // User the call was made for (null for system calls)
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    // Feature key (see services/ai/features.js)
+    feature: {
+      type: String,
+      required: true,
+    },
+
+    kind: {
+      type: String,
+      enum: ['chat', 'transcription'],
+      required: true,
+    },
+
+    provider: {
+      type: String,
+      required: true,
+    },
+
+    model: {
+      type: String,
+      required: true,
+    },
+
+    // ==================== USAGE ====================
+
+    promptTokens: {
+      type: Number,
+      default: 0,
+    },
+
+    completionTokens: {
+      type: Number,
+      default: 0,
+    },
+
+    totalTokens: {
+      type: Number,
+      default: 0,
+    },
+
+    // Transcription only (when the caller knows the duration)
+    audioSeconds: {
+      type: Number,
+      default: 0,
+    },
+
+    // Estimated cost in USD (null when the model has no price configured)
+    costUsd: {
+      type: Number,
+      default: null,
+    },
+
+    // ==================== OUTCOME ====================
+
+    success: {
+      type: Boolean,
+      default: true,
+    },
+
+    error: {
+      type: String,
+      default: null,
+    },
+
+    attempts: {
+      type: Number,
+      default: 1,
+    },
+
+    latencyMs: {
+      type: Number,
+      default: null,
+    },
+
+    // Caller supplied references (sessionId, matchId, answerId...)
+    context: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+// Per-user accounting
+aiUsageSchema.index({ userId: 1, createdAt: -1 });
+
+// Per-feature accounting
+aiUsageSchema.index({ feature: 1, createdAt: -1 });
+
+aiUsageSchema.index({ createdAt: -1 });
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Aggregate usage grouped by feature, user or model
+ * @param {Object} options - { groupBy, userId, feature, from, to, limit }
+ */
+aiUsageSchema.statics.getSummary = async function (options = {}) {
+  const {
+    groupBy = 'feature',
+    userId = null,
+    feature = null,
+    from = null,
+    to = null,
+    limit = 100,
+  } = options;
+
+  const match = {};
+
+  if (userId) match.userId = new mongoose.Types.ObjectId(userId);
+  if (feature) match.feature = feature;
+  if (from || to) {
+    match.createdAt = {};
+    if (from) match.createdAt.$gte = new Date(from);
+    if (to) match.createdAt.$lte = new Date(to);
+  }
+
+  const groupFields = {
+    feature: '$feature',
+    user: '$userId',
+    model: '$model',
+  };
+
+  const rows = await this.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: groupFields[groupBy] || '$feature',
+        calls: { $sum: 1 },
+        failedCalls: { $sum: { $cond: ['$success', 0, 1] } },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        totalTokens: { $sum: '$totalTokens' },
+        audioSeconds: { $sum: '$audioSeconds' },
+        costUsd: { $sum: { $ifNull: ['$costUsd', 0] } },
+        lastCallAt: { $max: '$createdAt' },
+      },
+    },
+    { $sort: { costUsd: -1 } },
+    { $limit: limit },
+  ]);
+
+  const totals = rows.reduce(
+    (acc, row) => ({
+      calls: acc.calls + row.calls,
+      totalTokens: acc.totalTokens + row.totalTokens,
+      costUsd: acc.costUsd + row.costUsd,
+    }),
+    { calls: 0, totalTokens: 0, costUsd: 0 }
+  );
+
+  return {
+    groupBy,
+    rows: rows.map(({ _id, ...row }) => ({ [groupBy]: _id, ...row })),
+    totals,
+  };
+};
+
+const AiUsage = mongoose.model('AiUsage', aiUsageSchema);
+
+module.exports = AiUsage;
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { DIMENSION_WEIGHTS } = require('../config/matchingDimensions');
 
 /**
  * AnswerAnalysis Schema
@@ -409,16 +410,7 @@ answerAnalysisSchema.methods.hasDealbreaker = function(type) {
  * @returns {Number} - Weighted score (0-100)
  */
 answerAnalysisSchema.methods.getWeightedScore = function(weights = {}) {
-  const defaultWeights = {
-    emotional_intimacy: 0.25,      // 25%
-    life_vision: 0.20,              // 20%
-    conflict_communication: 0.15,   // 15%
-    love_languages: 0.15,           // 15%
-    physical_sexual: 0.15,          // 15%
-    lifestyle: 0.10                 // 10%
-  };
-
-  const w = { ...defaultWeights, ...weights };
+  const w = { ...DIMENSION_WEIGHTS, ...weights };
   const scores = this.dimensionScores;
 
   let totalScore = 0;
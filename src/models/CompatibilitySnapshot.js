@@ -0,0 +1,246 @@
+// src/models/CompatibilitySnapshot.js
+
+const mongoose = require('mongoose');
+
+/**
+ * COMPATIBILITY SNAPSHOT MODEL
+ *
+ * History of a couple's compatibility (see models/CoupleCompatibility.js).
+ *
+ * CoupleCompatibility holds only the latest generation - it is cleared and
+ * rebuilt every time. Each generation also records a numbered snapshot
+ * here with its scores, the game sessions behind them, and which games
+ * changed since the previous snapshot, so the dashboard can show how the
+ * couple's scores evolved and why.
+ */
+
+const GAME_TYPES = ['two_truths_lie', 'would_you_rather', 'intimacy_spectrum',
+                    'never_have_i_ever', 'what_would_you_do', 'dream_board'];
+
+const DIMENSIONS = ['intuition', 'lifestyle', 'physical', 'experience', 'character', 'future'];
+
+// =====================================================
+// SUB-SCHEMAS
+// =====================================================
+
+/**
+ * A game included in the snapshot
+ */
+const snapshotGameSchema = new mongoose.Schema({
+  included: {
+    type: Boolean,
+    default: false
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  score: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * A dimension score and the game session it came from
+ */
+const snapshotDimensionSchema = new mongoose.Schema({
+  score: {
+    type: Number,
+    default: null
+  },
+  available: {
+    type: Boolean,
+    default: false
+  },
+  sourceGame: {
+    type: String,
+    default: null
+  },
+  sessionId: {
+    type: String,
+    default: null
+  }
+}, { _id: false });
+
+/**
+ * A game that changed since the previous snapshot
+ */
+const gameChangeSchema = new mongoose.Schema({
+  gameType: {
+    type: String,
+    enum: GAME_TYPES
+  },
+  change: {
+    type: String,
+    enum: [
+      'added',     // First time the game is included
+      'replayed',  // A newer session replaced the previous one
+      'removed'    // No longer included
+    ]
+  },
+  sessionId: {
+    type: String,
+    default: null
+  },
+  previousSessionId: {
+    type: String,
+    default: null
+  },
+  score: {
+    type: Number,
+    default: null
+  },
+  previousScore: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+// =====================================================
+// MAIN SCHEMA
+// =====================================================
+
+const compatibilitySnapshotSchema = new mongoose.Schema({
+  compatibilityId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'CoupleCompatibility',
+    required: true
+  },
+
+  matchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Match',
+    required: true
+  },
+
+  player1Id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  player2Id: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+
+  // 1 for the couple's first generation, then +1 per generation
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  generatedAt: {
+    type: Date,
+    required: true,
+    default: Date.now
+  },
+
+  overallCompatibility: {
+    score: {
+      type: Number,
+      default: null
+    },
+    level: {
+      type: String,
+      default: null
+    },
+    confidence: {
+      type: String,
+      default: 'minimal'
+    }
+  },
+
+  dimensionScores: Object.fromEntries(DIMENSIONS.map(dimension => [
+    dimension,
+    { type: snapshotDimensionSchema, default: () => ({}) }
+  ])),
+
+  games: Object.fromEntries(GAME_TYPES.map(gameType => [
+    gameType,
+    { type: snapshotGameSchema, default: () => ({}) }
+  ])),
+
+  totalGamesIncluded: {
+    type: Number,
+    default: 0
+  },
+
+  // Insight areas, to tell which appeared or went away between snapshots
+  strengths: [String],
+  discussionAreas: [String],
+  redFlags: [String],
+
+  aiInsightsAvailable: {
+    type: Boolean,
+    default: false
+  },
+
+  // Games that changed since the previous snapshot
+  changes: {
+    type: [gameChangeSchema],
+    default: []
+  }
+
+}, {
+  timestamps: true
+});
+
+// =====================================================
+// INDEXES
+// =====================================================
+
+compatibilitySnapshotSchema.index({ compatibilityId: 1, version: 1 }, { unique: true });
+
+// =====================================================
+// STATIC METHODS
+// =====================================================
+
+/**
+ * Latest snapshot of a couple
+ * @param {ObjectId} compatibilityId
+ * @returns {Promise<Object|null>}
+ */
+compatibilitySnapshotSchema.statics.findLatest = function(compatibilityId) {
+  return this.findOne({ compatibilityId }).sort({ version: -1 }).lean();
+};
+
+/**
+ * One snapshot by version
+ * @param {ObjectId} compatibilityId
+ * @param {Number} version
+ * @returns {Promise<Object|null>}
+ */
+compatibilitySnapshotSchema.statics.findVersion = function(compatibilityId, version) {
+  return this.findOne({ compatibilityId, version }).lean();
+};
+
+/**
+ * A couple's most recent snapshots, oldest first
+ * @param {ObjectId} compatibilityId
+ * @param {Number} limit
+ * @returns {Promise<Array>}
+ */
+compatibilitySnapshotSchema.statics.getTimeline = async function(compatibilityId, limit = 50) {
+  const snapshots = await this.find({ compatibilityId })
+    .sort({ version: -1 })
+    .limit(limit)
+    .lean();
+
+  return snapshots.reverse();
+};
+
+// =====================================================
+// MODEL EXPORT
+// =====================================================
+
+const CompatibilitySnapshot = mongoose.model('CompatibilitySnapshot', compatibilitySnapshotSchema);
+
+module.exports = CompatibilitySnapshot;
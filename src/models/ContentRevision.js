@@ -0,0 +1,126 @@
+// src/models/ContentRevision.js
+
+const mongoose = require('mongoose');
+
+/**
+ * CONTENT REVISION MODEL
+ *
+ * Changelog of the question banks edited through the admin content API
+ * (see services/content.service.js).
+ *
+ * Every revision carries a snapshot of the question as it was from
+ * effectiveAt on, so a game session can be served the exact version
+ * that was live when it started (see models/plugins/versionedContent.js).
+ */
+
+const contentRevisionSchema = new mongoose.Schema(
+  {
+    // Model name of the bank (e.g. 'WouldYouRatherQuestion')
+    model: {
+      type: String,
+      required: true
+    },
+
+    // Question / category number within the bank
+    key: {
+      type: Number,
+      required: true
+    },
+
+    version: {
+      type: Number,
+      required: true,
+      min: 1
+    },
+
+    action: {
+      type: String,
+      required: true,
+      enum: [
+        'baseline',  // Content as it was before its first admin edit
+        'created',
+        'updated',
+        'imported',
+        'published',
+        'retired',
+        'restored',
+        'deleted'
+      ]
+    },
+
+    // Content fields and status from effectiveAt on
+    snapshot: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+
+    // Fields changed by this revision
+    changes: [String],
+
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+
+    effectiveAt: {
+      type: Date,
+      required: true,
+      default: Date.now
+    }
+  },
+  {
+    timestamps: true
+  }
+);
+
+// =====================================================
+// INDEXES
+// =====================================================
+
+// Version lookup (as of a date) and history
+contentRevisionSchema.index({ model: 1, key: 1, effectiveAt: -1 });
+
+// =====================================================
+// STATIC METHODS
+// =====================================================
+
+/**
+ * Latest revision of each key effective at a date
+ * @param {String} model - Bank model name
+ * @param {Array} keys - Question / category numbers
+ * @param {Date} asOf - Date
+ * @returns {Promise<Map>} key -> { version, snapshot }
+ */
+contentRevisionSchema.statics.getEffectiveAsOf = async function (model, keys, asOf) {
+  const revisions = await this.aggregate([
+    { $match: { model, key: { $in: keys }, effectiveAt: { $lte: asOf } } },
+    { $sort: { effectiveAt: -1, _id: -1 } },
+    {
+      $group: {
+        _id: '$key',
+        version: { $first: '$version' },
+        snapshot: { $first: '$snapshot' }
+      }
+    }
+  ]);
+
+  return new Map(revisions.map(revision => [revision._id, revision]));
+};
+
+/**
+ * Revision history of one question, newest first
+ * @param {String} model - Bank model name
+ * @param {Number} key - Question / category number
+ * @returns {Promise<Array>}
+ */
+contentRevisionSchema.statics.getHistory = function (model, key) {
+  return this.find({ model, key })
+    .sort({ effectiveAt: -1, _id: -1 })
+    .populate('actorId', 'firstName lastName username')
+    .lean();
+};
+
+const ContentRevision = mongoose.model('ContentRevision', contentRevisionSchema);
+
+module.exports = ContentRevision;
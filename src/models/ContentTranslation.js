@@ -0,0 +1,88 @@
+// src/models/ContentTranslation.js
+
+const mongoose = require('mongoose');
+
+/**
+ * CONTENT TRANSLATION MODEL
+ *
+ * Translation of one question of a bank into one locale, managed through
+ * the admin content API (see services/content.service.js).
+ *
+ * fields holds only the translatable fields of the bank (see
+ * models/plugins/localizedContent.js); anything missing is served in
+ * English.
+ */
+
+const contentTranslationSchema = new mongoose.Schema(
+  {
+    // Model name of the bank (e.g. 'WouldYouRatherQuestion')
+    model: {
+      type: String,
+      required: true
+    },
+
+    // Question / category number within the bank
+    key: {
+      type: Number,
+      required: true
+    },
+
+    locale: {
+      type: String,
+      required: true
+    },
+
+    // e.g. { optionA: '...', optionB: '...' } or
+    // { questionText: '...', options: [{ key: 'A', text: '...' }] }
+    fields: {
+      type: mongoose.Schema.Types.Mixed,
+      required: true
+    },
+
+    // Question version the translation was made from
+    sourceVersion: {
+      type: Number,
+      default: 1
+    },
+
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  {
+    timestamps: true,
+    minimize: false
+  }
+);
+
+// =====================================================
+// INDEXES
+// =====================================================
+
+contentTranslationSchema.index({ model: 1, key: 1, locale: 1 }, { unique: true });
+contentTranslationSchema.index({ model: 1, locale: 1 });
+
+// =====================================================
+// STATIC METHODS
+// =====================================================
+
+/**
+ * Translations of several keys into one locale
+ * @param {String} model - Bank model name
+ * @param {Array} keys - Question / category numbers
+ * @param {String} locale - Locale code
+ * @returns {Promise<Map>} key -> fields
+ */
+contentTranslationSchema.statics.getFieldsByKey = async function (model, keys, locale) {
+  const translations = await this.find({ model, key: { $in: keys }, locale })
+    .select('key fields')
+    .lean();
+
+  return new Map(translations.map(translation => [translation.key, translation.fields]));
+};
+
+const ContentTranslation = mongoose.model('ContentTranslation', contentTranslationSchema);
+
+module.exports = ContentTranslation;
@@ -1,6 +1,7 @@
 // src/models/CoupleCompatibility.js
 
 const mongoose = require('mongoose');
+const { COUPLE_DIMENSION_WEIGHTS } = require('../config/matchingWeights');
 
 /**
  * COUPLE COMPATIBILITY MODEL
@@ -22,6 +23,13 @@ const mongoose = require('mongoose');
  * 5. User clicks refresh → Regenerate with latest data
  * 
  * Minimum 3 games required for full AI insights.
+ *
+ * Every generation is also recorded as a numbered CompatibilitySnapshot,
+ * so the couple's score history survives regeneration.
+ *
+ * Confidence counts each game by its coverage: Intimacy Spectrum and
+ * Never Have I Ever sessions with excluded categories or "I'd rather not
+ * say" answers count as part of a game (see confidenceNotes).
  */
 
 // =====================================================
@@ -56,6 +64,23 @@ const gameSnapshotSchema = new mongoose.Schema({
     type: String,
     maxlength: 200,
     default: null
+  },
+  // Share of the game's full question set that was scored (0-1)
+  coverage: {
+    type: Number,
+    min: 0,
+    max: 1,
+    default: 1
+  },
+  // Content boundaries of the session
+  excludedCategories: {
+    type: [String],
+    default: []
+  },
+  // Questions skipped with "I'd rather not say"
+  ratherNotSay: {
+    type: Number,
+    default: 0
   }
 }, { _id: false });
 
@@ -345,7 +370,15 @@ const coupleCompatibilitySchema = new mongoose.Schema({
       type: String,
       enum: ['minimal', 'partial', 'good', 'comprehensive'],
       default: 'minimal'
-    }
+    },
+    // Games that only partly count towards confidence, and why
+    confidenceNotes: [{
+      _id: false,
+      gameType: String,
+      coverage: Number,
+      excludedCategories: [String],
+      ratherNotSay: Number
+    }]
   },
 
   // ==================== AGGREGATED INSIGHTS ====================
@@ -414,6 +447,18 @@ const coupleCompatibilitySchema = new mongoose.Schema({
     default: null
   },
   
+  // Latest CompatibilitySnapshot version (0 before the first generation)
+  snapshotVersion: {
+    type: Number,
+    default: 0
+  },
+
+  // Dimension weights of the overall score (0 = defaults, see config/matchingWeights.js)
+  weightSetVersion: {
+    type: Number,
+    default: 0
+  },
+  
   // Version tracking (for future migrations)
   version: {
     type: Number,
@@ -520,7 +565,10 @@ coupleCompatibilitySchema.methods.updateGameSnapshot = function(gameType, data)
     sessionId: data.sessionId,
     completedAt: data.completedAt,
     score: data.score,
-    quickSummary: data.quickSummary || null
+    quickSummary: data.quickSummary || null,
+    coverage: data.coverage ?? 1,
+    excludedCategories: data.excludedCategories || [],
+    ratherNotSay: data.ratherNotSay || 0
   };
   
   // Recalculate total games included
@@ -553,18 +601,9 @@ coupleCompatibilitySchema.methods.updateDimensionScore = function(dimension, sco
 /**
  * Calculate and update overall compatibility score
  * Uses weighted average of available dimensions
+ * @param {Object} weights - Dimension weights (default: config/matchingWeights.js)
  */
-coupleCompatibilitySchema.methods.calculateOverallScore = function() {
-  // Dimension weights (total = 100%)
-  const weights = {
-    intuition: 10,   // Two Truths & A Lie
-    lifestyle: 15,   // Would You Rather
-    physical: 20,    // Intimacy Spectrum
-    experience: 10,  // Never Have I Ever
-    character: 25,   // What Would You Do (highest - most predictive)
-    future: 20       // Dream Board
-  };
-  
+coupleCompatibilitySchema.methods.calculateOverallScore = function(weights = COUPLE_DIMENSION_WEIGHTS) {
   let totalWeight = 0;
   let weightedSum = 0;
   
@@ -596,12 +635,33 @@ coupleCompatibilitySchema.methods.calculateOverallScore = function() {
     this.overallCompatibility.level = 'exploring';
   }
   
-  // Determine confidence based on games included
-  if (this.totalGamesIncluded >= 5) {
+  // Determine confidence based on games included, each weighted by how
+  // much of it was scored (content boundaries, "I'd rather not say")
+  const gameTypes = ['two_truths_lie', 'would_you_rather', 'intimacy_spectrum', 
+                     'never_have_i_ever', 'what_would_you_do', 'dream_board'];
+  const includedSnapshots = gameTypes
+    .map(gameType => ({ gameType, snapshot: this.gamesSnapshot[gameType] }))
+    .filter(({ snapshot }) => snapshot?.included);
+
+  const gamesCovered = includedSnapshots.reduce(
+    (sum, { snapshot }) => sum + (snapshot.coverage ?? 1),
+    0
+  );
+
+  this.overallCompatibility.confidenceNotes = includedSnapshots
+    .filter(({ snapshot }) => (snapshot.coverage ?? 1) < 1)
+    .map(({ gameType, snapshot }) => ({
+      gameType,
+      coverage: snapshot.coverage,
+      excludedCategories: snapshot.excludedCategories || [],
+      ratherNotSay: snapshot.ratherNotSay || 0
+    }));
+
+  if (gamesCovered >= 5) {
     this.overallCompatibility.confidence = 'comprehensive';
-  } else if (this.totalGamesIncluded >= 3) {
+  } else if (gamesCovered >= 3) {
     this.overallCompatibility.confidence = 'good';
-  } else if (this.totalGamesIncluded >= 2) {
+  } else if (gamesCovered >= 2) {
     this.overallCompatibility.confidence = 'partial';
   } else {
     this.overallCompatibility.confidence = 'minimal';
@@ -674,7 +734,10 @@ coupleCompatibilitySchema.methods.clearForRegeneration = function() {
       sessionId: null,
       completedAt: null,
       score: null,
-      quickSummary: null
+      quickSummary: null,
+      coverage: 1,
+      excludedCategories: [],
+      ratherNotSay: 0
     };
   }
   
@@ -694,7 +757,8 @@ coupleCompatibilitySchema.methods.clearForRegeneration = function() {
   this.overallCompatibility = {
     score: null,
     level: null,
-    confidence: 'minimal'
+    confidence: 'minimal',
+    confidenceNotes: []
   };
   
   // Reset aggregated insights
@@ -726,7 +790,8 @@ coupleCompatibilitySchema.methods.getDashboardSummary = function() {
     discussionAreasCount: this.discussionAreas.length,
     aiInsightsAvailable: this.aiInsightsAvailable,
     gamesNeededForAI: this.gamesNeededForAI,
-    lastGeneratedAt: this.lastGeneratedAt
+    lastGeneratedAt: this.lastGeneratedAt,
+    snapshotVersion: this.snapshotVersion
   };
 };
 
@@ -1,6 +1,8 @@
 // src/models/DateDecision.js
 
 const mongoose = require('mongoose');
+const { DEFAULT_LOCALE } = require('../config/locales');
+const { t } = require('../utils/i18n');
 
 /**
  * DATE DECISION MODEL
@@ -367,15 +369,9 @@ const dateDecisionSchema = new mongoose.Schema({
   
   decisionLabel: {
     type: String,
+    // Stored in English; see getDecisionLabel() for the reader's language
     default: function() {
-      const labelMap = {
-        'ready': 'Ready for a Date!',
-        'almost_ready': 'Almost There',
-        'caution': 'Proceed with Caution',
-        'not_yet': 'Not Yet Ready',
-        'blocked': 'Not Recommended'
-      };
-      return labelMap[this.decision] || 'Unknown';
+      return this.getDecisionLabel(DEFAULT_LOCALE);
     }
   },
 
@@ -550,40 +546,41 @@ dateDecisionSchema.statics.findForCouple = async function(matchId, player1Id, pl
 
 /**
  * Get decision display info
+ * @param {String} locale - Language of the labels (default English)
  */
-dateDecisionSchema.statics.getDecisionInfo = function() {
+dateDecisionSchema.statics.getDecisionInfo = function(locale = DEFAULT_LOCALE) {
   return {
     ready: {
       emoji: '🟢',
-      label: 'Ready for a Date!',
+      label: t(locale, 'dateDecision.label.ready'),
       description: 'You two have strong compatibility and have explored enough to meet confidently.',
       color: '#22C55E',
       showDatePlan: true
     },
     almost_ready: {
       emoji: '🟡',
-      label: 'Almost There',
+      label: t(locale, 'dateDecision.label.almost_ready'),
       description: 'Looking good! Play 1-2 more games to feel fully confident.',
       color: '#EAB308',
       showDatePlan: true
     },
     caution: {
       emoji: '🟠',
-      label: 'Proceed with Caution',
+      label: t(locale, 'dateDecision.label.caution'),
       description: 'Some areas need more exploration before meeting.',
       color: '#F97316',
       showDatePlan: false
     },
     not_yet: {
       emoji: '🔴',
-      label: 'Not Yet Ready',
+      label: t(locale, 'dateDecision.label.not_yet'),
       description: 'Keep playing games to discover your compatibility.',
       color: '#EF4444',
       showDatePlan: false
     },
     blocked: {
       emoji: '⛔',
-      label: 'Not Recommended',
+      label: t(locale, 'dateDecision.label.blocked'),
       description: 'Critical compatibility concerns have been identified.',
       color: '#991B1B',
       showDatePlan: false
@@ -595,6 +592,17 @@ dateDecisionSchema.statics.getDecisionInfo = function() {
 // INSTANCE METHODS
 // =====================================================
 
+/**
+ * Decision label in a locale
+ */
+dateDecisionSchema.methods.getDecisionLabel = function(locale = DEFAULT_LOCALE) {
+  const decision = ['ready', 'almost_ready', 'caution', 'not_yet', 'blocked'].includes(this.decision)
+    ? this.decision
+    : 'unknown';
+
+  return t(locale, `dateDecision.label.${decision}`);
+};
+
 /**
  * Mark as viewed by user
  */
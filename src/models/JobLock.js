@@ -0,0 +1,94 @@
+const mongoose = require('mongoose');
+
+/**
+ * JobLock Model
+ * Distributed lock so a job never overlaps itself,
+ * across ticks of one process or across server instances
+ */
+const jobLockSchema = new mongoose.Schema(
+  {
+    // Job name doubles as the lock key
+    _id: {
+      type: String,
+    },
+
+    // Process holding the lock (hostname:pid)
+    owner: {
+      type: String,
+      default: null,
+    },
+
+    lockedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Lock is considered stale after this (crashed holder)
+    lockedUntil: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Try to acquire the lock for a job
+ * Returns true if acquired, false if someone else holds it
+ */
+jobLockSchema.statics.acquire = async function (name, owner, ttlMs) {
+  const now = new Date();
+
+  try {
+    await this.findOneAndUpdate(
+      {
+        _id: name,
+        $or: [
+          { lockedUntil: null },
+          { lockedUntil: { $lte: now } },
+        ],
+      },
+      {
+        $set: {
+          owner,
+          lockedAt: now,
+          lockedUntil: new Date(now.getTime() + ttlMs),
+        },
+      },
+      { upsert: true, new: true }
+    );
+    return true;
+  } catch (error) {
+    // Upsert collides with the existing (held) lock document
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+/**
+ * Release a lock held by this owner
+ */
+jobLockSchema.statics.release = async function (name, owner) {
+  await this.updateOne(
+    { _id: name, owner },
+    { $set: { owner: null, lockedAt: null, lockedUntil: null } }
+  );
+};
+
+/**
+ * Check whether a job is currently locked
+ */
+jobLockSchema.statics.isLocked = async function (name) {
+  const lock = await this.findById(name).lean();
+  return !!(lock && lock.lockedUntil && lock.lockedUntil > new Date());
+};
+
+const JobLock = mongoose.model('JobLock', jobLockSchema);
+
+module.exports = JobLock;
@@ -0,0 +1,149 @@
+const mongoose = require('mongoose');
+
+/**
+ * JobRun Model
+ * Run history for scheduled background jobs
+ */
+const jobRunSchema = new mongoose.Schema(
+  {
+    // Registered job name (e.g. 'block-cleanup')
+    jobName: {
+      type: String,
+      required: true,
+      index: true,
+    },
+
+    // What started this run
+    trigger: {
+      type: String,
+      enum: ['schedule', 'manual', 'boot'],
+      default: 'schedule',
+    },
+
+    // Admin/user who triggered a manual run
+    triggeredBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    status: {
+      type: String,
+      enum: ['running', 'succeeded', 'failed', 'skipped'],
+      default: 'running',
+      index: true,
+    },
+
+    // Why a run was skipped (e.g. another instance holds the lock)
+    skipReason: {
+      type: String,
+      default: null,
+    },
+
+    startedAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    finishedAt: {
+      type: Date,
+      default: null,
+    },
+
+    durationMs: {
+      type: Number,
+      default: null,
+    },
+
+    // Whatever the job handler returned (counts, summaries)
+    result: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+
+    error: {
+      message: String,
+      stack: String,
+    },
+
+    // Process that executed the run
+    host: {
+      type: String,
+      default: null,
+    },
+
+    // Auto-delete history after 30 days
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + 30 * 24 * 60 * 60 * 1000),
+      index: { expires: 0 },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+// Latest runs per job
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Get recent runs for a job
+ */
+jobRunSchema.statics.getRecentRuns = async function (jobName, limit = 20) {
+  return this.find({ jobName })
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .lean();
+};
+
+/**
+ * Get the latest run for every job name given
+ */
+jobRunSchema.statics.getLastRuns = async function (jobNames) {
+  const runs = await this.aggregate([
+    { $match: { jobName: { $in: jobNames } } },
+    { $sort: { startedAt: -1 } },
+    {
+      $group: {
+        _id: '$jobName',
+        lastRun: { $first: '$$ROOT' },
+      },
+    },
+  ]);
+
+  return runs.reduce((acc, run) => {
+    acc[run._id] = run.lastRun;
+    return acc;
+  }, {});
+};
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Mark run as finished
+ */
+jobRunSchema.methods.finish = async function (status, { result = null, error = null } = {}) {
+  this.status = status;
+  this.finishedAt = new Date();
+  this.durationMs = this.finishedAt.getTime() - this.startedAt.getTime();
+  this.result = result;
+
+  if (error) {
+    this.error = {
+      message: error.message,
+      stack: error.stack,
+    };
+  }
+
+  await this.save();
+  return this;
+};
+
+const JobRun = mongoose.model('JobRun', jobRunSchema);
+
+module.exports = JobRun;
@@ -1,4 +1,52 @@
 const mongoose = require('mongoose');
+const { computeExpiresAt } = require('../config/matchExpiry');
+
+/**
+ * An earlier round of a match: expired with an outcome, then generated
+ * again. Kept so outcome training still sees it
+ */
+const previousRoundSchema = new mongoose.Schema({
+  generatedAt: {
+    type: Date,
+    default: null,
+  },
+  interactedAt: {
+    type: Date,
+    default: null,
+  },
+  expiredAt: {
+    type: Date,
+    default: null,
+  },
+  expiredFromStatus: {
+    type: String,
+    default: null,
+  },
+  compatibilityScore: {
+    type: Number,
+    default: null,
+  },
+  dimensionScores: {
+    emotional_intimacy: { type: Number, min: 0, max: 100 },
+    life_vision: { type: Number, min: 0, max: 100 },
+    conflict_communication: { type: Number, min: 0, max: 100 },
+    love_languages: { type: Number, min: 0, max: 100 },
+    physical_sexual: { type: Number, min: 0, max: 100 },
+    lifestyle: { type: Number, min: 0, max: 100 },
+  },
+  matchingAlgorithmVersion: {
+    type: String,
+    default: null,
+  },
+  weightSetVersion: {
+    type: Number,
+    default: null,
+  },
+  weightSetArm: {
+    type: String,
+    default: null,
+  },
+}, { _id: false });
 
 /**
  * Match Model
@@ -201,11 +249,25 @@ const matchSchema = new mongoose.Schema(
     // ==================== ALGORITHM METADATA ====================
     
     // Which version of matching algorithm was used
+    // (see config/matchingAlgorithms.js; missing on old matches = 1.0)
     matchingAlgorithmVersion: {
       type: String,
       default: '1.0',
     },
 
+    // Dimension weights the score used (0 = defaults, see config/matchingWeights.js)
+    weightSetVersion: {
+      type: Number,
+      default: 0,
+    },
+
+    // Weight experiment arm of the user the match was generated for
+    weightSetArm: {
+      type: String,
+      enum: ['control', 'experiment', null],
+      default: null,
+    },
+
     // When this match was initially calculated
     generatedAt: {
       type: Date,
@@ -213,6 +275,20 @@ const matchSchema = new mongoose.Schema(
       required: true,
     },
 
+    // Local date ('YYYY-MM-DD') of the drop that brought this match
+    // (see config/matchDrops.js; null = before daily drops)
+    dropDate: {
+      type: String,
+      default: null,
+    },
+
+    // Daily drop or an extra drop from a manual refresh
+    dropType: {
+      type: String,
+      enum: ['daily', 'refresh', null],
+      default: null,
+    },
+
     // Last time compatibility score was recalculated
     scoreRecalculatedAt: {
       type: Date,
@@ -229,6 +305,50 @@ const matchSchema = new mongoose.Schema(
     messagingUnlockedAt: {
       type: Date,
     },
+
+    // ==================== EXPIRY ====================
+
+    // When the match expires in its current stage (null = does not expire)
+    // Recomputed on every status change (see config/matchExpiry.js).
+    // No default: missing means "not scheduled yet" to the match-expiry job
+    expiresAt: {
+      type: Date,
+    },
+
+    // Expiry warning sent for the current deadline
+    expiryWarningSentAt: {
+      type: Date,
+      default: null,
+    },
+
+    // One-time extension
+    extendedAt: {
+      type: Date,
+      default: null,
+    },
+
+    extendedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    expiredAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Status the match expired from
+    expiredFromStatus: {
+      type: String,
+      default: null,
+    },
+
+    // Earlier rounds that expired with an outcome, oldest first
+    previousRounds: {
+      type: [previousRoundSchema],
+      default: [],
+    },
   },
   {
     timestamps: true, // Adds createdAt and updatedAt
@@ -257,6 +377,23 @@ matchSchema.index({ isMutualMatch: 1 });
 // Index for cleanup job (finding expired matches)
 matchSchema.index({ status: 1, generatedAt: 1 });
 
+// Index for the match-expiry job
+matchSchema.index({ status: 1, expiresAt: 1 });
+
+// Index for a user's drop of the day
+matchSchema.index({ userId: 1, dropDate: 1 });
+
+// ==================== HOOKS ====================
+
+// Every stage gets its own deadline (and a fresh warning)
+matchSchema.pre('save', function (next) {
+  if (this.isNew || this.isModified('status')) {
+    this.expiresAt = computeExpiresAt(this);
+    this.expiryWarningSentAt = null;
+  }
+  next();
+});
+
 // ==================== INSTANCE METHODS ====================
 
 /**
@@ -305,18 +442,22 @@ matchSchema.methods.unlockMessaging = function () {
 };
 
 /**
- * Check if match is expired (30 days old, not interacted)
+ * Check if match is expired (or past its deadline, pending the expiry job)
  */
 matchSchema.methods.isExpired = function () {
-  const thirtyDaysAgo = new Date();
-  thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
-  
   return (
-    this.status === 'pending' &&
-    this.generatedAt < thirtyDaysAgo
+    this.status === 'expired' ||
+    (!!this.expiresAt && this.expiresAt <= new Date())
   );
 };
 
+/**
+ * Whether the one-time extension is still available
+ */
+matchSchema.methods.canExtend = function () {
+  return !this.extendedAt && !!this.expiresAt && !this.isExpired();
+};
+
 // ==================== STATIC METHODS ====================
 
 /**
@@ -0,0 +1,153 @@
+// src/models/MatchingWeightSet.js
+
+const mongoose = require('mongoose');
+const { WEIGHT_SCOPE_NAMES } = require('../config/matchingWeights');
+
+/**
+ * MATCHING WEIGHT SET MODEL
+ *
+ * Dimension weights fitted by the weight training job from match and date
+ * outcomes (see services/matchingWeights.service.js), numbered per scope
+ * from 1 (0 is the built-in defaults in config/matchingWeights.js).
+ *
+ * A weight set never changes once stored; config/matchingWeights.js
+ * selects which version is used.
+ */
+
+// =====================================================
+// SUB-SCHEMAS
+// =====================================================
+
+/**
+ * How well one dimension predicted the outcome
+ */
+const dimensionPowerSchema = new mongoose.Schema({
+  dimension: {
+    type: String,
+    required: true
+  },
+  // Share of samples where the dimension was scored
+  coverage: {
+    type: Number,
+    default: 0
+  },
+  // Chance a positive sample scores above a negative one (0.5 = no signal)
+  auc: {
+    type: Number,
+    default: null
+  },
+  meanPositive: {
+    type: Number,
+    default: null
+  },
+  meanNegative: {
+    type: Number,
+    default: null
+  },
+  // Logistic regression coefficient (scores scaled to 0-1)
+  coefficient: {
+    type: Number,
+    default: null
+  },
+  weight: {
+    type: Number,
+    default: null
+  },
+  defaultWeight: {
+    type: Number,
+    default: null
+  }
+}, { _id: false });
+
+// =====================================================
+// MAIN SCHEMA
+// =====================================================
+
+const matchingWeightSetSchema = new mongoose.Schema({
+  scope: {
+    type: String,
+    enum: WEIGHT_SCOPE_NAMES,
+    required: true
+  },
+
+  version: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+
+  // dimension → weight (total = 1)
+  weights: {
+    type: Map,
+    of: Number,
+    required: true
+  },
+
+  trainedAt: {
+    type: Date,
+    default: Date.now
+  },
+
+  samples: {
+    total: { type: Number, default: 0 },
+    positives: { type: Number, default: 0 },
+    holdout: { type: Number, default: 0 }
+  },
+
+  // Outcome dates the samples span
+  window: {
+    from: { type: Date, default: null },
+    to: { type: Date, default: null }
+  },
+
+  dimensions: {
+    type: [dimensionPowerSchema],
+    default: []
+  },
+
+  // AUC of the overall score on the holdout pairs
+  evaluation: {
+    holdoutAuc: { type: Number, default: null },
+    defaultHoldoutAuc: { type: Number, default: null }
+  }
+
+}, {
+  timestamps: true
+});
+
+// =====================================================
+// INDEXES
+// =====================================================
+
+matchingWeightSetSchema.index({ scope: 1, version: 1 }, { unique: true });
+
+// =====================================================
+// STATIC METHODS
+// =====================================================
+
+/**
+ * Latest weight set of a scope
+ * @param {String} scope
+ * @returns {Promise<Object|null>}
+ */
+matchingWeightSetSchema.statics.findLatest = function(scope) {
+  return this.findOne({ scope }).sort({ version: -1 }).lean();
+};
+
+/**
+ * One weight set by version
+ * @param {String} scope
+ * @param {Number} version
+ * @returns {Promise<Object|null>}
+ */
+matchingWeightSetSchema.statics.findVersion = function(scope, version) {
+  return this.findOne({ scope, version }).lean();
+};
+
+// =====================================================
+// MODEL EXPORT
+// =====================================================
+
+const MatchingWeightSet = mongoose.model('MatchingWeightSet', matchingWeightSetSchema);
+
+module.exports = MatchingWeightSet;
@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const { DEFAULT_LOCALE } = require('../config/locales');
+const { t } = require('../utils/i18n');
 
 /**
  * Message Model
@@ -103,6 +105,8 @@ const messageSchema = new mongoose.Schema(
         'message_deleted',
         'media_expired',
         'safety_warning',
+        'match_expiring',
+        'match_expired',
       ],
       default: null,
     },
@@ -418,26 +422,30 @@ messageSchema.statics.createSystemMessage = async function (
   systemMessageType,
   text = null
 ) {
-  const systemMessages = {
-    conversation_started: 'Conversation started',
-    match_created: 'You matched! Start a conversation 🎉',
-    user_blocked: 'User has been blocked',
-    user_unblocked: 'User has been unblocked',
-    message_deleted: 'Message was deleted',
-    media_expired: 'Media has expired',
-    safety_warning: 'Please keep conversations respectful',
-  };
-
+  // Stored in English; translated when read (see localizeSystemText)
   return this.create({
     conversationId,
     senderId: null, // System messages have no sender
     type: 'system',
-    text: text || systemMessages[systemMessageType],
+    text: text || t(DEFAULT_LOCALE, `systemMessage.${systemMessageType}`),
     systemMessageType,
     status: 'sent',
   });
 };
 
+/**
+ * Translate a system message's default text for the reader
+ * (custom texts are returned as stored)
+ */
+messageSchema.statics.localizeSystemText = function (message, locale) {
+  if (message.type !== 'system' || !message.systemMessageType) return message;
+
+  const key = `systemMessage.${message.systemMessageType}`;
+  if (message.text !== t(DEFAULT_LOCALE, key)) return message;
+
+  return { ...message, text: t(locale, key) };
+};
+
 // ==================== INSTANCE METHODS ====================
 
 /**
@@ -496,6 +504,27 @@ messageSchema.methods.softDelete = async function (userId, deleteForEveryone = f
   return this;
 };
 
+/**
+ * Remove message as a moderator (no 5 minute window)
+ */
+messageSchema.methods.removeByModerator = async function (moderatorId) {
+  this.isDeleted = true;
+  this.deletedAt = new Date();
+  this.deletedBy = moderatorId;
+  this.deleteForEveryone = true;
+  this.moderationStatus = 'rejected';
+
+  await this.save();
+
+  await this.constructor.createSystemMessage(
+    this.conversationId,
+    'message_deleted',
+    'A message was removed for violating community guidelines'
+  );
+
+  return this;
+};
+
 /**
  * Add reaction to message (Phase 2)
  */
@@ -387,17 +387,27 @@ messageReportSchema.statics.getModerationQueue = async function (options = {}) {
   const {
     status = 'pending',
     priority = null,
+    reason = null,
     page = 1,
     limit = 20,
   } = options;
 
   const skip = (page - 1) * limit;
-  const query = { status };
+  const query = {};
+
+  // status 'all' returns every report regardless of state
+  if (status && status !== 'all') {
+    query.status = status;
+  }
 
   if (priority) {
     query.priority = priority;
   }
 
+  if (reason) {
+    query.reason = reason;
+  }
+
   const reports = await this.find(query)
     .sort({ priority: -1, createdAt: 1 }) // Urgent first, then oldest
     .skip(skip)
@@ -477,8 +487,8 @@ messageReportSchema.methods.review = async function (
     case 'message_deleted':
       const Message = mongoose.model('Message');
       const message = await Message.findById(this.messageId);
-      if (message) {
-        await message.softDelete(reviewerId, true);
+      if (message && !message.isDeleted) {
+        await message.removeByModerator(reviewerId);
       }
       break;
 
@@ -0,0 +1,151 @@
+const mongoose = require('mongoose');
+
+/**
+ * ModerationAction Model
+ * Audit trail of every action taken by a moderator
+ */
+const moderationActionSchema = new mongoose.Schema(
+  {
+    // Admin who performed the action
+    moderatorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    action: {
+      type: String,
+      enum: [
+        'report_dismissed',
+        'report_escalated',
+        'user_warned',
+        'message_removed',
+        'user_banned',
+        'user_unbanned',
+        'block_reviewed',
+        'block_extended',
+        'block_made_permanent',
+      ],
+      required: true,
+      index: true,
+    },
+
+    // What the action was performed on
+    targetType: {
+      type: String,
+      enum: ['report', 'message', 'user', 'block'],
+      required: true,
+    },
+
+    targetId: {
+      type: mongoose.Schema.Types.ObjectId,
+      required: true,
+    },
+
+    // Related report (if the action came from the queue)
+    reportId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MessageReport',
+      default: null,
+      index: true,
+    },
+
+    // User affected by the action
+    subjectUserId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+      index: true,
+    },
+
+    notes: {
+      type: String,
+      maxlength: 2000,
+      default: null,
+    },
+
+    // Action specific details (ban reason, extension days, previous state...)
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+// Audit log listing, newest first
+moderationActionSchema.index({ createdAt: -1 });
+
+// History for a specific target
+moderationActionSchema.index({ targetType: 1, targetId: 1, createdAt: -1 });
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Record a moderator action
+ */
+moderationActionSchema.statics.record = async function ({
+  moderatorId,
+  action,
+  targetType,
+  targetId,
+  reportId = null,
+  subjectUserId = null,
+  notes = null,
+  metadata = null,
+}) {
+  return this.create({
+    moderatorId,
+    action,
+    targetType,
+    targetId,
+    reportId,
+    subjectUserId,
+    notes,
+    metadata,
+  });
+};
+
+/**
+ * Get paginated audit trail
+ */
+moderationActionSchema.statics.getAuditTrail = async function (options = {}) {
+  const {
+    moderatorId = null,
+    subjectUserId = null,
+    reportId = null,
+    action = null,
+    page = 1,
+    limit = 50,
+  } = options;
+
+  const skip = (page - 1) * limit;
+  const query = {};
+
+  if (moderatorId) query.moderatorId = moderatorId;
+  if (subjectUserId) query.subjectUserId = subjectUserId;
+  if (reportId) query.reportId = reportId;
+  if (action) query.action = action;
+
+  const [actions, total] = await Promise.all([
+    this.find(query)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('moderatorId', 'firstName lastName username')
+      .populate('subjectUserId', 'firstName lastName username')
+      .lean(),
+    this.countDocuments(query),
+  ]);
+
+  return { actions, total, page, limit };
+};
+
+const ModerationAction = mongoose.model('ModerationAction', moderationActionSchema);
+
+module.exports = ModerationAction;
@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+
+/**
+ * Notification Model
+ * Persisted in-app notification inbox (also the source of push notifications)
+ */
+const notificationSchema = new mongoose.Schema(
+  {
+    // Recipient
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    type: {
+      type: String,
+      enum: [
+        'new_like',
+        'mutual_match',
+        'new_message',
+        'game_invitation',
+        'match_expiring',
+        'match_drop',
+        'system',
+      ],
+      required: true,
+    },
+
+    title: {
+      type: String,
+      required: true,
+      maxlength: 200,
+    },
+
+    body: {
+      type: String,
+      maxlength: 1000,
+      default: '',
+    },
+
+    // Deep-link payload for the client (matchId, conversationId, sessionId...)
+    data: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+
+    // User who caused the notification (liker, sender, inviter)
+    actorId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null,
+    },
+
+    // ==================== COLLAPSING ====================
+
+    // Notifications sharing a key are merged while unread
+    // (e.g. 'message:<conversationId>')
+    collapseKey: {
+      type: String,
+      default: null,
+    },
+
+    // Number of events merged into this notification
+    count: {
+      type: Number,
+      default: 1,
+    },
+
+    // Time of the most recent merged event
+    lastEventAt: {
+      type: Date,
+      default: Date.now,
+    },
+
+    // ==================== READ STATE ====================
+
+    isRead: {
+      type: Boolean,
+      default: false,
+    },
+
+    readAt: {
+      type: Date,
+      default: null,
+    },
+
+    // ==================== PUSH DELIVERY ====================
+
+    push: {
+      status: {
+        type: String,
+        enum: ['pending', 'sent', 'suppressed', 'failed', 'skipped'],
+        default: 'pending',
+      },
+      // Why it was suppressed/skipped/failed
+      reason: {
+        type: String,
+        default: null,
+      },
+      transport: {
+        type: String,
+        default: null,
+      },
+      sentAt: {
+        type: Date,
+        default: null,
+      },
+      attempts: {
+        type: Number,
+        default: 0,
+      },
+    },
+
+    // Auto-delete after 90 days
+    expiresAt: {
+      type: Date,
+      default: () => new Date(Date.now() + 90 * 24 * 60 * 60 * 1000),
+      index: { expires: 0 },
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+// Inbox listing
+notificationSchema.index({ userId: 1, lastEventAt: -1 });
+
+// Unread badge count
+notificationSchema.index({ userId: 1, isRead: 1 });
+
+// Collapsing lookup
+notificationSchema.index({ userId: 1, collapseKey: 1, isRead: 1 });
+
+// ==================== STATIC METHODS ====================
+
+/**
+ * Get paginated inbox for a user
+ */
+notificationSchema.statics.getInbox = async function (userId, options = {}) {
+  const { unreadOnly = false, page = 1, limit = 20 } = options;
+
+  const skip = (page - 1) * limit;
+  const query = { userId };
+
+  if (unreadOnly) {
+    query.isRead = false;
+  }
+
+  const [notifications, total] = await Promise.all([
+    this.find(query)
+      .sort({ lastEventAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .populate('actorId', 'firstName lastName username profilePhoto')
+      .lean(),
+    this.countDocuments(query),
+  ]);
+
+  return { notifications, total, page, limit };
+};
+
+/**
+ * Count unread notifications
+ */
+notificationSchema.statics.getUnreadCount = async function (userId) {
+  return this.countDocuments({ userId, isRead: false });
+};
+
+/**
+ * Mark all of a user's notifications as read
+ */
+notificationSchema.statics.markAllAsRead = async function (userId) {
+  const result = await this.updateMany(
+    { userId, isRead: false },
+    { isRead: true, readAt: new Date() }
+  );
+
+  return result.modifiedCount;
+};
+
+// ==================== INSTANCE METHODS ====================
+
+/**
+ * Mark notification as read
+ */
+notificationSchema.methods.markAsRead = async function () {
+  if (!this.isRead) {
+    this.isRead = true;
+    this.readAt = new Date();
+    await this.save();
+  }
+  return this;
+};
+
+const Notification = mongoose.model('Notification', notificationSchema);
+
+module.exports = Notification;
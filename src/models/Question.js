@@ -1,4 +1,6 @@
 const mongoose = require('mongoose');
+const versionedContent = require('./plugins/versionedContent');
+const localizedContent = require('./plugins/localizedContent');
 
 /**
  * QUESTION MODEL
@@ -165,6 +167,19 @@ const questionSchema = new mongoose.Schema(
 questionSchema.index({ dimension: 1, questionNumber: 1 });
 questionSchema.index({ isCore: 1, dayUnlocked: 1 });
 
+// Draft / published / retired states and versions (admin content API)
+questionSchema.plugin(versionedContent, { keyField: 'questionNumber' });
+
+// Translations with English fallback (admin content API)
+questionSchema.plugin(localizedContent, {
+  keyField: 'questionNumber',
+  fields: ['questionText', 'followUpQuestion'],
+  lists: {
+    options: { idField: 'key', fields: ['text'] },
+    followUpOptions: { idField: 'key', fields: ['text'] }
+  }
+});
+
 // =====================================
 // VALIDATION MIDDLEWARE
 // =====================================
@@ -0,0 +1,164 @@
+const mongoose = require('mongoose');
+
+/**
+ * Subscription Model
+ * One store subscription (App Store / Google Play), kept in sync with the
+ * store by receipt verification. Renewals update the same document.
+ */
+const subscriptionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+      index: true,
+    },
+
+    // Plan ID (see services/subscription/plans.js)
+    planId: {
+      type: String,
+      required: true,
+    },
+
+    platform: {
+      type: String,
+      enum: ['apple', 'google'],
+      required: true,
+    },
+
+    productId: {
+      type: String,
+      required: true,
+    },
+
+    // Stable store identifier across renewals
+    // (Apple original_transaction_id, Google purchase token)
+    originalTransactionId: {
+      type: String,
+      required: true,
+    },
+
+    latestTransactionId: {
+      type: String,
+      default: null,
+    },
+
+    // Latest receipt / purchase token, used to re-verify on renewal
+    receipt: {
+      type: String,
+      required: true,
+      select: false,
+    },
+
+    environment: {
+      type: String,
+      enum: ['production', 'sandbox'],
+      default: 'production',
+    },
+
+    // ==================== STATE ====================
+
+    status: {
+      type: String,
+      enum: [
+        'active',        // Paid period running
+        'grace_period',  // Period ended, store still retrying payment
+        'expired',       // Not renewed
+        'refunded',      // Refunded / revoked by the store
+      ],
+      default: 'active',
+      index: true,
+    },
+
+    autoRenew: {
+      type: Boolean,
+      default: true,
+    },
+
+    isTrial: {
+      type: Boolean,
+      default: false,
+    },
+
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+
+    currentPeriodEnd: {
+      type: Date,
+      required: true,
+    },
+
+    // Access continues until then while in grace_period
+    graceEndsAt: {
+      type: Date,
+      default: null,
+    },
+
+    expiredAt: {
+      type: Date,
+      default: null,
+    },
+
+    refundedAt: {
+      type: Date,
+      default: null,
+    },
+
+    lastVerifiedAt: {
+      type: Date,
+      default: null,
+    },
+
+    // Last time the renewal job looked at it (verified or not)
+    renewalCheckedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  {
+    timestamps: true,
+  }
+);
+
+// ==================== INDEXES ====================
+
+// One document per store subscription
+subscriptionSchema.index({ platform: 1, originalTransactionId: 1 }, { unique: true });
+
+// Renewal job (least recently checked first)
+subscriptionSchema.index({ status: 1, renewalCheckedAt: 1, currentPeriodEnd: 1 });
+
+// ==================== METHODS ====================
+
+/**
+ * End of access granted by this subscription (null if none)
+ */
+subscriptionSchema.methods.getAccessEndsAt = function () {
+  if (this.status === 'active') return this.currentPeriodEnd;
+  if (this.status === 'grace_period') return this.graceEndsAt;
+  return null;
+};
+
+/**
+ * Client-facing representation (no receipt)
+ */
+subscriptionSchema.methods.toPublicJSON = function () {
+  return {
+    subscriptionId: this._id,
+    planId: this.planId,
+    platform: this.platform,
+    productId: this.productId,
+    status: this.status,
+    autoRenew: this.autoRenew,
+    isTrial: this.isTrial,
+    startedAt: this.startedAt,
+    currentPeriodEnd: this.currentPeriodEnd,
+    graceEndsAt: this.graceEndsAt,
+    expiredAt: this.expiredAt,
+    refundedAt: this.refundedAt,
+  };
+};
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+/**
+ * Subscription Event Model
+ * Append-only history of what happened to a user's subscriptions
+ */
+const subscriptionEventSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+
+    subscriptionId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Subscription',
+      required: true,
+    },
+
+    type: {
+      type: String,
+      enum: [
+        'purchased',
+        'plan_changed',         // Upgrade / downgrade within the same store subscription
+        'renewed',
+        'auto_renew_disabled',
+        'auto_renew_enabled',
+        'grace_period_started',
+        'expired',
+        'refunded',
+      ],
+      required: true,
+    },
+
+    planId: {
+      type: String,
+      required: true,
+    },
+
+    platform: {
+      type: String,
+      enum: ['apple', 'google'],
+      required: true,
+    },
+
+    transactionId: {
+      type: String,
+      default: null,
+    },
+
+    // Period end after the event
+    periodEnd: {
+      type: Date,
+      default: null,
+    },
+
+    // 'user' (receipt sent by the app) or 'job' (renewal check)
+    source: {
+      type: String,
+      enum: ['user', 'job'],
+      default: 'user',
+    },
+  },
+  {
+    timestamps: { createdAt: true, updatedAt: false },
+  }
+);
+
+// History listing
+subscriptionEventSchema.index({ userId: 1, createdAt: -1 });
+subscriptionEventSchema.index({ subscriptionId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('SubscriptionEvent', subscriptionEventSchema);
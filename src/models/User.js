@@ -2,6 +2,26 @@
 
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const { SUPPORTED_LOCALES } = require('../config/locales');
+const { OPTIONAL_CATEGORIES, mergeExcludedCategories } = require('../config/contentBoundaries');
+const { AGE_LIMITS, HARD_FILTERS } = require('../config/discoveryPreferences');
+const { getUserLocale, getSharedLocale } = require('../utils/i18n');
+
+// A discovery hard filter: the user's own value and the values they accept
+// from a partner ([] = open to everyone)
+function hardFilter(values) {
+  return {
+    value: {
+      type: String,
+      enum: [...values, null],
+      default: null,
+    },
+    acceptable: {
+      type: [{ type: String, enum: values }],
+      default: [],
+    },
+  };
+}
 
 const userSchema = new mongoose.Schema(
   {
@@ -84,7 +104,12 @@ const userSchema = new mongoose.Schema(
       type: Boolean,
       default: false,
     },
+    // Premium access, derived from subscriptions (see services/subscription.service.js)
     premiumExpiry: Date,
+    premiumPlan: {
+      type: String,
+      default: null,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -94,12 +119,167 @@ const userSchema = new mongoose.Schema(
       default: false,
     },
     banReason: String,
+    bannedAt: Date,
+    role: {
+      type: String,
+      enum: ['user', 'admin'],
+      default: 'user',
+    },
+    // App language (null = follow the device's Accept-Language)
+    locale: {
+      type: String,
+      enum: [...SUPPORTED_LOCALES, null],
+      default: null,
+    },
+    // IANA timezone, e.g. 'Europe/Berlin' (null = quiet hours timezone, else UTC)
+    timezone: {
+      type: String,
+      default: null,
+    },
     fcmToken: String, // For push notifications
+    notificationPreferences: {
+      pushEnabled: {
+        type: Boolean,
+        default: true,
+      },
+      likes: {
+        type: Boolean,
+        default: true,
+      },
+      matches: {
+        type: Boolean,
+        default: true,
+      },
+      messages: {
+        type: Boolean,
+        default: true,
+      },
+      gameInvitations: {
+        type: Boolean,
+        default: true,
+      },
+      quietHours: {
+        enabled: {
+          type: Boolean,
+          default: false,
+        },
+        start: {
+          type: String,
+          default: '22:00',
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours start must be HH:mm'],
+        },
+        end: {
+          type: String,
+          default: '08:00',
+          match: [/^([01]\d|2[0-3]):[0-5]\d$/, 'Quiet hours end must be HH:mm'],
+        },
+        timezone: {
+          type: String,
+          default: 'UTC',
+        },
+      },
+    },
+    // Explicit game categories the user opted out of (config/contentBoundaries.js)
+    contentBoundaries: {
+      intimacy_spectrum: {
+        type: [{ type: String, enum: OPTIONAL_CATEGORIES.intimacy_spectrum }],
+        default: [],
+      },
+      never_have_i_ever: {
+        type: [{ type: String, enum: OPTIONAL_CATEGORIES.never_have_i_ever }],
+        default: [],
+      },
+    },
+    // Who the user wants to be shown (config/discoveryPreferences.js)
+    discoveryPreferences: {
+      ageMin: {
+        type: Number,
+        min: [AGE_LIMITS.min, `Minimum age cannot be below ${AGE_LIMITS.min}`],
+        max: [AGE_LIMITS.max, `Minimum age cannot exceed ${AGE_LIMITS.max}`],
+        default: null,
+      },
+      ageMax: {
+        type: Number,
+        min: [AGE_LIMITS.min, `Maximum age cannot be below ${AGE_LIMITS.min}`],
+        max: [AGE_LIMITS.max, `Maximum age cannot exceed ${AGE_LIMITS.max}`],
+        default: null,
+      },
+      // null = as far as the plan allows
+      maxDistanceKm: {
+        type: Number,
+        min: [1, 'Maximum distance must be at least 1 km'],
+        default: null,
+      },
+      relationshipIntent: hardFilter(HARD_FILTERS.relationshipIntent),
+      kids: hardFilter(HARD_FILTERS.kids),
+      smoking: hardFilter(HARD_FILTERS.smoking),
+      religion: hardFilter(HARD_FILTERS.religion),
+    },
+    // Daily match drops (see config/matchDrops.js); dates are local 'YYYY-MM-DD'
+    matchDrops: {
+      lastDropDate: {
+        type: String,
+        default: null,
+      },
+      lastDropAt: {
+        type: Date,
+        default: null,
+      },
+      // null = not scheduled yet
+      nextDropAt: {
+        type: Date,
+        default: null,
+      },
+      refreshDate: {
+        type: String,
+        default: null,
+      },
+      refreshesUsed: {
+        type: Number,
+        default: 0,
+      },
+    },
     lastActive: {
       type: Date,
       default: Date.now,
     },
+    // Presence (maintained by the socket layer, see services/presence.service.js)
+    isOnline: {
+      type: Boolean,
+      default: false,
+    },
+    lastSeen: {
+      type: Date,
+      default: null,
+    },
     refreshToken: String, // Store hashed refresh token
+    // Account deletion (see services/account.service.js)
+    deletion: {
+      requestedAt: {
+        type: Date,
+        default: null,
+      },
+      scheduledFor: {
+        type: Date,
+        default: null,
+      },
+      reason: {
+        type: String,
+        maxlength: [500, 'Reason cannot exceed 500 characters'],
+      },
+    },
+    isDeleted: {
+      type: Boolean,
+      default: false,
+    },
+    deletedAt: {
+      type: Date,
+      default: null,
+    },
+    dataExport: {
+      key: String, // S3 key of the latest export archive
+      lastRequestedAt: Date,
+    },
   },
   {
     timestamps: true,
@@ -116,6 +296,8 @@ function arrayLimit(val) {
 // Indexes - ONLY compound indexes (phone, username, coordinates already indexed above)
 userSchema.index({ isActive: 1, isBanned: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ 'matchDrops.nextDropAt': 1 });
+userSchema.index({ 'deletion.scheduledFor': 1, isDeleted: 1 });
 
 // Virtual for full name
 userSchema.virtual('fullName').get(function () {
@@ -137,12 +319,45 @@ userSchema.methods.isProfileComplete = function () {
   );
 };
 
+// Method to check admin role
+userSchema.methods.isAdmin = function () {
+  return this.role === 'admin';
+};
+
 // Method to update last active
 userSchema.methods.updateLastActive = async function () {
   this.lastActive = Date.now();
   await this.save({ validateBeforeSave: false });
 };
 
+// Locales of several users (for content pushed to them outside a request)
+userSchema.statics.getLocales = async function (userIds) {
+  const users = await this.find({ _id: { $in: userIds } }).select('locale').lean();
+
+  const locales = new Map(users.map(user => [user._id.toString(), getUserLocale(user)]));
+  userIds.forEach(userId => {
+    if (!locales.has(userId.toString())) {
+      locales.set(userId.toString(), getUserLocale(null));
+    }
+  });
+
+  return locales;
+};
+
+// Categories of a game excluded by any of the players
+userSchema.statics.getExcludedCategories = async function (userIds, gameType) {
+  const users = await this.find({ _id: { $in: userIds } }).select('contentBoundaries').lean();
+
+  return mergeExcludedCategories(users.map(user => user.contentBoundaries), gameType);
+};
+
+// Language for content both users read (AI insights, ice breakers)
+userSchema.statics.getSharedLocale = async function (userIds) {
+  const users = await this.find({ _id: { $in: userIds } }).select('locale').lean();
+
+  return getSharedLocale(users);
+};
+
 // Hash refresh token before saving
 userSchema.pre('save', async function (next) {
   if (!this.isModified('refreshToken') || !this.refreshToken) {
@@ -163,6 +378,7 @@ userSchema.methods.compareRefreshToken = async function (token) {
 userSchema.methods.toJSON = function () {
   const user = this.toObject();
   delete user.refreshToken;
+  delete user.dataExport;
   delete user.__v;
   return user;
 };
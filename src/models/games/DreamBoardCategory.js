@@ -1,6 +1,8 @@
 // src/models/games/DreamBoardCategory.js
 
 const mongoose = require('mongoose');
+const versionedContent = require('../plugins/versionedContent');
+const localizedContent = require('../plugins/localizedContent');
 
 /**
  * DREAM BOARD - CATEGORY MODEL
@@ -136,6 +138,18 @@ dreamBoardCategorySchema.index({ categoryNumber: 1 });
 dreamBoardCategorySchema.index({ categoryId: 1 });
 dreamBoardCategorySchema.index({ isActive: 1 });
 
+// Draft / published / retired states and versions (admin content API)
+dreamBoardCategorySchema.plugin(versionedContent, { keyField: 'categoryNumber' });
+
+// Translations with English fallback (admin content API)
+dreamBoardCategorySchema.plugin(localizedContent, {
+  keyField: 'categoryNumber',
+  fields: ['title', 'question', 'insight'],
+  lists: {
+    cards: { idField: 'cardId', fields: ['title', 'subtitle'] }
+  }
+});
+
 // =====================================================
 // STATIC METHODS
 // =====================================================
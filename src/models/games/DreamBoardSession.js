@@ -316,6 +316,18 @@ const dreamBoardSessionSchema = new mongoose.Schema({
 
   discussionNotes: [discussionNoteSchema],
 
+  // Rematch
+  // Session this game is a rematch of (null for a first game)
+  previousSessionId: {
+    type: String,
+    default: null
+  },
+  // Games of the series before this one
+  rematchCount: {
+    type: Number,
+    default: 0
+  },
+
   // Timestamps
   invitedAt: {
     type: Date,
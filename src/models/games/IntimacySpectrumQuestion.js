@@ -1,6 +1,8 @@
 // src/models/games/IntimacySpectrumQuestion.js
 
 const mongoose = require('mongoose');
+const versionedContent = require('../plugins/versionedContent');
+const localizedContent = require('../plugins/localizedContent');
 
 /**
  * INTIMACY SPECTRUM QUESTION MODEL
@@ -85,6 +87,15 @@ const intimacySpectrumQuestionSchema = new mongoose.Schema(
       default: 1
     },
 
+    // How much a question tends to reveal about a couple (1 = average)
+    // Weights question selection, see config/questionSelection.js
+    insightValue: {
+      type: Number,
+      min: 0.1,
+      max: 5,
+      default: 1
+    },
+
     // Whether this question is active/enabled
     isActive: {
       type: Boolean,
@@ -112,6 +123,15 @@ intimacySpectrumQuestionSchema.index({ spiceLevel: 1 });
 // Get active questions
 intimacySpectrumQuestionSchema.index({ isActive: 1 });
 
+// Draft / published / retired states and versions (admin content API)
+intimacySpectrumQuestionSchema.plugin(versionedContent, { keyField: 'questionNumber' });
+
+// Translations with English fallback (admin content API)
+intimacySpectrumQuestionSchema.plugin(localizedContent, {
+  keyField: 'questionNumber',
+  fields: ['questionText', 'leftLabel', 'rightLabel', 'insight']
+});
+
 // =====================================================
 // STATIC METHODS
 // =====================================================
@@ -172,6 +192,22 @@ intimacySpectrumQuestionSchema.statics.getDefaultQuestionOrder = function () {
   return Array.from({ length: 30 }, (_, i) => i + 1);
 };
 
+/**
+ * Numbers of the questions in some categories
+ * (used to leave categories out of a session, see config/contentBoundaries.js)
+ * @param {Array<String>} categories - Category names
+ * @returns {Promise<Set<Number>>} Question numbers
+ */
+intimacySpectrumQuestionSchema.statics.getNumbersInCategories = async function (categories) {
+  if (!categories || categories.length === 0) return new Set();
+
+  const questions = await this.find({ category: { $in: categories } })
+    .select('questionNumber')
+    .lean();
+
+  return new Set(questions.map(q => q.questionNumber));
+};
+
 /**
  * Get category display info
  * @returns {Object} Category metadata
@@ -2,6 +2,7 @@
 
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const asyncPlay = require('../plugins/asyncPlay');
 
 /**
  * INTIMACY SPECTRUM SESSION MODEL
@@ -18,6 +19,15 @@ const { v4: uuidv4 } = require('uuid');
  * 5. Both answer → reveal positions → next question
  * 6. After Q30 → status: 'completed', calculate results
  * 7. AI insights generated → voice notes available
+ *
+ * Content boundaries: categories either player opted out of are left out
+ * of questionOrder (see excludedCategories), so a game may have fewer than
+ * 30 questions. "I'd rather not say" answers are recorded but never scored.
+ *
+ * Async mode (mode: 'async', see models/plugins/asyncPlay.js): accepting
+ * goes straight to 'playing' with no timers, each player answers over REST
+ * at their own pace, and positions are revealed per question once both
+ * have answered.
  */
 
 // =====================================================
@@ -41,7 +51,12 @@ const answerSchema = new mongoose.Schema(
       type: Number,
       min: 0,
       max: 100,
-      default: null // null means timed out
+      default: null // null means timed out (or rather not say)
+    },
+    // "I'd rather not say" (position stays null, not counted as a timeout)
+    ratherNotSay: {
+      type: Boolean,
+      default: false
     },
     // When the answer was submitted
     answeredAt: {
@@ -87,6 +102,10 @@ const playerSchema = new mongoose.Schema(
     totalTimedOut: {
       type: Number,
       default: 0
+    },
+    totalRatherNotSay: {
+      type: Number,
+      default: 0
     }
   },
   { _id: false }
@@ -255,6 +274,25 @@ const intimacySpectrumSessionSchema = new mongoose.Schema(
       max: 30
     }],
 
+    // Categories left out because a player opted out of them
+    excludedCategories: {
+      type: [String],
+      default: []
+    },
+
+    // Premium category focus pack the questions were drawn from
+    focusPack: {
+      type: String,
+      default: null
+    },
+
+    // Seed the questions were selected with (reproduces the selection,
+    // see services/games/questionSelection.service.js)
+    selectionSeed: {
+      type: String,
+      default: null
+    },
+
     // Current question index (0-29)
     currentQuestionIndex: {
       type: Number,
@@ -275,6 +313,20 @@ const intimacySpectrumSessionSchema = new mongoose.Schema(
       default: null
     },
 
+    // ==================== DURABLE TIMER ====================
+    // Next scheduled game step (countdown end, question timeout, reveal end).
+    // Fired once across all instances by services/games/gameTimer.service.js
+    timerDeadline: {
+      token: { type: String, default: null },
+      action: { type: String, default: null },
+      questionIndex: { type: Number, default: null },
+      fireAt: { type: Date, default: null },
+      lockedBy: { type: String, default: null },
+      lockedUntil: { type: Date, default: null },
+      // Failed handler runs (retried with backoff)
+      attempts: { type: Number, default: 0 }
+    },
+
     // ==================== RESULTS ====================
     results: {
       totalQuestions: {
@@ -297,6 +349,15 @@ const intimacySpectrumSessionSchema = new mongoose.Schema(
         type: Number,
         default: 0
       },
+      // "I'd rather not say" answers (excluded from scoring)
+      player1RatherNotSay: {
+        type: Number,
+        default: 0
+      },
+      player2RatherNotSay: {
+        type: Number,
+        default: 0
+      },
       // Overall compatibility score (0-100)
       compatibilityScore: {
         type: Number,
@@ -329,6 +390,18 @@ const intimacySpectrumSessionSchema = new mongoose.Schema(
       ]
     },
 
+    // ==================== REMATCH ====================
+    // Session this game is a rematch of (null for a first game)
+    previousSessionId: {
+      type: String,
+      default: null
+    },
+    // Games of the series before this one
+    rematchCount: {
+      type: Number,
+      default: 0
+    },
+
     // ==================== TIMESTAMPS ====================
     invitedAt: {
       type: Date,
@@ -381,6 +454,12 @@ intimacySpectrumSessionSchema.index({ matchId: 1, status: 1 });
 // Cleanup expired invitations
 intimacySpectrumSessionSchema.index({ status: 1, expiresAt: 1 });
 
+// Due timer deadlines (sweeper)
+intimacySpectrumSessionSchema.index({ 'timerDeadline.fireAt': 1 });
+
+// Live / async mode
+intimacySpectrumSessionSchema.plugin(asyncPlay);
+
 // =====================================================
 // VIRTUALS
 // =====================================================
@@ -395,11 +474,18 @@ intimacySpectrumSessionSchema.virtual('currentQuestionNumber').get(function () {
   return this.currentQuestionIndex + 1;
 });
 
+/**
+ * Number of questions in this game (fewer than 30 when categories are excluded)
+ */
+intimacySpectrumSessionSchema.virtual('totalQuestions').get(function () {
+  return this.questionOrder?.length || 30;
+});
+
 /**
  * Get game progress percentage
  */
 intimacySpectrumSessionSchema.virtual('progressPercent').get(function () {
-  return Math.round((this.currentQuestionIndex / 30) * 100);
+  return Math.round((this.currentQuestionIndex / this.totalQuestions) * 100);
 });
 
 /**
@@ -427,9 +513,16 @@ intimacySpectrumSessionSchema.methods.accept = async function () {
     throw new Error('Game invitation has expired');
   }
 
+  this.player2.isReady = true;
+
+  // Async games skip the countdown
+  if (this.isAsync) {
+    this.startAsyncPlay();
+    return this.save();
+  }
+
   this.status = 'starting';
   this.acceptedAt = new Date();
-  this.player2.isReady = true;
   this.lastActivityAt = new Date();
 
   return this.save();
@@ -474,23 +567,32 @@ intimacySpectrumSessionSchema.methods.startGame = async function () {
  * Record a player's slider answer
  * @param {ObjectId} userId - The player's user ID
  * @param {Number} questionIndex - The question index (0-29)
- * @param {Number} position - Slider position (0-100)
+ * @param {Number} position - Slider position (0-100), null with ratherNotSay
+ * @param {Boolean} ratherNotSay - "I'd rather not say"
  */
 intimacySpectrumSessionSchema.methods.recordAnswer = async function (
   userId,
   questionIndex,
-  position
+  position,
+  ratherNotSay = false
 ) {
   if (this.status !== 'playing') {
     throw new Error('Game is not in playing state');
   }
 
-  if (questionIndex !== this.currentQuestionIndex) {
+  // Async players each answer their own next question
+  const expectedIndex = this.isAsync
+    ? this.getAsyncProgress(userId).nextIndex
+    : this.currentQuestionIndex;
+
+  if (questionIndex !== expectedIndex) {
     throw new Error('Answer is for wrong question');
   }
 
-  // Validate position
-  if (position < 0 || position > 100) {
+  if (ratherNotSay) {
+    position = null;
+  } else if (position === null || position === undefined || position < 0 || position > 100) {
+    // Validate position
     throw new Error('Position must be between 0 and 100');
   }
 
@@ -517,11 +619,11 @@ intimacySpectrumSessionSchema.methods.recordAnswer = async function (
   const existingAnswer = player.answers.find(
     a => a.questionNumber === questionNumber
   );
-  if (existingAnswer && existingAnswer.position !== null) {
+  if (this.constructor.hasResponded(existingAnswer)) {
     throw new Error('Already answered this question');
   }
 
-  // Calculate response time
+  // Calculate response time (none in async mode - there is no timer)
   const responseTime = this.currentQuestionStartedAt
     ? Date.now() - this.currentQuestionStartedAt.getTime()
     : null;
@@ -529,18 +631,23 @@ intimacySpectrumSessionSchema.methods.recordAnswer = async function (
   // Record the answer
   if (existingAnswer) {
     existingAnswer.position = position;
+    existingAnswer.ratherNotSay = ratherNotSay;
     existingAnswer.answeredAt = new Date();
     existingAnswer.responseTime = responseTime;
   } else {
     player.answers.push({
       questionNumber,
       position,
+      ratherNotSay,
       answeredAt: new Date(),
       responseTime
     });
   }
 
   player.totalAnswered++;
+  if (ratherNotSay) {
+    player.totalRatherNotSay++;
+  }
   this.lastActivityAt = new Date();
 
   await this.save();
@@ -552,8 +659,9 @@ intimacySpectrumSessionSchema.methods.recordAnswer = async function (
   );
 
   return {
-    bothAnswered: otherAnswer && otherAnswer.position !== null,
-    playerPosition: position
+    bothAnswered: this.constructor.hasResponded(otherAnswer),
+    playerPosition: position,
+    ratherNotSay
   };
 };
 
@@ -582,7 +690,7 @@ intimacySpectrumSessionSchema.methods.recordTimeout = async function (userId = n
           responseTime: null
         });
         player.totalTimedOut++;
-      } else if (existing.position === null) {
+      } else if (existing.position === null && !existing.ratherNotSay) {
         player.totalTimedOut++;
       }
     });
@@ -606,7 +714,7 @@ intimacySpectrumSessionSchema.methods.recordTimeout = async function (userId = n
         responseTime: null
       });
       player.totalTimedOut++;
-    } else if (existing.position === null) {
+    } else if (existing.position === null && !existing.ratherNotSay) {
       player.totalTimedOut++;
     }
   }
@@ -624,7 +732,7 @@ intimacySpectrumSessionSchema.methods.nextQuestion = async function () {
   }
 
   // Check if game is complete BEFORE incrementing
-  if (this.currentQuestionIndex >= 29) {
+  if (this.currentQuestionIndex >= this.totalQuestions - 1) {
     return this.completeGame();
   }
 
@@ -665,9 +773,7 @@ intimacySpectrumSessionSchema.methods.calculateResults = async function () {
   const IntimacySpectrumQuestion = mongoose.model('IntimacySpectrumQuestion');
 
   // Get all questions for category mapping
-  const questions = await IntimacySpectrumQuestion.find({
-    questionNumber: { $in: this.questionOrder }
-  }).lean();
+  const questions = await IntimacySpectrumQuestion.findVersionsAsOf(this.questionOrder, this.createdAt);
 
   const questionMap = {};
   questions.forEach(q => {
@@ -702,6 +808,8 @@ intimacySpectrumSessionSchema.methods.calculateResults = async function () {
   let player1TimedOut = 0;
   let player2TimedOut = 0;
   let bothTimedOut = 0;
+  let player1RatherNotSay = 0;
+  let player2RatherNotSay = 0;
 
   for (const questionNumber of this.questionOrder) {
     const question = questionMap[questionNumber];
@@ -720,6 +828,14 @@ intimacySpectrumSessionSchema.methods.calculateResults = async function () {
     const p1Answered = p1Answer && p1Answer.position !== null;
     const p2Answered = p2Answer && p2Answer.position !== null;
 
+    // "I'd rather not say" leaves the question out of scoring
+    // (it is not a timeout either)
+    if (p1Answer?.ratherNotSay || p2Answer?.ratherNotSay) {
+      if (p1Answer?.ratherNotSay) player1RatherNotSay++;
+      if (p2Answer?.ratherNotSay) player2RatherNotSay++;
+      continue;
+    }
+
     if (p1Answered && p2Answered) {
       totalBothAnswered++;
       categoryStats[category].bothAnswered++;
@@ -779,14 +895,18 @@ intimacySpectrumSessionSchema.methods.calculateResults = async function () {
 
   // Save results
   this.results = {
-    totalQuestions: 30,
+    totalQuestions: this.totalQuestions,
     bothAnswered: totalBothAnswered,
     player1TimedOut,
     player2TimedOut,
     bothTimedOut,
+    player1RatherNotSay,
+    player2RatherNotSay,
     compatibilityScore,
     averageGap,
-    categoryBreakdown: categories.map(cat => categoryStats[cat])
+    categoryBreakdown: categories
+      .filter(cat => !this.excludedCategories.includes(cat))
+      .map(cat => categoryStats[cat])
   };
 };
 
@@ -857,6 +977,14 @@ intimacySpectrumSessionSchema.methods.getAlignmentLabel = function (gap) {
 // STATIC METHODS
 // =====================================================
 
+/**
+ * Whether a player has answered (a position or "I'd rather not say")
+ * @param {Object} answer - Answer sub-document (may be undefined)
+ */
+intimacySpectrumSessionSchema.statics.hasResponded = function (answer) {
+  return !!answer && (answer.position !== null || answer.ratherNotSay === true);
+};
+
 /**
  * Find active session for a user
  */
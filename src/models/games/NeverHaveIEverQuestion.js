@@ -1,6 +1,8 @@
 // src/models/games/NeverHaveIEverQuestion.js
 
 const mongoose = require('mongoose');
+const versionedContent = require('../plugins/versionedContent');
+const localizedContent = require('../plugins/localizedContent');
 
 /**
  * NEVER HAVE I EVER QUESTION MODEL
@@ -71,6 +73,15 @@ const neverHaveIEverQuestionSchema = new mongoose.Schema(
       default: 2
     },
 
+    // How much a question tends to reveal about a couple (1 = average)
+    // Weights question selection, see config/questionSelection.js
+    insightValue: {
+      type: Number,
+      min: 0.1,
+      max: 5,
+      default: 1
+    },
+
     // Whether this question is active/enabled
     isActive: {
       type: Boolean,
@@ -91,6 +102,15 @@ neverHaveIEverQuestionSchema.index({ category: 1 });
 neverHaveIEverQuestionSchema.index({ spiceLevel: 1 });
 neverHaveIEverQuestionSchema.index({ isActive: 1 });
 
+// Draft / published / retired states and versions (admin content API)
+neverHaveIEverQuestionSchema.plugin(versionedContent, { keyField: 'questionNumber' });
+
+// Translations with English fallback (admin content API)
+neverHaveIEverQuestionSchema.plugin(localizedContent, {
+  keyField: 'questionNumber',
+  fields: ['statementText', 'insight']
+});
+
 // =====================================================
 // STATIC METHODS
 // =====================================================
@@ -132,6 +152,22 @@ neverHaveIEverQuestionSchema.statics.getGameQuestions = async function (count =
   return questions.map(q => q.questionNumber);
 };
 
+/**
+ * Numbers of the questions in some categories
+ * (used to leave categories out of a session, see config/contentBoundaries.js)
+ * @param {Array<String>} categories - Category names
+ * @returns {Promise<Set<Number>>} Question numbers
+ */
+neverHaveIEverQuestionSchema.statics.getNumbersInCategories = async function (categories) {
+  if (!categories || categories.length === 0) return new Set();
+
+  const questions = await this.find({ category: { $in: categories } })
+    .select('questionNumber')
+    .lean();
+
+  return new Set(questions.map(q => q.questionNumber));
+};
+
 /**
  * Get category display info
  */
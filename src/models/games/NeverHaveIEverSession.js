@@ -2,6 +2,7 @@
 
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const asyncPlay = require('../plugins/asyncPlay');
 
 /**
  * NEVER HAVE I EVER SESSION MODEL
@@ -23,6 +24,15 @@ const { v4: uuidv4 } = require('uuid');
  * - Both "I Have": +3 each (Shared Experience)
  * - Both "I Haven't": +1 each (Innocent Together)
  * - One has, one hasn't: +5 to revealer (Secret Unlocked)
+ *
+ * Content boundaries: categories either player opted out of are left out
+ * of questionOrder (see excludedCategories), so a game may have fewer than
+ * 30 statements. "I'd rather not say" answers are recorded but never scored.
+ *
+ * Async mode (mode: 'async', see models/plugins/asyncPlay.js): accepting
+ * goes straight to 'playing' with no timers, each player answers over REST
+ * at their own pace, and answers are revealed per statement once both
+ * have answered. Discovery points are totalled when the game completes.
  */
 
 // =====================================================
@@ -41,11 +51,16 @@ const answerSchema = new mongoose.Schema(
       min: 1,
       max: 30
     },
-    // true = "I Have", false = "I Haven't", null = timed out
+    // true = "I Have", false = "I Haven't", null = timed out (or rather not say)
     answer: {
       type: Boolean,
       default: null
     },
+    // "I'd rather not say" (answer stays null, not counted as a timeout)
+    ratherNotSay: {
+      type: Boolean,
+      default: false
+    },
     // When the answer was submitted
     answeredAt: {
       type: Date,
@@ -91,6 +106,10 @@ const playerSchema = new mongoose.Schema(
       type: Number,
       default: 0
     },
+    totalRatherNotSay: {
+      type: Number,
+      default: 0
+    },
     // "I Have" count
     totalIHave: {
       type: Number,
@@ -149,6 +168,11 @@ const categoryBreakdownSchema = new mongoose.Schema(
     timedOut: {
       type: Number,
       default: 0
+    },
+    // At least one "I'd rather not say"
+    ratherNotSay: {
+      type: Number,
+      default: 0
     }
   },
   { _id: false }
@@ -240,6 +264,25 @@ const neverHaveIEverSessionSchema = new mongoose.Schema(
       default: []
     },
 
+    // Categories left out because a player opted out of them
+    excludedCategories: {
+      type: [String],
+      default: []
+    },
+
+    // Premium category focus pack the questions were drawn from
+    focusPack: {
+      type: String,
+      default: null
+    },
+
+    // Seed the questions were selected with (reproduces the selection,
+    // see services/games/questionSelection.service.js)
+    selectionSeed: {
+      type: String,
+      default: null
+    },
+
     // Current question index (0-29)
     currentQuestionIndex: {
       type: Number,
@@ -256,6 +299,20 @@ const neverHaveIEverSessionSchema = new mongoose.Schema(
       default: null
     },
 
+    // ==================== DURABLE TIMER ====================
+    // Next scheduled game step (countdown end, question timeout, reveal end).
+    // Fired once across all instances by services/games/gameTimer.service.js
+    timerDeadline: {
+      token: { type: String, default: null },
+      action: { type: String, default: null },
+      questionIndex: { type: Number, default: null },
+      fireAt: { type: Date, default: null },
+      lockedBy: { type: String, default: null },
+      lockedUntil: { type: Date, default: null },
+      // Failed handler runs (retried with backoff)
+      attempts: { type: Number, default: 0 }
+    },
+
     // Results (calculated after completion)
     results: {
       // Total discovery points for each player
@@ -280,6 +337,15 @@ const neverHaveIEverSessionSchema = new mongoose.Schema(
         type: Number,
         default: 0
       },
+      // "I'd rather not say" answers (excluded from scoring)
+      player1RatherNotSay: {
+        type: Number,
+        default: 0
+      },
+      player2RatherNotSay: {
+        type: Number,
+        default: 0
+      },
       // Category breakdown
       categoryBreakdown: [categoryBreakdownSchema],
       // Badges earned
@@ -333,6 +399,18 @@ const neverHaveIEverSessionSchema = new mongoose.Schema(
     // Voice notes for discussion phase
     voiceNotes: [voiceNoteSchema],
 
+    // Rematch
+    // Session this game is a rematch of (null for a first game)
+    previousSessionId: {
+      type: String,
+      default: null
+    },
+    // Games of the series before this one
+    rematchCount: {
+      type: Number,
+      default: 0
+    },
+
     // Timestamps
     invitedAt: {
       type: Date,
@@ -371,14 +449,28 @@ const neverHaveIEverSessionSchema = new mongoose.Schema(
 neverHaveIEverSessionSchema.index({ 'player1.userId': 1, status: 1 });
 neverHaveIEverSessionSchema.index({ 'player2.userId': 1, status: 1 });
 neverHaveIEverSessionSchema.index({ matchId: 1 });
+// Removes unfinished games past their deadline (completeGame clears expiresAt)
 neverHaveIEverSessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
 
+// Due timer deadlines (sweeper)
+neverHaveIEverSessionSchema.index({ 'timerDeadline.fireAt': 1 });
+
+// Live / async mode
+neverHaveIEverSessionSchema.plugin(asyncPlay);
+
 // =====================================================
 // VIRTUAL PROPERTIES
 // =====================================================
 
+/**
+ * Number of statements in this game (fewer than 30 when categories are excluded)
+ */
+neverHaveIEverSessionSchema.virtual('totalQuestions').get(function () {
+  return this.questionOrder?.length || 30;
+});
+
 neverHaveIEverSessionSchema.virtual('progressPercent').get(function () {
-  return Math.round((this.currentQuestionIndex / 30) * 100);
+  return Math.round((this.currentQuestionIndex / this.totalQuestions) * 100);
 });
 
 neverHaveIEverSessionSchema.virtual('isComplete').get(function () {
@@ -392,6 +484,15 @@ neverHaveIEverSessionSchema.virtual('isComplete').get(function () {
 /**
  * Find session by sessionId
  */
+/**
+ * Whether a player has answered ("I Have" / "I Haven't" or "I'd rather not say")
+ * @param {Object} answer - Answer sub-document (may be undefined)
+ */
+neverHaveIEverSessionSchema.statics.hasResponded = function (answer) {
+  return !!answer &&
+    ((answer.answer !== null && answer.answer !== undefined) || answer.ratherNotSay === true);
+};
+
 neverHaveIEverSessionSchema.statics.findBySessionId = function (sessionId) {
   return this.findOne({ sessionId })
     .populate('player1.userId', 'firstName lastName profilePhoto')
@@ -463,16 +564,20 @@ neverHaveIEverSessionSchema.statics.hasActiveGame = async function (userId1, odu
 
 /**
  * Initialize question order (sequential 1-30 for progressive spice)
+ * @param {Set<Number>} excludedNumbers - Statements in excluded categories
  */
-neverHaveIEverSessionSchema.methods.initializeQuestions = function () {
+neverHaveIEverSessionSchema.methods.initializeQuestions = function (excludedNumbers = new Set()) {
   // Questions are played in order 1-30 (already sorted by category/spice)
-  this.questionOrder = Array.from({ length: 30 }, (_, i) => i + 1);
+  this.questionOrder = Array.from({ length: 30 }, (_, i) => i + 1)
+    .filter(number => !excludedNumbers.has(number));
 };
 
 /**
  * Record a player's answer
+ * @param {Boolean} answer - "I Have" / "I Haven't", null with ratherNotSay
+ * @param {Boolean} ratherNotSay - "I'd rather not say"
  */
-neverHaveIEverSessionSchema.methods.recordAnswer = async function (userId, questionNumber, answer) {
+neverHaveIEverSessionSchema.methods.recordAnswer = async function (userId, questionNumber, answer, ratherNotSay = false) {
   const userIdStr = userId.toString();
   const p1Id = this.player1.userId._id?.toString() || this.player1.userId.toString();
   
@@ -480,30 +585,39 @@ neverHaveIEverSessionSchema.methods.recordAnswer = async function (userId, quest
   
   // Check if already answered this question
   const existingAnswer = player.answers.find(a => a.questionNumber === questionNumber);
-  if (existingAnswer && existingAnswer.answer !== null) {
+  if (this.constructor.hasResponded(existingAnswer)) {
     throw new Error('Already answered this question');
   }
 
+  if (ratherNotSay) {
+    answer = null;
+  }
+
   const now = new Date();
+  // No response time in async mode - there is no timer
   const responseTime = this.currentQuestionStartedAt 
     ? now - this.currentQuestionStartedAt 
     : null;
 
   if (existingAnswer) {
     existingAnswer.answer = answer;
+    existingAnswer.ratherNotSay = ratherNotSay;
     existingAnswer.answeredAt = now;
     existingAnswer.responseTime = responseTime;
   } else {
     player.answers.push({
       questionNumber,
       answer,
+      ratherNotSay,
       answeredAt: now,
       responseTime
     });
   }
 
   player.totalAnswered++;
-  if (answer === true) {
+  if (ratherNotSay) {
+    player.totalRatherNotSay++;
+  } else if (answer === true) {
     player.totalIHave++;
   } else {
     player.totalIHavent++;
@@ -515,6 +629,7 @@ neverHaveIEverSessionSchema.methods.recordAnswer = async function (userId, quest
   return {
     questionNumber,
     answer,
+    ratherNotSay,
     responseTime
   };
 };
@@ -537,7 +652,7 @@ neverHaveIEverSessionSchema.methods.recordTimeout = async function (userId, ques
       responseTime: null
     });
     player.totalTimedOut++;
-  } else if (existing.answer === null) {
+  } else if (existing.answer === null && !existing.ratherNotSay) {
     player.totalTimedOut++;
   }
 
@@ -554,16 +669,17 @@ neverHaveIEverSessionSchema.methods.bothAnswered = function () {
   const p1Answer = this.player1.answers.find(a => a.questionNumber === currentQ);
   const p2Answer = this.player2.answers.find(a => a.questionNumber === currentQ);
   
-  return (p1Answer?.answer !== undefined && p1Answer?.answer !== null) &&
-         (p2Answer?.answer !== undefined && p2Answer?.answer !== null);
+  return this.constructor.hasResponded(p1Answer) &&
+         this.constructor.hasResponded(p2Answer);
 };
 
 /**
- * Get both players' answers for current question
+ * Get both players' answers for a question
+ * @param {Number} currentQ - Question number (defaults to the current question)
  */
-neverHaveIEverSessionSchema.methods.getCurrentAnswers = function () {
-  const currentQ = this.questionOrder[this.currentQuestionIndex];
-  
+neverHaveIEverSessionSchema.methods.getCurrentAnswers = function (
+  currentQ = this.questionOrder[this.currentQuestionIndex]
+) {
   const p1Answer = this.player1.answers.find(a => a.questionNumber === currentQ);
   const p2Answer = this.player2.answers.find(a => a.questionNumber === currentQ);
   
@@ -571,22 +687,28 @@ neverHaveIEverSessionSchema.methods.getCurrentAnswers = function () {
     questionNumber: currentQ,
     player1: p1Answer?.answer,
     player2: p2Answer?.answer,
-    player1Answered: p1Answer?.answer !== null && p1Answer?.answer !== undefined,
-    player2Answered: p2Answer?.answer !== null && p2Answer?.answer !== undefined
+    player1RatherNotSay: Boolean(p1Answer?.ratherNotSay),
+    player2RatherNotSay: Boolean(p2Answer?.ratherNotSay),
+    player1Answered: this.constructor.hasResponded(p1Answer),
+    player2Answered: this.constructor.hasResponded(p2Answer)
   };
 };
 
 /**
- * Calculate discovery points for current question
+ * Calculate discovery points for a question
+ * @param {Number} questionNumber - Question number (defaults to the current question)
  */
-neverHaveIEverSessionSchema.methods.calculateQuestionPoints = function () {
-  const answers = this.getCurrentAnswers();
+neverHaveIEverSessionSchema.methods.calculateQuestionPoints = function (questionNumber) {
+  const answers = this.getCurrentAnswers(questionNumber);
   
   let p1Points = 0;
   let p2Points = 0;
   let outcome = 'timedOut';
 
-  if (answers.player1 === null || answers.player2 === null) {
+  if (answers.player1RatherNotSay || answers.player2RatherNotSay) {
+    // "I'd rather not say" - no points either way
+    outcome = 'ratherNotSay';
+  } else if (answers.player1 === null || answers.player2 === null) {
     // At least one timed out
     outcome = 'timedOut';
   } else if (answers.player1 === true && answers.player2 === true) {
@@ -614,7 +736,9 @@ neverHaveIEverSessionSchema.methods.calculateQuestionPoints = function () {
     player2Points: p2Points,
     outcome,
     player1Answer: answers.player1,
-    player2Answer: answers.player2
+    player2Answer: answers.player2,
+    player1RatherNotSay: answers.player1RatherNotSay,
+    player2RatherNotSay: answers.player2RatherNotSay
   };
 };
 
@@ -627,7 +751,7 @@ neverHaveIEverSessionSchema.methods.nextQuestion = async function () {
   }
 
   // Check if game is complete
-  if (this.currentQuestionIndex >= 29) {
+  if (this.currentQuestionIndex >= this.totalQuestions - 1) {
     return this.completeGame();
   }
 
@@ -655,6 +779,9 @@ neverHaveIEverSessionSchema.methods.completeGame = async function () {
   this.completedAt = new Date();
   this.lastActivityAt = new Date();
 
+  // The TTL index on expiresAt only removes games that never finished
+  this.expiresAt = null;
+
   // Calculate results
   await this.calculateResults();
 
@@ -668,9 +795,7 @@ neverHaveIEverSessionSchema.methods.calculateResults = async function () {
   const NeverHaveIEverQuestion = mongoose.model('NeverHaveIEverQuestion');
 
   // Get all questions for category mapping
-  const questions = await NeverHaveIEverQuestion.find({
-    questionNumber: { $in: this.questionOrder }
-  }).lean();
+  const questions = await NeverHaveIEverQuestion.findVersionsAsOf(this.questionOrder, this.createdAt);
 
   const questionMap = {};
   questions.forEach(q => {
@@ -695,7 +820,8 @@ neverHaveIEverSessionSchema.methods.calculateResults = async function () {
       bothHave: 0,
       bothHavent: 0,
       different: 0,
-      timedOut: 0
+      timedOut: 0,
+      ratherNotSay: 0
     };
   });
 
@@ -705,6 +831,8 @@ neverHaveIEverSessionSchema.methods.calculateResults = async function () {
   let sharedExperiences = 0;
   let innocentTogether = 0;
   let secretsUnlocked = 0;
+  let player1RatherNotSay = 0;
+  let player2RatherNotSay = 0;
   const conversationStarters = [];
 
   for (const questionNumber of this.questionOrder) {
@@ -720,7 +848,12 @@ neverHaveIEverSessionSchema.methods.calculateResults = async function () {
     const p1Val = p1Answer?.answer;
     const p2Val = p2Answer?.answer;
 
-    if (p1Val === null || p1Val === undefined || p2Val === null || p2Val === undefined) {
+    if (p1Answer?.ratherNotSay || p2Answer?.ratherNotSay) {
+      // "I'd rather not say" - left out of scoring, not a timeout
+      categoryStats[category].ratherNotSay++;
+      if (p1Answer?.ratherNotSay) player1RatherNotSay++;
+      if (p2Answer?.ratherNotSay) player2RatherNotSay++;
+    } else if (p1Val === null || p1Val === undefined || p2Val === null || p2Val === undefined) {
       // At least one timed out
       categoryStats[category].timedOut++;
     } else if (p1Val === true && p2Val === true) {
@@ -770,7 +903,10 @@ neverHaveIEverSessionSchema.methods.calculateResults = async function () {
     totalSharedExperiences: sharedExperiences,
     totalInnocentTogether: innocentTogether,
     totalSecretsUnlocked: secretsUnlocked,
-    categoryBreakdown: Object.values(categoryStats),
+    player1RatherNotSay,
+    player2RatherNotSay,
+    categoryBreakdown: Object.values(categoryStats)
+      .filter(stats => !this.excludedCategories.includes(stats.category)),
     player1Badges: p1Badges,
     player2Badges: p2Badges,
     conversationStarters: conversationStarters.slice(0, 10) // Top 10
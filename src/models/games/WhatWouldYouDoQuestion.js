@@ -1,6 +1,8 @@
 // src/models/games/WhatWouldYouDoQuestion.js
 
 const mongoose = require('mongoose');
+const versionedContent = require('../plugins/versionedContent');
+const localizedContent = require('../plugins/localizedContent');
 
 /**
  * WHAT WOULD YOU DO - QUESTION MODEL
@@ -97,6 +99,15 @@ whatWouldYouDoQuestionSchema.index({ questionNumber: 1 });
 whatWouldYouDoQuestionSchema.index({ category: 1 });
 whatWouldYouDoQuestionSchema.index({ isActive: 1 });
 
+// Draft / published / retired states and versions (admin content API)
+whatWouldYouDoQuestionSchema.plugin(versionedContent, { keyField: 'questionNumber' });
+
+// Translations with English fallback (admin content API)
+whatWouldYouDoQuestionSchema.plugin(localizedContent, {
+  keyField: 'questionNumber',
+  fields: ['scenarioText', 'insight', 'coreQuestion']
+});
+
 // =====================================================
 // STATIC METHODS
 // =====================================================
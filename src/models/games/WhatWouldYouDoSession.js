@@ -197,6 +197,18 @@ const whatWouldYouDoSessionSchema = new mongoose.Schema({
     type: Number
   }],
 
+  // Rematch
+  // Session this game is a rematch of (null for a first game)
+  previousSessionId: {
+    type: String,
+    default: null
+  },
+  // Games of the series before this one
+  rematchCount: {
+    type: Number,
+    default: 0
+  },
+
   // Timestamps
   invitedAt: {
     type: Date,
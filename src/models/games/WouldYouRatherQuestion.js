@@ -1,6 +1,8 @@
 // src/models/games/WouldYouRatherQuestion.js
 
 const mongoose = require('mongoose');
+const versionedContent = require('../plugins/versionedContent');
+const localizedContent = require('../plugins/localizedContent');
 
 /**
  * WOULD YOU RATHER QUESTION MODEL
@@ -84,6 +86,15 @@ const wouldYouRatherQuestionSchema = new mongoose.Schema(
       default: 1
     },
 
+    // How much a question tends to reveal about a couple (1 = average)
+    // Weights question selection, see config/questionSelection.js
+    insightValue: {
+      type: Number,
+      min: 0.1,
+      max: 5,
+      default: 1
+    },
+
     // Whether this question is active/enabled
     isActive: {
       type: Boolean,
@@ -108,6 +119,15 @@ wouldYouRatherQuestionSchema.index({ category: 1 });
 // Get active questions
 wouldYouRatherQuestionSchema.index({ isActive: 1 });
 
+// Draft / published / retired states and versions (admin content API)
+wouldYouRatherQuestionSchema.plugin(versionedContent, { keyField: 'questionNumber' });
+
+// Translations with English fallback (admin content API)
+wouldYouRatherQuestionSchema.plugin(localizedContent, {
+  keyField: 'questionNumber',
+  fields: ['optionA', 'optionB', 'insight']
+});
+
 // =====================================================
 // STATIC METHODS
 // =====================================================
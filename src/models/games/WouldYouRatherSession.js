@@ -2,6 +2,7 @@
 
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const asyncPlay = require('../plugins/asyncPlay');
 
 /**
  * WOULD YOU RATHER SESSION MODEL
@@ -11,10 +12,16 @@ const { v4: uuidv4 } = require('uuid');
  * Game Flow:
  * 1. Player 1 invites Player 2 (status: pending)
  * 2. Player 2 accepts (status: starting → playing)
- * 3. Both answer 50 questions with 15s timer each
+ * 3. Both answer up to 50 questions with 15s timer each
+ *    (picked per couple, see config/questionSelection.js)
  * 4. Game completes (status: completed)
  * 5. AI generates insights
  * 6. Players can exchange voice notes (status: discussion)
+ *
+ * Async mode (mode: 'async', see models/plugins/asyncPlay.js): accepting
+ * goes straight to 'playing' with no timers, each player answers over REST
+ * at their own pace, and the game completes once both have answered all
+ * questions.
  * 
  * Key Features:
  * - Real-time synchronization via Socket.io
@@ -248,7 +255,7 @@ const wouldYouRatherSessionSchema = new mongoose.Schema(
         'playing',    // Game in progress
         'paused',     // Game paused (disconnection)
         'abandoned',  // Game abandoned mid-way
-        'completed',  // All 50 questions answered
+        'completed',  // All questions answered
         'discussion'  // Post-game voice note phase
       ],
       default: 'pending',
@@ -264,6 +271,19 @@ const wouldYouRatherSessionSchema = new mongoose.Schema(
       max: 50
     }],
 
+    // Premium category focus pack the questions were drawn from
+    focusPack: {
+      type: String,
+      default: null
+    },
+
+    // Seed the questions were selected with (reproduces the selection,
+    // see services/games/questionSelection.service.js)
+    selectionSeed: {
+      type: String,
+      default: null
+    },
+
     // Current question index (0-49)
     currentQuestionIndex: {
       type: Number,
@@ -284,6 +304,20 @@ const wouldYouRatherSessionSchema = new mongoose.Schema(
       default: null
     },
 
+    // ==================== DURABLE TIMER ====================
+    // Next scheduled game step (countdown end, question timeout, reveal end).
+    // Fired once across all instances by services/games/gameTimer.service.js
+    timerDeadline: {
+      token: { type: String, default: null },
+      action: { type: String, default: null },
+      questionIndex: { type: Number, default: null },
+      fireAt: { type: Date, default: null },
+      lockedBy: { type: String, default: null },
+      lockedUntil: { type: Date, default: null },
+      // Failed handler runs (retried with backoff)
+      attempts: { type: Number, default: 0 }
+    },
+
     // ==================== RESULTS ====================
     results: {
       totalQuestions: {
@@ -339,6 +373,18 @@ const wouldYouRatherSessionSchema = new mongoose.Schema(
       ]
     },
 
+    // ==================== REMATCH ====================
+    // Session this game is a rematch of (null for a first game)
+    previousSessionId: {
+      type: String,
+      default: null
+    },
+    // Games of the series before this one
+    rematchCount: {
+      type: Number,
+      default: 0
+    },
+
     // ==================== TIMESTAMPS ====================
     invitedAt: {
       type: Date,
@@ -394,6 +440,12 @@ wouldYouRatherSessionSchema.index({ status: 1, expiresAt: 1 });
 // Find active games
 wouldYouRatherSessionSchema.index({ status: 1, lastActivityAt: 1 });
 
+// Due timer deadlines (sweeper)
+wouldYouRatherSessionSchema.index({ 'timerDeadline.fireAt': 1 });
+
+// Live / async mode
+wouldYouRatherSessionSchema.plugin(asyncPlay);
+
 // =====================================================
 // VIRTUAL PROPERTIES
 // =====================================================
@@ -408,6 +460,13 @@ wouldYouRatherSessionSchema.virtual('currentQuestionNumber').get(function () {
   return this.questionOrder[this.currentQuestionIndex];
 });
 
+/**
+ * Number of questions in this game (see config/questionSelection.js)
+ */
+wouldYouRatherSessionSchema.virtual('totalQuestions').get(function () {
+  return this.questionOrder?.length || 50;
+});
+
 /**
  * Check if game is in an active state
  */
@@ -419,14 +478,14 @@ wouldYouRatherSessionSchema.virtual('isActive').get(function () {
  * Check if game can receive answers
  */
 wouldYouRatherSessionSchema.virtual('canAnswer').get(function () {
-  return this.status === 'playing' && this.currentQuestionIndex < 50;
+  return this.status === 'playing' && this.currentQuestionIndex < this.totalQuestions;
 });
 
 /**
  * Get progress percentage
  */
 wouldYouRatherSessionSchema.virtual('progressPercent').get(function () {
-  return Math.round((this.currentQuestionIndex / 50) * 100);
+  return Math.round((this.currentQuestionIndex / this.totalQuestions) * 100);
 });
 
 // =====================================================
@@ -447,9 +506,16 @@ wouldYouRatherSessionSchema.methods.accept = async function () {
     throw new Error('Game invitation has expired');
   }
 
+  this.player2.isReady = true;
+
+  // Async games skip the countdown
+  if (this.isAsync) {
+    this.startAsyncPlay();
+    return this.save();
+  }
+
   this.status = 'starting';
   this.acceptedAt = new Date();
-  this.player2.isReady = true;
   this.lastActivityAt = new Date();
 
   return this.save();
@@ -505,7 +571,12 @@ wouldYouRatherSessionSchema.methods.recordAnswer = async function (
     throw new Error('Game is not in playing state');
   }
 
-  if (questionIndex !== this.currentQuestionIndex) {
+  // Async players each answer their own next question
+  const expectedIndex = this.isAsync
+    ? this.getAsyncProgress(userId).nextIndex
+    : this.currentQuestionIndex;
+
+  if (questionIndex !== expectedIndex) {
     throw new Error('Answer is for wrong question');
   }
 
@@ -534,7 +605,7 @@ const isPlayer2 = p2Id === userIdStr;
     throw new Error('Already answered this question');
   }
 
-  // Calculate response time
+  // Calculate response time (none in async mode - there is no timer)
   const responseTimeMs = this.currentQuestionStartedAt
     ? Date.now() - this.currentQuestionStartedAt.getTime()
     : null;
@@ -636,14 +707,14 @@ wouldYouRatherSessionSchema.methods.nextQuestion = async function () {
     }
   
     // Check if game is complete BEFORE incrementing
-    if (this.currentQuestionIndex >= 49) {
+    if (this.currentQuestionIndex >= this.totalQuestions - 1) {
       return this.completeGame();
     }
   
     this.currentQuestionIndex++;
 
   // Check if game is complete
-  if (this.currentQuestionIndex >= 50) {
+  if (this.currentQuestionIndex >= this.totalQuestions) {
     return this.completeGame();
   }
 
@@ -682,9 +753,7 @@ wouldYouRatherSessionSchema.methods.calculateResults = async function () {
   const WouldYouRatherQuestion = mongoose.model('WouldYouRatherQuestion');
 
   // Get all questions for category mapping
-  const questions = await WouldYouRatherQuestion.find({
-    questionNumber: { $in: this.questionOrder }
-  }).lean();
+  const questions = await WouldYouRatherQuestion.findVersionsAsOf(this.questionOrder, this.createdAt);
 
   const questionMap = {};
   questions.forEach(q => {
@@ -792,7 +861,7 @@ wouldYouRatherSessionSchema.methods.calculateResults = async function () {
 
   // Store results
   this.results = {
-    totalQuestions: 50,
+    totalQuestions: this.totalQuestions,
     bothAnswered,
     matchedAnswers,
     differentAnswers,
@@ -913,19 +982,31 @@ const isPlayer2 = p2Id === userIdStr;
 // STATIC METHODS
 // =====================================================
 
+/**
+ * Whether a player has answered (timeouts are stored with a null answer)
+ * @param {Object} answer - Answer sub-document (may be undefined)
+ */
+wouldYouRatherSessionSchema.statics.hasResponded = function (answer) {
+  return !!answer && answer.answer !== null && answer.answer !== undefined;
+};
+
 /**
  * Create a new game session
  * @param {ObjectId} matchId - The match between players
  * @param {ObjectId} player1Id - Initiating player
  * @param {ObjectId} player2Id - Invited player
+ * @param {Object} options
+ * @param {Array<Number>} options.questionOrder - From the question selection service
+ * @param {String} options.mode - 'live' or 'async'
+ * @param {String} options.focusPack - Focus pack the questions came from
+ * @param {String} options.selectionSeed - Seed the questions were selected with
  */
 wouldYouRatherSessionSchema.statics.createSession = async function (
   matchId,
   player1Id,
-  player2Id
+  player2Id,
+  { questionOrder, mode = 'live', focusPack = null, selectionSeed = null }
 ) {
-  const WouldYouRatherQuestion = mongoose.model('WouldYouRatherQuestion');
-
   // Check for existing active session
   const existingSession = await this.findOne({
     matchId,
@@ -936,11 +1017,8 @@ wouldYouRatherSessionSchema.statics.createSession = async function (
     throw new Error('An active game session already exists for this match');
   }
 
-  // Get randomized question order
-  const questionOrder = await WouldYouRatherQuestion.getRandomizedOrder();
-
-  if (questionOrder.length !== 50) {
-    throw new Error('Could not load all 50 questions. Please seed the database first.');
+  if (!questionOrder || questionOrder.length === 0) {
+    throw new Error('Could not load any questions. Please seed the database first.');
   }
 
   // Create session
@@ -958,6 +1036,9 @@ wouldYouRatherSessionSchema.statics.createSession = async function (
     },
     initiatedBy: player1Id,
     questionOrder,
+    focusPack,
+    selectionSeed,
+    mode,
     status: 'pending'
   });
 
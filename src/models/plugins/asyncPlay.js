@@ -0,0 +1,162 @@
+// src/models/plugins/asyncPlay.js
+
+const {
+  GAME_MODES,
+  DEFAULT_GAME_MODE,
+  ASYNC_INVITATION_TTL_MS,
+  ASYNC_PLAY_WINDOW_MS,
+} = require('../../config/gameModes');
+
+/**
+ * ASYNC PLAY PLUGIN
+ *
+ * Shared by the timed game sessions that can also be played async
+ * (see config/gameModes.js). In async mode there is no countdown, question
+ * timer or shared current question: each player works through questionOrder
+ * at their own pace, and a question is revealed once both have answered it.
+ *
+ * Expects player1 / player2 with answers keyed by questionNumber, a
+ * questionOrder, and a hasResponded(answer) static on the model.
+ *
+ * expiresAt is the invitation deadline while pending and, once an async
+ * game is accepted, the deadline to finish it. Models with a TTL index on
+ * it clear it when the game completes, so finished games are kept.
+ *
+ * @param {Schema} schema
+ */
+module.exports = function asyncPlay(schema) {
+  schema.add({
+    // 'live' (timed, both connected) or 'async' (turn-based over REST)
+    mode: {
+      type: String,
+      enum: GAME_MODES,
+      default: DEFAULT_GAME_MODE
+    }
+  });
+
+  schema.index({ mode: 1, status: 1, expiresAt: 1 });
+
+  /**
+   * Async invitations wait longer than live ones
+   */
+  schema.pre('validate', function (next) {
+    if (this.isNew && this.mode === 'async') {
+      this.expiresAt = new Date(Date.now() + ASYNC_INVITATION_TTL_MS);
+    }
+    next();
+  });
+
+  schema.virtual('isAsync').get(function () {
+    return this.mode === 'async';
+  });
+
+  /**
+   * Player sub-document of a user
+   * @throws {Error} Not a player
+   */
+  const getPlayer = (session, userId) => {
+    const userIdStr = userId.toString();
+    const player = [session.player1, session.player2].find(
+      p => (p.userId._id || p.userId).toString() === userIdStr
+    );
+
+    if (!player) {
+      throw new Error('User is not a player in this game');
+    }
+    return player;
+  };
+
+  /**
+   * Question numbers a player has answered (or said "rather not say" to)
+   */
+  const getAnsweredNumbers = (session, player) => new Set(
+    player.answers
+      .filter(answer => session.constructor.hasResponded(answer))
+      .map(answer => answer.questionNumber)
+  );
+
+  /**
+   * Start an accepted async game - no countdown, no question timer
+   * (not saved)
+   */
+  schema.methods.startAsyncPlay = function () {
+    const now = new Date();
+
+    this.status = 'playing';
+    this.acceptedAt = now;
+    this.startedAt = now;
+    this.currentQuestionIndex = 0;
+    this.currentQuestionStartedAt = null;
+    this.currentQuestionExpiresAt = null;
+    this.expiresAt = new Date(now.getTime() + ASYNC_PLAY_WINDOW_MS);
+    this.lastActivityAt = now;
+
+    return this;
+  };
+
+  /**
+   * A player's progress through the questions
+   * @param {ObjectId} userId - Player
+   * @returns {Object} { answered, total, nextIndex (null when finished), finished }
+   */
+  schema.methods.getAsyncProgress = function (userId) {
+    const answered = getAnsweredNumbers(this, getPlayer(this, userId));
+    const nextIndex = this.questionOrder.findIndex(number => !answered.has(number));
+
+    return {
+      answered: this.questionOrder.filter(number => answered.has(number)).length,
+      total: this.questionOrder.length,
+      nextIndex: nextIndex === -1 ? null : nextIndex,
+      finished: nextIndex === -1
+    };
+  };
+
+  /**
+   * Indexes of the questions both players have answered
+   * @returns {Array<Number>}
+   */
+  schema.methods.getRevealedIndexes = function () {
+    const p1Answered = getAnsweredNumbers(this, this.player1);
+    const p2Answered = getAnsweredNumbers(this, this.player2);
+
+    return this.questionOrder.reduce((indexes, number, index) => {
+      if (p1Answered.has(number) && p2Answered.has(number)) indexes.push(index);
+      return indexes;
+    }, []);
+  };
+
+  /**
+   * Whether both players have answered a question
+   * @param {Number} questionIndex - Index in questionOrder
+   */
+  schema.methods.isQuestionRevealed = function (questionIndex) {
+    return this.getRevealedIndexes().includes(questionIndex);
+  };
+
+  /**
+   * Whether both players have answered every question
+   */
+  schema.methods.isAsyncFinished = function () {
+    return this.getRevealedIndexes().length === this.questionOrder.length;
+  };
+
+  /**
+   * Expire async games not finished within the play window
+   * Called by a scheduled job
+   * @returns {Promise<Number>} Games expired
+   */
+  schema.statics.expireAsyncGames = async function () {
+    const result = await this.updateMany(
+      {
+        mode: 'async',
+        status: 'playing',
+        expiresAt: { $lt: new Date() }
+      },
+      {
+        $set: { status: 'expired', lastActivityAt: new Date() }
+      }
+    );
+
+    return result.modifiedCount;
+  };
+};
@@ -0,0 +1,159 @@
+// src/models/plugins/localizedContent.js
+
+const { DEFAULT_LOCALE } = require('../../config/locales');
+
+/**
+ * LOCALIZED CONTENT PLUGIN
+ *
+ * Shared by the question banks managed through the admin content API.
+ * Bank documents hold the English text; translations live in
+ * models/ContentTranslation.js and are overlaid field by field, so
+ * anything untranslated stays in English.
+ *
+ * - fields: top-level string fields (e.g. 'optionA')
+ * - lists: arrays of sub-documents matched by an id field, e.g.
+ *   { options: { idField: 'key', fields: ['text'] } }
+ *
+ * @param {Schema} schema
+ * @param {Object} options - { keyField, fields, lists }
+ */
+module.exports = function localizedContent(schema, { keyField, fields = [], lists = {} }) {
+  const isText = (value) => typeof value === 'string' && value.trim().length > 0;
+  const toPlain = (item) => (item && typeof item.toObject === 'function' ? item.toObject() : item);
+
+  /**
+   * Overlay translated fields on a plain object
+   */
+  const overlay = (doc, translation) => {
+    const localized = { ...doc };
+
+    fields.forEach(field => {
+      if (isText(translation[field])) {
+        localized[field] = translation[field];
+      }
+    });
+
+    Object.entries(lists).forEach(([path, list]) => {
+      if (!Array.isArray(doc[path]) || !Array.isArray(translation[path])) return;
+
+      const translatedItems = new Map(
+        translation[path].map(item => [item[list.idField], item])
+      );
+
+      localized[path] = doc[path].map(item => {
+        const plain = toPlain(item);
+        const translated = translatedItems.get(plain?.[list.idField]);
+        if (!translated) return plain;
+
+        const localizedItem = { ...plain };
+        list.fields.forEach(field => {
+          if (isText(translated[field])) {
+            localizedItem[field] = translated[field];
+          }
+        });
+        return localizedItem;
+      });
+    });
+
+    return localized;
+  };
+
+  /**
+   * Translatable fields of the bank
+   * @returns {Object} { fields, lists }
+   */
+  schema.statics.getTranslatableFields = function () {
+    return { fields, lists };
+  };
+
+  /**
+   * Check and clean a translation payload
+   * @param {Object} input - e.g. { questionText, options: [{ key, text }] }
+   * @returns {Object} Translatable fields only
+   * @throws {Error} Unknown fields, non-text values or list items without an id
+   */
+  schema.statics.pickTranslation = function (input) {
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+      throw new Error('Translation fields must be an object');
+    }
+
+    const picked = {};
+
+    Object.entries(input).forEach(([field, value]) => {
+      if (fields.includes(field)) {
+        if (typeof value !== 'string') {
+          throw new Error(`${field} must be text`);
+        }
+        picked[field] = value.trim();
+        return;
+      }
+
+      const list = lists[field];
+      if (!list) {
+        throw new Error(`${field} is not translatable`);
+      }
+      if (!Array.isArray(value)) {
+        throw new Error(`${field} must be an array`);
+      }
+
+      picked[field] = value.map(item => {
+        if (!item || item[list.idField] === undefined) {
+          throw new Error(`Every ${field} item needs its ${list.idField}`);
+        }
+
+        const pickedItem = { [list.idField]: item[list.idField] };
+        list.fields.forEach(itemField => {
+          if (item[itemField] === undefined) return;
+          if (typeof item[itemField] !== 'string') {
+            throw new Error(`${field}.${itemField} must be text`);
+          }
+          pickedItem[itemField] = item[itemField].trim();
+        });
+        return pickedItem;
+      });
+    });
+
+    return picked;
+  };
+
+  /**
+   * Apply a translation to one question
+   * @param {Object} doc - Plain object (or document)
+   * @param {Object} translation - Translated fields
+   * @returns {Object} Plain object
+   */
+  schema.statics.applyTranslation = function (doc, translation) {
+    return overlay(toPlain(doc), translation || {});
+  };
+
+  /**
+   * Serve questions in a locale (English for anything untranslated)
+   * @param {Object|Array} docs - Plain objects carrying the key field
+   * @param {String} locale - Locale code
+   * @param {Object} options - { key } when the key is not stored under
+   *   the bank's key field (e.g. a payload's `number`)
+   * @returns {Promise<Object|Array>} Same shape as docs
+   */
+  schema.statics.localize = async function (docs, locale, { key = keyField } = {}) {
+    if (!docs || !locale || locale === DEFAULT_LOCALE) return docs;
+
+    const list = (Array.isArray(docs) ? docs : [docs]).filter(Boolean);
+    if (list.length === 0) return docs;
+
+    const ContentTranslation = require('../ContentTranslation');
+    const translations = await ContentTranslation.getFieldsByKey(
+      this.modelName,
+      [...new Set(list.map(doc => doc[key]))],
+      locale
+    );
+    if (translations.size === 0) return docs;
+
+    const localize = (doc) => {
+      if (!doc) return doc;
+      const translation = translations.get(doc[key]);
+      return translation ? overlay(toPlain(doc), translation) : doc;
+    };
+
+    return Array.isArray(docs) ? docs.map(localize) : localize(docs);
+  };
+};
@@ -0,0 +1,133 @@
+// src/models/plugins/versionedContent.js
+
+/**
+ * VERSIONED CONTENT PLUGIN
+ *
+ * Shared by the question banks managed through the admin content API.
+ *
+ * - status: draft | published | retired. isActive follows it, so the
+ *   existing `isActive: true` lookups only ever see published content.
+ * - version: bumped on every content edit.
+ * - revisedAt: last admin change. Older sessions are served the revision
+ *   that was effective when they started (models/ContentRevision.js).
+ *
+ * @param {Schema} schema
+ * @param {Object} options - { keyField } (e.g. 'questionNumber')
+ */
+module.exports = function versionedContent(schema, { keyField }) {
+  schema.add({
+    status: {
+      type: String,
+      enum: ['draft', 'published', 'retired'],
+      // Content seeded before statuses existed follows its isActive flag
+      default: function () {
+        return this.isActive === false ? 'retired' : 'published';
+      }
+    },
+    version: {
+      type: Number,
+      default: 1,
+      min: 1
+    },
+    revisedAt: {
+      type: Date,
+      default: null
+    },
+    retiredAt: {
+      type: Date,
+      default: null
+    }
+  });
+
+  schema.index({ status: 1 });
+
+  schema.pre('validate', function (next) {
+    this.isActive = this.status === 'published';
+    next();
+  });
+
+  /**
+   * Replace documents revised after a date with the revision effective then
+   * (documents that did not exist yet are dropped)
+   */
+  const resolveAsOf = async function (Model, docs, asOf) {
+    const stale = docs.filter(doc => doc.revisedAt && doc.revisedAt > asOf);
+    if (stale.length === 0) return docs;
+
+    const ContentRevision = require('../ContentRevision');
+    const revisions = await ContentRevision.getEffectiveAsOf(
+      Model.modelName,
+      stale.map(doc => doc[keyField]),
+      asOf
+    );
+
+    return docs
+      .map(doc => {
+        if (!stale.includes(doc)) return doc;
+
+        const revision = revisions.get(doc[keyField]);
+        if (!revision) return null;
+
+        return {
+          ...doc,
+          ...revision.snapshot,
+          version: revision.version,
+          isActive: revision.snapshot.status === 'published'
+        };
+      })
+      .filter(Boolean);
+  };
+
+  /**
+   * Translate when the bank is localized (models/plugins/localizedContent.js)
+   */
+  const localize = (Model, docs, locale) =>
+    (locale && typeof Model.localize === 'function' ? Model.localize(docs, locale) : docs);
+
+  /**
+   * Get one question as it was at a date (e.g. a session's createdAt)
+   * @param {Number} key - Question / category number
+   * @param {Date} asOf - Date
+   * @param {String} [locale] - Serve translated text (English fallback)
+   * @returns {Promise<Object|null>} Plain object
+   */
+  schema.statics.findVersionAsOf = async function (key, asOf, locale = null) {
+    const doc = await this.findOne({ [keyField]: key }).lean();
+    if (!doc) return null;
+
+    const [resolved] = await resolveAsOf(this, [doc], asOf);
+    return resolved ? localize(this, resolved, locale) : null;
+  };
+
+  /**
+   * Get questions as they were at a date, sorted by key
+   * @param {Array} keys - Question / category numbers
+   * @param {Date} asOf - Date
+   * @param {String} [locale] - Serve translated text (English fallback)
+   * @returns {Promise<Array>} Plain objects
+   */
+  schema.statics.findVersionsAsOf = async function (keys, asOf, locale = null) {
+    const docs = await this.find({ [keyField]: { $in: keys } })
+      .sort({ [keyField]: 1 })
+      .lean();
+
+    return localize(this, await resolveAsOf(this, docs, asOf), locale);
+  };
+
+  /**
+   * Get everything that was published at a date, sorted by key
+   * @param {Date} asOf - Date
+   * @param {String} [locale] - Serve translated text (English fallback)
+   * @returns {Promise<Array>} Plain objects
+   */
+  schema.statics.findPublishedAsOf = async function (asOf, locale = null) {
+    const docs = await this.find({
+      $or: [{ isActive: true }, { revisedAt: { $gt: asOf } }]
+    })
+      .sort({ [keyField]: 1 })
+      .lean();
+
+    const resolved = await resolveAsOf(this, docs, asOf);
+    return localize(this, resolved.filter(doc => doc.isActive), locale);
+  };
+};
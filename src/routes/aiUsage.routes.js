@@ -0,0 +1,37 @@
+// src/routes/aiUsage.routes.js
+
+const express = require('express');
+const router = express.Router();
+
+const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
+const aiUsageController = require('../controllers/aiUsage.controller');
+const { validateUsageQuery } = require('../validators/aiUsage.validator');
+
+/**
+ * AI Usage Routes
+ *
+ * Token / cost accounting for the AI gateway.
+ * Base path: /api/v1/admin/ai-usage
+ */
+
+router.use(authenticate, requireAdmin);
+
+/**
+ * @route   GET /api/v1/admin/ai-usage
+ * @desc    Usage totals grouped by feature, user or model
+ * @access  Admin
+ * @query   groupBy - feature | user | model (default feature)
+ * @query   userId, feature - Filters
+ * @query   from, to - ISO date range
+ * @query   limit - Max rows (default 100, max 500)
+ */
+router.get('/', validateUsageQuery, aiUsageController.getUsageSummary);
+
+/**
+ * @route   GET /api/v1/admin/ai-usage/features
+ * @desc    AI features with the configured model and active provider
+ * @access  Admin
+ */
+router.get('/features', aiUsageController.getFeatures);
+
+module.exports = router;
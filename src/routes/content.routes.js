@@ -0,0 +1,175 @@
+// src/routes/content.routes.js
+
+const express = require('express');
+const router = express.Router();
+
+// Middleware
+const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
+
+// Validators
+const {
+  validateBank,
+  validateQuestionParams,
+  validateListQuery,
+  validateQuestionBody,
+  validateExport,
+  validateImport,
+  validateTranslationLocale,
+  validateTranslationParams,
+  validateTranslationBody,
+  validateTranslationImport
+} = require('../validators/content.validator');
+
+// Controllers
+const contentController = require('../controllers/content.controller');
+
+/**
+ * Content Routes
+ *
+ * Admin management of the question banks:
+ * questions, would-you-rather, intimacy-spectrum, never-have-i-ever,
+ * what-would-you-do, dream-board (keyed by question / category number).
+ * Base path: /api/v1/admin/content
+ */
+
+router.use(authenticate, requireAdmin);
+
+/**
+ * @route   GET /api/v1/admin/content
+ * @desc    List banks with their fields and counts per status
+ * @access  Admin
+ */
+router.get('/', contentController.listBanks);
+
+// ============================================
+// BULK
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/content/:bank/export
+ * @desc    Export a bank
+ * @access  Admin
+ * @query   format - json | csv (default json; nested fields are JSON cells in CSV)
+ * @query   status - draft | published | retired
+ */
+router.get('/:bank/export', validateExport, contentController.exportQuestions);
+
+/**
+ * @route   POST /api/v1/admin/content/:bank/import
+ * @desc    Import questions (upsert by number); rejected as a whole if any row is invalid
+ * @access  Admin
+ * @body    { format: 'json' | 'csv', data: Array | String, publish?: Boolean }
+ */
+router.post('/:bank/import', validateImport, contentController.importQuestions);
+
+/**
+ * @route   GET /api/v1/admin/content/:bank/translations/:locale
+ * @desc    Translation coverage of a bank for one locale
+ * @access  Admin
+ */
+router.get('/:bank/translations/:locale', validateTranslationLocale, contentController.getTranslationCoverage);
+
+/**
+ * @route   PUT /api/v1/admin/content/:bank/translations/:locale
+ * @desc    Import translations (replaces each listed question's translation);
+ *          rejected as a whole if any item is invalid
+ * @access  Admin
+ * @body    { items: [{ key, fields }] }
+ */
+router.put('/:bank/translations/:locale', validateTranslationImport, contentController.importTranslations);
+
+// ============================================
+// QUESTIONS
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/content/:bank
+ * @desc    List questions
+ * @access  Admin
+ * @query   status, page, limit (default 50, max 200)
+ */
+router.get('/:bank', validateListQuery, contentController.listQuestions);
+
+/**
+ * @route   POST /api/v1/admin/content/:bank
+ * @desc    Create a question (draft)
+ * @access  Admin
+ */
+router.post('/:bank', validateQuestionBody, contentController.createQuestion);
+
+/**
+ * @route   GET /api/v1/admin/content/:bank/:key
+ * @desc    Get a question
+ * @access  Admin
+ */
+router.get('/:bank/:key', validateQuestionParams, contentController.getQuestion);
+
+/**
+ * @route   PATCH /api/v1/admin/content/:bank/:key
+ * @desc    Edit a question (new version)
+ * @access  Admin
+ */
+router.patch('/:bank/:key', validateQuestionParams, validateQuestionBody, contentController.updateQuestion);
+
+/**
+ * @route   DELETE /api/v1/admin/content/:bank/:key
+ * @desc    Delete a question (retired instead when in use)
+ * @access  Admin
+ */
+router.delete('/:bank/:key', validateQuestionParams, contentController.deleteQuestion);
+
+/**
+ * @route   GET /api/v1/admin/content/:bank/:key/history
+ * @desc    Changelog of a question
+ * @access  Admin
+ */
+router.get('/:bank/:key/history', validateQuestionParams, contentController.getHistory);
+
+/**
+ * @route   POST /api/v1/admin/content/:bank/:key/publish
+ * @desc    Publish a question
+ * @access  Admin
+ */
+router.post('/:bank/:key/publish', validateQuestionParams, contentController.publishQuestion);
+
+/**
+ * @route   POST /api/v1/admin/content/:bank/:key/retire
+ * @desc    Retire a question
+ * @access  Admin
+ */
+router.post('/:bank/:key/retire', validateQuestionParams, contentController.retireQuestion);
+
+/**
+ * @route   POST /api/v1/admin/content/:bank/:key/restore
+ * @desc    Restore a retired question as a draft
+ * @access  Admin
+ */
+router.post('/:bank/:key/restore', validateQuestionParams, contentController.restoreQuestion);
+
+// ============================================
+// TRANSLATIONS
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/content/:bank/:key/translations
+ * @desc    Translations of a question (with stale flags)
+ * @access  Admin
+ */
+router.get('/:bank/:key/translations', validateQuestionParams, contentController.listTranslations);
+
+/**
+ * @route   PUT /api/v1/admin/content/:bank/:key/translations/:locale
+ * @desc    Create or replace a translation
+ * @access  Admin
+ * @body    { fields: { <field>: String, <list>: [{ <idField>, <field>: String }] } }
+ */
+router.put('/:bank/:key/translations/:locale', validateTranslationBody, contentController.saveTranslation);
+
+/**
+ * @route   DELETE /api/v1/admin/content/:bank/:key/translations/:locale
+ * @desc    Delete a translation
+ * @access  Admin
+ */
+router.delete('/:bank/:key/translations/:locale', validateTranslationParams, contentController.deleteTranslation);
+
+module.exports = router;
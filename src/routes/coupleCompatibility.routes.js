@@ -42,6 +42,7 @@ router.get(
  *          - Update detection (new games since last generation)
  *          - Current games status (live query)
  *          - AI insights (if 3+ games completed)
+ *          - Game trends (score over repeated games, see /trends)
  */
 router.get(
   '/:matchId/dashboard',
@@ -113,6 +114,57 @@ router.get(
   coupleCompatibilityController.getGameHistory.bind(coupleCompatibilityController)
 );
 
+/**
+ * @route   GET /api/compatibility/:matchId/trends
+ * @desc    Score of each game over the couple's successive sessions
+ * @access  Private (match participants only)
+ * @returns {Object} Per game type:
+ *          - sessions: [{ sessionId, completedAt, score, quickSummary, change }]
+ *            oldest first, change = difference from the previous session
+ *          - firstScore, latestScore, change
+ *          - direction (improving/declining/steady, null with one session)
+ */
+router.get(
+  '/:matchId/trends',
+  authenticate,
+  coupleCompatibilityController.getGameTrends.bind(coupleCompatibilityController)
+);
+
+/**
+ * @route   GET /api/compatibility/:matchId/timeline
+ * @desc    Overall and per-dimension scores over every generation
+ * @access  Private (match participants only)
+ * @query   {number} limit - Most recent snapshots (default 50, max 100)
+ * @returns {Object} Timeline, oldest first:
+ *          - snapshots: [{ version, generatedAt, overallScore, change,
+ *            level, confidence, dimensionScores, causedBy }]
+ *            causedBy = games added/replayed/removed since the previous one
+ *          - dimensions: per dimension [{ version, score, change, sessionId }]
+ */
+router.get(
+  '/:matchId/timeline',
+  authenticate,
+  coupleCompatibilityController.getTimeline.bind(coupleCompatibilityController)
+);
+
+/**
+ * @route   GET /api/compatibility/:matchId/timeline/diff
+ * @desc    What changed between two snapshots
+ * @access  Private (match participants only)
+ * @query   {number} from - Earlier version (default: the one before to)
+ * @query   {number} to - Later version (default: latest)
+ * @returns {Object} Diff:
+ *          - overall / dimensions: from, to, change (+ cause per dimension)
+ *          - games: added/replayed/removed with both sessions' scores
+ *          - strengths, discussionAreas, redFlags: { added, removed }
+ *          - explanation: plain-language lines
+ */
+router.get(
+  '/:matchId/timeline/diff',
+  authenticate,
+  coupleCompatibilityController.getSnapshotDiff.bind(coupleCompatibilityController)
+);
+
 /**
  * @route   GET /api/compatibility/:matchId/game/:gameType
  * @desc    Get full details for a specific game
@@ -20,12 +20,6 @@ const { authenticate } = require('../../middleware/auth.middleware');
  *   GET    /info                                    - Game information
  *   GET    /categories                              - All categories with cards
  * 
- * INVITATIONS:
- *   POST   /invite                                  - Create invitation
- *   GET    /pending                                 - Get pending invitation
- *   POST   /accept/:sessionId                       - Accept invitation
- *   POST   /decline/:sessionId                      - Decline invitation
- * 
  * GAME STATE:
  *   GET    /active                                  - Get active game
  *   GET    /session/:sessionId                      - Get session state
@@ -41,15 +35,10 @@ const { authenticate } = require('../../middleware/auth.middleware');
  * 
  * RESULTS:
  *   GET    /results/:sessionId                      - Get game results
- *   GET    /history                                 - Get completed games
- * 
- * DISCUSSION (post-game):
- *   GET    /discussion/:sessionId                   - Get discussion notes
- *   POST   /discussion/:sessionId                   - Add discussion note
- *   POST   /discussion/:sessionId/listened/:noteIndex - Mark listened
- * 
- * MANAGEMENT:
- *   POST   /abandon/:sessionId                      - Abandon game
+ *
+ * Invitations, history, abandoning, discussion notes and insights:
+ * /api/v1/games/dream_board/... (routes/games/games.routes.js);
+ * the old paths here are deprecated aliases (routes/games/legacyGames.routes.js)
  */
 
 // =====================================================
@@ -78,16 +67,7 @@ const fileFilter = (req, file, cb) => {
   }
 };
 
-// Standard upload config for discussion notes (10MB max)
-const uploadDiscussion = multer({
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB max
-  }
-});
-
-// Smaller upload config for elaborations (5MB max, 2 min max)
+// Upload config for elaborations (5MB max, 2 min max)
 const uploadElaboration = multer({
   storage,
   fileFilter,
@@ -117,39 +97,6 @@ router.get('/info', (req, res) => dreamBoardController.getGameInfo(req, res));
  */
 router.get('/categories', (req, res) => dreamBoardController.getAllCategories(req, res));
 
-// =====================================================
-// INVITATIONS
-// =====================================================
-
-/**
- * @route   POST /api/games/dream-board/invite
- * @desc    Create a new game invitation
- * @access  Private
- * @body    { matchId: string }
- */
-router.post('/invite', (req, res) => dreamBoardController.createInvitation(req, res));
-
-/**
- * @route   GET /api/games/dream-board/pending
- * @desc    Get pending invitation for current user
- * @access  Private
- */
-router.get('/pending', (req, res) => dreamBoardController.getPendingInvitation(req, res));
-
-/**
- * @route   POST /api/games/dream-board/accept/:sessionId
- * @desc    Accept a game invitation
- * @access  Private
- */
-router.post('/accept/:sessionId', (req, res) => dreamBoardController.acceptInvitation(req, res));
-
-/**
- * @route   POST /api/games/dream-board/decline/:sessionId
- * @desc    Decline a game invitation
- * @access  Private
- */
-router.post('/decline/:sessionId', (req, res) => dreamBoardController.declineInvitation(req, res));
-
 // =====================================================
 // GAME STATE
 // =====================================================
@@ -268,62 +215,6 @@ router.delete(
  */
 router.get('/results/:sessionId', (req, res) => dreamBoardController.getResults(req, res));
 
-/**
- * @route   GET /api/games/dream-board/history
- * @desc    Get completed games history
- * @access  Private
- * @query   limit - Max number of games to return (default: 10)
- */
-router.get('/history', (req, res) => dreamBoardController.getGameHistory(req, res));
-
-// =====================================================
-// DISCUSSION VOICE NOTES (Post-Game)
-// =====================================================
-
-/**
- * @route   GET /api/games/dream-board/discussion/:sessionId
- * @desc    Get all discussion notes for a session
- * @access  Private
- */
-router.get('/discussion/:sessionId', (req, res) => dreamBoardController.getDiscussionNotes(req, res));
-
-/**
- * @route   POST /api/games/dream-board/discussion/:sessionId
- * @desc    Add a discussion voice note (after game completion)
- * @access  Private
- * 
- * Multipart form data:
- * - voiceNote: audio file (required, max 10MB)
- * - duration: number in seconds (required)
- * - categoryNumber: number 1-10 (optional, for category-specific discussion)
- */
-router.post(
-  '/discussion/:sessionId',
-  uploadDiscussion.single('voiceNote'),
-  (req, res) => dreamBoardController.addDiscussionNote(req, res)
-);
-
-/**
- * @route   POST /api/games/dream-board/discussion/:sessionId/listened/:noteIndex
- * @desc    Mark a discussion note as listened
- * @access  Private
- */
-router.post(
-  '/discussion/:sessionId/listened/:noteIndex',
-  (req, res) => dreamBoardController.markNoteListened(req, res)
-);
-
-// =====================================================
-// GAME MANAGEMENT
-// =====================================================
-
-/**
- * @route   POST /api/games/dream-board/abandon/:sessionId
- * @desc    Abandon an active game
- * @access  Private
- */
-router.post('/abandon/:sessionId', (req, res) => dreamBoardController.abandonGame(req, res));
-
 // =====================================================
 // ERROR HANDLING FOR MULTER
 // =====================================================
@@ -332,11 +223,9 @@ router.use((err, req, res, next) => {
   if (err instanceof multer.MulterError) {
     if (err.code === 'LIMIT_FILE_SIZE') {
       // Check which route was hit to give appropriate message
-      const isElaboration = req.path.includes('/elaborate/');
-      const maxSize = isElaboration ? '5MB' : '10MB';
       return res.status(400).json({
         success: false,
-        message: `Voice note must be under ${maxSize}`
+        message: 'Voice note must be under 5MB'
       });
     }
     if (err.code === 'LIMIT_FILE_COUNT') {
@@ -0,0 +1,168 @@
+// src/routes/games/games.routes.js
+
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+
+// Middleware
+const { authenticate } = require('../../middleware/auth.middleware');
+const ApiError = require('../../utils/apiError');
+
+// Validators
+const {
+  validateMatchGames,
+  validateLobby,
+  validateFocusPacks,
+  validateGameType,
+  validateGameSession,
+  validateInvitation,
+  validateHistory,
+  validateAbandon,
+  validateVoiceNote,
+  validateVoiceNoteListened,
+} = require('../../validators/games.validator');
+const { VOICE_NOTES } = require('../../services/games/gameEngine');
+
+// Controllers
+const gamesController = require('../../controllers/games/games.controller');
+
+/**
+ * Games Routes
+ *
+ * Views across every registered game (services/games/gameRegistry.js),
+ * and the session flows every game shares under /:gameType (the
+ * registered type, e.g. would_you_rather). Each game's own routes are
+ * mounted under its registry path, e.g. /api/v1/games/would-you-rather.
+ * Base path: /api/v1/games
+ */
+
+// Voice notes are kept in memory only until they're uploaded to S3
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: VOICE_NOTES.maxBytes },
+  fileFilter: (req, file, cb) => {
+    if (VOICE_NOTES.mimeTypes[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(ApiError.badRequest('Invalid file type. Only audio files are allowed.'));
+    }
+  },
+});
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/games?matchId=
+ * @desc    Get the state of every game for a match
+ * @access  Private
+ */
+router.get('/', validateMatchGames, gamesController.getMatchGames);
+
+/**
+ * @route   GET /api/v1/games/lobby?matchId=
+ * @desc    Get pending invitations, active games and recent results
+ *          across every game (matchId optional)
+ * @access  Private
+ */
+router.get('/lobby', validateLobby, gamesController.getLobby);
+
+/**
+ * @route   GET /api/v1/games/focus-packs?gameType=
+ * @desc    Get the category focus packs of the question games
+ *          (picking one when inviting needs premium)
+ * @access  Private
+ */
+router.get('/focus-packs', validateFocusPacks, gamesController.getFocusPacks);
+
+/**
+ * @route   POST /api/v1/games/:gameType/sessions/:sessionId/rematch
+ * @desc    Invite the partner to a rematch of a completed game
+ *          (gameType as registered, e.g. would_you_rather)
+ * @access  Private
+ */
+router.post('/:gameType/sessions/:sessionId/rematch', validateGameSession, gamesController.createRematch);
+
+/**
+ * @route   POST /api/v1/games/:gameType/invitations
+ * @desc    Invite the other player of a mutual match to a game
+ * @access  Private
+ * @body    { matchId, mode?: 'live' | 'async', focusPack? }
+ */
+router.post('/:gameType/invitations', validateInvitation, gamesController.createInvitation);
+
+/**
+ * @route   GET /api/v1/games/:gameType/invitations
+ * @desc    Get open invitations you have received
+ * @access  Private
+ */
+router.get('/:gameType/invitations', validateGameType, gamesController.getPendingInvitations);
+
+/**
+ * @route   GET /api/v1/games/:gameType/history?limit=&skip=&matchId=
+ * @desc    Get your completed games
+ * @access  Private
+ */
+router.get('/:gameType/history', validateHistory, gamesController.getGameHistory);
+
+/**
+ * @route   POST /api/v1/games/:gameType/sessions/:sessionId/accept
+ * @desc    Accept an invitation
+ * @access  Private (invited player)
+ */
+router.post('/:gameType/sessions/:sessionId/accept', validateGameSession, gamesController.acceptInvitation);
+
+/**
+ * @route   POST /api/v1/games/:gameType/sessions/:sessionId/decline
+ * @desc    Decline an invitation
+ * @access  Private (invited player)
+ */
+router.post('/:gameType/sessions/:sessionId/decline', validateGameSession, gamesController.declineInvitation);
+
+/**
+ * @route   POST /api/v1/games/:gameType/sessions/:sessionId/abandon
+ * @desc    Leave an invited or running game
+ * @access  Private (players)
+ * @body    { reason? }
+ */
+router.post('/:gameType/sessions/:sessionId/abandon', validateAbandon, gamesController.abandonGame);
+
+/**
+ * @route   GET /api/v1/games/:gameType/sessions/:sessionId/insights
+ * @desc    Get the AI insights of a completed game
+ * @access  Private (players)
+ */
+router.get('/:gameType/sessions/:sessionId/insights', validateGameSession, gamesController.getInsights);
+
+/**
+ * @route   GET /api/v1/games/:gameType/sessions/:sessionId/voice-notes
+ * @desc    Get the voice notes of a game
+ * @access  Private (players)
+ */
+router.get('/:gameType/sessions/:sessionId/voice-notes', validateGameSession, gamesController.getVoiceNotes);
+
+/**
+ * @route   POST /api/v1/games/:gameType/sessions/:sessionId/voice-notes
+ * @desc    Send a voice note about a completed game
+ * @access  Private (players)
+ * @body    multipart/form-data: 'audio' file (max 5MB), duration (1-60s),
+ *          relatedTo? (question / category / round number)
+ */
+router.post(
+  '/:gameType/sessions/:sessionId/voice-notes',
+  upload.single('audio'),
+  validateVoiceNote,
+  gamesController.addVoiceNote
+);
+
+/**
+ * @route   POST /api/v1/games/:gameType/sessions/:sessionId/voice-notes/:noteId/listened
+ * @desc    Mark the partner's voice note as listened to
+ * @access  Private (players)
+ */
+router.post(
+  '/:gameType/sessions/:sessionId/voice-notes/:noteId/listened',
+  validateVoiceNoteListened,
+  gamesController.markVoiceNoteListened
+);
+
+module.exports = router;
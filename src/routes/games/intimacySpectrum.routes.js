@@ -2,7 +2,6 @@
 
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
 const intimacySpectrumController = require('../../controllers/games/intimacySpectrum.controller');
 const { authenticate } = require('../../middleware/auth.middleware');
 
@@ -15,38 +14,12 @@ const { authenticate } = require('../../middleware/auth.middleware');
  * Base path: /api/games/intimacy-spectrum
  * 
  * Note: Real-time gameplay is handled via Socket.io
- * These routes handle setup, results, and voice notes.
+ * These routes handle setup, results and async play. Invitations, history,
+ * voice notes and insights: /api/v1/games/intimacy_spectrum/...
+ * (routes/games/games.routes.js);
+ * the old paths here are deprecated aliases (routes/games/legacyGames.routes.js)
  */
 
-// Configure multer for voice note uploads
-const storage = multer.memoryStorage();
-
-const fileFilter = (req, file, cb) => {
-  // Accept common audio formats
-  const allowedMimes = [
-    'audio/mpeg',       // mp3
-    'audio/mp4',        // m4a
-    'audio/x-m4a',      // m4a variant
-    'audio/wav',        // wav
-    'audio/webm',       // webm
-    'audio/ogg',        // ogg
-  ];
-
-  if (allowedMimes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Invalid audio format. Allowed: mp3, m4a, wav, webm, ogg'), false);
-  }
-};
-
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB max
-  }
-});
-
 // Apply authentication to all routes
 router.use(authenticate);
 
@@ -74,13 +47,6 @@ router.get('/categories', intimacySpectrumController.getCategories);
 // GAME STATE
 // =====================================================
 
-/**
- * @route   GET /api/games/intimacy-spectrum/pending-invitation
- * @desc    Check if user has a pending game invitation
- * @access  Private
- */
-router.get('/pending-invitation', intimacySpectrumController.getPendingInvitation);
-
 /**
  * @route   GET /api/games/intimacy-spectrum/active
  * @desc    Get user's active game session (if any)
@@ -88,39 +54,24 @@ router.get('/pending-invitation', intimacySpectrumController.getPendingInvitatio
  */
 router.get('/active', intimacySpectrumController.getActiveSession);
 
-/**
- * @route   GET /api/games/intimacy-spectrum/history
- * @desc    Get user's completed game history
- * @access  Private
- * @query   limit - Max number of results (default: 10, max: 50)
- */
-router.get('/history', intimacySpectrumController.getHistory);
-
 // =====================================================
-// INVITATIONS (HTTP Fallback for Socket)
+// ASYNC PLAY (invitations created with mode: 'async')
 // =====================================================
 
 /**
- * @route   POST /api/games/intimacy-spectrum/invite
- * @desc    Create a game invitation
- * @access  Private
- * @body    { matchId: ObjectId }
+ * @route   GET /api/games/intimacy-spectrum/sessions/:sessionId/async
+ * @desc    Get your next question, both players' progress and revealed questions
+ * @access  Private (participants only)
  */
-router.post('/invite', intimacySpectrumController.createInvitation);
+router.get('/sessions/:sessionId/async', intimacySpectrumController.getAsyncState);
 
 /**
- * @route   POST /api/games/intimacy-spectrum/sessions/:sessionId/accept
- * @desc    Accept a game invitation
- * @access  Private
- */
-router.post('/sessions/:sessionId/accept', intimacySpectrumController.acceptInvitation);
-
-/**
- * @route   POST /api/games/intimacy-spectrum/sessions/:sessionId/decline
- * @desc    Decline a game invitation
- * @access  Private
+ * @route   POST /api/games/intimacy-spectrum/sessions/:sessionId/async/answer
+ * @desc    Answer your next question
+ * @access  Private (participants only)
+ * @body    { questionIndex, position, ratherNotSay }
  */
-router.post('/sessions/:sessionId/decline', intimacySpectrumController.declineInvitation);
+router.post('/sessions/:sessionId/async/answer', intimacySpectrumController.submitAsyncAnswer);
 
 // =====================================================
 // SESSION DETAILS
@@ -147,34 +98,4 @@ router.get('/sessions/:sessionId/results', intimacySpectrumController.getResults
  */
 router.get('/sessions/:sessionId/detailed', intimacySpectrumController.getDetailedResults);
 
-/**
- * @route   GET /api/games/intimacy-spectrum/sessions/:sessionId/insights
- * @desc    Get AI-generated compatibility insights
- * @access  Private
- */
-router.get('/sessions/:sessionId/insights', intimacySpectrumController.getAiInsights);
-
-// =====================================================
-// VOICE NOTES
-// =====================================================
-
-/**
- * @route   POST /api/games/intimacy-spectrum/sessions/:sessionId/voice-notes
- * @desc    Upload a voice note (max 60 seconds)
- * @access  Private
- * @body    Multipart form with 'audio' file and 'duration' field
- */
-router.post(
-  '/sessions/:sessionId/voice-notes',
-  upload.single('audio'),
-  intimacySpectrumController.uploadVoiceNote
-);
-
-/**
- * @route   GET /api/games/intimacy-spectrum/sessions/:sessionId/voice-notes
- * @desc    Get all voice notes for a session
- * @access  Private
- */
-router.get('/sessions/:sessionId/voice-notes', intimacySpectrumController.getVoiceNotes);
-
 module.exports = router;
\ No newline at end of file
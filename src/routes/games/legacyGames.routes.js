@@ -0,0 +1,249 @@
+// src/routes/games/legacyGames.routes.js
+
+const express = require('express');
+const multer = require('multer');
+const mongoose = require('mongoose');
+
+// Middleware
+const { authenticate } = require('../../middleware/auth.middleware');
+const { asyncHandler } = require('../../middleware/errorHandler');
+const ApiError = require('../../utils/apiError');
+
+// Validators
+const {
+  validateGameType,
+  validateGameSession,
+  validateInvitation,
+  validateHistory,
+  validateAbandon,
+  validateVoiceNote,
+  validateVoiceNoteListened,
+} = require('../../validators/games.validator');
+const { VOICE_NOTES } = require('../../services/games/gameEngine');
+const gamesService = require('../../services/games/games.service');
+
+// Controllers
+const gamesController = require('../../controllers/games/games.controller');
+
+/**
+ * Legacy Game Routes (deprecated)
+ *
+ * Each game's own invitation, history, abandon, insight and voice note
+ * paths from before these flows moved to /api/v1/games/:gameType
+ * (games.routes.js). They stay as aliases for older clients: the old path
+ * and params are mapped onto the shared endpoint's validators and
+ * controller, so they answer like the shared endpoint, with a
+ * Deprecation header and a Link to it.
+ *
+ * Mounted at each game's registry path, before the game's own routes
+ * (Two Truths & A Lie's /:gameId would catch /pending and /history).
+ */
+
+// Voice notes are kept in memory only until they're uploaded to S3
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: VOICE_NOTES.maxBytes },
+  fileFilter: (req, file, cb) => {
+    if (VOICE_NOTES.mimeTypes[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(ApiError.badRequest('Invalid file type. Only audio files are allowed.'));
+    }
+  },
+});
+
+// Shared endpoints the aliases run, with their path under /api/v1/games/:gameType
+const SHARED = {
+  invite: { path: '/invitations', validators: validateInvitation, handler: gamesController.createInvitation },
+  pending: { path: '/invitations', validators: validateGameType, handler: gamesController.getPendingInvitations },
+  history: { path: '/history', validators: validateHistory, handler: gamesController.getGameHistory },
+  accept: { path: '/sessions/:sessionId/accept', validators: validateGameSession, handler: gamesController.acceptInvitation },
+  decline: { path: '/sessions/:sessionId/decline', validators: validateGameSession, handler: gamesController.declineInvitation },
+  abandon: { path: '/sessions/:sessionId/abandon', validators: validateAbandon, handler: gamesController.abandonGame },
+  insights: { path: '/sessions/:sessionId/insights', validators: validateGameSession, handler: gamesController.getInsights },
+  voiceNotes: { path: '/sessions/:sessionId/voice-notes', validators: validateGameSession, handler: gamesController.getVoiceNotes },
+  addVoiceNote: { path: '/sessions/:sessionId/voice-notes', validators: validateVoiceNote, handler: gamesController.addVoiceNote, upload: true },
+  voiceNoteListened: {
+    path: '/sessions/:sessionId/voice-notes/:noteId/listened',
+    validators: validateVoiceNoteListened,
+    handler: gamesController.markVoiceNoteListened,
+  },
+};
+
+// =====================================================
+// OLD PARAMS → SHARED PARAMS
+// =====================================================
+
+// Two Truths & A Lie games are identified by gameId
+const fromGameId = (req) => {
+  req.params.sessionId = req.params.gameId;
+};
+
+// GET /would-you-rather/history/:matchId
+const fromMatchIdParam = (req) => {
+  req.query.matchId = req.params.matchId;
+};
+
+// Discussion notes are marked listened by their index, which is the noteId
+const fromNoteIndex = (req) => {
+  req.params.noteId = req.params.noteIndex;
+};
+
+const fromVoiceNoteId = (req) => {
+  req.params.noteId = req.params.voiceNoteId;
+};
+
+// The field a game sent the question / category / round of a note in
+const relatedToFrom = (field) => (req) => {
+  if (req.body[field] !== undefined) {
+    req.body.relatedTo = req.body[field];
+  }
+};
+
+// Two Truths & A Lie invitations and history took the partner, not the match
+const fromPartnerId = async (req) => {
+  const params = req.method === 'GET' ? req.query : req.body;
+  if (!params.partnerId) return;
+
+  if (!mongoose.Types.ObjectId.isValid(params.partnerId)) {
+    throw ApiError.badRequest('Invalid partner ID format');
+  }
+
+  const matchId = await gamesService.getMatchIdWithPartner(req.user._id, params.partnerId);
+  params.matchId = matchId.toString();
+};
+
+// Two Truths & A Lie history was paged
+const fromPage = (req) => {
+  const page = Number(req.query.page);
+  if (!Number.isInteger(page) || page < 1) return;
+
+  const limit = Number(req.query.limit) || 20;
+  req.query.skip = String((page - 1) * limit);
+};
+
+// Never Have I Ever notes were marked listened by their author
+const fromNoteAuthor = async (req) => {
+  const { gameType, sessionId, oduserId } = req.params;
+  const { voiceNotes } = await gamesService.getVoiceNotes(req.user._id, gameType, sessionId);
+
+  const authored = voiceNotes.filter(note => note.userId === oduserId);
+  const note = authored.find(candidate => !candidate.listened) || authored[0];
+
+  if (!note) {
+    throw ApiError.notFound('Voice note not found');
+  }
+
+  req.params.noteId = note.noteId;
+};
+
+// =====================================================
+// ALIASES PER GAME
+// =====================================================
+//
+// [method, old path, shared endpoint, { file, map }] - file: multipart
+// field of the voice note (default 'audio'), map: param mappers, in order
+
+const DISCUSSION_ROUTES = (relatedField) => [
+  ['post', '/invite', 'invite'],
+  ['get', '/pending', 'pending'],
+  ['post', '/accept/:sessionId', 'accept'],
+  ['post', '/decline/:sessionId', 'decline'],
+  ['get', '/history', 'history'],
+  ['get', '/discussion/:sessionId', 'voiceNotes'],
+  ['post', '/discussion/:sessionId', 'addVoiceNote', { file: 'voiceNote', map: [relatedToFrom(relatedField)] }],
+  ['post', '/discussion/:sessionId/listened/:noteIndex', 'voiceNoteListened', { map: [fromNoteIndex] }],
+  ['post', '/abandon/:sessionId', 'abandon'],
+];
+
+const LEGACY_ROUTES = {
+  would_you_rather: [
+    ['get', '/pending-invitation', 'pending'],
+    ['post', '/invite', 'invite'],
+    ['post', '/sessions/:sessionId/accept', 'accept'],
+    ['post', '/sessions/:sessionId/decline', 'decline'],
+    ['get', '/sessions/:sessionId/insights', 'insights'],
+    ['get', '/sessions/:sessionId/voice-notes', 'voiceNotes'],
+    ['post', '/sessions/:sessionId/voice-notes', 'addVoiceNote'],
+    ['get', '/history', 'history'],
+    ['get', '/history/:matchId', 'history', { map: [fromMatchIdParam] }],
+  ],
+  intimacy_spectrum: [
+    ['get', '/pending-invitation', 'pending'],
+    ['get', '/history', 'history'],
+    ['post', '/invite', 'invite'],
+    ['post', '/sessions/:sessionId/accept', 'accept'],
+    ['post', '/sessions/:sessionId/decline', 'decline'],
+    ['get', '/sessions/:sessionId/insights', 'insights'],
+    ['post', '/sessions/:sessionId/voice-notes', 'addVoiceNote'],
+    ['get', '/sessions/:sessionId/voice-notes', 'voiceNotes'],
+  ],
+  never_have_i_ever: [
+    ['get', '/pending-invitation', 'pending'],
+    ['get', '/history', 'history'],
+    ['post', '/invite', 'invite'],
+    ['post', '/sessions/:sessionId/accept', 'accept'],
+    ['post', '/sessions/:sessionId/decline', 'decline'],
+    ['post', '/sessions/:sessionId/abandon', 'abandon'],
+    ['post', '/sessions/:sessionId/voice-notes', 'addVoiceNote'],
+    ['get', '/sessions/:sessionId/voice-notes', 'voiceNotes'],
+    ['post', '/sessions/:sessionId/voice-notes/:oduserId/listened', 'voiceNoteListened', { map: [fromNoteAuthor] }],
+  ],
+  what_would_you_do: DISCUSSION_ROUTES('questionNumber'),
+  dream_board: DISCUSSION_ROUTES('categoryNumber'),
+  two_truths_lie: [
+    ['post', '/start', 'invite', { map: [fromPartnerId] }],
+    ['get', '/pending', 'pending'],
+    ['get', '/history', 'history', { map: [fromPartnerId, fromPage] }],
+    ['delete', '/:gameId', 'abandon', { map: [fromGameId] }],
+    ['post', '/:gameId/accept', 'accept', { map: [fromGameId] }],
+    ['post', '/:gameId/decline', 'decline', { map: [fromGameId] }],
+    ['post', '/:gameId/voice-notes', 'addVoiceNote', { map: [fromGameId, relatedToFrom('relatedRoundNumber')] }],
+    ['get', '/:gameId/voice-notes', 'voiceNotes', { map: [fromGameId] }],
+    ['post', '/:gameId/voice-notes/:voiceNoteId/listened', 'voiceNoteListened', { map: [fromGameId, fromVoiceNoteId] }],
+  ],
+};
+
+/**
+ * Middleware stack of one alias: upload, param mapping, then the shared
+ * endpoint's validators and controller
+ * @param {String} gameType - Registered game type
+ * @param {Object} shared - SHARED entry
+ * @param {Object} options - { file, map }
+ */
+const alias = (gameType, shared, { file = 'audio', map = [] } = {}) => [
+  authenticate,
+  ...(shared.upload ? [upload.single(file)] : []),
+  asyncHandler(async (req, res, next) => {
+    req.params.gameType = gameType;
+    for (const mapParams of map) {
+      await mapParams(req);
+    }
+
+    const successor = shared.path.replace(/:(\w+)/g, (_, name) => encodeURIComponent(req.params[name]));
+    res.set('Deprecation', 'true');
+    res.set('Link', `</api/v1/games/${gameType}${successor}>; rel="successor-version"`);
+    next();
+  }),
+  ...shared.validators,
+  shared.handler,
+];
+
+/**
+ * Router with a game's legacy aliases
+ * @param {String} gameType - Registered game type
+ * @returns {Router|null} null for games without legacy paths
+ */
+const legacyGameRoutes = (gameType) => {
+  const routes = LEGACY_ROUTES[gameType];
+  if (!routes) return null;
+
+  const router = express.Router();
+  routes.forEach(([method, path, endpoint, options]) => {
+    router[method](path, ...alias(gameType, SHARED[endpoint], options));
+  });
+
+  return router;
+};
+
+module.exports = { legacyGameRoutes };
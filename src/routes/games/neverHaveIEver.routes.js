@@ -2,7 +2,6 @@
 
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
 const neverHaveIEverController = require('../../controllers/games/neverHaveIEver.controller');
 const { authenticate } = require('../../middleware/auth.middleware');
 
@@ -15,38 +14,12 @@ const { authenticate } = require('../../middleware/auth.middleware');
  * Base path: /api/games/never-have-i-ever
  * 
  * Note: Real-time gameplay is handled via Socket.io
- * These routes handle setup, results, and voice notes.
+ * These routes handle setup, results and async play. Invitations, history,
+ * abandoning, voice notes and insights: /api/v1/games/never_have_i_ever/...
+ * (routes/games/games.routes.js);
+ * the old paths here are deprecated aliases (routes/games/legacyGames.routes.js)
  */
 
-// Configure multer for voice note uploads
-const storage = multer.memoryStorage();
-
-const fileFilter = (req, file, cb) => {
-  // Accept common audio formats
-  const allowedMimes = [
-    'audio/mpeg',       // mp3
-    'audio/mp4',        // m4a
-    'audio/x-m4a',      // m4a variant
-    'audio/wav',        // wav
-    'audio/webm',       // webm
-    'audio/ogg',        // ogg
-  ];
-
-  if (allowedMimes.includes(file.mimetype)) {
-    cb(null, true);
-  } else {
-    cb(new Error('Invalid audio format. Allowed: mp3, m4a, wav, webm, ogg'), false);
-  }
-};
-
-const upload = multer({
-  storage,
-  fileFilter,
-  limits: {
-    fileSize: 5 * 1024 * 1024 // 5MB max
-  }
-});
-
 // Apply authentication to all routes
 router.use(authenticate);
 
@@ -74,13 +47,6 @@ router.get('/categories', neverHaveIEverController.getCategories);
 // GAME STATE
 // =====================================================
 
-/**
- * @route   GET /api/games/never-have-i-ever/pending-invitation
- * @desc    Check if user has a pending game invitation
- * @access  Private
- */
-router.get('/pending-invitation', neverHaveIEverController.getPendingInvitation);
-
 /**
  * @route   GET /api/games/never-have-i-ever/active
  * @desc    Get user's active game session (if any)
@@ -88,28 +54,8 @@ router.get('/pending-invitation', neverHaveIEverController.getPendingInvitation)
  */
 router.get('/active', neverHaveIEverController.getActiveSession);
 
-/**
- * @route   GET /api/games/never-have-i-ever/history
- * @desc    Get user's completed game history
- * @access  Private
- * @query   limit - Max number of games to return (default: 10)
- */
-router.get('/history', neverHaveIEverController.getGameHistory);
-
 // =====================================================
-// INVITATIONS
-// =====================================================
-
-/**
- * @route   POST /api/games/never-have-i-ever/invite
- * @desc    Create a new game invitation
- * @access  Private
- * @body    { matchId: ObjectId }
- */
-router.post('/invite', neverHaveIEverController.createInvitation);
-
-// =====================================================
-// SESSION ACTIONS
+// SESSION DETAILS
 // =====================================================
 
 /**
@@ -119,26 +65,24 @@ router.post('/invite', neverHaveIEverController.createInvitation);
  */
 router.get('/sessions/:sessionId', neverHaveIEverController.getSession);
 
-/**
- * @route   POST /api/games/never-have-i-ever/sessions/:sessionId/accept
- * @desc    Accept a game invitation
- * @access  Private (invited player only)
- */
-router.post('/sessions/:sessionId/accept', neverHaveIEverController.acceptInvitation);
+// =====================================================
+// ASYNC PLAY (invitations created with mode: 'async')
+// =====================================================
 
 /**
- * @route   POST /api/games/never-have-i-ever/sessions/:sessionId/decline
- * @desc    Decline a game invitation
- * @access  Private (invited player only)
+ * @route   GET /api/games/never-have-i-ever/sessions/:sessionId/async
+ * @desc    Get your next question, both players' progress and revealed questions
+ * @access  Private (participants only)
  */
-router.post('/sessions/:sessionId/decline', neverHaveIEverController.declineInvitation);
+router.get('/sessions/:sessionId/async', neverHaveIEverController.getAsyncState);
 
 /**
- * @route   POST /api/games/never-have-i-ever/sessions/:sessionId/abandon
- * @desc    Abandon an active game
+ * @route   POST /api/games/never-have-i-ever/sessions/:sessionId/async/answer
+ * @desc    Answer your next question
  * @access  Private (participants only)
+ * @body    { questionIndex, answer, ratherNotSay }
  */
-router.post('/sessions/:sessionId/abandon', neverHaveIEverController.abandonGame);
+router.post('/sessions/:sessionId/async/answer', neverHaveIEverController.submitAsyncAnswer);
 
 // =====================================================
 // RESULTS
@@ -151,37 +95,4 @@ router.post('/sessions/:sessionId/abandon', neverHaveIEverController.abandonGame
  */
 router.get('/sessions/:sessionId/results', neverHaveIEverController.getResults);
 
-// =====================================================
-// VOICE NOTES
-// =====================================================
-
-/**
- * @route   POST /api/games/never-have-i-ever/sessions/:sessionId/voice-notes
- * @desc    Upload a voice note for discussion
- * @access  Private (participants only)
- * @body    multipart/form-data with 'audio' file and 'duration' field
- */
-router.post(
-  '/sessions/:sessionId/voice-notes',
-  upload.single('audio'),
-  neverHaveIEverController.uploadVoiceNote
-);
-
-/**
- * @route   GET /api/games/never-have-i-ever/sessions/:sessionId/voice-notes
- * @desc    Get all voice notes for a session
- * @access  Private (participants only)
- */
-router.get('/sessions/:sessionId/voice-notes', neverHaveIEverController.getVoiceNotes);
-
-/**
- * @route   POST /api/games/never-have-i-ever/sessions/:sessionId/voice-notes/:oduserId/listened
- * @desc    Mark a voice note as listened
- * @access  Private (participants only)
- */
-router.post(
-  '/sessions/:sessionId/voice-notes/:oduserId/listened',
-  neverHaveIEverController.markVoiceNoteListened
-);
-
 module.exports = router;
\ No newline at end of file
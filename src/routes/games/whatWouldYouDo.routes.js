@@ -10,9 +10,13 @@ const { authenticate } = require('../../middleware/auth.middleware');
  * WHAT WOULD YOU DO - GAME ROUTES
  * 
  * All routes require authentication.
- * Voice note uploads use multer with memory storage.
+ * Voice note answers use multer with memory storage.
  * 
  * Base path: /api/games/what-would-you-do
+ *
+ * Invitations, history, abandoning, discussion notes and insights:
+ * /api/v1/games/what_would_you_do/... (routes/games/games.routes.js);
+ * the old paths here are deprecated aliases (routes/games/legacyGames.routes.js)
  */
 
 // Configure multer for voice note uploads
@@ -65,35 +69,6 @@ router.get('/info', (req, res) => whatWouldYouDoController.getGameInfo(req, res)
  */
 router.get('/questions', (req, res) => whatWouldYouDoController.getAllQuestions(req, res));
 
-// =====================================================
-// INVITATIONS
-// =====================================================
-
-/**
- * POST /api/games/what-would-you-do/invite
- * Create a new game invitation
- * Body: { matchId: string }
- */
-router.post('/invite', (req, res) => whatWouldYouDoController.createInvitation(req, res));
-
-/**
- * GET /api/games/what-would-you-do/pending
- * Get pending invitation for current user
- */
-router.get('/pending', (req, res) => whatWouldYouDoController.getPendingInvitation(req, res));
-
-/**
- * POST /api/games/what-would-you-do/accept/:sessionId
- * Accept a game invitation
- */
-router.post('/accept/:sessionId', (req, res) => whatWouldYouDoController.acceptInvitation(req, res));
-
-/**
- * POST /api/games/what-would-you-do/decline/:sessionId
- * Decline a game invitation
- */
-router.post('/decline/:sessionId', (req, res) => whatWouldYouDoController.declineInvitation(req, res));
-
 // =====================================================
 // GAME STATE
 // =====================================================
@@ -152,54 +127,6 @@ router.post('/retry-transcription/:sessionId', (req, res) => whatWouldYouDoContr
  */
 router.get('/results/:sessionId', (req, res) => whatWouldYouDoController.getResults(req, res));
 
-/**
- * GET /api/games/what-would-you-do/history
- * Get completed games history
- * Query: ?limit=10
- */
-router.get('/history', (req, res) => whatWouldYouDoController.getGameHistory(req, res));
-
-// =====================================================
-// DISCUSSION
-// =====================================================
-
-/**
- * GET /api/games/what-would-you-do/discussion/:sessionId
- * Get all discussion notes for a session
- */
-router.get('/discussion/:sessionId', (req, res) => whatWouldYouDoController.getDiscussionNotes(req, res));
-
-/**
- * POST /api/games/what-would-you-do/discussion/:sessionId
- * Add a discussion voice note
- * 
- * Multipart form data:
- * - voiceNote: audio file (required)
- * - duration: number in seconds (required)
- * - questionNumber: number 1-15 (optional, for question-specific discussion)
- */
-router.post(
-  '/discussion/:sessionId',
-  upload.single('voiceNote'),
-  (req, res) => whatWouldYouDoController.addDiscussionNote(req, res)
-);
-
-/**
- * POST /api/games/what-would-you-do/discussion/:sessionId/listened/:noteIndex
- * Mark a discussion note as listened
- */
-router.post('/discussion/:sessionId/listened/:noteIndex', (req, res) => whatWouldYouDoController.markNoteListened(req, res));
-
-// =====================================================
-// GAME MANAGEMENT
-// =====================================================
-
-/**
- * POST /api/games/what-would-you-do/abandon/:sessionId
- * Abandon an active game
- */
-router.post('/abandon/:sessionId', (req, res) => whatWouldYouDoController.abandonGame(req, res));
-
 // =====================================================
 // ERROR HANDLING FOR MULTER
 // =====================================================
@@ -8,14 +8,18 @@ const matchRoutes = require('./match.routes');
 const conversationRoutes = require('./conversation.routes');  
 const messageRoutes = require('./message.routes');
 const testRoutes = require('./test.routes');
-const twoTruthsLieRoutes = require('./twoTruthsLie.routes');
-const wouldYouRatherRoutes = require('./games/wouldYouRather.routes');
-const intimacySpectrumRoutes = require('./games/intimacySpectrum.routes');
-const neverHaveIEverRoutes = require('./games/neverHaveIEver.routes'); 
-const whatWouldYouDoRoutes = require('./games/whatWouldYouDo.routes');
-const dreamBoardRoutes = require('./games/dreamBoard.routes');
+const gamesRoutes = require('./games/games.routes');
+const { legacyGameRoutes } = require('./games/legacyGames.routes');
+const gameRegistry = require('../services/games/gameRegistry');
 const coupleCompatibilityRoutes = require('./coupleCompatibility.routes');
 const dateDecisionRoutes = require('./dateDecision.routes');
+const jobRoutes = require('./job.routes');
+const moderationRoutes = require('./moderation.routes');
+const notificationRoutes = require('./notification.routes');
+const aiUsageRoutes = require('./aiUsage.routes');
+const matchingWeightsRoutes = require('./matchingWeights.routes');
+const subscriptionRoutes = require('./subscription.routes');
+const contentRoutes = require('./content.routes');
 
 const router = express.Router();
 
@@ -42,12 +46,23 @@ router.use('/matches', matchRoutes);
 router.use('/conversations', conversationRoutes);  
 router.use('/messages', messageRoutes);   
 router.use('/test', testRoutes);
-router.use('/games/two-truths-lie', twoTruthsLieRoutes);
-router.use('/games/would-you-rather', wouldYouRatherRoutes);
-router.use('/games/intimacy-spectrum', intimacySpectrumRoutes);
-router.use('/games/never-have-i-ever', neverHaveIEverRoutes);  
-router.use('/games/what-would-you-do', whatWouldYouDoRoutes);
-router.use('/games/dream-board', dreamBoardRoutes);
+// Each game's own routes at its registry path, before the shared /games routes,
+// after the deprecated aliases of its old invitation / history / voice note paths
+gameRegistry.getAll()
+  .filter(({ routes }) => routes)
+  .forEach(({ type, path, routes }) => {
+    const legacyRoutes = legacyGameRoutes(type);
+    if (legacyRoutes) router.use(path, legacyRoutes);
+    router.use(path, routes());
+  });
+router.use('/games', gamesRoutes);
 router.use('/compatibility', coupleCompatibilityRoutes);
 router.use('/dateplan', dateDecisionRoutes); 
+router.use('/jobs', jobRoutes);
+router.use('/admin/moderation', moderationRoutes);
+router.use('/notifications', notificationRoutes);
+router.use('/admin/ai-usage', aiUsageRoutes);
+router.use('/admin/matching-weights', matchingWeightsRoutes);
+router.use('/subscriptions', subscriptionRoutes);
+router.use('/admin/content', contentRoutes);
 module.exports = router;
\ No newline at end of file
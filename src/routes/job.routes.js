@@ -0,0 +1,40 @@
+// src/routes/job.routes.js
+
+const express = require('express');
+const router = express.Router();
+
+const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
+const jobController = require('../controllers/job.controller');
+
+/**
+ * Job Routes
+ *
+ * Inspect and manually trigger background maintenance jobs.
+ * Base path: /api/v1/jobs
+ */
+
+router.use(authenticate, requireAdmin);
+
+/**
+ * @route   GET /api/v1/jobs
+ * @desc    List jobs with schedule, lock state and last run outcome
+ * @access  Admin
+ */
+router.get('/', jobController.listJobs);
+
+/**
+ * @route   GET /api/v1/jobs/:name/runs
+ * @desc    Get recent run history for a job
+ * @access  Admin
+ * @query   limit - Max runs to return (default 20, max 100)
+ */
+router.get('/:name/runs', jobController.getJobRuns);
+
+/**
+ * @route   POST /api/v1/jobs/:name/run
+ * @desc    Trigger a job now (409 if a run is already in progress)
+ * @access  Admin
+ */
+router.post('/:name/run', jobController.triggerJob);
+
+module.exports = router;
@@ -15,7 +15,7 @@ router.use(authenticate); // ✅ FIXED: Use authenticate function
 
 /**
  * @route   POST /api/v1/matches/generate
- * @desc    Generate matches for current user
+ * @desc    Get today's match drop (made now if it isn't yet)
  * @access  Private
  */
 router.post(
@@ -35,6 +35,16 @@ router.get(
   MatchController.getMatches
 );
 
+/**
+ * @route   GET /api/v1/matches/today
+ * @desc    Get today's matches with drop and refresh status
+ * @access  Private
+ */
+router.get(
+  '/today',
+  MatchController.getTodayMatches
+);
+
 /**
  * @route   GET /api/v1/matches/stats
  * @desc    Get match statistics for user
@@ -57,7 +67,7 @@ router.get(
 
 /**
  * @route   POST /api/v1/matches/refresh
- * @desc    Refresh matches (re-generate)
+ * @desc    Refresh matches: an extra drop (daily limit, more with premium)
  * @access  Private
  */
 router.post(
@@ -89,6 +99,18 @@ router.get(
   MatchController.getMatchDetails
 );
 
+/**
+ * @route   GET /api/v1/matches/:matchId/explanation
+ * @desc    Explain a match's compatibility score by dimension
+ * @access  Private (match owner; revealed match or Premium)
+ * @param   matchId - Match ID
+ */
+router.get(
+  '/:matchId/explanation',
+  matchValidator.matchId,
+  MatchController.getMatchExplanation
+);
+
 /**
  * @route   POST /api/v1/matches/:matchId/reveal
  * @desc    Reveal/unlock a match
@@ -135,6 +157,18 @@ router.post(
   MatchController.passMatch
 );
 
+/**
+ * @route   POST /api/v1/matches/:matchId/extend
+ * @desc    Extend a match before it expires (once per match)
+ * @access  Private
+ * @param   matchId - Match ID
+ */
+router.post(
+  '/:matchId/extend',
+  matchValidator.matchId,
+  MatchController.extendMatch
+);
+
 /**
  * @route   GET /api/v1/matches/likes/received
  * @desc    Get likes received by current user
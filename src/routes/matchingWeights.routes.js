@@ -0,0 +1,28 @@
+// src/routes/matchingWeights.routes.js
+
+const express = require('express');
+const router = express.Router();
+
+const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
+const matchingWeightsController = require('../controllers/matchingWeights.controller');
+const { validateReportQuery } = require('../validators/matchingWeights.validator');
+
+/**
+ * Matching Weights Routes
+ *
+ * Dimension weights trained from outcomes (job: matching-weight-training).
+ * Base path: /api/v1/admin/matching-weights
+ */
+
+router.use(authenticate, requireAdmin);
+
+/**
+ * @route   GET /api/v1/admin/matching-weights/report
+ * @desc    Predictive power per dimension, weight sets in use and experiment arms
+ * @access  Admin
+ * @query   scope - matching | couple_compatibility (default matching)
+ * @query   version - Weight set (default latest trained)
+ */
+router.get('/report', validateReportQuery, matchingWeightsController.getReport);
+
+module.exports = router;
@@ -0,0 +1,173 @@
+// src/routes/moderation.routes.js
+
+const express = require('express');
+const router = express.Router();
+
+// Middleware
+const { authenticate, requireAdmin } = require('../middleware/auth.middleware');
+
+// Validators
+const {
+  validateQueue,
+  validateReportDetail,
+  validateReportAction,
+  validateReportBan,
+  validateUserId,
+  validateUserBan,
+  validateUserUnban,
+  validateBlockList,
+  validateBlockReview,
+  validateBlockExtend,
+  validateBlockAction,
+  validateAudit
+} = require('../validators/moderation.validator');
+
+// Controllers
+const moderationController = require('../controllers/moderation.controller');
+
+/**
+ * Moderation Routes
+ *
+ * Admin-only moderation over MessageReport and Block.
+ * Every state-changing action is written to the ModerationAction audit trail.
+ * Base path: /api/v1/admin/moderation
+ */
+
+router.use(authenticate, requireAdmin);
+
+// ============================================
+// REPORT QUEUE
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/moderation/reports
+ * @desc    Paginated moderation queue (urgent first, then oldest)
+ * @access  Admin
+ * @query   status (default pending, 'all' for any), severity, reason, page, limit
+ */
+router.get('/reports', validateQueue, moderationController.getQueue);
+
+/**
+ * @route   GET /api/v1/admin/moderation/reports/:reportId
+ * @desc    Report, reported message and surrounding conversation context
+ * @access  Admin
+ * @query   context - Messages before/after to include (default 10)
+ */
+router.get('/reports/:reportId', validateReportDetail, moderationController.getReport);
+
+/**
+ * @route   POST /api/v1/admin/moderation/reports/:reportId/dismiss
+ * @desc    Dismiss a report
+ * @access  Admin
+ * @body    { notes? }
+ */
+router.post('/reports/:reportId/dismiss', validateReportAction, moderationController.dismissReport);
+
+/**
+ * @route   POST /api/v1/admin/moderation/reports/:reportId/escalate
+ * @desc    Escalate a report to urgent
+ * @access  Admin
+ * @body    { notes? }
+ */
+router.post('/reports/:reportId/escalate', validateReportAction, moderationController.escalateReport);
+
+/**
+ * @route   POST /api/v1/admin/moderation/reports/:reportId/warn
+ * @desc    Warn the reported user
+ * @access  Admin
+ * @body    { notes? }
+ */
+router.post('/reports/:reportId/warn', validateReportAction, moderationController.warnUser);
+
+/**
+ * @route   POST /api/v1/admin/moderation/reports/:reportId/remove-message
+ * @desc    Remove the reported message for everyone
+ * @access  Admin
+ * @body    { notes? }
+ */
+router.post('/reports/:reportId/remove-message', validateReportAction, moderationController.removeMessage);
+
+/**
+ * @route   POST /api/v1/admin/moderation/reports/:reportId/ban
+ * @desc    Ban the reported user
+ * @access  Admin
+ * @body    { reason, notes? }
+ */
+router.post('/reports/:reportId/ban', validateReportBan, moderationController.banFromReport);
+
+// ============================================
+// USERS
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/moderation/users/:userId
+ * @desc    User's violations, open reports and moderation history
+ * @access  Admin
+ */
+router.get('/users/:userId', validateUserId, moderationController.getUserRecord);
+
+/**
+ * @route   POST /api/v1/admin/moderation/users/:userId/ban
+ * @desc    Ban a user directly
+ * @access  Admin
+ * @body    { reason, notes? }
+ */
+router.post('/users/:userId/ban', validateUserBan, moderationController.banUser);
+
+/**
+ * @route   POST /api/v1/admin/moderation/users/:userId/unban
+ * @desc    Lift a user's ban
+ * @access  Admin
+ * @body    { notes? }
+ */
+router.post('/users/:userId/unban', validateUserUnban, moderationController.unbanUser);
+
+// ============================================
+// BLOCKS
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/moderation/blocks
+ * @desc    Blocks awaiting review
+ * @access  Admin
+ * @query   reviewStatus (default pending, 'all' for any), page, limit
+ */
+router.get('/blocks', validateBlockList, moderationController.getBlocks);
+
+/**
+ * @route   POST /api/v1/admin/moderation/blocks/:blockId/review
+ * @desc    Record a review decision
+ * @access  Admin
+ * @body    { status: 'reviewed' | 'upheld' | 'reversed', notes? }
+ */
+router.post('/blocks/:blockId/review', validateBlockReview, moderationController.reviewBlock);
+
+/**
+ * @route   POST /api/v1/admin/moderation/blocks/:blockId/extend
+ * @desc    Extend a block by N days from now (default 30)
+ * @access  Admin
+ * @body    { days?, notes? }
+ */
+router.post('/blocks/:blockId/extend', validateBlockExtend, moderationController.extendBlock);
+
+/**
+ * @route   POST /api/v1/admin/moderation/blocks/:blockId/make-permanent
+ * @desc    Remove a block's expiry
+ * @access  Admin
+ * @body    { notes? }
+ */
+router.post('/blocks/:blockId/make-permanent', validateBlockAction, moderationController.makeBlockPermanent);
+
+// ============================================
+// AUDIT TRAIL
+// ============================================
+
+/**
+ * @route   GET /api/v1/admin/moderation/audit
+ * @desc    Audit trail of moderator actions (newest first)
+ * @access  Admin
+ * @query   moderatorId, userId, reportId, action, page, limit
+ */
+router.get('/audit', validateAudit, moderationController.getAuditTrail);
+
+module.exports = router;
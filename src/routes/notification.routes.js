@@ -0,0 +1,104 @@
+// src/routes/notification.routes.js
+
+const express = require('express');
+const router = express.Router();
+
+// Middleware
+const { authenticate } = require('../middleware/auth.middleware');
+
+// Validators
+const {
+  validateInbox,
+  validateNotificationId,
+  validatePreferences,
+  validateDeviceToken
+} = require('../validators/notification.validator');
+
+// Controllers
+const notificationController = require('../controllers/notification.controller');
+
+/**
+ * Notification Routes
+ *
+ * All routes require authentication.
+ * Base path: /api/v1/notifications
+ */
+
+router.use(authenticate);
+
+// ============================================
+// PREFERENCES & DEVICE TOKEN
+// ============================================
+
+/**
+ * @route   GET /api/v1/notifications/preferences
+ * @desc    Get notification preferences and quiet hours
+ * @access  Private
+ */
+router.get('/preferences', notificationController.getPreferences);
+
+/**
+ * @route   PATCH /api/v1/notifications/preferences
+ * @desc    Update notification preferences
+ * @access  Private
+ * @body    { pushEnabled?, likes?, matches?, messages?, gameInvitations?,
+ *            quietHours?: { enabled?, start?, end?, timezone? } }
+ */
+router.patch('/preferences', validatePreferences, notificationController.updatePreferences);
+
+/**
+ * @route   PUT /api/v1/notifications/device-token
+ * @desc    Register the device's FCM token
+ * @access  Private
+ * @body    { token }
+ */
+router.put('/device-token', validateDeviceToken, notificationController.registerDeviceToken);
+
+/**
+ * @route   DELETE /api/v1/notifications/device-token
+ * @desc    Remove the device's FCM token
+ * @access  Private
+ */
+router.delete('/device-token', notificationController.removeDeviceToken);
+
+// ============================================
+// INBOX
+// ============================================
+
+/**
+ * @route   GET /api/v1/notifications
+ * @desc    Get notification inbox
+ * @access  Private
+ * @query   unreadOnly, page, limit
+ */
+router.get('/', validateInbox, notificationController.getInbox);
+
+/**
+ * @route   GET /api/v1/notifications/unread-count
+ * @desc    Get unread notification count
+ * @access  Private
+ */
+router.get('/unread-count', notificationController.getUnreadCount);
+
+/**
+ * @route   POST /api/v1/notifications/read-all
+ * @desc    Mark all notifications as read
+ * @access  Private
+ */
+router.post('/read-all', notificationController.markAllAsRead);
+
+/**
+ * @route   PATCH /api/v1/notifications/:notificationId/read
+ * @desc    Mark a notification as read
+ * @access  Private
+ */
+router.patch('/:notificationId/read', validateNotificationId, notificationController.markAsRead);
+
+/**
+ * @route   DELETE /api/v1/notifications/:notificationId
+ * @desc    Delete a notification
+ * @access  Private
+ */
+router.delete('/:notificationId', validateNotificationId, notificationController.deleteNotification);
+
+module.exports = router;
@@ -0,0 +1,58 @@
+// src/routes/subscription.routes.js
+
+const express = require('express');
+const router = express.Router();
+
+// Middleware
+const { authenticate } = require('../middleware/auth.middleware');
+
+// Validators
+const {
+  validateReceipt,
+  validateHistory
+} = require('../validators/subscription.validator');
+
+// Controllers
+const subscriptionController = require('../controllers/subscription.controller');
+
+/**
+ * Subscription Routes
+ *
+ * All routes require authentication.
+ * Base path: /api/v1/subscriptions
+ */
+
+router.use(authenticate);
+
+/**
+ * @route   GET /api/v1/subscriptions/plans
+ * @desc    List purchasable plans with their store product IDs
+ * @access  Private
+ */
+router.get('/plans', subscriptionController.getPlans);
+
+/**
+ * @route   GET /api/v1/subscriptions/me
+ * @desc    Get current entitlements and subscription
+ * @access  Private
+ */
+router.get('/me', subscriptionController.getMySubscription);
+
+/**
+ * @route   GET /api/v1/subscriptions/me/history
+ * @desc    Get subscription event history (purchases, renewals, expiry...)
+ * @access  Private
+ * @query   page, limit
+ */
+router.get('/me/history', validateHistory, subscriptionController.getMyHistory);
+
+/**
+ * @route   POST /api/v1/subscriptions/verify
+ * @desc    Verify a store receipt after a purchase or a restore
+ * @access  Private
+ * @body    { platform: 'apple' | 'google', productId, receipt }
+ *          receipt: App Store base64 receipt or Google Play purchase token
+ */
+router.post('/verify', validateReceipt, subscriptionController.verifyReceipt);
+
+module.exports = router;
@@ -1,6 +1,5 @@
 const express = require('express');
 const router = express.Router();
-const multer = require('multer');
 const twoTruthsLieController = require('../controllers/twoTruthsLie.controller');
 const { authenticate } = require('../middleware/auth.middleware');
 
@@ -10,50 +9,17 @@ const { authenticate } = require('../middleware/auth.middleware');
  * All routes require authentication via the protect middleware.
  * 
  * Base path: /api/v1/games/two-truths-lie
+ *
+ * Invitations, history, cancelling, voice notes and insights:
+ * /api/v1/games/two_truths_lie/... (routes/games/games.routes.js);
+ * the old paths here are deprecated aliases (routes/games/legacyGames.routes.js)
  */
 
-// Configure multer for voice note uploads
-const storage = multer.memoryStorage();
-const upload = multer({
-  storage,
-  limits: {
-    fileSize: 5 * 1024 * 1024, // 5MB max
-  },
-  fileFilter: (req, file, cb) => {
-    // Accept common audio formats
-    const allowedMimes = [
-      'audio/mpeg',       // mp3
-      'audio/mp4',        // m4a
-      'audio/x-m4a',      // m4a variant
-      'audio/wav',        // wav
-      'audio/webm',       // webm
-      'audio/ogg',        // ogg
-    ];
-    
-    if (allowedMimes.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid audio format. Allowed: mp3, m4a, wav, webm, ogg'), false);
-    }
-  },
-});
-
 // Apply authentication to all routes
 router.use(authenticate);
 
 // ==================== GAME MANAGEMENT ====================
 
-/**
- * @route   POST /api/v1/games/two-truths-lie/start
- * @desc    Start a new game with a matched partner
- * @access  Private
- * @body    { partnerId: ObjectId }
- */
-router.post(
-  '/start',
-  twoTruthsLieController.startGame
-);
-
 /**
  * @route   GET /api/v1/games/two-truths-lie/active
  * @desc    Get all active games for current user
@@ -64,27 +30,6 @@ router.get(
   twoTruthsLieController.getActiveGames
 );
 
-/**
- * @route   GET /api/v1/games/two-truths-lie/pending
- * @desc    Get pending invitations for current user
- * @access  Private
- */
-router.get(
-  '/pending',
-  twoTruthsLieController.getPendingInvitations
-);
-
-/**
- * @route   GET /api/v1/games/two-truths-lie/history
- * @desc    Get completed games history
- * @access  Private
- * @query   { page, limit, partnerId }
- */
-router.get(
-  '/history',
-  twoTruthsLieController.getHistory
-);
-
 /**
  * @route   GET /api/v1/games/two-truths-lie/stats
  * @desc    Get user's game statistics
@@ -105,39 +50,6 @@ router.get(
   twoTruthsLieController.getGame
 );
 
-/**
- * @route   DELETE /api/v1/games/two-truths-lie/:gameId
- * @desc    Cancel a game
- * @access  Private (participants only)
- * @body    { reason?: string }
- */
-router.delete(
-  '/:gameId',
-  twoTruthsLieController.cancelGame
-);
-
-// ==================== INVITATION HANDLING ====================
-
-/**
- * @route   POST /api/v1/games/two-truths-lie/:gameId/accept
- * @desc    Accept game invitation
- * @access  Private (invited partner only)
- */
-router.post(
-  '/:gameId/accept',
-  twoTruthsLieController.acceptInvitation
-);
-
-/**
- * @route   POST /api/v1/games/two-truths-lie/:gameId/decline
- * @desc    Decline game invitation
- * @access  Private (invited partner only)
- */
-router.post(
-  '/:gameId/decline',
-  twoTruthsLieController.declineInvitation
-);
-
 // ==================== STATEMENTS PHASE ====================
 
 /**
@@ -184,7 +96,7 @@ router.post(
   twoTruthsLieController.submitAnswers
 );
 
-// ==================== RESULTS & DISCUSSION ====================
+// ==================== RESULTS ====================
 
 /**
  * @route   GET /api/v1/games/two-truths-lie/:gameId/results
@@ -196,39 +108,6 @@ router.get(
   twoTruthsLieController.getResults
 );
 
-/**
- * @route   POST /api/v1/games/two-truths-lie/:gameId/voice-notes
- * @desc    Send a voice note (max 60 seconds)
- * @access  Private (participants only, after completion)
- * @body    { duration, relatedRoundNumber? }
- * @file    audio (mp3, m4a, wav, webm, ogg)
- */
-router.post(
-  '/:gameId/voice-notes',
-  upload.single('audio'),
-  twoTruthsLieController.sendVoiceNote
-);
-
-/**
- * @route   GET /api/v1/games/two-truths-lie/:gameId/voice-notes
- * @desc    Get all voice notes for a game
- * @access  Private (participants only)
- */
-router.get(
-  '/:gameId/voice-notes',
-  twoTruthsLieController.getVoiceNotes
-);
-
-/**
- * @route   POST /api/v1/games/two-truths-lie/:gameId/voice-notes/:voiceNoteId/listened
- * @desc    Mark a voice note as listened
- * @access  Private (receiver only)
- */
-router.post(
-  '/:gameId/voice-notes/:voiceNoteId/listened',
-  twoTruthsLieController.markVoiceNoteListened
-);
-
 // ==================== RESTART ====================
 
 /**
@@ -273,29 +152,4 @@ router.post(
   twoTruthsLieController.regenerateInsights
 );
 
-// Error handling for multer
-router.use((error, req, res, next) => {
-  if (error instanceof multer.MulterError) {
-    if (error.code === 'LIMIT_FILE_SIZE') {
-      return res.status(400).json({
-        success: false,
-        message: 'File too large. Maximum size is 5MB.',
-      });
-    }
-    return res.status(400).json({
-      success: false,
-      message: error.message,
-    });
-  }
-  
-  if (error.message && error.message.includes('Invalid audio format')) {
-    return res.status(400).json({
-      success: false,
-      message: error.message,
-    });
-  }
-  
-  next(error);
-});
-
 module.exports = router;
\ No newline at end of file
@@ -18,7 +18,10 @@ const {
   validateBioUpdate,
   validateLocationUpdate,
   validateUserId,
-  validatePhotoIndex
+  validatePhotoIndex,
+  validateAccountDeletion,
+  validateContentBoundaries,
+  validateDiscoveryPreferences
 } = require('../validators/user.validator');
 
 // Controllers
@@ -42,6 +45,69 @@ const userController = require('../controllers/user.controller');
  */
 router.get('/me', authenticate, userController.getMyProfile);
 
+/**
+ * @route   DELETE /api/v1/users/me
+ * @desc    Request account deletion. The account is deactivated now and purged
+ *          after the grace period; logging in again before then cancels it.
+ * @access  Private
+ * @body    { reason? }
+ */
+router.delete('/me', authenticate, validateAccountDeletion, userController.deleteMyAccount);
+
+/**
+ * @route   POST /api/v1/users/me/export
+ * @desc    Export all personal data (profile, answers, matches, messages, games...)
+ *          as a gzipped JSON archive behind a short-lived download URL
+ * @access  Private
+ */
+router.post('/me/export', authenticate, userController.exportMyData);
+
+/**
+ * @route   GET /api/v1/users/me/content-boundaries
+ * @desc    Get explicit game categories the user opted out of, with the
+ *          categories that can be excluded per game
+ * @access  Private
+ */
+router.get('/me/content-boundaries', authenticate, userController.getContentBoundaries);
+
+/**
+ * @route   PUT /api/v1/users/me/content-boundaries
+ * @desc    Set excluded categories per game. Categories excluded by either
+ *          player are never served in sessions created afterwards.
+ * @access  Private
+ * @body    { intimacy_spectrum?: [category], never_have_i_ever?: [category] }
+ */
+router.put(
+  '/me/content-boundaries',
+  authenticate,
+  validateContentBoundaries,
+  userController.updateContentBoundaries
+);
+
+/**
+ * @route   GET /api/v1/users/preferences
+ * @desc    Get discovery preferences: age range, max distance and hard filters,
+ *          with the values matching applies and the allowed options
+ * @access  Private
+ */
+router.get('/preferences', authenticate, userController.getDiscoveryPreferences);
+
+/**
+ * @route   PATCH /api/v1/users/preferences
+ * @desc    Update discovery preferences. Enforced both ways when matches are
+ *          generated: nobody is shown someone outside the range they asked for.
+ *          maxDistanceKm cannot exceed the plan's limit.
+ * @access  Private
+ * @body    { ageMin?, ageMax?, maxDistanceKm?,
+ *            relationshipIntent?|kids?|smoking?|religion?: { value?, acceptable? } }
+ */
+router.patch(
+  '/preferences',
+  authenticate,
+  validateDiscoveryPreferences,
+  userController.updateDiscoveryPreferences
+);
+
 /**
  * @route   GET /api/v1/users/:userId
  * @desc    Get public profile of another user
@@ -49,6 +115,13 @@ router.get('/me', authenticate, userController.getMyProfile);
  */
 router.get('/:userId', authenticate, validateUserId, userController.getPublicProfile);
 
+/**
+ * @route   GET /api/v1/users/:userId/presence
+ * @desc    Get online status and last seen of a user (across all devices and servers)
+ * @access  Private
+ */
+router.get('/:userId/presence', authenticate, validateUserId, userController.getUserPresence);
+
 /**
  * @route   PATCH /api/v1/users/profile
  * @desc    Update user profile (firstName, lastName, email, gender, interestedIn, location, bio)
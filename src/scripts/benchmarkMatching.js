@@ -0,0 +1,279 @@
+// src/scripts/benchmarkMatching.js
+
+/**
+ * BENCHMARK SCRIPT: Candidate retrieval
+ *
+ * Seeds synthetic users (with answer analyses) around one city, then times
+ * candidate retrieval (matching stages 1-4) for one of them:
+ * - legacy:  load every user, one AnswerAnalysis query per candidate,
+ *            distance filtered in JS
+ * - current: MatchingService ($geoNear pages, one analysis query per page,
+ *            capped pool)
+ * - funnel:  the query filter funnel reported in the generation stats
+ *            (one $facet aggregation over all users)
+ *
+ * Seeded documents are removed at the end (unless --keep).
+ * Refuses to run with NODE_ENV=production.
+ *
+ * Usage:
+ *   node src/scripts/benchmarkMatching.js [--users=50000] [--skip-legacy] [--keep]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AnswerAnalysis = require('../models/AnswerAnalysis');
+const MatchingService = require('../services/matching.service');
+const DistanceService = require('../services/distance.service');
+
+const args = process.argv.slice(2);
+const USER_COUNT = parseInt((args.find(arg => arg.startsWith('--users=')) || '--users=50000').split('=')[1]);
+const SKIP_LEGACY = args.includes('--skip-legacy');
+const KEEP = args.includes('--keep');
+
+const SEED_BATCH_SIZE = 1000;
+const PHONE_PREFIX = '+1999'; // Marks seeded users
+const CENTER = { lat: 52.52, lon: 13.405 };
+const SPREAD_KM = 150;
+const UNLOCATED_RATIO = 0.05;
+
+const DIMENSIONS = [
+  'emotional_intimacy',
+  'life_vision',
+  'conflict_communication',
+  'love_languages',
+  'physical_sexual',
+  'lifestyle'
+];
+
+const pick = (values) => values[Math.floor(Math.random() * values.length)];
+
+/**
+ * Random point within SPREAD_KM of CENTER ([longitude, latitude])
+ */
+function randomCoordinates() {
+  const distanceKm = Math.sqrt(Math.random()) * SPREAD_KM;
+  const bearing = Math.random() * 2 * Math.PI;
+  const lat = CENTER.lat + (distanceKm / 111.32) * Math.cos(bearing);
+  const lon = CENTER.lon + (distanceKm / (111.32 * Math.cos(CENTER.lat * Math.PI / 180))) * Math.sin(bearing);
+  return [lon, lat];
+}
+
+function buildUser(index) {
+  const now = new Date();
+  const user = {
+    _id: new mongoose.Types.ObjectId(),
+    phone: `${PHONE_PREFIX}${String(index).padStart(8, '0')}`,
+    phoneVerified: true,
+    firstName: `Bench${index}`,
+    username: `bench_${index}`,
+    gender: pick(['male', 'female', 'other']),
+    interestedIn: pick(['men', 'women', 'everyone']),
+    dateOfBirth: new Date(now.getFullYear() - 20 - Math.floor(Math.random() * 30), 0, 1),
+    questionsAnswered: 50,
+    isActive: true,
+    isBanned: false,
+    isPremium: false,
+    createdAt: now,
+    updatedAt: now,
+  };
+
+  // The probe user (index 0) always sits in the center
+  if (index === 0) {
+    user.location = { city: 'Berlin', coordinates: [CENTER.lon, CENTER.lat] };
+  } else if (Math.random() >= UNLOCATED_RATIO) {
+    user.location = { city: 'Berlin', coordinates: randomCoordinates() };
+  }
+
+  return user;
+}
+
+function buildAnalysis(userId) {
+  const dimensionScores = {};
+  DIMENSIONS.forEach(dim => {
+    dimensionScores[dim] = { score: Math.floor(Math.random() * 101) };
+  });
+
+  const wantsKids = Math.random() < 0.5;
+
+  return {
+    userId,
+    dimensionScores,
+    dealbreakers: Math.random() < 0.3 ? [{
+      type: 'kids',
+      value: wantsKids ? 'wants_kids' : 'no_kids',
+      incompatibleWith: [wantsKids ? 'no_kids' : 'wants_kids'],
+    }] : [],
+    createdAt: new Date(),
+    updatedAt: new Date(),
+  };
+}
+
+async function seed() {
+  console.log(`\n🌱 Seeding ${USER_COUNT} users and analyses...`);
+  const started = Date.now();
+  let probeId = null;
+
+  for (let offset = 0; offset < USER_COUNT; offset += SEED_BATCH_SIZE) {
+    const users = [];
+    for (let i = offset; i < Math.min(offset + SEED_BATCH_SIZE, USER_COUNT); i++) {
+      users.push(buildUser(i));
+    }
+
+    if (offset === 0) probeId = users[0]._id;
+
+    await User.collection.insertMany(users, { ordered: false });
+    await AnswerAnalysis.collection.insertMany(users.map(user => buildAnalysis(user._id)), { ordered: false });
+  }
+
+  console.log(`✅ Seeded in ${((Date.now() - started) / 1000).toFixed(1)}s`);
+  return probeId;
+}
+
+async function cleanup() {
+  const seeded = await User.find({ phone: { $regex: `^\\${PHONE_PREFIX}` } }).distinct('_id');
+  await AnswerAnalysis.deleteMany({ userId: { $in: seeded } });
+  await User.deleteMany({ _id: { $in: seeded } });
+  console.log(`🧹 Removed ${seeded.length} seeded users`);
+}
+
+/**
+ * Candidate retrieval as it was before $geoNear paging
+ */
+async function legacyRetrieval(currentUser) {
+  const query = {
+    _id: { $ne: currentUser._id },
+    isActive: true,
+    isBanned: false,
+    questionsAnswered: { $gte: parseInt(process.env.ANALYSIS_MIN_QUESTIONS || 15) },
+  };
+  const genderMap = { men: 'male', women: 'female' };
+  if (currentUser.interestedIn && currentUser.interestedIn !== 'everyone') {
+    query.gender = genderMap[currentUser.interestedIn];
+  }
+
+  const candidates = (await User.find(query).lean()).filter(candidate =>
+    !candidate.interestedIn ||
+    candidate.interestedIn === 'everyone' ||
+    currentUser.gender === genderMap[candidate.interestedIn]
+  );
+
+  const withAnalysis = [];
+  for (const candidate of candidates) {
+    const analysis = await AnswerAnalysis.findOne({ userId: candidate._id });
+    if (!analysis) continue;
+    if (MatchingService._checkDealbreakers(currentUser.analysis.dealbreakers, analysis.dealbreakers)) continue;
+    candidate.analysis = analysis;
+    withAnalysis.push(candidate);
+  }
+
+  return DistanceService.filterByDistance(currentUser, withAnalysis);
+}
+
+/**
+ * Candidate retrieval as MatchingService.generateMatches runs it
+ */
+async function currentRetrieval(currentUser) {
+  const excludeIds = await MatchingService._getExcludedUserIds(currentUser);
+  const poolSize = parseInt(process.env.MATCHING_CANDIDATE_POOL_SIZE || 1000);
+  const pageSize = parseInt(process.env.MATCHING_CANDIDATE_PAGE_SIZE || 200);
+  const result = [];
+  let total = 0;
+  let cursor = null;
+
+  do {
+    const page = await MatchingService._getCandidateUsers(currentUser, {
+      cursor,
+      excludeIds,
+      limit: Math.min(pageSize, poolSize - total),
+    });
+    total += page.candidates.length;
+    const afterDealbreakers = await MatchingService._filterByDealbreakers(currentUser, page.candidates);
+    result.push(...MatchingService._filterByCandidateDistance(afterDealbreakers));
+    cursor = page.cursor;
+  } while (cursor && total < poolSize);
+
+  return result;
+}
+
+/**
+ * Query filter funnel as MatchingService.generateMatches reports it
+ * @returns {Promise<Array>} [{ stage, count }]
+ */
+async function queryFunnel(currentUser) {
+  const excludeIds = await MatchingService._getExcludedUserIds(currentUser);
+  return MatchingService._getQueryFunnel(currentUser, excludeIds);
+}
+
+/**
+ * Time fn, which resolves to the candidates left (an array or their count)
+ */
+async function measure(label, fn) {
+  let queries = 0;
+  mongoose.set('debug', () => { queries++; });
+
+  const memoryBefore = process.memoryUsage().heapUsed;
+  const started = process.hrtime.bigint();
+  const result = await fn();
+  const candidates = Array.isArray(result) ? result.length : result;
+  const elapsedMs = Number(process.hrtime.bigint() - started) / 1e6;
+  const heapMb = (process.memoryUsage().heapUsed - memoryBefore) / 1024 / 1024;
+
+  mongoose.set('debug', false);
+
+  console.log(`   ${label.padEnd(8)} : ${String(candidates).padStart(6)} candidates | ` +
+    `${String(queries).padStart(6)} queries | ${elapsedMs.toFixed(0).padStart(7)} ms | ` +
+    `${heapMb.toFixed(1).padStart(6)} MB heap`);
+}
+
+async function benchmark() {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('❌ Refusing to seed benchmark data with NODE_ENV=production');
+    process.exit(1);
+  }
+
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    await User.createIndexes();
+    await AnswerAnalysis.createIndexes();
+
+    await cleanup();
+    const probeId = await seed();
+
+    const currentUser = await MatchingService._getCurrentUser(probeId);
+
+    console.log('\n═══════════════════════════════════════════');
+    console.log(`   CANDIDATE RETRIEVAL (${USER_COUNT} users)`);
+    console.log('═══════════════════════════════════════════');
+    if (!SKIP_LEGACY) {
+      await measure('legacy', () => legacyRetrieval(currentUser));
+    }
+    await measure('current', () => currentRetrieval(currentUser));
+
+    let funnel = [];
+    await measure('funnel', async () => {
+      funnel = await queryFunnel(currentUser);
+      return funnel[funnel.length - 1].count;
+    });
+    console.log(`   ${''.padEnd(8)}   ${funnel.map(({ stage, count }) => `${stage} ${count}`).join(' → ')}`);
+    console.log('═══════════════════════════════════════════\n');
+
+    if (!KEEP) {
+      await cleanup();
+    }
+
+  } catch (error) {
+    console.error('❌ Benchmark failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 MongoDB connection closed');
+    process.exit();
+  }
+}
+
+benchmark();
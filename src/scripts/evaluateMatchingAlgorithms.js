@@ -0,0 +1,188 @@
+// src/scripts/evaluateMatchingAlgorithms.js
+
+/**
+ * EVALUATION SCRIPT: Matching algorithm versions
+ *
+ * Re-scores past matches with each matching algorithm version
+ * (config/matchingAlgorithms.js) and compares how well each score
+ * predicts which pairs became a mutual like.
+ *
+ * A pair (both directions of a match count once) is:
+ * - positive: a mutual like
+ * - negative: one of them passed, or a one-sided like expired
+ * - left out: nobody decided yet
+ * A match that expired with an outcome and was generated again counts
+ * once per round.
+ *
+ * Per version it prints:
+ * - AUC: chance a mutual pair scores above a non-mutual one (0.5 = no signal)
+ * - mean score of mutual and non-mutual pairs
+ * - top-quarter lift: mutual rate of the best-scored 25% vs all pairs
+ *
+ * Pairs are scored with today's answer analyses, which may have changed
+ * since the match was made. Read-only.
+ *
+ * Usage:
+ *   node src/scripts/evaluateMatchingAlgorithms.js [--versions=1.0,2.0] [--since=2026-01-01] [--limit=50000]
+ */
+
+require('dotenv').config();
+const mongoose = require('mongoose');
+const Match = require('../models/Match');
+const AnswerAnalysis = require('../models/AnswerAnalysis');
+const MatchingService = require('../services/matching.service');
+const { ALGORITHM_VERSIONS, CURRENT_ALGORITHM_VERSION } = require('../config/matchingAlgorithms');
+const { OUTCOME_EXPIRY_STATUSES } = require('../config/matchExpiry');
+const { auc, mean } = require('../utils/stats');
+
+const args = process.argv.slice(2);
+const option = (name) => (args.find(arg => arg.startsWith(`--${name}=`)) || '').split('=')[1];
+
+const VERSIONS = option('versions') ? option('versions').split(',') : ALGORITHM_VERSIONS;
+const SINCE = option('since') ? new Date(option('since')) : null;
+const MATCH_LIMIT = parseInt(option('limit') || 50000);
+
+const ANALYSIS_BATCH_SIZE = 1000;
+
+/**
+ * Decided pairs with their outcome
+ * @returns {Promise<Array>} [{ userIds, mutual, storedVersion }]
+ */
+async function loadOutcomes() {
+  const decided = [
+    { isMutualMatch: true },
+    { status: { $in: ['passed', 'mutual_like'] } },
+    { status: 'expired', expiredFromStatus: { $in: OUTCOME_EXPIRY_STATUSES } }
+  ];
+  const query = { $or: [...decided, { 'previousRounds.0': { $exists: true } }] };
+  if (SINCE) query.generatedAt = { $gte: SINCE };
+
+  const matches = await Match.find(query)
+    .select('userId matchedUserId status isMutualMatch expiredFromStatus matchingAlgorithmVersion previousRounds')
+    .sort({ generatedAt: -1 })
+    .limit(MATCH_LIMIT)
+    .lean();
+
+  const isDecided = (match) =>
+    match.isMutualMatch ||
+    ['passed', 'mutual_like'].includes(match.status) ||
+    (match.status === 'expired' && OUTCOME_EXPIRY_STATUSES.includes(match.expiredFromStatus));
+
+  const pairs = new Map();
+  matches.forEach(match => {
+    const userIds = [match.userId.toString(), match.matchedUserId.toString()].sort();
+    const previousRounds = (match.previousRounds || []).map(round => ({ ...round, status: 'expired' }));
+    const rounds = isDecided(match) ? [...previousRounds, match] : previousRounds;
+
+    rounds.forEach((round, number) => {
+      const key = `${userIds.join(':')}#${number}`;
+      const pair = pairs.get(key) || { userIds, mutual: false, storedVersion: round.matchingAlgorithmVersion || '1.0' };
+
+      if (round.isMutualMatch || round.status === 'mutual_like' || round.expiredFromStatus === 'mutual_like') {
+        pair.mutual = true;
+      }
+      pairs.set(key, pair);
+    });
+  });
+
+  return [...pairs.values()];
+}
+
+/**
+ * Answer analyses of all users in the pairs
+ * @returns {Promise<Map>} userId → analysis
+ */
+async function loadAnalyses(pairs) {
+  const userIds = [...new Set(pairs.flatMap(pair => pair.userIds))];
+  const analyses = new Map();
+
+  for (let offset = 0; offset < userIds.length; offset += ANALYSIS_BATCH_SIZE) {
+    const batch = await AnswerAnalysis.find({ userId: { $in: userIds.slice(offset, offset + ANALYSIS_BATCH_SIZE) } })
+      .select('userId dimensionScores personalityProfile')
+      .lean();
+    batch.forEach(analysis => analyses.set(analysis.userId.toString(), analysis));
+  }
+
+  return analyses;
+}
+
+function evaluateVersion(version, pairs, analyses) {
+  const scored = [];
+
+  pairs.forEach(pair => {
+    const [analysis1, analysis2] = pair.userIds.map(id => analyses.get(id));
+    if (!analysis1 || !analysis2) return;
+
+    const compatibility = MatchingService._calculateDimensionCompatibility(analysis1, analysis2, { version });
+    if (!compatibility) return;
+
+    scored.push({ score: compatibility.overallScore, positive: pair.mutual });
+  });
+
+  const mutualRate = (subset) => subset.length > 0 ? subset.filter(pair => pair.positive).length / subset.length : null;
+
+  const topQuarter = [...scored]
+    .sort((a, b) => b.score - a.score)
+    .slice(0, Math.ceil(scored.length / 4));
+  const overallRate = mutualRate(scored);
+
+  return {
+    version,
+    pairs: scored.length,
+    auc: auc(scored),
+    meanMutual: mean(scored.filter(pair => pair.positive).map(pair => pair.score)),
+    meanOther: mean(scored.filter(pair => !pair.positive).map(pair => pair.score)),
+    topQuarterLift: overallRate ? mutualRate(topQuarter) / overallRate : null,
+  };
+}
+
+const format = (value, digits = 3) => value === null ? '   n/a' : value.toFixed(digits).padStart(6);
+
+async function evaluate() {
+  const unknown = VERSIONS.filter(version => !ALGORITHM_VERSIONS.includes(version));
+  if (unknown.length > 0) {
+    console.error(`❌ Unknown algorithm version(s): ${unknown.join(', ')} (known: ${ALGORITHM_VERSIONS.join(', ')})`);
+    process.exit(1);
+  }
+
+  try {
+    console.log('🔌 Connecting to MongoDB...');
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('✅ Connected to MongoDB');
+
+    const pairs = await loadOutcomes();
+    const analyses = await loadAnalyses(pairs);
+    const mutualPairs = pairs.filter(pair => pair.mutual).length;
+
+    const storedVersions = {};
+    pairs.forEach(pair => {
+      storedVersions[pair.storedVersion] = (storedVersions[pair.storedVersion] || 0) + 1;
+    });
+
+    console.log('\n═══════════════════════════════════════════');
+    console.log('   MATCHING ALGORITHM EVALUATION');
+    console.log('═══════════════════════════════════════════');
+    console.log(`   Decided pairs : ${pairs.length} (${mutualPairs} mutual)`);
+    console.log(`   Scored with   : ${Object.entries(storedVersions).map(([v, n]) => `${v} × ${n}`).join(', ') || '-'}`);
+    console.log(`   Current       : ${CURRENT_ALGORITHM_VERSION}\n`);
+    console.log('   version |  pairs |    AUC | mutual |  other | top-25% lift');
+
+    VERSIONS.forEach(version => {
+      const result = evaluateVersion(version, pairs, analyses);
+      console.log(`   ${result.version.padEnd(7)} | ${String(result.pairs).padStart(6)} | ${format(result.auc)} | ` +
+        `${format(result.meanMutual, 1)} | ${format(result.meanOther, 1)} | ${format(result.topQuarterLift, 2)}`);
+    });
+    console.log('═══════════════════════════════════════════\n');
+
+  } catch (error) {
+    console.error('❌ Evaluation failed:', error.message);
+    console.error(error.stack);
+    process.exitCode = 1;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 MongoDB connection closed');
+    process.exit();
+  }
+}
+
+evaluate();
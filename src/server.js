@@ -70,6 +70,20 @@ try {
   process.exit(1);
 }
 
+// Load job scheduler
+let jobScheduler;
+try {
+  logger.info('Loading job scheduler...');
+  jobScheduler = require('./jobs');
+} catch (err) {
+  logger.error('Failed to load job scheduler:', err);
+  console.error('FAILED TO LOAD JOB SCHEDULER:', err);
+  process.exit(1);
+}
+
+// Load game timer service (games register with it when their sockets load)
+const gameTimerService = require('./services/games/gameTimer.service');
+
 // 3) Connect DB
 logger.info('11. Connecting to database...');
 connectDB()
@@ -94,6 +108,20 @@ connectDB()
       process.exit(1);
     }
     
+    // Start background jobs
+    try {
+      logger.info('Starting job scheduler...');
+      jobScheduler.start();
+    } catch (err) {
+      logger.error('Failed to start job scheduler:', err);
+    }
+
+    // Resume persisted game timers and start the sweeper
+    logger.info('Starting game timer service...');
+    gameTimerService.start(socketManager.io, socketManager).catch((err) => {
+      logger.error('Failed to start game timer service:', err);
+    });
+    
     // Start server
     server.listen(PORT, () => {
       logger.info(`17. Server is listening on port ${PORT}`);
@@ -114,11 +142,17 @@ connectDB()
     // 5) Graceful shutdown signals
     process.on('SIGTERM', () => {
       logger.info('SIGTERM received. Shutting down gracefully...');
+      jobScheduler.stop();
+      gameTimerService.stop();
+      socketManager.close().catch((err) => logger.error('Failed to close socket adapter:', err));
       server?.close(() => logger.info('Process terminated'));
     });
     
     process.on('SIGINT', () => {
       logger.info('SIGINT received. Shutting down gracefully...');
+      jobScheduler.stop();
+      gameTimerService.stop();
+      socketManager.close().catch((err) => logger.error('Failed to close socket adapter:', err));
       server?.close(() => logger.info('Process terminated'));
     });
     
@@ -0,0 +1,507 @@
+// src/services/account.service.js
+
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const User = require('../models/User');
+const Answer = require('../models/Answer');
+const AnswerAnalysis = require('../models/AnswerAnalysis');
+const Match = require('../models/Match');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const Notification = require('../models/Notification');
+const Block = require('../models/Block');
+const AiUsage = require('../models/AiUsage');
+const CoupleCompatibility = require('../models/CoupleCompatibility');
+const DateDecision = require('../models/DateDecision');
+const Subscription = require('../models/Subscription');
+const SubscriptionEvent = require('../models/SubscriptionEvent');
+const TwoTruthsLieGame = require('../models/TwoTruthsLieGame');
+const TwoTruthsLieStatement = require('../models/TwoTruthsLieStatement');
+const TwoTruthsLieVoiceNote = require('../models/TwoTruthsLieVoiceNote');
+const WouldYouRatherSession = require('../models/games/WouldYouRatherSession');
+const IntimacySpectrumSession = require('../models/games/IntimacySpectrumSession');
+const NeverHaveIEverSession = require('../models/games/NeverHaveIEverSession');
+const WhatWouldYouDoSession = require('../models/games/WhatWouldYouDoSession');
+const DreamBoardSession = require('../models/games/DreamBoardSession');
+const s3Service = require('./s3.service');
+const ApiError = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+const gzip = promisify(zlib.gzip);
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const EXPORT_FORMAT_VERSION = 1;
+
+/**
+ * ACCOUNT SERVICE
+ *
+ * Account deletion and personal data export.
+ *
+ * Deletion is two-step:
+ * 1. requestDeletion() deactivates the account and schedules the purge after
+ *    a grace period. Logging in again before then restores the account.
+ * 2. purgeAccount() (account-deletion job) deletes the user's S3 objects and
+ *    private data, and anonymizes their side of shared records. The User
+ *    document stays as a tombstone so matches, conversations and game
+ *    history of the partner keep resolving.
+ */
+
+class AccountService {
+  constructor() {
+    this.config = {
+      gracePeriodDays: parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS, 10) || 30,
+      exportCooldownHours: parseInt(process.env.DATA_EXPORT_COOLDOWN_HOURS, 10) || 24,
+      exportUrlTtlSeconds: 24 * 60 * 60,
+      purgeBatchSize: 50,
+    };
+  }
+
+  // ============================================
+  // DELETION
+  // ============================================
+
+  /**
+   * Schedule account deletion after the grace period
+   * @param {String} userId - User ID
+   * @param {Object} options - { reason }
+   * @returns {Promise<Object>} { requestedAt, scheduledFor, gracePeriodDays }
+   */
+  async requestDeletion(userId, { reason } = {}) {
+    const user = await User.findById(userId);
+
+    if (!user || user.isDeleted) {
+      throw ApiError.notFound('User not found');
+    }
+
+    // Repeated requests keep the original schedule
+    if (!user.deletion?.scheduledFor) {
+      const now = new Date();
+
+      user.deletion = {
+        requestedAt: now,
+        scheduledFor: new Date(now.getTime() + this.config.gracePeriodDays * DAY_MS),
+        reason: reason || undefined,
+      };
+      user.isActive = false;
+      user.refreshToken = undefined;
+      user.fcmToken = undefined;
+
+      await user.save({ validateBeforeSave: false });
+
+      logger.info('Account deletion requested', {
+        userId: user._id,
+        scheduledFor: user.deletion.scheduledFor,
+      });
+    }
+
+    return {
+      requestedAt: user.deletion.requestedAt,
+      scheduledFor: user.deletion.scheduledFor,
+      gracePeriodDays: this.config.gracePeriodDays,
+    };
+  }
+
+  /**
+   * Cancel a pending deletion (called when the user logs in again).
+   * Mutates the document; the caller saves it.
+   * @param {Object} user - User document
+   * @returns {Boolean} true if a pending deletion was cancelled
+   */
+  restorePendingDeletion(user) {
+    if (user.isDeleted || !user.deletion?.scheduledFor) {
+      return false;
+    }
+
+    user.deletion = { requestedAt: null, scheduledFor: null };
+    user.isActive = true;
+
+    logger.info('Account deletion cancelled by login', { userId: user._id });
+
+    return true;
+  }
+
+  /**
+   * Purge every account whose grace period has ended
+   * @returns {Promise<Object>} { purged, failed, failedUserIds }
+   */
+  async purgeDueAccounts() {
+    const users = await User.find({
+      'deletion.scheduledFor': { $lte: new Date() },
+      isDeleted: false,
+    })
+      .select('_id')
+      .limit(this.config.purgeBatchSize)
+      .lean();
+
+    let purged = 0;
+    const failedUserIds = [];
+
+    // Sequential: each purge issues a burst of S3 deletes
+    for (const { _id } of users) {
+      try {
+        await this.purgeAccount(_id);
+        purged++;
+      } catch (error) {
+        failedUserIds.push(_id.toString());
+        logger.error('Account purge failed', { userId: _id, error: error.message });
+      }
+    }
+
+    return { purged, failed: failedUserIds.length, failedUserIds };
+  }
+
+  /**
+   * Permanently delete a user's data.
+   *
+   * S3 objects go first: if that fails nothing has been touched yet and the
+   * next run retries. Every later step is idempotent.
+   *
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { deletedFiles }
+   */
+  async purgeAccount(userId) {
+    const user = await User.findById(userId).lean();
+
+    if (!user || user.isDeleted) {
+      throw ApiError.notFound('User not found');
+    }
+
+    const keys = await this._collectS3Keys(user);
+
+    if (keys.length > 0) {
+      await s3Service.deleteMultipleFiles(keys);
+    }
+
+    await this._deletePrivateData(user._id);
+    await this._anonymizeSharedRecords(user._id);
+
+    // Tombstone: keeps references valid for the partner's history.
+    // updateOne skips validators, so the placeholder phone is allowed.
+    await User.updateOne(
+      { _id: user._id },
+      {
+        $set: {
+          phone: `deleted_${user._id}`,
+          phoneVerified: false,
+          firstName: 'Deleted',
+          lastName: 'User',
+          photos: [],
+          questionsAnswered: 0,
+          isActive: false,
+          isOnline: false,
+          isDeleted: true,
+          deletedAt: new Date(),
+        },
+        $unset: {
+          username: 1,
+          email: 1,
+          dateOfBirth: 1,
+          location: 1,
+          gender: 1,
+          interestedIn: 1,
+          bio: 1,
+          profilePhoto: 1,
+          fcmToken: 1,
+          refreshToken: 1,
+          'deletion.reason': 1,
+          dataExport: 1,
+        },
+      }
+    );
+
+    logger.info('Account purged', { userId: user._id, deletedFiles: keys.length });
+
+    return { deletedFiles: keys.length };
+  }
+
+  // ============================================
+  // EXPORT
+  // ============================================
+
+  /**
+   * Build the user's personal data archive and upload it privately
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { downloadUrl, expiresAt, fileName, size }
+   */
+  async exportData(userId) {
+    const user = await User.findById(userId);
+
+    if (!user || user.isDeleted) {
+      throw ApiError.notFound('User not found');
+    }
+
+    const lastRequestedAt = user.dataExport?.lastRequestedAt;
+    const cooldownMs = this.config.exportCooldownHours * 60 * 60 * 1000;
+
+    if (lastRequestedAt && Date.now() - lastRequestedAt.getTime() < cooldownMs) {
+      throw ApiError.tooManyRequests(
+        `Data export can be requested once every ${this.config.exportCooldownHours} hours`
+      );
+    }
+
+    const archive = await this._buildArchive(user._id);
+    const buffer = await gzip(Buffer.from(JSON.stringify(archive, null, 2)));
+
+    const fileName = `velora-data-export-${user._id}-${archive.exportedAt.toISOString().slice(0, 10)}.json.gz`;
+    const { key, size } = await s3Service.uploadDataExport(buffer, fileName, 'application/gzip');
+
+    // Only the latest archive is kept
+    const previousKey = user.dataExport?.key;
+    if (previousKey) {
+      await s3Service.deleteFile(previousKey).catch(err => {
+        logger.warn('Failed to delete previous data export', { key: previousKey, error: err.message });
+      });
+    }
+
+    user.dataExport = { key, lastRequestedAt: archive.exportedAt };
+    await user.save({ validateBeforeSave: false });
+
+    const downloadUrl = await s3Service.getSignedUrl(key, this.config.exportUrlTtlSeconds);
+
+    logger.info('Data export created', { userId: user._id, key, size });
+
+    return {
+      downloadUrl,
+      expiresAt: new Date(Date.now() + this.config.exportUrlTtlSeconds * 1000),
+      fileName,
+      size,
+    };
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Everything stored about the user, grouped by feature
+   */
+  async _buildArchive(userId) {
+    const playerFilter = { $or: [{ 'player1.userId': userId }, { 'player2.userId': userId }] };
+    const pairFilter = { $or: [{ player1Id: userId }, { player2Id: userId }] };
+    const sessionFields = '-__v -timerDeadline';
+
+    const conversations = await Conversation.find({ 'participants.userId': userId })
+      .select('-__v')
+      .lean();
+
+    const ttlGames = await TwoTruthsLieGame.find({
+      $or: [{ initiatorId: userId }, { partnerId: userId }],
+    })
+      .select('-__v')
+      .lean();
+    const ttlGameIds = ttlGames.map(g => g._id);
+
+    const [
+      profile,
+      answers,
+      answerAnalysis,
+      matches,
+      messages,
+      wouldYouRather,
+      intimacySpectrum,
+      neverHaveIEver,
+      whatWouldYouDo,
+      dreamBoard,
+      ttlStatements,
+      ttlVoiceNotes,
+      coupleCompatibility,
+      dateDecisions,
+      subscriptions,
+      subscriptionEvents,
+    ] = await Promise.all([
+      User.findById(userId).select('-refreshToken -fcmToken -dataExport -__v').lean(),
+      Answer.find({ userId }).select('-__v').sort({ questionNumber: 1 }).lean(),
+      AnswerAnalysis.findOne({ userId }).select('-__v').lean(),
+      Match.find({ $or: [{ userId }, { matchedUserId: userId }] }).select('-__v').lean(),
+      Message.find({
+        conversationId: { $in: conversations.map(c => c._id) },
+        isDeleted: false,
+      })
+        .select('-__v')
+        .sort({ createdAt: 1 })
+        .lean(),
+      WouldYouRatherSession.find(playerFilter).select(sessionFields).lean(),
+      IntimacySpectrumSession.find(playerFilter).select(sessionFields).lean(),
+      NeverHaveIEverSession.find(playerFilter).select(sessionFields).lean(),
+      WhatWouldYouDoSession.find(playerFilter).select(sessionFields).lean(),
+      DreamBoardSession.find(playerFilter).select(sessionFields).lean(),
+      TwoTruthsLieStatement.find({ gameId: { $in: ttlGameIds } }).select('-__v').lean(),
+      TwoTruthsLieVoiceNote.find({ $or: [{ senderId: userId }, { receiverId: userId }] })
+        .select('-__v -s3Key')
+        .lean(),
+      CoupleCompatibility.find(pairFilter).select('-__v').lean(),
+      DateDecision.find(pairFilter).select('-__v').lean(),
+      Subscription.find({ userId }).select('-__v').lean(),
+      SubscriptionEvent.find({ userId }).select('-__v').sort({ createdAt: 1 }).lean(),
+    ]);
+
+    return {
+      formatVersion: EXPORT_FORMAT_VERSION,
+      exportedAt: new Date(),
+      userId: userId.toString(),
+      profile,
+      answers,
+      answerAnalysis,
+      matches,
+      conversations,
+      messages,
+      games: {
+        wouldYouRather,
+        intimacySpectrum,
+        neverHaveIEver,
+        whatWouldYouDo,
+        dreamBoard,
+        twoTruthsLie: {
+          games: ttlGames,
+          statements: ttlStatements,
+          voiceNotes: ttlVoiceNotes,
+        },
+      },
+      coupleCompatibility,
+      dateDecisions,
+      subscriptions: {
+        subscriptions,
+        events: subscriptionEvents,
+      },
+    };
+  }
+
+  /**
+   * S3 keys of every file the user uploaded
+   */
+  async _collectS3Keys(user) {
+    const userId = user._id;
+    const urls = [user.profilePhoto, user.bio?.audioUrl, ...(user.photos || [])];
+    const keys = [user.dataExport?.key];
+
+    const [answers, matches, messages, ttlVoiceNotes, wyr, is, nhie, wwyd, dreamBoard] = await Promise.all([
+      Answer.find({ userId, audioUrl: { $ne: null } }).select('audioUrl').lean(),
+      Match.find({ userId, 'initialMessage.voiceUrl': { $ne: null } }).select('initialMessage.voiceUrl').lean(),
+      Message.find({ senderId: userId, 'media.url': { $ne: null } }).select('media').lean(),
+      TwoTruthsLieVoiceNote.find({ senderId: userId }).select('s3Key audioUrl').lean(),
+      WouldYouRatherSession.find({ 'voiceNotes.oduserId': userId }).select('voiceNotes').lean(),
+      IntimacySpectrumSession.find({ 'voiceNotes.oduserId': userId }).select('voiceNotes').lean(),
+      NeverHaveIEverSession.find({ 'voiceNotes.oduserId': userId }).select('voiceNotes').lean(),
+      WhatWouldYouDoSession.find({
+        $or: [{ 'player1.userId': userId }, { 'player2.userId': userId }, { 'discussionNotes.oduserId': userId }],
+      })
+        .select('player1 player2 discussionNotes')
+        .lean(),
+      DreamBoardSession.find({
+        $or: [{ 'player1.userId': userId }, { 'player2.userId': userId }, { 'discussionNotes.userId': userId }],
+      })
+        .select('player1 player2 discussionNotes')
+        .lean(),
+    ]);
+
+    const isUser = id => id && id.toString() === userId.toString();
+    const ownPlayer = session => [session.player1, session.player2].find(p => p && isUser(p.userId));
+
+    answers.forEach(a => urls.push(a.audioUrl));
+    matches.forEach(m => urls.push(m.initialMessage.voiceUrl));
+
+    messages.forEach(({ media }) => {
+      keys.push(media.s3Key, media.s3ThumbnailKey);
+      if (!media.s3Key) urls.push(media.url);
+      if (!media.s3ThumbnailKey) urls.push(media.thumbnailUrl);
+    });
+
+    ttlVoiceNotes.forEach(vn => keys.push(vn.s3Key));
+
+    [...wyr, ...is, ...nhie].forEach(session => {
+      session.voiceNotes.filter(vn => isUser(vn.oduserId)).forEach(vn => urls.push(vn.audioUrl));
+    });
+
+    wwyd.forEach(session => {
+      (ownPlayer(session)?.answers || []).forEach(a => urls.push(a.voiceNoteUrl));
+      (session.discussionNotes || []).filter(n => isUser(n.oduserId)).forEach(n => urls.push(n.voiceNoteUrl));
+    });
+
+    dreamBoard.forEach(session => {
+      (ownPlayer(session)?.selections || []).forEach(s => urls.push(s.elaboration?.voiceNoteUrl));
+      (session.discussionNotes || []).filter(n => isUser(n.userId)).forEach(n => urls.push(n.voiceNoteUrl));
+    });
+
+    urls.filter(Boolean).forEach(url => keys.push(s3Service.extractKeyFromUrl(url)));
+
+    return [...new Set(keys.filter(Boolean))];
+  }
+
+  /**
+   * Data that only concerns the user
+   */
+  async _deletePrivateData(userId) {
+    await Promise.all([
+      Answer.deleteMany({ userId }),
+      AnswerAnalysis.deleteMany({ userId }),
+      Notification.deleteMany({ userId }),
+      Block.deleteMany({ blockerId: userId }),
+      TwoTruthsLieVoiceNote.deleteMany({ senderId: userId }),
+      // Pending suggestions in either direction; mutual matches stay for the partner
+      Match.deleteMany({
+        $or: [{ userId }, { matchedUserId: userId }],
+        isMutualMatch: false,
+      }),
+      // Usage stays for cost accounting, detached from the user
+      AiUsage.updateMany({ userId }, { $set: { userId: null } }),
+    ]);
+  }
+
+  /**
+   * Strip the user's content from records shared with a partner, keeping
+   * the records themselves (and the partner's side) intact
+   */
+  async _anonymizeSharedRecords(userId) {
+    const voiceNoteFilter = { 'voiceNotes.oduserId': userId };
+    const pullVoiceNotes = { $pull: { voiceNotes: { oduserId: userId } } };
+
+    await Promise.all([
+      Match.updateMany(
+        { userId },
+        { $unset: { 'initialMessage.voiceUrl': 1, 'initialMessage.voiceTranscription': 1 } }
+      ),
+      // Text stays in the partner's conversation; media files are gone
+      Message.updateMany(
+        { senderId: userId, 'media.url': { $ne: null } },
+        {
+          $set: {
+            'media.url': null,
+            'media.thumbnailUrl': null,
+            'media.s3Key': null,
+            'media.s3ThumbnailKey': null,
+            'media.originalName': null,
+          },
+        }
+      ),
+      WouldYouRatherSession.updateMany(voiceNoteFilter, pullVoiceNotes),
+      IntimacySpectrumSession.updateMany(voiceNoteFilter, pullVoiceNotes),
+      NeverHaveIEverSession.updateMany(voiceNoteFilter, pullVoiceNotes),
+      ...['player1', 'player2'].flatMap(player => [
+        WhatWouldYouDoSession.updateMany(
+          { [`${player}.userId`]: userId },
+          {
+            $set: {
+              [`${player}.answers.$[].voiceNoteUrl`]: null,
+              [`${player}.answers.$[].transcription`]: null,
+            },
+          }
+        ),
+        DreamBoardSession.updateMany(
+          { [`${player}.userId`]: userId },
+          { $set: { [`${player}.selections.$[].elaboration`]: null } }
+        ),
+      ]),
+      WhatWouldYouDoSession.updateMany(
+        { 'discussionNotes.oduserId': userId },
+        { $pull: { discussionNotes: { oduserId: userId } } }
+      ),
+      DreamBoardSession.updateMany(
+        { 'discussionNotes.userId': userId },
+        { $pull: { discussionNotes: { userId } } }
+      ),
+    ]);
+  }
+}
+
+module.exports = new AccountService();
@@ -0,0 +1,98 @@
+// src/services/ai/features.js
+
+/**
+ * AI FEATURES
+ *
+ * Every AI call is made on behalf of a feature. The feature decides the
+ * default model and is the key used for usage accounting and fixtures.
+ *
+ * Models can be overridden per feature with AI_MODEL_<FEATURE>
+ * (e.g. AI_MODEL_DATE_PLAN=gpt-4o-mini).
+ */
+
+const FEATURES = {
+  // Profile
+  answer_analysis: { kind: 'chat', model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview' },
+  answer_transcription: { kind: 'transcription', model: 'whisper-1' },
+
+  // Messaging
+  ice_breakers: { kind: 'chat', model: 'gpt-4o' },
+  conversation_starters: { kind: 'chat', model: 'gpt-4-turbo-preview' },
+  voice_message_transcription: { kind: 'transcription', model: 'whisper-1' },
+
+  // Couple compatibility & date planning
+  couple_insights: { kind: 'chat', model: 'gpt-4o' },
+  date_plan: { kind: 'chat', model: 'gpt-4o' },
+
+  // Games
+  two_truths_lie_insights: { kind: 'chat', model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview' },
+  would_you_rather_insights: { kind: 'chat', model: 'gpt-4' },
+  intimacy_spectrum_insights: { kind: 'chat', model: 'gpt-4' },
+  never_have_i_ever_insights: { kind: 'chat', model: 'gpt-4' },
+  what_would_you_do_analysis: { kind: 'chat', model: 'gpt-4o' },
+  what_would_you_do_insights: { kind: 'chat', model: 'gpt-4o' },
+  what_would_you_do_transcription: { kind: 'transcription', model: 'whisper-1' },
+  dream_board_insights: { kind: 'chat', model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview' },
+  dream_board_transcription: { kind: 'transcription', model: 'whisper-1' },
+
+  // Health checks
+  connection_test: { kind: 'chat', model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview' },
+};
+
+/**
+ * USD prices.
+ * Chat models: per 1M input / output tokens. Transcription: per audio minute.
+ */
+const PRICING = {
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'gpt-4-turbo': { input: 10, output: 30 },
+  'gpt-4-turbo-preview': { input: 10, output: 30 },
+  'gpt-4': { input: 30, output: 60 },
+  'whisper-1': { perMinute: 0.006 },
+};
+
+/**
+ * Resolve the model for a feature (env override first)
+ * @param {String} feature - Feature key
+ * @returns {String} Model name
+ */
+const getModel = (feature) => {
+  const override = process.env[`AI_MODEL_${feature.toUpperCase()}`];
+  if (override) {
+    return override;
+  }
+
+  const config = FEATURES[feature];
+  if (!config) {
+    throw new Error(`Unknown AI feature: ${feature}`);
+  }
+
+  return config.model;
+};
+
+/**
+ * Estimate the cost of a call in USD (null when the model is not priced)
+ * @param {String} model - Model name
+ * @param {Object} usage - { promptTokens, completionTokens, audioSeconds }
+ * @returns {Number|null}
+ */
+const estimateCost = (model, { promptTokens = 0, completionTokens = 0, audioSeconds = 0 } = {}) => {
+  const price = PRICING[model];
+  if (!price) {
+    return null;
+  }
+
+  if (price.perMinute !== undefined) {
+    return (audioSeconds / 60) * price.perMinute;
+  }
+
+  return (promptTokens * price.input + completionTokens * price.output) / 1000000;
+};
+
+module.exports = {
+  FEATURES,
+  PRICING,
+  getModel,
+  estimateCost,
+};
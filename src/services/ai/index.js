@@ -0,0 +1,360 @@
+// src/services/ai/index.js
+
+const AiUsage = require('../../models/AiUsage');
+const OpenAIProvider = require('./providers/openai.provider');
+const FixtureProvider = require('./providers/fixture.provider');
+const { FEATURES, getModel, estimateCost } = require('./features');
+const { DEFAULT_LOCALE, getLanguageName } = require('../../config/locales');
+const logger = require('../../utils/logger');
+
+/**
+ * AI GATEWAY
+ *
+ * Single entry point for every chat completion and transcription call.
+ *
+ * - Model per feature (services/ai/features.js, AI_MODEL_<FEATURE> overrides)
+ * - Shared retry with exponential backoff for transient API errors
+ * - Token / cost accounting per user and feature (AiUsage)
+ * - Pluggable provider: 'openai' or the offline 'fixture' provider
+ * - Answers in the reader's language when a locale is given
+ *
+ * AI_PROVIDER selects the provider. Defaults to OpenAI when an API key is
+ * configured (and NODE_ENV is not 'test'). Without a key, fixtures are only
+ * the default in test and development; elsewhere startup fails rather than
+ * serving canned responses.
+ */
+
+const FIXTURE_DEFAULT_ENVIRONMENTS = ['test', 'development'];
+
+const RETRYABLE_STATUSES = [408, 409, 429, 500, 502, 503, 504];
+const RETRYABLE_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN'];
+
+/**
+ * Provider factory
+ */
+const createProvider = (name = process.env.AI_PROVIDER) => {
+  let providerName = name;
+
+  if (!providerName) {
+    if (OpenAIProvider.isConfigured() && process.env.NODE_ENV !== 'test') {
+      providerName = 'openai';
+    } else if (FIXTURE_DEFAULT_ENVIRONMENTS.includes(process.env.NODE_ENV)) {
+      providerName = 'fixture';
+    } else {
+      throw new Error('OPENAI_API_KEY is not configured (set AI_PROVIDER=fixture to use canned responses)');
+    }
+  }
+
+  switch (providerName) {
+    case 'openai':
+      return new OpenAIProvider();
+    case 'fixture':
+      return new FixtureProvider();
+    default:
+      throw new Error(`Unknown AI provider: ${providerName}`);
+  }
+};
+
+class AiGateway {
+  constructor() {
+    this.provider = createProvider();
+
+    this.config = {
+      maxAttempts: parseInt(process.env.AI_MAX_ATTEMPTS, 10) || 3,
+      baseDelayMs: parseInt(process.env.AI_RETRY_BASE_DELAY_MS, 10) || 1000,
+      maxDelayMs: 30000,
+      trackUsage: process.env.AI_USAGE_TRACKING !== 'false',
+    };
+
+    logger.info(`AI gateway using ${this.provider.name} provider`);
+  }
+
+  // ============================================
+  // CALLS
+  // ============================================
+
+  /**
+   * Chat completion
+   *
+   * @param {Object} params
+   * @param {String} params.feature - Feature key (required)
+   * @param {Array} params.messages - Chat messages
+   * @param {ObjectId} params.userId - User the call is accounted to
+   * @param {String} params.responseFormat - 'json_object' | 'text'
+   * @param {Number} params.temperature
+   * @param {Number} params.maxTokens
+   * @param {Object} params.context - References stored with the usage record
+   * @param {String} params.locale - Language of user-facing text (default English)
+   * @returns {Promise<String>} Completion content
+   */
+  async chat({
+    feature,
+    messages,
+    userId = null,
+    responseFormat = null,
+    temperature,
+    maxTokens,
+    context = null,
+    locale = null,
+  }) {
+    const model = this._resolveModel(feature, 'chat');
+    messages = this._withLanguage(messages, locale);
+
+    const { result, attempts, latencyMs } = await this._execute(feature, 'chat', model, { userId, context }, () =>
+      this.provider.chat({ feature, model, messages, responseFormat, temperature, maxTokens })
+    );
+
+    this._recordUsage({
+      userId,
+      feature,
+      kind: 'chat',
+      model,
+      usage: result.usage,
+      attempts,
+      latencyMs,
+      context,
+    });
+
+    return result.content;
+  }
+
+  /**
+   * Chat completion parsed as JSON
+   * (markdown code fences around the JSON are tolerated)
+   *
+   * @param {Object} params - Same as chat(); responseFormat defaults to 'json_object'
+   * @returns {Promise<Object>}
+   */
+  async chatJSON(params) {
+    const content = await this.chat({ responseFormat: 'json_object', ...params });
+    const json = content.trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+
+    return JSON.parse(json);
+  }
+
+  /**
+   * Audio transcription
+   *
+   * @param {Object} params
+   * @param {String} params.feature - Feature key (required)
+   * @param {Buffer} params.audio - Audio bytes
+   * @param {String} params.filename - File name (extension tells the API the format)
+   * @param {String} params.mimeType
+   * @param {ObjectId} params.userId - User the call is accounted to
+   * @param {String} params.prompt - Context to improve accuracy
+   * @param {String} params.language - ISO-639-1 code (auto-detect when omitted)
+   * @param {Number} params.temperature
+   * @param {Number} params.durationSeconds - Audio duration (for cost accounting)
+   * @param {Object} params.context - References stored with the usage record
+   * @returns {Promise<String>} Transcribed text (trimmed)
+   */
+  async transcribe({
+    feature,
+    audio,
+    filename = 'audio.webm',
+    mimeType,
+    userId = null,
+    prompt,
+    language,
+    temperature,
+    durationSeconds = 0,
+    context = null,
+  }) {
+    const model = this._resolveModel(feature, 'transcription');
+
+    const { result, attempts, latencyMs } = await this._execute(
+      feature,
+      'transcription',
+      model,
+      { userId, context },
+      () => this.provider.transcribe({ feature, model, audio, filename, mimeType, prompt, language, temperature })
+    );
+
+    this._recordUsage({
+      userId,
+      feature,
+      kind: 'transcription',
+      model,
+      usage: { audioSeconds: durationSeconds || 0 },
+      attempts,
+      latencyMs,
+      context,
+    });
+
+    return (result.text || '').trim();
+  }
+
+  // ============================================
+  // PROVIDER
+  // ============================================
+
+  /**
+   * Swap provider (e.g. a FixtureProvider in tests)
+   */
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  getProvider() {
+    return this.provider;
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  _resolveModel(feature, kind) {
+    if (!FEATURES[feature]) {
+      throw new Error(`Unknown AI feature: ${feature}`);
+    }
+    if (FEATURES[feature].kind !== kind) {
+      throw new Error(`AI feature ${feature} is not a ${kind} feature`);
+    }
+
+    return getModel(feature);
+  }
+
+  /**
+   * Ask for user-facing text in the given language.
+   * Prompts stay in English; JSON keys and enum values must too, since
+   * callers parse them.
+   */
+  _withLanguage(messages, locale) {
+    if (!locale || locale === DEFAULT_LOCALE) return messages;
+
+    return [
+      ...messages,
+      {
+        role: 'system',
+        content: `Write all user-facing text in ${getLanguageName(locale)}. Keep JSON keys, enum values and identifiers in English.`,
+      },
+    ];
+  }
+
+  /**
+   * Run a provider call with retry/backoff.
+   * Failed calls are recorded before the error is rethrown.
+   */
+  async _execute(feature, kind, model, { userId, context }, call) {
+    const startedAt = Date.now();
+
+    for (let attempt = 1; ; attempt++) {
+      try {
+        const result = await call();
+        return { result, attempts: attempt, latencyMs: Date.now() - startedAt };
+      } catch (error) {
+        if (attempt < this.config.maxAttempts && this._isRetryable(error)) {
+          const delay = this._getRetryDelay(error, attempt);
+
+          logger.warn(`AI ${kind} call failed, retrying in ${delay}ms`, {
+            feature,
+            model,
+            status: error.status,
+            attempt,
+            maxAttempts: this.config.maxAttempts,
+            error: error.message,
+          });
+
+          await this._sleep(delay);
+          continue;
+        }
+
+        logger.error(`AI ${kind} call failed`, {
+          feature,
+          model,
+          status: error.status,
+          attempt,
+          error: error.message,
+        });
+
+        this._recordUsage({
+          userId,
+          feature,
+          kind,
+          model,
+          attempts: attempt,
+          latencyMs: Date.now() - startedAt,
+          context,
+          error,
+        });
+
+        throw error;
+      }
+    }
+  }
+
+  _isRetryable(error) {
+    return RETRYABLE_STATUSES.includes(error.status) || RETRYABLE_CODES.includes(error.code);
+  }
+
+  /**
+   * Exponential backoff with jitter, honouring Retry-After when sent
+   */
+  _getRetryDelay(error, attempt) {
+    const retryAfter = parseFloat(error.headers?.get?.('retry-after') ?? error.headers?.['retry-after']);
+    if (!Number.isNaN(retryAfter)) {
+      return Math.min(retryAfter * 1000, this.config.maxDelayMs);
+    }
+
+    const exponential = this.config.baseDelayMs * 2 ** (attempt - 1);
+    const jitter = Math.random() * this.config.baseDelayMs;
+
+    return Math.min(exponential + jitter, this.config.maxDelayMs);
+  }
+
+  /**
+   * Persist usage. Never throws and never delays the caller.
+   */
+  _recordUsage({ userId, feature, kind, model, usage = {}, attempts, latencyMs, context, error = null }) {
+    const promptTokens = usage.promptTokens || 0;
+    const completionTokens = usage.completionTokens || 0;
+    const audioSeconds = usage.audioSeconds || 0;
+
+    logger.info(`AI ${kind} call ${error ? 'failed' : 'completed'}`, {
+      feature,
+      model,
+      provider: this.provider.name,
+      userId: userId ? userId.toString() : null,
+      promptTokens,
+      completionTokens,
+      attempts,
+      latencyMs,
+    });
+
+    if (!this.config.trackUsage) {
+      return;
+    }
+
+    AiUsage.create({
+      userId,
+      feature,
+      kind,
+      provider: this.provider.name,
+      model,
+      promptTokens,
+      completionTokens,
+      totalTokens: promptTokens + completionTokens,
+      audioSeconds,
+      costUsd: error ? 0 : estimateCost(model, { promptTokens, completionTokens, audioSeconds }),
+      success: !error,
+      error: error ? error.message : null,
+      attempts,
+      latencyMs,
+      context,
+    }).catch((recordError) => {
+      logger.warn('Failed to record AI usage', { feature, error: recordError.message });
+    });
+  }
+
+  _sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+  }
+}
+
+const aiGateway = new AiGateway();
+
+aiGateway.createProvider = createProvider;
+aiGateway.OpenAIProvider = OpenAIProvider;
+aiGateway.FixtureProvider = FixtureProvider;
+
+module.exports = aiGateway;
@@ -0,0 +1,172 @@
+// src/services/ai/providers/fixture.provider.js
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * FIXTURE PROVIDER
+ *
+ * Deterministic offline provider used in development and tests.
+ * Never touches the network: responses come from JSON fixtures.
+ *
+ * Fixture files are named <feature>.json:
+ *   {
+ *     "default": <response>,
+ *     "responses": { "<promptHash>": <response> }
+ *   }
+ * A response is a string, or an object that is returned as JSON.
+ *
+ * Lookup order for a call:
+ * 1. Responses registered at runtime with register()
+ * 2. AI_FIXTURES_DIR (if set), then the bundled fixtures directory
+ *    - exact prompt hash, then the feature default
+ * 3. A generic placeholder ('{}' for JSON calls)
+ *
+ * Under test (or with recordCalls) every call is recorded with its prompt
+ * hash, so tests can assert on what was asked and pin new fixtures.
+ */
+
+const BUNDLED_FIXTURES_DIR = path.join(__dirname, '../fixtures');
+
+class FixtureProvider {
+  constructor({
+    fixturesDir = process.env.AI_FIXTURES_DIR,
+    recordCalls = process.env.NODE_ENV === 'test',
+  } = {}) {
+    this.name = 'fixture';
+    this.dirs = [fixturesDir, BUNDLED_FIXTURES_DIR].filter(Boolean);
+    this.cache = new Map();
+    this.overrides = new Map();
+    this.recordCalls = recordCalls;
+    this.calls = [];
+  }
+
+  /**
+   * Stable hash of a prompt (chat messages or transcription prompt)
+   * @param {Array|String} input
+   * @returns {String} 16 hex characters
+   */
+  static hash(input) {
+    return crypto
+      .createHash('sha256')
+      .update(typeof input === 'string' ? input : JSON.stringify(input))
+      .digest('hex')
+      .slice(0, 16);
+  }
+
+  /**
+   * Chat completion from fixtures
+   * @param {Object} params - { feature, model, messages, responseFormat }
+   * @returns {Promise<Object>} { content, usage }
+   */
+  async chat({ feature, model, messages, responseFormat }) {
+    const promptHash = FixtureProvider.hash(messages);
+    const fallback = responseFormat === 'json_object' ? {} : '';
+    const content = this._serialize(this._resolve(feature, promptHash, fallback));
+
+    this._record({ kind: 'chat', feature, model, promptHash, messages });
+
+    return {
+      content,
+      usage: {
+        promptTokens: this._countTokens(messages.map((m) => m.content).join('\n')),
+        completionTokens: this._countTokens(content),
+      },
+    };
+  }
+
+  /**
+   * Transcription from fixtures
+   * @param {Object} params - { feature, model, audio, prompt }
+   * @returns {Promise<Object>} { text }
+   */
+  async transcribe({ feature, model, audio, prompt }) {
+    const audioHash = FixtureProvider.hash(audio.toString('base64'));
+    const text = this._serialize(
+      this._resolve(feature, audioHash, 'This is a transcribed voice answer.')
+    );
+
+    this._record({ kind: 'transcription', feature, model, promptHash: audioHash, prompt });
+
+    return { text };
+  }
+
+  /**
+   * Register a response for a feature (optionally for one prompt hash only)
+   * @param {String} feature - Feature key
+   * @param {String|Object} response - Response to return
+   * @param {String} promptHash - Restrict to this prompt hash
+   */
+  register(feature, response, promptHash = null) {
+    this.overrides.set(`${feature}:${promptHash || '*'}`, response);
+  }
+
+  /**
+   * Calls made so far (most recent last; empty unless recording)
+   */
+  getCalls() {
+    return this.calls;
+  }
+
+  /**
+   * Forget recorded calls and registered responses
+   */
+  clear() {
+    this.calls = [];
+    this.overrides.clear();
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  _record(call) {
+    if (this.recordCalls) {
+      this.calls.push(call);
+    }
+  }
+
+  _resolve(feature, promptHash, fallback) {
+    for (const key of [`${feature}:${promptHash}`, `${feature}:*`]) {
+      if (this.overrides.has(key)) {
+        return this.overrides.get(key);
+      }
+    }
+
+    for (const dir of this.dirs) {
+      const fixture = this._load(dir, feature);
+      if (!fixture) continue;
+
+      if (fixture.responses && fixture.responses[promptHash] !== undefined) {
+        return fixture.responses[promptHash];
+      }
+      if (fixture.default !== undefined) {
+        return fixture.default;
+      }
+    }
+
+    return fallback;
+  }
+
+  _load(dir, feature) {
+    const file = path.join(dir, `${feature}.json`);
+
+    if (!this.cache.has(file)) {
+      this.cache.set(file, fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : null);
+    }
+
+    return this.cache.get(file);
+  }
+
+  _serialize(response) {
+    return typeof response === 'string' ? response : JSON.stringify(response);
+  }
+
+  // Rough OpenAI token estimate (~4 characters per token)
+  _countTokens(text) {
+    return Math.ceil((text || '').length / 4);
+  }
+}
+
+module.exports = FixtureProvider;
@@ -0,0 +1,76 @@
+// src/services/ai/providers/openai.provider.js
+
+const OpenAI = require('openai');
+
+/**
+ * OPENAI PROVIDER
+ *
+ * Talks to the OpenAI API. Retries are handled by the gateway, so the
+ * SDK's own retry loop is disabled.
+ *
+ * Environment variables required:
+ * - OPENAI_API_KEY: OpenAI API key
+ */
+
+class OpenAIProvider {
+  constructor() {
+    this.name = 'openai';
+    this.client = new OpenAI({
+      apiKey: process.env.OPENAI_API_KEY,
+      maxRetries: 0,
+    });
+  }
+
+  /**
+   * Whether an API key is configured
+   */
+  static isConfigured() {
+    return !!process.env.OPENAI_API_KEY;
+  }
+
+  /**
+   * Chat completion
+   * @param {Object} params - { model, messages, responseFormat, temperature, maxTokens }
+   * @returns {Promise<Object>} { content, usage: { promptTokens, completionTokens } }
+   */
+  async chat({ model, messages, responseFormat, temperature, maxTokens }) {
+    const request = { model, messages };
+
+    if (responseFormat) request.response_format = { type: responseFormat };
+    if (temperature !== undefined) request.temperature = temperature;
+    if (maxTokens !== undefined) request.max_tokens = maxTokens;
+
+    const completion = await this.client.chat.completions.create(request);
+
+    return {
+      content: completion.choices[0]?.message?.content || '',
+      usage: {
+        promptTokens: completion.usage?.prompt_tokens || 0,
+        completionTokens: completion.usage?.completion_tokens || 0,
+      },
+    };
+  }
+
+  /**
+   * Audio transcription
+   * @param {Object} params - { model, audio (Buffer), filename, mimeType, prompt, language, temperature }
+   * @returns {Promise<Object>} { text }
+   */
+  async transcribe({ model, audio, filename, mimeType, prompt, language, temperature }) {
+    const request = {
+      file: await OpenAI.toFile(audio, filename, { type: mimeType }),
+      model,
+      response_format: 'text',
+    };
+
+    if (prompt) request.prompt = prompt;
+    if (language) request.language = language;
+    if (temperature !== undefined) request.temperature = temperature;
+
+    const text = await this.client.audio.transcriptions.create(request);
+
+    return { text: typeof text === 'string' ? text : text?.text || '' };
+  }
+}
+
+module.exports = OpenAIProvider;
@@ -4,6 +4,7 @@ const User = require('../models/User');
 const AnswerAnalysis = require('../models/AnswerAnalysis');
 const openaiService = require('./openai.service');
 const logger = require('../utils/logger');
+const { getUserLocale } = require('../utils/i18n');
 
 /**
  * Analysis Service
@@ -79,7 +80,8 @@ class AnalysisService {
       const aiAnalysis = await openaiService.analyzeAnswers({
         userId: userId.toString(),
         answers: answersWithQuestions,
-        questionsAnswered: answersWithQuestions.length
+        questionsAnswered: answersWithQuestions.length,
+        locale: getUserLocale(user)
       });
 
       // Step 6: Generate compatibility vector
@@ -2,6 +2,7 @@ const User = require('../models/User');
 const OTP = require('../models/OTP');
 const TwilioService = require('./twilio.service');
 const JWTService = require('./jwt.service');
+const accountService = require('./account.service');
 const ApiError = require('../utils/apiError');
 const logger = require('../utils/logger');
 
@@ -69,9 +70,10 @@ class AuthService {
    * Verify OTP and create/login user
    * @param {String} phone - Phone number
    * @param {String} otpCode - OTP code
+   * @param {String} locale - Device language for new users (from Accept-Language)
    * @returns {Promise<Object>} - User and tokens
    */
-  static async verifyOTP(phone, otpCode) {
+  static async verifyOTP(phone, otpCode, locale = null) {
     try {
       // Format phone number
       const formattedPhone = TwilioService.formatPhoneNumber(phone);
@@ -110,6 +112,7 @@ class AuthService {
       // Find or create user
       let user = await User.findOne({ phone: formattedPhone });
       let isNewUser = false;
+      let accountRestored = false;
 
       if (!user) {
         // Create new user
@@ -117,10 +120,14 @@ class AuthService {
           phone: formattedPhone,
           phoneVerified: true,
           username: this.generateUsername(),
+          locale,
         });
         isNewUser = true;
         logger.info(`New user created: ${user._id}`);
       } else {
+        // Logging in during the deletion grace period restores the account
+        accountRestored = accountService.restorePendingDeletion(user);
+
         // Update existing user
         user.phoneVerified = true;
         await user.updateLastActive();
@@ -139,6 +146,7 @@ class AuthService {
         user,
         tokens,
         isNewUser,
+        accountRestored,
       };
     } catch (error) {
       logger.error('Error in verifyOTP:', error);
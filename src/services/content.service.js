@@ -0,0 +1,796 @@
+// src/services/content.service.js
+
+const ContentRevision = require('../models/ContentRevision');
+const ContentTranslation = require('../models/ContentTranslation');
+const { DEFAULT_LOCALE } = require('../config/locales');
+const { BANKS, getBank, getContentFields } = require('./content/banks');
+const csv = require('../utils/csv');
+const ApiError = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+/**
+ * CONTENT SERVICE
+ *
+ * Admin management of the question banks (see services/content/banks.js).
+ *
+ * - Questions are created as drafts, published, and retired rather than
+ *   deleted once a session or answer uses them
+ * - Every change bumps the version (content edits) and lands in the
+ *   changelog (ContentRevision) with a snapshot
+ * - Sessions read questions as of their start, so edits never change a
+ *   game in progress (models/plugins/versionedContent.js)
+ * - Validation is the bank's own Mongoose schema
+ * - Translations (ContentTranslation) cover the bank's translatable fields;
+ *   players get English for anything untranslated
+ */
+
+class ContentService {
+  constructor() {
+    this.config = {
+      maxImportRows: 1000,
+      maxReportedErrors: 10,
+    };
+
+    // Banks whose legacy documents already have a status
+    this.statusBackfilled = new Set();
+  }
+
+  // ============================================
+  // BANKS
+  // ============================================
+
+  /**
+   * List banks with question counts per status
+   * @returns {Promise<Array>}
+   */
+  async listBanks() {
+    return Promise.all(Object.keys(BANKS).map(async slug => {
+      const bank = await this._getBank(slug);
+      const counts = await bank.model.aggregate([
+        { $group: { _id: '$status', count: { $sum: 1 } } }
+      ]);
+
+      const byStatus = { draft: 0, published: 0, retired: 0 };
+      counts.forEach(({ _id, count }) => {
+        byStatus[_id] = count;
+      });
+
+      return {
+        bank: slug,
+        label: bank.label,
+        keyField: bank.keyField,
+        gameSize: bank.gameSize,
+        fields: getContentFields(bank),
+        translatable: bank.model.getTranslatableFields(),
+        counts: byStatus,
+      };
+    }));
+  }
+
+  // ============================================
+  // QUESTIONS
+  // ============================================
+
+  /**
+   * List questions of a bank
+   * @param {String} slug - Bank slug
+   * @param {Object} options - { status, page, limit }
+   * @returns {Promise<Object>} { questions, pagination }
+   */
+  async listQuestions(slug, { status, page = 1, limit = 50 } = {}) {
+    const bank = await this._getBank(slug);
+    const query = status ? { status } : {};
+
+    const [questions, total] = await Promise.all([
+      bank.model.find(query)
+        .sort({ [bank.keyField]: 1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      bank.model.countDocuments(query),
+    ]);
+
+    return {
+      questions,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    };
+  }
+
+  async getQuestion(slug, key) {
+    const bank = await this._getBank(slug);
+    return this._findOrFail(bank, key);
+  }
+
+  /**
+   * Create a question (as a draft)
+   * @param {String} slug - Bank slug
+   * @param {Object} data - Content fields, including the key field
+   * @param {String} actorId - Admin user ID
+   */
+  async createQuestion(slug, data, actorId) {
+    const bank = await this._getBank(slug);
+    const key = data[bank.keyField];
+
+    if (!Number.isInteger(key)) {
+      throw ApiError.badRequest(`${bank.keyField} must be an integer`);
+    }
+
+    const doc = new bank.model({
+      ...this._pickContent(bank, data),
+      status: 'draft',
+      version: 1,
+      revisedAt: new Date(),
+    });
+
+    await this._save(bank, doc);
+    await this._recordRevision(bank, doc, 'created', actorId);
+
+    logger.info('Content question created', { bank: slug, key, actorId });
+    return doc;
+  }
+
+  /**
+   * Edit a question's content (new version)
+   * @param {String} slug - Bank slug
+   * @param {Number} key - Question number
+   * @param {Object} data - Content fields to change
+   * @param {String} actorId - Admin user ID
+   */
+  async updateQuestion(slug, key, data, actorId) {
+    const bank = await this._getBank(slug);
+
+    if (data[bank.keyField] !== undefined && data[bank.keyField] !== key) {
+      throw ApiError.badRequest(`${bank.keyField} cannot be changed`);
+    }
+
+    const doc = await this._findOrFail(bank, key);
+    const changes = await this._applyContent(bank, doc, data, 'updated', actorId);
+
+    if (changes.length > 0) {
+      logger.info('Content question updated', { bank: slug, key, version: doc.version, changes, actorId });
+    }
+
+    return doc;
+  }
+
+  async publishQuestion(slug, key, actorId) {
+    return this._changeStatus(slug, key, {
+      from: ['draft', 'retired'],
+      to: 'published',
+      action: 'published',
+    }, actorId);
+  }
+
+  async retireQuestion(slug, key, actorId) {
+    return this._changeStatus(slug, key, {
+      from: ['draft', 'published'],
+      to: 'retired',
+      action: 'retired',
+    }, actorId);
+  }
+
+  /**
+   * Bring a retired question back as a draft
+   */
+  async restoreQuestion(slug, key, actorId) {
+    return this._changeStatus(slug, key, {
+      from: ['retired'],
+      to: 'draft',
+      action: 'restored',
+    }, actorId);
+  }
+
+  /**
+   * Delete a question. Questions used by a session or answer are retired instead.
+   * @returns {Promise<Object>} { deleted, retired, question }
+   */
+  async deleteQuestion(slug, key, actorId) {
+    const bank = await this._getBank(slug);
+    const doc = await this._findOrFail(bank, key);
+
+    if (await bank.isReferenced(key)) {
+      const question = doc.status === 'retired'
+        ? doc
+        : await this.retireQuestion(slug, key, actorId);
+
+      return { deleted: false, retired: true, question };
+    }
+
+    await this._assertPublishedCount(bank, doc);
+
+    await this._recordRevision(bank, doc, 'deleted', actorId);
+    await doc.deleteOne();
+    await ContentTranslation.deleteMany({ model: bank.model.modelName, key });
+
+    logger.info('Content question deleted', { bank: slug, key, actorId });
+    return { deleted: true, retired: false, question: null };
+  }
+
+  /**
+   * Changelog of a question, newest first
+   */
+  async getHistory(slug, key) {
+    const bank = await this._getBank(slug);
+    const revisions = await ContentRevision.getHistory(bank.model.modelName, key);
+
+    if (revisions.length === 0) {
+      // Never edited through the API: current content is the only version
+      await this._findOrFail(bank, key);
+    }
+
+    return revisions;
+  }
+
+  // ============================================
+  // IMPORT / EXPORT
+  // ============================================
+
+  /**
+   * Export a bank
+   * @param {String} slug - Bank slug
+   * @param {Object} options - { format: 'json' | 'csv', status }
+   * @returns {Promise<Object>} { items } (json) or { csv, fileName } (csv)
+   */
+  async exportQuestions(slug, { format = 'json', status } = {}) {
+    const bank = await this._getBank(slug);
+    const fields = getContentFields(bank);
+    const docs = await bank.model.find(status ? { status } : {})
+      .sort({ [bank.keyField]: 1 })
+      .lean();
+
+    const items = docs.map(doc => ({
+      ...this._pickContent(bank, doc),
+      status: doc.status,
+      version: doc.version,
+    }));
+
+    if (format !== 'csv') {
+      return { items };
+    }
+
+    const columns = [...fields, 'status', 'version'];
+    const rows = items.map(item => columns.map(column => {
+      const value = item[column];
+      return value !== null && typeof value === 'object' ? JSON.stringify(value) : value;
+    }));
+
+    return {
+      csv: csv.stringify(columns, rows),
+      fileName: `${slug}-${new Date().toISOString().slice(0, 10)}.csv`,
+    };
+  }
+
+  /**
+   * Import questions (upsert by key field). Nothing is written unless every row is valid.
+   * New questions are drafts unless publish is set; status/version columns are ignored.
+   *
+   * @param {String} slug - Bank slug
+   * @param {Object} options - { format: 'json' | 'csv', data, publish }
+   * @param {String} actorId - Admin user ID
+   * @returns {Promise<Object>} { total, created, updated, unchanged }
+   */
+  async importQuestions(slug, { format, data, publish = false }, actorId) {
+    const bank = await this._getBank(slug);
+    const rows = format === 'csv' ? this._parseCsvRows(bank, data) : data;
+
+    if (!Array.isArray(rows) || rows.length === 0) {
+      throw ApiError.badRequest('Nothing to import');
+    }
+
+    if (rows.length > this.config.maxImportRows) {
+      throw ApiError.badRequest(`Imports are limited to ${this.config.maxImportRows} rows`);
+    }
+
+    // Validate everything first
+    const errors = [];
+    const seen = new Set();
+    const existing = new Map(
+      (await bank.model.find({ [bank.keyField]: { $in: rows.map(row => row[bank.keyField]) } }))
+        .map(doc => [doc[bank.keyField], doc])
+    );
+
+    for (const [index, row] of rows.entries()) {
+      const key = row[bank.keyField];
+      const label = `Row ${index + 1}`;
+
+      if (!Number.isInteger(key)) {
+        errors.push(`${label}: ${bank.keyField} must be an integer`);
+        continue;
+      }
+
+      if (seen.has(key)) {
+        errors.push(`${label}: duplicate ${bank.keyField} ${key}`);
+        continue;
+      }
+      seen.add(key);
+
+      const candidate = existing.has(key)
+        ? bank.model.hydrate(existing.get(key).toObject())
+        : new bank.model({ status: 'draft' });
+      candidate.set(this._pickContent(bank, row));
+
+      try {
+        await candidate.validate();
+      } catch (error) {
+        errors.push(`${label} (${bank.keyField} ${key}): ${this._validationMessage(error)}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      const shown = errors.slice(0, this.config.maxReportedErrors);
+      const more = errors.length - shown.length;
+      throw ApiError.badRequest(
+        `Import rejected: ${shown.join('; ')}${more > 0 ? ` (and ${more} more)` : ''}`
+      );
+    }
+
+    // Apply
+    const summary = { total: rows.length, created: 0, updated: 0, unchanged: 0 };
+
+    for (const row of rows) {
+      const key = row[bank.keyField];
+      const doc = existing.get(key);
+
+      if (doc) {
+        const changes = await this._applyContent(bank, doc, row, 'imported', actorId);
+        summary[changes.length > 0 ? 'updated' : 'unchanged']++;
+        continue;
+      }
+
+      const created = new bank.model({
+        ...this._pickContent(bank, row),
+        status: publish ? 'published' : 'draft',
+        version: 1,
+        revisedAt: new Date(),
+      });
+
+      await this._save(bank, created);
+      await this._recordRevision(bank, created, 'imported', actorId);
+      summary.created++;
+    }
+
+    logger.info('Content imported', { bank: slug, ...summary, actorId });
+    return summary;
+  }
+
+  // ============================================
+  // TRANSLATIONS
+  // ============================================
+
+  /**
+   * Translations of a question
+   * @returns {Promise<Object>} { translatable, translations } - isStale: made
+   *   from an older version of the English text
+   */
+  async listTranslations(slug, key) {
+    const bank = await this._getBank(slug);
+    const doc = await this._findOrFail(bank, key);
+
+    const translations = await ContentTranslation.find({ model: bank.model.modelName, key })
+      .sort({ locale: 1 })
+      .lean();
+
+    return {
+      translatable: bank.model.getTranslatableFields(),
+      translations: translations.map(translation => ({
+        ...translation,
+        isStale: translation.sourceVersion < doc.version,
+      })),
+    };
+  }
+
+  /**
+   * Translation coverage of a bank for one locale
+   * @returns {Promise<Object>} { locale, total, translated, stale, missing }
+   */
+  async getTranslationCoverage(slug, locale) {
+    const bank = await this._getBank(slug);
+
+    const [docs, translations] = await Promise.all([
+      bank.model.find({ status: { $ne: 'retired' } })
+        .select(`${bank.keyField} version`)
+        .sort({ [bank.keyField]: 1 })
+        .lean(),
+      ContentTranslation.find({ model: bank.model.modelName, locale })
+        .select('key sourceVersion')
+        .lean(),
+    ]);
+
+    const sourceVersions = new Map(translations.map(translation => [translation.key, translation.sourceVersion]));
+    const coverage = { locale, total: docs.length, translated: 0, stale: [], missing: [] };
+
+    docs.forEach(doc => {
+      const key = doc[bank.keyField];
+      if (!sourceVersions.has(key)) {
+        coverage.missing.push(key);
+        return;
+      }
+
+      coverage.translated++;
+      if (sourceVersions.get(key) < doc.version) {
+        coverage.stale.push(key);
+      }
+    });
+
+    return coverage;
+  }
+
+  /**
+   * Create or replace the translation of a question
+   * @param {String} slug - Bank slug
+   * @param {Number} key - Question number
+   * @param {String} locale - Locale code (not English)
+   * @param {Object} fields - Translated fields
+   * @param {String} actorId - Admin user ID
+   */
+  async saveTranslation(slug, key, locale, fields, actorId) {
+    const bank = await this._getBank(slug);
+    const doc = await this._findOrFail(bank, key);
+
+    let picked;
+    try {
+      picked = await this._checkTranslation(bank, doc, locale, fields);
+    } catch (error) {
+      throw ApiError.badRequest(error.message);
+    }
+
+    const translation = await this._upsertTranslation(bank, doc, locale, picked, actorId);
+
+    logger.info('Content translation saved', { bank: slug, key, locale, actorId });
+    return translation;
+  }
+
+  /**
+   * Import translations for one locale. Nothing is written unless every item is valid.
+   * @param {String} slug - Bank slug
+   * @param {String} locale - Locale code (not English)
+   * @param {Array} items - [{ key, fields }]
+   * @param {String} actorId - Admin user ID
+   * @returns {Promise<Object>} { total, saved }
+   */
+  async importTranslations(slug, locale, items, actorId) {
+    const bank = await this._getBank(slug);
+
+    if (items.length === 0) {
+      throw ApiError.badRequest('Nothing to import');
+    }
+
+    if (items.length > this.config.maxImportRows) {
+      throw ApiError.badRequest(`Imports are limited to ${this.config.maxImportRows} rows`);
+    }
+
+    const docs = new Map(
+      (await bank.model.find({ [bank.keyField]: { $in: items.map(item => item.key) } }))
+        .map(doc => [doc[bank.keyField], doc])
+    );
+
+    // Validate everything first
+    const errors = [];
+    const prepared = [];
+
+    for (const [index, item] of items.entries()) {
+      const label = `Item ${index + 1}`;
+      const doc = docs.get(item.key);
+
+      if (!doc) {
+        errors.push(`${label}: ${bank.keyField} ${item.key} not found`);
+        continue;
+      }
+
+      try {
+        prepared.push({ doc, fields: await this._checkTranslation(bank, doc, locale, item.fields) });
+      } catch (error) {
+        errors.push(`${label} (${bank.keyField} ${item.key}): ${error.message}`);
+      }
+    }
+
+    if (errors.length > 0) {
+      const shown = errors.slice(0, this.config.maxReportedErrors);
+      const more = errors.length - shown.length;
+      throw ApiError.badRequest(
+        `Import rejected: ${shown.join('; ')}${more > 0 ? ` (and ${more} more)` : ''}`
+      );
+    }
+
+    for (const { doc, fields } of prepared) {
+      await this._upsertTranslation(bank, doc, locale, fields, actorId);
+    }
+
+    logger.info('Content translations imported', { bank: slug, locale, total: prepared.length, actorId });
+    return { total: items.length, saved: prepared.length };
+  }
+
+  async deleteTranslation(slug, key, locale) {
+    const bank = await this._getBank(slug);
+
+    const { deletedCount } = await ContentTranslation.deleteOne({
+      model: bank.model.modelName,
+      key,
+      locale,
+    });
+
+    if (deletedCount === 0) {
+      throw ApiError.notFound(`No ${locale} translation of ${bank.label} ${bank.keyField} ${key}`);
+    }
+
+    logger.info('Content translation deleted', { bank: slug, key, locale });
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Resolve a bank; legacy documents get a status on first access
+   */
+  async _getBank(slug) {
+    const bank = getBank(slug);
+    if (!bank) {
+      throw ApiError.notFound('Content bank not found');
+    }
+
+    if (!this.statusBackfilled.has(slug)) {
+      await bank.model.updateMany(
+        { status: { $exists: false }, isActive: false },
+        { $set: { status: 'retired' } }
+      );
+      await bank.model.updateMany(
+        { status: { $exists: false } },
+        { $set: { status: 'published', isActive: true } }
+      );
+      this.statusBackfilled.add(slug);
+    }
+
+    return bank;
+  }
+
+  async _findOrFail(bank, key) {
+    const doc = await bank.model.findOne({ [bank.keyField]: key });
+    if (!doc) {
+      throw ApiError.notFound(`${bank.label} ${bank.keyField} ${key} not found`);
+    }
+    return doc;
+  }
+
+  async _changeStatus(slug, key, { from, to, action }, actorId) {
+    const bank = await this._getBank(slug);
+    const doc = await this._findOrFail(bank, key);
+
+    if (doc.status === to) {
+      return doc;
+    }
+
+    if (!from.includes(doc.status)) {
+      throw ApiError.badRequest(`A ${doc.status} question cannot be ${action}`);
+    }
+
+    if (doc.status === 'published') {
+      await this._assertPublishedCount(bank, doc);
+    }
+
+    await this._ensureBaseline(bank, doc);
+
+    doc.status = to;
+    doc.retiredAt = to === 'retired' ? new Date() : null;
+    doc.revisedAt = new Date();
+
+    await this._save(bank, doc);
+    await this._recordRevision(bank, doc, action, actorId);
+
+    logger.info(`Content question ${action}`, { bank: slug, key, actorId });
+    return doc;
+  }
+
+  /**
+   * Set content fields; on changes bump the version and record a revision
+   * @returns {Promise<Array>} Changed fields
+   */
+  async _applyContent(bank, doc, data, action, actorId) {
+    const fields = getContentFields(bank);
+    doc.set(this._pickContent(bank, data));
+
+    const changes = fields.filter(field => doc.isModified(field));
+    if (changes.length === 0) {
+      return changes;
+    }
+
+    // Keep the pre-edit content for sessions that started before this change
+    await this._ensureBaseline(bank, doc);
+
+    doc.version += 1;
+    doc.revisedAt = new Date();
+
+    await this._save(bank, doc);
+    await this._recordRevision(bank, doc, action, actorId, changes);
+
+    return changes;
+  }
+
+  /**
+   * Documents never revised through the API (e.g. seeded) have no changelog yet:
+   * record their current state as effective since forever
+   */
+  async _ensureBaseline(bank, doc) {
+    if (doc.revisedAt) return;
+
+    const original = bank.model.hydrate(
+      await bank.model.findById(doc._id).lean()
+    );
+
+    await ContentRevision.create({
+      model: bank.model.modelName,
+      key: original[bank.keyField],
+      version: original.version,
+      action: 'baseline',
+      snapshot: this._snapshot(bank, original),
+      effectiveAt: new Date(0),
+    });
+  }
+
+  async _recordRevision(bank, doc, action, actorId, changes = []) {
+    await ContentRevision.create({
+      model: bank.model.modelName,
+      key: doc[bank.keyField],
+      version: doc.version,
+      action,
+      snapshot: this._snapshot(bank, doc),
+      changes,
+      actorId,
+      effectiveAt: doc.revisedAt || new Date(),
+    });
+  }
+
+  _snapshot(bank, doc) {
+    const content = doc.toObject({ depopulate: true, virtuals: false });
+    return {
+      ...this._pickContent(bank, content),
+      status: content.status,
+    };
+  }
+
+  _pickContent(bank, data) {
+    const content = {};
+    getContentFields(bank).forEach(field => {
+      if (data[field] !== undefined) {
+        content[field] = data[field];
+      }
+    });
+    return content;
+  }
+
+  /**
+   * Games with a fixed question set can't lose a published question
+   */
+  async _assertPublishedCount(bank, doc) {
+    if (!bank.gameSize || doc.status !== 'published') return;
+
+    const published = await bank.model.countDocuments({
+      status: 'published',
+      _id: { $ne: doc._id },
+    });
+
+    if (published < bank.gameSize) {
+      throw ApiError.conflict(
+        `${bank.label} games need ${bank.gameSize} published questions; edit this question instead`
+      );
+    }
+  }
+
+  /**
+   * CSV cells are strings: convert them using the schema types
+   */
+  _parseCsvRows(bank, text) {
+    if (typeof text !== 'string') {
+      throw ApiError.badRequest('CSV data must be a string');
+    }
+
+    let parsed;
+    try {
+      parsed = csv.parse(text);
+    } catch (error) {
+      throw ApiError.badRequest(`Invalid CSV: ${error.message}`);
+    }
+
+    const fields = getContentFields(bank);
+
+    return parsed.rows.map((row, index) => {
+      const item = {};
+
+      fields.forEach(field => {
+        const raw = row[field];
+        if (raw === undefined || raw === '') return;
+
+        const schemaType = bank.model.schema.path(field);
+        const instance = schemaType ? schemaType.instance : 'Mixed';
+
+        if (instance === 'Number') {
+          item[field] = Number(raw);
+        } else if (instance === 'Boolean') {
+          item[field] = raw.trim().toLowerCase() === 'true';
+        } else if (instance === 'String' || instance === 'Date') {
+          item[field] = raw;
+        } else {
+          // Arrays, sub-documents and nested objects are JSON cells
+          try {
+            item[field] = JSON.parse(raw);
+          } catch (error) {
+            throw ApiError.badRequest(`Row ${index + 1}: ${field} must be JSON`);
+          }
+        }
+      });
+
+      return item;
+    });
+  }
+
+  /**
+   * Translated fields of a question, checked against its English version
+   * (list items must exist, and the translated question must pass the schema)
+   * @throws {Error} With a message for the admin
+   */
+  async _checkTranslation(bank, doc, locale, fields) {
+    if (locale === DEFAULT_LOCALE) {
+      throw new Error('English is the source text; edit the question instead');
+    }
+
+    const picked = bank.model.pickTranslation(fields);
+    const { lists } = bank.model.getTranslatableFields();
+
+    Object.entries(lists).forEach(([path, list]) => {
+      if (!picked[path]) return;
+
+      const ids = (doc[path] || []).map(item => item[list.idField]);
+      picked[path].forEach(item => {
+        if (!ids.includes(item[list.idField])) {
+          throw new Error(`${path} has no ${list.idField} ${item[list.idField]}`);
+        }
+      });
+    });
+
+    const translated = new bank.model(bank.model.applyTranslation(doc, picked));
+    try {
+      await translated.validate();
+    } catch (error) {
+      throw new Error(this._validationMessage(error));
+    }
+
+    return picked;
+  }
+
+  _upsertTranslation(bank, doc, locale, fields, actorId) {
+    return ContentTranslation.findOneAndUpdate(
+      { model: bank.model.modelName, key: doc[bank.keyField], locale },
+      { fields, sourceVersion: doc.version, updatedBy: actorId },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+  }
+
+  async _save(bank, doc) {
+    try {
+      await doc.save();
+    } catch (error) {
+      if (error.code === 11000) {
+        throw ApiError.conflict(`${bank.label} ${bank.keyField} ${doc[bank.keyField]} already exists`);
+      }
+      // Schema validation, or a rule enforced by a pre-save hook
+      if (error.name === 'ValidationError' || error.name === 'Error') {
+        throw ApiError.badRequest(this._validationMessage(error));
+      }
+      throw error;
+    }
+  }
+
+  _validationMessage(error) {
+    if (error.errors) {
+      return Object.values(error.errors).map(err => err.message).join(', ');
+    }
+    return error.message;
+  }
+}
+
+module.exports = new ContentService();
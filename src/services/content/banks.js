@@ -0,0 +1,120 @@
+// src/services/content/banks.js
+
+const Question = require('../../models/Question');
+const Answer = require('../../models/Answer');
+const WouldYouRatherQuestion = require('../../models/games/WouldYouRatherQuestion');
+const WouldYouRatherSession = require('../../models/games/WouldYouRatherSession');
+const IntimacySpectrumQuestion = require('../../models/games/IntimacySpectrumQuestion');
+const IntimacySpectrumSession = require('../../models/games/IntimacySpectrumSession');
+const NeverHaveIEverQuestion = require('../../models/games/NeverHaveIEverQuestion');
+const NeverHaveIEverSession = require('../../models/games/NeverHaveIEverSession');
+const WhatWouldYouDoQuestion = require('../../models/games/WhatWouldYouDoQuestion');
+const WhatWouldYouDoSession = require('../../models/games/WhatWouldYouDoSession');
+const DreamBoardCategory = require('../../models/games/DreamBoardCategory');
+const DreamBoardSession = require('../../models/games/DreamBoardSession');
+
+/**
+ * CONTENT BANKS
+ *
+ * Question banks managed through the admin content API, keyed by URL slug.
+ *
+ * - keyField: number identifying a question (what sessions store)
+ * - gameSize: games that play a fixed, numbered set need that many
+ *   published questions; statuses can't drop a bank below it
+ * - isReferenced(key): used by past answers / sessions (delete retires instead)
+ */
+
+const BANKS = {
+  questions: {
+    label: 'Questions',
+    model: Question,
+    keyField: 'questionNumber',
+    gameSize: null,
+    isReferenced: (key) => Answer.exists({ questionNumber: key }),
+  },
+  'would-you-rather': {
+    label: 'Would You Rather',
+    model: WouldYouRatherQuestion,
+    keyField: 'questionNumber',
+    gameSize: 50,
+    isReferenced: (key) => WouldYouRatherSession.exists({ questionOrder: key }),
+  },
+  'intimacy-spectrum': {
+    label: 'Intimacy Spectrum',
+    model: IntimacySpectrumQuestion,
+    keyField: 'questionNumber',
+    gameSize: 30,
+    isReferenced: (key) => IntimacySpectrumSession.exists({ questionOrder: key }),
+  },
+  'never-have-i-ever': {
+    label: 'Never Have I Ever',
+    model: NeverHaveIEverQuestion,
+    keyField: 'questionNumber',
+    gameSize: 30,
+    isReferenced: (key) => NeverHaveIEverSession.exists({ questionOrder: key }),
+  },
+  'what-would-you-do': {
+    label: 'What Would You Do',
+    model: WhatWouldYouDoQuestion,
+    keyField: 'questionNumber',
+    gameSize: 15,
+    isReferenced: (key) => WhatWouldYouDoSession.exists({ questionOrder: key }),
+  },
+  'dream-board': {
+    label: 'Dream Board',
+    model: DreamBoardCategory,
+    keyField: 'categoryNumber',
+    gameSize: 10,
+    isReferenced: (key) => DreamBoardSession.exists({
+      $or: [
+        { 'player1.selections.categoryNumber': key },
+        { 'player2.selections.categoryNumber': key }
+      ]
+    }),
+  },
+};
+
+// Managed by the content service, never edited directly
+const SYSTEM_FIELDS = [
+  '_id',
+  '__v',
+  'createdAt',
+  'updatedAt',
+  'isActive',
+  'status',
+  'version',
+  'revisedAt',
+  'retiredAt',
+];
+
+/**
+ * Get a bank by slug
+ * @param {String} slug - e.g. 'would-you-rather'
+ * @returns {Object|null}
+ */
+const getBank = (slug) => (BANKS[slug] ? { slug, ...BANKS[slug] } : null);
+
+/**
+ * Editable top-level fields of a bank, straight from its schema
+ * @param {Object} bank - Bank from getBank
+ * @returns {Array} Field names (key field first)
+ */
+const getContentFields = (bank) => {
+  const fields = new Set();
+
+  Object.keys(bank.model.schema.paths).forEach(path => {
+    const field = path.split('.')[0];
+    if (!SYSTEM_FIELDS.includes(field)) {
+      fields.add(field);
+    }
+  });
+
+  fields.delete(bank.keyField);
+  return [bank.keyField, ...fields];
+};
+
+module.exports = {
+  BANKS,
+  getBank,
+  getContentFields,
+};
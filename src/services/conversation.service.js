@@ -5,6 +5,9 @@ const Block = require('../models/Block');
 const User = require('../models/User');
 const openaiService = require('./openai.service');
 const logger = require('../utils/logger');
+const { t, getSharedLocale } = require('../utils/i18n');
+
+const ICE_BREAKER_CATEGORIES = ['fun', 'deep', 'hobby', 'travel', 'creative'];
 
 /**
  * Conversation Service
@@ -91,8 +94,11 @@ class ConversationService {
 
   /**
    * Generate AI ice breakers based on user profiles
+   * (in the users' common language, English when they differ)
    */
   static async generateIceBreakers(user1, user2) {
+    const locale = getSharedLocale([user1, user2]);
+
     try {
       // Get user answers for context
       const Answer = require('../models/Answer');
@@ -152,21 +158,21 @@ class ConversationService {
       `;
 
       const iceBreakersRaw = await openaiService.generateCompletion(prompt, {
+        feature: 'ice_breakers',
+        userId: user1._id,
         temperature: 0.8,
         response_format: { type: 'json_object' },
+        locale,
       });
 
       const parsed = JSON.parse(iceBreakersRaw);
       const iceBreakers = parsed.iceBreakers || parsed.questions || [];
 
       // Fallback ice breakers if AI fails
-      const fallbackIceBreakers = [
-        { text: "What's the most spontaneous thing you've done recently?", category: 'fun' },
-        { text: "If you could have dinner with anyone, living or dead, who would it be and why?", category: 'deep' },
-        { text: "What hobby have you always wanted to try but never got around to?", category: 'hobby' },
-        { text: "What's your dream travel destination and what would you do there?", category: 'travel' },
-        { text: "If you could master any skill overnight, what would it be?", category: 'creative' },
-      ];
+      const fallbackIceBreakers = ICE_BREAKER_CATEGORIES.map(category => ({
+        text: t(locale, `iceBreaker.fallback.${category}`),
+        category,
+      }));
 
       return iceBreakers.length > 0 ? iceBreakers : fallbackIceBreakers;
 
@@ -174,13 +180,10 @@ class ConversationService {
       logger.error('Error generating ice breakers:', error);
       
       // Return default ice breakers on error
-      return [
-        { text: "What made you swipe right on me?", category: 'fun' },
-        { text: "What's something you're passionate about that doesn't show in your profile?", category: 'deep' },
-        { text: "What's your ideal weekend like?", category: 'hobby' },
-        { text: "If you could teleport anywhere right now, where would you go?", category: 'travel' },
-        { text: "What's the best advice you've ever received?", category: 'creative' },
-      ];
+      return ICE_BREAKER_CATEGORIES.map(category => ({
+        text: t(locale, `iceBreaker.default.${category}`),
+        category,
+      }));
     }
   }
 
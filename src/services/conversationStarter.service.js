@@ -1,20 +1,15 @@
 // services/conversationStarter.service.js
-const OpenAI = require('openai');
+const aiGateway = require('./ai');
 const Answer = require('../models/Answer');
 const AnswerAnalysis = require('../models/AnswerAnalysis');
 const logger = require('../utils/logger');
 
 class ConversationStarterService {
-  constructor() {
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
-
   /**
    * Generate personalized conversation starters for a match
+   * (written in the requesting user's locale)
    */
-  async generateStarters(userId, matchedUserId, compatibilityData) {
+  async generateStarters(userId, matchedUserId, compatibilityData, locale = null) {
     try {
       // Get both users' answers and analyses
       const [userAnswers, matchAnswers, userAnalysis, matchAnalysis] = await Promise.all([
@@ -36,18 +31,18 @@ class ConversationStarterService {
       // Generate AI suggestions
       const prompt = this._buildStarterPrompt(insights);
       
-      const completion = await this.client.chat.completions.create({
-        model: 'gpt-4-turbo-preview',
+      const suggestions = await aiGateway.chatJSON({
+        feature: 'conversation_starters',
+        userId,
+        context: { matchedUserId },
         messages: [
           { role: 'system', content: this._getSystemPrompt() },
           { role: 'user', content: prompt }
         ],
-        response_format: { type: 'json_object' },
         temperature: 0.7,
-        max_tokens: 1500
+        maxTokens: 1500,
+        locale
       });
-
-      const suggestions = JSON.parse(completion.choices[0].message.content);
       
       logger.info('Generated conversation starters', {
         userId,
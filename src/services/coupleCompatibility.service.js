@@ -2,6 +2,8 @@
 
 const mongoose = require('mongoose');
 const CoupleCompatibility = require('../models/CoupleCompatibility');
+const CompatibilitySnapshot = require('../models/CompatibilitySnapshot');
+const matchingWeightsService = require('./matchingWeights.service');
 const TwoTruthsLieGame = require('../models/TwoTruthsLieGame');
 const TwoTruthsLieStatement = require('../models/TwoTruthsLieStatement');
 const TwoTruthsLieVoiceNote = require('../models/TwoTruthsLieVoiceNote');
@@ -16,14 +18,11 @@ const WhatWouldYouDoScenario = require('../models/games/WhatWouldYouDoQuestion')
 const DreamBoardSession = require('../models/games/DreamBoardSession');
 const DreamBoardCategory = require('../models/games/DreamBoardCategory');
 const Match = require('../models/Match');
-const OpenAI = require('openai');
+const User = require('../models/User');
+const aiGateway = require('./ai');
+const gameRegistry = require('./games/gameRegistry');
 const logger = require('../utils/logger');
 
-// Initialize OpenAI
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 /**
  * COUPLE COMPATIBILITY SERVICE
  * 
@@ -36,6 +35,8 @@ const openai = new OpenAI({
  * - Aggregate insights (strengths, discussion areas, conversation starters)
  * - Generate AI narrative (requires 3+ games)
  * - Detect updates (new games since last generation)
+ * - Track how scores change over repeated games (trends)
+ * - Record every generation as a snapshot (timeline, snapshot diffs)
  */
 
 class CoupleCompatibilityService {
@@ -44,26 +45,23 @@ class CoupleCompatibilityService {
   // GAME TYPE CONSTANTS
   // =====================================================
 
-  static GAME_TYPES = [
-    'two_truths_lie',
-    'would_you_rather', 
-    'intimacy_spectrum',
-    'never_have_i_ever',
-    'what_would_you_do',
-    'dream_board'
-  ];
-
-  static DIMENSION_MAP = {
-    two_truths_lie: 'intuition',
-    would_you_rather: 'lifestyle',
-    intimacy_spectrum: 'physical',
-    never_have_i_ever: 'experience',
-    what_would_you_do: 'character',
-    dream_board: 'future'
-  };
+  // Registered games (services/games/gameRegistry.js)
+  static GAME_TYPES = gameRegistry.getTypes();
+
+  static DIMENSION_MAP = gameRegistry.getDimensionMap();
 
   static MINIMUM_GAMES_FOR_AI = 3;
 
+  // Most recent games of each type shown in trends
+  static TREND_SESSION_LIMIT = 10;
+
+  // Score change (points) below which a trend counts as steady
+  static TREND_STEADY_MARGIN = 5;
+
+  // Snapshots returned by the timeline (default / most)
+  static TIMELINE_DEFAULT_LIMIT = 50;
+  static TIMELINE_MAX_LIMIT = 100;
+
   // =====================================================
   // MAIN DASHBOARD
   // =====================================================
@@ -96,12 +94,16 @@ class CoupleCompatibilityService {
       const totalGamesCompleted = Object.values(currentGamesStatus)
         .filter(g => g.completed).length;
 
+      // Score change over repeated games (rematches)
+      const gameTrends = await this._buildGameTrends(player1Id, player2Id);
+
       // If no compatibility exists yet
       if (!compatibility) {
         return {
           matchId,
           exists: false,
           lastGeneratedAt: null,
+          snapshotVersion: 0,
           
           // Update detection
           updateAvailable: totalGamesCompleted > 0,
@@ -117,6 +119,7 @@ class CoupleCompatibilityService {
           totalGamesIncluded: 0,
           currentGamesStatus,
           totalGamesCompleted,
+          gameTrends,
           
           // Empty scores
           dimensionScores: this._getEmptyDimensionScores(),
@@ -150,6 +153,7 @@ class CoupleCompatibilityService {
         matchId,
         exists: true,
         lastGeneratedAt: compatibility.lastGeneratedAt,
+        snapshotVersion: compatibility.snapshotVersion,
         
         // Update detection
         updateAvailable: updateCheck.updateAvailable,
@@ -163,6 +167,7 @@ class CoupleCompatibilityService {
         // Live games status
         currentGamesStatus,
         totalGamesCompleted,
+        gameTrends,
         
         // Cached dimension scores
         dimensionScores: compatibility.dimensionScores,
@@ -257,7 +262,9 @@ class CoupleCompatibilityService {
       }
 
       // Calculate overall score
-      compatibility.calculateOverallScore();
+      const weightSet = await matchingWeightsService.getCompatibilityWeights();
+      compatibility.calculateOverallScore(weightSet.weights);
+      compatibility.weightSetVersion = weightSet.version;
 
       // Aggregate insights from all games
       this._aggregateInsights(compatibility, gameData);
@@ -275,14 +282,18 @@ class CoupleCompatibilityService {
 
       // Update generation timestamp
       compatibility.lastGeneratedAt = new Date();
-      
+
       // Save
       await compatibility.save();
 
+      // Keep this generation in the couple's history
+      await this._recordSnapshot(compatibility);
+
       logger.info('Compatibility generated successfully', { 
         matchId, 
         gamesIncluded: compatibility.totalGamesIncluded,
-        overallScore: compatibility.overallCompatibility.score 
+        overallScore: compatibility.overallCompatibility.score,
+        snapshotVersion: compatibility.snapshotVersion
       });
 
       // Return full dashboard
@@ -638,6 +649,448 @@ class CoupleCompatibilityService {
     };
   }
 
+  // =====================================================
+  // GAME TRENDS
+  // =====================================================
+
+  /**
+   * How each game's score changed over the couple's successive sessions
+   * (first game and its rematches)
+   *
+   * @param {ObjectId} matchId
+   * @param {ObjectId} userId
+   * @returns {Promise<Object>} { matchId, games: { gameType: trend } }
+   */
+  async getGameTrends(matchId, userId) {
+    try {
+      const match = await this._validateMatch(matchId, userId);
+      const { player1Id, player2Id } = this._getPlayerIds(match, userId);
+
+      return {
+        matchId,
+        games: await this._buildGameTrends(player1Id, player2Id)
+      };
+
+    } catch (error) {
+      logger.error('Error getting game trends:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Trend of every game for a couple
+   * Sessions are found by player IDs, so games started from either side of
+   * the match are included
+   */
+  async _buildGameTrends(player1Id, player2Id) {
+    const trends = {};
+
+    for (const gameType of CoupleCompatibilityService.GAME_TYPES) {
+      const sessions = await gameRegistry.getEngine(gameType).getCompletedSessions(
+        player1Id,
+        player2Id,
+        { limit: CoupleCompatibilityService.TREND_SESSION_LIMIT }
+      );
+      trends[gameType] = this._summarizeTrend(gameType, sessions);
+    }
+
+    return trends;
+  }
+
+  /**
+   * Scores of successive sessions, each compared with the one before
+   * @param {String} gameType
+   * @param {Array} sessions - Completed sessions, oldest first
+   */
+  _summarizeTrend(gameType, sessions) {
+    const points = sessions.map(session => {
+      const { sessionId, completedAt, score, quickSummary } = this._extractSnapshotData(gameType, session);
+      return { sessionId, completedAt, score, quickSummary, change: null };
+    });
+
+    points.forEach((point, index) => {
+      const previous = points[index - 1];
+      if (previous && previous.score != null && point.score != null) {
+        point.change = point.score - previous.score;
+      }
+    });
+
+    const scored = points.filter(point => point.score != null);
+    const firstScore = scored.length > 0 ? scored[0].score : null;
+    const latestScore = scored.length > 0 ? scored[scored.length - 1].score : null;
+    const change = scored.length >= 2 ? latestScore - firstScore : null;
+
+    let direction = null;
+    if (change !== null) {
+      const margin = CoupleCompatibilityService.TREND_STEADY_MARGIN;
+      direction = change >= margin ? 'improving' : change <= -margin ? 'declining' : 'steady';
+    }
+
+    return {
+      dimension: CoupleCompatibilityService.DIMENSION_MAP[gameType],
+      sessionsIncluded: points.length,
+      sessions: points,
+      firstScore,
+      latestScore,
+      change,
+      direction
+    };
+  }
+
+  // =====================================================
+  // SNAPSHOTS (TIMELINE & DIFF)
+  // =====================================================
+
+  /**
+   * Record a saved generation as the couple's next snapshot
+   * Saves the snapshot's version on the compatibility (snapshotVersion)
+   *
+   * @param {Document} compatibility - Freshly generated compatibility
+   * @param {Number} attempt - Retries after another generation took the version
+   * @returns {Promise<Object>} The snapshot
+   */
+  async _recordSnapshot(compatibility, attempt = 1) {
+    const previous = await CompatibilitySnapshot.findLatest(compatibility._id);
+
+    const dimensionScores = {};
+    for (const dimension of Object.values(CoupleCompatibilityService.DIMENSION_MAP)) {
+      const value = compatibility.dimensionScores[dimension] || {};
+      dimensionScores[dimension] = {
+        score: value.score,
+        available: value.available,
+        sourceGame: value.sourceGame,
+        sessionId: value.sourceGame
+          ? compatibility.gamesSnapshot[value.sourceGame]?.sessionId || null
+          : null
+      };
+    }
+
+    const games = {};
+    for (const gameType of CoupleCompatibilityService.GAME_TYPES) {
+      const { included, sessionId, completedAt, score } = compatibility.gamesSnapshot[gameType] || {};
+      games[gameType] = {
+        included: !!included,
+        sessionId: sessionId || null,
+        completedAt: completedAt || null,
+        score: score ?? null
+      };
+    }
+
+    let snapshot;
+    try {
+      snapshot = await CompatibilitySnapshot.create({
+        compatibilityId: compatibility._id,
+        matchId: compatibility.matchId,
+        player1Id: compatibility.player1Id,
+        player2Id: compatibility.player2Id,
+        version: (previous?.version || 0) + 1,
+        generatedAt: compatibility.lastGeneratedAt,
+        overallCompatibility: {
+          score: compatibility.overallCompatibility.score,
+          level: compatibility.overallCompatibility.level,
+          confidence: compatibility.overallCompatibility.confidence
+        },
+        dimensionScores,
+        games,
+        totalGamesIncluded: compatibility.totalGamesIncluded,
+        strengths: compatibility.strengths.map(item => item.area),
+        discussionAreas: compatibility.discussionAreas.map(item => item.area),
+        redFlags: compatibility.redFlags.map(item => item.flag),
+        aiInsightsAvailable: compatibility.aiInsightsAvailable,
+        changes: this._getGameChanges(previous?.games || {}, games)
+      });
+    } catch (error) {
+      // Another generation took the version first - number after it
+      if (error.code === 11000 && attempt < 3) {
+        return this._recordSnapshot(compatibility, attempt + 1);
+      }
+      throw error;
+    }
+
+    compatibility.snapshotVersion = snapshot.version;
+    await compatibility.save();
+
+    return snapshot;
+  }
+
+  /**
+   * Games that were added, replayed or removed between two snapshots
+   * @param {Object} fromGames - Earlier snapshot's games ({} for none)
+   * @param {Object} toGames - Later snapshot's games
+   * @returns {Array<Object>}
+   */
+  _getGameChanges(fromGames, toGames) {
+    const changes = [];
+
+    for (const gameType of CoupleCompatibilityService.GAME_TYPES) {
+      const before = fromGames[gameType] || {};
+      const after = toGames[gameType] || {};
+
+      let change = null;
+      if (after.included && !before.included) change = 'added';
+      else if (!after.included && before.included) change = 'removed';
+      else if (after.included && after.sessionId !== before.sessionId) change = 'replayed';
+
+      if (change) {
+        changes.push({
+          gameType,
+          change,
+          sessionId: after.included ? after.sessionId : null,
+          previousSessionId: before.included ? before.sessionId : null,
+          score: after.included ? after.score : null,
+          previousScore: before.included ? before.score : null
+        });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Overall and per-dimension scores over the couple's generations,
+   * with the games behind each change
+   *
+   * @param {ObjectId} matchId
+   * @param {ObjectId} userId
+   * @param {Object} options
+   * @param {Number} options.limit - Most recent snapshots to include
+   * @returns {Promise<Object>} { matchId, totalSnapshots, snapshots, dimensions }
+   */
+  async getTimeline(matchId, userId, { limit = CoupleCompatibilityService.TIMELINE_DEFAULT_LIMIT } = {}) {
+    try {
+      const match = await this._validateMatch(matchId, userId);
+      const { player1Id, player2Id } = this._getPlayerIds(match, userId);
+
+      const compatibility = await this._findCompatibilityForCouple(matchId, player1Id, player2Id);
+      const snapshots = compatibility
+        ? await CompatibilitySnapshot.getTimeline(
+          compatibility._id,
+          Math.min(limit, CoupleCompatibilityService.TIMELINE_MAX_LIMIT)
+        )
+        : [];
+
+      const displayInfo = CoupleCompatibility.getGameDisplayInfo();
+      const dimensions = Object.fromEntries(
+        Object.values(CoupleCompatibilityService.DIMENSION_MAP).map(dimension => [dimension, []])
+      );
+
+      const points = snapshots.map((snapshot, index) => {
+        const previous = snapshots[index - 1];
+
+        for (const [dimension, series] of Object.entries(dimensions)) {
+          const value = snapshot.dimensionScores?.[dimension] || {};
+          const previousScore = previous?.dimensionScores?.[dimension]?.score;
+
+          series.push({
+            version: snapshot.version,
+            generatedAt: snapshot.generatedAt,
+            score: value.score ?? null,
+            change: value.score != null && previousScore != null ? value.score - previousScore : null,
+            sourceGame: value.sourceGame || null,
+            sessionId: value.sessionId || null
+          });
+        }
+
+        const score = snapshot.overallCompatibility?.score ?? null;
+        const previousScore = previous?.overallCompatibility?.score ?? null;
+
+        return {
+          version: snapshot.version,
+          generatedAt: snapshot.generatedAt,
+          overallScore: score,
+          change: score != null && previousScore != null ? score - previousScore : null,
+          level: snapshot.overallCompatibility?.level || null,
+          confidence: snapshot.overallCompatibility?.confidence || 'minimal',
+          totalGamesIncluded: snapshot.totalGamesIncluded,
+          dimensionScores: Object.fromEntries(
+            Object.keys(dimensions).map(dimension => [
+              dimension,
+              snapshot.dimensionScores?.[dimension]?.score ?? null
+            ])
+          ),
+          // Games that caused this snapshot's changes
+          causedBy: snapshot.changes.map(change => ({
+            ...change,
+            displayName: displayInfo[change.gameType]?.displayName,
+            dimension: CoupleCompatibilityService.DIMENSION_MAP[change.gameType]
+          }))
+        };
+      });
+
+      return {
+        matchId,
+        exists: !!compatibility,
+        currentVersion: compatibility?.snapshotVersion || 0,
+        totalSnapshots: points.length,
+        snapshots: points,
+        dimensions
+      };
+
+    } catch (error) {
+      logger.error('Error getting compatibility timeline:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * What changed between two snapshots, and which games caused it
+   * Defaults to the latest snapshot against the one before it
+   *
+   * @param {ObjectId} matchId
+   * @param {ObjectId} userId
+   * @param {Object} versions
+   * @param {Number} versions.from - Earlier snapshot version
+   * @param {Number} versions.to - Later snapshot version
+   * @returns {Promise<Object>} Diff
+   */
+  async getSnapshotDiff(matchId, userId, { from = null, to = null } = {}) {
+    try {
+      const match = await this._validateMatch(matchId, userId);
+      const { player1Id, player2Id } = this._getPlayerIds(match, userId);
+
+      const compatibility = await this._findCompatibilityForCouple(matchId, player1Id, player2Id);
+      if (!compatibility || !compatibility.snapshotVersion) {
+        throw new Error('No compatibility history for this match');
+      }
+
+      const toVersion = to || compatibility.snapshotVersion;
+      const fromVersion = from || toVersion - 1;
+
+      if (fromVersion < 1) {
+        throw new Error('At least two snapshots are needed to compare');
+      }
+      if (fromVersion >= toVersion) {
+        throw new Error('The from snapshot must be earlier than the to snapshot');
+      }
+
+      const [fromSnapshot, toSnapshot] = await Promise.all([
+        CompatibilitySnapshot.findVersion(compatibility._id, fromVersion),
+        CompatibilitySnapshot.findVersion(compatibility._id, toVersion)
+      ]);
+
+      if (!fromSnapshot || !toSnapshot) {
+        throw new Error('Snapshot not found');
+      }
+
+      return {
+        matchId,
+        ...this._diffSnapshots(fromSnapshot, toSnapshot)
+      };
+
+    } catch (error) {
+      logger.error('Error getting compatibility snapshot diff:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Compare two snapshots of the same couple
+   * @param {Object} fromSnapshot - Earlier snapshot
+   * @param {Object} toSnapshot - Later snapshot
+   */
+  _diffSnapshots(fromSnapshot, toSnapshot) {
+    const displayInfo = CoupleCompatibility.getGameDisplayInfo();
+    const scoreChange = (before, after) =>
+      before != null && after != null ? after - before : null;
+
+    const games = this._getGameChanges(fromSnapshot.games || {}, toSnapshot.games || {})
+      .map(change => ({
+        ...change,
+        displayName: displayInfo[change.gameType]?.displayName,
+        dimension: CoupleCompatibilityService.DIMENSION_MAP[change.gameType]
+      }));
+    const gameChanges = new Map(games.map(change => [change.gameType, change]));
+
+    const dimensions = {};
+    for (const [gameType, dimension] of Object.entries(CoupleCompatibilityService.DIMENSION_MAP)) {
+      const before = fromSnapshot.dimensionScores?.[dimension] || {};
+      const after = toSnapshot.dimensionScores?.[dimension] || {};
+
+      dimensions[dimension] = {
+        label: displayInfo[gameType]?.dimensionLabel,
+        sourceGame: gameType,
+        from: before.score ?? null,
+        to: after.score ?? null,
+        change: scoreChange(before.score, after.score),
+        // added / replayed / removed, null when the same session is behind both
+        cause: gameChanges.get(gameType)?.change || null,
+        fromSessionId: before.sessionId || null,
+        toSessionId: after.sessionId || null
+      };
+    }
+
+    const listDiff = (before = [], after = []) => ({
+      added: after.filter(item => !before.includes(item)),
+      removed: before.filter(item => !after.includes(item))
+    });
+
+    const fromOverall = fromSnapshot.overallCompatibility || {};
+    const toOverall = toSnapshot.overallCompatibility || {};
+
+    const diff = {
+      from: { version: fromSnapshot.version, generatedAt: fromSnapshot.generatedAt },
+      to: { version: toSnapshot.version, generatedAt: toSnapshot.generatedAt },
+      overall: {
+        from: fromOverall.score ?? null,
+        to: toOverall.score ?? null,
+        change: scoreChange(fromOverall.score, toOverall.score),
+        levelFrom: fromOverall.level || null,
+        levelTo: toOverall.level || null,
+        confidenceFrom: fromOverall.confidence || 'minimal',
+        confidenceTo: toOverall.confidence || 'minimal'
+      },
+      dimensions,
+      games,
+      strengths: listDiff(fromSnapshot.strengths, toSnapshot.strengths),
+      discussionAreas: listDiff(fromSnapshot.discussionAreas, toSnapshot.discussionAreas),
+      redFlags: listDiff(fromSnapshot.redFlags, toSnapshot.redFlags)
+    };
+
+    diff.explanation = this._explainDiff(diff, displayInfo);
+
+    return diff;
+  }
+
+  /**
+   * Plain-language lines describing a snapshot diff
+   */
+  _explainDiff(diff, displayInfo) {
+    const lines = [];
+    const { overall } = diff;
+
+    if (overall.change !== null && overall.change !== 0) {
+      lines.push(
+        `Overall compatibility ${overall.change > 0 ? 'rose' : 'fell'} from ${overall.from} to ${overall.to}`
+      );
+    } else if (overall.from === null && overall.to !== null) {
+      lines.push(`Overall compatibility is now ${overall.to}`);
+    }
+
+    if (overall.levelFrom !== overall.levelTo && overall.levelTo) {
+      const levelInfo = CoupleCompatibility.getCompatibilityLevelInfo()[overall.levelTo];
+      lines.push(`Compatibility level is now ${levelInfo?.label || overall.levelTo}`);
+    }
+
+    for (const dimension of Object.values(diff.dimensions)) {
+      const gameName = displayInfo[dimension.sourceGame]?.displayName;
+
+      if (dimension.cause === 'added') {
+        lines.push(`${dimension.label} scored ${dimension.to} from your first ${gameName} game`);
+      } else if (dimension.cause === 'removed') {
+        lines.push(`${dimension.label} is no longer scored (no ${gameName} game included)`);
+      } else if (dimension.cause === 'replayed' && dimension.change !== null) {
+        lines.push(dimension.change === 0
+          ? `${dimension.label} stayed at ${dimension.to} after a new ${gameName} game`
+          : `${dimension.label} ${dimension.change > 0 ? 'rose' : 'fell'} from ${dimension.from} to ${dimension.to} after a new ${gameName} game`);
+      }
+    }
+
+    diff.strengths.added.forEach(area => lines.push(`New strength: ${area}`));
+    diff.discussionAreas.added.forEach(area => lines.push(`New area to discuss: ${area}`));
+
+    return lines;
+  }
+
   // =====================================================
   // GAME DETAILS
   // =====================================================
@@ -1172,7 +1625,7 @@ class CoupleCompatibilityService {
           completedAt: session.completedAt,
           score: session.results?.compatibilityScore || 0,
           quickSummary: session.aiInsights?.summary?.substring(0, 200) ||
-            `${session.results?.matchedAnswers || 0}/50 matched`
+            `${session.results?.matchedAnswers || 0}/${session.results?.totalQuestions || 50} matched`
         };
 
       case 'intimacy_spectrum':
@@ -1181,7 +1634,8 @@ class CoupleCompatibilityService {
           completedAt: session.completedAt,
           score: session.results?.compatibilityScore || 0,
           quickSummary: session.aiInsights?.summary?.substring(0, 200) ||
-            `Average gap: ${session.results?.averageGap || 0} points`
+            `Average gap: ${session.results?.averageGap || 0} points`,
+          ...this._extractBoundaryCoverage(session)
         };
 
       case 'never_have_i_ever':
@@ -1190,7 +1644,8 @@ class CoupleCompatibilityService {
           completedAt: session.completedAt,
           score: session.results?.compatibilityScore || 0,
           quickSummary: session.aiInsights?.summary?.substring(0, 200) ||
-            `${session.results?.sharedExperiences || 0} shared experiences`
+            `${session.results?.sharedExperiences || 0} shared experiences`,
+          ...this._extractBoundaryCoverage(session)
         };
 
       case 'what_would_you_do':
@@ -1221,6 +1676,29 @@ class CoupleCompatibilityService {
     }
   }
 
+  /**
+   * How much of a 30-question game was actually scored, given the session's
+   * excluded categories and "I'd rather not say" answers
+   * @param {Object} session - Intimacy Spectrum / Never Have I Ever session
+   * @returns {Object} { coverage, excludedCategories, ratherNotSay }
+   */
+  _extractBoundaryCoverage(session) {
+    const questionOrder = session.questionOrder || [];
+    const skipped = new Set(
+      [...(session.player1?.answers || []), ...(session.player2?.answers || [])]
+        .filter(answer => answer.ratherNotSay)
+        .map(answer => answer.questionNumber)
+    );
+
+    const scored = questionOrder.filter(number => !skipped.has(number)).length;
+
+    return {
+      coverage: questionOrder.length > 0 ? Math.round((scored / 30) * 100) / 100 : 1,
+      excludedCategories: session.excludedCategories || [],
+      ratherNotSay: skipped.size
+    };
+  }
+
   /**
    * Calculate TTL score if not present
    */
@@ -1463,25 +1941,18 @@ Be romantic and encouraging but honest. Focus on actionable insights. Use warm,
 Return ONLY valid JSON, no markdown or explanation.`;
 
     try {
-      const response = await openai.chat.completions.create({
-        model: 'gpt-4o',
+      const insights = await aiGateway.chatJSON({
+        feature: 'couple_insights',
+        userId: player1Id,
+        context: { player2Id },
         messages: [
           { role: 'system', content: 'You are a romantic relationship analyst. Return only valid JSON.' },
           { role: 'user', content: prompt }
         ],
         temperature: 0.7,
-        max_tokens: 2000
+        maxTokens: 2000,
+        locale: await User.getSharedLocale([player1Id, player2Id])
       });
-
-      const content = response.choices[0].message.content.trim();
-      
-      // Parse JSON (handle potential markdown code blocks)
-      let jsonStr = content;
-      if (content.startsWith('```')) {
-        jsonStr = content.replace(/```json?\n?/g, '').replace(/```$/g, '').trim();
-      }
-
-      const insights = JSON.parse(jsonStr);
       
       logger.info('AI insights generated successfully');
       return insights;
@@ -1498,7 +1969,13 @@ Return ONLY valid JSON, no markdown or explanation.`;
   _buildAIContext(compatibility, gameData) {
     let context = `## Overall Scores\n`;
     context += `Overall Compatibility: ${compatibility.overallCompatibility.score || 'N/A'}%\n`;
-    context += `Confidence Level: ${compatibility.overallCompatibility.confidence}\n\n`;
+    context += `Confidence Level: ${compatibility.overallCompatibility.confidence}\n`;
+    for (const note of compatibility.overallCompatibility.confidenceNotes || []) {
+      context += `- ${note.gameType} only partly played: `;
+      context += `${note.excludedCategories.length} categories excluded by the couple's comfort settings, `;
+      context += `${note.ratherNotSay} questions answered "I'd rather not say" (do not speculate about these)\n`;
+    }
+    context += `\n`;
 
     context += `## Dimension Scores\n`;
     for (const [dim, data] of Object.entries(compatibility.dimensionScores)) {
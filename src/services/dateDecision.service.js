@@ -7,6 +7,7 @@ const AnswerAnalysis = require('../models/AnswerAnalysis');
 const Match = require('../models/Match');
 const User = require('../models/User');
 const Block = require('../models/Block');
+const gameRegistry = require('./games/gameRegistry');
 const logger = require('../utils/logger');
 
 /**
@@ -49,23 +50,10 @@ class DateDecisionService {
     // Below 45 = not_yet
   };
 
-  static GAME_TYPES = [
-    'two_truths_lie',
-    'would_you_rather',
-    'intimacy_spectrum',
-    'never_have_i_ever',
-    'what_would_you_do',
-    'dream_board'
-  ];
-
-  static DIMENSION_TO_GAME = {
-    intuition: 'two_truths_lie',
-    lifestyle: 'would_you_rather',
-    physical: 'intimacy_spectrum',
-    experience: 'never_have_i_ever',
-    character: 'what_would_you_do',
-    future: 'dream_board'
-  };
+  // Registered games (services/games/gameRegistry.js)
+  static GAME_TYPES = gameRegistry.getTypes();
+
+  static DIMENSION_TO_GAME = gameRegistry.getGameByDimension();
 
   static DEALBREAKER_CATEGORIES = ['kids', 'religion', 'location', 'lifestyle', 'values'];
 
@@ -80,9 +68,10 @@ class DateDecisionService {
    * @param {ObjectId} matchId - The match ID
    * @param {ObjectId} userId - Requesting user (for validation)
    * @param {Boolean} forceRefresh - Force regeneration
+   * @param {String} locale - Language of display labels (optional)
    * @returns {Promise<Object>} Date decision data
    */
-  async getDateReadiness(matchId, userId, forceRefresh = false) {
+  async getDateReadiness(matchId, userId, forceRefresh = false, locale = null) {
     try {
       logger.info('Getting date readiness', { matchId, userId, forceRefresh });
 
@@ -106,7 +95,7 @@ class DateDecisionService {
       decision.markViewed(userId);
       await decision.save();
 
-      return this._formatDecisionResponse(decision, userId);
+      return this._formatDecisionResponse(decision, userId, locale);
 
     } catch (error) {
       logger.error('Error getting date readiness:', error);
@@ -285,7 +274,7 @@ class DateDecisionService {
   /**
    * Quick status check (lightweight)
    */
-  async getQuickStatus(matchId, userId) {
+  async getQuickStatus(matchId, userId, locale = null) {
     try {
       const match = await this._validateMatch(matchId, userId);
       const { player1Id, player2Id } = this._getPlayerIds(match, userId);
@@ -305,7 +294,7 @@ class DateDecisionService {
         exists: true,
         decision: decision.decision,
         decisionEmoji: decision.decisionEmoji,
-        decisionLabel: decision.decisionLabel,
+        decisionLabel: decision.getDecisionLabel(locale),
         readinessScore: decision.readinessScore,
         datePlanAvailable: decision.datePlanAvailable,
         generatedAt: decision.generatedAt
@@ -948,14 +937,14 @@ class DateDecisionService {
   /**
    * Format decision response for API
    */
-  _formatDecisionResponse(decision, userId) {
+  _formatDecisionResponse(decision, userId, locale = null) {
     return {
       matchId: decision.matchId,
       
       // Core decision
       decision: decision.decision,
       decisionEmoji: decision.decisionEmoji,
-      decisionLabel: decision.decisionLabel,
+      decisionLabel: decision.getDecisionLabel(locale),
       readinessScore: decision.readinessScore,
       
       // Score breakdown
@@ -1007,7 +996,7 @@ class DateDecisionService {
       hasViewed: decision.hasViewed(userId),
       
       // Static info
-      decisionInfo: DateDecision.getDecisionInfo()
+      decisionInfo: DateDecision.getDecisionInfo(locale)
     };
   }
 }
@@ -1,7 +1,7 @@
 // src/services/datePlanning.service.js
 
 const mongoose = require('mongoose');
-const OpenAI = require('openai');
+const aiGateway = require('./ai');
 const DateDecision = require('../models/DateDecision');
 const CoupleCompatibility = require('../models/CoupleCompatibility');
 const User = require('../models/User');
@@ -15,6 +15,7 @@ const WhatWouldYouDoSession = require('../models/games/WhatWouldYouDoSession');
 const NeverHaveIEverSession = require('../models/games/NeverHaveIEverSession');
 
 const logger = require('../utils/logger');
+const { getSharedLocale } = require('../utils/i18n');
 
 /**
  * DATE PLANNING SERVICE
@@ -31,12 +32,6 @@ const logger = require('../utils/logger');
 
 class DatePlanningService {
 
-  constructor() {
-    this.openai = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-  }
-
   // =====================================================
   // MAIN PUBLIC METHODS
   // =====================================================
@@ -65,8 +60,8 @@ class DatePlanningService {
 
       // Get user profiles with location
       const [player1, player2] = await Promise.all([
-        User.findById(player1Id).select('firstName location preferences'),
-        User.findById(player2Id).select('firstName location preferences')
+        User.findById(player1Id).select('firstName location preferences locale'),
+        User.findById(player2Id).select('firstName location preferences locale')
       ]);
 
       // Get CoupleCompatibility for existing insights
@@ -87,7 +82,9 @@ class DatePlanningService {
         locationInfo,
         compatibility,
         player1?.firstName,
-        player2?.firstName
+        player2?.firstName,
+        { userId, matchId },
+        getSharedLocale([player1, player2])
       );
 
       // ==================== BUILD CONVERSATION STARTERS ====================
@@ -519,13 +516,17 @@ class DatePlanningService {
 
   /**
    * Generate date plan using GPT-4o
+   * @param {Object} accounting - { userId, matchId } the AI call is recorded against
+   * @param {String} locale - Language both players read the plan in
    */
-  async _generateGPTDatePlan(preferences, locationInfo, compatibility, player1Name, player2Name) {
+  async _generateGPTDatePlan(preferences, locationInfo, compatibility, player1Name, player2Name, accounting = {}, locale = null) {
     try {
       const prompt = this._buildDatePlanPrompt(preferences, locationInfo, compatibility, player1Name, player2Name);
 
-      const response = await this.openai.chat.completions.create({
-        model: 'gpt-4o',
+      const parsed = await aiGateway.chatJSON({
+        feature: 'date_plan',
+        userId: accounting.userId,
+        context: { matchId: accounting.matchId },
         messages: [
           {
             role: 'system',
@@ -549,13 +550,10 @@ Respond in valid JSON format only.`
           }
         ],
         temperature: 0.7,
-        max_tokens: 1500,
-        response_format: { type: 'json_object' }
+        maxTokens: 1500,
+        locale
       });
 
-      const content = response.choices[0]?.message?.content;
-      const parsed = JSON.parse(content);
-
       return this._formatGPTResponse(parsed, locationInfo);
 
     } catch (error) {
@@ -0,0 +1,106 @@
+// src/services/dimensionScorers.js
+
+/**
+ * DIMENSION SCORERS
+ *
+ * Scorers used by the matching algorithms (config/matchingAlgorithms.js).
+ * Each takes both users' AnswerAnalysis for a dimension and returns a
+ * 0-100 score, or null when it can't score the pair.
+ */
+
+const clamp = (score) => Math.max(0, Math.min(100, score));
+
+const known = (value) => value !== undefined && value !== null && value !== 'unknown';
+
+const dimensionScore = (analysis, dimension) => {
+  const score = analysis.dimensionScores?.[dimension]?.score;
+  return typeof score === 'number' ? score : null;
+};
+
+const trait = (analysis, name) => {
+  const value = analysis.personalityProfile?.[name];
+  return known(value) ? value : null;
+};
+
+const SCORERS = {
+  /**
+   * 100 minus the gap between the two dimension scores
+   */
+  similarity(analysis1, analysis2, dimension) {
+    const score1 = dimensionScore(analysis1, dimension);
+    const score2 = dimensionScore(analysis2, dimension);
+    if (score1 === null || score2 === null) return null;
+
+    return clamp(100 - Math.abs(score1 - score2));
+  },
+
+  /**
+   * 100 at the ideal gap between two values, less the further from it
+   * Compares a numeric trait if given, else the dimension scores
+   */
+  complementarity(analysis1, analysis2, dimension, { trait: name, idealGap = 50 }) {
+    const value1 = name ? trait(analysis1, name) : dimensionScore(analysis1, dimension);
+    const value2 = name ? trait(analysis2, name) : dimensionScore(analysis2, dimension);
+    if (typeof value1 !== 'number' || typeof value2 !== 'number') return null;
+
+    return clamp(100 - Math.abs(Math.abs(value1 - value2) - idealGap));
+  },
+
+  /**
+   * Score of the pair of a categorical trait, from a table keyed by the
+   * two values in alphabetical order ('anxious+avoidant')
+   */
+  pairing(analysis1, analysis2, dimension, { trait: name, pairs, defaultScore = null }) {
+    const value1 = trait(analysis1, name);
+    const value2 = trait(analysis2, name);
+    if (!value1 || !value2) return null;
+
+    return pairs[[value1, value2].sort().join('+')] ?? defaultScore;
+  },
+
+  /**
+   * Shared main love language, or one's main being the other's secondary
+   */
+  love_languages(analysis1, analysis2) {
+    const dominant1 = trait(analysis1, 'dominant_love_language');
+    const dominant2 = trait(analysis2, 'dominant_love_language');
+    if (!dominant1 || !dominant2) return null;
+
+    if (dominant1 === dominant2) return 100;
+
+    const secondary1 = trait(analysis1, 'secondary_love_language');
+    const secondary2 = trait(analysis2, 'secondary_love_language');
+    if (dominant1 === secondary2 && dominant2 === secondary1) return 85;
+    if (dominant1 === secondary2 || dominant2 === secondary1) return 70;
+
+    return 40;
+  },
+};
+
+/**
+ * Score one dimension of a pair with an algorithm's components
+ * @param {Object} analysis1 - AnswerAnalysis
+ * @param {Object} analysis2 - AnswerAnalysis
+ * @param {String} dimension - e.g. 'emotional_intimacy'
+ * @param {Array} components - [{ scorer, weight, ...options }]
+ * @returns {Number|null} 0-100, or null if no component could score
+ */
+const scoreDimension = (analysis1, analysis2, dimension, components) => {
+  let weightedSum = 0;
+  let totalWeight = 0;
+
+  components.forEach(({ scorer, weight, ...options }) => {
+    const score = SCORERS[scorer](analysis1, analysis2, dimension, options);
+    if (score === null) return;
+
+    weightedSum += score * weight;
+    totalWeight += weight;
+  });
+
+  return totalWeight > 0 ? Math.round(weightedSum / totalWeight) : null;
+};
+
+module.exports = {
+  SCORERS,
+  scoreDimension,
+};
@@ -1,4 +1,6 @@
 const logger = require('../utils/logger');
+const entitlementService = require('./entitlement.service');
+const { ENTITLEMENTS } = require('./subscription/plans');
 
 /**
  * Distance Service
@@ -105,24 +107,31 @@ class DistanceService {
   }
 
   /**
-   * Get distance limit based on user's premium status
+   * Get distance limit based on the user's entitlements
    * 
    * @param {Object} user - User object
    * @returns {Number} - Maximum distance in kilometers
    */
   static getDistanceLimit(user) {
-    const isPremium = user.isPremium && user.premiumExpiry > new Date();
-    
-    // In development mode, allow manual premium testing
-    if (process.env.NODE_ENV === 'development' && 
-        process.env.PREMIUM_TESTING_ENABLED === 'true') {
-      return isPremium ? 
-        parseInt(process.env.MATCHING_PREMIUM_DISTANCE_KM || 100) : 
-        parseInt(process.env.MATCHING_MAX_DISTANCE_KM || 50);
-    }
+    const extended = entitlementService.hasEntitlement(user, ENTITLEMENTS.EXTENDED_DISTANCE);
 
-    // Production limits
-    return isPremium ? 100 : 50; // Premium: 100km, Basic: 50km
+    return extended ?
+      parseInt(process.env.MATCHING_PREMIUM_DISTANCE_KM || 100) : // Premium: 100km
+      parseInt(process.env.MATCHING_MAX_DISTANCE_KM || 50);       // Basic: 50km
+  }
+
+  /**
+   * Get the radius a user searches within: their chosen max distance
+   * (discoveryPreferences.maxDistanceKm), capped by their plan's limit
+   * 
+   * @param {Object} user - User object
+   * @returns {Number} - Maximum distance in kilometers
+   */
+  static getSearchRadius(user) {
+    const limit = this.getDistanceLimit(user);
+    const chosen = user?.discoveryPreferences?.maxDistanceKm;
+
+    return chosen ? Math.min(chosen, limit) : limit;
   }
 
   /**
@@ -133,7 +142,7 @@ class DistanceService {
    * @returns {Array} - Filtered users within distance limit
    */
   static filterByDistance(currentUser, candidateUsers) {
-    const maxDistance = this.getDistanceLimit(currentUser);
+    const maxDistance = this.getSearchRadius(currentUser);
 
     return candidateUsers.filter(candidate => {
       const distance = this.calculateDistanceBetweenUsers(currentUser, candidate);
@@ -233,6 +242,73 @@ class DistanceService {
     }
   }
 
+  /**
+   * Get a $geoNear aggregation stage for nearby users (nearest first)
+   * Uses the 2dsphere index on location.coordinates
+   *
+   * @param {Object} user - User object with location
+   * @param {Number} maxDistanceKm - Maximum distance in kilometers
+   * @param {Object} query - Additional filter applied by the index scan
+   * @param {Number} minDistanceMeters - Skip users closer than this (for paging)
+   * @returns {Object|null} - $geoNear stage (distanceMeters is added to each result), null without location
+   */
+  static getGeoNearStage(user, maxDistanceKm, query = {}, minDistanceMeters = 0) {
+    if (!this.hasCoordinates(user)) {
+      return null;
+    }
+
+    return {
+      $geoNear: {
+        near: {
+          type: 'Point',
+          coordinates: user.location.coordinates
+        },
+        key: 'location.coordinates',
+        distanceField: 'distanceMeters',
+        spherical: true,
+        maxDistance: maxDistanceKm * 1000,
+        minDistance: minDistanceMeters,
+        query
+      }
+    };
+  }
+
+  /**
+   * Check if a user has usable location coordinates
+   *
+   * @param {Object} user - User object
+   * @returns {Boolean}
+   */
+  static hasCoordinates(user) {
+    const coordinates = user?.location?.coordinates;
+
+    return Array.isArray(coordinates) &&
+      coordinates.length === 2 &&
+      this._isValidCoordinate(coordinates[1], coordinates[0]);
+  }
+
+  /**
+   * Get a count-friendly filter for users within a radius
+   * ($geoWithin, unlike $near / $geoNear, works with countDocuments)
+   *
+   * @param {Object} user - User object with location
+   * @param {Number} maxDistanceKm - Maximum distance in kilometers
+   * @returns {Object} - MongoDB query object ({} without location)
+   */
+  static getWithinRadiusQuery(user, maxDistanceKm) {
+    if (!this.hasCoordinates(user)) {
+      return {};
+    }
+
+    return {
+      'location.coordinates': {
+        $geoWithin: {
+          $centerSphere: [user.location.coordinates, maxDistanceKm / 6371]
+        }
+      }
+    };
+  }
+
   /**
    * Get MongoDB geospatial query for nearby users
    * Useful for optimizing database queries
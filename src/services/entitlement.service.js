@@ -0,0 +1,65 @@
+// src/services/entitlement.service.js
+
+const { PREMIUM_ENTITLEMENTS, getPlan } = require('./subscription/plans');
+
+/**
+ * ENTITLEMENT SERVICE
+ *
+ * Single answer to "what can this user do?". Reads the premium fields the
+ * subscription service keeps on the user (isPremium, premiumExpiry,
+ * premiumPlan), so checks stay synchronous and need no extra query.
+ */
+
+class EntitlementService {
+  /**
+   * Whether the user currently has premium access
+   * @param {Object} user - User document (or lean object)
+   * @returns {Boolean}
+   */
+  isPremium(user) {
+    return !!(user && user.isPremium && user.premiumExpiry && user.premiumExpiry > new Date());
+  }
+
+  /**
+   * Entitlements currently granted to the user
+   * @param {Object} user - User document
+   * @returns {Array<String>}
+   */
+  getEntitlements(user) {
+    if (!this.isPremium(user)) {
+      return [];
+    }
+
+    // Premium granted before plans existed gets the standard set
+    const plan = getPlan(user.premiumPlan);
+    return plan ? [...plan.entitlements] : [...PREMIUM_ENTITLEMENTS];
+  }
+
+  /**
+   * Whether the user has an entitlement
+   * @param {Object} user - User document
+   * @param {String} entitlement - Entitlement key (see ENTITLEMENTS)
+   * @returns {Boolean}
+   */
+  hasEntitlement(user, entitlement) {
+    return this.getEntitlements(user).includes(entitlement);
+  }
+
+  /**
+   * Client-facing summary
+   * @param {Object} user - User document
+   * @returns {Object} { tier, planId, expiresAt, entitlements }
+   */
+  getSummary(user) {
+    const isPremium = this.isPremium(user);
+
+    return {
+      tier: isPremium ? 'premium' : 'free',
+      planId: isPremium ? user.premiumPlan || null : null,
+      expiresAt: isPremium ? user.premiumExpiry : null,
+      entitlements: this.getEntitlements(user),
+    };
+  }
+}
+
+module.exports = new EntitlementService();
@@ -2,19 +2,13 @@
 
 const DreamBoardCategory = require('../../models/games/DreamBoardCategory');
 const DreamBoardSession = require('../../models/games/DreamBoardSession');
-const Match = require('../../models/Match');
 const User = require('../../models/User');
 const s3Service = require('../s3.service');
-const OpenAI = require('openai');
+const gameEventsService = require('./gameEvents.service');
+const GameEngine = require('./gameEngine');
+const aiGateway = require('../ai');
 const logger = require('../../utils/logger');
-const fs = require('fs');
-const path = require('path');
-const os = require('os');
-
-// Initialize OpenAI client
-const openaiClient = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const ApiError = require('../../utils/apiError');
 
 /**
  * DREAM BOARD - GAME SERVICE
@@ -29,58 +23,24 @@ const openaiClient = new OpenAI({
  * - Per-category alignment scoring (enhanced by voice context)
  * - AI-powered romantic compatibility insights
  * - Post-game discussion via voice notes
+ *
+ * Invitations, history, abandoning, discussion notes and insights run in
+ * GameEngine through the hooks below.
  */
 
-class DreamBoardService {
+class DreamBoardService extends GameEngine {
+  constructor() {
+    super('dream_board');
+  }
 
   // =====================================================
-  // INVITATION MANAGEMENT
+  // GAME HOOKS (see GameEngine)
   // =====================================================
 
   /**
-   * Create a new game invitation
-   * @param {ObjectId} initiatorId - User sending invitation
-   * @param {ObjectId} matchId - The match to play with
-   * @returns {Promise<Object>} Session and invited user info
+   * Create the session of a new invitation (48 hours to accept)
    */
-  async createInvitation(initiatorId, matchId) {
-    // Validate match exists
-    const match = await Match.findById(matchId);
-    if (!match) {
-      throw new Error('Match not found');
-    }
-
-    // Determine players
-    const user1Id = match.userId.toString();
-    const user2Id = match.matchedUserId.toString();
-    const initiatorIdStr = initiatorId.toString();
-
-    if (initiatorIdStr !== user1Id && initiatorIdStr !== user2Id) {
-      throw new Error('You are not part of this match');
-    }
-
-    // Check mutual match
-    if (!match.isMutualMatch) {
-      throw new Error('Both users must have liked each other to play games');
-    }
-
-    const invitedUserId = initiatorIdStr === user1Id ? user2Id : user1Id;
-
-    // Check for existing active game
-    const existingGame = await DreamBoardSession.hasActiveGame(initiatorId, invitedUserId);
-    if (existingGame) {
-      throw new Error('An active Dream Board game already exists between you two');
-    }
-
-    // Get invited user info
-    const invitedUser = await User.findById(invitedUserId)
-      .select('firstName lastName username profilePhoto');
-
-    if (!invitedUser) {
-      throw new Error('Invited user not found');
-    }
-
-    // Create session
+  async buildSession({ matchId, initiatorId, invitedUserId }) {
     const session = new DreamBoardSession({
       matchId,
       player1: {
@@ -110,130 +70,80 @@ class DreamBoardService {
       invited: invitedUserId
     });
 
+    return session;
+  }
+
+  getSessionDetails() {
     return {
-      session,
-      invitedUser: {
-        userId: invitedUser._id,
-        firstName: invitedUser.firstName,
-        lastName: invitedUser.lastName,
-        username: invitedUser.username,
-        profilePhoto: invitedUser.profilePhoto
-      }
+      categoryCount: 10
+    };
+  }
+
+  getHistoryResult(session) {
+    return {
+      overallAlignment: session.results?.overallAlignment || 0,
+      alignedCount: session.results?.alignedCount || 0
     };
   }
 
   /**
-   * Accept a game invitation
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User accepting
-   * @returns {Promise<Object>} Updated session
+   * Discussion notes may be about one category (relatedTo: 1-10)
    */
-  async acceptInvitation(sessionId, userId) {
-    const session = await DreamBoardSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
+  async storeVoiceNote(session, userId, { audioUrl, duration, relatedTo }) {
+    if (relatedTo !== null && !(relatedTo >= 1 && relatedTo <= 10)) {
+      throw ApiError.badRequest('Category number must be between 1 and 10');
     }
 
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
-    if (userId.toString() !== p2Id) {
-      throw new Error('Only the invited player can accept');
-    }
-
-    if (session.status !== 'pending') {
-      throw new Error('Invitation is no longer pending');
-    }
-
-    if (new Date() > session.expiresAt) {
-      session.status = 'expired';
-      await session.save();
-      throw new Error('Invitation has expired');
-    }
-
-    session.status = 'active';
-    session.acceptedAt = new Date();
-    session.lastActivityAt = new Date();
+    session.addDiscussionNote(userId, audioUrl, duration, relatedTo);
     await session.save();
 
-    logger.info('Dream Board invitation accepted', {
+    logger.info('Dream Board discussion note added', {
       sessionId: session.sessionId,
-      userId: userId
+      userId,
+      categoryNumber: relatedTo,
+      duration
     });
 
-    return session;
+    const notes = await this.listVoiceNotes(session);
+    return notes[notes.length - 1];
   }
 
   /**
-   * Decline a game invitation
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User declining
-   * @returns {Promise<Object>} Updated session
+   * Discussion notes are kept in order on the session; their index is the id
    */
-  async declineInvitation(sessionId, userId) {
-    const session = await DreamBoardSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
-
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
-    if (userId.toString() !== p2Id) {
-      throw new Error('Only the invited player can decline');
-    }
-
-    if (session.status !== 'pending') {
-      throw new Error('Invitation is no longer pending');
-    }
+  async listVoiceNotes(session) {
+    return session.discussionNotes.map((note, index) => ({
+      noteId: index,
+      userId: note.userId.toString(),
+      audioUrl: note.voiceNoteUrl,
+      duration: note.duration,
+      relatedTo: note.categoryNumber,
+      transcription: null,
+      listenedBy: note.listenedBy.map(listenerId => listenerId.toString()),
+      createdAt: note.createdAt
+    }));
+  }
 
-    session.status = 'declined';
-    session.lastActivityAt = new Date();
+  async recordVoiceNoteListen(session, note, userId) {
+    session.markNoteListened(note.noteId, userId);
     await session.save();
-
-    logger.info('Dream Board invitation declined', {
-      sessionId: session.sessionId,
-      userId: userId
-    });
-
-    return session;
   }
 
   /**
-   * Get pending invitation for a user
-   * @param {ObjectId} userId - User ID
-   * @returns {Promise<Object|null>} Pending invitation or null
+   * Insights are the analysis results, generated when both players finish
    */
-  async getPendingInvitation(userId) {
-    const session = await DreamBoardSession.findPendingInvitation(userId);
-
-    if (!session) {
-      return null;
-    }
+  getStoredInsights(session) {
+    return session.results?.overallInsight ? session.results : null;
+  }
 
-    return {
-      sessionId: session.sessionId,
-      invitedBy: {
-        userId: session.player1.userId._id,
-        firstName: session.player1.userId.firstName,
-        lastName: session.player1.userId.lastName,
-        profilePhoto: session.player1.userId.profilePhoto
-      },
-      expiresAt: session.expiresAt,
-      gameInfo: {
-        name: 'Dream Board',
-        tagline: 'See if your futures align',
-        description: 'Build your dream future across 10 life categories and discover how aligned your visions are.',
-        categoryCount: 10,
-        estimatedTime: '10-15 minutes',
-        features: [
-          'Choose vision cards for 10 life areas',
-          'Add voice notes to explain your choices (optional)',
-          'AI analyzes your compatibility',
-          'Discuss your dreams together'
-        ]
-      }
-    };
+  async generateSessionInsights(session) {
+    return this.generateInsights(session.sessionId);
   }
 
+  // =====================================================
+  // GAME STATE
+  // =====================================================
+
   /**
    * Get active session for a user
    * @param {ObjectId} userId - User ID
@@ -269,9 +179,10 @@ class DreamBoardService {
    * Get session state
    * @param {String} sessionId - Session UUID
    * @param {ObjectId} userId - User requesting
+   * @param {String} locale - Language of category texts (optional)
    * @returns {Promise<Object>} Session state
    */
-  async getSessionState(sessionId, userId) {
+  async getSessionState(sessionId, userId, locale = null) {
     const session = await DreamBoardSession.findBySessionId(sessionId);
 
     if (!session) {
@@ -285,8 +196,8 @@ class DreamBoardService {
     const playerInfo = session.getPlayerInfo(userId);
     const progress = session.getProgress(userId);
 
-    // Get categories for reference
-    const categories = await DreamBoardCategory.getAllCategories();
+    // Get categories for reference (as they were when the session started)
+    const categories = await DreamBoardCategory.findPublishedAsOf(session.createdAt, locale);
 
     // Build selections map for the player (including elaboration status)
     const selectionsMap = {};
@@ -336,9 +247,10 @@ class DreamBoardService {
    * @param {String} sessionId - Session UUID
    * @param {ObjectId} userId - User requesting
    * @param {Number} categoryNumber - Category number (1-10)
+   * @param {String} locale - Language of category texts (optional)
    * @returns {Promise<Object>} Category with cards and user's selection if any
    */
-  async getCategory(sessionId, userId, categoryNumber) {
+  async getCategory(sessionId, userId, categoryNumber, locale = null) {
     const session = await DreamBoardSession.findBySessionId(sessionId);
 
     if (!session) {
@@ -353,9 +265,9 @@ class DreamBoardService {
       throw new Error('Game is not active');
     }
 
-    const category = await DreamBoardCategory.getByNumber(categoryNumber);
+    const category = await DreamBoardCategory.findVersionAsOf(categoryNumber, session.createdAt, locale);
 
-    if (!category) {
+    if (!category || !category.isActive) {
       throw new Error('Category not found');
     }
 
@@ -473,8 +385,8 @@ class DreamBoardService {
     }
 
     // Get category to validate and get categoryId
-    const category = await DreamBoardCategory.getByNumber(categoryNumber);
-    if (!category) {
+    const category = await DreamBoardCategory.findVersionAsOf(categoryNumber, session.createdAt);
+    if (!category || !category.isActive) {
       throw new Error('Category not found');
     }
 
@@ -524,9 +436,27 @@ class DreamBoardService {
       result.canAddElaboration = false;
     }
 
+    this._emitProgress(session, userId);
+
     return result;
   }
 
+  /**
+   * Tell the partner a player's board moved on (selection or elaboration)
+   * @param {Object} session - Dream Board session
+   * @param {ObjectId} userId - Player who made progress
+   * @private
+   */
+  _emitProgress(session, userId) {
+    const { partner } = session.getPlayerInfo(userId);
+
+    gameEventsService.emit('dream_board', partner.userId, 'progress', {
+      sessionId: session.sessionId,
+      status: session.status,
+      progress: session.getProgress(partner.userId._id || partner.userId)
+    });
+  }
+
   // =====================================================
   // VOICE ELABORATION
   // =====================================================
@@ -589,7 +519,11 @@ class DreamBoardService {
     // Transcribe with Whisper
     let transcript = null;
     try {
-      transcript = await this._transcribeAudio(audioBuffer, mimeType);
+      transcript = await this._transcribeAudio(audioBuffer, mimeType, {
+        userId,
+        durationSeconds: duration,
+        context: { sessionId, categoryNumber }
+      });
       logger.info('Elaboration transcribed successfully', {
         sessionId,
         userId,
@@ -623,6 +557,8 @@ class DreamBoardService {
       hasTranscript: !!transcript
     });
 
+    this._emitProgress(session, userId);
+
     return {
       success: true,
       categoryNumber,
@@ -638,33 +574,18 @@ class DreamBoardService {
 
   /**
    * Transcribe audio using OpenAI Whisper
+   * @param {Object} accounting - { userId, durationSeconds, context }
    * @private
    */
-  async _transcribeAudio(audioBuffer, mimeType) {
-    // Create temp file for Whisper API
-    const extension = this._getAudioExtension(mimeType);
-    const tempPath = path.join(os.tmpdir(), `whisper_${Date.now()}.${extension}`);
-
-    try {
-      // Write buffer to temp file
-      fs.writeFileSync(tempPath, audioBuffer);
-
-      // Call Whisper API
-      const response = await openaiClient.audio.transcriptions.create({
-        file: fs.createReadStream(tempPath),
-        model: 'whisper-1',
-        language: 'en', // Can be made dynamic for Hindi/English
-        response_format: 'text'
-      });
-
-      return response.trim();
-
-    } finally {
-      // Clean up temp file
-      if (fs.existsSync(tempPath)) {
-        fs.unlinkSync(tempPath);
-      }
-    }
+  async _transcribeAudio(audioBuffer, mimeType, accounting = {}) {
+    return aiGateway.transcribe({
+      feature: 'dream_board_transcription',
+      audio: audioBuffer,
+      filename: `elaboration.${this._getAudioExtension(mimeType)}`,
+      mimeType,
+      language: 'en', // Can be made dynamic for Hindi/English
+      ...accounting
+    });
   }
 
   /**
@@ -845,8 +766,8 @@ class DreamBoardService {
         throw new Error('Both players must complete before generating insights');
       }
 
-      // Get all categories
-      const categories = await DreamBoardCategory.getAllCategories();
+      // Get all categories (as they were when the session started)
+      const categories = await DreamBoardCategory.findPublishedAsOf(session.createdAt);
       const categoryMap = {};
       categories.forEach(cat => {
         categoryMap[cat.categoryNumber] = cat;
@@ -968,6 +889,11 @@ class DreamBoardService {
       session.completedAt = new Date();
       await session.save();
 
+        gameEventsService.emit('dream_board', [session.player1.userId, session.player2.userId], 'results_ready', {
+        sessionId,
+        overallAlignment
+      });
+
       logger.info('Dream Board insights generated', {
         sessionId,
         overallAlignment,
@@ -1052,8 +978,10 @@ class DreamBoardService {
     );
 
     try {
-      const response = await openaiClient.chat.completions.create({
-        model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
+      const insights = await aiGateway.chatJSON({
+        feature: 'dream_board_insights',
+        userId: session.player1.userId._id,
+        context: { sessionId: session.sessionId },
         messages: [
           {
             role: 'system',
@@ -1065,13 +993,10 @@ class DreamBoardService {
           }
         ],
         temperature: 0.7,
-        max_tokens: 3000,
-        response_format: { type: 'json_object' }
+        maxTokens: 3000,
+        locale: await User.getSharedLocale([session.player1.userId._id, session.player2.userId._id])
       });
 
-      const content = response.choices[0].message.content;
-      const insights = JSON.parse(content);
-
       logger.info('AI insights generated successfully', { sessionId: session.sessionId, hasElaborations });
 
       return insights;
@@ -1441,7 +1366,7 @@ async getResults(sessionId, userId) {
       
       // Your info
       you: {
-        oduserId: playerInfo.player.userId._id || playerInfo.player.userId,
+        userId: playerInfo.player.userId._id || playerInfo.player.userId,
         firstName: playerInfo.player.userId.firstName,
         totalSelected: yourPlayer.totalSelected,
         elaborationCount: yourPlayer.elaborationCount || yourPlayer.selections.filter(s => s.elaboration).length
@@ -1449,7 +1374,7 @@ async getResults(sessionId, userId) {
       
       // Partner info
       partner: {
-        oduserId: playerInfo.partner.userId._id,
+        userId: playerInfo.partner.userId._id,
         firstName: playerInfo.partner.userId.firstName,
         lastName: playerInfo.partner.userId.lastName,
         profilePhoto: playerInfo.partner.userId.profilePhoto,
@@ -1495,220 +1420,40 @@ async getResults(sessionId, userId) {
       },
       
       // Discussion notes
-      discussionNotes: session.discussionNotes.map(note => ({
-        oduserId: note.userId,
-        isYours: note.userId.toString() === userId.toString(),
-        senderName: note.userId.toString() === session.player1.userId._id?.toString()
-          ? session.player1.userId.firstName
-          : session.player2.userId.firstName,
-        categoryNumber: note.categoryNumber,
-        voiceNoteUrl: note.voiceNoteUrl,
-        duration: note.duration,
-        listened: note.listenedBy.includes(userId),
-        createdAt: note.createdAt
-      }))
+      discussionNotes: (await this.listVoiceNotes(session)).map(note => this.toVoiceNoteView(note, userId))
     };
   }
 
   // =====================================================
-  // DISCUSSION VOICE NOTES (POST-GAME)
+  // LOBBY
   // =====================================================
 
   /**
-   * Add a discussion voice note
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User adding note
-   * @param {Buffer} audioBuffer - Audio file buffer
-   * @param {String} mimeType - Audio MIME type
-   * @param {Number} duration - Duration in seconds
-   * @param {Number|null} categoryNumber - Specific category (null for general)
-   * @returns {Promise<Object>} Created note info
-   */
-  async addDiscussionNote(sessionId, userId, audioBuffer, mimeType, duration, categoryNumber = null) {
-    const session = await DreamBoardSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
-
-    if (!session.isParticipant(userId)) {
-      throw new Error('You are not a participant in this game');
-    }
-
-    if (session.status !== 'completed') {
-      throw new Error('Discussion is only available after game completion');
-    }
-
-    // Validate category number if provided
-    if (categoryNumber !== null && (categoryNumber < 1 || categoryNumber > 10)) {
-      throw new Error('Category number must be between 1 and 10');
-    }
-
-    // Upload to S3
-    const fileName = `dream-board/discussion/${sessionId}/${userId}_${Date.now()}`;
-    const result = await s3Service.uploadFile(
-        audioBuffer,
-        `${fileName}.${this._getAudioExtension(mimeType)}`,
-        mimeType,
-        'voice-notes'
-      );
-      const voiceNoteUrl = result.url;
-
-    // Add to session
-    const note = session.addDiscussionNote(userId, voiceNoteUrl, duration, categoryNumber);
-    await session.save();
-
-    logger.info('Dream Board discussion note added', {
-      sessionId,
-      userId: userId,
-      categoryNumber,
-      duration
-    });
-
-    return {
-      voiceNoteUrl,
-      duration,
-      categoryNumber,
-      createdAt: note.createdAt
-    };
-  }
-
-  /**
-   * Get discussion notes for a session
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User requesting
-   * @returns {Promise<Array>} Discussion notes
-   */
-  async getDiscussionNotes(sessionId, userId) {
-    const session = await DreamBoardSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
-
-    if (!session.isParticipant(userId)) {
-      throw new Error('You are not a participant in this game');
-    }
-
-    // Get category info for notes tied to specific categories
-    const categoryInfo = DreamBoardCategory.getCategoryInfo();
-
-    return session.discussionNotes.map((note, index) => ({
-      noteIndex: index,
-      userId: note.userId,
-      isYours: note.userId.toString() === userId.toString(),
-      senderName: note.userId.toString() === session.player1.userId._id?.toString()
-        ? session.player1.userId.firstName
-        : session.player2.userId.firstName,
-      categoryNumber: note.categoryNumber,
-      categoryInfo: note.categoryNumber ? categoryInfo[
-        session.results?.categoryAnalysis?.find(c => c.categoryNumber === note.categoryNumber)?.categoryId
-      ] : null,
-      voiceNoteUrl: note.voiceNoteUrl,
-      duration: note.duration,
-      listened: note.listenedBy.includes(userId),
-      createdAt: note.createdAt
-    }));
-  }
-
-  /**
-   * Mark a discussion note as listened
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User marking as listened
-   * @param {Number} noteIndex - Index of the note
-   * @returns {Promise<Boolean>} Success
+   * Partner discussion notes not yet listened to (game lobby)
+   * @param {Object} session - Lean session
+   * @param {ObjectId} userId - Listener
+   * @returns {Number}
    */
-  async markNoteListened(sessionId, userId, noteIndex) {
-    const session = await DreamBoardSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
-
-    if (!session.isParticipant(userId)) {
-      throw new Error('You are not a participant in this game');
-    }
-
-    if (noteIndex < 0 || noteIndex >= session.discussionNotes.length) {
-      throw new Error('Invalid note index');
-    }
-
-    session.markNoteListened(noteIndex, userId);
-    await session.save();
+  countUnreadVoiceNotes(session, userId) {
+    const userIdStr = userId.toString();
 
-    return true;
+    return (session.discussionNotes || []).filter(note =>
+      note.userId.toString() !== userIdStr &&
+      !note.listenedBy.some(listenerId => listenerId.toString() === userIdStr)
+    ).length;
   }
 
   // =====================================================
-  // GAME MANAGEMENT
+  // CATEGORIES
   // =====================================================
 
-  /**
-   * Abandon a game
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User abandoning
-   * @returns {Promise<Object>} Updated session
-   */
-  async abandonGame(sessionId, userId) {
-    const session = await DreamBoardSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
-
-    if (!session.isParticipant(userId)) {
-      throw new Error('You are not a participant in this game');
-    }
-
-    if (!['pending', 'active', 'analyzing'].includes(session.status)) {
-      throw new Error('Game cannot be abandoned in current state');
-    }
-
-    session.status = 'abandoned';
-    session.lastActivityAt = new Date();
-    await session.save();
-
-    logger.info('Dream Board game abandoned', {
-      sessionId,
-      byUser: userId
-    });
-
-    return session;
-  }
-
-  /**
-   * Get game history for a user
-   * @param {ObjectId} userId - User ID
-   * @param {Number} limit - Max results
-   * @returns {Promise<Array>} Completed games
-   */
-  async getGameHistory(userId, limit = 10) {
-    const sessions = await DreamBoardSession.findCompletedForUser(userId, limit);
-
-    return sessions.map(session => {
-      const playerInfo = session.getPlayerInfo(userId);
-
-      return {
-        sessionId: session.sessionId,
-        completedAt: session.completedAt,
-        overallAlignment: session.results?.overallAlignment || 0,
-        alignedCount: session.results?.alignedCount || 0,
-        partner: {
-          userId: playerInfo.partner.userId._id,
-          firstName: playerInfo.partner.userId.firstName,
-          lastName: playerInfo.partner.userId.lastName,
-          profilePhoto: playerInfo.partner.userId.profilePhoto
-        }
-      };
-    });
-  }
-
   /**
    * Get all categories (for reference)
+   * @param {String} locale - Language of category texts (optional)
    * @returns {Promise<Object>} All categories with cards
    */
-  async getAllCategories() {
-    const categories = await DreamBoardCategory.getAllCategories();
+  async getAllCategories(locale = null) {
+    const categories = await DreamBoardCategory.localize(await DreamBoardCategory.getAllCategories(), locale);
     const categoryInfo = DreamBoardCategory.getCategoryInfo();
     const priorityInfo = DreamBoardCategory.getPriorityInfo();
     const timelineInfo = DreamBoardCategory.getTimelineInfo();
@@ -0,0 +1,1323 @@
+// src/services/games/gameEngine.js
+
+const mongoose = require('mongoose');
+const Match = require('../../models/Match');
+const User = require('../../models/User');
+const ApiError = require('../../utils/apiError');
+const notificationService = require('../notification.service');
+const s3Service = require('../s3.service');
+const gameRegistry = require('./gameRegistry');
+const gameEventsService = require('./gameEvents.service');
+const { supportsMode, DEFAULT_GAME_MODE } = require('../../config/gameModes');
+
+/**
+ * GAME ENGINE BASE
+ *
+ * Base class of the couple game services. Each game is described by a
+ * definition in services/games/gameRegistry.js (model, player fields,
+ * statuses); the engine turns that into one session lifecycle and the
+ * lookups every game needs, so the unified games endpoint, compatibility
+ * and date decisions can treat all games alike.
+ *
+ * Lifecycle - every game maps its own statuses onto these states:
+ *
+ *   invited ──> in_progress ──> completed
+ *     │  │            │
+ *     │  └> declined  ├──> abandoned
+ *     ├──> expired    └──> expired
+ *     └──> abandoned
+ *
+ * Moves between statuses of the same state (playing → paused,
+ * completed → discussion) are always allowed.
+ *
+ * Invitations, accept/decline, history, abandoning, post-game voice notes
+ * and AI insights run here for every game, with one response shape
+ * (players as { userId, ... }). Services implement the game-specific
+ * hooks: buildSession and generateSessionInsights, plus storeVoiceNote /
+ * listVoiceNotes for games with voice notes; the other hooks have
+ * defaults built from the registry definition.
+ */
+
+const LIFECYCLE = {
+  invited: ['in_progress', 'declined', 'expired', 'abandoned'],
+  in_progress: ['completed', 'abandoned', 'expired'],
+  completed: [],
+  declined: [],
+  expired: [],
+  abandoned: [],
+};
+
+const LIFECYCLE_STATES = Object.keys(LIFECYCLE);
+
+/**
+ * Read a dotted path ('player1.userId') from a document or plain object
+ */
+const readPath = (obj, path) =>
+  path.split('.').reduce((value, key) => (value == null ? value : value[key]), obj);
+
+/**
+ * Id of a user field that may be populated
+ */
+const toId = (value) => (value?._id || value)?.toString() || null;
+
+/**
+ * Post-game voice notes: accepted audio types (→ file extension), size
+ * and length
+ */
+const VOICE_NOTES = {
+  mimeTypes: {
+    'audio/mpeg': '.mp3',
+    'audio/mp4': '.m4a',
+    'audio/x-m4a': '.m4a',
+    'audio/aac': '.aac',
+    'audio/wav': '.wav',
+    'audio/webm': '.webm',
+    'audio/ogg': '.ogg',
+  },
+  maxBytes: 5 * 1024 * 1024,
+  maxDurationSeconds: 60,
+};
+
+/**
+ * Public profile of a player
+ * @param {Object} user - User (lean or document)
+ */
+const toPlayer = (user) => ({
+  userId: toId(user),
+  firstName: user?.firstName || null,
+  lastName: user?.lastName || null,
+  username: user?.username || null,
+  profilePhoto: user?.profilePhoto || null,
+});
+
+const PLAYER_FIELDS = 'firstName lastName username profilePhoto';
+
+class GameEngine {
+  /**
+   * @param {String} gameType - Registered game type, e.g. 'dream_board'
+   */
+  constructor(gameType) {
+    this.gameType = gameType;
+  }
+
+  /**
+   * The game's registry definition
+   */
+  get definition() {
+    return gameRegistry.getDefinition(this.gameType);
+  }
+
+  /**
+   * The game's session model
+   */
+  get sessionModel() {
+    return this.definition.model();
+  }
+
+  // =====================================================
+  // LIFECYCLE
+  // =====================================================
+
+  /**
+   * Lifecycle state of one of the game's statuses
+   * @param {String} status - Raw session status, e.g. 'playing'
+   * @returns {String|null} e.g. 'in_progress'
+   */
+  getLifecycleState(status) {
+    const { statuses } = this.definition;
+    return LIFECYCLE_STATES.find(state => (statuses[state] || []).includes(status)) || null;
+  }
+
+  /**
+   * Raw statuses of the game in some lifecycle states
+   * @param {...String} states - e.g. 'invited', 'in_progress'
+   * @returns {Array<String>}
+   */
+  getStatuses(...states) {
+    const { statuses } = this.definition;
+    return states.flatMap(state => statuses[state] || []);
+  }
+
+  /**
+   * Whether a session may move from one status to another
+   */
+  canTransition(fromStatus, toStatus) {
+    const from = this.getLifecycleState(fromStatus);
+    const to = this.getLifecycleState(toStatus);
+
+    if (!from || !to) return false;
+    return from === to || LIFECYCLE[from].includes(to);
+  }
+
+  /**
+   * Throw unless the session may move to a status
+   * @param {Object} session - Game session
+   * @param {String} toStatus - Raw status
+   */
+  assertTransition(session, toStatus) {
+    if (!this.canTransition(session.status, toStatus)) {
+      throw ApiError.badRequest(
+        `Cannot move a ${this.definition.name} game from ${session.status} to ${toStatus}`
+      );
+    }
+  }
+
+  /**
+   * Move a session to a status (not saved)
+   * @param {Object} session - Game session
+   * @param {String} toStatus - Raw status
+   * @returns {Object} The session
+   */
+  transition(session, toStatus) {
+    this.assertTransition(session, toStatus);
+
+    session.status = toStatus;
+    if (session.schema?.path('lastActivityAt')) {
+      session.lastActivityAt = new Date();
+    }
+
+    return session;
+  }
+
+  // =====================================================
+  // PLAYERS
+  // =====================================================
+
+  /**
+   * Both players' ids (strings), inviter first
+   * @param {Object} session - Game session (populated or not)
+   * @returns {Array<String>}
+   */
+  getPlayerIds(session) {
+    return this.definition.players.map(path => toId(readPath(session, path)));
+  }
+
+  /**
+   * Whether a user plays in the session
+   */
+  isParticipant(session, userId) {
+    return this.getPlayerIds(session).includes(userId.toString());
+  }
+
+  /**
+   * The other player's id
+   * @returns {String|null}
+   */
+  getPartnerId(session, userId) {
+    const [inviterId, inviteeId] = this.getPlayerIds(session);
+    const userIdStr = userId.toString();
+
+    if (userIdStr === inviterId) return inviteeId;
+    if (userIdStr === inviteeId) return inviterId;
+    return null;
+  }
+
+  /**
+   * Public id of a session (sessionId, or _id for games without one)
+   */
+  getSessionId(session) {
+    return readPath(session, this.definition.idField)?.toString() || null;
+  }
+
+  /**
+   * Query for the sessions of a couple, whoever invited
+   */
+  getPairQuery(userId, partnerId) {
+    const [inviterPath, inviteePath] = this.definition.players;
+
+    return {
+      $or: [
+        { [inviterPath]: userId, [inviteePath]: partnerId },
+        { [inviterPath]: partnerId, [inviteePath]: userId },
+      ],
+    };
+  }
+
+  // =====================================================
+  // PAIR STATE
+  // =====================================================
+
+  /**
+   * Current state of the game for a couple
+   * @param {ObjectId} userId - Requesting user
+   * @param {ObjectId} partnerId - The other user
+   * @returns {Promise<Object>}
+   */
+  async getPairState(userId, partnerId) {
+    const Model = this.sessionModel;
+    const pairQuery = this.getPairQuery(userId, partnerId);
+    const completedStatuses = this.getStatuses('completed');
+
+    const [activeSession, lastCompleted, completedCount] = await Promise.all([
+      Model.findOne({ ...pairQuery, status: { $in: this.getStatuses('invited', 'in_progress') } })
+        .sort({ createdAt: -1 })
+        .lean(),
+      Model.findOne({ ...pairQuery, status: { $in: completedStatuses } })
+        .sort({ completedAt: -1 })
+        .lean(),
+      Model.countDocuments({ ...pairQuery, status: { $in: completedStatuses } }),
+    ]);
+
+    let state = 'not_started';
+    if (activeSession) {
+      state = this.getLifecycleState(activeSession.status);
+    } else if (lastCompleted) {
+      state = 'completed';
+    }
+
+    const { type, name, dimension, path } = this.definition;
+
+    return {
+      gameType: type,
+      name,
+      dimension,
+      path,
+      state,
+      activeSession: activeSession
+        ? {
+          sessionId: this.getSessionId(activeSession),
+          status: activeSession.status,
+          state: this.getLifecycleState(activeSession.status),
+          invitedByYou: this.getPlayerIds(activeSession)[0] === userId.toString(),
+          createdAt: activeSession.createdAt,
+        }
+        : null,
+      lastCompleted: lastCompleted
+        ? {
+          sessionId: this.getSessionId(lastCompleted),
+          completedAt: lastCompleted.completedAt,
+        }
+        : null,
+      completedCount,
+    };
+  }
+
+  // =====================================================
+  // INVITATIONS
+  // =====================================================
+
+  /**
+   * Invite the other player of a mutual match to a new game
+   * @param {ObjectId} initiatorId - Inviting player
+   * @param {ObjectId} matchId - Match to play with
+   * @param {Object} options - { mode: 'live' | 'async', focusPack } -
+   *        focusPack for premium players (config/questionSelection.js)
+   * @returns {Promise<Object>} Invitation view (see toInvitationView)
+   */
+  async createInvitation(initiatorId, matchId, options = {}) {
+    const { invitation } = await this.openInvitation(initiatorId, matchId, options);
+    return invitation;
+  }
+
+  /**
+   * createInvitation, also handing back the new session
+   * @param {Object} options - createInvitation options, plus rematchOf:
+   *        completed session the new one follows (see linkRematch)
+   * @returns {Promise<Object>} { session, invitation }
+   */
+  async openInvitation(initiatorId, matchId, { mode = DEFAULT_GAME_MODE, focusPack = null, rematchOf = null } = {}) {
+    const { name, questionModel } = this.definition;
+
+    if (!supportsMode(this.gameType, mode)) {
+      throw ApiError.badRequest(`${name} cannot be played in ${mode} mode`);
+    }
+    if (focusPack && !questionModel) {
+      throw ApiError.badRequest(`${name} has no focus packs`);
+    }
+
+    const match = await Match.findById(matchId).select('userId matchedUserId isMutualMatch').lean();
+
+    if (!match) {
+      throw ApiError.notFound('Match not found');
+    }
+
+    const initiatorIdStr = initiatorId.toString();
+    const matchUserIds = [match.userId.toString(), match.matchedUserId.toString()];
+
+    if (!matchUserIds.includes(initiatorIdStr)) {
+      throw ApiError.forbidden('You are not part of this match');
+    }
+    if (!match.isMutualMatch) {
+      throw ApiError.forbidden('Both users must have liked each other to play games');
+    }
+
+    const invitedUserId = matchUserIds.find(id => id !== initiatorIdStr);
+
+    const openSessions = await this.sessionModel.find({
+      ...this.getPairQuery(initiatorId, invitedUserId),
+      status: { $in: this.getStatuses('invited', 'in_progress') },
+    }).lean();
+
+    if (openSessions.some(session => !this.isInvitationExpired(session))) {
+      throw ApiError.conflict(`A ${name} game already exists with this match`);
+    }
+
+    const session = await this.buildSession({
+      matchId: match._id,
+      initiatorId,
+      invitedUserId,
+      mode,
+      focusPack,
+    });
+
+    if (rematchOf) {
+      this.linkRematch(session, rematchOf);
+      await session.save();
+    }
+
+    await notificationService.notifyGameInvitation(invitedUserId, {
+      gameType: this.gameType,
+      sessionId: this.getSessionId(session),
+      matchId: match._id,
+      initiatorId,
+    });
+
+    const invitation = await this.toInvitationView(session);
+    gameEventsService.emit(this.gameType, invitedUserId, 'invited', invitation);
+
+    return { session, invitation };
+  }
+
+  /**
+   * Accept an invitation - only the invited player may
+   * @param {String} sessionId - Session id
+   * @param {ObjectId} userId - Invited player
+   * @returns {Promise<Object>} Invitation view
+   */
+  async acceptInvitation(sessionId, userId) {
+    const session = await this.findInvitation(sessionId, userId);
+
+    await this.startSession(session);
+
+    const invitation = await this.toInvitationView(session);
+    gameEventsService.emit(this.gameType, this.getPlayerIds(session)[0], 'accepted', invitation);
+
+    await this.onInvitationAccepted(session);
+
+    return invitation;
+  }
+
+  /**
+   * Decline an invitation - only the invited player may
+   * @param {String} sessionId - Session id
+   * @param {ObjectId} userId - Invited player
+   * @returns {Promise<Object>} Invitation view
+   */
+  async declineInvitation(sessionId, userId) {
+    const session = await this.findInvitation(sessionId, userId);
+
+    await this.declineSession(session);
+
+    const invitation = await this.toInvitationView(session);
+    gameEventsService.emit(this.gameType, this.getPlayerIds(session)[0], 'declined', invitation);
+
+    return invitation;
+  }
+
+  /**
+   * Open invitations a user has received, newest first
+   * @param {ObjectId} userId - Invited player
+   * @returns {Promise<Array>} Invitation views
+   */
+  async getPendingInvitations(userId) {
+    const { players, expiresAtField } = this.definition;
+
+    const sessions = await this.sessionModel.find({
+      [players[1]]: userId,
+      status: { $in: this.getStatuses('invited') },
+      [expiresAtField]: { $gt: new Date() },
+    }).sort({ createdAt: -1 });
+
+    const playerProfiles = await this.loadPlayers(sessions.flatMap(session => this.getPlayerIds(session)));
+
+    return Promise.all(sessions.map(session => this.toInvitationView(session, playerProfiles)));
+  }
+
+  /**
+   * Load an invitation the user may answer. An invitation found past its
+   * expiry is expired on the spot.
+   * @throws {ApiError} 404 unknown, 403 not the invited player,
+   *         400 already answered, 410 expired
+   */
+  async findInvitation(sessionId, userId) {
+    const session = await this.findSession(sessionId);
+
+    if (!session) {
+      throw ApiError.notFound('Game session not found');
+    }
+    if (this.getPlayerIds(session)[1] !== userId.toString()) {
+      throw ApiError.forbidden('Only the invited player can answer this invitation');
+    }
+    if (this.getLifecycleState(session.status) !== 'invited') {
+      throw ApiError.badRequest(`This invitation is no longer open (${session.status})`);
+    }
+    if (this.isInvitationExpired(session)) {
+      this.transition(session, this.getStatuses('expired')[0]);
+      await session.save();
+      throw new ApiError(410, 'This invitation has expired');
+    }
+
+    return session;
+  }
+
+  /**
+   * Whether a session is an invitation past its expiry
+   * @param {Object} session - Session (lean or document)
+   */
+  isInvitationExpired(session) {
+    if (this.getLifecycleState(session.status) !== 'invited') return false;
+
+    const expiresAt = session[this.definition.expiresAtField];
+    return Boolean(expiresAt) && new Date(expiresAt).getTime() <= Date.now();
+  }
+
+  /**
+   * Public profiles of players
+   * @param {Array} userIds - User ids (duplicates allowed)
+   * @returns {Promise<Map>} userId → { userId, firstName, lastName, username, profilePhoto }
+   */
+  async loadPlayers(userIds) {
+    const ids = [...new Set(userIds.filter(Boolean).map(id => id.toString()))];
+    const users = await User.find({ _id: { $in: ids } }).select(PLAYER_FIELDS).lean();
+    const byId = new Map(users.map(user => [user._id.toString(), toPlayer(user)]));
+
+    return new Map(ids.map(id => [id, byId.get(id) || toPlayer(id)]));
+  }
+
+  /**
+   * Session fields shared by every game, plus getSessionDetails
+   * @param {Object} session - Session (lean or document)
+   */
+  toSessionView(session) {
+    return {
+      gameType: this.gameType,
+      sessionId: this.getSessionId(session),
+      matchId: toId(session.matchId),
+      status: session.status,
+      state: this.getLifecycleState(session.status),
+      mode: session.mode || null,
+      expiresAt: session[this.definition.expiresAtField] || null,
+      createdAt: session.createdAt,
+      ...this.getSessionDetails(session),
+    };
+  }
+
+  /**
+   * Invitation response: { session, initiator, invitedUser }
+   * @param {Object} session - Game session
+   * @param {Map} playerProfiles - Preloaded loadPlayers result (optional)
+   */
+  async toInvitationView(session, playerProfiles = null) {
+    const [inviterId, inviteeId] = this.getPlayerIds(session);
+    const profiles = playerProfiles || await this.loadPlayers([inviterId, inviteeId]);
+
+    return {
+      session: this.toSessionView(session),
+      initiator: profiles.get(inviterId),
+      invitedUser: profiles.get(inviteeId),
+    };
+  }
+
+  // =====================================================
+  // HISTORY
+  // =====================================================
+
+  /**
+   * Completed games of a user, newest first
+   * @param {ObjectId} userId - Player
+   * @param {Object} options - { limit, skip, matchId } to limit to one match
+   * @returns {Promise<Array>} Lobby entries with partner and result
+   */
+  async getGameHistory(userId, { limit = 20, skip = 0, matchId = null } = {}) {
+    const [inviterPath, inviteePath] = this.definition.players;
+
+    const sessions = await this.sessionModel.find({
+      $or: [{ [inviterPath]: userId }, { [inviteePath]: userId }],
+      ...(matchId && { matchId }),
+      status: { $in: this.getStatuses('completed') },
+    })
+      .sort({ completedAt: -1 })
+      .skip(skip)
+      .limit(limit)
+      .lean();
+
+    const partners = await this.loadPlayers(sessions.map(session => this.getPartnerId(session, userId)));
+
+    return sessions.map(session => ({
+      ...this.toLobbyEntry(session, userId),
+      partner: partners.get(this.getPartnerId(session, userId)),
+      result: this.getHistoryResult(session, userId),
+    }));
+  }
+
+  // =====================================================
+  // ABANDON
+  // =====================================================
+
+  /**
+   * Leave an invited or running game (the inviter withdrawing an
+   * invitation, or either player quitting)
+   * @param {String} sessionId - Session id
+   * @param {ObjectId} userId - Player leaving
+   * @param {Object} options - { reason }
+   * @returns {Promise<Object>} Session view
+   */
+  async abandonGame(sessionId, userId, { reason = null } = {}) {
+    const session = await this.findPlayerSession(sessionId, userId);
+
+    if (!this.canTransition(session.status, this.getStatuses('abandoned')[0])) {
+      throw ApiError.badRequest(`A ${session.status} game cannot be abandoned`);
+    }
+
+    await this.abandonSession(session, userId, reason);
+
+    gameEventsService.emit(this.gameType, this.getPartnerId(session, userId), 'abandoned', {
+      sessionId: this.getSessionId(session),
+      abandonedBy: userId.toString(),
+      reason,
+    });
+
+    return this.toSessionView(session);
+  }
+
+  /**
+   * Load a session a user plays in
+   * @throws {ApiError} 404 unknown session, 403 not a player
+   */
+  async findPlayerSession(sessionId, userId) {
+    const session = await this.findSession(sessionId);
+
+    if (!session) {
+      throw ApiError.notFound('Game session not found');
+    }
+    if (!this.isParticipant(session, userId)) {
+      throw ApiError.forbidden('You are not a player in this game');
+    }
+
+    return session;
+  }
+
+  // =====================================================
+  // VOICE NOTES
+  // =====================================================
+  //
+  // Post-game voice notes. Games store them their own way (see
+  // storeVoiceNote / listVoiceNotes) and hand back normalized notes:
+  // { noteId, userId, audioUrl, duration, relatedTo, transcription,
+  //   listenedBy (user ids, null when listens aren't tracked), createdAt }
+
+  /**
+   * Send a voice note about a completed game
+   * @param {String} sessionId - Session id
+   * @param {ObjectId} userId - Player
+   * @param {Object} audio - { buffer, mimeType, duration, relatedTo } -
+   *        relatedTo: question / category / round the note is about
+   * @returns {Promise<Object>} Voice note view
+   */
+  async addVoiceNote(sessionId, userId, { buffer, mimeType, duration, relatedTo = null }) {
+    const session = await this.findPlayerSession(sessionId, userId);
+
+    if (this.getLifecycleState(session.status) !== 'completed') {
+      throw ApiError.badRequest('Voice notes can only be sent once the game is completed');
+    }
+
+    const extension = VOICE_NOTES.mimeTypes[mimeType];
+    if (!extension) {
+      throw ApiError.badRequest('Invalid file type. Only audio files are allowed.');
+    }
+    if (!(duration > 0 && duration <= VOICE_NOTES.maxDurationSeconds)) {
+      throw ApiError.badRequest(`Voice notes must be 1-${VOICE_NOTES.maxDurationSeconds} seconds long`);
+    }
+
+    const limit = this.getVoiceNoteLimit();
+    const userIdStr = userId.toString();
+    if (limit !== null) {
+      const sent = (await this.listVoiceNotes(session)).filter(note => note.userId === userIdStr);
+      if (sent.length >= limit) {
+        throw ApiError.badRequest(`You can send up to ${limit} voice notes per game`);
+      }
+    }
+
+    const { key, url } = await s3Service.uploadFile(
+      buffer,
+      `voice-note${extension}`,
+      mimeType,
+      `games/${this.gameType}/${this.getSessionId(session)}/voice-notes`
+    );
+
+    const note = await this.storeVoiceNote(session, userId, {
+      audioUrl: url,
+      audioKey: key,
+      duration,
+      relatedTo,
+      buffer,
+      mimeType,
+    });
+
+    const partnerId = this.getPartnerId(session, userId);
+    gameEventsService.emit(this.gameType, partnerId, 'note_posted', {
+      sessionId: this.getSessionId(session),
+      note: this.toVoiceNoteView(note, partnerId),
+    });
+
+    return this.toVoiceNoteView(note, userId);
+  }
+
+  /**
+   * Voice notes of a game, oldest first
+   * @returns {Promise<Object>} { sessionId, voiceNotes }
+   */
+  async getVoiceNotes(sessionId, userId) {
+    const session = await this.findPlayerSession(sessionId, userId);
+    const notes = await this.listVoiceNotes(session);
+
+    return {
+      sessionId: this.getSessionId(session),
+      voiceNotes: notes.map(note => this.toVoiceNoteView(note, userId)),
+    };
+  }
+
+  /**
+   * Mark the partner's voice note as listened to
+   * @param {String} sessionId - Session id
+   * @param {ObjectId} userId - Listener
+   * @param {String} noteId - noteId from getVoiceNotes
+   * @returns {Promise<Object>} Voice note view
+   */
+  async markVoiceNoteListened(sessionId, userId, noteId) {
+    const session = await this.findPlayerSession(sessionId, userId);
+    const userIdStr = userId.toString();
+
+    const note = (await this.listVoiceNotes(session)).find(candidate => candidate.noteId.toString() === noteId);
+
+    if (!note) {
+      throw ApiError.notFound('Voice note not found');
+    }
+    if (note.userId === userIdStr) {
+      throw ApiError.badRequest('You cannot mark your own voice note as listened');
+    }
+    if (!note.listenedBy) {
+      throw ApiError.badRequest(`${this.definition.name} does not track voice note listens`);
+    }
+
+    if (!note.listenedBy.includes(userIdStr)) {
+      await this.recordVoiceNoteListen(session, note, userId);
+      note.listenedBy = [...note.listenedBy, userIdStr];
+    }
+
+    return this.toVoiceNoteView(note, userId);
+  }
+
+  /**
+   * Voice note as seen by one player
+   * @param {Object} note - Normalized note
+   * @param {ObjectId} userId - Viewer
+   */
+  toVoiceNoteView(note, userId) {
+    return {
+      noteId: note.noteId.toString(),
+      userId: note.userId,
+      isYours: note.userId === userId?.toString(),
+      audioUrl: note.audioUrl,
+      duration: note.duration,
+      relatedTo: note.relatedTo ?? null,
+      transcription: note.transcription || null,
+      // Whether the receiving player has listened (null: not tracked)
+      listened: note.listenedBy ? note.listenedBy.some(id => id !== note.userId) : null,
+      createdAt: note.createdAt,
+    };
+  }
+
+  // =====================================================
+  // INSIGHTS
+  // =====================================================
+
+  /**
+   * AI insights of a completed game, generated on first request
+   * @returns {Promise<Object>} { sessionId, insights }
+   */
+  async getInsights(sessionId, userId) {
+    const session = await this.findPlayerSession(sessionId, userId);
+
+    if (this.getLifecycleState(session.status) !== 'completed') {
+      throw ApiError.badRequest('Insights are available once the game is completed');
+    }
+
+    const insights = this.getStoredInsights(session) || await this.generateSessionInsights(session);
+
+    return {
+      sessionId: this.getSessionId(session),
+      insights,
+    };
+  }
+
+  // =====================================================
+  // GAME HOOKS
+  // =====================================================
+
+  /**
+   * Create and save the session of a new invitation
+   * @param {Object} invitation - { matchId, initiatorId, invitedUserId, mode, focusPack }
+   * @returns {Promise<Object>} Saved session
+   */
+  async buildSession(invitation) {
+    throw new Error(`${this.definition.name} does not implement buildSession`);
+  }
+
+  /**
+   * Game-specific fields of the session view (e.g. totalQuestions)
+   * @param {Object} session - Session (lean or document)
+   */
+  getSessionDetails(session) {
+    return {};
+  }
+
+  /**
+   * Start an accepted session (saved) - moves to the first in-progress status
+   * @param {Object} session - Invited session
+   */
+  async startSession(session) {
+    this.transition(session, this.getStatuses('in_progress')[0]);
+    this.stamp(session, 'acceptedAt');
+    await session.save();
+  }
+
+  /**
+   * Work after an invitation was accepted (e.g. a live countdown)
+   * @param {Object} session - Started session
+   */
+  async onInvitationAccepted(session) {}
+
+  /**
+   * Decline an invitation (saved)
+   * @param {Object} session - Invited session
+   */
+  async declineSession(session) {
+    this.transition(session, this.getStatuses('declined')[0]);
+    this.stamp(session, 'declinedAt');
+    await session.save();
+  }
+
+  /**
+   * Abandon a session (saved)
+   * @param {Object} session - Invited or running session
+   * @param {ObjectId} userId - Player leaving
+   * @param {String} reason - Optional reason
+   */
+  async abandonSession(session, userId, reason) {
+    this.transition(session, this.getStatuses('abandoned')[0]);
+    this.stamp(session, 'abandonedAt');
+    if (session.schema?.path('abandonedBy')) {
+      session.abandonedBy = userId;
+    }
+    await session.save();
+  }
+
+  /**
+   * A player's result of a completed game, for the history
+   * @param {Object} session - Lean completed session
+   * @param {ObjectId} userId - Player
+   */
+  getHistoryResult(session, userId) {
+    return null;
+  }
+
+  /**
+   * Most voice notes one player may send per game (null: no limit)
+   */
+  getVoiceNoteLimit() {
+    return null;
+  }
+
+  /**
+   * Save a voice note on the session
+   * @param {Object} session - Completed session
+   * @param {ObjectId} userId - Sender
+   * @param {Object} note - { audioUrl, audioKey, duration, relatedTo, buffer, mimeType }
+   * @returns {Promise<Object>} Normalized note
+   */
+  async storeVoiceNote(session, userId, note) {
+    throw ApiError.badRequest(`${this.definition.name} has no voice notes`);
+  }
+
+  /**
+   * Normalized voice notes of a session, oldest first
+   * @param {Object} session - Game session
+   * @returns {Promise<Array>}
+   */
+  async listVoiceNotes(session) {
+    return [];
+  }
+
+  /**
+   * Record that a player listened to a voice note (saved)
+   * @param {Object} session - Game session
+   * @param {Object} note - Normalized note
+   * @param {ObjectId} userId - Listener
+   */
+  async recordVoiceNoteListen(session, note, userId) {
+    throw ApiError.badRequest(`${this.definition.name} does not track voice note listens`);
+  }
+
+  /**
+   * Insights already generated for a session, or null
+   * @param {Object} session - Completed session
+   */
+  getStoredInsights(session) {
+    return null;
+  }
+
+  /**
+   * Generate (and store) the AI insights of a completed session
+   * @param {Object} session - Completed session
+   * @returns {Promise<Object>} Insights
+   */
+  async generateSessionInsights(session) {
+    throw new Error(`${this.definition.name} does not implement generateSessionInsights`);
+  }
+
+  /**
+   * Set a date field to now, when the session's schema has it
+   */
+  stamp(session, field) {
+    if (session.schema?.path(field)) {
+      session[field] = new Date();
+    }
+  }
+
+  // =====================================================
+  // LOBBY
+  // =====================================================
+
+  /**
+   * Open and recently completed sessions of a user
+   * @param {ObjectId} userId - Player
+   * @param {Object} options - { partnerId, completedSince }
+   * @returns {Promise<Array>} Lean sessions
+   */
+  async findLobbySessions(userId, { partnerId = null, completedSince } = {}) {
+    const [inviterPath, inviteePath] = this.definition.players;
+    const playerQuery = partnerId
+      ? this.getPairQuery(userId, partnerId)
+      : { $or: [{ [inviterPath]: userId }, { [inviteePath]: userId }] };
+
+    const [open, recent] = await Promise.all([
+      this.sessionModel.find({
+        ...playerQuery,
+        status: { $in: this.getStatuses('invited', 'in_progress') },
+      }).sort({ createdAt: -1 }).lean(),
+      this.sessionModel.find({
+        ...playerQuery,
+        status: { $in: this.getStatuses('completed') },
+        completedAt: { $gte: completedSince },
+      }).sort({ completedAt: -1 }).lean(),
+    ]);
+
+    // Invitations past their expiry wait for the expiry job - hide them now
+    const live = open.filter(session => !this.isInvitationExpired(session));
+
+    return [...live, ...recent];
+  }
+
+  /**
+   * Unread voice notes for a player in one session
+   * Games that track listens override this; null means not tracked.
+   * @param {Object} session - Lean session
+   * @param {ObjectId} userId - Listener
+   * @returns {Number|null}
+   */
+  countUnreadVoiceNotes(session, userId) {
+    return null;
+  }
+
+  /**
+   * Unread voice notes for a player in several sessions
+   * @param {Array} sessions - Lean sessions
+   * @param {ObjectId} userId - Listener
+   * @returns {Promise<Map>} sessionId → count (or null)
+   */
+  async getUnreadVoiceNoteCounts(sessions, userId) {
+    return new Map(
+      sessions.map(session => [this.getSessionId(session), this.countUnreadVoiceNotes(session, userId)])
+    );
+  }
+
+  /**
+   * Normalized lobby entry for a session
+   * @param {Object} session - Lean session
+   * @param {ObjectId} userId - Requesting user
+   * @returns {Object}
+   */
+  toLobbyEntry(session, userId) {
+    const { type, name, path, expiresAtField } = this.definition;
+    const state = this.getLifecycleState(session.status);
+
+    const entry = {
+      gameType: type,
+      name,
+      path,
+      sessionId: this.getSessionId(session),
+      matchId: session.matchId || null,
+      status: session.status,
+      state,
+      // 'live' / 'async' for games with modes (config/gameModes.js)
+      mode: session.mode || null,
+      // Games of the series before this one (rematches)
+      rematchCount: this.getRematchCount(session),
+      partnerId: this.getPartnerId(session, userId),
+      invitedByYou: this.getPlayerIds(session)[0] === userId.toString(),
+      createdAt: session.createdAt,
+      updatedAt: session.updatedAt || session.createdAt,
+      completedAt: session.completedAt || null,
+      expiresAt: null,
+      expiresInSeconds: null,
+    };
+
+    if (state === 'invited' && session[expiresAtField]) {
+      entry.expiresAt = session[expiresAtField];
+      entry.expiresInSeconds = Math.max(
+        0,
+        Math.round((new Date(session[expiresAtField]).getTime() - Date.now()) / 1000)
+      );
+    }
+
+    return entry;
+  }
+
+  // =====================================================
+  // REMATCH
+  // =====================================================
+
+  /**
+   * Load a session by its public id
+   * @returns {Promise<Object|null>}
+   */
+  async findSession(sessionId) {
+    const { idField } = this.definition;
+
+    if (idField === '_id' && !mongoose.isValidObjectId(sessionId)) {
+      return null;
+    }
+    return this.sessionModel.findOne({ [idField]: sessionId });
+  }
+
+  /**
+   * Invite the partner to a new game after a completed one. The new
+   * session is linked to the previous one so successive games form a
+   * series (see getCompletedSessions).
+   * @param {String} sessionId - Completed session
+   * @param {ObjectId} userId - Player asking for the rematch
+   * @returns {Promise<Object>} Lobby entry of the new invitation, with
+   *          previousSessionId and rematchCount
+   */
+  async createRematch(sessionId, userId) {
+    const previous = await this.findSession(sessionId);
+
+    if (!previous) {
+      throw ApiError.notFound('Game session not found');
+    }
+    if (!this.isParticipant(previous, userId)) {
+      throw ApiError.forbidden('You are not a player in this game');
+    }
+    if (this.getLifecycleState(previous.status) !== 'completed') {
+      throw ApiError.badRequest('Only a completed game can be rematched');
+    }
+
+    const rematch = await this.createRematchInvitation(previous, userId);
+    const partnerId = this.getPartnerId(previous, userId);
+
+    const entry = {
+      ...this.toLobbyEntry(rematch.toObject(), userId),
+      previousSessionId: this.getSessionId(previous),
+      rematchCount: this.getRematchCount(rematch),
+    };
+
+    gameEventsService.emit(this.gameType, partnerId, 'rematch', {
+      sessionId: entry.sessionId,
+      previousSessionId: entry.previousSessionId,
+      rematchCount: entry.rematchCount,
+      invitedBy: userId.toString(),
+    });
+
+    return entry;
+  }
+
+  /**
+   * Create the rematch invitation, linked to the previous game, through
+   * the invitation flow (same mode as the previous game). Question games
+   * already prefer questions the couple hasn't seen (see getQuestionExposure).
+   * @param {Object} previous - Completed session
+   * @param {ObjectId} userId - Inviting player
+   * @returns {Promise<Object>} The new session
+   */
+  async createRematchInvitation(previous, userId) {
+    const { session } = await this.openInvitation(userId, previous.matchId, {
+      mode: previous.mode || DEFAULT_GAME_MODE,
+      rematchOf: previous,
+    });
+
+    return session;
+  }
+
+  /**
+   * Point a new session at the one it follows (not saved)
+   */
+  linkRematch(session, previous) {
+    session.previousSessionId = this.getSessionId(previous);
+    session.rematchCount = this.getRematchCount(previous) + 1;
+  }
+
+  /**
+   * Games of the series before this one (0 for a first game)
+   */
+  getRematchCount(session) {
+    return session.rematchCount || 0;
+  }
+
+  /**
+   * How often a couple has played each question, over their completed
+   * games (services/games/questionSelection.service.js plays the least
+   * seen first)
+   * @returns {Promise<Map>} questionNumber → times seen
+   */
+  async getQuestionExposure(userId, partnerId) {
+    const counts = await this.sessionModel.aggregate([
+      {
+        $match: {
+          ...this.getPairQuery(
+            new mongoose.Types.ObjectId(userId.toString()),
+            new mongoose.Types.ObjectId(partnerId.toString())
+          ),
+          status: { $in: this.getStatuses('completed') },
+        },
+      },
+      { $unwind: '$questionOrder' },
+      { $group: { _id: '$questionOrder', timesSeen: { $sum: 1 } } },
+    ]);
+
+    return new Map(counts.map(({ _id, timesSeen }) => [_id, timesSeen]));
+  }
+
+  // =====================================================
+  // SERIES
+  // =====================================================
+
+  /**
+   * Completed games of a couple, oldest first
+   * @param {ObjectId} userId - Player
+   * @param {ObjectId} partnerId - The other player
+   * @param {Object} options - { limit } most recent games to include
+   * @returns {Promise<Array>} Lean sessions
+   */
+  async getCompletedSessions(userId, partnerId, { limit = 10 } = {}) {
+    const sessions = await this.sessionModel.find({
+      ...this.getPairQuery(userId, partnerId),
+      status: { $in: this.getStatuses('completed') },
+    })
+      .sort({ completedAt: -1 })
+      .limit(limit)
+      .lean();
+
+    return sessions.reverse();
+  }
+
+  // =====================================================
+  // ASYNC PLAY
+  // =====================================================
+  //
+  // Shared flow of the games in config/gameModes.js ASYNC_GAMES. Their
+  // session models use models/plugins/asyncPlay.js; their services
+  // implement getAsyncQuestion, getAsyncReveals, recordAsyncAnswer and
+  // finishAsyncGame.
+
+  /**
+   * Throw unless the game can be played in a mode
+   * @param {String} mode - 'live' or 'async'
+   */
+  assertMode(mode) {
+    if (!supportsMode(this.gameType, mode)) {
+      throw ApiError.badRequest(`${this.definition.name} cannot be played in ${mode} mode`);
+    }
+  }
+
+  /**
+   * Load an async session a user plays in
+   * @throws {ApiError} 404 unknown session, 403 not a player, 400 a live game
+   */
+  async findAsyncSession(sessionId, userId) {
+    if (!supportsMode(this.gameType, 'async')) {
+      throw ApiError.badRequest(`${this.definition.name} has no async mode`);
+    }
+
+    const session = await this.sessionModel.findBySessionId(sessionId);
+
+    if (!session) {
+      throw ApiError.notFound('Game session not found');
+    }
+    if (!this.isParticipant(session, userId)) {
+      throw ApiError.forbidden('You are not a player in this game');
+    }
+    if (!session.isAsync) {
+      throw ApiError.badRequest('This game is played live, not async');
+    }
+
+    return session;
+  }
+
+  /**
+   * A player's view of an async game: their next question, both players'
+   * progress and every question revealed so far
+   * @param {String} sessionId - Session id
+   * @param {ObjectId} userId - Player
+   * @param {String} locale - Question language (English fallback)
+   * @returns {Promise<Object>}
+   */
+  async getAsyncState(sessionId, userId, locale = null) {
+    const session = await this.findAsyncSession(sessionId, userId);
+    const partnerId = this.getPartnerId(session, userId);
+    const you = session.getAsyncProgress(userId);
+    const revealedIndexes = session.getRevealedIndexes();
+    const isPlaying = session.status === 'playing';
+
+    const [nextQuestion, reveals] = await Promise.all([
+      isPlaying && !you.finished ? this.getAsyncQuestion(session, you.nextIndex, locale) : null,
+      revealedIndexes.length > 0 ? this.getAsyncReveals(session, revealedIndexes, locale) : [],
+    ]);
+
+    return {
+      sessionId: this.getSessionId(session),
+      gameType: this.gameType,
+      mode: session.mode,
+      status: session.status,
+      state: this.getLifecycleState(session.status),
+      // Invitation deadline while invited, then the deadline to finish
+      expiresAt: session.expiresAt,
+      totalQuestions: session.questionOrder.length,
+      you,
+      partner: { userId: partnerId, ...session.getAsyncProgress(partnerId) },
+      nextQuestion,
+      reveals,
+    };
+  }
+
+  /**
+   * Answer a player's next question in an async game. Reveals the question
+   * when the partner has already answered it, and completes the game -
+   * results and AI insights as in live play - once both have answered
+   * everything.
+   * @param {String} sessionId - Session id
+   * @param {ObjectId} userId - Player
+   * @param {Number} questionIndex - The player's next question index
+   * @param {Object} answer - Game-specific answer fields
+   * @param {String} locale - Question language (English fallback)
+   * @returns {Promise<Object>} { questionIndex, revealed, reveal, progress, isComplete }
+   */
+  async submitAsyncAnswer(sessionId, userId, questionIndex, answer, locale = null) {
+    const session = await this.findAsyncSession(sessionId, userId);
+
+    if (session.status !== 'playing') {
+      throw ApiError.badRequest('Game is not in playing state');
+    }
+    if (session.expiresAt && session.expiresAt < new Date()) {
+      throw new ApiError(410, 'This game has expired');
+    }
+
+    await this.recordAsyncAnswer(session, userId, questionIndex, answer);
+
+    // Re-read - the partner may have answered since the session was loaded
+    const current = await this.sessionModel.findBySessionId(sessionId);
+    const partnerId = this.getPartnerId(current, userId);
+    const revealed = current.isQuestionRevealed(questionIndex);
+    const progress = current.getAsyncProgress(userId);
+
+    const reveal = revealed
+      ? (await this.getAsyncReveals(current, [questionIndex], locale))[0]
+      : null;
+
+    gameEventsService.emit(this.gameType, partnerId, 'progress', {
+      sessionId,
+      questionIndex,
+      revealed,
+      partnerProgress: progress,
+    });
+
+    const isComplete = current.isAsyncFinished() && await this.completeAsyncGame(current);
+
+    return {
+      sessionId,
+      questionIndex,
+      revealed,
+      reveal,
+      progress,
+      isComplete,
+    };
+  }
+
+  /**
+   * Complete a finished async game once, even when both players send
+   * their last answer at the same moment
+   * @param {Object} session - Session with every question answered
+   * @returns {Promise<Boolean>} Whether this call completed it
+   */
+  async completeAsyncGame(session) {
+    const { modifiedCount } = await this.sessionModel.updateOne(
+      { _id: session._id, status: 'playing' },
+      { $set: { status: 'completed' } }
+    );
+
+    if (modifiedCount === 0) return false;
+
+    await session.completeGame();
+    await this.finishAsyncGame(session);
+
+    gameEventsService.emit(this.gameType, this.getPlayerIds(session), 'results_ready', {
+      sessionId: this.getSessionId(session),
+    });
+
+    return true;
+  }
+
+  /**
+   * Question payload for an async player
+   * @param {Object} session - Game session
+   * @param {Number} questionIndex - Index in questionOrder
+   * @param {String} locale - Question language
+   * @returns {Promise<Object>}
+   */
+  async getAsyncQuestion(session, questionIndex, locale) {
+    throw new Error(`${this.definition.name} does not implement getAsyncQuestion`);
+  }
+
+  /**
+   * Both players' answers for revealed questions
+   * @param {Object} session - Game session
+   * @param {Array<Number>} questionIndexes - Revealed indexes
+   * @param {String} locale - Question language
+   * @returns {Promise<Array>} One reveal per index, same order
+   */
+  async getAsyncReveals(session, questionIndexes, locale) {
+    throw new Error(`${this.definition.name} does not implement getAsyncReveals`);
+  }
+
+  /**
+   * Record an async answer on the session (saved)
+   * @param {Object} session - Game session
+   * @param {ObjectId} userId - Player
+   * @param {Number} questionIndex - Index in questionOrder
+   * @param {Object} answer - Game-specific answer fields
+   */
+  async recordAsyncAnswer(session, userId, questionIndex, answer) {
+    throw new Error(`${this.definition.name} does not implement recordAsyncAnswer`);
+  }
+
+  /**
+   * Post-completion work of a finished async game (AI insights)
+   * @param {Object} session - Completed session
+   */
+  async finishAsyncGame(session) {}
+}
+
+module.exports = GameEngine;
+module.exports.LIFECYCLE = LIFECYCLE;
+module.exports.VOICE_NOTES = VOICE_NOTES;
+module.exports.toPlayer = toPlayer;
@@ -0,0 +1,76 @@
+// src/services/games/gameEvents.service.js
+
+const logger = require('../../utils/logger');
+const gameRegistry = require('./gameRegistry');
+
+/**
+ * GAME EVENTS SERVICE
+ *
+ * Real-time events for the game flows driven over REST - invitations,
+ * abandoning and voice notes of every game (services/games/gameEngine.js),
+ * and the async games (What Would You Do, Dream Board, Two Truths & A Lie,
+ * and Would You Rather, Intimacy Spectrum and Never Have I Ever in async
+ * mode).
+ *
+ * Their service methods call this after a state change, so the partner
+ * hears about it whether the action came from a REST call or a socket.
+ * Events go to each player's user room (config/socket.js), which reaches
+ * every device on any instance.
+ *
+ * Events mirror the wyr:* names, one prefix per game (the registry
+ * definition's eventPrefix, services/games/gameRegistry.js):
+ * - <prefix>:invited        - You've been invited
+ * - <prefix>:accepted       - Your invitation was accepted
+ * - <prefix>:declined       - Your invitation was declined
+ * - <prefix>:progress       - Partner made progress (answer / selection / phase);
+ *                             in async mode, says whether the answer revealed a question
+ * - <prefix>:results_ready  - Analysis finished, results can be fetched
+ * - <prefix>:note_posted    - Partner posted a discussion voice note
+ * - <prefix>:abandoned      - Partner left the game
+ *
+ * Two Truths & A Lie also sends ttl:restart_requested / ttl:restart_accepted /
+ * ttl:restart_declined, and identifies games by gameId in its own events
+ * (sessionId in the shared ones above).
+ */
+
+class GameEventsService {
+  /**
+   * Event name for a game
+   * @param {String} gameType - e.g. 'dream_board'
+   * @param {String} event - e.g. 'invited'
+   * @returns {String} e.g. 'db:invited'
+   */
+  getEventName(gameType, event) {
+    return `${gameRegistry.getDefinition(gameType).eventPrefix}:${event}`;
+  }
+
+  /**
+   * Emit a game event to one or more players
+   * @param {String} gameType - e.g. 'what_would_you_do'
+   * @param {ObjectId|Array} userIds - Recipient(s)
+   * @param {String} event - Event without prefix, e.g. 'progress'
+   * @param {Object} data - Payload
+   */
+  emit(gameType, userIds, event, data) {
+    // Lazy require - config/socket pulls in the game services
+    const socketManager = require('../../config/socket');
+
+    if (!socketManager.io) return;
+
+    const eventName = this.getEventName(gameType, event);
+    const recipients = (Array.isArray(userIds) ? userIds : [userIds]).filter(Boolean);
+
+    try {
+      recipients.forEach(userId => {
+        socketManager.emitToUser((userId._id || userId).toString(), eventName, data);
+      });
+    } catch (error) {
+      // Real-time updates are best effort - REST state stays authoritative
+      logger.error('Game event emit failed', { event: eventName, error: error.message });
+    }
+  }
+}
+
+const gameEventsService = new GameEventsService();
+
+module.exports = gameEventsService;
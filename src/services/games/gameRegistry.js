@@ -0,0 +1,247 @@
+// src/services/games/gameRegistry.js
+
+/**
+ * GAME REGISTRY
+ *
+ * One definition per couple game. Everything that iterates over games
+ * (compatibility dimensions, date decisions, GET /api/v1/games, the
+ * shared invitation / history / voice note endpoints and socket events,
+ * route and socket mounting) reads from here, so a new game is added by
+ * registering its definition and extending GameEngine
+ * (services/games/gameEngine.js) in its service.
+ *
+ * Definition fields:
+ * - type:      Game type key, e.g. 'dream_board'
+ * - name:      Display name
+ * - dimension: Compatibility dimension the game measures
+ * - path:      REST base path under /api/v1 of the game's own routes
+ * - eventPrefix: Prefix of the game's socket events, e.g. 'db' → db:invited
+ * - idField:   Public session id field
+ * - players:   Paths of the inviter's and invitee's user ids
+ * - statuses:  The game's statuses per lifecycle state
+ * - expiresAtField: Invitation expiry field (default 'expiresAt')
+ * - model:     Loads the session model (lazy - models require services)
+ * - questionModel: Loads the question bank model, for games whose
+ *                  questions are picked by services/games/questionSelection.service.js
+ * - service:   Loads the game service (lazy - services extend GameEngine)
+ * - routes:    Loads the game's own Express router, mounted at path (optional)
+ * - socket:    Loads the game's own socket handlers, called per connection
+ *              as (io, socket, socketManager) (optional)
+ *
+ * Registration order is the order games are listed and scored in.
+ */
+
+const REQUIRED_FIELDS = ['type', 'name', 'dimension', 'path', 'eventPrefix', 'idField', 'players', 'statuses', 'model', 'service'];
+
+const definitions = new Map();
+
+/**
+ * Register a game
+ * @param {Object} definition - See fields above
+ * @returns {Object} The frozen definition
+ */
+const register = (definition) => {
+  const missing = REQUIRED_FIELDS.filter(field => !definition[field]);
+  if (missing.length > 0) {
+    throw new Error(`Game definition is missing: ${missing.join(', ')}`);
+  }
+  if (definitions.has(definition.type)) {
+    throw new Error(`Game type already registered: ${definition.type}`);
+  }
+  if (getAll().some(existing => existing.dimension === definition.dimension)) {
+    throw new Error(`Dimension already measured by another game: ${definition.dimension}`);
+  }
+  if (getAll().some(existing => existing.eventPrefix === definition.eventPrefix)) {
+    throw new Error(`Event prefix already used by another game: ${definition.eventPrefix}`);
+  }
+
+  const frozen = Object.freeze({ expiresAtField: 'expiresAt', ...definition });
+  definitions.set(definition.type, frozen);
+  return frozen;
+};
+
+/**
+ * Definition of a game type
+ * @throws {Error} Unknown game type
+ */
+const getDefinition = (gameType) => {
+  const definition = definitions.get(gameType);
+  if (!definition) {
+    throw new Error(`Unknown game type: ${gameType}`);
+  }
+  return definition;
+};
+
+const isRegistered = (gameType) => definitions.has(gameType);
+
+const getAll = () => [...definitions.values()];
+
+const getTypes = () => [...definitions.keys()];
+
+/**
+ * { gameType: dimension }
+ */
+const getDimensionMap = () =>
+  Object.fromEntries(getAll().map(({ type, dimension }) => [type, dimension]));
+
+/**
+ * { dimension: gameType }
+ */
+const getGameByDimension = () =>
+  Object.fromEntries(getAll().map(({ type, dimension }) => [dimension, type]));
+
+/**
+ * The game's service (a GameEngine)
+ */
+const getEngine = (gameType) => getDefinition(gameType).service();
+
+// =====================================================
+// BUILT-IN GAMES
+// =====================================================
+
+register({
+  type: 'two_truths_lie',
+  name: 'Two Truths & A Lie',
+  dimension: 'intuition',
+  path: '/games/two-truths-lie',
+  eventPrefix: 'ttl',
+  idField: '_id',
+  players: ['initiatorId', 'partnerId'],
+  expiresAtField: 'invitationExpiresAt',
+  statuses: {
+    invited: ['pending_acceptance'],
+    in_progress: ['writing_phase', 'answering_phase'],
+    completed: ['completed'],
+    declined: ['declined'],
+    expired: ['expired'],
+    abandoned: ['cancelled'],
+  },
+  model: () => require('../../models/TwoTruthsLieGame'),
+  service: () => require('../twoTruthsLie.service'),
+  routes: () => require('../../routes/twoTruthsLie.routes'),
+  socket: () => require('../../sockets/twoTruthsLie.socket').initializeTwoTruthsLieSocket,
+});
+
+register({
+  type: 'would_you_rather',
+  name: 'Would You Rather',
+  dimension: 'lifestyle',
+  path: '/games/would-you-rather',
+  eventPrefix: 'wyr',
+  idField: 'sessionId',
+  players: ['player1.userId', 'player2.userId'],
+  statuses: {
+    invited: ['pending'],
+    in_progress: ['starting', 'playing', 'paused'],
+    completed: ['completed', 'discussion'],
+    declined: ['declined'],
+    expired: ['expired'],
+    abandoned: ['abandoned'],
+  },
+  model: () => require('../../models/games/WouldYouRatherSession'),
+  questionModel: () => require('../../models/games/WouldYouRatherQuestion'),
+  service: () => require('./wouldYouRather.service'),
+  routes: () => require('../../routes/games/wouldYouRather.routes'),
+  socket: () => require('../../sockets/wouldYouRather.socket').initializeWouldYouRatherSocket,
+});
+
+register({
+  type: 'intimacy_spectrum',
+  name: 'Intimacy Spectrum',
+  dimension: 'physical',
+  path: '/games/intimacy-spectrum',
+  eventPrefix: 'is',
+  idField: 'sessionId',
+  players: ['player1.userId', 'player2.userId'],
+  statuses: {
+    invited: ['pending'],
+    in_progress: ['starting', 'playing', 'paused'],
+    completed: ['completed', 'discussion'],
+    declined: ['declined'],
+    expired: ['expired'],
+    abandoned: ['abandoned'],
+  },
+  model: () => require('../../models/games/IntimacySpectrumSession'),
+  questionModel: () => require('../../models/games/IntimacySpectrumQuestion'),
+  service: () => require('./intimacySpectrum.service'),
+  routes: () => require('../../routes/games/intimacySpectrum.routes'),
+  socket: () => require('../../sockets/intimacySpectrum.socket').initializeIntimacySpectrumSocket,
+});
+
+register({
+  type: 'never_have_i_ever',
+  name: 'Never Have I Ever',
+  dimension: 'experience',
+  path: '/games/never-have-i-ever',
+  eventPrefix: 'nhie',
+  idField: 'sessionId',
+  players: ['player1.userId', 'player2.userId'],
+  statuses: {
+    invited: ['pending'],
+    in_progress: ['starting', 'playing'],
+    completed: ['completed', 'discussion'],
+    declined: ['declined'],
+    expired: ['expired'],
+    abandoned: ['abandoned'],
+  },
+  model: () => require('../../models/games/NeverHaveIEverSession'),
+  questionModel: () => require('../../models/games/NeverHaveIEverQuestion'),
+  service: () => require('./neverHaveIEver.service'),
+  routes: () => require('../../routes/games/neverHaveIEver.routes'),
+  socket: () => require('../../sockets/neverHaveIEver.socket').initializeNeverHaveIEverSocket,
+});
+
+register({
+  type: 'what_would_you_do',
+  name: 'What Would You Do',
+  dimension: 'character',
+  path: '/games/what-would-you-do',
+  eventPrefix: 'wwyd',
+  idField: 'sessionId',
+  players: ['player1.userId', 'player2.userId'],
+  statuses: {
+    invited: ['pending'],
+    in_progress: ['active', 'waiting', 'analyzing'],
+    completed: ['completed', 'discussion'],
+    declined: ['declined'],
+    expired: ['expired'],
+    abandoned: ['abandoned'],
+  },
+  model: () => require('../../models/games/WhatWouldYouDoSession'),
+  service: () => require('./whatWouldYouDo.service'),
+  routes: () => require('../../routes/games/whatWouldYouDo.routes'),
+  socket: () => require('../../sockets/whatWouldYouDo.socket').initializeWhatWouldYouDoSocket,
+});
+
+register({
+  type: 'dream_board',
+  name: 'Dream Board',
+  dimension: 'future',
+  path: '/games/dream-board',
+  eventPrefix: 'db',
+  idField: 'sessionId',
+  players: ['player1.userId', 'player2.userId'],
+  statuses: {
+    invited: ['pending'],
+    in_progress: ['active', 'analyzing'],
+    completed: ['completed'],
+    declined: ['declined'],
+    expired: ['expired'],
+    abandoned: ['abandoned'],
+  },
+  model: () => require('../../models/games/DreamBoardSession'),
+  service: () => require('./dreamBoard.service'),
+  routes: () => require('../../routes/games/dreamBoard.routes'),
+  socket: () => require('../../sockets/dreamBoard.socket').initializeDreamBoardSocket,
+});
+
+module.exports = {
+  register,
+  getDefinition,
+  isRegistered,
+  getAll,
+  getTypes,
+  getDimensionMap,
+  getGameByDimension,
+  getEngine,
+};
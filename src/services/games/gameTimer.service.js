@@ -0,0 +1,391 @@
+// src/services/games/gameTimer.service.js
+
+const crypto = require('crypto');
+const os = require('os');
+const logger = require('../../utils/logger');
+
+/**
+ * GAME TIMER SERVICE
+ *
+ * Durable deadlines for real-time games (countdowns, question timeouts,
+ * reveal -> next question). Replaces per-process setTimeout maps so a
+ * restart or a second instance no longer stalls live games.
+ *
+ * How it works:
+ * - The next step of a session is persisted on the session document
+ *   (`timerDeadline`: token, action, questionIndex, fireAt)
+ * - The instance that schedules it also arms a local setTimeout (fast path)
+ * - A sweeper on every instance picks up deadlines that are due
+ * - Firing claims the deadline atomically (token match + lease), so each
+ *   deadline runs its handler exactly once. The lease is renewed while the
+ *   handler runs; one that expires (instance died mid-handler) is picked up
+ *   again by the sweeper
+ * - A handler that throws keeps its deadline: the lease is released and
+ *   fireAt pushed back with exponential backoff, so it is retried until it
+ *   succeeds or the session schedules/cancels another step
+ * - On boot, each game's recover() hook re-arms sessions that were
+ *   in flight without a deadline
+ *
+ * Each game registers its model, action handlers and recovery hook:
+ *   gameTimerService.register('wyr', { model, handlers: { question_timeout: fn }, recover: fn })
+ * Handlers receive (sessionId, deadline, { io, socketManager }).
+ */
+
+const EMPTY_DEADLINE = {
+  token: null,
+  action: null,
+  questionIndex: null,
+  fireAt: null,
+  lockedBy: null,
+  lockedUntil: null,
+  attempts: 0,
+};
+
+class GameTimerService {
+  constructor() {
+    this.games = new Map();
+    this.localTimers = new Map();
+    this.sweepTimer = null;
+    this.io = null;
+    this.socketManager = null;
+    this.owner = `${os.hostname()}:${process.pid}`;
+
+    this.config = {
+      sweepIntervalMs: parseInt(process.env.GAME_TIMER_SWEEP_MS, 10) || 1000,
+      leaseMs: 30 * 1000,
+      leaseRenewMs: 10 * 1000,
+      retryBaseMs: 1000,
+      retryMaxMs: 5 * 60 * 1000,
+      sweepBatchSize: 100,
+    };
+  }
+
+  // ============================================
+  // REGISTRATION & LIFECYCLE
+  // ============================================
+
+  /**
+   * Register a game
+   * @param {String} game - Game key ('wyr', 'is', 'nhie')
+   * @param {Object} options - { model, handlers, recover }
+   */
+  register(game, { model, handlers, recover = null }) {
+    this.games.set(game, { model, handlers, recover });
+  }
+
+  /**
+   * Start the sweeper and run the boot recovery pass
+   * @param {Server} io - Socket.io server
+   * @param {Object} socketManager - Socket manager
+   */
+  async start(io, socketManager) {
+    this.io = io;
+    this.socketManager = socketManager;
+
+    if (this.sweepTimer) {
+      return;
+    }
+
+    await this.recover();
+
+    this.sweepTimer = setInterval(() => {
+      this.sweep().catch((error) => {
+        logger.error('Game timer sweep failed', { error: error.message });
+      });
+    }, this.config.sweepIntervalMs);
+
+    logger.info('Game timer sweeper started', {
+      games: [...this.games.keys()],
+      intervalMs: this.config.sweepIntervalMs,
+    });
+  }
+
+  /**
+   * Stop the sweeper and local timers (deadlines stay persisted)
+   */
+  stop() {
+    if (this.sweepTimer) {
+      clearInterval(this.sweepTimer);
+      this.sweepTimer = null;
+    }
+
+    for (const timeout of this.localTimers.values()) {
+      clearTimeout(timeout);
+    }
+    this.localTimers.clear();
+  }
+
+  // ============================================
+  // SCHEDULING
+  // ============================================
+
+  /**
+   * Schedule the next step of a session (replaces any pending deadline)
+   *
+   * @param {String} game - Game key
+   * @param {String} sessionId - Session UUID
+   * @param {String} action - Handler name
+   * @param {Number} delayMs - Delay from now
+   * @param {Object} options
+   * @param {Number} options.questionIndex - Question the deadline belongs to
+   * @param {Boolean} options.onlyIfNone - Do not replace a pending deadline
+   * @returns {Promise<Boolean>} True if the deadline was stored
+   */
+  async schedule(game, sessionId, action, delayMs, { questionIndex = null, onlyIfNone = false } = {}) {
+    const { model } = this._getGame(game);
+
+    const deadline = {
+      token: crypto.randomUUID(),
+      action,
+      questionIndex,
+      fireAt: new Date(Date.now() + Math.max(0, delayMs)),
+      lockedBy: null,
+      lockedUntil: null,
+      attempts: 0,
+    };
+
+    const filter = { sessionId };
+    if (onlyIfNone) {
+      filter['timerDeadline.token'] = null;
+    }
+
+    const result = await model.updateOne(filter, { $set: { timerDeadline: deadline } });
+
+    if (result.modifiedCount === 0) {
+      return false;
+    }
+
+    this._armLocal(game, sessionId, deadline);
+    return true;
+  }
+
+  /**
+   * Cancel the pending deadline of a session
+   * @param {String} game - Game key
+   * @param {String} sessionId - Session UUID
+   */
+  async cancel(game, sessionId) {
+    const { model } = this._getGame(game);
+
+    this._disarmLocal(game, sessionId);
+    await model.updateOne({ sessionId }, { $set: { timerDeadline: EMPTY_DEADLINE } });
+  }
+
+  /**
+   * Whether a session has a pending deadline
+   */
+  async hasPending(game, sessionId) {
+    const { model } = this._getGame(game);
+
+    const count = await model.countDocuments({
+      sessionId,
+      'timerDeadline.token': { $ne: null },
+    });
+
+    return count > 0;
+  }
+
+  // ============================================
+  // FIRING
+  // ============================================
+
+  /**
+   * Claim and run a deadline. No-op if it was replaced, cancelled or
+   * already claimed elsewhere.
+   * @returns {Promise<Boolean>} True if this instance ran the handler
+   */
+  async fire(game, sessionId, token) {
+    const { model, handlers } = this._getGame(game);
+    const now = new Date();
+
+    const claimed = await model.findOneAndUpdate(
+      {
+        sessionId,
+        'timerDeadline.token': token,
+        'timerDeadline.fireAt': { $lte: now },
+        $or: [
+          { 'timerDeadline.lockedUntil': null },
+          { 'timerDeadline.lockedUntil': { $lt: now } },
+        ],
+      },
+      {
+        $set: {
+          'timerDeadline.lockedBy': this.owner,
+          'timerDeadline.lockedUntil': new Date(now.getTime() + this.config.leaseMs),
+        },
+      },
+      { new: true, projection: { sessionId: 1, timerDeadline: 1 } }
+    ).lean();
+
+    if (!claimed) {
+      return false;
+    }
+
+    const deadline = claimed.timerDeadline;
+    const handler = handlers[deadline.action];
+
+    const renewal = setInterval(() => {
+      this._renewLease(model, sessionId, token).catch((error) => {
+        logger.error('Game timer lease renewal failed', { game, sessionId, error: error.message });
+      });
+    }, this.config.leaseRenewMs);
+
+    let failure = null;
+    try {
+      if (!handler) {
+        throw new Error(`No handler for action ${deadline.action}`);
+      }
+
+      await handler(sessionId, deadline, { io: this.io, socketManager: this.socketManager });
+    } catch (error) {
+      failure = error;
+    } finally {
+      clearInterval(renewal);
+    }
+
+    if (failure) {
+      await this._retryLater(game, sessionId, deadline, failure);
+      return true;
+    }
+
+    // Clear unless the handler already scheduled the next step
+    await model.updateOne(
+      { sessionId, 'timerDeadline.token': token },
+      { $set: { timerDeadline: EMPTY_DEADLINE } }
+    );
+
+    return true;
+  }
+
+  /**
+   * Fire every due deadline (deadlines whose local timer was lost)
+   */
+  async sweep() {
+    const now = new Date();
+
+    for (const [game, { model }] of this.games) {
+      const due = await model
+        .find({
+          'timerDeadline.fireAt': { $lte: now },
+          'timerDeadline.token': { $ne: null },
+          $or: [
+            { 'timerDeadline.lockedUntil': null },
+            { 'timerDeadline.lockedUntil': { $lt: now } },
+          ],
+        })
+        .select('sessionId timerDeadline.token')
+        .limit(this.config.sweepBatchSize)
+        .lean();
+
+      for (const session of due) {
+        await this.fire(game, session.sessionId, session.timerDeadline.token);
+      }
+    }
+  }
+
+  /**
+   * Boot recovery: let each game re-arm in-flight sessions, then
+   * re-arm local timers for deadlines that are still in the future
+   */
+  async recover() {
+    for (const [game, { model, recover }] of this.games) {
+      try {
+        const recovered = recover ? await recover() : 0;
+
+        const pending = await model
+          .find({ 'timerDeadline.fireAt': { $gt: new Date() } })
+          .select('sessionId timerDeadline')
+          .lean();
+
+        pending.forEach((session) => this._armLocal(game, session.sessionId, session.timerDeadline));
+
+        logger.info('Game timers recovered', { game, recovered, pending: pending.length });
+      } catch (error) {
+        logger.error('Game timer recovery failed', { game, error: error.message });
+      }
+    }
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  _getGame(game) {
+    const registered = this.games.get(game);
+    if (!registered) {
+      throw new Error(`Game not registered with timer service: ${game}`);
+    }
+    return registered;
+  }
+
+  async _renewLease(model, sessionId, token) {
+    await model.updateOne(
+      { sessionId, 'timerDeadline.token': token, 'timerDeadline.lockedBy': this.owner },
+      { $set: { 'timerDeadline.lockedUntil': new Date(Date.now() + this.config.leaseMs) } }
+    );
+  }
+
+  /**
+   * Release a failed deadline and push it back (exponential backoff)
+   */
+  async _retryLater(game, sessionId, deadline, error) {
+    const { model } = this._getGame(game);
+    const attempts = (deadline.attempts || 0) + 1;
+    const delayMs = Math.min(this.config.retryBaseMs * 2 ** (attempts - 1), this.config.retryMaxMs);
+    const fireAt = new Date(Date.now() + delayMs);
+
+    logger.error('Game timer handler failed', {
+      game,
+      sessionId,
+      action: deadline.action,
+      attempts,
+      retryInMs: delayMs,
+      error: error.message,
+    });
+
+    // Unless the handler already scheduled the next step
+    const result = await model.updateOne(
+      { sessionId, 'timerDeadline.token': deadline.token },
+      {
+        $set: {
+          'timerDeadline.fireAt': fireAt,
+          'timerDeadline.attempts': attempts,
+          'timerDeadline.lockedBy': null,
+          'timerDeadline.lockedUntil': null,
+        },
+      }
+    );
+
+    if (result.modifiedCount > 0) {
+      this._armLocal(game, sessionId, { ...deadline, fireAt });
+    }
+  }
+
+  _armLocal(game, sessionId, deadline) {
+    this._disarmLocal(game, sessionId);
+
+    const key = `${game}:${sessionId}`;
+    const delay = Math.max(0, new Date(deadline.fireAt).getTime() - Date.now());
+
+    const timeout = setTimeout(() => {
+      this.localTimers.delete(key);
+      this.fire(game, sessionId, deadline.token).catch((error) => {
+        logger.error('Game timer fire failed', { game, sessionId, error: error.message });
+      });
+    }, delay);
+
+    this.localTimers.set(key, timeout);
+  }
+
+  _disarmLocal(game, sessionId) {
+    const key = `${game}:${sessionId}`;
+    const timeout = this.localTimers.get(key);
+
+    if (timeout) {
+      clearTimeout(timeout);
+      this.localTimers.delete(key);
+    }
+  }
+}
+
+module.exports = new GameTimerService();
@@ -0,0 +1,289 @@
+// src/services/games/games.service.js
+
+const Match = require('../../models/Match');
+const User = require('../../models/User');
+const ApiError = require('../../utils/apiError');
+const gameRegistry = require('./gameRegistry');
+const { toPlayer } = require('./gameEngine');
+const entitlementService = require('../entitlement.service');
+const { ENTITLEMENTS } = require('../subscription/plans');
+const { ASYNC_GAMES } = require('../../config/gameModes');
+const { SELECTION_GAMES, getFocusPacks } = require('../../config/questionSelection');
+
+/**
+ * GAMES SERVICE
+ *
+ * Cross-game views for a couple, and the session flows every game shares
+ * (invitations, history, abandoning, voice notes, insights - see
+ * services/games/gameEngine.js), built from the game registry so new
+ * games show up without changes here.
+ */
+
+// Completed games stay in the lobby this long
+const RECENT_RESULTS_DAYS = 7;
+
+class GamesService {
+  /**
+   * State of every registered game for a match
+   * @param {ObjectId} userId - Requesting user
+   * @param {String} matchId - Match ID
+   * @returns {Promise<Object>} { matchId, partnerId, games, summary }
+   */
+  async getMatchGames(userId, matchId) {
+    const partnerId = await this._getMatchPartnerId(userId, matchId);
+
+    // Sessions are looked up by the couple, so games started from either
+    // side of the match are found
+    const games = await Promise.all(
+      gameRegistry.getTypes().map(gameType =>
+        gameRegistry.getEngine(gameType).getPairState(userId, partnerId)
+      )
+    );
+
+    const countState = (state) => games.filter(game => game.state === state).length;
+
+    return {
+      matchId,
+      partnerId,
+      games,
+      summary: {
+        total: games.length,
+        completed: games.filter(game => game.completedCount > 0).length,
+        invited: countState('invited'),
+        inProgress: countState('in_progress'),
+        notStarted: countState('not_started'),
+      },
+    };
+  }
+
+  /**
+   * Game lobby - pending invitations, active games and recent results
+   * across every registered game, newest first
+   * @param {ObjectId} userId - Requesting user
+   * @param {Object} options - { matchId } to limit to one match
+   * @returns {Promise<Object>} { invitations, active, recent, counts }
+   */
+  async getLobby(userId, { matchId = null } = {}) {
+    const partnerId = matchId ? await this._getMatchPartnerId(userId, matchId) : null;
+    const completedSince = new Date(Date.now() - RECENT_RESULTS_DAYS * 24 * 60 * 60 * 1000);
+
+    const perGame = await Promise.all(
+      gameRegistry.getTypes().map(async gameType => {
+        const engine = gameRegistry.getEngine(gameType);
+        const sessions = await engine.findLobbySessions(userId, { partnerId, completedSince });
+        const unread = await engine.getUnreadVoiceNoteCounts(sessions, userId);
+
+        return sessions.map(session => {
+          const entry = engine.toLobbyEntry(session, userId);
+          entry.unreadVoiceNotes = unread.get(entry.sessionId) ?? null;
+          return entry;
+        });
+      })
+    );
+    const entries = perGame.flat();
+
+    // One lookup for every partner shown
+    const partnerIds = [...new Set(entries.map(entry => entry.partnerId).filter(Boolean))];
+    const partners = await User.find({ _id: { $in: partnerIds } })
+      .select('firstName lastName username profilePhoto')
+      .lean();
+    const partnersById = new Map(partners.map(partner => [partner._id.toString(), toPlayer(partner)]));
+
+    entries.forEach(entry => {
+      entry.partner = partnersById.get(entry.partnerId) || null;
+    });
+
+    const byNewest = (field) => (a, b) => new Date(b[field]) - new Date(a[field]);
+    const invitations = entries.filter(entry => entry.state === 'invited').sort(byNewest('createdAt'));
+    const active = entries.filter(entry => entry.state === 'in_progress').sort(byNewest('updatedAt'));
+    const recent = entries.filter(entry => entry.state === 'completed').sort(byNewest('completedAt'));
+
+    return {
+      invitations,
+      active,
+      recent,
+      counts: {
+        invitationsReceived: invitations.filter(entry => !entry.invitedByYou).length,
+        invitationsSent: invitations.filter(entry => entry.invitedByYou).length,
+        active: active.length,
+        recent: recent.length,
+        unreadVoiceNotes: entries.reduce((sum, entry) => sum + (entry.unreadVoiceNotes || 0), 0),
+      },
+    };
+  }
+
+  /**
+   * Invite the partner to a rematch of a completed game
+   * @param {ObjectId} userId - Player asking for the rematch
+   * @param {String} gameType - Registered game type
+   * @param {String} sessionId - Completed session
+   * @returns {Promise<Object>} Lobby entry of the new invitation
+   * @throws {ApiError} 404 unknown game or session, 403 not a player,
+   *         409 a game is already open, 400 game not completed
+   */
+  async createRematch(userId, gameType, sessionId) {
+    return this._withEngine(gameType, engine => engine.createRematch(sessionId, userId));
+  }
+
+  /**
+   * Category focus packs of the question games
+   * @param {Object} user - Requesting user (premium unlocks the packs)
+   * @param {String} gameType - Limit to one game (optional)
+   * @returns {Object} { available, games: { gameType: packs } }
+   */
+  getFocusPacks(user, gameType = null) {
+    const gameTypes = gameType ? [gameType] : Object.keys(SELECTION_GAMES);
+
+    return {
+      available: entitlementService.hasEntitlement(user, ENTITLEMENTS.GAME_FOCUS_PACKS),
+      games: Object.fromEntries(gameTypes.map(type => [type, getFocusPacks(type)])),
+    };
+  }
+
+  /**
+   * Expire async games not finished within their play window
+   * Called by a scheduled job
+   * @returns {Promise<Object>} { gameType: expired }
+   */
+  async expireAsyncGames() {
+    const counts = await Promise.all(
+      ASYNC_GAMES.map(gameType => gameRegistry.getDefinition(gameType).model().expireAsyncGames())
+    );
+
+    return Object.fromEntries(ASYNC_GAMES.map((gameType, i) => [gameType, counts[i]]));
+  }
+
+  // =====================================================
+  // SESSIONS (every game, see GameEngine)
+  // =====================================================
+
+  /**
+   * Invite the other player of a mutual match to a game
+   * @param {ObjectId} userId - Inviting player
+   * @param {String} gameType - Registered game type
+   * @param {Object} invitation - { matchId, mode, focusPack }
+   * @returns {Promise<Object>} { session, initiator, invitedUser }
+   */
+  async createInvitation(userId, gameType, { matchId, mode, focusPack = null }) {
+    return this._withEngine(gameType, engine => engine.createInvitation(userId, matchId, { mode, focusPack }));
+  }
+
+  /**
+   * Accept an invitation (invited player only)
+   */
+  async acceptInvitation(userId, gameType, sessionId) {
+    return this._withEngine(gameType, engine => engine.acceptInvitation(sessionId, userId));
+  }
+
+  /**
+   * Decline an invitation (invited player only)
+   */
+  async declineInvitation(userId, gameType, sessionId) {
+    return this._withEngine(gameType, engine => engine.declineInvitation(sessionId, userId));
+  }
+
+  /**
+   * Open invitations the user has received for a game
+   */
+  async getPendingInvitations(userId, gameType) {
+    return this._withEngine(gameType, engine => engine.getPendingInvitations(userId));
+  }
+
+  /**
+   * Completed games of the user
+   * @param {Object} options - { limit, skip, matchId }
+   */
+  async getGameHistory(userId, gameType, options = {}) {
+    return this._withEngine(gameType, engine => engine.getGameHistory(userId, options));
+  }
+
+  /**
+   * Leave an invited or running game
+   * @param {Object} options - { reason }
+   */
+  async abandonGame(userId, gameType, sessionId, options = {}) {
+    return this._withEngine(gameType, engine => engine.abandonGame(sessionId, userId, options));
+  }
+
+  /**
+   * AI insights of a completed game
+   */
+  async getInsights(userId, gameType, sessionId) {
+    return this._withEngine(gameType, engine => engine.getInsights(sessionId, userId));
+  }
+
+  /**
+   * Voice notes of a game
+   */
+  async getVoiceNotes(userId, gameType, sessionId) {
+    return this._withEngine(gameType, engine => engine.getVoiceNotes(sessionId, userId));
+  }
+
+  /**
+   * Send a voice note about a completed game
+   * @param {Object} audio - { buffer, mimeType, duration, relatedTo }
+   */
+  async addVoiceNote(userId, gameType, sessionId, audio) {
+    return this._withEngine(gameType, engine => engine.addVoiceNote(sessionId, userId, audio));
+  }
+
+  /**
+   * Mark the partner's voice note as listened to
+   */
+  async markVoiceNoteListened(userId, gameType, sessionId, noteId) {
+    return this._withEngine(gameType, engine => engine.markVoiceNoteListened(sessionId, userId, noteId));
+  }
+
+  /**
+   * The user's match with a partner - for the legacy Two Truths & A Lie
+   * invitations and history, which take a partnerId
+   * @throws {ApiError} 404 no match with the partner
+   */
+  async getMatchIdWithPartner(userId, partnerId) {
+    const match = await Match.findOne({ userId, matchedUserId: partnerId }).select('_id').lean();
+
+    if (!match) {
+      throw ApiError.notFound('Match not found');
+    }
+
+    return match._id;
+  }
+
+  // =====================================================
+  // PRIVATE HELPERS
+  // =====================================================
+
+  /**
+   * The other user of a match the user takes part in
+   * @throws {ApiError} 404 unknown match, 403 not a participant
+   */
+  async _getMatchPartnerId(userId, matchId) {
+    const match = await Match.findById(matchId).select('userId matchedUserId').lean();
+
+    if (!match) {
+      throw ApiError.notFound('Match not found');
+    }
+
+    const userIdStr = userId.toString();
+    if (match.userId.toString() === userIdStr) return match.matchedUserId;
+    if (match.matchedUserId.toString() === userIdStr) return match.userId;
+
+    throw ApiError.forbidden('You are not a participant in this match');
+  }
+
+  /**
+   * Run a call on a game's engine (which throws ApiErrors with their status)
+   * @throws {ApiError} 404 unknown game type
+   */
+  async _withEngine(gameType, run) {
+    if (!gameRegistry.isRegistered(gameType)) {
+      throw ApiError.notFound(`Unknown game: ${gameType}`);
+    }
+
+    return run(gameRegistry.getEngine(gameType));
+  }
+}
+
+const gamesService = new GamesService();
+
+module.exports = gamesService;
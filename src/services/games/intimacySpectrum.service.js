@@ -2,10 +2,13 @@
 
 const IntimacySpectrumQuestion = require('../../models/games/IntimacySpectrumQuestion');
 const IntimacySpectrumSession = require('../../models/games/IntimacySpectrumSession');
-const Match = require('../../models/Match');
 const User = require('../../models/User');
 const openaiService = require('../openai.service');
 const logger = require('../../utils/logger');
+const ApiError = require('../../utils/apiError');
+const GameEngine = require('./gameEngine');
+const questionSelectionService = require('./questionSelection.service');
+const gameTimerService = require('./gameTimer.service');
 
 /**
  * INTIMACY SPECTRUM GAME SERVICE
@@ -14,66 +17,50 @@ const logger = require('../../utils/logger');
  * Used by both HTTP controllers and Socket.io handlers.
  * 
  * Responsibilities:
- * - Game invitation management
  * - Game flow control (start, answer, next question, complete)
  * - Results calculation
  * - AI insights generation
- * - Voice note management
+ *
+ * Invitations, history, abandoning, voice notes and insights run in
+ * GameEngine through the hooks below.
  */
 
-class IntimacySpectrumService {
+class IntimacySpectrumService extends GameEngine {
+  constructor() {
+    super('intimacy_spectrum');
+
+    // Persisted game timers (services/games/gameTimer.service.js, handlers
+    // in the socket)
+    this.config = {
+      timerGame: 'is',
+    };
+  }
 
   // =====================================================
-  // INVITATION MANAGEMENT
+  // GAME HOOKS (see GameEngine)
   // =====================================================
 
   /**
-   * Create a new game invitation
-   * @param {ObjectId} initiatorId - User sending the invitation
-   * @param {ObjectId} matchId - The match to play with
-   * @returns {Promise<Object>} Session and invited user info
+   * Create the session of a new invitation, without the categories either
+   * player has opted out of. A player plays one live game at a time.
    */
-  async createInvitation(initiatorId, matchId) {
-    // Validate match exists and users are mutually matched
-    const match = await Match.findById(matchId);
-
-    if (!match) {
-      throw new Error('Match not found');
-    }
-
-    // Determine who is the other player
-    const user1 = match.userId.toString();
-    const user2 = match.matchedUserId.toString();
-    const initiatorStr = initiatorId.toString();
-
-    if (initiatorStr !== user1 && initiatorStr !== user2) {
-      throw new Error('You are not part of this match');
-    }
-
-    // Check if mutually matched
-    if (!match.isMutualMatch) {
-      throw new Error('Both users must have liked each other to play games');
-    }
+  async buildSession({ matchId, initiatorId, invitedUserId, mode, focusPack }) {
+    await this._assertNotInGame(initiatorId);
 
-    const invitedUserId = initiatorStr === user1 ? user2 : user1;
-
-    // Check for existing active session between these users
-    const existingSession = await IntimacySpectrumSession.findOne({
-      $or: [
-        { 'player1.userId': initiatorId, 'player2.userId': invitedUserId },
-        { 'player1.userId': invitedUserId, 'player2.userId': initiatorId }
-      ],
-      status: { $in: ['pending', 'starting', 'playing', 'paused'] }
-    });
-
-    if (existingSession) {
-      throw new Error('An active game already exists with this match');
-    }
+    const excludedCategories = await User.getExcludedCategories(
+      [initiatorId, invitedUserId],
+      this.gameType
+    );
 
-    // Get question order (fixed: 1-30, easy to spicy)
-    const questionOrder = IntimacySpectrumQuestion.getDefaultQuestionOrder();
+    // Questions the couple has played least, balanced across categories
+    // (kept in easy-to-spicy order)
+    const selection = await questionSelectionService.selectForSession(
+      this.gameType,
+      initiatorId,
+      invitedUserId,
+      { excludedCategories, focusPack }
+    );
 
-    // Create the session
     const session = new IntimacySpectrumSession({
       matchId,
       player1: {
@@ -86,122 +73,108 @@ class IntimacySpectrumService {
         isReady: false,
         isConnected: false
       },
-      questionOrder,
+      questionOrder: selection.questionOrder,
+      excludedCategories,
+      focusPack: selection.focusPack,
+      selectionSeed: selection.seed,
+      mode,
       status: 'pending'
     });
 
     await session.save();
 
-    // Populate user info
-    await session.populate('player1.userId', 'firstName lastName profilePhoto');
-    await session.populate('player2.userId', 'firstName lastName profilePhoto');
-
     logger.info('Intimacy Spectrum invitation created', {
       sessionId: session.sessionId,
       initiator: initiatorId,
-      invited: invitedUserId
+      invited: invitedUserId,
+      mode
     });
 
+    return session;
+  }
+
+  getSessionDetails(session) {
     return {
-      session,
-      invitedUser: {
-        oduserId: session.player2.userId._id,
-        firstName: session.player2.userId.firstName,
-        lastName: session.player2.userId.lastName,
-        profilePhoto: session.player2.userId.profilePhoto
-      }
+      focusPack: session.focusPack || null,
+      totalQuestions: session.questionOrder.length,
+      excludedCategories: session.excludedCategories || []
     };
   }
 
   /**
-   * Accept a game invitation
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User accepting
-   * @returns {Promise<Object>} Updated session
+   * Live games wait for both players to join the session room
+   * (is:join starts the countdown)
    */
-  async acceptInvitation(sessionId, userId) {
-    const session = await IntimacySpectrumSession.findBySessionId(sessionId);
+  async startSession(session) {
+    await this._assertNotInGame(this.getPlayerIds(session)[1], session.sessionId);
+    await session.accept();
+  }
 
-    if (!session) {
-      throw new Error('Game session not found');
-    }
+  async declineSession(session) {
+    await session.decline();
+  }
 
-    // Verify user is player2
-    const player2Id = session.player2.userId._id 
-      ? session.player2.userId._id.toString() 
-      : session.player2.userId.toString();
+  async abandonSession(session, userId, reason) {
+    await super.abandonSession(session, userId, reason);
+    await gameTimerService.cancel(this.config.timerGame, session.sessionId);
+  }
 
-    if (player2Id !== userId.toString()) {
-      throw new Error('Only the invited player can accept');
-    }
+  getHistoryResult(session) {
+    return { compatibilityScore: session.results?.compatibilityScore ?? null };
+  }
 
-    // Accept the invitation
-    await session.accept();
+  async storeVoiceNote(session, userId, { audioUrl, duration }) {
+    await session.addVoiceNote(userId, audioUrl, duration);
 
-    logger.info('Intimacy Spectrum invitation accepted', {
+    logger.info('Voice note added to Intimacy Spectrum session', {
       sessionId: session.sessionId,
-      acceptedBy: userId
+      userId,
+      duration
     });
 
-    return session;
+    const notes = await this.listVoiceNotes(session);
+    return notes[notes.length - 1];
   }
 
   /**
-   * Decline a game invitation
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User declining
-   * @returns {Promise<Object>} Updated session
+   * Voice notes are kept in order on the session; their index is the id
    */
-  async declineInvitation(sessionId, userId) {
-    const session = await IntimacySpectrumSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
-
-    // Verify user is player2
-    const player2Id = session.player2.userId._id 
-      ? session.player2.userId._id.toString() 
-      : session.player2.userId.toString();
-
-    if (player2Id !== userId.toString()) {
-      throw new Error('Only the invited player can decline');
-    }
-
-    // Decline the invitation
-    await session.decline();
+  async listVoiceNotes(session) {
+    return session.voiceNotes.map((vn, index) => ({
+      noteId: index,
+      userId: vn.oduserId.toString(),
+      audioUrl: vn.audioUrl,
+      duration: vn.duration,
+      relatedTo: null,
+      transcription: null,
+      listenedBy: null,
+      createdAt: vn.createdAt
+    }));
+  }
 
-    logger.info('Intimacy Spectrum invitation declined', {
-      sessionId: session.sessionId,
-      declinedBy: userId
-    });
+  getStoredInsights(session) {
+    return session.aiInsights?.generatedAt ? session.aiInsights : null;
+  }
 
-    return session;
+  async generateSessionInsights(session) {
+    return this.generateAiInsights(session.sessionId);
   }
 
   /**
-   * Get pending invitation for a user
-   * @param {ObjectId} userId - User to check
-   * @returns {Promise<Object|null>} Pending invitation or null
+   * Throw if a player already has an open Intimacy Spectrum game
+   * @param {ObjectId} userId - Player
+   * @param {String} exceptSessionId - Session being answered, if any
    */
-  async getPendingInvitation(userId) {
-    const session = await IntimacySpectrumSession.findPendingInvitation(userId);
+  async _assertNotInGame(userId, exceptSessionId = null) {
+    const existing = await IntimacySpectrumSession.exists({
+      $or: [{ 'player1.userId': userId }, { 'player2.userId': userId }],
+      status: { $in: this.getStatuses('invited', 'in_progress') },
+      ...(exceptSessionId && { sessionId: { $ne: exceptSessionId } })
+    });
 
-    if (!session) {
-      return null;
+    if (existing) {
+      throw ApiError.conflict('You already have an active Intimacy Spectrum game');
     }
-
-    return {
-      sessionId: session.sessionId,
-      status: session.status,
-      expiresAt: session.expiresAt,
-      invitedBy: {
-        oduserId: session.player1.userId._id,
-        firstName: session.player1.userId.firstName,
-        lastName: session.player1.userId.lastName,
-        profilePhoto: session.player1.userId.profilePhoto
-      }
-    };
   }
 
   // =====================================================
@@ -211,9 +184,10 @@ class IntimacySpectrumService {
   /**
    * Start the game after acceptance
    * @param {String} sessionId - Session UUID
+   * @param {String} locale - Question language (English fallback)
    * @returns {Promise<Object>} First question data
    */
-  async startGame(sessionId) {
+  async startGame(sessionId, locale = null) {
     const session = await IntimacySpectrumSession.findBySessionId(sessionId);
 
     if (!session) {
@@ -225,9 +199,7 @@ class IntimacySpectrumService {
 
     // Get the first question
     const firstQuestionNumber = session.questionOrder[0];
-    const question = await IntimacySpectrumQuestion.findOne({
-      questionNumber: firstQuestionNumber
-    });
+    const question = await IntimacySpectrumQuestion.findVersionAsOf(firstQuestionNumber, session.createdAt, locale);
 
     return {
       sessionId: session.sessionId,
@@ -243,7 +215,7 @@ class IntimacySpectrumService {
         startsAt: session.currentQuestionStartedAt,
         expiresAt: session.currentQuestionExpiresAt
       },
-      totalQuestions: 30,
+      totalQuestions: session.totalQuestions,
       progress: 0
     };
   }
@@ -251,9 +223,10 @@ class IntimacySpectrumService {
   /**
    * Get current question for a session
    * @param {String} sessionId - Session UUID
+   * @param {String} locale - Question language (English fallback)
    * @returns {Promise<Object>} Current question data
    */
-  async getCurrentQuestion(sessionId) {
+  async getCurrentQuestion(sessionId, locale = null) {
     const session = await IntimacySpectrumSession.findBySessionId(sessionId);
 
     if (!session) {
@@ -265,7 +238,7 @@ class IntimacySpectrumService {
     }
 
     const questionNumber = session.questionOrder[session.currentQuestionIndex];
-    const question = await IntimacySpectrumQuestion.findOne({ questionNumber });
+    const question = await IntimacySpectrumQuestion.findVersionAsOf(questionNumber, session.createdAt, locale);
 
     return {
       sessionId: session.sessionId,
@@ -280,7 +253,7 @@ class IntimacySpectrumService {
         startsAt: session.currentQuestionStartedAt,
         expiresAt: session.currentQuestionExpiresAt
       },
-      totalQuestions: 30,
+      totalQuestions: session.totalQuestions,
       progress: session.progressPercent
     };
   }
@@ -290,31 +263,40 @@ class IntimacySpectrumService {
    * @param {String} sessionId - Session UUID
    * @param {ObjectId} userId - User answering
    * @param {Number} position - Slider position (0-100)
+   * @param {Boolean} ratherNotSay - "I'd rather not say" instead of a position
    * @returns {Promise<Object>} Answer result
    */
-  async submitAnswer(sessionId, userId, position) {
+  async submitAnswer(sessionId, userId, position, ratherNotSay = false) {
     const session = await IntimacySpectrumSession.findBySessionId(sessionId);
 
     if (!session) {
       throw new Error('Game session not found');
     }
 
+    // Async games are answered through submitAsyncAnswer
+    if (session.isAsync) {
+      throw new Error('This game is played async - answer over REST');
+    }
+
     const result = await session.recordAnswer(
       userId,
       session.currentQuestionIndex,
-      position
+      position,
+      ratherNotSay
     );
 
     logger.info('Intimacy Spectrum answer submitted', {
       sessionId,
-      oduserId: userId,
+      userId: userId,
       questionIndex: session.currentQuestionIndex,
-      position
+      position: result.ratherNotSay ? null : position,
+      ratherNotSay: result.ratherNotSay
     });
 
     return {
       recorded: true,
-      position,
+      position: result.ratherNotSay ? null : position,
+      ratherNotSay: result.ratherNotSay,
       bothAnswered: result.bothAnswered,
       questionIndex: session.currentQuestionIndex
     };
@@ -324,9 +306,10 @@ class IntimacySpectrumService {
    * Get reveal data after both players answer
    * @param {String} sessionId - Session UUID
    * @param {Number} questionIndex - Question index
+   * @param {String} locale - Question language (English fallback)
    * @returns {Promise<Object>} Reveal data with both positions
    */
-  async getRevealData(sessionId, questionIndex) {
+  async getRevealData(sessionId, questionIndex, locale = null) {
     const session = await IntimacySpectrumSession.findBySessionId(sessionId);
 
     if (!session) {
@@ -334,7 +317,19 @@ class IntimacySpectrumService {
     }
 
     const questionNumber = session.questionOrder[questionIndex];
-    const question = await IntimacySpectrumQuestion.findOne({ questionNumber });
+    const question = await IntimacySpectrumQuestion.findVersionAsOf(questionNumber, session.createdAt, locale);
+
+    return this._buildRevealData(session, questionIndex, question);
+  }
+
+  /**
+   * Reveal payload of one question
+   * @param {Object} session - Game session (players populated)
+   * @param {Number} questionIndex - Question index
+   * @param {Object} question - The question as of the session's start
+   */
+  _buildRevealData(session, questionIndex, question) {
+    const questionNumber = session.questionOrder[questionIndex];
 
     const p1Answer = session.player1.answers.find(
       a => a.questionNumber === questionNumber
@@ -345,6 +340,8 @@ class IntimacySpectrumService {
 
     const p1Position = p1Answer?.position ?? null;
     const p2Position = p2Answer?.position ?? null;
+    const p1RatherNotSay = Boolean(p1Answer?.ratherNotSay);
+    const p2RatherNotSay = Boolean(p2Answer?.ratherNotSay);
 
     // Calculate gap and alignment
     let gap = null;
@@ -368,30 +365,33 @@ class IntimacySpectrumService {
         spiceLevel: question.spiceLevel
       },
       player1: {
-        oduserId: session.player1.userId._id,
+        userId: session.player1.userId._id,
         firstName: session.player1.userId.firstName,
         position: p1Position,
-        timedOut: p1Position === null
+        ratherNotSay: p1RatherNotSay,
+        timedOut: p1Position === null && !p1RatherNotSay
       },
       player2: {
-        oduserId: session.player2.userId._id,
+        userId: session.player2.userId._id,
         firstName: session.player2.userId.firstName,
         position: p2Position,
-        timedOut: p2Position === null
+        ratherNotSay: p2RatherNotSay,
+        timedOut: p2Position === null && !p2RatherNotSay
       },
       gap,
       compatibilityPercent,
       alignment,
-      isLastQuestion: questionIndex >= 29
+      isLastQuestion: questionIndex >= session.totalQuestions - 1
     };
   }
 
   /**
    * Move to next question
    * @param {String} sessionId - Session UUID
+   * @param {String} locale - Question language (English fallback)
    * @returns {Promise<Object>} Next question data or completion
    */
-  async nextQuestion(sessionId) {
+  async nextQuestion(sessionId, locale = null) {
     const session = await IntimacySpectrumSession.findBySessionId(sessionId);
 
     if (!session) {
@@ -412,9 +412,7 @@ class IntimacySpectrumService {
     }
 
     // Get next question details
-    const question = await IntimacySpectrumQuestion.findOne({
-      questionNumber: result.questionNumber
-    });
+    const question = await IntimacySpectrumQuestion.findVersionAsOf(result.questionNumber, session.createdAt, locale);
 
     return {
       isComplete: false,
@@ -430,11 +428,65 @@ class IntimacySpectrumService {
         startsAt: session.currentQuestionStartedAt,
         expiresAt: session.currentQuestionExpiresAt
       },
-      totalQuestions: 30,
-      progress: Math.round((result.questionIndex / 30) * 100)
+      totalQuestions: session.totalQuestions,
+      progress: Math.round((result.questionIndex / session.totalQuestions) * 100)
+    };
+  }
+
+  // =====================================================
+  // ASYNC PLAY (see GameEngine)
+  // =====================================================
+
+  /**
+   * Question payload for an async player
+   */
+  async getAsyncQuestion(session, questionIndex, locale = null) {
+    const questionNumber = session.questionOrder[questionIndex];
+    const question = await IntimacySpectrumQuestion.findVersionAsOf(questionNumber, session.createdAt, locale);
+
+    return {
+      index: questionIndex,
+      number: questionNumber,
+      category: question.category,
+      questionText: question.questionText,
+      leftLabel: question.leftLabel,
+      rightLabel: question.rightLabel,
+      spiceLevel: question.spiceLevel
     };
   }
 
+  /**
+   * Both players' positions for revealed questions
+   */
+  async getAsyncReveals(session, questionIndexes, locale = null) {
+    const questionNumbers = questionIndexes.map(index => session.questionOrder[index]);
+    const questions = await IntimacySpectrumQuestion.findVersionsAsOf(questionNumbers, session.createdAt, locale);
+
+    const questionMap = {};
+    questions.forEach(q => {
+      questionMap[q.questionNumber] = q;
+    });
+
+    return questionIndexes.map((questionIndex, i) =>
+      this._buildRevealData(session, questionIndex, questionMap[questionNumbers[i]] || {})
+    );
+  }
+
+  /**
+   * Record an async answer
+   * @param {Object} answer - { position, ratherNotSay }
+   */
+  async recordAsyncAnswer(session, userId, questionIndex, { position = null, ratherNotSay = false } = {}) {
+    await session.recordAnswer(userId, questionIndex, position, ratherNotSay);
+  }
+
+  /**
+   * Generate AI insights, as at the end of a live game
+   */
+  async finishAsyncGame(session) {
+    await this.generateAiInsights(session.sessionId);
+  }
+
   /**
    * Handle question timeout
    * @param {String} sessionId - Session UUID
@@ -457,8 +509,8 @@ class IntimacySpectrumService {
       a => a.questionNumber === questionNumber
     );
 
-    const p1Answered = p1Answer && p1Answer.position !== null;
-    const p2Answered = p2Answer && p2Answer.position !== null;
+    const p1Answered = IntimacySpectrumSession.hasResponded(p1Answer);
+    const p2Answered = IntimacySpectrumSession.hasResponded(p2Answer);
 
     if (!p1Answered && !p2Answered) {
       await session.recordTimeout(null); // Both timed out
@@ -512,22 +564,25 @@ class IntimacySpectrumService {
       completedAt: session.completedAt,
       players: {
         player1: {
-          oduserId: session.player1.userId._id,
+          userId: session.player1.userId._id,
           firstName: session.player1.userId.firstName,
           lastName: session.player1.userId.lastName,
           profilePhoto: session.player1.userId.profilePhoto,
           totalAnswered: session.player1.totalAnswered,
-          totalTimedOut: session.player1.totalTimedOut
+          totalTimedOut: session.player1.totalTimedOut,
+          totalRatherNotSay: session.player1.totalRatherNotSay
         },
         player2: {
-          oduserId: session.player2.userId._id,
+          userId: session.player2.userId._id,
           firstName: session.player2.userId.firstName,
           lastName: session.player2.userId.lastName,
           profilePhoto: session.player2.userId.profilePhoto,
           totalAnswered: session.player2.totalAnswered,
-          totalTimedOut: session.player2.totalTimedOut
+          totalTimedOut: session.player2.totalTimedOut,
+          totalRatherNotSay: session.player2.totalRatherNotSay
         }
       },
+      excludedCategories: session.excludedCategories,
       results: {
         ...session.results.toObject(),
         categoryBreakdown: enrichedBreakdown
@@ -540,9 +595,10 @@ class IntimacySpectrumService {
   /**
    * Get detailed question-by-question breakdown
    * @param {String} sessionId - Session UUID
+   * @param {String} locale - Question language (English fallback)
    * @returns {Promise<Object>} Detailed breakdown
    */
-  async getDetailedResults(sessionId) {
+  async getDetailedResults(sessionId, locale = null) {
     const session = await IntimacySpectrumSession.findBySessionId(sessionId);
 
     if (!session) {
@@ -554,9 +610,7 @@ class IntimacySpectrumService {
     }
 
     // Get all questions
-    const questions = await IntimacySpectrumQuestion.find({
-      questionNumber: { $in: session.questionOrder }
-    }).lean();
+    const questions = await IntimacySpectrumQuestion.findVersionsAsOf(session.questionOrder, session.createdAt, locale);
 
     const questionMap = {};
     questions.forEach(q => {
@@ -594,6 +648,8 @@ class IntimacySpectrumService {
         spiceLevel: question.spiceLevel,
         player1Position: p1Position,
         player2Position: p2Position,
+        player1RatherNotSay: Boolean(p1Answer?.ratherNotSay),
+        player2RatherNotSay: Boolean(p2Answer?.ratherNotSay),
         gap,
         alignment,
         insight: question.insight
@@ -602,7 +658,7 @@ class IntimacySpectrumService {
 
     return {
       sessionId: session.sessionId,
-      totalQuestions: 30,
+      totalQuestions: session.totalQuestions,
       breakdown
     };
   }
@@ -680,9 +736,12 @@ class IntimacySpectrumService {
           content: prompt
         }
       ], {
-        model: 'gpt-4',
+        feature: 'intimacy_spectrum_insights',
+        userId: session.player1.userId._id,
+        context: { sessionId: session.sessionId },
         temperature: 0.8,
-        max_tokens: 800
+        max_tokens: 800,
+        locale: await User.getSharedLocale([session.player1.userId._id, session.player2.userId._id])
       });
 
       // Parse response
@@ -832,48 +891,6 @@ SUGGESTION: [One specific thing to try on their first night based on their resul
     return insights;
   }
 
-  // =====================================================
-  // VOICE NOTES
-  // =====================================================
-
-  /**
-   * Add voice note to session
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User sending
-   * @param {String} audioUrl - S3 URL
-   * @param {Number} duration - Duration in seconds
-   * @returns {Promise<Object>} Updated voice notes
-   */
-  async addVoiceNote(sessionId, userId, audioUrl, duration) {
-    const session = await IntimacySpectrumSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
-
-    // Verify user is a player
-    const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
-    const userIdStr = userId.toString();
-
-    if (userIdStr !== p1Id && userIdStr !== p2Id) {
-      throw new Error('User is not a player in this game');
-    }
-
-    await session.addVoiceNote(userId, audioUrl, duration);
-
-    logger.info('Voice note added to Intimacy Spectrum session', {
-      sessionId,
-      oduserId: userId,
-      duration
-    });
-
-    return {
-      voiceNotes: session.voiceNotes,
-      count: session.voiceNotes.length
-    };
-  }
-
   // =====================================================
   // SESSION MANAGEMENT
   // =====================================================
@@ -900,12 +917,12 @@ SUGGESTION: [One specific thing to try on their first night based on their resul
       matchId: session.matchId,
       isPlayer1,
       partner: isPlayer1 ? {
-        oduserId: session.player2.userId._id,
+        userId: session.player2.userId._id,
         firstName: session.player2.userId.firstName,
         lastName: session.player2.userId.lastName,
         profilePhoto: session.player2.userId.profilePhoto
       } : {
-        oduserId: session.player1.userId._id,
+        userId: session.player1.userId._id,
         firstName: session.player1.userId.firstName,
         lastName: session.player1.userId.lastName,
         profilePhoto: session.player1.userId.profilePhoto
@@ -915,36 +932,6 @@ SUGGESTION: [One specific thing to try on their first night based on their resul
     };
   }
 
-  /**
-   * Get game history for user
-   * @param {ObjectId} userId - User ID
-   * @param {Number} limit - Max results
-   * @returns {Promise<Array>} Completed games
-   */
-  async getGameHistory(userId, limit = 10) {
-    const sessions = await IntimacySpectrumSession.findCompletedForUser(userId, limit);
-
-    return sessions.map(session => {
-      const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
-      const isPlayer1 = p1Id === userId.toString();
-
-      return {
-        sessionId: session.sessionId,
-        completedAt: session.completedAt,
-        compatibilityScore: session.results.compatibilityScore,
-        partner: isPlayer1 ? {
-          oduserId: session.player2.userId._id,
-          firstName: session.player2.userId.firstName,
-          profilePhoto: session.player2.userId.profilePhoto
-        } : {
-          oduserId: session.player1.userId._id,
-          firstName: session.player1.userId.firstName,
-          profilePhoto: session.player1.userId.profilePhoto
-        }
-      };
-    });
-  }
-
   /**
    * Update player connection status
    * @param {String} sessionId - Session UUID
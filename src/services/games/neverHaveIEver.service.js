@@ -2,15 +2,13 @@
 
 const NeverHaveIEverQuestion = require('../../models/games/NeverHaveIEverQuestion');
 const NeverHaveIEverSession = require('../../models/games/NeverHaveIEverSession');
-const Match = require('../../models/Match');
 const User = require('../../models/User');
-const OpenAI = require('openai');
+const aiGateway = require('../ai');
 const logger = require('../../utils/logger');
-
-// Initialize OpenAI client
-const openaiClient = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const ApiError = require('../../utils/apiError');
+const GameEngine = require('./gameEngine');
+const questionSelectionService = require('./questionSelection.service');
+const gameTimerService = require('./gameTimer.service');
 
 /**
  * NEVER HAVE I EVER GAME SERVICE
@@ -19,64 +17,41 @@ const openaiClient = new OpenAI({
  * Used by both HTTP controllers and Socket.io handlers.
  * 
  * Responsibilities:
- * - Game invitation management
  * - Game flow control (start, answer, next question, complete)
  * - Results calculation
  * - AI insights generation
- * - Voice note management
+ *
+ * Invitations, history, abandoning, voice notes and insights run in
+ * GameEngine through the hooks below.
  */
 
-class NeverHaveIEverService {
+class NeverHaveIEverService extends GameEngine {
+  constructor() {
+    super('never_have_i_ever');
+
+    // Persisted game timers (services/games/gameTimer.service.js, handlers
+    // in the socket)
+    this.config = {
+      timerGame: 'nhie',
+    };
+  }
 
   // =====================================================
-  // INVITATION MANAGEMENT
+  // GAME HOOKS (see GameEngine)
   // =====================================================
 
   /**
-   * Create a new game invitation
-   * @param {ObjectId} initiatorId - User sending the invitation
-   * @param {ObjectId} matchId - The match to play with
-   * @returns {Promise<Object>} Session and invited user info
+   * Create the session of a new invitation, without the categories either
+   * player has opted out of. A player plays one live game at a time.
    */
-  async createInvitation(initiatorId, matchId) {
-    // Validate match exists and users are mutually matched
-    const match = await Match.findById(matchId);
-
-    if (!match) {
-      throw new Error('Match not found');
-    }
-
-    // Determine who is the other player
-    const user1 = match.userId.toString();
-    const user2 = match.matchedUserId.toString();
-    const initiatorStr = initiatorId.toString();
+  async buildSession({ matchId, initiatorId, invitedUserId, mode, focusPack }) {
+    await this._assertNotInGame(initiatorId);
 
-    if (initiatorStr !== user1 && initiatorStr !== user2) {
-      throw new Error('You are not part of this match');
-    }
-
-    // Check if mutually matched
-    if (!match.isMutualMatch) {
-      throw new Error('Both users must have liked each other to play games');
-    }
-
-    const invitedUserId = initiatorStr === user1 ? user2 : user1;
-
-    // Check for existing active game
-    const existingGame = await NeverHaveIEverSession.hasActiveGame(initiatorId, invitedUserId);
-    if (existingGame) {
-      throw new Error('An active Never Have I Ever game already exists between you two');
-    }
+    const excludedCategories = await User.getExcludedCategories(
+      [initiatorId, invitedUserId],
+      this.gameType
+    );
 
-    // Get invited user info
-    const invitedUser = await User.findById(invitedUserId)
-      .select('firstName lastName profilePhoto');
-
-    if (!invitedUser) {
-      throw new Error('Invited user not found');
-    }
-
-    // Create session
     const session = new NeverHaveIEverSession({
       matchId,
       player1: {
@@ -87,130 +62,157 @@ class NeverHaveIEverService {
         userId: invitedUserId,
         isConnected: false
       },
+      excludedCategories,
+      mode,
       status: 'pending',
       invitedAt: new Date(),
-      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours
+      expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000) // 24 hours (longer when async)
     });
 
-    // Initialize question order
-    session.initializeQuestions();
+    // Statements the couple has played least, balanced across categories
+    // (kept in progressive-spice order)
+    const selection = await questionSelectionService.selectForSession(
+      this.gameType,
+      initiatorId,
+      invitedUserId,
+      { excludedCategories, focusPack }
+    );
+    session.questionOrder = selection.questionOrder;
+    session.focusPack = selection.focusPack;
+    session.selectionSeed = selection.seed;
 
     await session.save();
 
     logger.info('Never Have I Ever invitation created', {
       sessionId: session.sessionId,
       initiator: initiatorId,
-      invited: invitedUserId
+      invited: invitedUserId,
+      mode
     });
 
+    return session;
+  }
+
+  getSessionDetails(session) {
     return {
-      session,
-      invitedUser
+      focusPack: session.focusPack || null,
+      totalQuestions: session.questionOrder.length,
+      excludedCategories: session.excludedCategories || []
     };
   }
 
   /**
-   * Accept a game invitation
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User accepting (must be player2)
-   * @returns {Promise<Object>} Updated session
+   * Async games start right away; live ones wait for both players to join
+   * the session room (nhie:join starts the countdown)
    */
-  async acceptInvitation(sessionId, oduserId) {
-    const session = await NeverHaveIEverSession.findBySessionId(sessionId);
+  async startSession(session) {
+    await this._assertNotInGame(this.getPlayerIds(session)[1], session.sessionId);
 
-    if (!session) {
-      throw new Error('Game session not found');
+    if (session.isAsync) {
+      this.assertTransition(session, 'playing');
+      session.startAsyncPlay();
+    } else {
+      this.transition(session, 'starting');
+      session.acceptedAt = new Date();
+      session.player2.isConnected = true;
     }
 
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
+    await session.save();
+  }
 
-    if (p2Id !== oduserId.toString()) {
-      throw new Error('Only the invited player can accept');
-    }
+  async abandonSession(session, userId, reason) {
+    await super.abandonSession(session, userId, reason);
+    await gameTimerService.cancel(this.config.timerGame, session.sessionId);
 
-    if (session.status !== 'pending') {
-      throw new Error('This invitation is no longer pending');
-    }
+    logger.info('Never Have I Ever game abandoned', {
+      sessionId: session.sessionId,
+      byUser: userId
+    });
+  }
 
-    if (new Date() > session.expiresAt) {
-      session.status = 'expired';
-      await session.save();
-      throw new Error('This invitation has expired');
-    }
+  getHistoryResult(session, userId) {
+    const isPlayer1 = this.getPlayerIds(session)[0] === userId.toString();
+    const [you, partner] = isPlayer1
+      ? [session.player1, session.player2]
+      : [session.player2, session.player1];
 
-    session.status = 'starting';
-    session.acceptedAt = new Date();
-    session.player2.isConnected = true;
-    session.lastActivityAt = new Date();
+    return {
+      myPoints: you.discoveryPoints,
+      partnerPoints: partner.discoveryPoints,
+      sharedExperiences: session.results?.totalSharedExperiences ?? null,
+      secretsUnlocked: session.results?.totalSecretsUnlocked ?? null
+    };
+  }
 
-    await session.save();
+  async storeVoiceNote(session, userId, { audioUrl, duration }) {
+    await session.addVoiceNote(userId, audioUrl, duration);
 
-    logger.info('Never Have I Ever invitation accepted', {
-      sessionId,
-      oduserId
+    logger.info('Voice note added to Never Have I Ever session', {
+      sessionId: session.sessionId,
+      userId,
+      duration
     });
 
-    return session;
+    const notes = await this.listVoiceNotes(session);
+    return notes[notes.length - 1];
   }
 
   /**
-   * Decline a game invitation
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User declining
-   * @returns {Promise<Object>} Updated session
+   * Voice notes are kept in order on the session; their index is the id.
+   * Only the partner's listen is tracked (listenedByPartner).
    */
-  async declineInvitation(sessionId, oduserId) {
-    const session = await NeverHaveIEverSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
-
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
-
-    if (p2Id !== oduserId.toString()) {
-      throw new Error('Only the invited player can decline');
-    }
+  async listVoiceNotes(session) {
+    return session.voiceNotes.map((vn, index) => {
+      const userId = vn.oduserId.toString();
 
-    if (session.status !== 'pending') {
-      throw new Error('This invitation is no longer pending');
-    }
+      return {
+        noteId: index,
+        userId,
+        audioUrl: vn.audioUrl,
+        duration: vn.duration,
+        relatedTo: null,
+        transcription: null,
+        listenedBy: vn.listenedByPartner ? [this.getPartnerId(session, userId)] : [],
+        createdAt: vn.createdAt
+      };
+    });
+  }
 
-    session.status = 'declined';
+  async recordVoiceNoteListen(session, note) {
+    session.voiceNotes[note.noteId].listenedByPartner = true;
     session.lastActivityAt = new Date();
-
     await session.save();
+  }
 
-    logger.info('Never Have I Ever invitation declined', {
-      sessionId,
-      oduserId
-    });
+  getStoredInsights(session) {
+    return session.aiInsights?.generated ? session.aiInsights : null;
+  }
 
-    return session;
+  async generateSessionInsights(session) {
+    await session.populate([
+      { path: 'player1.userId', select: 'firstName' },
+      { path: 'player2.userId', select: 'firstName' }
+    ]);
+    await this.generateAIInsights(session);
+
+    return session.aiInsights;
   }
 
   /**
-   * Get pending invitation for a user
-   * @param {ObjectId} userId - User to check
-   * @returns {Promise<Object|null>} Pending invitation or null
+   * Throw if a player already has an open Never Have I Ever game
+   * @param {ObjectId} userId - Player
+   * @param {String} exceptSessionId - Session being answered, if any
    */
-  async getPendingInvitation(oduserId) {
-    const session = await NeverHaveIEverSession.findPendingInvitation(oduserId);
-
-    if (!session) return null;
+  async _assertNotInGame(userId, exceptSessionId = null) {
+    const existing = await NeverHaveIEverSession.exists({
+      $or: [{ 'player1.userId': userId }, { 'player2.userId': userId }],
+      status: { $in: this.getStatuses('invited', 'in_progress') },
+      ...(exceptSessionId && { sessionId: { $ne: exceptSessionId } })
+    });
 
-    return {
-      sessionId: session.sessionId,
-      status: session.status,
-      invitedBy: {
-        oduserId: session.player1.userId._id,
-        firstName: session.player1.userId.firstName,
-        lastName: session.player1.userId.lastName,
-        profilePhoto: session.player1.userId.profilePhoto
-      },
-      invitedAt: session.invitedAt,
-      expiresAt: session.expiresAt
-    };
+    if (existing) {
+      throw ApiError.conflict('You already have an active Never Have I Ever game');
+    }
   }
 
   // =====================================================
@@ -220,9 +222,10 @@ class NeverHaveIEverService {
   /**
    * Start the game (called after countdown)
    * @param {String} sessionId - Session UUID
+   * @param {String} locale - Language of the returned question (optional)
    * @returns {Promise<Object>} First question info
    */
-  async startGame(sessionId) {
+  async startGame(sessionId, locale = null) {
     const session = await NeverHaveIEverSession.findBySessionId(sessionId);
 
     if (!session) {
@@ -245,7 +248,7 @@ class NeverHaveIEverService {
 
     // Get first question
     const questionNumber = session.questionOrder[0];
-    const question = await NeverHaveIEverQuestion.findOne({ questionNumber });
+    const question = await NeverHaveIEverQuestion.findVersionAsOf(questionNumber, session.createdAt, locale);
 
     logger.info('Never Have I Ever game started', { sessionId });
 
@@ -268,22 +271,28 @@ class NeverHaveIEverService {
    * @param {String} sessionId - Session UUID
    * @param {ObjectId} userId - Player answering
    * @param {Boolean} answer - true = "I Have", false = "I Haven't"
+   * @param {Boolean} ratherNotSay - "I'd rather not say" instead of an answer
    * @returns {Promise<Object>} Answer result
    */
-  async recordAnswer(sessionId, oduserId, answer) {
+  async recordAnswer(sessionId, oduserId, answer, ratherNotSay = false) {
     const session = await NeverHaveIEverSession.findBySessionId(sessionId);
 
     if (!session) {
       throw new Error('Game session not found');
     }
 
+    // Async games are answered through submitAsyncAnswer
+    if (session.isAsync) {
+      throw new Error('This game is played async - answer over REST');
+    }
+
     if (session.status !== 'playing') {
       throw new Error('Game is not in playing state');
     }
 
     const questionNumber = session.questionOrder[session.currentQuestionIndex];
 
-    const result = await session.recordAnswer(oduserId, questionNumber, answer);
+    const result = await session.recordAnswer(oduserId, questionNumber, answer, ratherNotSay);
 
     // Check if both have answered
     const bothAnswered = session.bothAnswered();
@@ -297,9 +306,10 @@ class NeverHaveIEverService {
   /**
    * Get reveal data (both answers) for current question
    * @param {String} sessionId - Session UUID
+   * @param {String} locale - Language of the statement (optional)
    * @returns {Promise<Object>} Reveal data with points
    */
-  async getRevealData(sessionId) {
+  async getRevealData(sessionId, locale = null) {
     const session = await NeverHaveIEverSession.findBySessionId(sessionId);
 
     if (!session) {
@@ -307,30 +317,46 @@ class NeverHaveIEverService {
     }
 
     const questionNumber = session.questionOrder[session.currentQuestionIndex];
-    const question = await NeverHaveIEverQuestion.findOne({ questionNumber });
+    const question = await NeverHaveIEverQuestion.findVersionAsOf(questionNumber, session.createdAt, locale);
 
-    const answers = session.getCurrentAnswers();
-    const points = session.calculateQuestionPoints();
+    const reveal = this._buildRevealData(session, questionNumber, question);
 
     // Update player points
-    session.player1.discoveryPoints += points.player1Points;
-    session.player2.discoveryPoints += points.player2Points;
+    session.player1.discoveryPoints += reveal.player1Points;
+    session.player2.discoveryPoints += reveal.player2Points;
     await session.save();
 
+    return {
+      ...reveal,
+      runningTotal: {
+        player1: session.player1.discoveryPoints,
+        player2: session.player2.discoveryPoints
+      }
+    };
+  }
+
+  /**
+   * Both answers and discovery points of one statement
+   * @param {Object} session - Game session
+   * @param {Number} questionNumber - Statement number
+   * @param {Object} question - The statement as of the session's start
+   */
+  _buildRevealData(session, questionNumber, question) {
+    const answers = session.getCurrentAnswers(questionNumber);
+    const points = session.calculateQuestionPoints(questionNumber);
+
     return {
       questionNumber,
       statementText: question.statementText,
       category: question.category,
       player1Answer: answers.player1,
       player2Answer: answers.player2,
+      player1RatherNotSay: answers.player1RatherNotSay,
+      player2RatherNotSay: answers.player2RatherNotSay,
       player1Points: points.player1Points,
       player2Points: points.player2Points,
       outcome: points.outcome,
-      outcomeMessage: this.getOutcomeMessage(points.outcome),
-      runningTotal: {
-        player1: session.player1.discoveryPoints,
-        player2: session.player2.discoveryPoints
-      }
+      outcomeMessage: this.getOutcomeMessage(points.outcome)
     };
   }
 
@@ -357,6 +383,11 @@ class NeverHaveIEverService {
         "New discovery!",
         "Ask about this one! 💬"
       ],
+      ratherNotSay: [
+        "Some things stay private 🤐",
+        "Skipped - no pressure!",
+        "That one's off the table 🙅"
+      ],
       timedOut: [
         "Time ran out ⏰",
         "Moving on...",
@@ -371,9 +402,10 @@ class NeverHaveIEverService {
   /**
    * Move to next question
    * @param {String} sessionId - Session UUID
+   * @param {String} locale - Language of the returned question (optional)
    * @returns {Promise<Object>} Next question or completion status
    */
-  async nextQuestion(sessionId) {
+  async nextQuestion(sessionId, locale = null) {
     const session = await NeverHaveIEverSession.findBySessionId(sessionId);
 
     if (!session) {
@@ -390,12 +422,11 @@ class NeverHaveIEverService {
     }
 
     // Get next question
-    const question = await NeverHaveIEverQuestion.findOne({ 
-      questionNumber: result.questionNumber 
-    });
+    const question = await NeverHaveIEverQuestion.findVersionAsOf(result.questionNumber, session.createdAt, locale);
 
     return {
       isComplete: false,
+      totalQuestions: session.totalQuestions,
       currentQuestion: {
         index: result.questionIndex,
         number: result.questionNumber,
@@ -408,6 +439,69 @@ class NeverHaveIEverService {
     };
   }
 
+  // =====================================================
+  // ASYNC PLAY (see GameEngine)
+  // =====================================================
+
+  /**
+   * Statement payload for an async player
+   */
+  async getAsyncQuestion(session, questionIndex, locale = null) {
+    const questionNumber = session.questionOrder[questionIndex];
+    const question = await NeverHaveIEverQuestion.findVersionAsOf(questionNumber, session.createdAt, locale);
+
+    return {
+      index: questionIndex,
+      number: questionNumber,
+      category: question.category,
+      statementText: question.statementText,
+      insight: question.insight,
+      spiceLevel: question.spiceLevel
+    };
+  }
+
+  /**
+   * Both players' answers for revealed statements
+   * (discovery points are totalled when the game completes)
+   */
+  async getAsyncReveals(session, questionIndexes, locale = null) {
+    const questionNumbers = questionIndexes.map(index => session.questionOrder[index]);
+    const questions = await NeverHaveIEverQuestion.findVersionsAsOf(questionNumbers, session.createdAt, locale);
+
+    const questionMap = {};
+    questions.forEach(q => {
+      questionMap[q.questionNumber] = q;
+    });
+
+    return questionIndexes.map((questionIndex, i) => ({
+      questionIndex,
+      ...this._buildRevealData(session, questionNumbers[i], questionMap[questionNumbers[i]] || {})
+    }));
+  }
+
+  /**
+   * Record an async answer
+   * @param {Object} answer - { answer: Boolean, ratherNotSay }
+   */
+  async recordAsyncAnswer(session, userId, questionIndex, { answer = null, ratherNotSay = false } = {}) {
+    if (!ratherNotSay && typeof answer !== 'boolean') {
+      throw new Error('Answer must be true (I Have) or false (I Haven\'t)');
+    }
+
+    if (questionIndex !== session.getAsyncProgress(userId).nextIndex) {
+      throw new Error('Answer is for wrong question');
+    }
+
+    await session.recordAnswer(userId, session.questionOrder[questionIndex], answer, ratherNotSay);
+  }
+
+  /**
+   * Generate AI insights, as when live results are first fetched
+   */
+  async finishAsyncGame(session) {
+    await this.generateAIInsights(session);
+  }
+
   /**
    * Handle question timeout
    * @param {String} sessionId - Session UUID
@@ -463,23 +557,26 @@ class NeverHaveIEverService {
       status: session.status,
       completedAt: session.completedAt,
       player1: {
-        oduserId: session.player1.userId._id,
+        userId: session.player1.userId._id,
         firstName: session.player1.userId.firstName,
         profilePhoto: session.player1.userId.profilePhoto,
         discoveryPoints: session.player1.discoveryPoints,
         totalIHave: session.player1.totalIHave,
         totalIHavent: session.player1.totalIHavent,
+        totalRatherNotSay: session.player1.totalRatherNotSay,
         badges: session.results.player1Badges
       },
       player2: {
-        oduserId: session.player2.userId._id,
+        userId: session.player2.userId._id,
         firstName: session.player2.userId.firstName,
         profilePhoto: session.player2.userId.profilePhoto,
         discoveryPoints: session.player2.discoveryPoints,
         totalIHave: session.player2.totalIHave,
         totalIHavent: session.player2.totalIHavent,
+        totalRatherNotSay: session.player2.totalRatherNotSay,
         badges: session.results.player2Badges
       },
+      excludedCategories: session.excludedCategories,
       results: session.results,
       aiInsights: session.aiInsights,
       voiceNotes: session.voiceNotes
@@ -541,8 +638,10 @@ Format as JSON:
   "areasToDiscuss": "..."
 }`;
 
-      const response = await openaiClient.chat.completions.create({
-        model: 'gpt-4',
+      const content = await aiGateway.chat({
+        feature: 'never_have_i_ever_insights',
+        userId: session.player1.userId._id,
+        context: { sessionId: session.sessionId },
         messages: [
           {
             role: 'system',
@@ -553,17 +652,17 @@ Format as JSON:
             content: prompt
           }
         ],
-        response_format: { type: 'json_object' },
+        responseFormat: 'json_object',
         temperature: 0.7,
-        max_tokens: 800
+        maxTokens: 800,
+        locale: await User.getSharedLocale([session.player1.userId._id, session.player2.userId._id])
       });
 
       // Parse response
       let insights;
       try {
-        const content = response.choices[0].message.content.trim();
         // Remove markdown code blocks if present
-        const jsonStr = content.replace(/```json\n?|\n?```/g, '').trim();
+        const jsonStr = content.trim().replace(/```json\n?|\n?```/g, '').trim();
         insights = JSON.parse(jsonStr);
       } catch (parseError) {
         logger.error('Failed to parse AI insights:', parseError);
@@ -623,12 +722,12 @@ Format as JSON:
       matchId: session.matchId,
       isPlayer1,
       partner: isPlayer1 ? {
-        oduserId: session.player2.userId._id,
+        userId: session.player2.userId._id,
         firstName: session.player2.userId.firstName,
         lastName: session.player2.userId.lastName,
         profilePhoto: session.player2.userId.profilePhoto
       } : {
-        oduserId: session.player1.userId._id,
+        userId: session.player1.userId._id,
         firstName: session.player1.userId.firstName,
         lastName: session.player1.userId.lastName,
         profilePhoto: session.player1.userId.profilePhoto
@@ -638,39 +737,6 @@ Format as JSON:
     };
   }
 
-  /**
-   * Get game history for user
-   * @param {ObjectId} userId - User ID
-   * @param {Number} limit - Max results
-   * @returns {Promise<Array>} Completed games
-   */
-  async getGameHistory(oduserId, limit = 10) {
-    const sessions = await NeverHaveIEverSession.findCompletedForUser(oduserId, limit);
-
-    return sessions.map(session => {
-      const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
-      const isPlayer1 = p1Id === oduserId.toString();
-
-      return {
-        sessionId: session.sessionId,
-        completedAt: session.completedAt,
-        myPoints: isPlayer1 ? session.player1.discoveryPoints : session.player2.discoveryPoints,
-        partnerPoints: isPlayer1 ? session.player2.discoveryPoints : session.player1.discoveryPoints,
-        sharedExperiences: session.results.totalSharedExperiences,
-        secretsUnlocked: session.results.totalSecretsUnlocked,
-        partner: isPlayer1 ? {
-          oduserId: session.player2.userId._id,
-          firstName: session.player2.userId.firstName,
-          profilePhoto: session.player2.userId.profilePhoto
-        } : {
-          oduserId: session.player1.userId._id,
-          firstName: session.player1.userId.firstName,
-          profilePhoto: session.player1.userId.profilePhoto
-        }
-      };
-    });
-  }
-
   /**
    * Update player connection status
    * @param {String} sessionId - Session UUID
@@ -695,95 +761,20 @@ Format as JSON:
     await session.save();
   }
 
-  /**
-   * Abandon game
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User abandoning
-   */
-  async abandonGame(sessionId, oduserId) {
-    const session = await NeverHaveIEverSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
-
-    if (!['pending', 'starting', 'playing'].includes(session.status)) {
-      throw new Error('Game cannot be abandoned in current state');
-    }
-
-    session.status = 'abandoned';
-    session.lastActivityAt = new Date();
-    await session.save();
-
-    logger.info('Never Have I Ever game abandoned', {
-      sessionId,
-      byUser: oduserId
-    });
-
-    return session;
-  }
-
   // =====================================================
-  // VOICE NOTES
+  // LOBBY
   // =====================================================
 
   /**
-   * Add voice note to session
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User adding note
-   * @param {String} audioUrl - S3 URL of audio
-   * @param {Number} duration - Duration in seconds
+   * Partner voice notes not yet listened to (game lobby)
+   * @param {Object} session - Lean session
+   * @param {ObjectId} userId - Listener
+   * @returns {Number}
    */
-  async addVoiceNote(sessionId, oduserId, audioUrl, duration) {
-    const session = await NeverHaveIEverSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
-
-    if (!['completed', 'discussion'].includes(session.status)) {
-      throw new Error('Voice notes only available after game completion');
-    }
-
-    await session.addVoiceNote(oduserId, audioUrl, duration);
-
-    logger.info('Voice note added to Never Have I Ever session', {
-      sessionId,
-      oduserId,
-      duration
-    });
-
-    return session;
-  }
-
-  /**
-   * Get voice notes for session
-   * @param {String} sessionId - Session UUID
-   */
-  async getVoiceNotes(sessionId) {
-    const session = await NeverHaveIEverSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
-
-    return session.voiceNotes;
-  }
-
-  /**
-   * Mark voice note as listened
-   * @param {String} sessionId - Session UUID  
-   * @param {ObjectId} oduserId - Note creator
-   * @param {ObjectId} listenerId - User who listened
-   */
-  async markVoiceNoteListened(sessionId, oduserId, odlistenerId) {
-    const session = await NeverHaveIEverSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
-
-    return session.markVoiceNoteListened(oduserId, odlistenerId);
+  countUnreadVoiceNotes(session, userId) {
+    return (session.voiceNotes || []).filter(note =>
+      note.oduserId.toString() !== userId.toString() && !note.listenedByPartner
+    ).length;
   }
 }
 
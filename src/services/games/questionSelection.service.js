@@ -0,0 +1,196 @@
+// src/services/games/questionSelection.service.js
+
+const crypto = require('crypto');
+const User = require('../../models/User');
+const gameRegistry = require('./gameRegistry');
+const entitlementService = require('../entitlement.service');
+const { ENTITLEMENTS } = require('../subscription/plans');
+const ApiError = require('../../utils/apiError');
+const {
+  SELECTION_GAMES,
+  MIN_SESSION_QUESTIONS,
+  FOCUS_SHARE,
+  getFocusCategories,
+} = require('../../config/questionSelection');
+
+/**
+ * QUESTION SELECTION SERVICE
+ *
+ * Picks a session's questions for the question games, per couple (see
+ * config/questionSelection.js for the rules and per-game settings).
+ *
+ * Selection is deterministic for a seed: the same bank, exposure and seed
+ * always give the same questions in the same order. Sessions store their
+ * seed, so any selection can be reproduced.
+ */
+
+/**
+ * Seeded random numbers in [0, 1) (mulberry32 over a hash of the seed)
+ * @param {String} seed
+ * @returns {Function}
+ */
+const createRandom = (seed) => {
+  let state = crypto.createHash('sha256').update(String(seed)).digest().readUInt32LE(0);
+
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+};
+
+class QuestionSelectionService {
+  /**
+   * Pick the questions of a new session for a couple
+   * @param {String} gameType - e.g. 'would_you_rather'
+   * @param {ObjectId} initiatorId - Inviting player
+   * @param {ObjectId} partnerId - Invited player
+   * @param {Object} options
+   * @param {Array<String>} options.excludedCategories - Never selected
+   * @param {String} options.focusPack - Premium focus pack id
+   * @param {String} options.seed - Reproduce an earlier selection
+   * @returns {Promise<Object>} { questionOrder, seed, focusPack }
+   * @throws {ApiError} 400 unknown focus pack, 403 focus pack without premium
+   */
+  async selectForSession(gameType, initiatorId, partnerId, {
+    excludedCategories = [],
+    focusPack = null,
+    seed = null,
+  } = {}) {
+    let focusCategories = [];
+
+    if (focusPack) {
+      focusCategories = getFocusCategories(focusPack, gameType);
+      if (!focusCategories) {
+        throw ApiError.badRequest(`Unknown focus pack: ${focusPack}`);
+      }
+
+      const initiator = await User.findById(initiatorId)
+        .select('isPremium premiumExpiry premiumPlan')
+        .lean();
+      if (!entitlementService.hasEntitlement(initiator, ENTITLEMENTS.GAME_FOCUS_PACKS)) {
+        throw ApiError.forbidden('Focus packs require a premium subscription');
+      }
+    }
+
+    const definition = gameRegistry.getDefinition(gameType);
+    const [questions, exposure] = await Promise.all([
+      definition.questionModel()
+        .find({ isActive: true, category: { $nin: excludedCategories } })
+        .select('questionNumber category insightValue')
+        .lean(),
+      gameRegistry.getEngine(gameType).getQuestionExposure(initiatorId, partnerId),
+    ]);
+
+    const selectionSeed = seed || crypto.randomUUID();
+
+    return {
+      questionOrder: this.selectQuestions(gameType, questions, {
+        exposure,
+        focusCategories,
+        seed: selectionSeed,
+      }),
+      seed: selectionSeed,
+      focusPack,
+    };
+  }
+
+  /**
+   * Pick and order questions from a bank (no database access)
+   * @param {String} gameType - e.g. 'would_you_rather'
+   * @param {Array} questions - [{ questionNumber, category, insightValue }]
+   * @param {Object} options
+   * @param {Map} options.exposure - questionNumber → times the couple saw it
+   * @param {Array<String>} options.focusCategories - Focus pack categories
+   * @param {String} options.seed - Random seed
+   * @returns {Array<Number>} Question numbers in play order
+   */
+  selectQuestions(gameType, questions, { exposure = new Map(), focusCategories = [], seed }) {
+    const settings = SELECTION_GAMES[gameType];
+    if (!settings) {
+      throw new Error(`No question selection for ${gameType}`);
+    }
+
+    const random = createRandom(seed);
+    const focused = focusCategories.length > 0;
+
+    let count = Math.min(
+      focused ? settings.focusQuestionCount : settings.questionCount,
+      questions.length
+    );
+
+    // Weighted random key per question (higher insight value, higher key)
+    // - sorted by number first so the keys don't depend on query order
+    const ranked = [...questions]
+      .sort((a, b) => a.questionNumber - b.questionNumber)
+      .map(question => ({
+        ...question,
+        timesSeen: exposure.get(question.questionNumber) || 0,
+        key: random() ** (1 / (question.insightValue || 1)),
+      }))
+      .sort((a, b) => a.timesSeen - b.timesSeen || b.key - a.key);
+
+    // Rather a shorter game of new questions than one padded with repeats
+    const unseen = ranked.filter(question => question.timesSeen === 0).length;
+    if (unseen < ranked.length && unseen >= MIN_SESSION_QUESTIONS) {
+      count = Math.min(count, unseen);
+    }
+
+    // Least seen first, one tier at a time
+    const tiers = [];
+    ranked.forEach(question => {
+      const tier = tiers[tiers.length - 1];
+      if (tier && tier[0].timesSeen === question.timesSeen) tier.push(question);
+      else tiers.push([question]);
+    });
+
+    const picked = [];
+    const pickedNumbers = new Set();
+    const take = (candidates, limit) => {
+      const byCategory = new Map();
+      candidates
+        .filter(question => !pickedNumbers.has(question.questionNumber))
+        .forEach(question => {
+          if (!byCategory.has(question.category)) byCategory.set(question.category, []);
+          byCategory.get(question.category).push(question);
+        });
+
+      // Categories take turns, each offering its best remaining question
+      while (picked.length < limit && byCategory.size > 0) {
+        for (const [category, queue] of byCategory) {
+          if (picked.length >= limit) break;
+
+          const question = queue.shift();
+          picked.push(question);
+          pickedNumbers.add(question.questionNumber);
+
+          if (queue.length === 0) byCategory.delete(category);
+        }
+      }
+    };
+
+    if (focused) {
+      const focusTarget = Math.round(count * FOCUS_SHARE);
+      tiers.forEach(tier => take(tier.filter(q => focusCategories.includes(q.category)), focusTarget));
+    }
+    tiers.forEach(tier => take(tier, count));
+
+    const numbers = picked.map(question => question.questionNumber);
+
+    if (settings.order === 'progressive') {
+      return numbers.sort((a, b) => a - b);
+    }
+
+    // Fisher-Yates shuffle
+    for (let i = numbers.length - 1; i > 0; i--) {
+      const j = Math.floor(random() * (i + 1));
+      [numbers[i], numbers[j]] = [numbers[j], numbers[i]];
+    }
+    return numbers;
+  }
+}
+
+const questionSelectionService = new QuestionSelectionService();
+
+module.exports = questionSelectionService;
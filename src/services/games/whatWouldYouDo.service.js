@@ -2,16 +2,12 @@
 
 const WhatWouldYouDoQuestion = require('../../models/games/WhatWouldYouDoQuestion');
 const WhatWouldYouDoSession = require('../../models/games/WhatWouldYouDoSession');
-const Match = require('../../models/Match');
 const User = require('../../models/User');
 const s3Service = require('../s3.service');
-const OpenAI = require('openai');
+const aiGateway = require('../ai');
 const logger = require('../../utils/logger');
-
-// Initialize OpenAI client
-const openaiClient = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
+const gameEventsService = require('./gameEvents.service');
+const GameEngine = require('./gameEngine');
 
 /**
  * WHAT WOULD YOU DO - GAME SERVICE
@@ -24,50 +20,24 @@ const openaiClient = new OpenAI({
  * - AI analysis comparing both players' responses
  * - Per-question and overall compatibility scoring
  * - Post-game discussion via voice notes
+ *
+ * Invitations, history, abandoning, discussion notes and insights run in
+ * GameEngine through the hooks below.
  */
 
-class WhatWouldYouDoService {
+class WhatWouldYouDoService extends GameEngine {
+  constructor() {
+    super('what_would_you_do');
+  }
 
   // =====================================================
-  // INVITATION MANAGEMENT
+  // GAME HOOKS (see GameEngine)
   // =====================================================
 
   /**
-   * Create a new game invitation
+   * Create the session of a new invitation (72 hours to accept)
    */
-  async createInvitation(initiatorId, matchId) {
-    // Validate match exists and is mutual
-    const match = await Match.findById(matchId);
-    if (!match) {
-      throw new Error('Match not found');
-    }
-
-    // Determine who is the other user
-    const oduserId1 = match.userId.toString();
-    const oduserId2 = match.matchedUserId.toString();
-    const initiatorIdStr = initiatorId.toString();
-
-    if (initiatorIdStr !== oduserId1 && initiatorIdStr !== oduserId2) {
-      throw new Error('You are not part of this match');
-    }
-
-    const invitedUserId = initiatorIdStr === oduserId1 ? oduserId2 : oduserId1;
-
-    // Check for existing active game between these users
-    const existingGame = await WhatWouldYouDoSession.hasActiveGame(initiatorId, invitedUserId);
-    if (existingGame) {
-      throw new Error('An active game already exists between you two');
-    }
-
-    // Get invited user details
-    const invitedUser = await User.findById(invitedUserId)
-      .select('firstName lastName profilePhoto');
-    
-    if (!invitedUser) {
-      throw new Error('Invited user not found');
-    }
-
-    // Create session
+  async buildSession({ matchId, initiatorId, invitedUserId }) {
     const session = new WhatWouldYouDoSession({
       matchId,
       player1: {
@@ -91,124 +61,91 @@ class WhatWouldYouDoService {
 
     await session.save();
 
-    // Populate for response
-    await session.populate('player1.userId', 'firstName lastName profilePhoto');
-    await session.populate('player2.userId', 'firstName lastName profilePhoto');
-
     logger.info('What Would You Do invitation created', {
       sessionId: session.sessionId,
       initiator: initiatorId,
       invited: invitedUserId
     });
 
+    return session;
+  }
+
+  getSessionDetails(session) {
     return {
-      session,
-      invitedUser: {
-        oduserId: invitedUserId,
-        firstName: invitedUser.firstName,
-        lastName: invitedUser.lastName,
-        profilePhoto: invitedUser.profilePhoto
-      }
+      totalQuestions: session.questionOrder.length,
+      responseType: 'voice'
+    };
+  }
+
+  getHistoryResult(session) {
+    return {
+      compatibility: session.results?.overallCompatibility ?? null,
+      compatibilityLevel: session.results?.compatibilityLevel ?? null
     };
   }
 
   /**
-   * Accept a game invitation
+   * Discussion notes are transcribed and move the game to 'discussion'
    */
-  async acceptInvitation(sessionId, oduserId) {
-    const session = await WhatWouldYouDoSession.findBySessionId(sessionId);
-    
-    if (!session) {
-      throw new Error('Session not found');
-    }
-
-    // Verify user is player2
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
-    if (oduserId.toString() !== p2Id) {
-      throw new Error('Only the invited player can accept');
-    }
-
-    if (session.status !== 'pending') {
-      throw new Error('Invitation is no longer pending');
-    }
-
-    // Check if expired
-    if (new Date() > session.expiresAt) {
-      session.status = 'expired';
-      await session.save();
-      throw new Error('Invitation has expired');
+  async storeVoiceNote(session, userId, { audioUrl, duration, relatedTo, buffer }) {
+    let transcription = null;
+    try {
+      transcription = await this.transcribeAudio(buffer, {
+        userId,
+        durationSeconds: duration,
+        context: { sessionId: session.sessionId, questionNumber: relatedTo }
+      });
+    } catch (err) {
+      logger.error('Discussion note transcription failed:', err);
     }
 
-    // Accept
-    session.status = 'active';
-    session.acceptedAt = new Date();
-    
+    session.addDiscussionNote(userId, audioUrl, duration, relatedTo, transcription);
+    session.status = 'discussion';
     await session.save();
 
-    logger.info('What Would You Do invitation accepted', {
+    logger.info('Discussion note added', {
       sessionId: session.sessionId,
-      oduserId
+      userId,
+      questionNumber: relatedTo
     });
 
-    return session;
+    const notes = await this.listVoiceNotes(session);
+    return notes[notes.length - 1];
   }
 
   /**
-   * Decline a game invitation
+   * Discussion notes are kept in order on the session; their index is the id
    */
-  async declineInvitation(sessionId, oduserId) {
-    const session = await WhatWouldYouDoSession.findBySessionId(sessionId);
-    
-    if (!session) {
-      throw new Error('Session not found');
-    }
-
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
-    if (oduserId.toString() !== p2Id) {
-      throw new Error('Only the invited player can decline');
-    }
-
-    if (session.status !== 'pending') {
-      throw new Error('Invitation is no longer pending');
-    }
+  async listVoiceNotes(session) {
+    return session.discussionNotes.map((note, index) => ({
+      noteId: index,
+      userId: note.oduserId.toString(),
+      audioUrl: note.voiceNoteUrl,
+      duration: note.duration,
+      relatedTo: note.questionNumber,
+      transcription: note.transcription,
+      listenedBy: note.listenedBy.map(listen => listen.oduserId.toString()),
+      createdAt: note.createdAt
+    }));
+  }
 
-    session.status = 'declined';
+  async recordVoiceNoteListen(session, note, userId) {
+    session.markDiscussionNoteListened(note.noteId, userId);
     await session.save();
+  }
 
-    logger.info('What Would You Do invitation declined', {
-      sessionId: session.sessionId,
-      oduserId
-    });
-
-    return session;
+  getStoredInsights(session) {
+    return session.aiInsights?.generated ? session.aiInsights : null;
   }
 
-  /**
-   * Get pending invitation for a user
-   */
-  async getPendingInvitation(userId) {
-    const session = await WhatWouldYouDoSession.findPendingInvitation(userId);
-    
-    if (!session) {
-      return null;
-    }
+  async generateSessionInsights(session) {
+    await session.populate([
+      { path: 'player1.userId', select: 'firstName' },
+      { path: 'player2.userId', select: 'firstName' }
+    ]);
+    await this.generateAIInsights(session);
 
-    return {
-      sessionId: session.sessionId,
-      invitedBy: {
-        oduserId: session.player1.userId._id,
-        firstName: session.player1.userId.firstName,
-        lastName: session.player1.userId.lastName,
-        profilePhoto: session.player1.userId.profilePhoto
-      },
-      expiresAt: session.expiresAt,
-      gameInfo: {
-        name: 'What Would You Do?',
-        description: '15 scenarios to discover how you both handle real relationship situations',
-        questionCount: 15,
-        responseType: 'voice'
-      }
-    };
+    return session.aiInsights;
   }
 
   // =====================================================
@@ -257,7 +194,11 @@ class WhatWouldYouDoService {
     // Transcribe with Whisper
     let transcription = null;
     try {
-      transcription = await this.transcribeAudio(audioBuffer);
+      transcription = await this.transcribeAudio(audioBuffer, {
+        userId,
+        durationSeconds: duration,
+        context: { sessionId, questionNumber }
+      });
       logger.info('Voice note transcribed', { sessionId, userId, questionNumber });
     } catch (transcribeError) {
       logger.error('Transcription failed, continuing without:', transcribeError);
@@ -295,6 +236,13 @@ class WhatWouldYouDoService {
       hasTranscription: !!transcription
     });
 
+    const partnerId = userIdStr === p1Id ? p2Id : p1Id;
+    gameEventsService.emit('what_would_you_do', partnerId, 'progress', {
+      sessionId,
+      status: session.status,
+      progress: session.getPlayerProgress(partnerId)
+    });
+
     return {
       questionNumber,
       voiceNoteUrl,
@@ -308,20 +256,18 @@ class WhatWouldYouDoService {
 
   /**
    * Transcribe audio using Whisper
+   * @param {Object} accounting - { userId, durationSeconds, context }
    */
-  async transcribeAudio(audioBuffer) {
+  async transcribeAudio(audioBuffer, accounting = {}) {
     try {
-      // Create a File-like object for the API
-      const file = new File([audioBuffer], 'audio.m4a', { type: 'audio/mp4' });
-      
-      const response = await openaiClient.audio.transcriptions.create({
-        file: file,
-        model: 'whisper-1',
+      return await aiGateway.transcribe({
+        feature: 'what_would_you_do_transcription',
+        audio: audioBuffer,
+        filename: 'audio.m4a',
+        mimeType: 'audio/mp4',
         language: 'en',
-        response_format: 'text'
+        ...accounting
       });
-
-      return response;
     } catch (error) {
       logger.error('Whisper transcription error:', error);
       throw error;
@@ -362,7 +308,10 @@ class WhatWouldYouDoService {
 
     // Fetch audio from S3 and transcribe
     const audioBuffer = await s3Service.getFile(answer.voiceNoteUrl);
-    const transcription = await this.transcribeAudio(audioBuffer);
+    const transcription = await this.transcribeAudio(audioBuffer, {
+      userId,
+      context: { sessionId, questionNumber }
+    });
 
     // Update the answer
     session.updateTranscription(userId, questionNumber, transcription);
@@ -401,7 +350,7 @@ class WhatWouldYouDoService {
       sessionId: session.sessionId,
       status: session.status,
       partner: {
-        oduserId: isPlayer1 ? p2Id : p1Id,
+        userId: isPlayer1 ? p2Id : p1Id,
         firstName: partner.userId.firstName,
         lastName: partner.userId.lastName,
         profilePhoto: partner.userId.profilePhoto
@@ -451,8 +400,9 @@ class WhatWouldYouDoService {
 
   /**
    * Get a specific question for answering
+   * (in the given locale, English where untranslated)
    */
-  async getQuestion(sessionId, userId, questionNumber) {
+  async getQuestion(sessionId, userId, questionNumber, locale = null) {
     const session = await WhatWouldYouDoSession.findBySessionId(sessionId);
     
     if (!session) {
@@ -470,8 +420,8 @@ class WhatWouldYouDoService {
     }
 
     // Get question
-    const question = await WhatWouldYouDoQuestion.getByNumber(questionNumber);
-    if (!question) {
+    const question = await WhatWouldYouDoQuestion.findVersionAsOf(questionNumber, session.createdAt, locale);
+    if (!question || !question.isActive) {
       throw new Error('Question not found');
     }
 
@@ -515,7 +465,8 @@ class WhatWouldYouDoService {
 
     try {
       // Get all questions
-      const questions = await WhatWouldYouDoQuestion.getGameQuestions();
+      const questions = await WhatWouldYouDoQuestion.findVersionsAsOf(session.questionOrder, session.createdAt);
+      const locale = await User.getSharedLocale([session.player1.userId._id, session.player2.userId._id]);
 
       // Analyze each question
       const questionAnalyses = [];
@@ -542,7 +493,12 @@ class WhatWouldYouDoService {
           p1Answer.transcription,
           p2Answer.transcription,
           session.player1.userId.firstName,
-          session.player2.userId.firstName
+          session.player2.userId.firstName,
+          {
+            userId: session.player1.userId._id,
+            context: { sessionId: session.sessionId, questionNumber: question.questionNumber },
+            locale
+          }
         );
 
         questionAnalyses.push({
@@ -641,6 +597,12 @@ class WhatWouldYouDoService {
         compatibilityLevel
       });
 
+      gameEventsService.emit('what_would_you_do', [session.player1.userId, session.player2.userId], 'results_ready', {
+        sessionId,
+        overallCompatibility,
+        compatibilityLevel
+      });
+
       return session.results;
 
     } catch (error) {
@@ -655,8 +617,9 @@ class WhatWouldYouDoService {
 
   /**
    * Analyze a single question's answers from both players
+   * @param {Object} aiOptions - { userId, context, locale } for the AI gateway
    */
-  async analyzeQuestionPair(question, p1Transcription, p2Transcription, p1Name, p2Name) {
+  async analyzeQuestionPair(question, p1Transcription, p2Transcription, p1Name, p2Name, aiOptions = {}) {
     try {
       const prompt = `Analyze these two responses to a relationship scenario.
 
@@ -686,8 +649,9 @@ Respond in JSON format:
   "discussionPrompt": "<A question they should discuss together about this topic>"
 }`;
 
-      const response = await openaiClient.chat.completions.create({
-        model: 'gpt-4o',
+      return await aiGateway.chatJSON({
+        feature: 'what_would_you_do_analysis',
+        ...aiOptions,
         messages: [
           {
             role: 'system',
@@ -698,14 +662,10 @@ Respond in JSON format:
             content: prompt
           }
         ],
-        response_format: { type: 'json_object' },
         temperature: 0.7,
-        max_tokens: 500
+        maxTokens: 500
       });
 
-      const content = response.choices[0].message.content;
-      return JSON.parse(content);
-
     } catch (error) {
       logger.error('Question analysis error:', error);
       // Return neutral analysis on error
@@ -780,8 +740,10 @@ Respond in JSON:
   "adviceForward": "..."
 }`;
 
-      const response = await openaiClient.chat.completions.create({
-        model: 'gpt-4o',
+      const insights = await aiGateway.chatJSON({
+        feature: 'what_would_you_do_insights',
+        userId: session.player1.userId._id,
+        context: { sessionId: session.sessionId },
         messages: [
           {
             role: 'system',
@@ -792,13 +754,11 @@ Respond in JSON:
             content: prompt
           }
         ],
-        response_format: { type: 'json_object' },
         temperature: 0.7,
-        max_tokens: 1000
+        maxTokens: 1000,
+        locale: await User.getSharedLocale([session.player1.userId._id, session.player2.userId._id])
       });
 
-      const insights = JSON.parse(response.choices[0].message.content);
-
       session.aiInsights = {
         generated: true,
         generatedAt: new Date(),
@@ -823,8 +783,9 @@ Respond in JSON:
 
   /**
    * Get full results for a completed game
+   * (scenarios in the given locale, English where untranslated)
    */
-  async getResults(sessionId, userId) {
+  async getResults(sessionId, userId, locale = null) {
     const session = await WhatWouldYouDoSession.findBySessionId(sessionId);
     
     if (!session) {
@@ -850,7 +811,7 @@ Respond in JSON:
     const isPlayer1 = userIdStr === p1Id;
 
     // Get questions for context
-    const questions = await WhatWouldYouDoQuestion.getGameQuestions();
+    const questions = await WhatWouldYouDoQuestion.findVersionsAsOf(session.questionOrder, session.createdAt, locale);
     const categoryInfo = WhatWouldYouDoQuestion.getCategoryInfo();
 
     // Build per-question results with both answers visible
@@ -883,7 +844,7 @@ Respond in JSON:
       sessionId: session.sessionId,
       completedAt: session.completedAt,
       partner: {
-        oduserId: isPlayer1 ? p2Id : p1Id,
+        userId: isPlayer1 ? p2Id : p1Id,
         firstName: isPlayer1 ? session.player2.userId.firstName : session.player1.userId.firstName,
         lastName: isPlayer1 ? session.player2.userId.lastName : session.player1.userId.lastName,
         profilePhoto: isPlayer1 ? session.player2.userId.profilePhoto : session.player1.userId.profilePhoto
@@ -898,137 +859,27 @@ Respond in JSON:
       },
       questionResults,
       aiInsights: session.aiInsights,
-      discussionNotes: session.discussionNotes
+      discussionNotes: (await this.listVoiceNotes(session)).map(note => this.toVoiceNoteView(note, userId))
     };
   }
 
-  /**
-   * Get game history for a user
-   */
-  async getGameHistory(userId, limit = 10) {
-    const sessions = await WhatWouldYouDoSession.findCompletedForUser(userId, limit);
-
-    return sessions.map(session => {
-      const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
-      const isPlayer1 = userId.toString() === p1Id;
-      const partner = isPlayer1 ? session.player2 : session.player1;
-
-      return {
-        sessionId: session.sessionId,
-        completedAt: session.completedAt,
-        partner: {
-          oduserId: partner.userId._id,
-          firstName: partner.userId.firstName,
-          lastName: partner.userId.lastName,
-          profilePhoto: partner.userId.profilePhoto
-        },
-        compatibility: session.results?.overallCompatibility,
-        compatibilityLevel: session.results?.compatibilityLevel,
-        hasViewedResults: session.hasViewedResults(userId)
-      };
-    });
-  }
-
   // =====================================================
-  // DISCUSSION NOTES
+  // LOBBY
   // =====================================================
 
   /**
-   * Add a discussion voice note
+   * Partner discussion notes not yet listened to (game lobby)
+   * @param {Object} session - Lean session
+   * @param {ObjectId} userId - Listener
+   * @returns {Number}
    */
-  async addDiscussionNote(sessionId, userId, audioBuffer, mimeType, duration, questionNumber = null) {
-    const session = await WhatWouldYouDoSession.findBySessionId(sessionId);
-    
-    if (!session) {
-      throw new Error('Session not found');
-    }
-
-    if (!['completed', 'discussion'].includes(session.status)) {
-      throw new Error('Discussion notes are only available after game completion');
-    }
-
-    const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
-    const userIdStr = userId.toString();
-
-    if (userIdStr !== p1Id && userIdStr !== p2Id) {
-      throw new Error('You are not a player in this game');
-    }
-
-    // Upload voice note
-    const s3Key = `voice-notes/what-would-you-do/${sessionId}/discussion_${userId}_${Date.now()}.m4a`;
-    const uploadResult = await s3Service.uploadFile(audioBuffer, s3Key, mimeType);
-    const voiceNoteUrl = uploadResult.url || uploadResult;
-
-    // Transcribe
-    let transcription = null;
-    try {
-      transcription = await this.transcribeAudio(audioBuffer);
-    } catch (err) {
-      logger.error('Discussion note transcription failed:', err);
-    }
-
-    // Add to session
-    session.addDiscussionNote(userId, voiceNoteUrl, duration, questionNumber, transcription);
-    session.status = 'discussion';
-    await session.save();
-
-    logger.info('Discussion note added', {
-      sessionId,
-      userId,
-      questionNumber
-    });
-
-    return {
-      voiceNoteUrl,
-      duration,
-      transcription,
-      questionNumber
-    };
-  }
-
-  /**
-   * Get discussion notes for a session
-   */
-  async getDiscussionNotes(sessionId, userId) {
-    const session = await WhatWouldYouDoSession.findBySessionId(sessionId);
-    
-    if (!session) {
-      throw new Error('Session not found');
-    }
-
-    const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
+  countUnreadVoiceNotes(session, userId) {
     const userIdStr = userId.toString();
 
-    if (userIdStr !== p1Id && userIdStr !== p2Id) {
-      throw new Error('You are not a player in this game');
-    }
-
-    return session.discussionNotes.map(note => ({
-      userId: note.oduserId,
-      isYours: note.oduserId.toString() === userIdStr,
-      questionNumber: note.questionNumber,
-      voiceNoteUrl: note.voiceNoteUrl,
-      duration: note.duration,
-      transcription: note.transcription,
-      createdAt: note.createdAt,
-      listened: note.listenedBy.some(l => l.oduserId.toString() === userIdStr)
-    }));
-  }
-
-  /**
-   * Mark a discussion note as listened
-   */
-  async markDiscussionNoteListened(sessionId, noteIndex, listenerId) {
-    const session = await WhatWouldYouDoSession.findBySessionId(sessionId);
-    
-    if (!session) {
-      throw new Error('Session not found');
-    }
-
-    session.markDiscussionNoteListened(noteIndex, listenerId);
-    await session.save();
+    return (session.discussionNotes || []).filter(note =>
+      note.oduserId.toString() !== userIdStr &&
+      !note.listenedBy.some(listen => listen.oduserId?.toString() === userIdStr)
+    ).length;
   }
 
   // =====================================================
@@ -1042,7 +893,7 @@ Respond in JSON:
     const expiredSessions = await WhatWouldYouDoSession.findExpiredSessions();
 
     for (const session of expiredSessions) {
-      session.status = 'expired';
+      this.transition(session, 'expired');
       await session.save();
       
       logger.info('Session expired', { sessionId: session.sessionId });
@@ -1051,36 +902,6 @@ Respond in JSON:
     return expiredSessions.length;
   }
 
-  /**
-   * Abandon a game
-   */
-  async abandonGame(sessionId, userId) {
-    const session = await WhatWouldYouDoSession.findBySessionId(sessionId);
-    
-    if (!session) {
-      throw new Error('Session not found');
-    }
-
-    const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
-    const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
-    const userIdStr = userId.toString();
-
-    if (userIdStr !== p1Id && userIdStr !== p2Id) {
-      throw new Error('You are not a player in this game');
-    }
-
-    if (['completed', 'discussion', 'expired', 'declined', 'abandoned'].includes(session.status)) {
-      throw new Error('Game cannot be abandoned');
-    }
-
-    session.status = 'abandoned';
-    await session.save();
-
-    logger.info('Game abandoned', { sessionId, userId });
-
-    return session;
-  }
-
  /**
    * Regenerate AI analysis for a completed game
    * Use this to re-run analysis after fixing issues (like wrong model)
@@ -1104,7 +925,8 @@ Respond in JSON:
 
     try {
       // Get all questions
-      const questions = await WhatWouldYouDoQuestion.getGameQuestions();
+      const questions = await WhatWouldYouDoQuestion.findVersionsAsOf(session.questionOrder, session.createdAt);
+      const locale = await User.getSharedLocale([session.player1.userId._id, session.player2.userId._id]);
 
       // Analyze each question
       const questionAnalyses = [];
@@ -1138,7 +960,12 @@ Respond in JSON:
           p1Answer.transcription,
           p2Answer.transcription,
           session.player1.userId.firstName,
-          session.player2.userId.firstName
+          session.player2.userId.firstName,
+          {
+            userId: session.player1.userId._id,
+            context: { sessionId: session.sessionId, questionNumber: question.questionNumber },
+            locale
+          }
         );
 
         questionAnalyses.push({
@@ -1239,6 +1066,13 @@ Respond in JSON:
         analyzedQuestions: questionAnalyses.length
       });
 
+      gameEventsService.emit('what_would_you_do', [session.player1.userId, session.player2.userId], 'results_ready', {
+        sessionId,
+        overallCompatibility,
+        compatibilityLevel,
+        regenerated: true
+      });
+
       return session.results;
 
     } catch (error) {
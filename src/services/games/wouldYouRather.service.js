@@ -2,9 +2,13 @@
 
 const WouldYouRatherQuestion = require('../../models/games/WouldYouRatherQuestion');
 const WouldYouRatherSession = require('../../models/games/WouldYouRatherSession');
-const Match = require('../../models/Match');
 const User = require('../../models/User');
 const openaiService = require('../openai.service');
+const GameEngine = require('./gameEngine');
+const gameEventsService = require('./gameEvents.service');
+const questionSelectionService = require('./questionSelection.service');
+const gameTimerService = require('./gameTimer.service');
+const logger = require('../../utils/logger');
 
 /**
  * WOULD YOU RATHER GAME SERVICE
@@ -13,184 +17,122 @@ const openaiService = require('../openai.service');
  * Used by both HTTP controllers and Socket.io handlers.
  * 
  * Responsibilities:
- * - Game invitation management
  * - Game flow control (start, answer, next question, complete)
  * - Results calculation
  * - AI insights generation
- * - Voice note management
+ *
+ * Invitations, history, abandoning, voice notes and insights run in
+ * GameEngine through the hooks below.
  */
 
-class WouldYouRatherService {
-  
+class WouldYouRatherService extends GameEngine {
+  constructor() {
+    super('would_you_rather');
+
+    // Live games start after a countdown, on a persisted timer
+    // (services/games/gameTimer.service.js, handlers in the socket)
+    this.config = {
+      timerGame: 'wyr',
+      countdownMs: 3000,
+    };
+  }
+
   // =====================================================
-  // INVITATION MANAGEMENT
+  // GAME HOOKS (see GameEngine)
   // =====================================================
 
   /**
-   * Create a new game invitation
-   * @param {ObjectId} initiatorId - User sending the invitation
-   * @param {ObjectId} matchId - The match to play with
-   * @returns {Promise<Object>} Session and invited user info
+   * Create the session of a new invitation, with the questions the
+   * couple has played least, balanced across categories
    */
-  async createInvitation(initiatorId, matchId) {
-    // Validate match exists and users are mutually matched
-    const match = await Match.findById(matchId);
-    
-    if (!match) {
-      throw new Error('Match not found');
-    }
-
-    // Determine who is the other player
-    const user1 = match.userId.toString();           // FIXED
-    const user2 = match.matchedUserId.toString();    // FIXED
-    const initiatorStr = initiatorId.toString();
-
-    if (initiatorStr !== user1 && initiatorStr !== user2) {
-      throw new Error('You are not part of this match');
-    }
-
-    // Check if mutually matched
-    if (!match.isMutualMatch) {
-      throw new Error('Both users must have liked each other to play games');
-    }
-
-    const invitedUserId = initiatorStr === user1 ? user2 : user1;
-
-    // Check for existing active session
-    const existingSession = await WouldYouRatherSession.findOne({
-      matchId,
-      status: { $in: ['pending', 'starting', 'playing', 'paused'] }
-    });
-
-    if (existingSession) {
-      throw new Error('An active game already exists with this match');
-    }
-
-    // Create the session
-    const session = await WouldYouRatherSession.createSession(
-      matchId,
+  async buildSession({ matchId, initiatorId, invitedUserId, mode, focusPack }) {
+    const selection = await questionSelectionService.selectForSession(
+      this.gameType,
       initiatorId,
-      invitedUserId
+      invitedUserId,
+      { focusPack }
     );
 
-    // Get invited user details for notification
-    const invitedUser = await User.findById(invitedUserId)
-      .select('firstName lastName username profilePhoto');
-
-    const initiator = await User.findById(initiatorId)
-      .select('firstName lastName username profilePhoto');
+    return WouldYouRatherSession.createSession(matchId, initiatorId, invitedUserId, {
+      questionOrder: selection.questionOrder,
+      focusPack: selection.focusPack,
+      selectionSeed: selection.seed,
+      mode
+    });
+  }
 
+  getSessionDetails(session) {
     return {
-      session: {
-        sessionId: session.sessionId,
-        status: session.status,
-        expiresAt: session.expiresAt
-      },
-      invitedUser: {
-        oduserId: invitedUserId,
-        firstName: invitedUser.firstName,
-        lastName: invitedUser.lastName,
-        username: invitedUser.username,
-        profilePhoto: invitedUser.profilePhoto
-      },
-      initiator: {
-        oduserId: initiatorId,
-        firstName: initiator.firstName,
-        lastName: initiator.lastName,
-        username: initiator.username,
-        profilePhoto: initiator.profilePhoto
-      }
+      focusPack: session.focusPack || null,
+      totalQuestions: session.questionOrder.length
     };
   }
 
+  async startSession(session) {
+    await session.accept();
+  }
+
   /**
-   * Accept a game invitation
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User accepting (must be player2)
-   * @returns {Promise<Object>} Updated session
+   * Live games start after the countdown; async ones are already playing
    */
-  async acceptInvitation(sessionId, userId) {
-    const session = await WouldYouRatherSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
+  async onInvitationAccepted(session) {
+    if (session.isAsync) return;
 
-    // Verify user is the invited player
-    if (session.player2.userId._id.toString() !== userId.toString()) {
-      throw new Error('You are not the invited player');
-    }
-
-    // Accept the invitation
-    await session.accept();
+    const { timerGame, countdownMs } = this.config;
+    await gameTimerService.schedule(timerGame, session.sessionId, 'start_game', countdownMs);
 
-    return {
+    gameEventsService.emit(this.gameType, this.getPlayerIds(session), 'game_starting', {
       sessionId: session.sessionId,
-      status: session.status,
-      player1: {
-        oduserId: session.player1.userId._id,
-        firstName: session.player1.userId.firstName,
-        lastName: session.player1.userId.lastName,
-        profilePhoto: session.player1.userId.profilePhoto
-      },
-      player2: {
-        oduserId: session.player2.userId._id,
-        firstName: session.player2.userId.firstName,
-        lastName: session.player2.userId.lastName,
-        profilePhoto: session.player2.userId.profilePhoto
-      }
-    };
+      startsIn: countdownMs
+    });
   }
 
-  /**
-   * Decline a game invitation
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User declining (must be player2)
-   * @returns {Promise<Object>} Updated session
-   */
-  async declineInvitation(sessionId, userId) {
-    const session = await WouldYouRatherSession.findBySessionId(sessionId);
+  async declineSession(session) {
+    await session.decline();
+  }
 
-    if (!session) {
-      throw new Error('Game session not found');
-    }
+  async abandonSession(session, userId, reason) {
+    await super.abandonSession(session, userId, reason);
+    await gameTimerService.cancel(this.config.timerGame, session.sessionId);
+  }
 
-    // Verify user is the invited player
-    if (session.player2.userId._id.toString() !== userId.toString()) {
-      throw new Error('You are not the invited player');
-    }
+  getHistoryResult(session) {
+    return { compatibilityScore: session.results?.compatibilityScore ?? null };
+  }
 
-    await session.decline();
+  getVoiceNoteLimit() {
+    return 5;
+  }
 
-    return {
-      sessionId: session.sessionId,
-      status: 'declined'
-    };
+  async storeVoiceNote(session, userId, { audioUrl, duration }) {
+    await session.addVoiceNote(userId, audioUrl, duration);
+
+    const notes = await this.listVoiceNotes(session);
+    return notes[notes.length - 1];
   }
 
   /**
-   * Get pending invitation for a user
-   * @param {ObjectId} userId - User ID
-   * @returns {Promise<Object|null>} Pending invitation or null
+   * Voice notes are kept in order on the session; their index is the id
    */
-  async getPendingInvitation(userId) {
-    const session = await WouldYouRatherSession.findPendingInvitation(userId);
+  async listVoiceNotes(session) {
+    return session.voiceNotes.map((vn, index) => ({
+      noteId: index,
+      userId: vn.oduserId.toString(),
+      audioUrl: vn.audioUrl,
+      duration: vn.duration,
+      relatedTo: null,
+      transcription: null,
+      listenedBy: null,
+      createdAt: vn.sentAt
+    }));
+  }
 
-    if (!session) {
-      return null;
-    }
+  getStoredInsights(session) {
+    return session.aiInsights?.generatedAt ? session.aiInsights : null;
+  }
 
-    return {
-      sessionId: session.sessionId,
-      status: session.status,
-      expiresAt: session.expiresAt,
-      invitedBy: {
-        oduserId: session.player1.userId._id,
-        firstName: session.player1.userId.firstName,
-        lastName: session.player1.userId.lastName,
-        profilePhoto: session.player1.userId.profilePhoto
-      }
-    };
+  async generateSessionInsights(session) {
+    return this.generateAiInsights(session.sessionId);
   }
 
   // =====================================================
@@ -200,9 +142,10 @@ class WouldYouRatherService {
   /**
    * Start the game after acceptance
    * @param {String} sessionId - Session UUID
+   * @param {String} locale - Question language (English fallback)
    * @returns {Promise<Object>} First question data
    */
-  async startGame(sessionId) {
+  async startGame(sessionId, locale = null) {
     const session = await WouldYouRatherSession.findBySessionId(sessionId);
 
     if (!session) {
@@ -214,9 +157,7 @@ class WouldYouRatherService {
 
     // Get the first question
     const firstQuestionNumber = session.questionOrder[0];
-    const question = await WouldYouRatherQuestion.findOne({
-      questionNumber: firstQuestionNumber
-    });
+    const question = await WouldYouRatherQuestion.findVersionAsOf(firstQuestionNumber, session.createdAt, locale);
 
     return {
       sessionId: session.sessionId,
@@ -230,7 +171,7 @@ class WouldYouRatherService {
         startsAt: session.currentQuestionStartedAt,
         expiresAt: session.currentQuestionExpiresAt
       },
-      totalQuestions: 50,
+      totalQuestions: session.totalQuestions,
       progress: 0
     };
   }
@@ -238,9 +179,10 @@ class WouldYouRatherService {
   /**
    * Get current question for a session
    * @param {String} sessionId - Session UUID
+   * @param {String} locale - Question language (English fallback)
    * @returns {Promise<Object>} Current question data
    */
-  async getCurrentQuestion(sessionId) {
+  async getCurrentQuestion(sessionId, locale = null) {
     const session = await WouldYouRatherSession.findBySessionId(sessionId);
 
     if (!session) {
@@ -252,9 +194,7 @@ class WouldYouRatherService {
     }
 
     const questionNumber = session.questionOrder[session.currentQuestionIndex];
-    const question = await WouldYouRatherQuestion.findOne({
-      questionNumber
-    });
+    const question = await WouldYouRatherQuestion.findVersionAsOf(questionNumber, session.createdAt, locale);
 
     // Check if each player has answered
     const p1Answer = session.player1.answers.find(
@@ -275,8 +215,8 @@ class WouldYouRatherService {
         startsAt: session.currentQuestionStartedAt,
         expiresAt: session.currentQuestionExpiresAt
       },
-      totalQuestions: 50,
-      progress: Math.round((session.currentQuestionIndex / 50) * 100),
+      totalQuestions: session.totalQuestions,
+      progress: session.progressPercent,
       player1Answered: p1Answer?.answer !== null && p1Answer?.answer !== undefined,
       player2Answered: p2Answer?.answer !== null && p2Answer?.answer !== undefined
     };
@@ -302,6 +242,11 @@ class WouldYouRatherService {
       throw new Error('Game session not found');
     }
 
+    // Async games are answered through submitAsyncAnswer
+    if (session.isAsync) {
+      throw new Error('This game is played async - answer over REST');
+    }
+
     // Record the answer
     const result = await session.recordAnswer(userId, questionIndex, answer);
 
@@ -339,9 +284,7 @@ class WouldYouRatherService {
     }
 
     const questionNumber = session.questionOrder[questionIndex];
-    const question = await WouldYouRatherQuestion.findOne({
-      questionNumber
-    });
+    const question = await WouldYouRatherQuestion.findVersionAsOf(questionNumber, session.createdAt);
 
     return {
       sessionId: session.sessionId,
@@ -360,9 +303,10 @@ class WouldYouRatherService {
   /**
    * Move to the next question
    * @param {String} sessionId - Session UUID
+   * @param {String} locale - Question language (English fallback)
    * @returns {Promise<Object>} Next question data or completion status
    */
-  async nextQuestion(sessionId) {
+  async nextQuestion(sessionId, locale = null) {
     const session = await WouldYouRatherSession.findBySessionId(sessionId);
 
     if (!session) {
@@ -388,9 +332,7 @@ class WouldYouRatherService {
 
     // Get the next question
     const questionNumber = session.questionOrder[result.questionIndex];
-    const question = await WouldYouRatherQuestion.findOne({
-      questionNumber
-    });
+    const question = await WouldYouRatherQuestion.findVersionAsOf(questionNumber, session.createdAt, locale);
 
     return {
       sessionId: session.sessionId,
@@ -404,11 +346,83 @@ class WouldYouRatherService {
         startsAt: session.currentQuestionStartedAt,
         expiresAt: session.currentQuestionExpiresAt
       },
-      totalQuestions: 50,
-      progress: Math.round((result.questionIndex / 50) * 100)
+      totalQuestions: session.totalQuestions,
+      progress: Math.round((result.questionIndex / session.totalQuestions) * 100)
     };
   }
 
+  // =====================================================
+  // ASYNC PLAY (see GameEngine)
+  // =====================================================
+
+  /**
+   * Question payload for an async player
+   */
+  async getAsyncQuestion(session, questionIndex, locale = null) {
+    const questionNumber = session.questionOrder[questionIndex];
+    const question = await WouldYouRatherQuestion.findVersionAsOf(questionNumber, session.createdAt, locale);
+
+    return {
+      index: questionIndex,
+      number: questionNumber,
+      category: question.category,
+      optionA: question.optionA,
+      optionB: question.optionB
+    };
+  }
+
+  /**
+   * Both players' choices for revealed questions
+   */
+  async getAsyncReveals(session, questionIndexes, locale = null) {
+    const questionNumbers = questionIndexes.map(index => session.questionOrder[index]);
+    const questions = await WouldYouRatherQuestion.findVersionsAsOf(questionNumbers, session.createdAt, locale);
+
+    const questionMap = {};
+    questions.forEach(q => {
+      questionMap[q.questionNumber] = q;
+    });
+
+    return questionIndexes.map((questionIndex, i) => {
+      const questionNumber = questionNumbers[i];
+      const question = questionMap[questionNumber];
+      const p1Answer = session.player1.answers.find(a => a.questionNumber === questionNumber);
+      const p2Answer = session.player2.answers.find(a => a.questionNumber === questionNumber);
+
+      return {
+        questionIndex,
+        questionNumber,
+        category: question?.category,
+        optionA: question?.optionA,
+        optionB: question?.optionB,
+        player1Answer: p1Answer.answer,
+        player2Answer: p2Answer.answer,
+        matched: p1Answer.answer === p2Answer.answer
+      };
+    });
+  }
+
+  /**
+   * Record an async answer
+   * @param {Object} answer - { answer: 'A' | 'B' }
+   */
+  async recordAsyncAnswer(session, userId, questionIndex, { answer } = {}) {
+    if (!['A', 'B'].includes(answer)) {
+      throw new Error('Answer must be A or B');
+    }
+
+    await session.recordAnswer(userId, questionIndex, answer);
+  }
+
+  /**
+   * Generate AI insights, as at the end of a live game
+   */
+  async finishAsyncGame(session) {
+    this.generateAiInsights(session.sessionId).catch(err => {
+      logger.error('Failed to generate AI insights:', err);
+    });
+  }
+
   // =====================================================
   // RESULTS & INSIGHTS
   // =====================================================
@@ -456,7 +470,7 @@ class WouldYouRatherService {
         categoryBreakdown: session.results.categoryBreakdown
       },
       partner: {
-        oduserId: partner.userId._id,
+        userId: partner.userId._id,
         firstName: partner.userId.firstName,
         lastName: partner.userId.lastName,
         profilePhoto: partner.userId.profilePhoto,
@@ -475,9 +489,10 @@ class WouldYouRatherService {
    * Get detailed answer breakdown
    * @param {String} sessionId - Session UUID
    * @param {ObjectId} userId - User requesting
+   * @param {String} locale - Question language (English fallback)
    * @returns {Promise<Object>} Question-by-question breakdown
    */
-  async getDetailedResults(sessionId, userId) {
+  async getDetailedResults(sessionId, userId, locale = null) {
     const session = await WouldYouRatherSession.findBySessionId(sessionId);
 
     if (!session) {
@@ -497,9 +512,7 @@ class WouldYouRatherService {
     }
 
     // Get all questions
-    const questions = await WouldYouRatherQuestion.find({
-      questionNumber: { $in: session.questionOrder }
-    }).lean();
+    const questions = await WouldYouRatherQuestion.findVersionsAsOf(session.questionOrder, session.createdAt, locale);
 
     const questionMap = {};
     questions.forEach(q => {
@@ -567,9 +580,7 @@ class WouldYouRatherService {
     }
 
     // Get all questions for context
-    const questions = await WouldYouRatherQuestion.find({
-      questionNumber: { $in: session.questionOrder }
-    }).lean();
+    const questions = await WouldYouRatherQuestion.findVersionsAsOf(session.questionOrder, session.createdAt);
 
     const questionMap = {};
     questions.forEach(q => {
@@ -644,9 +655,12 @@ class WouldYouRatherService {
           content: prompt
         }
       ], {
-        model: 'gpt-4',
+        feature: 'would_you_rather_insights',
+        userId: session.player1.userId._id,
+        context: { sessionId: session.sessionId },
         temperature: 0.7,
-        max_tokens: 600
+        max_tokens: 600,
+        locale: await User.getSharedLocale([session.player1.userId._id, session.player2.userId._id])
       });
 
       // Parse AI response
@@ -774,69 +788,6 @@ TIP: [One specific, actionable relationship tip based on their results]`;
     return insights;
   }
 
-  // =====================================================
-  // VOICE NOTES
-  // =====================================================
-
-  /**
-   * Add a voice note to completed game
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User sending voice note
-   * @param {String} audioUrl - S3 URL of audio
-   * @param {Number} duration - Duration in seconds
-   * @returns {Promise<Object>} Updated voice notes
-   */
-  async addVoiceNote(sessionId, userId, audioUrl, duration) {
-    const session = await WouldYouRatherSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
-
-    await session.addVoiceNote(userId, audioUrl, duration);
-
-    return {
-      sessionId: session.sessionId,
-      voiceNotes: session.voiceNotes.map(vn => ({
-        oduserId: vn.oduserId,
-        audioUrl: vn.audioUrl,
-        duration: vn.duration,
-        sentAt: vn.sentAt
-      }))
-    };
-  }
-
-  /**
-   * Get voice notes for a session
-   * @param {String} sessionId - Session UUID
-   * @param {ObjectId} userId - User requesting (must be a player)
-   * @returns {Promise<Array>} Voice notes
-   */
-  async getVoiceNotes(sessionId, userId) {
-    const session = await WouldYouRatherSession.findBySessionId(sessionId);
-
-    if (!session) {
-      throw new Error('Game session not found');
-    }
-
-    // Verify user is a player
-    const isPlayer = 
-      session.player1.userId._id.toString() === userId.toString() ||
-      session.player2.userId._id.toString() === userId.toString();
-
-    if (!isPlayer) {
-      throw new Error('You are not a player in this game');
-    }
-
-    return session.voiceNotes.map(vn => ({
-      oduserId: vn.oduserId,
-      audioUrl: vn.audioUrl,
-      duration: vn.duration,
-      sentAt: vn.sentAt,
-      isYours: vn.oduserId.toString() === userId.toString()
-    }));
-  }
-
   // =====================================================
   // SESSION MANAGEMENT
   // =====================================================
@@ -861,7 +812,7 @@ TIP: [One specific, actionable relationship tip based on their results]`;
       status: session.status,
       currentQuestionIndex: session.currentQuestionIndex,
       partner: {
-        oduserId: partner.userId._id,
+        userId: partner.userId._id,
         firstName: partner.userId.firstName,
         lastName: partner.userId.lastName,
         profilePhoto: partner.userId.profilePhoto
@@ -869,34 +820,6 @@ TIP: [One specific, actionable relationship tip based on their results]`;
     };
   }
 
-  /**
-   * Get game history for a user
-   * @param {ObjectId} userId - User ID
-   * @param {Number} limit - Max results
-   * @returns {Promise<Array>} Game history
-   */
-  async getGameHistory(userId, limit = 20) {
-    const sessions = await WouldYouRatherSession.getUserHistory(userId);
-
-    return sessions.map(session => {
-      const isPlayer1 = session.player1.userId._id.toString() === userId.toString();
-      const partner = isPlayer1 ? session.player2 : session.player1;
-
-      return {
-        sessionId: session.sessionId,
-        matchId: session.matchId,
-        partner: {
-          oduserId: partner.userId._id,
-          firstName: partner.userId.firstName,
-          lastName: partner.userId.lastName,
-          profilePhoto: partner.userId.profilePhoto
-        },
-        compatibilityScore: session.results.compatibilityScore,
-        completedAt: session.completedAt
-      };
-    });
-  }
-
   /**
    * Update player connection status
    * @param {String} sessionId - Session UUID
@@ -0,0 +1,311 @@
+// src/services/matchDrop.service.js
+
+const User = require('../models/User');
+const Match = require('../models/Match');
+const MatchingService = require('./matching.service');
+const notificationService = require('./notification.service');
+const entitlementService = require('./entitlement.service');
+const { ENTITLEMENTS } = require('./subscription/plans');
+const { policy, getDropDate, isDropDue, getNextDropAt } = require('../config/matchDrops');
+const ApiError = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+/**
+ * MATCH DROP SERVICE
+ *
+ * Delivers new matches as daily drops (see config/matchDrops.js).
+ *
+ * - The match-drops job makes each user's drop at their local morning
+ *   and notifies them
+ * - A user who opens the app before the job reaches them gets the drop
+ *   on the spot
+ * - Manual refreshes add an extra drop, limited per local day by
+ *   entitlement; one that finds no new matches isn't counted
+ */
+
+const MATCH_USER_FIELDS = 'firstName lastName username profilePhoto bio location dateOfBirth';
+
+class MatchDropService {
+  // ============================================
+  // JOB
+  // ============================================
+
+  /**
+   * Make the drops that are due (match-drops job)
+   * Users not due yet get their next drop time scheduled
+   * @returns {Promise<Object>} { dropped, matches, scheduled, failed }
+   */
+  async processDueDrops() {
+    const now = new Date();
+    const summary = { dropped: 0, matches: 0, scheduled: 0, failed: 0 };
+
+    const users = await User.find({
+      isActive: true,
+      isBanned: false,
+      isDeleted: { $ne: true },
+      questionsAnswered: { $gte: parseInt(process.env.ANALYSIS_MIN_QUESTIONS || 15) },
+      $or: [
+        { 'matchDrops.nextDropAt': null },
+        { 'matchDrops.nextDropAt': { $lte: now } }
+      ]
+    })
+      .select('timezone notificationPreferences.quietHours.timezone matchDrops')
+      .sort({ 'matchDrops.nextDropAt': 1 })
+      .limit(policy.usersPerRun)
+      .lean();
+
+    for (const user of users) {
+      if (!isDropDue(user, now)) {
+        await this._schedule(user, now);
+        summary.scheduled++;
+        continue;
+      }
+
+      try {
+        const result = await this._makeDailyDrop(user, now);
+        if (!result) continue;
+
+        summary.dropped++;
+        summary.matches += result.matches.length;
+
+        if (result.matches.length > 0) {
+          await notificationService.notifyMatchDrop(user._id, {
+            count: result.matches.length,
+            dropDate: result.dropDate,
+          });
+        }
+      } catch (error) {
+        summary.failed++;
+        logger.warn(`Match drop failed for user ${user._id}: ${error.message}`);
+        // Not retried before the next morning
+        await this._schedule(user, now);
+      }
+    }
+
+    return summary;
+  }
+
+  // ============================================
+  // USER ACTIONS
+  // ============================================
+
+  /**
+   * Today's drop, made now if it isn't yet
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { matches, stats, dropDate, message }
+   */
+  async generateTodayDrop(userId) {
+    const user = await this._getUser(userId);
+    const dropDate = getDropDate(user);
+
+    if (user.matchDrops?.lastDropDate !== dropDate) {
+      const result = await this._makeDailyDrop(user, new Date(), { withFunnel: true });
+      if (result) return result;
+    }
+
+    const matches = await Match.find({ userId, dropDate }).sort({ generatedAt: -1, rank: 1 });
+
+    return {
+      success: true,
+      matches,
+      stats: null,
+      dropDate,
+      message: 'Today\'s matches are already here. New matches arrive tomorrow morning.'
+    };
+  }
+
+  /**
+   * A user's matches of today, with drop and refresh status
+   * The drop is made on the spot if it is due
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { dropDate, dropReady, nextDropAt, refreshes, matches }
+   */
+  async getToday(userId) {
+    let user = await this._getUser(userId);
+
+    if (isDropDue(user)) {
+      await this._makeDailyDrop(user, new Date());
+      user = await this._getUser(userId);
+    }
+
+    const dropDate = getDropDate(user);
+    const hasAccess = entitlementService.hasEntitlement(user, ENTITLEMENTS.REVEAL_ALL_MATCHES);
+
+    const matches = await Match.find({ userId, dropDate })
+      .populate('matchedUserId', MATCH_USER_FIELDS)
+      .sort({ generatedAt: -1, rank: 1 });
+
+    return {
+      dropDate,
+      dropReady: user.matchDrops?.lastDropDate === dropDate,
+      nextDropAt: getNextDropAt(user),
+      refreshes: this._getRefreshAllowance(user, dropDate),
+      matches: matches.map(match => MatchingService._formatMatchData(match, hasAccess))
+    };
+  }
+
+  /**
+   * Manual refresh: an extra drop now
+   * Before today's drop it makes today's drop instead (free)
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { matches, stats, dropDate, message, refreshes }
+   * @throws {ApiError} 429 no refreshes left today
+   */
+  async refresh(userId) {
+    const user = await this._getUser(userId);
+    const dropDate = getDropDate(user);
+
+    if (user.matchDrops?.lastDropDate !== dropDate) {
+      const result = await this.generateTodayDrop(userId);
+      return { ...result, refreshes: this._getRefreshAllowance(user, dropDate) };
+    }
+
+    const limit = this._getRefreshLimit(user);
+    if (!await this._claimRefresh(user._id, dropDate, limit)) {
+      throw ApiError.tooManyRequests(limit > 0
+        ? `You can refresh your matches ${limit} time${limit === 1 ? '' : 's'} a day. New matches arrive tomorrow morning.`
+        : 'New matches arrive every morning. Upgrade to Premium to refresh your matches.');
+    }
+
+    let result;
+    try {
+      result = await MatchingService.generateMatches(user._id, {
+        limit: policy.dropSize,
+        dropDate,
+        dropType: 'refresh',
+        withFunnel: true
+      });
+    } catch (error) {
+      await this._refundRefresh(user._id, dropDate);
+      throw error;
+    }
+
+    if (result.matches.length === 0) {
+      await this._refundRefresh(user._id, dropDate);
+    }
+
+    logger.info(`Match refresh for user ${user._id}: ${result.matches.length} new matches`);
+
+    return {
+      ...result,
+      dropDate,
+      refreshes: this._getRefreshAllowance(await this._getUser(userId), dropDate)
+    };
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  async _getUser(userId) {
+    const user = await User.findById(userId)
+      .select('timezone notificationPreferences.quietHours.timezone matchDrops isPremium premiumExpiry premiumPlan')
+      .lean();
+
+    if (!user) {
+      throw ApiError.notFound('User not found');
+    }
+
+    return user;
+  }
+
+  /**
+   * Claim today's drop, then generate it (claim released if generation fails)
+   * @param {Object} options
+   * @param {Boolean} options.withFunnel - Report the query filter funnel
+   *        (drops asked for by the user; the scheduled job skips it)
+   * @returns {Promise<Object|null>} Generation result, null if already made
+   */
+  async _makeDailyDrop(user, now, { withFunnel = false } = {}) {
+    const dropDate = getDropDate(user, now);
+    const previous = user.matchDrops || {};
+    const nextDropAt = getNextDropAt({ ...user, matchDrops: { ...previous, lastDropDate: dropDate } }, now);
+
+    const claim = await User.updateOne(
+      { _id: user._id, 'matchDrops.lastDropDate': { $ne: dropDate } },
+      {
+        $set: {
+          'matchDrops.lastDropDate': dropDate,
+          'matchDrops.lastDropAt': now,
+          'matchDrops.nextDropAt': nextDropAt,
+        },
+      }
+    );
+
+    // Made meanwhile (job and app at the same time)
+    if (claim.modifiedCount === 0) return null;
+
+    try {
+      const result = await MatchingService.generateMatches(user._id, {
+        limit: policy.dropSize,
+        dropDate,
+        dropType: 'daily',
+        withFunnel
+      });
+
+      logger.info(`Match drop ${dropDate} for user ${user._id}: ${result.matches.length} new matches`);
+
+      return { ...result, dropDate };
+    } catch (error) {
+      await User.updateOne(
+        { _id: user._id, 'matchDrops.lastDropDate': dropDate },
+        {
+          $set: {
+            'matchDrops.lastDropDate': previous.lastDropDate ?? null,
+            'matchDrops.lastDropAt': previous.lastDropAt ?? null,
+          },
+        }
+      );
+      throw error;
+    }
+  }
+
+  async _schedule(user, now) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { 'matchDrops.nextDropAt': getNextDropAt(user, now) } }
+    );
+  }
+
+  _getRefreshLimit(user) {
+    return entitlementService.hasEntitlement(user, ENTITLEMENTS.EXTRA_MATCH_REFRESHES)
+      ? policy.premiumRefreshLimit
+      : policy.refreshLimit;
+  }
+
+  _getRefreshAllowance(user, dropDate) {
+    const limit = this._getRefreshLimit(user);
+    const used = user.matchDrops?.refreshDate === dropDate ? user.matchDrops.refreshesUsed : 0;
+
+    return { used, limit, remaining: Math.max(limit - used, 0) };
+  }
+
+  /**
+   * Count a refresh against today's limit (atomic)
+   * @returns {Promise<Boolean>} false when none are left
+   */
+  async _claimRefresh(userId, dropDate, limit) {
+    if (limit <= 0) return false;
+
+    const sameDay = await User.updateOne(
+      { _id: userId, 'matchDrops.refreshDate': dropDate, 'matchDrops.refreshesUsed': { $lt: limit } },
+      { $inc: { 'matchDrops.refreshesUsed': 1 } }
+    );
+    if (sameDay.modifiedCount > 0) return true;
+
+    const newDay = await User.updateOne(
+      { _id: userId, 'matchDrops.refreshDate': { $ne: dropDate } },
+      { $set: { 'matchDrops.refreshDate': dropDate, 'matchDrops.refreshesUsed': 1 } }
+    );
+    return newDay.modifiedCount > 0;
+  }
+
+  async _refundRefresh(userId, dropDate) {
+    await User.updateOne(
+      { _id: userId, 'matchDrops.refreshDate': dropDate, 'matchDrops.refreshesUsed': { $gt: 0 } },
+      { $inc: { 'matchDrops.refreshesUsed': -1 } }
+    );
+  }
+}
+
+module.exports = new MatchDropService();
@@ -0,0 +1,276 @@
+// src/services/matchExpiry.service.js
+
+const Match = require('../models/Match');
+const Conversation = require('../models/Conversation');
+const Message = require('../models/Message');
+const notificationService = require('./notification.service');
+const { policy, EXPIRABLE_STATUSES, computeExpiresAt } = require('../config/matchExpiry');
+const ApiError = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+/**
+ * MATCH EXPIRY SERVICE
+ *
+ * Moves stale matches to 'expired' so their users become candidates again.
+ *
+ * - Each stage has its own deadline (Match.expiresAt, see config/matchExpiry.js)
+ * - Users are warned before the deadline (notification; for mutual matches
+ *   also a system message in the conversation, if one exists)
+ * - A mutual match stops expiring once its conversation starts
+ * - A match can be extended once; a mutual match shares one extension
+ */
+
+class MatchExpiryService {
+  constructor() {
+    this.config = {
+      batchSize: 500,
+    };
+  }
+
+  // ============================================
+  // JOB
+  // ============================================
+
+  /**
+   * Schedule missing deadlines, warn, then expire (match-expiry job)
+   * @returns {Promise<Object>} { scheduled, warned, expired, exempted }
+   */
+  async processExpirations() {
+    const now = new Date();
+    const summary = { scheduled: 0, warned: 0, expired: 0, exempted: 0 };
+
+    summary.scheduled = await this._scheduleMissingDeadlines(now);
+    await this._sendWarnings(now, summary);
+    await this._expireDue(now, summary);
+
+    return summary;
+  }
+
+  // ============================================
+  // EXTENSION
+  // ============================================
+
+  /**
+   * Extend a match once
+   * @param {String} userId - Match owner
+   * @param {String} matchId - Match ID
+   * @returns {Promise<Object>} { matchId, status, expiresAt, canExtend }
+   */
+  async extendMatch(userId, matchId) {
+    const match = await Match.findOne({ _id: matchId, userId });
+
+    if (!match) {
+      throw ApiError.notFound('Match not found');
+    }
+
+    if (match.isExpired()) {
+      throw ApiError.badRequest('Match has already expired');
+    }
+
+    if (!match.expiresAt) {
+      throw ApiError.badRequest('This match does not expire');
+    }
+
+    if (match.extendedAt) {
+      throw ApiError.badRequest('Match can only be extended once');
+    }
+
+    const now = new Date();
+    const expiresAt = new Date(Math.max(match.expiresAt.getTime(), now.getTime()) + policy.extensionDays * DAY_MS);
+    const update = {
+      $set: { expiresAt, extendedAt: now, extendedBy: userId, expiryWarningSentAt: null },
+    };
+
+    if (match.status === 'mutual_like') {
+      // Both sides share the deadline (and the extension)
+      await Match.updateMany(
+        { ...this._pairFilter(match), status: 'mutual_like', extendedAt: null },
+        update
+      );
+    } else {
+      await Match.updateOne({ _id: match._id, extendedAt: null }, update);
+    }
+
+    logger.info('Match extended', { matchId: match._id, userId, expiresAt });
+
+    return {
+      matchId: match._id,
+      status: match.status,
+      expiresAt,
+      canExtend: false,
+    };
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Matches created before expiry existed have no deadline yet.
+   * They get at least one warning window before expiring.
+   */
+  async _scheduleMissingDeadlines(now) {
+    const matches = await Match.find({
+      status: { $in: EXPIRABLE_STATUSES },
+      expiresAt: { $exists: false },
+    })
+      .limit(this.config.batchSize)
+      .lean();
+
+    if (matches.length === 0) return 0;
+
+    const earliest = now.getTime() + policy.warningHours * HOUR_MS;
+
+    await Match.bulkWrite(matches.map(match => ({
+      updateOne: {
+        filter: { _id: match._id },
+        update: {
+          $set: {
+            expiresAt: new Date(Math.max(computeExpiresAt(match).getTime(), earliest)),
+            expiryWarningSentAt: null,
+          },
+        },
+      },
+    })));
+
+    return matches.length;
+  }
+
+  async _sendWarnings(now, summary) {
+    const matches = await Match.find({
+      status: { $in: EXPIRABLE_STATUSES },
+      expiresAt: { $gt: now, $lte: new Date(now.getTime() + policy.warningHours * HOUR_MS) },
+      expiryWarningSentAt: null,
+    }).limit(this.config.batchSize);
+
+    for (const match of matches) {
+      try {
+        if (await this._exemptIfConversationStarted(match)) {
+          summary.exempted++;
+          continue;
+        }
+
+        // Claim the warning (another instance may be sweeping)
+        const claim = await Match.updateOne(
+          { _id: match._id, expiryWarningSentAt: null },
+          { $set: { expiryWarningSentAt: now } }
+        );
+        if (claim.modifiedCount === 0) continue;
+
+        // A one-sided like is on the other user to answer
+        const isLike = match.status === 'liked';
+        const recipientId = isLike ? match.matchedUserId : match.userId;
+        const otherUserId = isLike ? match.userId : match.matchedUserId;
+
+        await notificationService.notifyMatchExpiring(recipientId, {
+          matchId: match._id,
+          otherUserId,
+          status: match.status,
+          expiresAt: match.expiresAt,
+          canExtend: !isLike && match.canExtend(),
+        });
+
+        if (match.status === 'mutual_like' && this._isPairLeader(match)) {
+          await this._postSystemMessage(match, 'match_expiring');
+        }
+
+        summary.warned++;
+      } catch (error) {
+        logger.error('Match expiry warning failed', { matchId: match._id, error: error.message });
+      }
+    }
+  }
+
+  async _expireDue(now, summary) {
+    const matches = await Match.find({
+      status: { $in: EXPIRABLE_STATUSES },
+      expiresAt: { $lte: now },
+    }).limit(this.config.batchSize);
+
+    for (const match of matches) {
+      try {
+        if (await this._exemptIfConversationStarted(match)) {
+          summary.exempted++;
+          continue;
+        }
+
+        // Guarded on status/deadline: the user may have acted meanwhile
+        const result = await Match.updateOne(
+          { _id: match._id, status: match.status, expiresAt: match.expiresAt },
+          {
+            $set: {
+              status: 'expired',
+              expiredAt: now,
+              expiredFromStatus: match.status,
+              isMutualMatch: false,
+            },
+          }
+        );
+        if (result.modifiedCount === 0) continue;
+
+        if (match.status === 'mutual_like' && this._isPairLeader(match)) {
+          const conversation = await this._postSystemMessage(match, 'match_expired');
+          if (conversation) {
+            conversation.status = 'archived';
+            await conversation.save();
+          }
+        }
+
+        summary.expired++;
+      } catch (error) {
+        logger.error('Match expiry failed', { matchId: match._id, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Mutual matches stop expiring once someone has written
+   * @returns {Promise<Boolean>} true if the match was exempted
+   */
+  async _exemptIfConversationStarted(match) {
+    if (match.status !== 'mutual_like') return false;
+
+    const started = await Conversation.exists({
+      'participants.userId': { $all: [match.userId, match.matchedUserId] },
+      firstMessageAt: { $ne: null },
+    });
+
+    if (!started) return false;
+
+    await Match.updateMany(
+      { ...this._pairFilter(match), status: 'mutual_like' },
+      { $set: { expiresAt: null } }
+    );
+
+    return true;
+  }
+
+  async _postSystemMessage(match, systemMessageType) {
+    const conversation = await Conversation.findBetweenUsers(match.userId, match.matchedUserId);
+    if (!conversation) return null;
+
+    await Message.createSystemMessage(conversation._id, systemMessageType);
+    return conversation;
+  }
+
+  /**
+   * Both sides of a pair are swept; per-pair side effects run on one of them
+   */
+  _isPairLeader(match) {
+    return match.userId.toString() < match.matchedUserId.toString();
+  }
+
+  _pairFilter(match) {
+    return {
+      $or: [
+        { userId: match.userId, matchedUserId: match.matchedUserId },
+        { userId: match.matchedUserId, matchedUserId: match.userId },
+      ],
+    };
+  }
+}
+
+module.exports = new MatchExpiryService();
@@ -0,0 +1,404 @@
+const Match = require('../models/Match');
+const AnswerAnalysis = require('../models/AnswerAnalysis');
+const Answer = require('../models/Answer');
+const Question = require('../models/Question');
+const ApiError = require('../utils/apiError');
+const logger = require('../utils/logger');
+const {
+  MATCHING_DIMENSIONS,
+  DIMENSION_LABELS,
+  DIMENSION_TRAITS
+} = require('../config/matchingDimensions');
+const { CURRENT_ALGORITHM_VERSION, getAlgorithm } = require('../config/matchingAlgorithms');
+const { SCORERS } = require('./dimensionScorers');
+const matchingWeightsService = require('./matchingWeights.service');
+const entitlementService = require('./entitlement.service');
+const { ENTITLEMENTS } = require('./subscription/plans');
+
+// Questions listed per dimension as drivers of agreement / divergence
+const DRIVER_LIMIT = 3;
+
+// Numeric traits (0-100) this close count as alike, this far as apart
+const TRAIT_ALIKE_MARGIN = 15;
+const TRAIT_APART_MARGIN = 35;
+
+const TOTAL_QUESTIONS = 50;
+
+const TRAIT_LABELS = {
+  attachment_style: 'Attachment style',
+  emotional_intelligence: 'Emotional intelligence',
+  openness: 'Openness',
+  conflict_style: 'Conflict style',
+  communication_style: 'Communication style',
+  dominant_love_language: 'Main love language',
+  secondary_love_language: 'Second love language',
+  introversion_score: 'Introversion',
+  conscientiousness: 'Conscientiousness'
+};
+
+// No question drivers for these dimensions
+const PRIVATE_DIMENSIONS = ['physical_sexual'];
+
+// Only the viewer's own value is shown; the partner's side is the pair fit
+const PRIVATE_TRAITS = [
+  'attachment_style',
+  'conflict_style',
+  'dominant_love_language',
+  'secondary_love_language'
+];
+
+// Rule scorer (config/matchingAlgorithms.js) of each dimension's private traits
+const PAIR_RULES = {
+  emotional_intimacy: { scorer: 'pairing', trait: 'attachment_style', label: 'Attachment styles' },
+  conflict_communication: { scorer: 'pairing', trait: 'conflict_style', label: 'Conflict styles' },
+  love_languages: { scorer: 'love_languages', label: 'Love languages' }
+};
+
+// Pair fit by rule score, best first
+const PAIR_FITS = [
+  { min: 75, fit: 'complementary', note: 'complementary' },
+  { min: 45, fit: 'workable', note: 'workable together' },
+  { min: 0, fit: 'mismatch', note: 'a mismatch' }
+];
+
+// Pairs worth naming (values in alphabetical order, as the pair tables)
+const PAIR_NOTES = {
+  attachment_style: {
+    'anxious+avoidant': 'Anxious/avoidant mismatch: one of you seeks closeness as the other needs space'
+  },
+  conflict_style: {
+    'avoidant+direct': 'Direct/avoidant mismatch: one of you raises issues as the other avoids them'
+  }
+};
+
+/**
+ * Match Explanation Service
+ * Explains a match's score from stored data only (no AI call): per
+ * dimension, both users' scores and numeric traits, the weight applied,
+ * the questions they agreed or differed on, and caveats about the data.
+ * The partner's answers and personal traits (attachment, conflict style,
+ * love languages) are never shown, only how those traits fit as a pair.
+ * The same match and analyses always give the same explanation.
+ */
+class MatchExplanationService {
+  /**
+   * Explain a match to the user it was generated for
+   * Same access as the match details: fully revealed matches, matches the
+   * user revealed (whatever their status since), or the reveal-all-matches
+   * entitlement
+   *
+   * @param {String} matchId - Match ID
+   * @param {Object} user - Viewing user (the match's owner)
+   * @param {String} locale - Language of question texts
+   * @returns {Object} - { matchId, compatibilityScore, dimensions, caveats }
+   * @throws {ApiError} 404 not the viewer's match, 403 match still locked
+   */
+  static async explainMatch(matchId, user, locale) {
+    try {
+      const match = await Match.findOne({ _id: matchId, userId: user._id }).lean();
+
+      if (!match) {
+        throw ApiError.notFound('Match not found');
+      }
+
+      const hasAccess = entitlementService.hasEntitlement(user, ENTITLEMENTS.REVEAL_ALL_MATCHES);
+      const isRevealed = match.revealTier === 'fully_revealed' || Boolean(match.revealedAt);
+      if (!isRevealed && !hasAccess) {
+        throw ApiError.forbidden('Reveal this match to see why you matched');
+      }
+
+      const algorithm = getAlgorithm(match.matchingAlgorithmVersion);
+      const { weights } = await matchingWeightsService.getWeightSet('matching', match.weightSetVersion);
+      const viewerId = user._id.toString();
+      const partnerId = match.matchedUserId;
+
+      const [analyses, answers] = await Promise.all([
+        AnswerAnalysis.find({ userId: { $in: [viewerId, partnerId] } })
+          .select('userId dimensionScores personalityProfile questionsAnalyzed lastAnalyzedAt')
+          .lean(),
+        Answer.find({ userId: { $in: [viewerId, partnerId] } })
+          .select('userId questionNumber selectedOption selectedOptions')
+          .lean()
+      ]);
+
+      const analysisOf = (id) => analyses.find(a => a.userId.toString() === id.toString()) || null;
+      const yours = analysisOf(viewerId);
+      const theirs = analysisOf(partnerId);
+
+      const questions = await Question.localize(
+        await Question.find({ isActive: true })
+          .select('questionNumber dimension questionText questionType weight')
+          .sort({ questionNumber: 1 })
+          .lean(),
+        locale
+      );
+
+      const answersOf = (id) => new Map(
+        answers
+          .filter(answer => answer.userId.toString() === id.toString())
+          .map(answer => [answer.questionNumber, answer])
+      );
+
+      const yourAnswers = answersOf(viewerId);
+      const theirAnswers = answersOf(partnerId);
+
+      // Weights are renormalised over the dimensions the score used
+      const analyzed = MATCHING_DIMENSIONS.filter(dim => typeof match.dimensionScores?.[dim] === 'number');
+      const analyzedWeight = analyzed.reduce((sum, dim) => sum + weights[dim], 0);
+
+      const dimensions = MATCHING_DIMENSIONS.map(dimension => {
+        const isAnalyzed = analyzed.includes(dimension);
+        const score = isAnalyzed ? match.dimensionScores[dimension] : null;
+        const share = isAnalyzed && analyzedWeight > 0 ? weights[dimension] / analyzedWeight : 0;
+        const yourScore = yours?.dimensionScores?.[dimension]?.score ?? null;
+        const theirScore = theirs?.dimensionScores?.[dimension]?.score ?? null;
+
+        return {
+          dimension,
+          label: DIMENSION_LABELS[dimension],
+          analyzed: isAnalyzed,
+          score,
+          yourScore,
+          theirScore,
+          difference: yourScore !== null && theirScore !== null ? Math.abs(yourScore - theirScore) : null,
+          weight: weights[dimension],
+          scoredBy: algorithm.dimensions[dimension].map(({ scorer, trait, weight }) => ({
+            scorer,
+            trait: trait || null,
+            weight
+          })),
+          effectiveWeight: Math.round(share * 1000) / 1000,
+          // Points of the overall score that came from this dimension
+          contribution: isAnalyzed ? Math.round(score * share * 10) / 10 : 0,
+          traits: this._explainTraits(dimension, algorithm, yours?.personalityProfile, theirs?.personalityProfile),
+          questions: PRIVATE_DIMENSIONS.includes(dimension) ? null : this._findQuestionDrivers(
+            questions.filter(question => question.dimension === dimension),
+            yourAnswers,
+            theirAnswers
+          )
+        };
+      });
+
+      return {
+        matchId: match._id,
+        compatibilityScore: match.compatibilityScore,
+        dimensionsAnalyzed: match.dimensionsAnalyzed,
+        totalDimensions: match.totalDimensions,
+        isPartialAnalysis: match.isPartialAnalysis,
+        algorithmVersion: algorithm.version,
+        weightSetVersion: match.weightSetVersion || 0,
+        method: algorithm.description,
+        dimensions,
+        caveats: this._getCaveats(match, algorithm, dimensions, yours, theirs)
+      };
+
+    } catch (error) {
+      logger.error('Error explaining match:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Traits of a dimension with notes on how they fit: both users' numeric
+   * traits, and for private traits your own value and the pair fit
+   * @private
+   */
+  static _explainTraits(dimension, algorithm, yourProfile = {}, theirProfile = {}) {
+    const known = (value) => value !== undefined && value !== null && value !== 'unknown';
+
+    const traits = DIMENSION_TRAITS[dimension].map(trait => {
+      const yours = known(yourProfile?.[trait]) ? yourProfile[trait] : null;
+
+      if (PRIVATE_TRAITS.includes(trait)) {
+        return { trait, label: TRAIT_LABELS[trait], yours, private: true };
+      }
+
+      return {
+        trait,
+        label: TRAIT_LABELS[trait],
+        yours,
+        theirs: known(theirProfile?.[trait]) ? theirProfile[trait] : null
+      };
+    });
+
+    const notes = [];
+    const pairFit = this._explainPairFit(dimension, algorithm, yourProfile, theirProfile);
+
+    if (pairFit) {
+      notes.push(pairFit.note);
+    }
+
+    // Numeric traits: alike or far apart
+    traits
+      .filter(t => typeof t.yours === 'number' && typeof t.theirs === 'number')
+      .forEach(t => {
+        const gap = Math.abs(t.yours - t.theirs);
+        if (gap <= TRAIT_ALIKE_MARGIN) {
+          notes.push(`${t.label}: you are alike`);
+        } else if (gap >= TRAIT_APART_MARGIN) {
+          notes.push(`${t.label}: you are far apart`);
+        }
+      });
+
+    return {
+      items: traits,
+      pairFit: pairFit && { label: pairFit.label, score: pairFit.score, fit: pairFit.fit },
+      notes
+    };
+  }
+
+  /**
+   * How a dimension's private traits fit as a pair, by the rule scorer the
+   * match's algorithm uses for them (the current algorithm's when it has
+   * none, e.g. 1.0). Never names the partner's value
+   * @returns {Object|null} { label, score, fit, note }, null when either trait is unknown
+   * @private
+   */
+  static _explainPairFit(dimension, algorithm, yourProfile = {}, theirProfile = {}) {
+    const rule = PAIR_RULES[dimension];
+    if (!rule) return null;
+
+    const isRule = (component) => component.scorer === rule.scorer && component.trait === rule.trait;
+    const component = algorithm.dimensions[dimension].find(isRule) ||
+      getAlgorithm(CURRENT_ALGORITHM_VERSION).dimensions[dimension].find(isRule);
+    if (!component) return null;
+
+    const { scorer, weight, ...options } = component;
+    const score = SCORERS[scorer](
+      { personalityProfile: yourProfile },
+      { personalityProfile: theirProfile },
+      dimension,
+      options
+    );
+    if (score === null || score === undefined) return null;
+
+    const { fit, note } = PAIR_FITS.find(level => score >= level.min);
+    const pair = rule.trait && [yourProfile[rule.trait], theirProfile[rule.trait]].sort().join('+');
+
+    return {
+      label: rule.label,
+      score,
+      fit,
+      note: PAIR_NOTES[rule.trait]?.[pair] || `${rule.label}: ${note}`
+    };
+  }
+
+  /**
+   * Choice questions both users answered, split by whether they agreed
+   * (the same options) or differed. Only the question and the outcome are
+   * returned, never either answer. Text answers are not compared
+   * @private
+   */
+  static _findQuestionDrivers(questions, yourAnswers, theirAnswers) {
+    const agreement = [];
+    const divergence = [];
+    let compared = 0;
+    let notComparable = 0;
+
+    questions.forEach(question => {
+      const yours = yourAnswers.get(question.questionNumber);
+      const theirs = theirAnswers.get(question.questionNumber);
+      if (!yours || !theirs) return;
+
+      const yourKeys = this._selectedKeys(yours);
+      const theirKeys = this._selectedKeys(theirs);
+      if (question.questionType === 'text' || yourKeys.length === 0 || theirKeys.length === 0) {
+        notComparable++;
+        return;
+      }
+
+      compared++;
+      const agreed = yourKeys.length === theirKeys.length &&
+        yourKeys.every(key => theirKeys.includes(key));
+
+      (agreed ? agreement : divergence).push({
+        questionNumber: question.questionNumber,
+        questionText: question.questionText,
+        weight: question.weight ?? 5,
+        outcome: agreed ? 'agree' : 'differ'
+      });
+    });
+
+    // Heavier questions first
+    const byWeight = (a, b) => b.weight - a.weight || a.questionNumber - b.questionNumber;
+    const toDriver = ({ questionNumber, questionText, outcome }) => ({ questionNumber, questionText, outcome });
+
+    return {
+      compared,
+      notComparable,
+      agreed: agreement.length,
+      differed: divergence.length,
+      agreement: agreement.sort(byWeight).slice(0, DRIVER_LIMIT).map(toDriver),
+      divergence: divergence.sort(byWeight).slice(0, DRIVER_LIMIT).map(toDriver)
+    };
+  }
+
+  /**
+   * Option keys of a choice answer
+   * @private
+   */
+  static _selectedKeys(answer) {
+    if (answer.selectedOptions?.length > 0) return answer.selectedOptions;
+    return answer.selectedOption ? [answer.selectedOption] : [];
+  }
+
+  /**
+   * What to keep in mind when reading the explanation
+   * @private
+   */
+  static _getCaveats(match, algorithm, dimensions, yours, theirs) {
+    const caveats = [];
+
+    const missing = dimensions.filter(d => !d.analyzed).map(d => d.label);
+    if (missing.length > 0) {
+      caveats.push({
+        type: 'partial_analysis',
+        message: `Based on ${match.dimensionsAnalyzed} of ${match.totalDimensions} dimensions; not yet analyzed for both of you: ${missing.join(', ')}`
+      });
+    }
+
+    [['you', yours], ['them', theirs]].forEach(([who, analysis]) => {
+      const analyzedCount = analysis?.questionsAnalyzed || 0;
+      if (analyzedCount < TOTAL_QUESTIONS) {
+        caveats.push({
+          type: 'questions_analyzed',
+          who,
+          message: who === 'you'
+            ? `Your analysis covers ${analyzedCount} of ${TOTAL_QUESTIONS} questions`
+            : `Their analysis covers ${analyzedCount} of ${TOTAL_QUESTIONS} questions`
+        });
+      }
+    });
+
+    const reanalyzed = [yours, theirs].some(analysis =>
+      analysis?.lastAnalyzedAt && new Date(analysis.lastAnalyzedAt) > new Date(match.createdAt)
+    );
+    if (reanalyzed) {
+      caveats.push({
+        type: 'reanalyzed',
+        message: 'Answers were re-analyzed after this match was made, so current scores may differ from the match score'
+      });
+    }
+
+    if (algorithm.version !== CURRENT_ALGORITHM_VERSION) {
+      caveats.push({
+        type: 'algorithm_changed',
+        message: `This match was scored with matching algorithm ${algorithm.version}; new matches use ${CURRENT_ALGORITHM_VERSION}`
+      });
+    }
+
+    const textOnly = dimensions.filter(d =>
+      d.analyzed && d.questions && d.questions.compared === 0 && d.questions.notComparable > 0
+    );
+    if (textOnly.length > 0) {
+      caveats.push({
+        type: 'open_answers',
+        message: `${textOnly.map(d => d.label).join(', ')} rest${textOnly.length === 1 ? 's' : ''} on open answers, so no single question is shown as agreeing or differing`
+      });
+    }
+
+    return caveats;
+  }
+}
+
+module.exports = MatchExplanationService;
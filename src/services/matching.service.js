@@ -2,8 +2,36 @@ const User = require('../models/User');
 const Match = require('../models/Match');
 const AnswerAnalysis = require('../models/AnswerAnalysis');
 const DistanceService = require('./distance.service');
+const entitlementService = require('./entitlement.service');
+const { ENTITLEMENTS } = require('./subscription/plans');
+const { HARD_FILTER_KEYS, getAgeRange } = require('../config/discoveryPreferences');
+const { MATCHING_DIMENSIONS, DIMENSION_WEIGHTS } = require('../config/matchingDimensions');
+const { CURRENT_ALGORITHM_VERSION, getAlgorithm } = require('../config/matchingAlgorithms');
+const { OUTCOME_EXPIRY_STATUSES } = require('../config/matchExpiry');
+const { scoreDimension } = require('./dimensionScorers');
+const matchingWeightsService = require('./matchingWeights.service');
 const logger = require('../utils/logger');
 
+// Candidates are read in pages; one generation considers at most the pool size
+const CANDIDATE_PAGE_SIZE = parseInt(process.env.MATCHING_CANDIDATE_PAGE_SIZE || 200);
+const CANDIDATE_POOL_SIZE = parseInt(process.env.MATCHING_CANDIDATE_POOL_SIZE || 1000);
+
+// Never loaded for candidates
+const CANDIDATE_EXCLUDED_FIELDS = {
+  refreshToken: 0,
+  fcmToken: 0,
+  dataExport: 0,
+  deletion: 0,
+  notificationPreferences: 0,
+  matchDrops: 0,
+};
+
+const GENDER_BY_INTEREST = { men: 'male', women: 'female' };
+const INTEREST_BY_GENDER = { male: 'men', female: 'women' };
+
+// Candidate filters applied by the query, in funnel order (see _getFilterClauses)
+const QUERY_FILTER_STAGES = ['gender', 'age', 'preferences'];
+
 /**
  * Matching Service
  * Core algorithm for generating compatibility matches between users
@@ -11,11 +39,19 @@ const logger = require('../utils/logger');
 class MatchingService {
   /**
    * Generate matches for a user
+   * Only adds new matches - existing ones keep their rank and tier
    * 
    * @param {String} userId - User ID to generate matches for
+   * @param {Object} options - Drop the matches belong to (see config/matchDrops.js)
+   * @param {Number} options.limit - Keep only the best N (null = all qualified)
+   * @param {String} options.dropDate - Local date of the drop
+   * @param {String} options.dropType - 'daily' | 'refresh'
+   * @param {Boolean} options.withFunnel - Count the query filter stages across
+   *        all users into stats.funnel (an extra aggregation - skipped by the
+   *        scheduled drops)
    * @returns {Object} - Generated matches and stats
    */
-  static async generateMatches(userId) {
+  static async generateMatches(userId, { limit = null, dropDate = null, dropType = null, withFunnel = false } = {}) {
     try {
       logger.info(`Starting match generation for user: ${userId}`);
 
@@ -25,53 +61,63 @@ class MatchingService {
         throw new Error('User not found or incomplete profile');
       }
 
-      // Step 2: Get candidate users (basic filtering)
-      const candidates = await this._getCandidateUsers(currentUser);
-      logger.info(`Found ${candidates.length} candidate users`);
+      // Steps 2-5: Page through candidates (nearest first) up to the pool size
+      const stats = {
+        totalCandidates: 0,
+        afterDealbreakers: 0,
+        afterDistance: 0,
+        afterMinScore: 0,
+        selected: 0,
+        finalMatches: 0
+      };
+      const excludeIds = await this._getExcludedUserIds(currentUser);
+      const weightSet = await matchingWeightsService.getMatchingWeights(currentUser._id);
+      const queryFunnel = withFunnel ? await this._getQueryFunnel(currentUser, excludeIds) : null;
+      const scoredMatches = [];
+      let cursor = null;
+
+      do {
+        // Step 2: Get candidate users (gender, age, hard filters and distance, both ways,
+        // filtered by the query - except the candidate's own max distance)
+        const page = await this._getCandidateUsers(currentUser, {
+          cursor,
+          excludeIds,
+          limit: Math.min(CANDIDATE_PAGE_SIZE, CANDIDATE_POOL_SIZE - stats.totalCandidates),
+        });
+        stats.totalCandidates += page.candidates.length;
 
-      if (candidates.length === 0) {
-        return {
-          success: true,
-          matches: [],
-          message: 'No potential matches found. Try expanding your preferences or completing your profile.',
-          stats: {
-            totalCandidates: 0,
-            afterDealbreakers: 0,
-            afterDistance: 0,
-            finalMatches: 0
-          }
-        };
-      }
+        // Step 3: Filter by dealbreakers
+        const afterDealbreakers = await this._filterByDealbreakers(currentUser, page.candidates);
+        stats.afterDealbreakers += afterDealbreakers.length;
+
+        // Step 4: Drop candidates further away than they search
+        // (our own radius is enforced by $geoNear)
+        const afterDistance = this._filterByCandidateDistance(afterDealbreakers);
+        stats.afterDistance += afterDistance.length;
 
-      // Step 3: Filter by dealbreakers
-      const afterDealbreakers = await this._filterByDealbreakers(currentUser, candidates);
-      logger.info(`After dealbreaker filtering: ${afterDealbreakers.length} candidates`);
+        // Step 5: Calculate compatibility scores
+        scoredMatches.push(...await this._calculateCompatibility(currentUser, afterDistance, weightSet));
 
-      // Step 4: Filter by distance
-      const afterDistance = DistanceService.filterByDistance(currentUser, afterDealbreakers);
-      logger.info(`After distance filtering: ${afterDistance.length} candidates`);
+        cursor = page.cursor;
+      } while (cursor && stats.totalCandidates < CANDIDATE_POOL_SIZE);
 
-      if (afterDistance.length === 0) {
+      logger.info(`Found ${stats.totalCandidates} candidate users`);
+      logger.info(`After dealbreaker filtering: ${stats.afterDealbreakers} candidates`);
+      logger.info(`Calculated compatibility for ${scoredMatches.length} matches`);
+
+      if (stats.totalCandidates === 0) {
         return {
           success: true,
           matches: [],
-          message: 'No matches found within your distance range. Try upgrading to Premium for wider search.',
-          stats: {
-            totalCandidates: candidates.length,
-            afterDealbreakers: afterDealbreakers.length,
-            afterDistance: 0,
-            finalMatches: 0
-          }
+          message: 'No potential matches found within your discovery preferences. Try widening your age range, distance or filters, or upgrade to Premium for wider search.',
+          stats: this._withFunnel(stats, queryFunnel)
         };
       }
 
-      // Step 5: Calculate compatibility scores
-      const scoredMatches = await this._calculateCompatibility(currentUser, afterDistance);
-      logger.info(`Calculated compatibility for ${scoredMatches.length} matches`);
-
       // Step 6: Filter by minimum score
       const minScore = parseInt(process.env.MATCHING_MIN_COMPATIBILITY_SCORE || 50);
       const qualifiedMatches = scoredMatches.filter(m => m.compatibilityScore >= minScore);
+      stats.afterMinScore = qualifiedMatches.length;
       logger.info(`After minimum score filter (${minScore}): ${qualifiedMatches.length} matches`);
 
       if (qualifiedMatches.length === 0) {
@@ -79,33 +125,29 @@ class MatchingService {
           success: true,
           matches: [],
           message: 'No high-compatibility matches found. Answer more questions to improve matching.',
-          stats: {
-            totalCandidates: candidates.length,
-            afterDealbreakers: afterDealbreakers.length,
-            afterDistance: afterDistance.length,
-            finalMatches: 0
-          }
+          stats: this._withFunnel(stats, queryFunnel)
         };
       }
 
-      // Step 7: Rank and assign tiers
+      // Step 7: Rank and assign tiers (within this generation only)
       const rankedMatches = this._rankAndAssignTiers(qualifiedMatches);
-      logger.info(`Ranked ${rankedMatches.length} matches`);
+      const selectedMatches = limit ? this._rankAndAssignTiers(rankedMatches.slice(0, limit)) : rankedMatches;
+      stats.selected = selectedMatches.length;
+      logger.info(`Ranked ${rankedMatches.length} matches, kept ${selectedMatches.length}`);
 
       // Step 8: Save matches to database
-      const savedMatches = await this._saveMatches(userId, rankedMatches);
+      const savedMatches = await this._saveMatches(userId, selectedMatches, {
+        generatedAt: new Date(),
+        dropDate,
+        dropType
+      });
       logger.info(`Saved ${savedMatches.length} matches to database`);
 
       return {
         success: true,
         matches: savedMatches,
         message: `Successfully generated ${savedMatches.length} matches`,
-        stats: {
-          totalCandidates: candidates.length,
-          afterDealbreakers: afterDealbreakers.length,
-          afterDistance: afterDistance.length,
-          finalMatches: savedMatches.length
-        }
+        stats: this._withFunnel({ ...stats, finalMatches: savedMatches.length }, queryFunnel)
       };
 
     } catch (error) {
@@ -144,62 +186,286 @@ class MatchingService {
   }
 
   /**
-   * Get candidate users for matching (Stage 1: Basic Filtering)
+   * Users never offered as candidates: self and anyone with an open or
+   * passed match (expired matches may come back)
    * @private
    */
-  static async _getCandidateUsers(currentUser) {
-    try {
-      const minQuestions = parseInt(process.env.ANALYSIS_MIN_QUESTIONS || 15);
+  static async _getExcludedUserIds(currentUser) {
+    const alreadyMatched = await Match.find({
+      userId: currentUser._id,
+      status: { $in: ['pending', 'revealed', 'liked', 'mutual_like', 'passed'] }
+    }).distinct('matchedUserId');
 
-      // Build query
-      const query = {
-        _id: { $ne: currentUser._id }, // Not self
-        isActive: true,
-        isBanned: false,
-        questionsAnswered: { $gte: minQuestions }, // Has completed minimum questions
-      };
+    return [currentUser._id, ...alreadyMatched];
+  }
+
+  /**
+   * Build the candidate filter (Stage 1: Basic Filtering)
+   * Gender preference, age range and hard filters are resolved by the query,
+   * each in both directions
+   * @param {Object} currentUser - Current user
+   * @param {Array} excludeIds - Never offered
+   * @param {Array<String>} stages - Filters to apply (QUERY_FILTER_STAGES)
+   * @private
+   */
+  static _buildCandidateQuery(currentUser, excludeIds, stages = QUERY_FILTER_STAGES) {
+    const minQuestions = parseInt(process.env.ANALYSIS_MIN_QUESTIONS || 15);
+
+    const query = {
+      _id: { $nin: excludeIds }, // Not self, not already matched
+      isActive: true,
+      isBanned: false,
+      isDeleted: { $ne: true },
+      questionsAnswered: { $gte: minQuestions }, // Has completed minimum questions
+    };
+
+    const clauses = stages.flatMap(stage => this._getFilterClauses(stage, currentUser));
+    if (clauses.length > 0) {
+      query.$and = clauses;
+    }
 
+    return query;
+  }
+
+  /**
+   * Query clauses of one filter stage (combined with $and)
+   * @private
+   */
+  static _getFilterClauses(stage, currentUser) {
+    const clauses = [];
+
+    if (stage === 'gender') {
       // Gender preference filtering
+      // interestedIn: 'men' -> gender: 'male'
+      // interestedIn: 'women' -> gender: 'female'
       if (currentUser.interestedIn && currentUser.interestedIn !== 'everyone') {
-        // Map interestedIn to gender
-        // interestedIn: 'men' -> gender: 'male'
-        // interestedIn: 'women' -> gender: 'female'
-        const genderMap = {
-          'men': 'male',
-          'women': 'female'
-        };
-        
-        query.gender = genderMap[currentUser.interestedIn];
+        clauses.push({ gender: GENDER_BY_INTEREST[currentUser.interestedIn] });
+      }
+
+      // Reverse gender preference: candidate must be open to currentUser's gender
+      // (no preference = matches everyone)
+      const reverseInterest = INTEREST_BY_GENDER[currentUser.gender];
+      clauses.push({
+        interestedIn: { $in: reverseInterest ? [null, 'everyone', reverseInterest] : [null, 'everyone'] }
+      });
+    }
+
+    if (stage === 'age') {
+      // Candidate within our age range. Users without a date of birth are
+      // kept only while we haven't asked for a range.
+      const { ageMin = null, ageMax = null } = currentUser.discoveryPreferences || {};
+      const { minAge, maxAge } = getAgeRange(currentUser);
+      const now = new Date();
+      const latestBirth = new Date(now.getFullYear() - minAge, now.getMonth(), now.getDate());
+      const earliestBirth = new Date(now.getFullYear() - maxAge - 1, now.getMonth(), now.getDate());
+      const withinRange = { dateOfBirth: { $gt: earliestBirth, $lte: latestBirth } };
+
+      clauses.push(ageMin === null && ageMax === null
+        ? { $or: [{ dateOfBirth: null }, withinRange] }
+        : withinRange);
+
+      // And we are within theirs (no preference = any age). Without our
+      // date of birth, only candidates without a range qualify.
+      const age = this._calculateAge(currentUser.dateOfBirth);
+      if (age !== null) {
+        clauses.push(
+          { $or: [{ 'discoveryPreferences.ageMin': null }, { 'discoveryPreferences.ageMin': { $lte: age } }] },
+          { $or: [{ 'discoveryPreferences.ageMax': null }, { 'discoveryPreferences.ageMax': { $gte: age } }] }
+        );
+      } else {
+        clauses.push(
+          { 'discoveryPreferences.ageMin': null },
+          { 'discoveryPreferences.ageMax': null }
+        );
+      }
+    }
+
+    if (stage === 'preferences') {
+      const preferences = currentUser.discoveryPreferences || {};
+
+      HARD_FILTER_KEYS.forEach(key => {
+        const { value, acceptable = [] } = preferences[key] || {};
+        const path = `discoveryPreferences.${key}`;
+
+        // Candidate's value is one we accept (an unstated value is not)
+        if (acceptable.length > 0) {
+          clauses.push({ [`${path}.value`]: { $in: acceptable } });
+        }
+
+        // Our value is one they accept, or they accept everyone (all they
+        // accept while ours is unstated)
+        const acceptsEveryone = [
+          { [`${path}.acceptable`]: { $exists: false } },
+          { [`${path}.acceptable`]: { $size: 0 } }
+        ];
+        clauses.push({
+          $or: value ? [...acceptsEveryone, { [`${path}.acceptable`]: value }] : acceptsEveryone
+        });
+      });
+    }
+
+    return clauses;
+  }
+
+  /**
+   * Candidates left after each query filter, across the whole user base
+   * (the generation itself reads at most CANDIDATE_POOL_SIZE of them).
+   * One aggregation: every stage is counted in its own $facet branch.
+   * @returns {Promise<Array>} [{ stage, count }]
+   * @private
+   */
+  static async _getQueryFunnel(currentUser, excludeIds) {
+    const countAfter = clauses => [
+      ...(clauses.length > 0 ? [{ $match: { $and: clauses } }] : []),
+      { $count: 'count' }
+    ];
+
+    const facets = { eligible: countAfter([]) };
+    let clauses = [];
+    QUERY_FILTER_STAGES.forEach(stage => {
+      clauses = [...clauses, ...this._getFilterClauses(stage, currentUser)];
+      facets[stage] = countAfter(clauses);
+    });
+
+    // Within our radius (users without a location are kept)
+    if (DistanceService.hasCoordinates(currentUser)) {
+      facets.distance = countAfter([...clauses, {
+        $or: [
+          DistanceService.getWithinRadiusQuery(currentUser, DistanceService.getSearchRadius(currentUser)),
+          { 'location.coordinates.1': { $exists: false } }
+        ]
+      }]);
+    }
+
+    const [counts] = await User.aggregate([
+      { $match: this._buildCandidateQuery(currentUser, excludeIds, []) },
+      { $facet: facets }
+    ]);
+
+    const stages = ['eligible', ...QUERY_FILTER_STAGES];
+    const funnel = stages.map(stage => ({ stage, count: counts[stage][0]?.count || 0 }));
+    funnel.push({
+      stage: 'distance',
+      count: facets.distance ? counts.distance[0]?.count || 0 : funnel[funnel.length - 1].count
+    });
+
+    return funnel;
+  }
+
+  /**
+   * Stats with the filter funnel: query stages (when computed), then the
+   * stages of the generation itself
+   * @private
+   */
+  static _withFunnel(stats, queryFunnel) {
+    return {
+      ...stats,
+      funnel: [
+        ...(queryFunnel || []),
+        { stage: 'candidate_pool', count: stats.totalCandidates },
+        { stage: 'dealbreakers', count: stats.afterDealbreakers },
+        { stage: 'candidate_distance', count: stats.afterDistance },
+        { stage: 'min_score', count: stats.afterMinScore },
+        { stage: 'drop_size', count: stats.selected },
+        { stage: 'saved', count: stats.finalMatches }
+      ]
+    };
+  }
+
+  /**
+   * Drop candidates further away than their own search radius (Stage 3)
+   * Candidates without a known distance are kept
+   * @private
+   */
+  static _filterByCandidateDistance(candidates) {
+    return candidates.filter(candidate =>
+      candidate.distanceKm == null ||
+      candidate.distanceKm <= DistanceService.getSearchRadius(candidate)
+    );
+  }
+
+  /**
+   * Get one page of candidate users
+   *
+   * With a location, candidates come nearest first from $geoNear (2dsphere index)
+   * within the user's search radius, then users without a location follow (they are
+   * not excluded by distance). Without a location, all candidates are paged by _id.
+   *
+   * @param {Object} currentUser - Current user
+   * @param {Object} options - { cursor, excludeIds, limit }
+   * @returns {Object} - { candidates, cursor } (cursor is null when exhausted)
+   * @private
+   */
+  static async _getCandidateUsers(currentUser, { cursor = null, excludeIds, limit }) {
+    try {
+      const query = this._buildCandidateQuery(currentUser, excludeIds);
+
+      if (!cursor) {
+        cursor = DistanceService.hasCoordinates(currentUser)
+          ? { phase: 'nearby', minDistanceMeters: 0, boundaryIds: [] }
+          : { phase: 'all', lastId: null };
       }
 
-      // Reverse gender preference check
-      // If candidate has preference, make sure currentUser matches it
-      const candidates = await User.find(query).lean();
+      if (cursor.phase === 'nearby') {
+        const geoNear = DistanceService.getGeoNearStage(
+          currentUser,
+          DistanceService.getSearchRadius(currentUser),
+          { ...query, _id: { $nin: [...excludeIds, ...cursor.boundaryIds] } },
+          cursor.minDistanceMeters
+        );
+
+        const candidates = await User.aggregate([
+          geoNear,
+          { $limit: limit },
+          { $project: CANDIDATE_EXCLUDED_FIELDS }
+        ]);
 
-      // Filter by reverse preference
-      const filtered = candidates.filter(candidate => {
-        if (!candidate.interestedIn || candidate.interestedIn === 'everyone') {
-          return true; // No preference = matches everyone
+        candidates.forEach(candidate => {
+          candidate.distanceKm = Math.round(candidate.distanceMeters / 10) / 100;
+        });
+
+        if (candidates.length < limit) {
+          // Nearby users exhausted, continue with users without a location
+          return { candidates, cursor: { phase: 'unlocated', lastId: null } };
         }
 
-        const genderMap = {
-          'men': 'male',
-          'women': 'female'
+        // Resume at the last distance, skipping users already returned at it
+        const last = candidates[candidates.length - 1].distanceMeters;
+        const boundaryIds = candidates
+          .filter(candidate => candidate.distanceMeters === last)
+          .map(candidate => candidate._id);
+
+        return {
+          candidates,
+          cursor: {
+            phase: 'nearby',
+            minDistanceMeters: last,
+            boundaryIds: last === cursor.minDistanceMeters ? [...cursor.boundaryIds, ...boundaryIds] : boundaryIds
+          }
         };
+      }
 
-        return currentUser.gender === genderMap[candidate.interestedIn];
-      });
+      // Keyset paging by _id ('unlocated' = only users without coordinates)
+      const filter = { ...query };
+      if (cursor.lastId) {
+        filter._id = { ...filter._id, $gt: cursor.lastId };
+      }
+      if (cursor.phase === 'unlocated') {
+        filter['location.coordinates.1'] = { $exists: false };
+      }
 
-      // Check if already matched (to avoid duplicates)
-      const alreadyMatched = await Match.find({
-        userId: currentUser._id,
-        status: { $in: ['pending', 'revealed', 'liked', 'mutual_like'] }
-      }).distinct('matchedUserId');
+      const candidates = await User.find(filter)
+        .select(CANDIDATE_EXCLUDED_FIELDS)
+        .sort({ _id: 1 })
+        .limit(limit)
+        .lean();
 
-      // Filter out already matched users
-      return filtered.filter(candidate => 
-        !alreadyMatched.some(id => id.toString() === candidate._id.toString())
-      );
+      return {
+        candidates,
+        cursor: candidates.length < limit
+          ? null
+          : { phase: cursor.phase, lastId: candidates[candidates.length - 1]._id }
+      };
 
     } catch (error) {
       logger.error('Error getting candidate users:', error);
@@ -209,32 +475,40 @@ class MatchingService {
 
   /**
    * Filter candidates by dealbreakers (Stage 2)
+   * Loads all candidate analyses in one query and attaches them
    * @private
    */
   static async _filterByDealbreakers(currentUser, candidates) {
     try {
-      const currentAnalysis = currentUser.analysis;
-      
-      if (!currentAnalysis || !currentAnalysis.dealbreakers || 
-          currentAnalysis.dealbreakers.length === 0) {
-        // No dealbreakers = all candidates pass
-        return candidates;
+      if (candidates.length === 0) {
+        return [];
       }
 
+      const currentDealbreakers = currentUser.analysis?.dealbreakers || [];
+
+      const analyses = await AnswerAnalysis.find({
+        userId: { $in: candidates.map(candidate => candidate._id) }
+      })
+        .select('userId dimensionScores dealbreakers')
+        .lean();
+
+      const analysisByUser = new Map(
+        analyses.map(analysis => [analysis.userId.toString(), analysis])
+      );
+
       const filtered = [];
 
       for (const candidate of candidates) {
-        // Get candidate's analysis
-        const candidateAnalysis = await AnswerAnalysis.findOne({ userId: candidate._id });
-        
+        const candidateAnalysis = analysisByUser.get(candidate._id.toString());
+
         if (!candidateAnalysis) {
           // No analysis = skip this candidate
           continue;
         }
 
-        // Check for dealbreaker conflicts
-        const hasConflict = this._checkDealbreakers(
-          currentAnalysis.dealbreakers,
+        // Check for dealbreaker conflicts (no dealbreakers = all candidates pass)
+        const hasConflict = currentDealbreakers.length > 0 && this._checkDealbreakers(
+          currentDealbreakers,
           candidateAnalysis.dealbreakers
         );
 
@@ -277,9 +551,10 @@ class MatchingService {
 
   /**
    * Calculate compatibility scores between users (Stage 4)
+   * @param {Object} weightSet - { version, arm, weights } the user is scored with
    * @private
    */
-  static async _calculateCompatibility(currentUser, candidates) {
+  static async _calculateCompatibility(currentUser, candidates, weightSet) {
     const currentAnalysis = currentUser.analysis;
     const scoredMatches = [];
   
@@ -301,7 +576,8 @@ class MatchingService {
         // Calculate compatibility on common dimensions only
         const compatibility = this._calculateDimensionCompatibility(
           currentAnalysis,
-          candidateAnalysis
+          candidateAnalysis,
+          { weights: weightSet.weights }
         );
   
         if (!compatibility) {
@@ -324,6 +600,9 @@ class MatchingService {
           distanceKm: distanceKm || 0,
           hasDealbreakers: false,
           isHighQualityMatch: compatibility.overallScore >= 75,
+          matchingAlgorithmVersion: compatibility.algorithmVersion,
+          weightSetVersion: weightSet.version,
+          weightSetArm: weightSet.arm,
         });
   
       } catch (error) {
@@ -336,45 +615,33 @@ class MatchingService {
 
   /**
    * Calculate compatibility between two analyses
-   * Only uses dimensions where BOTH users have scores
+   * Only uses dimensions where BOTH users have scores, each scored as the
+   * algorithm version says (see config/matchingAlgorithms.js)
+   * @param {Object} options - { version, weights } (default: current algorithm, default weights)
    * @private
    */
-  static _calculateDimensionCompatibility(analysis1, analysis2) {
-    const dimensions = [
-      'emotional_intimacy',
-      'life_vision',
-      'conflict_communication',
-      'love_languages',
-      'physical_sexual',
-      'lifestyle'
-    ];
-
-    const weights = {
-      emotional_intimacy: 0.25,
-      life_vision: 0.20,
-      conflict_communication: 0.15,
-      love_languages: 0.15,
-      physical_sexual: 0.15,
-      lifestyle: 0.10
-    };
+  static _calculateDimensionCompatibility(analysis1, analysis2, {
+    version = CURRENT_ALGORITHM_VERSION,
+    weights = DIMENSION_WEIGHTS
+  } = {}) {
+    const algorithm = getAlgorithm(version);
 
     const commonDimensions = [];
     const dimensionScores = {};
 
     // Calculate score for each dimension
-    for (const dim of dimensions) {
+    for (const dim of MATCHING_DIMENSIONS) {
       const score1 = analysis1.dimensionScores?.[dim]?.score;
       const score2 = analysis2.dimensionScores?.[dim]?.score;
 
-      if (score1 !== undefined && score2 !== undefined) {
-        // Both users have this dimension analyzed
-        commonDimensions.push(dim);
-        
-        // Compatibility = 100 - absolute difference
-        // Smaller difference = higher compatibility
-        const compatibility = 100 - Math.abs(score1 - score2);
-        dimensionScores[dim] = Math.max(0, Math.min(100, compatibility));
-      }
+      // Both users need this dimension analyzed
+      if (typeof score1 !== 'number' || typeof score2 !== 'number') continue;
+
+      const compatibility = scoreDimension(analysis1, analysis2, dim, algorithm.dimensions[dim]);
+      if (compatibility === null) continue;
+
+      commonDimensions.push(dim);
+      dimensionScores[dim] = compatibility;
     }
 
     if (commonDimensions.length === 0) {
@@ -397,7 +664,8 @@ class MatchingService {
       overallScore,
       dimensionScores,
       dimensionsAnalyzed: commonDimensions.length,
-      isPartialAnalysis: commonDimensions.length < 6
+      isPartialAnalysis: commonDimensions.length < 6,
+      algorithmVersion: algorithm.version
     };
   }
 
@@ -495,20 +763,61 @@ class MatchingService {
 
   /**
    * Save matches to database (Stage 8)
+   * @param {Object} drop - { generatedAt, dropDate, dropType } shared by the matches
    * @private
    */
-  static async _saveMatches(userId, matches) {
+  static async _saveMatches(userId, matches, { generatedAt = new Date(), dropDate = null, dropType = null } = {}) {
     const saved = [];
 
+    // Existing matches for all candidates in one query
+    const existingMatches = await Match.find({
+      userId: userId,
+      matchedUserId: { $in: matches.map(match => match.matchedUserId) }
+    });
+    const existingByUser = new Map(
+      existingMatches.map(match => [match.matchedUserId.toString(), match])
+    );
+
     for (const match of matches) {
       try {
         // Check if match already exists
-        const existing = await Match.findOne({
-          userId: userId,
-          matchedUserId: match.matchedUserId
-        });
+        const existing = existingByUser.get(match.matchedUserId.toString());
 
         if (existing) {
+          // An expired match comes back as a brand new one; an outcome it
+          // expired with is kept as a previous round
+          if (existing.status === 'expired') {
+            if (OUTCOME_EXPIRY_STATUSES.includes(existing.expiredFromStatus)) {
+              const round = existing.toObject();
+              existing.previousRounds.push({
+                generatedAt: round.generatedAt,
+                interactedAt: round.interactedAt,
+                expiredAt: round.expiredAt,
+                expiredFromStatus: round.expiredFromStatus,
+                compatibilityScore: round.compatibilityScore,
+                dimensionScores: round.dimensionScores,
+                matchingAlgorithmVersion: round.matchingAlgorithmVersion,
+                weightSetVersion: round.weightSetVersion,
+                weightSetArm: round.weightSetArm,
+              });
+            }
+
+            existing.status = 'pending';
+            existing.generatedAt = generatedAt;
+            existing.dropDate = dropDate;
+            existing.dropType = dropType;
+            existing.revealedAt = undefined;
+            existing.interactedAt = undefined;
+            existing.initialMessage = undefined;
+            existing.isMutualMatch = false;
+            existing.mutualMatchedAt = undefined;
+            existing.messagingUnlockedAt = undefined;
+            existing.extendedAt = null;
+            existing.extendedBy = null;
+            existing.expiredAt = null;
+            existing.expiredFromStatus = null;
+          }
+
           // Update existing match
           existing.compatibilityScore = match.compatibilityScore;
           existing.dimensionScores = match.dimensionScores;
@@ -519,6 +828,9 @@ class MatchingService {
           existing.isTeaser = match.isTeaser;
           existing.distanceKm = match.distanceKm;
           existing.isHighQualityMatch = match.isHighQualityMatch;
+          existing.matchingAlgorithmVersion = match.matchingAlgorithmVersion;
+          existing.weightSetVersion = match.weightSetVersion;
+          existing.weightSetArm = match.weightSetArm;
           existing.scoreRecalculatedAt = new Date();
           
           await existing.save();
@@ -540,8 +852,12 @@ class MatchingService {
             hasDealbreakers: match.hasDealbreakers,
             isHighQualityMatch: match.isHighQualityMatch,
             status: 'pending',
-            generatedAt: new Date(),
-            matchingAlgorithmVersion: '1.0'
+            generatedAt,
+            dropDate,
+            dropType,
+            matchingAlgorithmVersion: match.matchingAlgorithmVersion,
+            weightSetVersion: match.weightSetVersion,
+            weightSetArm: match.weightSetArm
           });
 
           await newMatch.save();
@@ -571,21 +887,14 @@ class MatchingService {
         throw new Error('User not found');
       }
 
-      const isPremium = user.isPremium && user.premiumExpiry > new Date();
-
-      // Development mode premium testing
-      const devPremium = process.env.NODE_ENV === 'development' && 
-                         process.env.PREMIUM_TESTING_ENABLED === 'true' &&
-                         user.isPremium;
-
-      const hasAccess = isPremium || devPremium;
+      const hasAccess = entitlementService.hasEntitlement(user, ENTITLEMENTS.REVEAL_ALL_MATCHES);
 
       // Build query
       const query = { userId, status: filters.status || 'pending' };
 
       const matches = await Match.find(query)
         .populate('matchedUserId', 'firstName lastName username profilePhoto bio location dateOfBirth')
-        .sort({ rank: 1 }); // Best matches first
+        .sort({ generatedAt: -1, rank: 1 }); // Latest drop first, best matches first
 
       // Group by tier
       const grouped = {
@@ -638,7 +947,9 @@ class MatchingService {
       compatibilityMessage: match.compatibilityMessage,
       revealTier: match.revealTier,
       isTeaser: match.isTeaser,
-      status: match.status
+      status: match.status,
+      expiresAt: match.expiresAt || null,
+      canExtend: match.canExtend()
     };
 
     // Fully revealed OR premium access
@@ -706,26 +1017,6 @@ class MatchingService {
     return age;
   }
 
-  /**
-   * Refresh matches for a user (re-generate)
-   * 
-   * @param {String} userId - User ID
-   * @returns {Object} - New matches
-   */
-  static async refreshMatches(userId) {
-    try {
-      // Delete existing pending matches
-      await Match.deleteMany({ userId, status: 'pending' });
-
-      // Generate new matches
-      return await this.generateMatches(userId);
-
-    } catch (error) {
-      logger.error('Error refreshing matches:', error);
-      throw error;
-    }
-  }
-
     /**
  * Get a specific match by ID
  * @param {String} matchId - Match ID
@@ -0,0 +1,517 @@
+// src/services/matchingWeights.service.js
+
+const crypto = require('crypto');
+const Match = require('../models/Match');
+const DateDecision = require('../models/DateDecision');
+const CoupleCompatibility = require('../models/CoupleCompatibility');
+const MatchingWeightSet = require('../models/MatchingWeightSet');
+const ApiError = require('../utils/apiError');
+const { auc, mean } = require('../utils/stats');
+const logger = require('../utils/logger');
+const {
+  WEIGHT_SCOPES,
+  WEIGHT_SCOPE_NAMES,
+  selection,
+  training,
+} = require('../config/matchingWeights');
+const { OUTCOME_EXPIRY_STATUSES } = require('../config/matchExpiry');
+
+/**
+ * MATCHING WEIGHTS SERVICE
+ *
+ * Dimension weights of the overall scores (see config/matchingWeights.js):
+ * - which weight set a user or couple is scored with (A/B for matching)
+ * - training: fits new weight sets from outcomes
+ *     matching:             Match liked / passed / mutual_like
+ *     couple_compatibility: DateDecision dateOutcome.proceeded
+ * - report of how well each dimension predicts its outcome
+ */
+
+const FIT_ITERATIONS = 300;
+const LEARNING_RATE = 2;
+const L2_PENALTY = 0.01;
+
+// Match outcomes that count as decided (a like still waiting doesn't)
+const DECIDED_MATCH_QUERY = {
+  $or: [
+    { isMutualMatch: true },
+    { status: { $in: ['passed', 'mutual_like'] } },
+    { status: 'expired', expiredFromStatus: { $in: OUTCOME_EXPIRY_STATUSES } }
+  ]
+};
+
+// Matches with a decided round, current or previous (regenerated after
+// expiring with an outcome)
+const WITH_DECIDED_ROUND_QUERY = {
+  $or: [...DECIDED_MATCH_QUERY.$or, { 'previousRounds.0': { $exists: true } }]
+};
+
+/**
+ * Whether a match's current round is decided (see DECIDED_MATCH_QUERY)
+ */
+const isDecided = (match) =>
+  match.isMutualMatch ||
+  ['passed', 'mutual_like'].includes(match.status) ||
+  (match.status === 'expired' && OUTCOME_EXPIRY_STATUSES.includes(match.expiredFromStatus));
+
+const round = (value, digits = 3) => value === null ? null : Number(value.toFixed(digits));
+
+/**
+ * Stable bucket 0-99 of a key
+ */
+const bucket = (key) => crypto.createHash('sha256').update(String(key)).digest().readUInt32LE(0) % 100;
+
+class MatchingWeightsService {
+  constructor() {
+    // Stored weight sets never change, so they are cached once read
+    this.cache = new Map();
+  }
+
+  // =====================================================
+  // SELECTION
+  // =====================================================
+
+  /**
+   * A weight set by version (0 = built-in defaults)
+   * Unknown versions fall back to the defaults
+   * @param {String} scope - 'matching' | 'couple_compatibility'
+   * @param {Number} version
+   * @returns {Promise<Object>} { version, weights }
+   */
+  async getWeightSet(scope, version) {
+    const defaults = { version: 0, weights: WEIGHT_SCOPES[scope].defaultWeights };
+    if (!version) return defaults;
+
+    const key = `${scope}:${version}`;
+    if (!this.cache.has(key)) {
+      const weightSet = await MatchingWeightSet.findVersion(scope, version);
+      if (!weightSet) {
+        logger.warn(`Weight set ${scope} v${version} not found, using defaults`);
+        return defaults;
+      }
+      this.cache.set(key, { version, weights: weightSet.weights });
+    }
+
+    return this.cache.get(key);
+  }
+
+  /**
+   * A user's experiment arm (stable per user and experiment)
+   * @param {ObjectId} userId
+   * @returns {String} 'control' | 'experiment'
+   */
+  getArm(userId) {
+    if (selection.matchingExperiment === null) return 'control';
+
+    return bucket(`${selection.matchingExperiment}:${userId}`) < selection.experimentShare
+      ? 'experiment'
+      : 'control';
+  }
+
+  /**
+   * Weights to generate a user's matches with
+   * @param {ObjectId} userId
+   * @returns {Promise<Object>} { version, arm, weights }
+   */
+  async getMatchingWeights(userId) {
+    const arm = this.getArm(userId);
+    const version = arm === 'experiment' ? selection.matchingExperiment : selection.matching;
+
+    return { ...await this.getWeightSet('matching', version), arm };
+  }
+
+  /**
+   * Weights to score couple compatibility with
+   * @returns {Promise<Object>} { version, weights }
+   */
+  getCompatibilityWeights() {
+    return this.getWeightSet('couple_compatibility', selection.coupleCompatibility);
+  }
+
+  // =====================================================
+  // TRAINING
+  // =====================================================
+
+  /**
+   * Train every scope (weight training job)
+   * @returns {Promise<Object>} scope → training summary
+   */
+  async trainAll() {
+    const results = {};
+    for (const scope of WEIGHT_SCOPE_NAMES) {
+      results[scope] = await this.train(scope);
+    }
+    return results;
+  }
+
+  /**
+   * Fit and store a new weight set for a scope from its outcomes
+   * @param {String} scope
+   * @returns {Promise<Object>} { version, samples, ... } or { skipped }
+   */
+  async train(scope) {
+    const { dimensions, defaultWeights } = WEIGHT_SCOPES[scope];
+    const samples = scope === 'matching'
+      ? await this._loadMatchSamples()
+      : await this._loadDateSamples();
+
+    const positives = samples.filter(sample => sample.positive).length;
+    const negatives = samples.length - positives;
+
+    if (samples.length < training.minSamples || Math.min(positives, negatives) < training.minPerOutcome) {
+      logger.info(`Weight training for ${scope} skipped: ${samples.length} samples, ${positives} positive`);
+      return {
+        skipped: 'Not enough outcomes',
+        samples: samples.length,
+        positives,
+      };
+    }
+
+    const holdout = samples.filter(sample => bucket(sample.key) < training.holdoutShare);
+    const fitting = samples.filter(sample => bucket(sample.key) >= training.holdoutShare);
+
+    const coefficients = this._fitLogistic(fitting, dimensions);
+    const weights = this._toWeights(coefficients, defaultWeights, fitting.length);
+
+    const dimensionPower = dimensions.map(dimension => {
+      const scored = samples
+        .filter(sample => typeof sample.features[dimension] === 'number')
+        .map(sample => ({ score: sample.features[dimension], positive: sample.positive }));
+
+      return {
+        dimension,
+        coverage: round(scored.length / samples.length),
+        auc: round(auc(scored)),
+        meanPositive: round(mean(scored.filter(s => s.positive).map(s => s.score)), 1),
+        meanNegative: round(mean(scored.filter(s => !s.positive).map(s => s.score)), 1),
+        coefficient: round(coefficients[dimension]),
+        weight: weights[dimension],
+        defaultWeight: defaultWeights[dimension]
+      };
+    });
+
+    const holdoutAuc = (w) => round(auc(holdout
+      .map(sample => ({ score: this._weightedScore(sample.features, w), positive: sample.positive }))
+      .filter(sample => sample.score !== null)));
+
+    const dates = samples.map(sample => sample.date).filter(Boolean).sort((a, b) => a - b);
+    const latest = await MatchingWeightSet.findLatest(scope);
+
+    const weightSet = await MatchingWeightSet.create({
+      scope,
+      version: (latest?.version || 0) + 1,
+      weights,
+      samples: {
+        total: samples.length,
+        positives,
+        holdout: holdout.length
+      },
+      window: {
+        from: dates[0] || null,
+        to: dates[dates.length - 1] || null
+      },
+      dimensions: dimensionPower,
+      evaluation: {
+        holdoutAuc: holdoutAuc(weights),
+        defaultHoldoutAuc: holdoutAuc(defaultWeights)
+      }
+    });
+
+    logger.info(`Weight set ${scope} v${weightSet.version} trained`, {
+      samples: samples.length,
+      positives,
+      evaluation: weightSet.evaluation
+    });
+
+    return {
+      version: weightSet.version,
+      samples: samples.length,
+      positives,
+      weights,
+      holdoutAuc: weightSet.evaluation.holdoutAuc,
+      defaultHoldoutAuc: weightSet.evaluation.defaultHoldoutAuc
+    };
+  }
+
+  /**
+   * Decided match pairs (both directions count once, each round on its own)
+   * Positive: mutual like. Negative: a pass or an unanswered like.
+   * @private
+   */
+  async _loadMatchSamples() {
+    const matches = await Match.find(WITH_DECIDED_ROUND_QUERY)
+      .select('userId matchedUserId status isMutualMatch expiredFromStatus dimensionScores interactedAt generatedAt previousRounds')
+      .sort({ generatedAt: -1 })
+      .limit(training.maxSamples)
+      .lean();
+
+    const pairs = new Map();
+    matches.forEach(match => {
+      const key = [match.userId.toString(), match.matchedUserId.toString()].sort().join(':');
+      const previousRounds = (match.previousRounds || []).map(round => ({ ...round, status: 'expired' }));
+      const rounds = isDecided(match) ? [...previousRounds, match] : previousRounds;
+
+      // Rounds line up by number across both directions; the holdout
+      // split stays by pair (key)
+      rounds.forEach((round, number) => {
+        const roundKey = `${key}#${number}`;
+        const pair = pairs.get(roundKey) || {
+          key,
+          features: round.dimensionScores || {},
+          positive: false,
+          date: round.interactedAt || round.generatedAt
+        };
+
+        if (round.isMutualMatch || round.status === 'mutual_like' || round.expiredFromStatus === 'mutual_like') {
+          pair.positive = true;
+        }
+        pairs.set(roundKey, pair);
+      });
+    });
+
+    return [...pairs.values()];
+  }
+
+  /**
+   * Couples who said whether they went on the date, with the
+   * compatibility scores they had
+   * @private
+   */
+  async _loadDateSamples() {
+    const decisions = await DateDecision.find({
+      'dateOutcome.proceeded': { $in: [true, false] },
+      coupleCompatibilityId: { $ne: null }
+    })
+      .select('coupleCompatibilityId dateOutcome')
+      .sort({ 'dateOutcome.feedbackAt': -1 })
+      .limit(training.maxSamples)
+      .lean();
+
+    const compatibilities = await CoupleCompatibility.find({
+      _id: { $in: decisions.map(decision => decision.coupleCompatibilityId) }
+    })
+      .select('dimensionScores')
+      .lean();
+    const byId = new Map(compatibilities.map(c => [c._id.toString(), c]));
+
+    return decisions
+      .filter(decision => byId.has(decision.coupleCompatibilityId.toString()))
+      .map(decision => {
+        const { dimensionScores } = byId.get(decision.coupleCompatibilityId.toString());
+        const features = {};
+        WEIGHT_SCOPES.couple_compatibility.dimensions.forEach(dimension => {
+          const entry = dimensionScores?.[dimension];
+          if (entry?.available && typeof entry.score === 'number') features[dimension] = entry.score;
+        });
+
+        return {
+          key: decision._id.toString(),
+          features,
+          positive: decision.dateOutcome.proceeded === true,
+          date: decision.dateOutcome.feedbackAt
+        };
+      });
+  }
+
+  /**
+   * Logistic regression of the outcome on dimension scores (scaled 0-1,
+   * centred on the dimension's mean - which a missing score counts as)
+   * @private
+   */
+  _fitLogistic(samples, dimensions) {
+    const means = {};
+    dimensions.forEach(dimension => {
+      means[dimension] = mean(samples
+        .map(sample => sample.features[dimension])
+        .filter(score => typeof score === 'number')) ?? 50;
+    });
+
+    const rows = samples.map(sample => ({
+      x: dimensions.map(dimension => (
+        typeof sample.features[dimension] === 'number' ? sample.features[dimension] - means[dimension] : 0
+      ) / 100),
+      y: sample.positive ? 1 : 0
+    }));
+
+    let bias = 0;
+    const beta = dimensions.map(() => 0);
+
+    for (let iteration = 0; iteration < FIT_ITERATIONS; iteration++) {
+      let biasGradient = 0;
+      const gradient = beta.map(() => 0);
+
+      rows.forEach(({ x, y }) => {
+        const z = bias + x.reduce((sum, value, i) => sum + value * beta[i], 0);
+        const error = 1 / (1 + Math.exp(-z)) - y;
+        biasGradient += error;
+        x.forEach((value, i) => { gradient[i] += error * value; });
+      });
+
+      bias -= LEARNING_RATE * biasGradient / rows.length;
+      beta.forEach((value, i) => {
+        beta[i] -= LEARNING_RATE * (gradient[i] / rows.length + L2_PENALTY * value);
+      });
+    }
+
+    return Object.fromEntries(dimensions.map((dimension, i) => [dimension, beta[i]]));
+  }
+
+  /**
+   * Weights from coefficients: dimensions that predict a good outcome,
+   * pulled toward the defaults the fewer samples there are
+   * @private
+   */
+  _toWeights(coefficients, defaultWeights, sampleCount) {
+    const dimensions = Object.keys(defaultWeights);
+    const positive = dimensions.map(dimension => Math.max(coefficients[dimension], 0));
+    const positiveTotal = positive.reduce((sum, value) => sum + value, 0);
+
+    // No dimension predicted a good outcome: keep the defaults
+    const fitted = positiveTotal > 0
+      ? Object.fromEntries(dimensions.map((dimension, i) => [dimension, positive[i] / positiveTotal]))
+      : defaultWeights;
+
+    const share = sampleCount / (sampleCount + training.priorStrength);
+    const blended = dimensions.map(dimension =>
+      share * fitted[dimension] + (1 - share) * defaultWeights[dimension]
+    );
+    const total = blended.reduce((sum, value) => sum + value, 0);
+
+    return Object.fromEntries(dimensions.map((dimension, i) => [dimension, round(blended[i] / total)]));
+  }
+
+  /**
+   * Weighted average over the dimensions a sample has
+   * @private
+   */
+  _weightedScore(features, weights) {
+    let weightedSum = 0;
+    let totalWeight = 0;
+
+    Object.entries(weights).forEach(([dimension, weight]) => {
+      if (typeof features[dimension] !== 'number') return;
+      weightedSum += features[dimension] * weight;
+      totalWeight += weight;
+    });
+
+    return totalWeight > 0 ? weightedSum / totalWeight : null;
+  }
+
+  // =====================================================
+  // REPORT
+  // =====================================================
+
+  /**
+   * Predictive power per dimension of a trained weight set, the weight
+   * sets in use and, for matching, outcomes per experiment arm
+   * @param {String} scope
+   * @param {Number} version - Weight set (default: latest trained)
+   * @returns {Promise<Object>}
+   * @throws {ApiError} 404 weight set not found
+   */
+  async getReport(scope = 'matching', version = null) {
+    const weightSet = version
+      ? await MatchingWeightSet.findVersion(scope, version)
+      : await MatchingWeightSet.findLatest(scope);
+
+    if (version && !weightSet) {
+      throw ApiError.notFound('Weight set not found');
+    }
+
+    const versions = await MatchingWeightSet.find({ scope })
+      .select('version trainedAt samples evaluation')
+      .sort({ version: -1 })
+      .lean();
+
+    const report = {
+      scope,
+      outcome: WEIGHT_SCOPES[scope].outcome,
+      defaultWeights: WEIGHT_SCOPES[scope].defaultWeights,
+      inUse: scope === 'matching'
+        ? {
+          control: selection.matching,
+          experiment: selection.matchingExperiment,
+          experimentShare: selection.matchingExperiment === null ? 0 : selection.experimentShare
+        }
+        : { control: selection.coupleCompatibility },
+      weightSet: weightSet && {
+        version: weightSet.version,
+        trainedAt: weightSet.trainedAt,
+        weights: weightSet.weights,
+        samples: weightSet.samples,
+        window: weightSet.window,
+        evaluation: weightSet.evaluation,
+        dimensions: [...weightSet.dimensions].sort((a, b) => (b.auc ?? 0) - (a.auc ?? 0))
+      },
+      versions: versions.map(v => ({
+        version: v.version,
+        trainedAt: v.trainedAt,
+        samples: v.samples.total,
+        holdoutAuc: v.evaluation?.holdoutAuc ?? null
+      }))
+    };
+
+    if (scope === 'matching') {
+      report.arms = await this._getArmOutcomes();
+    }
+
+    return report;
+  }
+
+  /**
+   * Decided matches and mutual like rate per arm and weight set
+   * @private
+   */
+  async _getArmOutcomes() {
+    const [current, previous] = await Promise.all([
+      Match.aggregate([
+        { $match: { ...DECIDED_MATCH_QUERY, weightSetArm: { $ne: null } } },
+        {
+          $group: {
+            _id: { arm: '$weightSetArm', version: '$weightSetVersion' },
+            decided: { $sum: 1 },
+            mutual: { $sum: { $cond: ['$isMutualMatch', 1, 0] } }
+          }
+        }
+      ]),
+      Match.aggregate([
+        { $match: { 'previousRounds.weightSetArm': { $ne: null } } },
+        { $unwind: '$previousRounds' },
+        { $match: { 'previousRounds.weightSetArm': { $ne: null } } },
+        {
+          $group: {
+            _id: { arm: '$previousRounds.weightSetArm', version: '$previousRounds.weightSetVersion' },
+            decided: { $sum: 1 },
+            mutual: { $sum: { $cond: [{ $eq: ['$previousRounds.expiredFromStatus', 'mutual_like'] }, 1, 0] } }
+          }
+        }
+      ])
+    ]);
+
+    // Previous rounds add to their arm and weight set
+    const byArm = new Map();
+    [...current, ...previous].forEach(row => {
+      const key = `${row._id.arm}:${row._id.version}`;
+      const total = byArm.get(key) || { _id: row._id, decided: 0, mutual: 0 };
+      total.decided += row.decided;
+      total.mutual += row.mutual;
+      byArm.set(key, total);
+    });
+
+    const rows = [...byArm.values()].sort((a, b) =>
+      a._id.arm.localeCompare(b._id.arm) || a._id.version - b._id.version
+    );
+
+    return rows.map(row => ({
+      arm: row._id.arm,
+      weightSetVersion: row._id.version,
+      decided: row.decided,
+      mutual: row.mutual,
+      mutualRate: round(row.mutual / row.decided)
+    }));
+  }
+}
+
+const matchingWeightsService = new MatchingWeightsService();
+
+module.exports = matchingWeightsService;
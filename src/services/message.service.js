@@ -246,7 +246,14 @@ static async sendVoiceMessage(
       // Transcribe with Whisper (optional)
       let transcribedText = null;
       try {
-        transcribedText = await openaiService.transcribeAudio(audioFile.buffer);
+        transcribedText = await openaiService.transcribeAudio(audioFile.buffer, {
+          feature: 'voice_message_transcription',
+          userId: senderId,
+          filename: audioFile.originalname || 'voice.m4a',
+          mimeType: audioFile.mimetype,
+          durationSeconds: duration,
+          context: { conversationId },
+        });
         
         // Moderate transcribed content
         if (transcribedText) {
@@ -302,6 +309,7 @@ static async sendVoiceMessage(
       const {
         cursor = null,
         limit = 20,
+        locale = null,
       } = options;
 
       // Validate user has access
@@ -340,6 +348,10 @@ static async sendVoiceMessage(
         );
       }
 
+      if (locale) {
+        result.messages = result.messages.map(m => Message.localizeSystemText(m, locale));
+      }
+
       return result;
 
     } catch (error) {
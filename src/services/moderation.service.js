@@ -0,0 +1,476 @@
+// src/services/moderation.service.js
+
+const MessageReport = require('../models/MessageReport');
+const Message = require('../models/Message');
+const Block = require('../models/Block');
+const User = require('../models/User');
+const ModerationAction = require('../models/ModerationAction');
+const ApiError = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+/**
+ * Moderation Service
+ *
+ * Business logic for the admin moderation API.
+ * Wraps the MessageReport / Block model methods and records every
+ * moderator action in the ModerationAction audit trail.
+ */
+
+// Reports in these states have already been decided
+const CLOSED_REPORT_STATUSES = ['action_taken', 'dismissed', 'auto_resolved'];
+
+const CONTEXT_SENDER_FIELDS = 'firstName lastName username profilePhoto';
+
+class ModerationService {
+  // ============================================
+  // REPORT QUEUE
+  // ============================================
+
+  /**
+   * Get paginated moderation queue
+   * @param {Object} filters - { status, severity, reason, page, limit }
+   */
+  async getQueue({ status = 'pending', severity = null, reason = null, page = 1, limit = 20 }) {
+    return MessageReport.getModerationQueue({
+      status,
+      priority: severity,
+      reason,
+      page,
+      limit,
+    });
+  }
+
+  /**
+   * Get a report with the reported message and surrounding conversation
+   * @param {String} reportId - Report ID
+   * @param {Number} contextSize - Messages to include before and after
+   */
+  async getReportDetail(reportId, contextSize = 10) {
+    const report = await MessageReport.findById(reportId)
+      .populate('reportedBy', 'firstName lastName username profilePhoto')
+      .populate('reportedUser', 'firstName lastName username profilePhoto isBanned banReason')
+      .populate('reviewedBy', 'firstName lastName username')
+      .lean();
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    // Moderators see the message even if it was deleted since
+    const message = await Message.findById(report.messageId)
+      .populate('senderId', CONTEXT_SENDER_FIELDS)
+      .lean();
+
+    const pivotDate = message?.createdAt || report.messageSnapshot?.sentAt || report.createdAt;
+
+    const [before, after] = await Promise.all([
+      Message.find({
+        conversationId: report.conversationId,
+        createdAt: { $lt: pivotDate },
+      })
+        .sort({ createdAt: -1 })
+        .limit(contextSize)
+        .populate('senderId', CONTEXT_SENDER_FIELDS)
+        .lean(),
+      Message.find({
+        conversationId: report.conversationId,
+        createdAt: { $gt: pivotDate },
+      })
+        .sort({ createdAt: 1 })
+        .limit(contextSize)
+        .populate('senderId', CONTEXT_SENDER_FIELDS)
+        .lean(),
+    ]);
+
+    const [priorViolations, history] = await Promise.all([
+      MessageReport.countDocuments({
+        reportedUser: report.reportedUser?._id || report.reportedUser,
+        status: 'action_taken',
+      }),
+      ModerationAction.find({ reportId: report._id })
+        .sort({ createdAt: -1 })
+        .populate('moderatorId', 'firstName lastName username')
+        .lean(),
+    ]);
+
+    return {
+      report,
+      message,
+      context: {
+        before: before.reverse(),
+        after,
+      },
+      reportedUserViolationCount: priorViolations,
+      history,
+    };
+  }
+
+  // ============================================
+  // REPORT ACTIONS
+  // ============================================
+
+  /**
+   * Dismiss a report (no violation)
+   */
+  async dismissReport(reportId, moderatorId, notes = null) {
+    const report = await this._getOpenReport(reportId);
+
+    await report.dismiss(moderatorId, notes);
+
+    await this._record(moderatorId, 'report_dismissed', report, {
+      targetType: 'report',
+      targetId: report._id,
+      notes,
+    });
+
+    return report;
+  }
+
+  /**
+   * Escalate a report to urgent priority
+   */
+  async escalateReport(reportId, moderatorId, notes = null) {
+    const report = await this._getOpenReport(reportId);
+
+    await report.escalate();
+
+    await this._record(moderatorId, 'report_escalated', report, {
+      targetType: 'report',
+      targetId: report._id,
+      notes,
+    });
+
+    return report;
+  }
+
+  /**
+   * Issue a warning to the reported user
+   */
+  async warnUser(reportId, moderatorId, notes = null) {
+    const report = await this._getOpenReport(reportId);
+
+    await report.review(moderatorId, 'warning_issued', notes);
+
+    // Safety reminder in the conversation the report came from
+    await Message.createSystemMessage(report.conversationId, 'safety_warning');
+
+    report.reportedUserNotified = true;
+    report.reportedUserNotifiedAt = new Date();
+    await report.save();
+
+    await this._record(moderatorId, 'user_warned', report, {
+      targetType: 'user',
+      targetId: report.reportedUser,
+      notes,
+    });
+
+    return report;
+  }
+
+  /**
+   * Remove the reported message for everyone
+   */
+  async removeMessage(reportId, moderatorId, notes = null) {
+    const report = await this._getOpenReport(reportId);
+
+    await report.review(moderatorId, 'message_deleted', notes);
+
+    await this._record(moderatorId, 'message_removed', report, {
+      targetType: 'message',
+      targetId: report.messageId,
+      notes,
+    });
+
+    return report;
+  }
+
+  /**
+   * Ban the reported user
+   */
+  async banFromReport(reportId, moderatorId, banReason, notes = null) {
+    const report = await this._getOpenReport(reportId);
+
+    await report.review(moderatorId, 'user_banned', notes);
+
+    await this._applyBan(report.reportedUser, banReason);
+
+    await this._record(moderatorId, 'user_banned', report, {
+      targetType: 'user',
+      targetId: report.reportedUser,
+      notes,
+      metadata: { banReason },
+    });
+
+    return report;
+  }
+
+  // ============================================
+  // USER ACTIONS
+  // ============================================
+
+  /**
+   * Get a user's moderation record
+   */
+  async getUserRecord(userId) {
+    const user = await User.findById(userId)
+      .select('firstName lastName username profilePhoto isActive isBanned banReason bannedAt createdAt')
+      .lean();
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    const [violations, pendingReports, blockedByCount, actions] = await Promise.all([
+      MessageReport.getUserViolations(userId),
+      MessageReport.countDocuments({
+        reportedUser: userId,
+        status: { $in: ['pending', 'under_review', 'escalated'] },
+      }),
+      Block.countDocuments({ blockedUserId: userId }),
+      ModerationAction.find({ subjectUserId: userId })
+        .sort({ createdAt: -1 })
+        .limit(50)
+        .populate('moderatorId', 'firstName lastName username')
+        .lean(),
+    ]);
+
+    return {
+      user,
+      violations,
+      pendingReports,
+      blockedByCount,
+      actions,
+    };
+  }
+
+  /**
+   * Ban a user directly (outside the report queue)
+   */
+  async banUser(userId, moderatorId, banReason, notes = null) {
+    const user = await this._applyBan(userId, banReason);
+
+    await ModerationAction.record({
+      moderatorId,
+      action: 'user_banned',
+      targetType: 'user',
+      targetId: user._id,
+      subjectUserId: user._id,
+      notes,
+      metadata: { banReason },
+    });
+
+    logger.info(`User ${userId} banned by moderator ${moderatorId}`);
+    return user;
+  }
+
+  /**
+   * Lift a ban
+   */
+  async unbanUser(userId, moderatorId, notes = null) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    if (!user.isBanned) {
+      throw new ApiError(409, 'User is not banned');
+    }
+
+    const previousBanReason = user.banReason;
+
+    user.isBanned = false;
+    user.banReason = undefined;
+    user.bannedAt = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await ModerationAction.record({
+      moderatorId,
+      action: 'user_unbanned',
+      targetType: 'user',
+      targetId: user._id,
+      subjectUserId: user._id,
+      notes,
+      metadata: { previousBanReason },
+    });
+
+    logger.info(`User ${userId} unbanned by moderator ${moderatorId}`);
+    return user;
+  }
+
+  // ============================================
+  // BLOCK REVIEW
+  // ============================================
+
+  /**
+   * Get blocks awaiting (or with) review
+   */
+  async getBlocks({ reviewStatus = 'pending', page = 1, limit = 20 }) {
+    const skip = (page - 1) * limit;
+    const query = {};
+
+    // 'pending' also covers blocks nobody has looked at yet
+    if (reviewStatus === 'pending') {
+      query.reviewStatus = { $in: ['pending', null] };
+      query.reason = { $ne: 'not_interested' };
+    } else if (reviewStatus && reviewStatus !== 'all') {
+      query.reviewStatus = reviewStatus;
+    }
+
+    const [blocks, total] = await Promise.all([
+      Block.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .populate('blockerId', 'firstName lastName username profilePhoto')
+        .populate('blockedUserId', 'firstName lastName username profilePhoto isBanned')
+        .lean(),
+      Block.countDocuments(query),
+    ]);
+
+    return { blocks, total, page, limit };
+  }
+
+  /**
+   * Record a review decision on a block
+   */
+  async reviewBlock(blockId, moderatorId, status, notes = null) {
+    const block = await this._getBlock(blockId);
+    const previousStatus = block.reviewStatus;
+
+    await block.addReview(moderatorId, status, notes);
+
+    await this._recordBlock(moderatorId, 'block_reviewed', block, notes, {
+      previousStatus,
+      status,
+    });
+
+    return block;
+  }
+
+  /**
+   * Extend a temporary block
+   */
+  async extendBlock(blockId, moderatorId, days, notes = null) {
+    const block = await this._getBlock(blockId);
+    const previousExpiresAt = block.expiresAt;
+
+    await block.extend(days);
+
+    await this._recordBlock(moderatorId, 'block_extended', block, notes, {
+      days,
+      previousExpiresAt,
+      expiresAt: block.expiresAt,
+    });
+
+    return block;
+  }
+
+  /**
+   * Make a block permanent
+   */
+  async makeBlockPermanent(blockId, moderatorId, notes = null) {
+    const block = await this._getBlock(blockId);
+    const previousExpiresAt = block.expiresAt;
+
+    await block.makePermanent();
+
+    await this._recordBlock(moderatorId, 'block_made_permanent', block, notes, {
+      previousExpiresAt,
+    });
+
+    return block;
+  }
+
+  // ============================================
+  // AUDIT TRAIL
+  // ============================================
+
+  /**
+   * Get moderator action audit trail
+   */
+  async getAuditTrail(filters) {
+    return ModerationAction.getAuditTrail(filters);
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  /**
+   * Load a report that has not been decided yet
+   */
+  async _getOpenReport(reportId) {
+    const report = await MessageReport.findById(reportId);
+
+    if (!report) {
+      throw new ApiError(404, 'Report not found');
+    }
+
+    if (CLOSED_REPORT_STATUSES.includes(report.status)) {
+      throw new ApiError(409, `Report already resolved (${report.status})`);
+    }
+
+    return report;
+  }
+
+  async _getBlock(blockId) {
+    const block = await Block.findById(blockId);
+
+    if (!block) {
+      throw new ApiError(404, 'Block not found');
+    }
+
+    return block;
+  }
+
+  /**
+   * Set ban flags and revoke the user's refresh token
+   */
+  async _applyBan(userId, banReason) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    user.isBanned = true;
+    user.banReason = banReason;
+    user.bannedAt = new Date();
+    user.refreshToken = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    return user;
+  }
+
+  async _record(moderatorId, action, report, { targetType, targetId, notes = null, metadata = null }) {
+    return ModerationAction.record({
+      moderatorId,
+      action,
+      targetType,
+      targetId,
+      reportId: report._id,
+      subjectUserId: report.reportedUser,
+      notes,
+      metadata: {
+        reportStatus: report.status,
+        actionTaken: report.actionTaken,
+        ...metadata,
+      },
+    });
+  }
+
+  async _recordBlock(moderatorId, action, block, notes, metadata) {
+    return ModerationAction.record({
+      moderatorId,
+      action,
+      targetType: 'block',
+      targetId: block._id,
+      subjectUserId: block.blockedUserId,
+      notes,
+      metadata,
+    });
+  }
+}
+
+module.exports = new ModerationService();
@@ -0,0 +1,524 @@
+// src/services/notification.service.js
+
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const CoupleCompatibility = require('../models/CoupleCompatibility');
+const { createTransport } = require('./push');
+const ApiError = require('../utils/apiError');
+const { isValidTimezone } = require('../utils/timezone');
+const logger = require('../utils/logger');
+
+/**
+ * NOTIFICATION SERVICE
+ *
+ * Single entry point for user notifications:
+ * - Persists every notification to the in-app inbox (Notification)
+ * - Emits 'notification:new' to connected sockets
+ * - Sends a push through the configured transport (FCM or log),
+ *   honouring per-user preferences and quiet hours
+ * - Collapses bursts: events sharing a collapseKey are merged into one
+ *   unread notification and pushed at most once per collapse window
+ *
+ * Notifying never throws - a failed notification must not fail the
+ * request that triggered it.
+ */
+
+// Which preference switch controls each notification type
+const TYPE_PREFERENCE = {
+  new_like: 'likes',
+  mutual_match: 'matches',
+  new_message: 'messages',
+  game_invitation: 'gameInvitations',
+  match_expiring: 'matches',
+  match_drop: 'matches',
+  system: null,
+};
+
+const PREFERENCE_FIELDS = ['pushEnabled', 'likes', 'matches', 'messages', 'gameInvitations'];
+
+const COLLAPSE_WINDOW_MS = parseInt(process.env.NOTIFICATION_COLLAPSE_WINDOW_MS, 10) || 10 * 60 * 1000;
+
+/**
+ * Convert 'HH:mm' to minutes since midnight
+ */
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+/**
+ * Check whether a moment falls inside a user's quiet hours
+ * Windows may wrap midnight (e.g. 22:00 - 08:00)
+ */
+const isInQuietHours = (quietHours, date = new Date()) => {
+  if (!quietHours?.enabled) return false;
+
+  const timezone = isValidTimezone(quietHours.timezone) ? quietHours.timezone : 'UTC';
+  const localTime = new Intl.DateTimeFormat('en-GB', {
+    timeZone: timezone,
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).format(date);
+
+  const now = toMinutes(localTime);
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+
+  if (start === end) return false;
+
+  return start < end
+    ? now >= start && now < end
+    : now >= start || now < end;
+};
+
+class NotificationService {
+  constructor() {
+    this.transport = createTransport();
+  }
+
+  /**
+   * Swap the push transport (used by tests)
+   */
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  getTransport() {
+    return this.transport;
+  }
+
+  // =====================================================
+  // CORE
+  // =====================================================
+
+  /**
+   * Create (or collapse) a notification and push it
+   * @param {ObjectId} userId - Recipient
+   * @param {Object} notification
+   * @param {String} notification.type - Notification type
+   * @param {String} notification.title - Title
+   * @param {String} notification.body - Body text
+   * @param {Object} notification.data - Deep-link payload
+   * @param {ObjectId} notification.actorId - User who caused it
+   * @param {String} notification.collapseKey - Merge key for bursts
+   * @param {Function} notification.collapsedBody - (count) => body for merged notifications
+   * @param {String} notification.skipPushReason - Persist only, don't push
+   * @returns {Promise<Object|null>} Notification document
+   */
+  async notify(userId, {
+    type,
+    title,
+    body = '',
+    data = {},
+    actorId = null,
+    collapseKey = null,
+    collapsedBody = null,
+    skipPushReason = null,
+  }) {
+    try {
+      const user = await User.findById(userId)
+        .select('fcmToken notificationPreferences isActive isBanned');
+
+      if (!user || !user.isActive || user.isBanned) {
+        return null;
+      }
+
+      const now = new Date();
+      let notification = null;
+      let collapsed = false;
+
+      if (collapseKey) {
+        notification = await Notification.findOne({
+          userId,
+          collapseKey,
+          isRead: false,
+        });
+      }
+
+      if (notification) {
+        collapsed = true;
+        notification.count += 1;
+        notification.title = title;
+        notification.body = collapsedBody ? collapsedBody(notification.count) : body;
+        notification.data = { ...notification.data, ...data };
+        notification.actorId = actorId || notification.actorId;
+        notification.lastEventAt = now;
+      } else {
+        notification = new Notification({
+          userId,
+          type,
+          title,
+          body,
+          data,
+          actorId,
+          collapseKey,
+          lastEventAt: now,
+        });
+      }
+
+      const skipReason = skipPushReason || this._getPushSkipReason(user, type);
+
+      if (skipReason) {
+        // A later event may still push; only record the skip on fresh notifications
+        if (!collapsed || notification.push.status !== 'sent') {
+          notification.push.status = 'skipped';
+          notification.push.reason = skipReason;
+        }
+      } else if (isInQuietHours(user.notificationPreferences?.quietHours, now)) {
+        notification.push.status = 'suppressed';
+        notification.push.reason = 'quiet_hours';
+      } else if (
+        collapsed &&
+        notification.push.sentAt &&
+        now - notification.push.sentAt < COLLAPSE_WINDOW_MS
+      ) {
+        notification.push.status = 'suppressed';
+        notification.push.reason = 'collapsed';
+      } else {
+        await notification.save();
+        await this._sendPush(user, notification);
+      }
+
+      await notification.save();
+
+      this._emitToUser(userId, notification);
+
+      return notification;
+    } catch (error) {
+      logger.error(`Error sending ${type} notification to ${userId}:`, error);
+      return null;
+    }
+  }
+
+  // =====================================================
+  // DOMAIN NOTIFICATIONS
+  // =====================================================
+
+  /**
+   * Someone liked the user
+   * @param {ObjectId} userId - User who was liked
+   * @param {ObjectId} likerId - User who liked
+   * @param {ObjectId} likeMatchId - Liker's match (used by /likes/:likeMatchId/respond)
+   */
+  async notifyNewLike(userId, likerId, likeMatchId) {
+    return this.notify(userId, {
+      type: 'new_like',
+      title: 'Someone likes you 💕',
+      body: 'You have a new like. Take a look!',
+      data: { likeMatchId: likeMatchId.toString() },
+      actorId: likerId,
+      collapseKey: 'likes',
+      collapsedBody: (count) => `You have ${count} new likes. Take a look!`,
+    });
+  }
+
+  /**
+   * The user has a new mutual match
+   * @param {ObjectId} userId - Recipient
+   * @param {ObjectId} otherUserId - The matched user
+   * @param {ObjectId} matchId - Recipient's match document
+   */
+  async notifyMutualMatch(userId, otherUserId, matchId) {
+    const otherUser = await User.findById(otherUserId).select('firstName').lean().catch(() => null);
+
+    return this.notify(userId, {
+      type: 'mutual_match',
+      title: 'It\'s a match! 🎉',
+      body: `You and ${otherUser?.firstName || 'your match'} liked each other. Say hello!`,
+      data: { matchId: matchId.toString() },
+      actorId: otherUserId,
+    });
+  }
+
+  /**
+   * New chat message for an offline recipient
+   * @param {ObjectId} recipientId - Recipient
+   * @param {Object} details - { senderId, senderName, conversationId, message, isMuted }
+   */
+  async notifyNewMessage(recipientId, { senderId, senderName, conversationId, message, isMuted = false }) {
+    const name = senderName || 'Your match';
+
+    return this.notify(recipientId, {
+      type: 'new_message',
+      title: name,
+      body: this._messagePreview(message),
+      data: {
+        conversationId: conversationId.toString(),
+        messageId: message?._id?.toString(),
+      },
+      actorId: senderId,
+      collapseKey: `message:${conversationId}`,
+      collapsedBody: (count) => `${count} new messages from ${name}`,
+      skipPushReason: isMuted ? 'conversation_muted' : null,
+    });
+  }
+
+  /**
+   * Partner invited the user to a game
+   * @param {ObjectId} userId - Invited user
+   * @param {Object} details - { gameType, sessionId, matchId, initiatorId }
+   */
+  async notifyGameInvitation(userId, { gameType, sessionId, matchId = null, initiatorId }) {
+    const initiator = await User.findById(initiatorId).select('firstName').lean().catch(() => null);
+    const gameInfo = CoupleCompatibility.getGameDisplayInfo()[gameType];
+    const gameName = gameInfo?.displayName || 'a game';
+
+    return this.notify(userId, {
+      type: 'game_invitation',
+      title: `${gameInfo?.emoji || '🎮'} Game invitation`,
+      body: `${initiator?.firstName || 'Your match'} invited you to play ${gameName}`,
+      data: {
+        gameType,
+        sessionId: sessionId?.toString(),
+        matchId: matchId?.toString(),
+      },
+      actorId: initiatorId,
+    });
+  }
+
+  /**
+   * A match is about to expire
+   * @param {ObjectId} userId - Recipient
+   * @param {Object} details - { matchId, otherUserId, status, expiresAt, canExtend }
+   */
+  async notifyMatchExpiring(userId, { matchId, otherUserId, status, expiresAt, canExtend }) {
+    const otherUser = await User.findById(otherUserId).select('firstName').lean().catch(() => null);
+    const name = otherUser?.firstName || 'your match';
+
+    const bodies = {
+      pending: `Your match with ${name} expires soon. Take a look before it's gone!`,
+      revealed: `Your match with ${name} expires soon. Like them before it's gone!`,
+      liked: `${name}'s like expires soon. Respond before it's gone!`,
+      mutual_like: `Your match with ${name} expires soon. Say hello to keep it!`,
+    };
+
+    return this.notify(userId, {
+      type: 'match_expiring',
+      title: 'Match expiring soon ⏳',
+      body: bodies[status] || bodies.pending,
+      data: {
+        matchId: matchId.toString(),
+        expiresAt: expiresAt.toISOString(),
+        canExtend,
+      },
+      actorId: otherUserId,
+    });
+  }
+
+  /**
+   * Today's match drop is ready
+   * @param {ObjectId} userId - Recipient
+   * @param {Object} details - { count, dropDate }
+   */
+  async notifyMatchDrop(userId, { count, dropDate }) {
+    return this.notify(userId, {
+      type: 'match_drop',
+      title: 'Your daily matches are here ✨',
+      body: count === 1
+        ? 'We picked 1 new match for you today. Take a look!'
+        : `We picked ${count} new matches for you today. Take a look!`,
+      data: {
+        dropDate,
+        count,
+      },
+    });
+  }
+
+  // =====================================================
+  // INBOX
+  // =====================================================
+
+  /**
+   * Get a user's notification inbox
+   */
+  async getInbox(userId, { unreadOnly = false, page = 1, limit = 20 } = {}) {
+    const [inbox, unreadCount] = await Promise.all([
+      Notification.getInbox(userId, { unreadOnly, page, limit }),
+      Notification.getUnreadCount(userId),
+    ]);
+
+    return { ...inbox, unreadCount };
+  }
+
+  async getUnreadCount(userId) {
+    return Notification.getUnreadCount(userId);
+  }
+
+  async markAsRead(userId, notificationId) {
+    const notification = await Notification.findOne({ _id: notificationId, userId });
+
+    if (!notification) {
+      throw new ApiError(404, 'Notification not found');
+    }
+
+    await notification.markAsRead();
+    return notification;
+  }
+
+  async markAllAsRead(userId) {
+    return Notification.markAllAsRead(userId);
+  }
+
+  async deleteNotification(userId, notificationId) {
+    const result = await Notification.deleteOne({ _id: notificationId, userId });
+
+    if (result.deletedCount === 0) {
+      throw new ApiError(404, 'Notification not found');
+    }
+  }
+
+  // =====================================================
+  // PREFERENCES & DEVICE TOKEN
+  // =====================================================
+
+  async getPreferences(userId) {
+    const user = await User.findById(userId).select('notificationPreferences fcmToken');
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    return {
+      ...user.notificationPreferences.toObject(),
+      hasDeviceToken: !!user.fcmToken,
+    };
+  }
+
+  /**
+   * Update notification preferences (partial update)
+   */
+  async updatePreferences(userId, updates) {
+    const user = await User.findById(userId);
+
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    PREFERENCE_FIELDS.forEach(field => {
+      if (updates[field] !== undefined) {
+        user.notificationPreferences[field] = updates[field];
+      }
+    });
+
+    if (updates.quietHours) {
+      const { enabled, start, end, timezone } = updates.quietHours;
+
+      if (timezone !== undefined && !isValidTimezone(timezone)) {
+        throw new ApiError(400, 'Invalid timezone');
+      }
+
+      const quietHours = user.notificationPreferences.quietHours;
+      if (enabled !== undefined) quietHours.enabled = enabled;
+      if (start !== undefined) quietHours.start = start;
+      if (end !== undefined) quietHours.end = end;
+      if (timezone !== undefined) quietHours.timezone = timezone;
+    }
+
+    await user.save();
+
+    return this.getPreferences(userId);
+  }
+
+  async registerDeviceToken(userId, token) {
+    await User.findByIdAndUpdate(userId, { fcmToken: token });
+  }
+
+  async removeDeviceToken(userId) {
+    await User.findByIdAndUpdate(userId, { $unset: { fcmToken: 1 } });
+  }
+
+  // =====================================================
+  // HELPERS
+  // =====================================================
+
+  /**
+   * Reason a push should not be attempted at all (null = push allowed)
+   */
+  _getPushSkipReason(user, type) {
+    const preferences = user.notificationPreferences || {};
+
+    if (preferences.pushEnabled === false) {
+      return 'push_disabled';
+    }
+
+    const preferenceKey = TYPE_PREFERENCE[type];
+    if (preferenceKey && preferences[preferenceKey] === false) {
+      return 'type_disabled';
+    }
+
+    if (!user.fcmToken) {
+      return 'no_device_token';
+    }
+
+    return null;
+  }
+
+  async _sendPush(user, notification) {
+    notification.push.attempts += 1;
+    notification.push.transport = this.transport.name;
+
+    const badge = await Notification.getUnreadCount(user._id);
+
+    const result = await this.transport.send(user.fcmToken, {
+      title: notification.title,
+      body: notification.body,
+      data: {
+        ...notification.data,
+        type: notification.type,
+        notificationId: notification._id.toString(),
+      },
+      collapseKey: notification.collapseKey,
+      badge,
+    });
+
+    if (result.success) {
+      notification.push.status = 'sent';
+      notification.push.reason = null;
+      notification.push.sentAt = new Date();
+      return;
+    }
+
+    notification.push.status = 'failed';
+    notification.push.reason = result.error || 'unknown';
+
+    if (result.invalidToken) {
+      logger.info(`Removing invalid device token for user ${user._id}`);
+      await User.updateOne(
+        { _id: user._id, fcmToken: user.fcmToken },
+        { $unset: { fcmToken: 1 } }
+      );
+    }
+  }
+
+  _messagePreview(message) {
+    switch (message?.type) {
+      case 'photo':
+        return '📷 Sent a photo';
+      case 'voice':
+        return '🎤 Sent a voice message';
+      default: {
+        const text = message?.text || 'Sent you a message';
+        return text.length > 100 ? `${text.slice(0, 97)}...` : text;
+      }
+    }
+  }
+
+  /**
+   * Real-time in-app notification for connected clients
+   */
+  _emitToUser(userId, notification) {
+    // Lazy require - config/socket pulls in services that notify
+    const socketManager = require('../config/socket');
+
+    if (socketManager.io) {
+      socketManager.emitToUser(userId, 'notification:new', {
+        notification: notification.toObject(),
+      });
+    }
+  }
+}
+
+const notificationService = new NotificationService();
+
+module.exports = notificationService;
@@ -1,40 +1,24 @@
-const OpenAI = require('openai');
+const aiGateway = require('./ai');
 const logger = require('../utils/logger');
 
 /**
  * OpenAI Service
  * 
- * Handles all interactions with OpenAI API:
+ * Handles answer analysis and generic completion helpers:
  * - GPT-4 for answer analysis (Module 4)
  * - Whisper for voice transcription (Module 3 - already using)
  * 
- * This service centralizes OpenAI API calls with:
- * - Error handling and retries
- * - Rate limiting awareness
- * - Structured JSON responses
- * - Token usage logging
+ * All calls go through the AI gateway (services/ai), which owns
+ * model selection, retries and token/cost accounting.
  */
 
 class OpenAIService {
   constructor() {
-    // Initialize OpenAI client
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY
-    });
-
     // Configuration
     this.config = {
-      analysisModel: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
       analysisTemperature: parseFloat(process.env.ANALYSIS_TEMPERATURE) || 0.3,
-      maxRetries: 3,
-      retryDelay: 2000, // 2 seconds
       maxTokens: 4000 // For analysis responses
     };
-
-    logger.info('OpenAI Service initialized', {
-      model: this.config.analysisModel,
-      temperature: this.config.analysisTemperature
-    });
   }
 
   /**
@@ -44,11 +28,12 @@ class OpenAIService {
    * @param {String} params.userId - User's ID
    * @param {Array} params.answers - Array of answer objects with question data
    * @param {Number} params.questionsAnswered - Total questions answered
+   * @param {String} params.locale - Language of the written feedback (default English)
    * @returns {Promise<Object>} - Parsed analysis results
    * 
    * @throws {Error} - If API call fails after retries
    */
-  async analyzeAnswers({ userId, answers, questionsAnswered }) {
+  async analyzeAnswers({ userId, answers, questionsAnswered, locale = null }) {
     try {
       logger.info('Starting answer analysis', {
         userId,
@@ -60,10 +45,17 @@ class OpenAIService {
       const prompt = this._buildAnalysisPrompt(answers, questionsAnswered);
 
       // Call GPT-4 with structured JSON response
-      const response = await this._callGPT4WithRetry({
-        systemPrompt: this._getSystemPrompt(),
-        userPrompt: prompt,
-        responseFormat: 'json_object'
+      const response = await aiGateway.chat({
+        feature: 'answer_analysis',
+        userId,
+        messages: [
+          { role: 'system', content: this._getSystemPrompt() },
+          { role: 'user', content: prompt }
+        ],
+        responseFormat: 'json_object',
+        temperature: this.config.analysisTemperature,
+        maxTokens: this.config.maxTokens,
+        locale
       });
 
       // Parse the JSON response
@@ -328,90 +320,6 @@ IMPORTANT:
     return grouped;
   }
 
-  /**
-   * Call GPT-4 API with retry logic
-   * 
-   * @param {Object} params - API call parameters
-   * @param {String} params.systemPrompt - System prompt
-   * @param {String} params.userPrompt - User prompt
-   * @param {String} params.responseFormat - Response format ('json_object' or 'text')
-   * @param {Number} attempt - Current retry attempt (internal)
-   * @returns {Promise<String>} - GPT-4 response content
-   * @private
-   */
-  async _callGPT4WithRetry({ systemPrompt, userPrompt, responseFormat = 'json_object' }, attempt = 1) {
-    try {
-      const completion = await this.client.chat.completions.create({
-        model: this.config.analysisModel,
-        messages: [
-          { role: 'system', content: systemPrompt },
-          { role: 'user', content: userPrompt }
-        ],
-        response_format: { type: responseFormat },
-        temperature: this.config.analysisTemperature,
-        max_tokens: this.config.maxTokens
-      });
-
-      // Log token usage
-      logger.info('GPT-4 API call successful', {
-        model: this.config.analysisModel,
-        promptTokens: completion.usage.prompt_tokens,
-        completionTokens: completion.usage.completion_tokens,
-        totalTokens: completion.usage.total_tokens
-      });
-
-      return completion.choices[0].message.content;
-
-    } catch (error) {
-      // Handle rate limiting
-      if (error.status === 429 && attempt < this.config.maxRetries) {
-        logger.warn(`Rate limited, retrying in ${this.config.retryDelay}ms (attempt ${attempt}/${this.config.maxRetries})`);
-        await this._sleep(this.config.retryDelay);
-        return this._callGPT4WithRetry({ systemPrompt, userPrompt, responseFormat }, attempt + 1);
-      }
-
-      // Handle other retryable errors
-      if (this._isRetryableError(error) && attempt < this.config.maxRetries) {
-        logger.warn(`GPT-4 API error, retrying (attempt ${attempt}/${this.config.maxRetries})`, {
-          error: error.message
-        });
-        await this._sleep(this.config.retryDelay);
-        return this._callGPT4WithRetry({ systemPrompt, userPrompt, responseFormat }, attempt + 1);
-      }
-
-      // Non-retryable error or max retries reached
-      logger.error('GPT-4 API call failed', {
-        error: error.message,
-        status: error.status,
-        attempt
-      });
-      throw new Error(`OpenAI API failed: ${error.message}`);
-    }
-  }
-
-  /**
-   * Check if error is retryable
-   * 
-   * @param {Error} error - Error object
-   * @returns {Boolean} - True if retryable
-   * @private
-   */
-  _isRetryableError(error) {
-    const retryableStatuses = [408, 429, 500, 502, 503, 504];
-    return retryableStatuses.includes(error.status);
-  }
-
-  /**
-   * Sleep utility for retries
-   * 
-   * @param {Number} ms - Milliseconds to sleep
-   * @returns {Promise} - Promise that resolves after delay
-   * @private
-   */
-  _sleep(ms) {
-    return new Promise(resolve => setTimeout(resolve, ms));
-  }
-
   /**
    * Validate the analysis response structure
    * 
@@ -459,6 +367,52 @@ IMPORTANT:
     logger.info('Analysis response validation passed');
   }
 
+  /**
+   * Single-prompt completion
+   * 
+   * @param {String} prompt - User prompt
+   * @param {Object} options - { feature, userId, temperature, max_tokens, response_format, context, locale }
+   * @returns {Promise<String>} - Completion content
+   */
+  async generateCompletion(prompt, options = {}) {
+    return this.generateChatCompletion([{ role: 'user', content: prompt }], options);
+  }
+
+  /**
+   * Chat completion
+   * 
+   * @param {Array} messages - Chat messages
+   * @param {Object} options - { feature, userId, temperature, max_tokens, response_format, context, locale }
+   * @returns {Promise<String>} - Completion content
+   */
+  async generateChatCompletion(messages, options = {}) {
+    const { feature, userId = null, temperature, max_tokens, response_format, context = null, locale = null } = options;
+
+    return aiGateway.chat({
+      feature,
+      userId,
+      messages,
+      responseFormat: response_format?.type,
+      temperature,
+      maxTokens: max_tokens,
+      context,
+      locale
+    });
+  }
+
+  /**
+   * Transcribe an audio buffer with Whisper
+   * 
+   * @param {Buffer} audioBuffer - Audio bytes
+   * @param {Object} options - { feature, userId, filename, mimeType, language, durationSeconds, context }
+   * @returns {Promise<String>} - Transcribed text
+   */
+  async transcribeAudio(audioBuffer, options = {}) {
+    const { feature = 'voice_message_transcription', ...rest } = options;
+
+    return aiGateway.transcribe({ feature, audio: audioBuffer, ...rest });
+  }
+
   /**
    * Test OpenAI connection
    * 
@@ -466,10 +420,10 @@ IMPORTANT:
    */
   async testConnection() {
     try {
-      const response = await this.client.chat.completions.create({
-        model: this.config.analysisModel,
+      await aiGateway.chat({
+        feature: 'connection_test',
         messages: [{ role: 'user', content: 'Test connection. Reply with "OK".' }],
-        max_tokens: 10
+        maxTokens: 10
       });
 
       logger.info('OpenAI connection test successful');
@@ -0,0 +1,176 @@
+// src/services/presence.service.js
+
+const os = require('os');
+const User = require('../models/User');
+const Block = require('../models/Block');
+const { createStore } = require('./presence');
+const ApiError = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+/**
+ * PRESENCE SERVICE
+ *
+ * Tracks which users are connected, across devices and server instances.
+ *
+ * - Every socket is an entry in the presence store (memory or Redis,
+ *   see services/presence), so a user with two devices stays online until
+ *   the last one disconnects
+ * - Entries carry a TTL refreshed by this instance's heartbeat: sockets of
+ *   a crashed instance expire instead of keeping users online forever
+ * - Last seen is recorded when the last socket disconnects
+ */
+
+class PresenceService {
+  constructor() {
+    this.store = createStore();
+    this.serverId = `${os.hostname()}:${process.pid}`;
+    this.localSockets = new Map(); // socketId -> userId (this instance only)
+    this.heartbeatTimer = null;
+
+    this.config = {
+      ttlMs: 90 * 1000,
+      heartbeatMs: 30 * 1000,
+    };
+  }
+
+  // ============================================
+  // LIFECYCLE
+  // ============================================
+
+  /**
+   * Start refreshing this instance's socket entries
+   */
+  start() {
+    if (this.heartbeatTimer) return;
+
+    this.heartbeatTimer = setInterval(() => {
+      this.heartbeat().catch((error) => {
+        logger.error('Presence heartbeat failed', { error: error.message });
+      });
+    }, this.config.heartbeatMs);
+    this.heartbeatTimer.unref();
+
+    logger.info(`Presence using ${this.store.name} store`);
+  }
+
+  stop() {
+    if (this.heartbeatTimer) {
+      clearInterval(this.heartbeatTimer);
+      this.heartbeatTimer = null;
+    }
+  }
+
+  /**
+   * Swap store (e.g. a fresh MemoryPresenceStore in tests)
+   */
+  setStore(store) {
+    this.store = store;
+  }
+
+  getStore() {
+    return this.store;
+  }
+
+  // ============================================
+  // CONNECTIONS
+  // ============================================
+
+  /**
+   * Register a connected socket
+   * @param {String} userId - User ID
+   * @param {String} socketId - Socket ID
+   * @returns {Promise<Object>} { firstConnection } - true if the user just came online
+   */
+  async connect(userId, socketId) {
+    const userIdStr = userId.toString();
+    this.localSockets.set(socketId, userIdStr);
+
+    const count = await this.store.add(userIdStr, this._member(socketId), this.config.ttlMs);
+
+    return { firstConnection: count === 1 };
+  }
+
+  /**
+   * Unregister a disconnected socket
+   * @param {String} userId - User ID
+   * @param {String} socketId - Socket ID
+   * @returns {Promise<Object>} { isOnline } - false if it was the user's last socket
+   */
+  async disconnect(userId, socketId) {
+    const userIdStr = userId.toString();
+    this.localSockets.delete(socketId);
+
+    const count = await this.store.remove(userIdStr, this._member(socketId));
+
+    if (count === 0) {
+      await this.store.setLastSeen(userIdStr, new Date());
+    }
+
+    return { isOnline: count > 0 };
+  }
+
+  /**
+   * Whether the user has a live socket on any instance
+   */
+  async isOnline(userId) {
+    return (await this.store.count(userId.toString())) > 0;
+  }
+
+  /**
+   * Refresh the TTL of every socket connected to this instance
+   */
+  async heartbeat() {
+    const entries = [...this.localSockets].map(([socketId, userId]) => ({
+      userId,
+      member: this._member(socketId),
+    }));
+
+    await this.store.refresh(entries, this.config.ttlMs);
+  }
+
+  // ============================================
+  // QUERIES
+  // ============================================
+
+  /**
+   * Presence of a user as seen by another user
+   * @param {String} userId - User to look up
+   * @param {String} viewerId - Requesting user
+   * @returns {Promise<Object>} { userId, isOnline, lastSeen }
+   */
+  async getPresence(userId, viewerId) {
+    const user = await User.findById(userId).select('isActive isBanned lastSeen lastActive').lean();
+
+    if (!user || !user.isActive || user.isBanned) {
+      throw ApiError.notFound('User not found');
+    }
+
+    if (viewerId && userId.toString() !== viewerId.toString()) {
+      const blocked = await Block.isEitherBlocked(viewerId, userId);
+      if (blocked) {
+        throw ApiError.notFound('User not found');
+      }
+    }
+
+    const isOnline = await this.isOnline(userId);
+    const lastSeen = isOnline
+      ? new Date()
+      : (await this.store.getLastSeen(userId.toString())) || user.lastSeen || user.lastActive || null;
+
+    return {
+      userId: userId.toString(),
+      isOnline,
+      lastSeen,
+    };
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  _member(socketId) {
+    return `${this.serverId}|${socketId}`;
+  }
+}
+
+module.exports = new PresenceService();
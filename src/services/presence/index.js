@@ -0,0 +1,30 @@
+// src/services/presence/index.js
+
+const MemoryPresenceStore = require('./memory.store');
+const RedisPresenceStore = require('./redis.store');
+
+/**
+ * Presence store factory
+ *
+ * SOCKET_ADAPTER selects the store ('memory' | 'redis'), matching the
+ * Socket.io adapter so presence is shared whenever rooms are.
+ * Defaults to memory (single instance).
+ */
+const createStore = (name = process.env.SOCKET_ADAPTER) => {
+  const storeName = name || 'memory';
+
+  switch (storeName) {
+    case 'memory':
+      return new MemoryPresenceStore();
+    case 'redis':
+      return new RedisPresenceStore();
+    default:
+      throw new Error(`Unknown presence store: ${storeName}`);
+  }
+};
+
+module.exports = {
+  createStore,
+  MemoryPresenceStore,
+  RedisPresenceStore,
+};
@@ -0,0 +1,101 @@
+// src/services/presence/memory.store.js
+
+/**
+ * MEMORY PRESENCE STORE
+ *
+ * Single-process store used in development, tests and single-instance
+ * deployments. Same semantics as the Redis store: a user is online while
+ * at least one of their socket entries has not expired.
+ */
+
+class MemoryPresenceStore {
+  constructor() {
+    this.name = 'memory';
+    this.sockets = new Map(); // userId -> Map(member -> expiresAt)
+    this.lastSeen = new Map(); // userId -> Date
+  }
+
+  /**
+   * Add (or refresh) a socket entry
+   * @param {String} userId - User ID
+   * @param {String} member - Socket entry ('<serverId>|<socketId>')
+   * @param {Number} ttlMs - Entry lifetime without a heartbeat
+   * @returns {Promise<Number>} Live socket entries for the user
+   */
+  async add(userId, member, ttlMs) {
+    if (!this.sockets.has(userId)) {
+      this.sockets.set(userId, new Map());
+    }
+    this.sockets.get(userId).set(member, Date.now() + ttlMs);
+
+    return this.count(userId);
+  }
+
+  /**
+   * Remove a socket entry
+   * @returns {Promise<Number>} Live socket entries left for the user
+   */
+  async remove(userId, member) {
+    const entries = this.sockets.get(userId);
+    if (entries) {
+      entries.delete(member);
+    }
+
+    return this.count(userId);
+  }
+
+  /**
+   * Live socket entries for a user (expired entries are dropped)
+   */
+  async count(userId) {
+    const entries = this.sockets.get(userId);
+    if (!entries) return 0;
+
+    const now = Date.now();
+    for (const [member, expiresAt] of entries) {
+      if (expiresAt <= now) entries.delete(member);
+    }
+
+    if (entries.size === 0) {
+      this.sockets.delete(userId);
+    }
+
+    return entries.size;
+  }
+
+  /**
+   * Extend the lifetime of socket entries (heartbeat)
+   * @param {Array} entries - [{ userId, member }]
+   * @param {Number} ttlMs - New lifetime
+   */
+  async refresh(entries, ttlMs) {
+    const expiresAt = Date.now() + ttlMs;
+
+    entries.forEach(({ userId, member }) => {
+      const userEntries = this.sockets.get(userId);
+      if (userEntries && userEntries.has(member)) {
+        userEntries.set(member, expiresAt);
+      }
+    });
+  }
+
+  async setLastSeen(userId, date) {
+    this.lastSeen.set(userId, date);
+  }
+
+  async getLastSeen(userId) {
+    return this.lastSeen.get(userId) || null;
+  }
+
+  /**
+   * Forget all presence data
+   */
+  async clear() {
+    this.sockets.clear();
+    this.lastSeen.clear();
+  }
+
+  async close() {}
+}
+
+module.exports = MemoryPresenceStore;
@@ -0,0 +1,108 @@
+// src/services/presence/redis.store.js
+
+const { createRedisClient, closeRedisClient } = require('../../config/redis');
+
+/**
+ * REDIS PRESENCE STORE
+ *
+ * Presence shared by every server instance.
+ *
+ * Keys:
+ * - presence:sockets:<userId>  ZSET of '<serverId>|<socketId>' scored by expiry (ms)
+ * - presence:lastSeen:<userId> last disconnect time (ms)
+ *
+ * Entries expire unless refreshed by their instance's heartbeat, so sockets
+ * of a crashed instance stop counting as online on their own.
+ */
+
+const SOCKETS_PREFIX = 'presence:sockets:';
+const LAST_SEEN_PREFIX = 'presence:lastSeen:';
+const LAST_SEEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+class RedisPresenceStore {
+  constructor({ client = null } = {}) {
+    this.name = 'redis';
+    this.client = client || createRedisClient('presence');
+  }
+
+  /**
+   * Add (or refresh) a socket entry
+   * @returns {Promise<Number>} Live socket entries for the user
+   */
+  async add(userId, member, ttlMs) {
+    const key = SOCKETS_PREFIX + userId;
+    const expiresAt = Date.now() + ttlMs;
+
+    const [, , , count] = await this.client
+      .multi()
+      .zAdd(key, { score: expiresAt, value: member })
+      .pExpire(key, ttlMs)
+      .zRemRangeByScore(key, '-inf', Date.now())
+      .zCard(key)
+      .exec();
+
+    return Number(count);
+  }
+
+  /**
+   * Remove a socket entry
+   * @returns {Promise<Number>} Live socket entries left for the user
+   */
+  async remove(userId, member) {
+    const key = SOCKETS_PREFIX + userId;
+
+    const [, , count] = await this.client
+      .multi()
+      .zRem(key, member)
+      .zRemRangeByScore(key, '-inf', Date.now())
+      .zCard(key)
+      .exec();
+
+    return Number(count);
+  }
+
+  /**
+   * Live socket entries for a user
+   */
+  async count(userId) {
+    return this.client.zCount(SOCKETS_PREFIX + userId, Date.now(), '+inf');
+  }
+
+  /**
+   * Extend the lifetime of socket entries (heartbeat)
+   * @param {Array} entries - [{ userId, member }]
+   * @param {Number} ttlMs - New lifetime
+   */
+  async refresh(entries, ttlMs) {
+    if (entries.length === 0) return;
+
+    const expiresAt = Date.now() + ttlMs;
+    const multi = this.client.multi();
+
+    entries.forEach(({ userId, member }) => {
+      const key = SOCKETS_PREFIX + userId;
+      // XX: only refresh entries that still exist
+      multi.zAdd(key, { score: expiresAt, value: member }, { XX: true });
+      multi.pExpire(key, ttlMs);
+    });
+
+    await multi.exec();
+  }
+
+  async setLastSeen(userId, date) {
+    await this.client.set(LAST_SEEN_PREFIX + userId, String(date.getTime()), {
+      EX: LAST_SEEN_TTL_SECONDS,
+    });
+  }
+
+  async getLastSeen(userId) {
+    const value = await this.client.get(LAST_SEEN_PREFIX + userId);
+    return value ? new Date(Number(value)) : null;
+  }
+
+  async close() {
+    await closeRedisClient(this.client);
+  }
+}
+
+module.exports = RedisPresenceStore;
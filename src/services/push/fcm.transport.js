@@ -0,0 +1,142 @@
+// src/services/push/fcm.transport.js
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const logger = require('../../utils/logger');
+
+/**
+ * FCM PUSH TRANSPORT
+ *
+ * Sends push notifications through the Firebase Cloud Messaging HTTP v1 API,
+ * authenticating with a service account (OAuth2 JWT bearer flow).
+ *
+ * Environment variables required:
+ * - FCM_PROJECT_ID: Firebase project ID
+ * - FCM_CLIENT_EMAIL: Service account client email
+ * - FCM_PRIVATE_KEY: Service account private key (\n escaped)
+ */
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const FCM_SCOPE = 'https://www.googleapis.com/auth/firebase.messaging';
+
+class FcmTransport {
+  constructor() {
+    this.name = 'fcm';
+    this.projectId = process.env.FCM_PROJECT_ID;
+    this.clientEmail = process.env.FCM_CLIENT_EMAIL;
+    this.privateKey = (process.env.FCM_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  /**
+   * Whether FCM credentials are configured
+   */
+  static isConfigured() {
+    return !!(process.env.FCM_PROJECT_ID && process.env.FCM_CLIENT_EMAIL && process.env.FCM_PRIVATE_KEY);
+  }
+
+  /**
+   * Get (cached) OAuth2 access token for the service account
+   */
+  async getAccessToken() {
+    // Refresh one minute before expiry
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt - 60000) {
+      return this.accessToken;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign(
+      {
+        iss: this.clientEmail,
+        scope: FCM_SCOPE,
+        aud: TOKEN_URL,
+        iat: now,
+        exp: now + 3600,
+      },
+      this.privateKey,
+      { algorithm: 'RS256' }
+    );
+
+    const response = await axios.post(
+      TOKEN_URL,
+      new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion,
+      }).toString(),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+
+    this.accessToken = response.data.access_token;
+    this.accessTokenExpiresAt = Date.now() + response.data.expires_in * 1000;
+
+    return this.accessToken;
+  }
+
+  /**
+   * Send a push notification to one device
+   * @param {String} token - Device FCM token
+   * @param {Object} payload - { title, body, data, collapseKey, badge }
+   * @returns {Promise<Object>} { success, invalidToken, error }
+   */
+  async send(token, { title, body, data = {}, collapseKey = null, badge = null }) {
+    const accessToken = await this.getAccessToken();
+
+    // FCM data values must be strings
+    const stringData = Object.entries(data).reduce((acc, [key, value]) => {
+      if (value !== undefined && value !== null) {
+        acc[key] = typeof value === 'string' ? value : JSON.stringify(value);
+      }
+      return acc;
+    }, {});
+
+    const message = {
+      token,
+      notification: { title, body },
+      data: stringData,
+      android: {
+        priority: 'high',
+        ...(collapseKey && {
+          collapse_key: collapseKey,
+          notification: { tag: collapseKey },
+        }),
+      },
+      apns: {
+        headers: collapseKey ? { 'apns-collapse-id': collapseKey } : {},
+        payload: {
+          aps: {
+            sound: 'default',
+            ...(badge !== null && { badge }),
+          },
+        },
+      },
+    };
+
+    try {
+      await axios.post(
+        `https://fcm.googleapis.com/v1/projects/${this.projectId}/messages:send`,
+        { message },
+        { headers: { Authorization: `Bearer ${accessToken}` } }
+      );
+
+      return { success: true };
+    } catch (error) {
+      const status = error.response?.status;
+      const errorCode = error.response?.data?.error?.details?.[0]?.errorCode
+        || error.response?.data?.error?.status;
+
+      // Token no longer valid for this app - caller should forget it
+      const invalidToken = status === 404 || errorCode === 'UNREGISTERED' || errorCode === 'INVALID_ARGUMENT';
+
+      logger.error('FCM send failed', { status, errorCode, message: error.message });
+
+      return {
+        success: false,
+        invalidToken,
+        error: errorCode || error.message,
+      };
+    }
+  }
+}
+
+module.exports = FcmTransport;
@@ -0,0 +1,29 @@
+// src/services/push/index.js
+
+const FcmTransport = require('./fcm.transport');
+const LogTransport = require('./log.transport');
+
+/**
+ * Push transport factory
+ *
+ * PUSH_TRANSPORT selects the transport ('fcm' | 'log').
+ * Defaults to FCM when credentials are configured, otherwise log.
+ */
+const createTransport = (name = process.env.PUSH_TRANSPORT) => {
+  const transportName = name || (FcmTransport.isConfigured() ? 'fcm' : 'log');
+
+  switch (transportName) {
+    case 'fcm':
+      return new FcmTransport();
+    case 'log':
+      return new LogTransport();
+    default:
+      throw new Error(`Unknown push transport: ${transportName}`);
+  }
+};
+
+module.exports = {
+  createTransport,
+  FcmTransport,
+  LogTransport,
+};
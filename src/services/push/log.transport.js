@@ -0,0 +1,57 @@
+// src/services/push/log.transport.js
+
+const logger = require('../../utils/logger');
+
+/**
+ * LOG PUSH TRANSPORT
+ *
+ * Local transport used in development and tests. Writes pushes to the
+ * log and keeps the most recent ones in memory so tests can assert on
+ * what was sent.
+ */
+
+// Pushes kept in memory (oldest dropped first)
+const MAX_SENT = 100;
+
+class LogTransport {
+  constructor() {
+    this.name = 'log';
+    this.sent = [];
+  }
+
+  /**
+   * "Send" a push notification
+   * @param {String} token - Device token
+   * @param {Object} payload - { title, body, data, collapseKey, badge }
+   * @returns {Promise<Object>} { success }
+   */
+  async send(token, payload) {
+    this.sent.push({ token, ...payload, sentAt: new Date() });
+    if (this.sent.length > MAX_SENT) {
+      this.sent.shift();
+    }
+
+    logger.info(`[PUSH] ${payload.title}: ${payload.body}`, {
+      token: token ? `${token.slice(0, 8)}...` : null,
+      collapseKey: payload.collapseKey,
+    });
+
+    return { success: true };
+  }
+
+  /**
+   * Last pushes sent (most recent last, at most MAX_SENT)
+   */
+  getSent() {
+    return this.sent;
+  }
+
+  /**
+   * Forget recorded pushes
+   */
+  clear() {
+    this.sent = [];
+  }
+}
+
+module.exports = LogTransport;
@@ -2,9 +2,8 @@ const Question = require('../models/Question');
 const Answer = require('../models/Answer');
 const User = require('../models/User');
 const logger = require('../utils/logger');
-const OpenAI = require('openai');
+const aiGateway = require('./ai');
 const AWS = require('aws-sdk');
-const fs = require('fs-extra');
 const path = require('path');
 
 /**
@@ -24,11 +23,6 @@ const path = require('path');
  * - Handles non-sequential question numbers correctly (Q1, Q19, Q21, etc.)
  */
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-  apiKey: process.env.OPENAI_API_KEY
-});
-
 // Configure AWS S3
 const s3 = new AWS.S3({
   accessKeyId: process.env.AWS_ACCESS_KEY_ID,
@@ -82,9 +76,10 @@ class QuestionService {
    * Returns questions they haven't answered yet
    * 
    * @param {ObjectId} userId - User ID
+   * @param {String} locale - Response locale (English fallback)
    * @returns {Promise<Object>} { questions, unlockedCount, answeredCount }
    */
-  static async getDailyQuestions(userId) {
+  static async getDailyQuestions(userId, locale = null) {
     try {
       // Get user to check signup date
       const user = await User.findById(userId);
@@ -111,7 +106,7 @@ class QuestionService {
       );
 
       return {
-        questions: unansweredQuestions.map(q => q.toClientJSON()),
+        questions: await Question.localize(unansweredQuestions.map(q => q.toClientJSON()), locale),
         unlockedCount: unlockedNumbers.length,
         answeredCount: answeredNumbers.length,
         totalQuestions: 50
@@ -128,9 +123,10 @@ class QuestionService {
    * 
    * @param {ObjectId} userId - User ID
    * @param {Number} questionNumber - Question number (1-50)
+   * @param {String} locale - Response locale (English fallback)
    * @returns {Promise<Object>} Question object
    */
-  static async getQuestionByNumber(userId, questionNumber) {
+  static async getQuestionByNumber(userId, questionNumber, locale = null) {
     try {
       // Get user to check signup date
       const user = await User.findById(userId);
@@ -158,7 +154,7 @@ class QuestionService {
       const existingAnswer = await Answer.findOne({ userId, questionNumber });
 
       return {
-        question: question.toClientJSON(),
+        question: await Question.localize(question.toClientJSON(), locale),
         isAnswered: !!existingAnswer,
         answer: existingAnswer ? existingAnswer.toClientJSON() : null
       };
@@ -174,9 +170,10 @@ class QuestionService {
    * 
    * @param {ObjectId} userId - User ID
    * @param {String} dimension - Dimension name
+   * @param {String} locale - Response locale (English fallback)
    * @returns {Promise<Array>} Array of questions
    */
-  static async getQuestionsByDimension(userId, dimension) {
+  static async getQuestionsByDimension(userId, dimension, locale = null) {
     try {
       // Get user to check signup date
       const user = await User.findById(userId);
@@ -198,10 +195,10 @@ class QuestionService {
       const answeredQuestions = await Answer.find({ userId }).select('questionNumber');
       const answeredNumbers = answeredQuestions.map(a => a.questionNumber);
 
-      return questions.map(q => ({
+      return Question.localize(questions.map(q => ({
         ...q.toClientJSON(),
         isAnswered: answeredNumbers.includes(q.questionNumber)
-      }));
+      })), locale);
     } catch (error) {
       logger.error('Error getting questions by dimension:', error);
       throw error;
@@ -459,8 +456,6 @@ static async submitAnswer(userId, questionNumber, answerData) {
    * @param {ObjectId} answerId - Answer ID
    */
   static async transcribeVoiceAnswer(answerId) {
-    let tempFilePath = null;
-
     try {
       // 1. Get answer from database
       const answer = await Answer.findById(answerId).populate('questionId');
@@ -497,17 +492,7 @@ static async submitAnswer(userId, questionNumber, answerData) {
 
       logger.info(`Audio downloaded successfully: ${(audioBuffer.length / 1024).toFixed(2)}KB`);
 
-      // 6. Create temporary file (Whisper API requires file)
-      const tempDir = path.join(__dirname, '../../temp');
-      await fs.ensureDir(tempDir);
-
-      const fileExtension = path.extname(s3Key) || '.mp3';
-      tempFilePath = path.join(tempDir, `answer-${answerId}${fileExtension}`);
-      
-      await fs.writeFile(tempFilePath, audioBuffer);
-      logger.info(`Temporary file created: ${tempFilePath}`);
-
-      // 7. Build context prompt from question text
+      // 6. Build context prompt from question text
       // This helps Whisper understand what the user is answering
       let contextPrompt = '';
       if (answer.questionId && answer.questionId.questionText) {
@@ -517,44 +502,34 @@ static async submitAnswer(userId, questionNumber, answerData) {
         logger.info(`Using context prompt: ${contextPrompt}`);
       }
 
-      // 8. Call OpenAI Whisper API with context
-      logger.info('Calling OpenAI Whisper API with question context...');
-      
-      const transcriptionParams = {
-        file: fs.createReadStream(tempFilePath),
-        model: 'whisper-1',
-        response_format: 'text',
-        temperature: 0.2 // Lower temperature for more accurate transcription
-      };
-
-      // Add prompt (context) if available - helps with proper nouns and domain terms
-      if (contextPrompt) {
-        transcriptionParams.prompt = contextPrompt;
-      }
-
+      // 7. Call Whisper (via AI gateway) with context
       // Language auto-detection (Whisper will detect Hindi/English automatically)
-      // No language parameter = auto-detect
+      logger.info('Calling OpenAI Whisper API with question context...');
 
-      const transcription = await openai.audio.transcriptions.create(transcriptionParams);
+      const transcription = await aiGateway.transcribe({
+        feature: 'answer_transcription',
+        userId: answer.userId,
+        context: { answerId },
+        audio: audioBuffer,
+        filename: `answer-${answerId}${path.extname(s3Key) || '.mp3'}`,
+        // Helps with proper nouns and domain terms
+        prompt: contextPrompt || undefined,
+        temperature: 0.2, // Lower temperature for more accurate transcription
+        durationSeconds: answer.audioDuration || 0
+      });
 
       logger.info(`Transcription completed: ${transcription.substring(0, 100)}...`);
 
-      // 9. Validate transcription
+      // 8. Validate transcription
       if (!transcription || transcription.trim().length === 0) {
         throw new Error('Transcription returned empty text');
       }
 
-      // 10. Update answer with transcription
+      // 9. Update answer with transcription
       await answer.updateTranscription('completed', transcription.trim());
 
       logger.info(`Answer ${answerId} transcribed successfully (${transcription.length} characters)`);
 
-      // 11. Clean up temporary file
-      if (tempFilePath) {
-        await fs.remove(tempFilePath);
-        logger.info(`Temporary file deleted: ${tempFilePath}`);
-      }
-
       return {
         success: true,
         transcription: transcription.trim(),
@@ -578,16 +553,6 @@ static async submitAnswer(userId, questionNumber, answerData) {
         logger.error('Error updating answer with failed status:', updateError);
       }
 
-      // Clean up temporary file on error
-      if (tempFilePath) {
-        try {
-          await fs.remove(tempFilePath);
-          logger.info(`Temporary file deleted after error: ${tempFilePath}`);
-        } catch (cleanupError) {
-          logger.error('Error cleaning up temporary file:', cleanupError);
-        }
-      }
-
       // Re-throw error for upstream handling
       throw error;
     }
@@ -715,18 +680,21 @@ static async submitAnswer(userId, questionNumber, answerData) {
    * Get all user's answers
    * 
    * @param {ObjectId} userId - User ID
+   * @param {String} locale - Response locale (English fallback)
    * @returns {Promise<Array>} Array of answers
    */
-  static async getUserAnswers(userId) {
+  static async getUserAnswers(userId, locale = null) {
     try {
       const answers = await Answer.getUserAnswers(userId);
-      return answers.map(a => ({
+      const questions = await Question.localize(answers.map(a => (a.questionId ? {
+        questionNumber: a.questionId.questionNumber,
+        dimension: a.questionId.dimension,
+        questionText: a.questionId.questionText
+      } : null)), locale);
+
+      return answers.map((a, index) => ({
         ...a.toObject(),
-        question: a.questionId ? {
-          questionNumber: a.questionId.questionNumber,
-          dimension: a.questionId.dimension,
-          questionText: a.questionId.questionText
-        } : null
+        question: questions[index]
       }));
     } catch (error) {
       logger.error('Error getting user answers:', error);
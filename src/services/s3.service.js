@@ -22,9 +22,10 @@ class S3Service {
    * @param {String} originalName - Original filename
    * @param {String} mimeType - File MIME type
    * @param {String} folder - S3 folder (e.g., 'profile-photos', 'gallery', 'voice-bios')
+   * @param {Object} options - { acl } ('public-read' by default, 'private' for signed-URL access only)
    * @returns {Promise<Object>} - { key, url }
    */
-  async uploadFile(fileBuffer, originalName, mimeType, folder = 'uploads') {
+  async uploadFile(fileBuffer, originalName, mimeType, folder = 'uploads', { acl = 'public-read' } = {}) {
     try {
       // Generate unique filename
       const fileExtension = path.extname(originalName);
@@ -44,8 +45,8 @@ class S3Service {
           Key: key,
           Body: fileBuffer,
           ContentType: contentType,
-          // Make files publicly readable
-          ACL: 'public-read'
+          // Publicly readable unless the caller asks for a private object
+          ACL: acl
         }
       });
 
@@ -185,6 +186,17 @@ class S3Service {
   async uploadVoiceBio(fileBuffer, originalName, mimeType) {
     return this.uploadFile(fileBuffer, originalName, mimeType, 'voice-bios');
   }
+
+  /**
+   * Upload personal data export archive (private, served via signed URL)
+   * @param {Buffer} fileBuffer - Archive buffer
+   * @param {String} originalName - Original filename
+   * @param {String} mimeType - Archive MIME type
+   * @returns {Promise<Object>} - { key, url }
+   */
+  async uploadDataExport(fileBuffer, originalName, mimeType) {
+    return this.uploadFile(fileBuffer, originalName, mimeType, 'data-exports', { acl: 'private' });
+  }
 }
 
 module.exports = new S3Service();
\ No newline at end of file
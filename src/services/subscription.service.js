@@ -0,0 +1,433 @@
+// src/services/subscription.service.js
+
+const User = require('../models/User');
+const Subscription = require('../models/Subscription');
+const SubscriptionEvent = require('../models/SubscriptionEvent');
+const entitlementService = require('./entitlement.service');
+const notificationService = require('./notification.service');
+const { createValidator } = require('./subscription');
+const { PLANS, PLATFORMS, getPlan, getPlanByProduct } = require('./subscription/plans');
+const ApiError = require('../utils/apiError');
+const logger = require('../utils/logger');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * SUBSCRIPTION SERVICE
+ *
+ * Store subscriptions and the premium access they grant.
+ *
+ * - The app sends the store receipt after a purchase (or restore); it is
+ *   verified with the platform's validator (see services/subscription)
+ * - The subscription-renewal job re-verifies subscriptions whose period
+ *   ended: renewed, moved to a grace period while the store retries
+ *   payment, or expired
+ * - Every change is recorded as a SubscriptionEvent
+ * - The user's premium fields are re-derived after each change and are
+ *   what the entitlement service reads
+ */
+
+class SubscriptionService {
+  constructor() {
+    this.validators = {}; // platform -> validator
+
+    this.config = {
+      gracePeriodDays: parseInt(process.env.SUBSCRIPTION_GRACE_DAYS, 10) || 3,
+      renewalBatchSize: 100,
+      renewalMaxPerRun: 1000,
+    };
+  }
+
+  // ============================================
+  // VALIDATORS
+  // ============================================
+
+  getValidator(platform) {
+    if (!this.validators[platform]) {
+      this.validators[platform] = createValidator(platform);
+    }
+    return this.validators[platform];
+  }
+
+  /**
+   * Swap a platform's validator (e.g. a FakeReceiptValidator in tests)
+   */
+  setValidator(platform, validator) {
+    this.validators[platform] = validator;
+  }
+
+  // ============================================
+  // PLANS & STATUS
+  // ============================================
+
+  /**
+   * Plans available for purchase
+   */
+  getPlans() {
+    return Object.values(PLANS).map(plan => ({
+      planId: plan.id,
+      name: plan.name,
+      tier: plan.tier,
+      durationDays: plan.durationDays,
+      products: plan.products,
+      entitlements: plan.entitlements,
+    }));
+  }
+
+  /**
+   * Current entitlements and subscription of a user
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} { tier, planId, expiresAt, entitlements, subscription }
+   */
+  async getStatus(userId) {
+    const [user, subscription] = await Promise.all([
+      User.findById(userId).select('isPremium premiumExpiry premiumPlan'),
+      Subscription.findOne({ userId }).sort({ currentPeriodEnd: -1 }),
+    ]);
+
+    if (!user) {
+      throw ApiError.notFound('User not found');
+    }
+
+    return {
+      ...entitlementService.getSummary(user),
+      subscription: subscription ? subscription.toPublicJSON() : null,
+    };
+  }
+
+  /**
+   * Subscription event history of a user (newest first)
+   */
+  async getHistory(userId, { page = 1, limit = 20 } = {}) {
+    const query = { userId };
+
+    const [events, total] = await Promise.all([
+      SubscriptionEvent.find(query)
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .select('-__v')
+        .lean(),
+      SubscriptionEvent.countDocuments(query),
+    ]);
+
+    return { events, total, page, limit };
+  }
+
+  // ============================================
+  // PURCHASES
+  // ============================================
+
+  /**
+   * Verify a store receipt and grant access (purchase or restore)
+   * @param {String} userId - User ID
+   * @param {Object} purchase - { platform, productId, receipt }
+   * @returns {Promise<Object>} Same shape as getStatus()
+   */
+  async verifyPurchase(userId, { platform, productId, receipt }, { isRetry = false } = {}) {
+    if (!PLATFORMS.includes(platform)) {
+      throw ApiError.badRequest(`Unknown platform: ${platform}`);
+    }
+
+    const plan = getPlanByProduct(platform, productId);
+    if (!plan) {
+      throw ApiError.badRequest(`Unknown product: ${productId}`);
+    }
+
+    const state = await this._verifyWithStore(platform, { productId, receipt, plan });
+
+    let subscription = await Subscription.findOne({
+      platform,
+      originalTransactionId: state.originalTransactionId,
+    }).select('+receipt');
+
+    if (subscription && subscription.userId.toString() !== userId.toString()) {
+      throw ApiError.conflict('This purchase is linked to another account');
+    }
+
+    const events = [];
+
+    if (!subscription) {
+      subscription = new Subscription({
+        userId,
+        planId: plan.id,
+        platform,
+        productId,
+        originalTransactionId: state.originalTransactionId,
+        receipt,
+        startedAt: state.purchasedAt,
+        currentPeriodEnd: state.expiresAt,
+        autoRenew: state.autoRenew,
+      });
+      events.push('purchased');
+    } else if (subscription.productId !== productId) {
+      subscription.planId = plan.id;
+      subscription.productId = productId;
+      events.push('plan_changed');
+    }
+
+    subscription.receipt = receipt;
+    this._applyStoreState(subscription, state, events);
+    this._applyTimeline(subscription, new Date(), events);
+
+    try {
+      await subscription.save();
+    } catch (error) {
+      // Same purchase verified concurrently: the other request created it
+      if (error.code === 11000 && !isRetry) {
+        return this.verifyPurchase(userId, { platform, productId, receipt }, { isRetry: true });
+      }
+      throw error;
+    }
+
+    await this._recordEvents(subscription, events, 'user');
+    await this.syncUser(userId);
+
+    logger.info('Subscription verified', {
+      userId,
+      subscriptionId: subscription._id,
+      status: subscription.status,
+      events,
+    });
+
+    return this.getStatus(userId);
+  }
+
+  // ============================================
+  // RENEWALS
+  // ============================================
+
+  /**
+   * Re-verify subscriptions whose period has ended (renewal job)
+   * Least recently checked first, each at most once per run, so
+   * subscriptions sitting in grace period can't starve the others.
+   * One subscription erroring (counted in errors) doesn't stop the rest
+   * @returns {Promise<Object>} { checked, renewed, inGracePeriod, expired, failed, errors }
+   */
+  async processRenewals() {
+    const now = new Date();
+    const summary = { checked: 0, renewed: 0, inGracePeriod: 0, expired: 0, failed: 0, errors: 0 };
+    // Not marked as checked, so left out of the next batches of this run
+    const erroredIds = [];
+
+    while (summary.checked < this.config.renewalMaxPerRun) {
+      const due = await Subscription.find({
+        _id: { $nin: erroredIds },
+        status: { $in: ['active', 'grace_period'] },
+        currentPeriodEnd: { $lte: now },
+        $or: [
+          { renewalCheckedAt: null },
+          { renewalCheckedAt: { $lt: now } },
+        ],
+      })
+        .select('+receipt')
+        .sort({ renewalCheckedAt: 1, _id: 1 })
+        .limit(this.config.renewalBatchSize);
+
+      if (due.length === 0) break;
+
+      for (const subscription of due) {
+        summary.checked++;
+        try {
+          await this._processRenewal(subscription, now, summary);
+        } catch (error) {
+          summary.errors++;
+          erroredIds.push(subscription._id);
+          logger.error('Subscription renewal failed', {
+            subscriptionId: subscription._id,
+            error: error.message,
+          });
+        }
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Re-verify one subscription and apply grace/expiry
+   */
+  async _processRenewal(subscription, now, summary) {
+    const events = [];
+
+    try {
+      const state = await this.getValidator(subscription.platform).verify({
+        productId: subscription.productId,
+        receipt: subscription.receipt,
+        plan: getPlan(subscription.planId),
+      });
+      this._applyStoreState(subscription, state, events);
+    } catch (error) {
+      // Time still moves on: grace and expiry apply without the store
+      summary.failed++;
+      logger.error('Subscription re-verification failed', {
+        subscriptionId: subscription._id,
+        error: error.message,
+      });
+    }
+
+    this._applyTimeline(subscription, now, events);
+    subscription.renewalCheckedAt = new Date();
+
+    await subscription.save();
+    await this._recordEvents(subscription, events, 'job');
+
+    if (events.length > 0) {
+      await this.syncUser(subscription.userId);
+      await this._notifyStatusChange(subscription, events);
+    }
+
+    if (events.includes('renewed')) summary.renewed++;
+    if (subscription.status === 'grace_period') summary.inGracePeriod++;
+    if (events.includes('expired') || events.includes('refunded')) summary.expired++;
+  }
+
+  /**
+   * Re-derive the user's premium fields from their subscriptions
+   * @param {String} userId - User ID
+   */
+  async syncUser(userId) {
+    const subscriptions = await Subscription.find({
+      userId,
+      status: { $in: ['active', 'grace_period'] },
+    });
+
+    // Longest-lasting access wins
+    const best = subscriptions
+      .filter(s => s.getAccessEndsAt())
+      .sort((a, b) => b.getAccessEndsAt() - a.getAccessEndsAt())[0];
+
+    const update = best
+      ? { isPremium: true, premiumExpiry: best.getAccessEndsAt(), premiumPlan: best.planId }
+      : { isPremium: false, premiumPlan: null };
+
+    await User.updateOne({ _id: userId }, { $set: update });
+  }
+
+  // ============================================
+  // HELPERS
+  // ============================================
+
+  async _verifyWithStore(platform, params) {
+    try {
+      return await this.getValidator(platform).verify(params);
+    } catch (error) {
+      if (error instanceof ApiError) {
+        throw error;
+      }
+
+      logger.error('Store receipt verification failed', { platform, error: error.message });
+      throw new ApiError(502, 'Could not verify the purchase with the store. Please try again.');
+    }
+  }
+
+  /**
+   * Apply what the store reports, collecting event types
+   */
+  _applyStoreState(subscription, state, events) {
+    const isNew = subscription.isNew;
+
+    subscription.latestTransactionId = state.transactionId;
+    subscription.environment = state.environment;
+    subscription.isTrial = state.isTrial;
+    subscription.lastVerifiedAt = new Date();
+
+    if (state.refundedAt) {
+      if (subscription.status !== 'refunded') {
+        subscription.status = 'refunded';
+        subscription.refundedAt = state.refundedAt;
+        subscription.graceEndsAt = null;
+        events.push('refunded');
+      }
+      return;
+    }
+
+    if (!isNew && state.expiresAt > subscription.currentPeriodEnd) {
+      events.push('renewed');
+    }
+    subscription.currentPeriodEnd = state.expiresAt;
+
+    if (!isNew && state.autoRenew !== subscription.autoRenew) {
+      events.push(state.autoRenew ? 'auto_renew_enabled' : 'auto_renew_disabled');
+    }
+    subscription.autoRenew = state.autoRenew;
+  }
+
+  /**
+   * Move status along with time: active until the period ends, then a
+   * grace period if it is set to renew, then expired
+   */
+  _applyTimeline(subscription, now, events) {
+    if (subscription.status === 'refunded') {
+      return;
+    }
+
+    if (subscription.currentPeriodEnd > now) {
+      subscription.status = 'active';
+      subscription.graceEndsAt = null;
+      subscription.expiredAt = null;
+      return;
+    }
+
+    const graceEndsAt = new Date(
+      subscription.currentPeriodEnd.getTime() + this.config.gracePeriodDays * DAY_MS
+    );
+
+    if (subscription.autoRenew && graceEndsAt > now) {
+      if (subscription.status !== 'grace_period') {
+        subscription.status = 'grace_period';
+        subscription.graceEndsAt = graceEndsAt;
+        events.push('grace_period_started');
+      }
+      return;
+    }
+
+    if (subscription.status !== 'expired') {
+      subscription.status = 'expired';
+      subscription.expiredAt = now;
+      subscription.graceEndsAt = null;
+      events.push('expired');
+    }
+  }
+
+  async _recordEvents(subscription, types, source) {
+    if (types.length === 0) return;
+
+    await SubscriptionEvent.insertMany(types.map(type => ({
+      userId: subscription.userId,
+      subscriptionId: subscription._id,
+      type,
+      planId: subscription.planId,
+      platform: subscription.platform,
+      transactionId: subscription.latestTransactionId,
+      periodEnd: subscription.currentPeriodEnd,
+      source,
+    })));
+  }
+
+  async _notifyStatusChange(subscription, events) {
+    let message = null;
+
+    if (events.includes('grace_period_started')) {
+      message = {
+        title: 'Payment issue with your subscription',
+        body: 'We could not renew Velora Premium. Update your payment method to keep your benefits.',
+      };
+    } else if (events.includes('expired')) {
+      message = {
+        title: 'Your Premium has ended',
+        body: 'Your Velora Premium subscription has expired. Renew anytime to unlock all matches again.',
+      };
+    }
+
+    if (!message) return;
+
+    await notificationService.notify(subscription.userId, {
+      type: 'system',
+      ...message,
+      data: { subscriptionId: subscription._id.toString(), status: subscription.status },
+    });
+  }
+}
+
+module.exports = new SubscriptionService();
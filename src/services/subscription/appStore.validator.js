@@ -0,0 +1,84 @@
+// src/services/subscription/appStore.validator.js
+
+const axios = require('axios');
+const ApiError = require('../../utils/apiError');
+
+/**
+ * APP STORE RECEIPT VALIDATOR
+ *
+ * Verifies auto-renewable subscription receipts with Apple's verifyReceipt
+ * endpoint. Production is tried first; sandbox receipts (status 21007) are
+ * retried against the sandbox, as Apple recommends.
+ *
+ * Environment variables required:
+ * - APPLE_SHARED_SECRET: App-specific shared secret from App Store Connect
+ */
+
+const PRODUCTION_URL = 'https://buy.itunes.apple.com/verifyReceipt';
+const SANDBOX_URL = 'https://sandbox.itunes.apple.com/verifyReceipt';
+const SANDBOX_RECEIPT_STATUS = 21007;
+
+class AppStoreValidator {
+  constructor() {
+    this.name = 'app_store';
+    this.sharedSecret = process.env.APPLE_SHARED_SECRET;
+  }
+
+  /**
+   * Verify a receipt and return the latest state of the subscription
+   * @param {Object} params - { productId, receipt } (receipt: base64 app receipt)
+   * @returns {Promise<Object>} Purchase state
+   *   { originalTransactionId, transactionId, productId, purchasedAt, expiresAt,
+   *     autoRenew, isTrial, refundedAt, environment }
+   */
+  async verify({ productId, receipt }) {
+    let environment = 'production';
+    let data = await this._post(PRODUCTION_URL, receipt);
+
+    if (data.status === SANDBOX_RECEIPT_STATUS) {
+      environment = 'sandbox';
+      data = await this._post(SANDBOX_URL, receipt);
+    }
+
+    if (data.status !== 0) {
+      throw ApiError.badRequest(`Invalid App Store receipt (status ${data.status})`);
+    }
+
+    // Most recent transaction of this product (renewals share the original ID)
+    const transactions = (data.latest_receipt_info || [])
+      .filter(t => t.product_id === productId)
+      .sort((a, b) => Number(b.expires_date_ms) - Number(a.expires_date_ms));
+
+    const latest = transactions[0];
+    if (!latest) {
+      throw ApiError.badRequest('Receipt does not contain this product');
+    }
+
+    const renewalInfo = (data.pending_renewal_info || [])
+      .find(r => r.original_transaction_id === latest.original_transaction_id);
+
+    return {
+      originalTransactionId: latest.original_transaction_id,
+      transactionId: latest.transaction_id,
+      productId: latest.product_id,
+      purchasedAt: new Date(Number(latest.original_purchase_date_ms)),
+      expiresAt: new Date(Number(latest.expires_date_ms)),
+      autoRenew: renewalInfo ? renewalInfo.auto_renew_status === '1' : false,
+      isTrial: latest.is_trial_period === 'true',
+      refundedAt: latest.cancellation_date_ms ? new Date(Number(latest.cancellation_date_ms)) : null,
+      environment,
+    };
+  }
+
+  async _post(url, receipt) {
+    const response = await axios.post(url, {
+      'receipt-data': receipt,
+      password: this.sharedSecret,
+      'exclude-old-transactions': true,
+    });
+
+    return response.data;
+  }
+}
+
+module.exports = AppStoreValidator;
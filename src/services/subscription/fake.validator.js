@@ -0,0 +1,110 @@
+// src/services/subscription/fake.validator.js
+
+const ApiError = require('../../utils/apiError');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * FAKE RECEIPT VALIDATOR
+ *
+ * Local validator used in development and tests. Receipts look like
+ * 'fake:<transactionId>' and are accepted without calling a store; the
+ * first verification starts a period of the plan's length.
+ *
+ * Suffixes pick an outcome up front:
+ * - 'fake:<id>:expired'   period already over, auto-renew off
+ * - 'fake:<id>:cancelled' active, auto-renew off
+ * - 'fake:<id>:refunded'  refunded
+ *
+ * renew(), cancelAutoRenew() and refund() move a purchase along so tests
+ * can drive the renewal job without a store.
+ */
+
+class FakeReceiptValidator {
+  constructor() {
+    this.name = 'fake';
+    this.purchases = new Map(); // transactionId -> purchase state
+  }
+
+  /**
+   * "Verify" a receipt
+   * @param {Object} params - { productId, receipt, plan }
+   * @returns {Promise<Object>} Purchase state (see AppStoreValidator.verify)
+   */
+  async verify({ productId, receipt, plan }) {
+    const [prefix, transactionId, outcome] = String(receipt).split(':');
+
+    if (prefix !== 'fake' || !transactionId) {
+      throw ApiError.badRequest('Invalid receipt');
+    }
+
+    if (!this.purchases.has(transactionId)) {
+      this.purchases.set(transactionId, this._newPurchase(transactionId, productId, plan, outcome));
+    }
+
+    const { durationDays, renewals, ...state } = this.purchases.get(transactionId);
+    return state;
+  }
+
+  /**
+   * Simulate a successful renewal
+   */
+  renew(transactionId) {
+    const purchase = this._get(transactionId);
+    const durationMs = purchase.durationDays * DAY_MS;
+
+    purchase.expiresAt = new Date(Math.max(purchase.expiresAt.getTime(), Date.now()) + durationMs);
+    purchase.transactionId = `${transactionId}.${++purchase.renewals}`;
+    purchase.isTrial = false;
+  }
+
+  /**
+   * Simulate the user turning off auto-renew in the store
+   */
+  cancelAutoRenew(transactionId) {
+    this._get(transactionId).autoRenew = false;
+  }
+
+  /**
+   * Simulate a refund
+   */
+  refund(transactionId) {
+    this._get(transactionId).refundedAt = new Date();
+  }
+
+  /**
+   * Forget all purchases
+   */
+  clear() {
+    this.purchases.clear();
+  }
+
+  _newPurchase(transactionId, productId, plan, outcome) {
+    const now = Date.now();
+    const durationDays = plan?.durationDays || 30;
+
+    return {
+      originalTransactionId: transactionId,
+      transactionId,
+      productId,
+      purchasedAt: new Date(now),
+      expiresAt: new Date(outcome === 'expired' ? now - DAY_MS : now + durationDays * DAY_MS),
+      autoRenew: outcome !== 'expired' && outcome !== 'cancelled',
+      isTrial: false,
+      refundedAt: outcome === 'refunded' ? new Date(now) : null,
+      environment: 'sandbox',
+      durationDays,
+      renewals: 0,
+    };
+  }
+
+  _get(transactionId) {
+    const purchase = this.purchases.get(transactionId);
+    if (!purchase) {
+      throw new Error(`Unknown fake purchase: ${transactionId}`);
+    }
+    return purchase;
+  }
+}
+
+module.exports = FakeReceiptValidator;
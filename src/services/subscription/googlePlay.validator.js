@@ -0,0 +1,119 @@
+// src/services/subscription/googlePlay.validator.js
+
+const axios = require('axios');
+const jwt = require('jsonwebtoken');
+const ApiError = require('../../utils/apiError');
+
+/**
+ * GOOGLE PLAY RECEIPT VALIDATOR
+ *
+ * Verifies subscription purchase tokens with the Google Play Developer API,
+ * authenticating with a service account (OAuth2 JWT bearer flow), and
+ * acknowledges new purchases (Play refunds unacknowledged ones after 3 days).
+ *
+ * The purchase token is the "receipt"; it stays the same across renewals.
+ *
+ * Environment variables required:
+ * - GOOGLE_PLAY_PACKAGE_NAME: Android application ID
+ * - GOOGLE_PLAY_CLIENT_EMAIL: Service account client email
+ * - GOOGLE_PLAY_PRIVATE_KEY: Service account private key (\n escaped)
+ */
+
+const TOKEN_URL = 'https://oauth2.googleapis.com/token';
+const PUBLISHER_SCOPE = 'https://www.googleapis.com/auth/androidpublisher';
+const API_URL = 'https://androidpublisher.googleapis.com/androidpublisher/v3/applications';
+
+// purchases.subscriptions paymentState
+const PAYMENT_FREE_TRIAL = 2;
+
+class GooglePlayValidator {
+  constructor() {
+    this.name = 'google_play';
+    this.packageName = process.env.GOOGLE_PLAY_PACKAGE_NAME;
+    this.clientEmail = process.env.GOOGLE_PLAY_CLIENT_EMAIL;
+    this.privateKey = (process.env.GOOGLE_PLAY_PRIVATE_KEY || '').replace(/\\n/g, '\n');
+    this.accessToken = null;
+    this.accessTokenExpiresAt = 0;
+  }
+
+  /**
+   * Get (cached) OAuth2 access token for the service account
+   */
+  async getAccessToken() {
+    // Refresh one minute before expiry
+    if (this.accessToken && Date.now() < this.accessTokenExpiresAt - 60000) {
+      return this.accessToken;
+    }
+
+    const now = Math.floor(Date.now() / 1000);
+    const assertion = jwt.sign(
+      {
+        iss: this.clientEmail,
+        scope: PUBLISHER_SCOPE,
+        aud: TOKEN_URL,
+        iat: now,
+        exp: now + 3600,
+      },
+      this.privateKey,
+      { algorithm: 'RS256' }
+    );
+
+    const response = await axios.post(
+      TOKEN_URL,
+      new URLSearchParams({
+        grant_type: 'urn:ietf:params:oauth:grant-type:jwt-bearer',
+        assertion,
+      }).toString(),
+      { headers: { 'Content-Type': 'application/x-www-form-urlencoded' } }
+    );
+
+    this.accessToken = response.data.access_token;
+    this.accessTokenExpiresAt = Date.now() + response.data.expires_in * 1000;
+
+    return this.accessToken;
+  }
+
+  /**
+   * Verify a purchase token and return the latest state of the subscription
+   * @param {Object} params - { productId, receipt } (receipt: purchase token)
+   * @returns {Promise<Object>} Purchase state (see AppStoreValidator.verify)
+   */
+  async verify({ productId, receipt }) {
+    const accessToken = await this.getAccessToken();
+    const url = `${API_URL}/${this.packageName}/purchases/subscriptions/${encodeURIComponent(productId)}/tokens/${encodeURIComponent(receipt)}`;
+
+    let purchase;
+    try {
+      const response = await axios.get(url, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+      purchase = response.data;
+    } catch (error) {
+      const status = error.response?.status;
+      if (status === 400 || status === 404 || status === 410) {
+        throw ApiError.badRequest('Invalid Google Play purchase token');
+      }
+      throw error;
+    }
+
+    if (purchase.acknowledgementState === 0) {
+      await axios.post(`${url}:acknowledge`, {}, {
+        headers: { Authorization: `Bearer ${accessToken}` },
+      });
+    }
+
+    return {
+      originalTransactionId: receipt,
+      transactionId: purchase.orderId || receipt, // renewals: '<orderId>..<n>'
+      productId,
+      purchasedAt: new Date(Number(purchase.startTimeMillis)),
+      expiresAt: new Date(Number(purchase.expiryTimeMillis)),
+      autoRenew: !!purchase.autoRenewing,
+      isTrial: purchase.paymentState === PAYMENT_FREE_TRIAL,
+      refundedAt: null, // Refunds are reported through the voided purchases API
+      environment: purchase.purchaseType === 0 ? 'sandbox' : 'production',
+    };
+  }
+}
+
+module.exports = GooglePlayValidator;
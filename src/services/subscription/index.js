@@ -0,0 +1,40 @@
+// src/services/subscription/index.js
+
+const AppStoreValidator = require('./appStore.validator');
+const GooglePlayValidator = require('./googlePlay.validator');
+const FakeReceiptValidator = require('./fake.validator');
+
+/**
+ * Receipt validator factory
+ *
+ * RECEIPT_VALIDATOR selects the validator ('store' | 'fake').
+ * 'store' verifies with the platform's store (App Store / Google Play).
+ * Defaults to store, except under NODE_ENV=test.
+ */
+const createValidator = (platform, name = process.env.RECEIPT_VALIDATOR) => {
+  const validatorName = name || (process.env.NODE_ENV === 'test' ? 'fake' : 'store');
+
+  if (validatorName === 'fake') {
+    return new FakeReceiptValidator();
+  }
+
+  if (validatorName !== 'store') {
+    throw new Error(`Unknown receipt validator: ${validatorName}`);
+  }
+
+  switch (platform) {
+    case 'apple':
+      return new AppStoreValidator();
+    case 'google':
+      return new GooglePlayValidator();
+    default:
+      throw new Error(`Unknown store platform: ${platform}`);
+  }
+};
+
+module.exports = {
+  createValidator,
+  AppStoreValidator,
+  GooglePlayValidator,
+  FakeReceiptValidator,
+};
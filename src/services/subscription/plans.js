@@ -0,0 +1,79 @@
+// src/services/subscription/plans.js
+
+/**
+ * SUBSCRIPTION PLANS
+ *
+ * Every paid plan maps to one store product per platform and grants a set
+ * of entitlements. Features check entitlements, never plans, so a new plan
+ * only needs an entry here.
+ */
+
+const ENTITLEMENTS = {
+  // See every generated match in full, whatever its reveal tier
+  REVEAL_ALL_MATCHES: 'reveal_all_matches',
+  // Larger matching radius (see DistanceService.getDistanceLimit)
+  EXTENDED_DISTANCE: 'extended_distance',
+  // Pick a category focus pack for a game (see config/questionSelection.js)
+  GAME_FOCUS_PACKS: 'game_focus_packs',
+  // More manual match refreshes per day (see config/matchDrops.js)
+  EXTRA_MATCH_REFRESHES: 'extra_match_refreshes',
+};
+
+const PREMIUM_ENTITLEMENTS = [
+  ENTITLEMENTS.REVEAL_ALL_MATCHES,
+  ENTITLEMENTS.EXTENDED_DISTANCE,
+  ENTITLEMENTS.GAME_FOCUS_PACKS,
+  ENTITLEMENTS.EXTRA_MATCH_REFRESHES,
+];
+
+const PLANS = {
+  premium_monthly: {
+    id: 'premium_monthly',
+    name: 'Velora Premium (Monthly)',
+    tier: 'premium',
+    durationDays: 30,
+    products: {
+      apple: 'com.velora.premium.monthly',
+      google: 'premium_monthly',
+    },
+    entitlements: PREMIUM_ENTITLEMENTS,
+  },
+  premium_yearly: {
+    id: 'premium_yearly',
+    name: 'Velora Premium (Yearly)',
+    tier: 'premium',
+    durationDays: 365,
+    products: {
+      apple: 'com.velora.premium.yearly',
+      google: 'premium_yearly',
+    },
+    entitlements: PREMIUM_ENTITLEMENTS,
+  },
+};
+
+const PLATFORMS = ['apple', 'google'];
+
+/**
+ * Get a plan by ID
+ * @param {String} planId - Plan ID
+ * @returns {Object|null}
+ */
+const getPlan = (planId) => PLANS[planId] || null;
+
+/**
+ * Find the plan sold as a store product
+ * @param {String} platform - 'apple' | 'google'
+ * @param {String} productId - Store product ID
+ * @returns {Object|null}
+ */
+const getPlanByProduct = (platform, productId) =>
+  Object.values(PLANS).find(plan => plan.products[platform] === productId) || null;
+
+module.exports = {
+  ENTITLEMENTS,
+  PREMIUM_ENTITLEMENTS,
+  PLANS,
+  PLATFORMS,
+  getPlan,
+  getPlanByProduct,
+};
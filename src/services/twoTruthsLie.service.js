@@ -2,10 +2,9 @@ const mongoose = require('mongoose');
 const TwoTruthsLieGame = require('../models/TwoTruthsLieGame');
 const TwoTruthsLieStatement = require('../models/TwoTruthsLieStatement');
 const TwoTruthsLieVoiceNote = require('../models/TwoTruthsLieVoiceNote');
-const Match = require('../models/Match');
-const User = require('../models/User');
-const s3Service = require('./s3.service');
 const twoTruthsLieInsightsService = require('./twoTruthsLieInsights.service');
+const gameEventsService = require('./games/gameEvents.service');
+const GameEngine = require('./games/gameEngine');
 const logger = require('../utils/logger');
 
 /**
@@ -21,144 +20,97 @@ const logger = require('../utils/logger');
  * 5. Results shown with AI insights
  * 6. Voice note discussion available
  * 7. Restart option (requires both to agree)
+ *
+ * Invitations, history, cancelling, voice notes and insights run in
+ * GameEngine through the hooks below.
  */
 
-class TwoTruthsLieService {
+class TwoTruthsLieService extends GameEngine {
+  constructor() {
+    super('two_truths_lie');
+  }
   
-  // ==================== GAME CREATION ====================
+  // ==================== GAME HOOKS (see GameEngine) ====================
 
   /**
-   * Start a new game with a mutual match
-   * @param {ObjectId} initiatorId - User starting the game
-   * @param {ObjectId} partnerId - The partner to play with
-   * @returns {Promise<Object>} - Created game
+   * Create the game of a new invitation (the partner has 24 hours to accept)
    */
-  async startGame(initiatorId, partnerId) {
-    try {
-      logger.info('Starting Two Truths & Lie game', { initiatorId, partnerId });
-
-      // Validate users exist
-      const [initiator, partner] = await Promise.all([
-        User.findById(initiatorId).select('firstName lastName username profilePhoto'),
-        User.findById(partnerId).select('firstName lastName username profilePhoto'),
-      ]);
-
-      if (!initiator) {
-        throw new Error('Initiator user not found');
-      }
-      if (!partner) {
-        throw new Error('Partner user not found');
-      }
+  async buildSession({ matchId, initiatorId, invitedUserId }) {
+    const game = await TwoTruthsLieGame.create({
+      initiatorId,
+      partnerId: invitedUserId,
+      matchId,
+      status: 'pending_acceptance',
+      invitedAt: new Date(),
+    });
 
-      // Validate mutual match exists
-      const match = await this._validateMutualMatch(initiatorId, partnerId);
+    logger.info('Game created successfully', { gameId: game._id });
 
-      // Check for existing active game between these users
-      const existingGame = await TwoTruthsLieGame.findActiveGameBetweenUsers(
-        initiatorId,
-        partnerId
-      );
+    return game;
+  }
 
-      if (existingGame) {
-        throw new Error('An active game already exists between these users');
-      }
+  async startSession(game) {
+    await game.accept();
+  }
 
-      // Create the game
-      const game = await TwoTruthsLieGame.create({
-        initiatorId,
-        partnerId,
-        matchId: match._id,
-        status: 'pending_acceptance',
-        invitedAt: new Date(),
-      });
+  async declineSession(game) {
+    await game.decline();
+  }
 
-      // Populate for response
-      await game.populate([
-        { path: 'initiatorId', select: 'firstName lastName username profilePhoto' },
-        { path: 'partnerId', select: 'firstName lastName username profilePhoto' },
-      ]);
+  async abandonSession(game, userId, reason) {
+    await game.cancel(userId, reason);
 
-      logger.info('Game created successfully', { gameId: game._id });
+    logger.info('Game cancelled', { gameId: game._id, cancelledBy: userId, reason });
+  }
 
-      return {
-        game,
-        initiator,
-        partner,
-      };
+  getHistoryResult(game, userId) {
+    const isInitiator = this.getPlayerIds(game)[0] === userId.toString();
 
-    } catch (error) {
-      logger.error('Error starting game:', error);
-      throw error;
-    }
+    return {
+      myScore: isInitiator ? game.initiatorScore : game.partnerScore,
+      partnerScore: isInitiator ? game.partnerScore : game.initiatorScore,
+    };
   }
 
-  // ==================== INVITATION HANDLING ====================
-
   /**
-   * Accept a game invitation
-   * @param {ObjectId} gameId - The game ID
-   * @param {ObjectId} userId - The user accepting (must be partner)
-   * @returns {Promise<Object>} - Updated game
+   * Voice notes live in their own collection (TwoTruthsLieVoiceNote)
    */
-  async acceptInvitation(gameId, userId) {
-    try {
-      const game = await TwoTruthsLieGame.findById(gameId);
-
-      if (!game) {
-        throw new Error('Game not found');
-      }
-
-      // Only partner can accept
-      if (game.partnerId.toString() !== userId.toString()) {
-        throw new Error('Only the invited partner can accept');
-      }
-
-      await game.accept();
-
-      await game.populate([
-        { path: 'initiatorId', select: 'firstName lastName username profilePhoto' },
-        { path: 'partnerId', select: 'firstName lastName username profilePhoto' },
-      ]);
-
-      logger.info('Game invitation accepted', { gameId, partnerId: userId });
+  async storeVoiceNote(game, userId, { audioUrl, audioKey, duration, relatedTo, buffer, mimeType }) {
+    const voiceNote = await TwoTruthsLieVoiceNote.createVoiceNote({
+      gameId: game._id,
+      senderId: userId,
+      receiverId: game.getOtherPlayerId(userId),
+      audioUrl,
+      s3Key: audioKey,
+      duration,
+      fileSize: buffer.length,
+      mimeType,
+      relatedRoundNumber: relatedTo,
+    });
 
-      return game;
+    logger.info('Voice note sent', { gameId: game._id, senderId: userId, duration });
 
-    } catch (error) {
-      logger.error('Error accepting invitation:', error);
-      throw error;
-    }
+    return this._toVoiceNote(voiceNote);
   }
 
-  /**
-   * Decline a game invitation
-   * @param {ObjectId} gameId - The game ID
-   * @param {ObjectId} userId - The user declining (must be partner)
-   * @returns {Promise<Object>} - Updated game
-   */
-  async declineInvitation(gameId, userId) {
-    try {
-      const game = await TwoTruthsLieGame.findById(gameId);
+  async listVoiceNotes(game) {
+    const voiceNotes = await TwoTruthsLieVoiceNote.getVoiceNotesForGame(game._id);
 
-      if (!game) {
-        throw new Error('Game not found');
-      }
-
-      // Only partner can decline
-      if (game.partnerId.toString() !== userId.toString()) {
-        throw new Error('Only the invited partner can decline');
-      }
+    return voiceNotes.map(voiceNote => this._toVoiceNote(voiceNote));
+  }
 
-      await game.decline();
+  async recordVoiceNoteListen(game, note) {
+    const voiceNote = await TwoTruthsLieVoiceNote.findById(note.noteId);
 
-      logger.info('Game invitation declined', { gameId, partnerId: userId });
+    await voiceNote.markAsListened();
+  }
 
-      return game;
+  getStoredInsights(game) {
+    return game.insights?.generatedAt ? game.insights : null;
+  }
 
-    } catch (error) {
-      logger.error('Error declining invitation:', error);
-      throw error;
-    }
+  async generateSessionInsights(game) {
+    return this.generateInsights(game._id);
   }
 
   // ==================== GAME STATE ====================
@@ -287,35 +239,6 @@ class TwoTruthsLieService {
     }
   }
 
-  /**
-   * Get pending invitations for a user
-   * @param {ObjectId} userId - The user ID
-   * @returns {Promise<Array>} - Array of pending invitations
-   */
-  async getPendingInvitations(userId) {
-    try {
-      return TwoTruthsLieGame.findPendingInvitationsForUser(userId);
-    } catch (error) {
-      logger.error('Error getting pending invitations:', error);
-      throw error;
-    }
-  }
-
-  /**
-   * Get completed games (history)
-   * @param {ObjectId} userId - The user ID
-   * @param {Object} options - Pagination options
-   * @returns {Promise<Array>} - Array of completed games
-   */
-  async getGameHistory(userId, options = {}) {
-    try {
-      return TwoTruthsLieGame.findCompletedGamesForUser(userId, options);
-    } catch (error) {
-      logger.error('Error getting game history:', error);
-      throw error;
-    }
-  }
-
   // ==================== STATEMENTS PHASE ====================
 
   /**
@@ -400,6 +323,12 @@ class TwoTruthsLieService {
         gameStatus: game.status,
       });
 
+      gameEventsService.emit('two_truths_lie', guesserId, 'progress', {
+        gameId: game._id,
+        step: 'statements_submitted',
+        gameStatus: game.status,
+      });
+
       return {
         statementsCreated: statements.length,
         gameStatus: game.status,
@@ -548,6 +477,12 @@ class TwoTruthsLieService {
         gameStatus: game.status,
       });
 
+      gameEventsService.emit('two_truths_lie', game.getOtherPlayerId(userId), 'progress', {
+        gameId: game._id,
+        step: 'answers_submitted',
+        gameStatus: game.status,
+      });
+
       // If game is now completed, generate insights
       let insights = null;
       if (game.status === 'completed') {
@@ -557,6 +492,11 @@ class TwoTruthsLieService {
           logger.error('Error generating insights:', insightError);
           // Don't fail the whole operation if insights fail
         }
+
+        gameEventsService.emit('two_truths_lie', [game.initiatorId, game.partnerId], 'results_ready', {
+          gameId: game._id,
+          hasInsights: !!insights,
+        });
       }
 
       return {
@@ -640,148 +580,43 @@ class TwoTruthsLieService {
     }
   }
 
-  // ==================== VOICE NOTES ====================
+  // ==================== LOBBY ====================
 
   /**
-   * Upload a voice note for discussion
-   * @param {ObjectId} gameId - The game ID
-   * @param {ObjectId} userId - The sender
-   * @param {Object} audioFile - The audio file (multer file object)
-   * @param {Number} duration - Duration in seconds
-   * @param {Number} relatedRoundNumber - Optional round this note is about
-   * @returns {Promise<Object>} - Created voice note
+   * Unlistened voice notes per game (game lobby)
+   * Voice notes live in their own collection, so one query covers all games.
+   * @param {Array} games - Lean games
+   * @param {ObjectId} userId - Receiver
+   * @returns {Promise<Map>} gameId → count
    */
-  async sendVoiceNote(gameId, userId, audioFile, duration, relatedRoundNumber = null) {
-    try {
-      const game = await TwoTruthsLieGame.findById(gameId);
+  async getUnreadVoiceNoteCounts(games, userId) {
+    const counts = new Map(games.map(game => [game._id.toString(), 0]));
+    if (counts.size === 0) return counts;
 
-      if (!game) {
-        throw new Error('Game not found');
-      }
-
-      if (!game.isParticipant(userId)) {
-        throw new Error('You are not a participant in this game');
-      }
-
-      // Voice notes only available after game completion
-      if (game.status !== 'completed') {
-        throw new Error('Voice notes are only available after game completion');
-      }
-
-      // Validate duration
-      if (duration > 60) {
-        throw new Error('Voice note cannot exceed 60 seconds');
-      }
+    const unlistened = await TwoTruthsLieVoiceNote.getUnlistenedForUser(userId);
 
-      // Validate audio file type
-      const allowedTypes = [
-        'audio/mpeg',
-        'audio/mp3',
-        'audio/mp4',
-        'audio/m4a',
-        'audio/x-m4a',
-        'audio/wav',
-        'audio/webm',
-        'audio/ogg',
-      ];
-
-      if (!allowedTypes.includes(audioFile.mimetype)) {
-        throw new Error('Invalid audio format');
+    unlistened.forEach(note => {
+      const gameId = (note.gameId?._id || note.gameId)?.toString();
+      if (counts.has(gameId)) {
+        counts.set(gameId, counts.get(gameId) + 1);
       }
+    });
 
-      // Upload to S3
-      const s3Key = `games/two-truths-lie/${gameId}/voice-notes/${Date.now()}_${Math.random().toString(36).substr(2, 9)}.m4a`;
-      
-      const uploadResult = await s3Service.uploadFile(
-        audioFile.buffer,
-        s3Key,
-        audioFile.mimetype,
-        'games-voice-notes'
-      );
-
-      // Get receiver ID
-      const receiverId = game.getOtherPlayerId(userId);
-
-      // Create voice note record
-      const voiceNote = await TwoTruthsLieVoiceNote.createVoiceNote({
-        gameId,
-        senderId: userId,
-        receiverId,
-        audioUrl: uploadResult.url,
-        s3Key: uploadResult.key,
-        duration,
-        fileSize: audioFile.size,
-        mimeType: audioFile.mimetype,
-        relatedRoundNumber,
-      });
-
-      await voiceNote.populate('senderId', 'firstName lastName username profilePhoto');
-
-      logger.info('Voice note sent', { gameId, senderId: userId, duration });
-
-      return voiceNote.toClientView(userId);
-
-    } catch (error) {
-      logger.error('Error sending voice note:', error);
-      throw error;
-    }
+    return counts;
   }
 
-  /**
-   * Get all voice notes for a game
-   * @param {ObjectId} gameId - The game ID
-   * @param {ObjectId} userId - The requesting user
-   * @returns {Promise<Array>} - Voice notes
-   */
-  async getVoiceNotes(gameId, userId) {
-    try {
-      const game = await TwoTruthsLieGame.findById(gameId);
-
-      if (!game) {
-        throw new Error('Game not found');
-      }
-
-      if (!game.isParticipant(userId)) {
-        throw new Error('You are not a participant in this game');
-      }
-
-      const voiceNotes = await TwoTruthsLieVoiceNote.getVoiceNotesForGame(gameId);
-
-      return voiceNotes.map(vn => vn.toClientView(userId));
-
-    } catch (error) {
-      logger.error('Error getting voice notes:', error);
-      throw error;
-    }
-  }
+  // ==================== REMATCH (see GameEngine) ====================
 
   /**
-   * Mark voice note as listened
-   * @param {ObjectId} voiceNoteId - The voice note ID
-   * @param {ObjectId} userId - The user (must be receiver)
-   * @returns {Promise<Object>} - Updated voice note
+   * Rematches are linked like restarts
    */
-  async markVoiceNoteListened(voiceNoteId, userId) {
-    try {
-      const voiceNote = await TwoTruthsLieVoiceNote.findById(voiceNoteId);
-
-      if (!voiceNote) {
-        throw new Error('Voice note not found');
-      }
-
-      // Only receiver can mark as listened
-      if (voiceNote.receiverId.toString() !== userId.toString()) {
-        throw new Error('Only the receiver can mark as listened');
-      }
-
-      await voiceNote.markAsListened();
-
-      return voiceNote.toClientView(userId);
+  linkRematch(game, previous) {
+    game.previousGameId = previous._id;
+    game.restartCount = this.getRematchCount(previous) + 1;
+  }
 
-    } catch (error) {
-      logger.error('Error marking voice note as listened:', error);
-      throw error;
-    }
+  getRematchCount(game) {
+    return game.restartCount || 0;
   }
 
   // ==================== RESTART ====================
@@ -810,6 +645,11 @@ class TwoTruthsLieService {
 
       logger.info('Restart requested', { gameId, requestedBy: userId });
 
+      gameEventsService.emit('two_truths_lie', game.getOtherPlayerId(userId), 'restart_requested', {
+        gameId: game._id,
+        requestedBy: userId.toString(),
+      });
+
       return game;
 
     } catch (error) {
@@ -873,6 +713,11 @@ class TwoTruthsLieService {
         newGameId: newGame._id,
       });
 
+      gameEventsService.emit('two_truths_lie', oldGame.getOtherPlayerId(userId), 'restart_accepted', {
+        gameId: oldGame._id,
+        newGameId: newGame._id,
+      });
+
       return newGame;
 
     } catch (error) {
@@ -910,39 +755,14 @@ class TwoTruthsLieService {
 
       logger.info('Restart declined', { gameId, declinedBy: userId });
 
-      return game;
-
-    } catch (error) {
-      logger.error('Error declining restart:', error);
-      throw error;
-    }
-  }
-
-  // ==================== CANCELLATION ====================
-
-  /**
-   * Cancel/leave a game
-   * @param {ObjectId} gameId - The game ID
-   * @param {ObjectId} userId - The user cancelling
-   * @param {String} reason - Optional reason
-   * @returns {Promise<Object>} - Updated game
-   */
-  async cancelGame(gameId, userId, reason = null) {
-    try {
-      const game = await TwoTruthsLieGame.findById(gameId);
-
-      if (!game) {
-        throw new Error('Game not found');
-      }
-
-      await game.cancel(userId, reason);
-
-      logger.info('Game cancelled', { gameId, cancelledBy: userId, reason });
+      gameEventsService.emit('two_truths_lie', game.getOtherPlayerId(userId), 'restart_declined', {
+        gameId: game._id,
+      });
 
       return game;
 
     } catch (error) {
-      logger.error('Error cancelling game:', error);
+      logger.error('Error declining restart:', error);
       throw error;
     }
   }
@@ -992,32 +812,28 @@ class TwoTruthsLieService {
       throw error;
     }
   }
-
   // ==================== PRIVATE HELPERS ====================
 
   /**
-   * Validate that a mutual match exists between users
-   * @param {ObjectId} userId1 - First user
-   * @param {ObjectId} userId2 - Second user
-   * @returns {Promise<Object>} - The match document
+   * Voice note in GameEngine's normalized shape. Only the receiver listens.
+   * @param {Object} voiceNote - TwoTruthsLieVoiceNote (sender/receiver may be populated)
+   * @returns {Object} Normalized note
    * @private
    */
-  async _validateMutualMatch(userId1, userId2) {
-    // Find match where both users have matched with each other
-    const match = await Match.findOne({
-      $or: [
-        { userId: userId1, matchedUserId: userId2 },
-        { userId: userId2, matchedUserId: userId1 },
-      ],
-      isMutualMatch: true,
-      status: 'mutual_like',
-    });
-
-    if (!match) {
-      throw new Error('Mutual match required to play games together');
-    }
-
-    return match;
+  _toVoiceNote(voiceNote) {
+    const senderId = (voiceNote.senderId._id || voiceNote.senderId).toString();
+    const receiverId = (voiceNote.receiverId._id || voiceNote.receiverId).toString();
+
+    return {
+      noteId: voiceNote._id,
+      userId: senderId,
+      audioUrl: voiceNote.audioUrl,
+      duration: voiceNote.duration,
+      relatedTo: voiceNote.relatedRoundNumber,
+      transcription: voiceNote.hasTranscription ? voiceNote.transcription : null,
+      listenedBy: voiceNote.isListened ? [receiverId] : [],
+      createdAt: voiceNote.createdAt,
+    };
   }
 }
 
@@ -1,4 +1,4 @@
-const OpenAI = require('openai');
+const aiGateway = require('./ai');
 const TwoTruthsLieGame = require('../models/TwoTruthsLieGame');
 const TwoTruthsLieStatement = require('../models/TwoTruthsLieStatement');
 const User = require('../models/User');
@@ -17,19 +17,10 @@ const logger = require('../utils/logger');
 
 class TwoTruthsLieInsightsService {
   constructor() {
-    this.client = new OpenAI({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-
     this.config = {
-      model: process.env.OPENAI_MODEL || 'gpt-4-turbo-preview',
       temperature: 0.7, // Slightly creative for fun insights
       maxTokens: 2000,
-      maxRetries: 3,
-      retryDelay: 2000,
     };
-
-    logger.info('TwoTruthsLie Insights Service initialized');
   }
 
   /**
@@ -79,10 +70,24 @@ class TwoTruthsLieInsightsService {
       );
 
       // Call OpenAI
-      const response = await this._callOpenAI(prompt);
-
-      // Parse response
-      const insights = JSON.parse(response);
+      const insights = await aiGateway.chatJSON({
+        feature: 'two_truths_lie_insights',
+        userId: game.initiatorId._id,
+        context: { gameId: game._id },
+        messages: [
+          {
+            role: 'system',
+            content: `You are a warm, insightful relationship analyst helping couples discover their compatibility through a fun game. You find connection points and express observations in an encouraging, positive way. Always respond with valid JSON.`,
+          },
+          {
+            role: 'user',
+            content: prompt,
+          },
+        ],
+        temperature: this.config.temperature,
+        maxTokens: this.config.maxTokens,
+        locale: await User.getSharedLocale([game.initiatorId._id, game.partnerId._id]),
+      });
 
       // Validate and normalize insights
       const normalizedInsights = this._normalizeInsights(insights);
@@ -182,62 +187,6 @@ Keep the tone warm, playful, and encouraging. Focus on connection potential rath
     return prompt;
   }
 
-  /**
-   * Call OpenAI API with retry logic
-   * @private
-   */
-  async _callOpenAI(prompt, attempt = 1) {
-    try {
-      const completion = await this.client.chat.completions.create({
-        model: this.config.model,
-        messages: [
-          {
-            role: 'system',
-            content: `You are a warm, insightful relationship analyst helping couples discover their compatibility through a fun game. You find connection points and express observations in an encouraging, positive way. Always respond with valid JSON.`,
-          },
-          {
-            role: 'user',
-            content: prompt,
-          },
-        ],
-        response_format: { type: 'json_object' },
-        temperature: this.config.temperature,
-        max_tokens: this.config.maxTokens,
-      });
-
-      logger.info('OpenAI API call successful', {
-        model: this.config.model,
-        promptTokens: completion.usage.prompt_tokens,
-        completionTokens: completion.usage.completion_tokens,
-      });
-
-      return completion.choices[0].message.content;
-
-    } catch (error) {
-      // Handle rate limiting
-      if (error.status === 429 && attempt < this.config.maxRetries) {
-        logger.warn(`Rate limited, retrying in ${this.config.retryDelay}ms`, {
-          attempt,
-          maxRetries: this.config.maxRetries,
-        });
-        await this._sleep(this.config.retryDelay);
-        return this._callOpenAI(prompt, attempt + 1);
-      }
-
-      // Handle other retryable errors
-      if (this._isRetryableError(error) && attempt < this.config.maxRetries) {
-        logger.warn('OpenAI API error, retrying', {
-          error: error.message,
-          attempt,
-        });
-        await this._sleep(this.config.retryDelay);
-        return this._callOpenAI(prompt, attempt + 1);
-      }
-
-      throw error;
-    }
-  }
-
   /**
    * Normalize and validate insights
    * @private
@@ -274,15 +223,6 @@ Keep the tone warm, playful, and encouraging. Focus on connection potential rath
     };
   }
 
-  /**
-   * Check if error is retryable
-   * @private
-   */
-  _isRetryableError(error) {
-    const retryableStatuses = [408, 429, 500, 502, 503, 504];
-    return retryableStatuses.includes(error.status);
-  }
-
   /**
    * Sleep utility
    * @private
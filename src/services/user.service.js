@@ -1,7 +1,17 @@
 // src/services/user.service.js
 
 const User = require('../models/User');
+const IntimacySpectrumQuestion = require('../models/games/IntimacySpectrumQuestion');
+const NeverHaveIEverQuestion = require('../models/games/NeverHaveIEverQuestion');
+const { OPTIONAL_CATEGORIES, BOUNDARY_GAMES } = require('../config/contentBoundaries');
+const {
+  AGE_LIMITS,
+  HARD_FILTERS,
+  HARD_FILTER_KEYS,
+  getAgeRange
+} = require('../config/discoveryPreferences');
 const s3Service = require('./s3.service');
+const DistanceService = require('./distance.service');
 const ApiError = require('../utils/apiError');
 const logger = require('../utils/logger');
 
@@ -34,7 +44,9 @@ class UserService {
         'email',
         'gender',
         'interestedIn',
-        'dateOfBirth'
+        'dateOfBirth',
+        'locale',
+        'timezone'
       ];
 
       allowedUpdates.forEach(field => {
@@ -43,6 +55,11 @@ class UserService {
         }
       });
 
+      // Daily match drop follows the new local morning
+      if (user.isModified('timezone') && user.matchDrops) {
+        user.matchDrops.nextDropAt = null;
+      }
+
       // Handle nested location update
       if (updateData.location) {
         user.location = {
@@ -532,6 +549,189 @@ class UserService {
       throw error;
     }
   }
+
+  /**
+   * Get content boundaries (explicit categories the user opted out of)
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} - { boundaries, options }
+   */
+  async getContentBoundaries(userId) {
+    const user = await User.findById(userId).select('contentBoundaries');
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    return this._formatContentBoundaries(user);
+  }
+
+  /**
+   * Update content boundaries
+   * Only the games present in updates are replaced. Sessions already
+   * created keep the question order they were built with.
+   * @param {String} userId - User ID
+   * @param {Object} updates - e.g. { intimacy_spectrum: ['kinks_intensity'] }
+   * @returns {Promise<Object>} - { boundaries, options }
+   */
+  async updateContentBoundaries(userId, updates) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new ApiError(404, 'User not found');
+      }
+
+      BOUNDARY_GAMES.forEach(gameType => {
+        if (updates[gameType] !== undefined) {
+          user.contentBoundaries[gameType] = [...new Set(updates[gameType])];
+        }
+      });
+
+      await user.save();
+
+      logger.info('Content boundaries updated', { userId, boundaries: user.contentBoundaries });
+
+      return this._formatContentBoundaries(user);
+    } catch (error) {
+      logger.error('Update content boundaries failed', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Boundaries plus the categories that can be excluded, for the settings screen
+   * @private
+   */
+  _formatContentBoundaries(user) {
+    const categoryInfo = {
+      intimacy_spectrum: IntimacySpectrumQuestion.getCategoryInfo(),
+      never_have_i_ever: NeverHaveIEverQuestion.getCategoryInfo()
+    };
+
+    const boundaries = {};
+    const options = {};
+
+    BOUNDARY_GAMES.forEach(gameType => {
+      boundaries[gameType] = user.contentBoundaries?.[gameType] || [];
+      options[gameType] = OPTIONAL_CATEGORIES[gameType].map(category => ({
+        category,
+        name: categoryInfo[gameType][category].name,
+        description: categoryInfo[gameType][category].description,
+        excluded: boundaries[gameType].includes(category)
+      }));
+    });
+
+    return { boundaries, options };
+  }
+
+  /**
+   * Get discovery preferences (who the user wants to be shown)
+   * @param {String} userId - User ID
+   * @returns {Promise<Object>} - { preferences, effective, limits, options }
+   */
+  async getDiscoveryPreferences(userId) {
+    const user = await User.findById(userId)
+      .select('discoveryPreferences isPremium premiumExpiry premiumPlan');
+    if (!user) {
+      throw new ApiError(404, 'User not found');
+    }
+
+    return this._formatDiscoveryPreferences(user);
+  }
+
+  /**
+   * Update discovery preferences
+   * Only the fields present in updates change (null clears a limit).
+   * Matches already generated are kept; the next generation applies them.
+   * @param {String} userId - User ID
+   * @param {Object} updates - e.g. { ageMin: 25, smoking: { acceptable: ['never'] } }
+   * @returns {Promise<Object>} - { preferences, effective, limits, options }
+   */
+  async updateDiscoveryPreferences(userId, updates) {
+    try {
+      const user = await User.findById(userId);
+      if (!user) {
+        throw new ApiError(404, 'User not found');
+      }
+
+      const preferences = user.discoveryPreferences;
+
+      ['ageMin', 'ageMax', 'maxDistanceKm'].forEach(field => {
+        if (updates[field] !== undefined) {
+          preferences[field] = updates[field];
+        }
+      });
+
+      if (preferences.ageMin != null && preferences.ageMax != null &&
+          preferences.ageMin > preferences.ageMax) {
+        throw new ApiError(400, 'Minimum age cannot be greater than maximum age');
+      }
+
+      // The chosen distance must fit the plan (a lapsed plan caps it at search time)
+      const distanceLimit = DistanceService.getDistanceLimit(user);
+      if (updates.maxDistanceKm != null && updates.maxDistanceKm > distanceLimit) {
+        throw new ApiError(403, `Your plan allows a maximum distance of ${distanceLimit} km`);
+      }
+
+      HARD_FILTER_KEYS.forEach(key => {
+        const update = updates[key];
+        if (update === undefined) return;
+
+        if (update.value !== undefined) {
+          preferences[key].value = update.value;
+        }
+        if (update.acceptable !== undefined) {
+          preferences[key].acceptable = [...new Set(update.acceptable)];
+        }
+      });
+
+      await user.save();
+
+      logger.info('Discovery preferences updated', { userId, preferences: user.discoveryPreferences });
+
+      return this._formatDiscoveryPreferences(user);
+    } catch (error) {
+      logger.error('Update discovery preferences failed', { userId, error: error.message });
+      throw error;
+    }
+  }
+
+  /**
+   * Preferences plus what they resolve to and the allowed values,
+   * for the settings screen
+   * @private
+   */
+  _formatDiscoveryPreferences(user) {
+    const preferences = user.discoveryPreferences || {};
+    const { minAge, maxAge } = getAgeRange(user);
+
+    const hardFilters = {};
+    HARD_FILTER_KEYS.forEach(key => {
+      hardFilters[key] = {
+        value: preferences[key]?.value || null,
+        acceptable: preferences[key]?.acceptable || []
+      };
+    });
+
+    return {
+      preferences: {
+        ageMin: preferences.ageMin ?? null,
+        ageMax: preferences.ageMax ?? null,
+        maxDistanceKm: preferences.maxDistanceKm ?? null,
+        ...hardFilters
+      },
+      // What matching actually uses
+      effective: {
+        ageMin: minAge,
+        ageMax: maxAge,
+        maxDistanceKm: DistanceService.getSearchRadius(user)
+      },
+      limits: {
+        ageMin: AGE_LIMITS.min,
+        ageMax: AGE_LIMITS.max,
+        maxDistanceKm: DistanceService.getDistanceLimit(user)
+      },
+      options: HARD_FILTERS
+    };
+  }
 }
 
 module.exports = new UserService();
\ No newline at end of file
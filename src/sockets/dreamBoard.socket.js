@@ -0,0 +1,56 @@
+// src/sockets/dreamBoard.socket.js
+
+const dreamBoardService = require('../services/games/dreamBoard.service');
+const logger = require('../utils/logger');
+
+/**
+ * DREAM BOARD SOCKET HANDLERS
+ *
+ * The game is async (card selections and voice notes go over REST), so
+ * sockets only keep both players in sync. Partner-facing events are sent by
+ * the service itself (services/games/gameEvents.service.js), so they fire
+ * for REST calls too. Invitations: db:invite / accept / decline
+ * (sockets/games.socket.js).
+ *
+ * Events from Client → Server:
+ * - db:state              - Fetch current session state (e.g. after reconnect)
+ *
+ * Events from Server → Client:
+ * - db:state              - Session state (reply to db:state)
+ * - db:progress           - Partner picked a card or added an elaboration
+ * - db:results_ready      - Analysis finished
+ * - db:note_posted        - Partner posted a discussion voice note
+ * - db:abandoned          - Partner left the game
+ * - db:error              - Error occurred
+ */
+
+/**
+ * Initialize Dream Board socket handlers
+ * @param {Server} io - Socket.io server instance
+ * @param {Socket} socket - Individual socket connection
+ * @param {Object} socketManager - Socket manager with helper methods
+ */
+function initializeDreamBoardSocket(io, socket, socketManager) {
+  const userId = socket.userId;
+  if (!userId) return;
+
+  // -------------------------------------------------
+  // STATE - Sync session state
+  // -------------------------------------------------
+  socket.on('db:state', async ({ sessionId } = {}) => {
+    try {
+      if (!sessionId) {
+        socket.emit('db:error', { code: 'MISSING_SESSION', message: 'Session ID required' });
+        return;
+      }
+
+      socket.emit('db:state', await dreamBoardService.getSessionState(sessionId, userId, socket.locale));
+
+    } catch (error) {
+      logger.error('[DB] State error:', error);
+      socket.emit('db:error', { code: 'STATE_FAILED', message: error.message });
+    }
+  });
+}
+
+module.exports = { initializeDreamBoardSocket };
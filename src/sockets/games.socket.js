@@ -0,0 +1,153 @@
+// src/sockets/games.socket.js
+
+const gamesService = require('../services/games/games.service');
+const gameRegistry = require('../services/games/gameRegistry');
+const logger = require('../utils/logger');
+
+/**
+ * GAME INVITATION SOCKET HANDLERS
+ *
+ * Invitations of every registered game over the socket, with the game's
+ * event prefix (services/games/gameRegistry.js). They run the same flow as
+ * the REST endpoints (POST /api/v1/games/:gameType/invitations, ...), so
+ * the other player is told by the engine either way (<prefix>:invited /
+ * accepted / declined, see services/games/gameEvents.service.js).
+ *
+ * Events from Client → Server:
+ * - <prefix>:invite              - { matchId, mode?, focusPack? }
+ * - <prefix>:accept              - { sessionId }
+ * - <prefix>:decline             - { sessionId }
+ *
+ * Events from Server → Client (replies to the caller):
+ * - <prefix>:invitation_sent     - { session, initiator, invitedUser }
+ * - <prefix>:invitation_accepted - Same shape
+ * - <prefix>:invitation_declined - Same shape
+ * - <prefix>:error               - { code, message }
+ *
+ * Live games (Would You Rather, Intimacy Spectrum, Never Have I Ever) are
+ * played in a session room: both players send <prefix>:join once the
+ * invitation is sent / accepted (see the game's own socket file).
+ *
+ * Deprecated, for clients from before invitations moved here:
+ * - ttl:invite { partnerId } and ttl:accept / ttl:decline { gameId }
+ * - After accepting, the game's state: <prefix>:async_state for an async
+ *   game, wwyd:state / db:state / ttl:state for the turn-based games
+ * - After declining, wyr:declined { sessionId }, or
+ *   is:state / nhie:state { status: 'declined', sessionId }
+ */
+
+// The turn-based games' state, sent after accepting (deprecated)
+const LEGACY_STATES = {
+  what_would_you_do: (engine, sessionId, userId) => engine.getSessionState(sessionId, userId),
+  dream_board: (engine, sessionId, userId, locale) => engine.getSessionState(sessionId, userId, locale),
+  two_truths_lie: (engine, sessionId, userId) => engine.getGameDetails(sessionId, userId),
+};
+
+// Reply after declining (deprecated): [event, payload]
+const LEGACY_DECLINED = {
+  would_you_rather: (sessionId) => ['declined', { sessionId }],
+  intimacy_spectrum: (sessionId) => ['state', { status: 'declined', sessionId }],
+  never_have_i_ever: (sessionId) => ['state', { status: 'declined', sessionId }],
+};
+
+/**
+ * Initialize invitation handlers for every game
+ * @param {Server} io - Socket.io server instance
+ * @param {Socket} socket - Individual socket connection
+ */
+function initializeGamesSocket(io, socket) {
+  const userId = socket.userId;
+  if (!userId) return;
+
+  gameRegistry.getAll().forEach(({ type, eventPrefix }) => {
+    const fail = (code, error) => {
+      logger.error(`[${eventPrefix.toUpperCase()}] ${code}:`, error);
+      socket.emit(`${eventPrefix}:error`, { code, message: error.message });
+    };
+
+    // -------------------------------------------------
+    // INVITE - Create and send game invitation
+    // -------------------------------------------------
+    socket.on(`${eventPrefix}:invite`, async ({ matchId, partnerId, mode, focusPack = null } = {}) => {
+      if (!matchId && !partnerId) {
+        socket.emit(`${eventPrefix}:error`, { code: 'MISSING_MATCH', message: 'Match ID required' });
+        return;
+      }
+      if (!matchId && partnerId.toString() === userId.toString()) {
+        socket.emit(`${eventPrefix}:error`, { code: 'INVALID_PARTNER', message: 'Cannot start a game with yourself' });
+        return;
+      }
+
+      try {
+        const invitedMatchId = matchId || await gamesService.getMatchIdWithPartner(userId, partnerId);
+        const invitation = await gamesService.createInvitation(userId, type, { matchId: invitedMatchId, mode, focusPack });
+        socket.emit(`${eventPrefix}:invitation_sent`, invitation);
+      } catch (error) {
+        fail('INVITE_FAILED', error);
+      }
+    });
+
+    // -------------------------------------------------
+    // ACCEPT / DECLINE - Answer an invitation
+    // -------------------------------------------------
+    socket.on(`${eventPrefix}:accept`, async ({ sessionId = null, gameId = null } = {}) => {
+      const id = sessionId || gameId;
+      if (!id) {
+        socket.emit(`${eventPrefix}:error`, { code: 'MISSING_SESSION', message: 'Session ID required' });
+        return;
+      }
+
+      let invitation;
+      try {
+        invitation = await gamesService.acceptInvitation(userId, type, id);
+        socket.emit(`${eventPrefix}:invitation_accepted`, invitation);
+      } catch (error) {
+        fail('ACCEPT_FAILED', error);
+        return;
+      }
+
+      try {
+        await emitLegacyState(socket, type, eventPrefix, invitation.session, userId);
+      } catch (error) {
+        fail('STATE_FAILED', error);
+      }
+    });
+
+    socket.on(`${eventPrefix}:decline`, async ({ sessionId = null, gameId = null } = {}) => {
+      const id = sessionId || gameId;
+      if (!id) {
+        socket.emit(`${eventPrefix}:error`, { code: 'MISSING_SESSION', message: 'Session ID required' });
+        return;
+      }
+
+      try {
+        const invitation = await gamesService.declineInvitation(userId, type, id);
+        socket.emit(`${eventPrefix}:invitation_declined`, invitation);
+
+        if (LEGACY_DECLINED[type]) {
+          const [event, payload] = LEGACY_DECLINED[type](invitation.session.sessionId);
+          socket.emit(`${eventPrefix}:${event}`, payload);
+        }
+      } catch (error) {
+        fail('DECLINE_FAILED', error);
+      }
+    });
+  });
+}
+
+/**
+ * Send the game's state after accepting, as the game's own socket did
+ * (deprecated)
+ * @param {Object} session - Session view of the accepted invitation
+ */
+async function emitLegacyState(socket, type, eventPrefix, session, userId) {
+  const engine = gameRegistry.getEngine(type);
+
+  if (session.mode === 'async') {
+    socket.emit(`${eventPrefix}:async_state`, await engine.getAsyncState(session.sessionId, userId, socket.locale));
+  } else if (LEGACY_STATES[type]) {
+    socket.emit(`${eventPrefix}:state`, await LEGACY_STATES[type](engine, session.sessionId, userId, socket.locale));
+  }
+}
+
+module.exports = { initializeGamesSocket };
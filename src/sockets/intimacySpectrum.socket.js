@@ -3,13 +3,10 @@
 const intimacySpectrumService = require('../services/games/intimacySpectrum.service');
 const IntimacySpectrumSession = require('../models/games/IntimacySpectrumSession');
 const IntimacySpectrumQuestion = require('../models/games/IntimacySpectrumQuestion');
+const User = require('../models/User');
+const gameTimerService = require('../services/games/gameTimer.service');
 const logger = require('../utils/logger');
 
-// =====================================================
-// TIMER STORAGE (minimal - just for question timeouts)
-// =====================================================
-const gameTimers = new Map(); // sessionId -> { timeout, type }
-
 // =====================================================
 // CONSTANTS
 // =====================================================
@@ -18,6 +15,21 @@ const COUNTDOWN_TIME_MS = 3 * 1000;
 const REVEAL_TIME_MS = 5 * 1000;
 const RECONNECT_GRACE_MS = 60 * 1000; // 1 minute to reconnect
 
+// =====================================================
+// TIMERS (persisted on the session, see services/games/gameTimer.service.js)
+// =====================================================
+const TIMER_GAME = intimacySpectrumService.config.timerGame;
+
+gameTimerService.register(TIMER_GAME, {
+  model: IntimacySpectrumSession,
+  handlers: {
+    start_game: (sessionId, deadline, { io }) => startGame(io, sessionId),
+    question_timeout: (sessionId, deadline, { io }) => handleTimeout(io, sessionId, deadline.questionIndex),
+    next_question: (sessionId, deadline, { io }) => nextQuestion(io, sessionId)
+  },
+  recover: recoverTimers
+});
+
 // =====================================================
 // HELPER FUNCTIONS
 // =====================================================
@@ -26,29 +38,26 @@ function getRoom(sessionId) {
   return `is:${sessionId}`;
 }
 
-function clearTimer(sessionId) {
-  const timer = gameTimers.get(sessionId);
-  if (timer) {
-    clearTimeout(timer.timeout);
-    gameTimers.delete(sessionId);
-  }
+async function clearTimer(sessionId) {
+  await gameTimerService.cancel(TIMER_GAME, sessionId);
 }
 
-function getPlayerId(session, oduserId) {
-  const odusId = oduserId.toString();
+function getPlayerId(session, userId) {
+  const userIdStr = userId.toString();
   const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
   const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
   
-  if (odusId === p1Id) return { isPlayer1: true, oduserId: p1Id, partnerId: p2Id };
-  if (odusId === p2Id) return { isPlayer1: false, oduserId: p2Id, partnerId: p1Id };
+  if (userIdStr === p1Id) return { isPlayer1: true, userId: p1Id, partnerId: p2Id };
+  if (userIdStr === p2Id) return { isPlayer1: false, userId: p2Id, partnerId: p1Id };
   return null;
 }
 
 /**
  * Build complete state object for frontend
+ * (question in the player's language)
  */
-async function buildStatePayload(session, oduserId) {
-  const playerInfo = getPlayerId(session, oduserId);
+async function buildStatePayload(session, userId, locale = null) {
+  const playerInfo = getPlayerId(session, userId);
   if (!playerInfo) return null;
 
   const { isPlayer1, partnerId } = playerInfo;
@@ -59,10 +68,11 @@ async function buildStatePayload(session, oduserId) {
     sessionId: session.sessionId,
     status: session.status,
     currentQuestionIndex: session.currentQuestionIndex,
-    totalQuestions: 30,
-    progress: Math.round((session.currentQuestionIndex / 30) * 100),
+    totalQuestions: session.totalQuestions,
+    progress: Math.round((session.currentQuestionIndex / session.totalQuestions) * 100),
+    excludedCategories: session.excludedCategories,
     partner: {
-      oduserId: partnerId,
+      userId: partnerId,
       firstName: partner.userId.firstName,
       lastName: partner.userId.lastName,
       profilePhoto: partner.userId.profilePhoto,
@@ -70,14 +80,15 @@ async function buildStatePayload(session, oduserId) {
     },
     you: {
       isConnected: player.isConnected,
-      totalAnswered: player.answers.filter(a => a.position !== null).length
+      totalAnswered: player.answers.filter(a => a.position !== null).length,
+      totalRatherNotSay: player.totalRatherNotSay
     }
   };
 
   // Add current question if playing
-  if (session.status === 'playing' && session.currentQuestionIndex < 30) {
+  if (session.status === 'playing' && session.currentQuestionIndex < session.totalQuestions) {
     const questionNumber = session.questionOrder[session.currentQuestionIndex];
-    const question = await IntimacySpectrumQuestion.findOne({ questionNumber });
+    const question = await IntimacySpectrumQuestion.findVersionAsOf(questionNumber, session.createdAt, locale);
     
     if (question) {
       state.currentQuestion = {
@@ -100,7 +111,8 @@ async function buildStatePayload(session, oduserId) {
       const partnerAnswer = partner.answers.find(a => a.questionNumber === questionNumber);
       
       state.myAnswer = myAnswer?.position ?? null;
-      state.partnerAnswered = partnerAnswer?.position !== null && partnerAnswer?.position !== undefined;
+      state.myRatherNotSay = Boolean(myAnswer?.ratherNotSay);
+      state.partnerAnswered = IntimacySpectrumSession.hasResponded(partnerAnswer);
     }
   }
 
@@ -123,8 +135,10 @@ async function emitStateToRoom(io, session) {
   const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
   const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
 
-  const p1State = await buildStatePayload(session, p1Id);
-  const p2State = await buildStatePayload(session, p2Id);
+  const locales = await User.getLocales([p1Id, p2Id]);
+
+  const p1State = await buildStatePayload(session, p1Id, locales.get(p1Id));
+  const p2State = await buildStatePayload(session, p2Id, locales.get(p2Id));
 
   // Emit to each player's socket
   io.to(`user:${p1Id}`).emit('is:state', p1State);
@@ -135,9 +149,19 @@ async function emitStateToRoom(io, session) {
 // GAME FLOW FUNCTIONS
 // =====================================================
 
+/**
+ * Schedule the game start and emit the countdown
+ * @returns {Promise<Boolean>} False if a countdown is already running
+ */
 async function startCountdown(io, sessionId) {
   const room = getRoom(sessionId);
-  
+
+  // Set timer to start game (only if no countdown already running)
+  const scheduled = await gameTimerService.schedule(TIMER_GAME, sessionId, 'start_game', COUNTDOWN_TIME_MS, {
+    onlyIfNone: true
+  });
+  if (!scheduled) return false;
+
   logger.info('[IS] Starting countdown', { sessionId });
 
   // Emit countdown start
@@ -147,19 +171,12 @@ async function startCountdown(io, sessionId) {
     startsAt: new Date(Date.now() + COUNTDOWN_TIME_MS).toISOString()
   });
 
-  // Set timer to start game
-  const timeout = setTimeout(async () => {
-    await startGame(io, sessionId);
-  }, COUNTDOWN_TIME_MS);
-
-  gameTimers.set(sessionId, { timeout, type: 'countdown' });
+  return true;
 }
 
 async function startGame(io, sessionId) {
   try {
     logger.info('[IS] startGame() called', { sessionId });
-    
-    clearTimer(sessionId);
 
     const session = await IntimacySpectrumSession.findBySessionId(sessionId);
     if (!session) {
@@ -196,22 +213,18 @@ async function startGame(io, sessionId) {
     await emitStateToRoom(io, updatedSession);
 
     // Start question timer
-    startQuestionTimer(io, sessionId, 0);
+    await startQuestionTimer(sessionId, 0);
 
   } catch (error) {
     logger.error('[IS] Start game error:', error);
   }
 }
 
-function startQuestionTimer(io, sessionId, questionIndex) {
-  clearTimer(sessionId);
-
-  const timeout = setTimeout(async () => {
-    await handleTimeout(io, sessionId, questionIndex);
-  }, QUESTION_TIME_MS);
+async function startQuestionTimer(sessionId, questionIndex, delayMs = QUESTION_TIME_MS) {
+  await gameTimerService.schedule(TIMER_GAME, sessionId, 'question_timeout', delayMs, {
+    questionIndex
+  });
 
-  gameTimers.set(sessionId, { timeout, type: 'question', questionIndex });
-  
   logger.info('[IS] Question timer started', { sessionId, questionIndex });
 }
 
@@ -236,25 +249,29 @@ async function handleTimeout(io, sessionId, questionIndex) {
 
 async function doReveal(io, sessionId, questionIndex) {
   try {
-    clearTimer(sessionId);
+    // Auto-advance after reveal (replaces the question timer)
+    await gameTimerService.schedule(TIMER_GAME, sessionId, 'next_question', REVEAL_TIME_MS);
 
     const revealData = await intimacySpectrumService.getRevealData(sessionId, questionIndex);
-    const room = getRoom(sessionId);
+    const playerIds = [revealData.player1.userId.toString(), revealData.player2.userId.toString()];
+    const locales = await User.getLocales(playerIds);
 
     logger.info('[IS] Sending reveal', { sessionId, questionIndex, gap: revealData.gap });
 
-    io.to(room).emit('is:reveal', {
-      sessionId,
-      questionIndex,
-      ...revealData
-    });
-
-    // Auto-advance after reveal
-    const timeout = setTimeout(async () => {
-      await nextQuestion(io, sessionId);
-    }, REVEAL_TIME_MS);
+    // Each player gets the question in their own language
+    for (const playerId of playerIds) {
+      const { questionNumber, ...question } = await IntimacySpectrumQuestion.localize(
+        { questionNumber: revealData.questionNumber, ...revealData.question },
+        locales.get(playerId)
+      );
 
-    gameTimers.set(sessionId, { timeout, type: 'reveal' });
+      io.to(`user:${playerId}`).emit('is:reveal', {
+        sessionId,
+        questionIndex,
+        ...revealData,
+        question
+      });
+    }
 
   } catch (error) {
     logger.error('[IS] Reveal error:', error);
@@ -263,8 +280,6 @@ async function doReveal(io, sessionId, questionIndex) {
 
 async function nextQuestion(io, sessionId) {
   try {
-    clearTimer(sessionId);
-
     const result = await intimacySpectrumService.nextQuestion(sessionId);
 
     if (result.isComplete) {
@@ -274,8 +289,8 @@ async function nextQuestion(io, sessionId) {
       
       logger.info('[IS] Next question', { sessionId, index: result.currentQuestion.index });
       
+      await startQuestionTimer(sessionId, result.currentQuestion.index);
       await emitStateToRoom(io, session);
-      startQuestionTimer(io, sessionId, result.currentQuestion.index);
     }
 
   } catch (error) {
@@ -285,7 +300,7 @@ async function nextQuestion(io, sessionId) {
 
 async function completeGame(io, sessionId) {
   try {
-    clearTimer(sessionId);
+    await clearTimer(sessionId);
 
     const results = await intimacySpectrumService.getResults(sessionId);
     const session = await IntimacySpectrumSession.findBySessionId(sessionId);
@@ -304,92 +319,46 @@ async function completeGame(io, sessionId) {
   }
 }
 
+/**
+ * Boot recovery: re-arm question timers of games in progress
+ * @returns {Promise<Number>} Sessions re-armed
+ */
+async function recoverTimers() {
+  const sessions = await IntimacySpectrumSession.find({
+    status: 'playing',
+    mode: { $ne: 'async' },
+    'timerDeadline.token': null
+  }).select('sessionId currentQuestionIndex currentQuestionExpiresAt');
+
+  for (const session of sessions) {
+    const timeLeft = session.currentQuestionExpiresAt
+      ? session.currentQuestionExpiresAt - Date.now()
+      : 0;
+
+    await gameTimerService.schedule(TIMER_GAME, session.sessionId, 'question_timeout', timeLeft, {
+      questionIndex: session.currentQuestionIndex
+    });
+  }
+
+  return sessions.length;
+}
+
 // =====================================================
 // MAIN SOCKET HANDLER
 // =====================================================
 
+// Invitations (is:invite / is:accept / is:decline) are handled for every game
+// by sockets/games.socket.js; both players then send is:join, which starts
+// the countdown once both are connected.
+
 function initializeIntimacySpectrumSocket(io, socket, socketManager) {
-  const oduserId = socket.userId;
-  if (!oduserId) return;
+  const userId = socket.userId;
+  if (!userId) return;
 
   // Join user's personal room for targeted events
-  socket.join(`user:${oduserId}`);
-
-  logger.info('[IS] Socket initialized', { oduserId });
-
-  // -------------------------------------------------
-  // INVITE - Create and send game invitation
-  // -------------------------------------------------
-  socket.on('is:invite', async ({ matchId }) => {
-    try {
-      if (!matchId) {
-        socket.emit('is:error', { code: 'MISSING_MATCH', message: 'Match ID required' });
-        return;
-      }
-
-      // Check if user already has an active game
-      const existingSession = await IntimacySpectrumSession.findActiveForUser(oduserId);
-      if (existingSession) {
-        socket.emit('is:error', { 
-          code: 'ALREADY_IN_GAME',
-          message: 'You already have an active game',
-          sessionId: existingSession.sessionId
-        });
-        return;
-      }
-
-      // Create the invitation
-      const result = await intimacySpectrumService.createInvitation(oduserId, matchId);
-      const { session, invitedUser } = result;
-
-      // Join the session room
-      socket.join(getRoom(session.sessionId));
-
-      // Mark player 1 as connected
-      await intimacySpectrumService.updateConnectionStatus(session.sessionId, oduserId, true);
-
-      // Confirm to initiator
-      socket.emit('is:invitation_sent', {
-        sessionId: session.sessionId,
-        status: 'pending',
-        expiresAt: session.expiresAt,
-        invitedUser: {
-          oduserId: invitedUser.oduserId,
-          firstName: invitedUser.firstName,
-          lastName: invitedUser.lastName,
-          profilePhoto: invitedUser.profilePhoto
-        }
-      });
-
-      // Notify invited user
-      io.to(`user:${invitedUser.oduserId}`).emit('is:invited', {
-        sessionId: session.sessionId,
-        expiresAt: session.expiresAt,
-        invitedBy: {
-          oduserId: oduserId.toString(),
-          firstName: session.player1.userId.firstName,
-          lastName: session.player1.userId.lastName,
-          profilePhoto: session.player1.userId.profilePhoto
-        },
-        gameInfo: {
-          name: 'Intimacy Spectrum',
-          description: 'Explore your compatibility through 30 intimate questions',
-          questionCount: 30,
-          timePerQuestion: 20
-        }
-      });
-
-      logger.info('[IS] Invitation created and sent', {
-        sessionId: session.sessionId,
-        from: oduserId,
-        to: invitedUser.oduserId
-      });
+  socket.join(`user:${userId}`);
 
-    } catch (error) {
-      logger.error('[IS] Invite error:', error);
-      socket.emit('is:error', { code: 'INVITE_FAILED', message: error.message });
-    }
-  });
+  logger.info('[IS] Socket initialized', { userId });
 
   // -------------------------------------------------
   // JOIN - Get current game state
@@ -401,7 +370,7 @@ function initializeIntimacySpectrumSocket(io, socket, socketManager) {
       if (sessionId) {
         session = await IntimacySpectrumSession.findBySessionId(sessionId);
       } else {
-        session = await IntimacySpectrumSession.findActiveForUser(oduserId);
+        session = await IntimacySpectrumSession.findActiveForUser(userId);
       }
 
       if (!session) {
@@ -409,31 +378,37 @@ function initializeIntimacySpectrumSocket(io, socket, socketManager) {
         return;
       }
 
-      const playerInfo = getPlayerId(session, oduserId);
+      const playerInfo = getPlayerId(session, userId);
       if (!playerInfo) {
         socket.emit('is:error', { code: 'NOT_PLAYER', message: 'Not a player in this game' });
         return;
       }
 
+      // Async games have no shared question - send this player's own state
+      if (session.isAsync) {
+        socket.emit('is:async_state', await intimacySpectrumService.getAsyncState(session.sessionId, userId, socket.locale));
+        return;
+      }
+
       // Join session room
       socket.join(getRoom(session.sessionId));
 
       // Mark connected
-      await intimacySpectrumService.updateConnectionStatus(session.sessionId, oduserId, true);
+      await intimacySpectrumService.updateConnectionStatus(session.sessionId, userId, true);
 
       // Reload and emit state
       session = await IntimacySpectrumSession.findBySessionId(session.sessionId);
-      const state = await buildStatePayload(session, oduserId);
+      const state = await buildStatePayload(session, userId, socket.locale);
       
       socket.emit('is:state', state);
 
       // Notify partner
       socket.to(getRoom(session.sessionId)).emit('is:partner_connected', {
-        oduserId: oduserId.toString()
+        userId: userId.toString()
       });
 
       logger.info('[IS] Player joined', { 
-        oduserId, 
+        userId, 
         sessionId: session.sessionId, 
         status: session.status,
         p1Connected: session.player1.isConnected,
@@ -443,11 +418,10 @@ function initializeIntimacySpectrumSocket(io, socket, socketManager) {
       // If status is 'starting' and both now connected, start countdown
       if (session.status === 'starting' && session.player1.isConnected && session.player2.isConnected) {
         // Only start if no countdown already running
-        if (!gameTimers.has(session.sessionId)) {
+        if (await startCountdown(io, session.sessionId)) {
           logger.info('[IS] Both players connected in starting state, beginning countdown', { 
             sessionId: session.sessionId 
           });
-          await startCountdown(io, session.sessionId);
         } else {
           logger.info('[IS] Countdown already running', { sessionId: session.sessionId });
         }
@@ -460,14 +434,12 @@ function initializeIntimacySpectrumSocket(io, socket, socketManager) {
         
         logger.info('[IS] Resuming paused game', { sessionId: session.sessionId });
         
-        // Restart question timer
+        // Restart question timer (times out right away if it expired while paused)
         const timeLeft = session.currentQuestionExpiresAt 
           ? Math.max(0, session.currentQuestionExpiresAt - Date.now())
           : QUESTION_TIME_MS;
         
-        if (timeLeft > 0) {
-          startQuestionTimer(io, session.sessionId, session.currentQuestionIndex);
-        }
+        await startQuestionTimer(session.sessionId, session.currentQuestionIndex, timeLeft);
         
         await emitStateToRoom(io, session);
       }
@@ -478,105 +450,35 @@ function initializeIntimacySpectrumSocket(io, socket, socketManager) {
     }
   });
 
-  // -------------------------------------------------
-  // ACCEPT - Accept invitation
-  // -------------------------------------------------
-  socket.on('is:accept', async ({ sessionId }) => {
-    try {
-      if (!sessionId) {
-        socket.emit('is:error', { code: 'MISSING_SESSION', message: 'Session ID required' });
-        return;
-      }
-
-      // Check if user already has an active game (different from this one)
-      const existingSession = await IntimacySpectrumSession.findActiveForUser(oduserId);
-      if (existingSession && existingSession.sessionId !== sessionId) {
-        socket.emit('is:error', { 
-          code: 'ALREADY_IN_GAME',
-          message: 'You already have an active game',
-          sessionId: existingSession.sessionId
-        });
-        return;
-      }
-
-      const session = await intimacySpectrumService.acceptInvitation(sessionId, oduserId);
-      
-      // Join room
-      socket.join(getRoom(sessionId));
-      
-      // Mark connected
-      await intimacySpectrumService.updateConnectionStatus(sessionId, oduserId, true);
-
-      // Reload session
-      const updatedSession = await IntimacySpectrumSession.findBySessionId(sessionId);
-
-      logger.info('[IS] Invitation accepted', { 
-        sessionId, 
-        oduserId,
-        p1Connected: updatedSession.player1.isConnected,
-        p2Connected: updatedSession.player2.isConnected
-      });
-
-      // Emit updated state to both
-      await emitStateToRoom(io, updatedSession);
-
-      // Start countdown if both connected
-      if (updatedSession.player1.isConnected && updatedSession.player2.isConnected) {
-        await startCountdown(io, sessionId);
-      }
-
-    } catch (error) {
-      logger.error('[IS] Accept error:', error);
-      socket.emit('is:error', { code: 'ACCEPT_FAILED', message: error.message });
-    }
-  });
-
-  // -------------------------------------------------
-  // DECLINE - Decline invitation
-  // -------------------------------------------------
-  socket.on('is:decline', async ({ sessionId }) => {
-    try {
-      if (!sessionId) return;
-
-      await intimacySpectrumService.declineInvitation(sessionId, oduserId);
-      
-      const room = getRoom(sessionId);
-      io.to(room).emit('is:state', { status: 'declined', sessionId });
-
-      clearTimer(sessionId);
-
-      logger.info('[IS] Invitation declined', { sessionId, oduserId });
-
-    } catch (error) {
-      logger.error('[IS] Decline error:', error);
-    }
-  });
-
   // -------------------------------------------------
   // ANSWER - Submit slider answer
   // -------------------------------------------------
-  socket.on('is:answer', async ({ sessionId, position }) => {
+  socket.on('is:answer', async ({ sessionId, position, ratherNotSay = false }) => {
     try {
-      if (!sessionId || position === undefined) {
+      const skip = ratherNotSay === true;
+
+      if (!sessionId || (position === undefined && !skip)) {
         socket.emit('is:error', { code: 'INVALID_ANSWER', message: 'Session and position required' });
         return;
       }
 
-      const pos = parseInt(position);
-      if (isNaN(pos) || pos < 0 || pos > 100) {
+      // "I'd rather not say" carries no position
+      const pos = skip ? null : parseInt(position);
+      if (!skip && (isNaN(pos) || pos < 0 || pos > 100)) {
         socket.emit('is:error', { code: 'INVALID_POSITION', message: 'Position must be 0-100' });
         return;
       }
 
-      const result = await intimacySpectrumService.submitAnswer(sessionId, oduserId, pos);
+      const result = await intimacySpectrumService.submitAnswer(sessionId, userId, pos, skip);
 
-      logger.info('[IS] Answer submitted', { sessionId, oduserId, position: pos, bothAnswered: result.bothAnswered });
+      logger.info('[IS] Answer submitted', { sessionId, userId, position: pos, ratherNotSay: skip, bothAnswered: result.bothAnswered });
 
       // Confirm to player
       socket.emit('is:answer_recorded', { 
         sessionId, 
         questionIndex: result.questionIndex,
-        position: pos 
+        position: pos,
+        ratherNotSay: skip
       });
 
       // Notify partner they answered
@@ -603,28 +505,17 @@ function initializeIntimacySpectrumSocket(io, socket, socketManager) {
     try {
       if (!sessionId) return;
 
-      const session = await IntimacySpectrumSession.findBySessionId(sessionId);
-      if (!session) return;
-
-      const playerInfo = getPlayerId(session, oduserId);
-      if (!playerInfo) return;
+      // Only a game still in progress can be abandoned (the engine checks)
+      await intimacySpectrumService.abandonGame(sessionId, userId);
 
-      // Only abandon if game is in progress
-      if (['pending', 'starting', 'playing', 'paused'].includes(session.status)) {
-        session.status = 'abandoned';
-        await session.save();
-
-        clearTimer(sessionId);
-
-        const room = getRoom(sessionId);
-        io.to(room).emit('is:state', { 
-          status: 'abandoned',
-          sessionId,
-          quitBy: oduserId.toString()
-        });
+      const room = getRoom(sessionId);
+      io.to(room).emit('is:state', { 
+        status: 'abandoned',
+        sessionId,
+        quitBy: userId.toString()
+      });
 
-        logger.info('[IS] Game abandoned', { sessionId, oduserId });
-      }
+      logger.info('[IS] Game abandoned', { sessionId, userId });
 
     } catch (error) {
       logger.error('[IS] Quit error:', error);
@@ -637,20 +528,20 @@ function initializeIntimacySpectrumSocket(io, socket, socketManager) {
   socket.on('disconnect', async () => {
     try {
       // Find user's active session
-      const session = await IntimacySpectrumSession.findActiveForUser(oduserId);
+      const session = await IntimacySpectrumSession.findActiveForUser(userId);
       if (!session) return;
 
       // Mark disconnected
-      await intimacySpectrumService.updateConnectionStatus(session.sessionId, oduserId, false);
+      await intimacySpectrumService.updateConnectionStatus(session.sessionId, userId, false);
 
       const room = getRoom(session.sessionId);
 
       // Notify partner
       socket.to(room).emit('is:partner_disconnected', {
-        oduserId: oduserId.toString()
+        userId: userId.toString()
       });
 
-      logger.info('[IS] Player disconnected', { oduserId, sessionId: session.sessionId });
+      logger.info('[IS] Player disconnected', { userId, sessionId: session.sessionId });
 
       // Check if we should pause (give grace period)
       setTimeout(async () => {
@@ -658,7 +549,7 @@ function initializeIntimacySpectrumSocket(io, socket, socketManager) {
           const currentSession = await IntimacySpectrumSession.findBySessionId(session.sessionId);
           if (!currentSession) return;
           
-          const playerInfo = getPlayerId(currentSession, oduserId);
+          const playerInfo = getPlayerId(currentSession, userId);
           if (!playerInfo) return;
 
           const player = playerInfo.isPlayer1 ? currentSession.player1 : currentSession.player2;
@@ -668,7 +559,7 @@ function initializeIntimacySpectrumSocket(io, socket, socketManager) {
             currentSession.status = 'paused';
             await currentSession.save();
             
-            clearTimer(session.sessionId);
+            await clearTimer(session.sessionId);
             
             io.to(room).emit('is:state', {
               status: 'paused',
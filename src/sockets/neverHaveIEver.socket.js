@@ -3,13 +3,10 @@
 const neverHaveIEverService = require('../services/games/neverHaveIEver.service');
 const NeverHaveIEverSession = require('../models/games/NeverHaveIEverSession');
 const NeverHaveIEverQuestion = require('../models/games/NeverHaveIEverQuestion');
+const User = require('../models/User');
+const gameTimerService = require('../services/games/gameTimer.service');
 const logger = require('../utils/logger');
 
-// =====================================================
-// TIMER STORAGE (minimal - just for question timeouts)
-// =====================================================
-const gameTimers = new Map(); // sessionId -> { timeout, type }
-
 // =====================================================
 // CONSTANTS
 // =====================================================
@@ -18,6 +15,21 @@ const COUNTDOWN_TIME_MS = 3 * 1000;    // 3 second countdown
 const REVEAL_TIME_MS = 4 * 1000;       // 4 seconds to see reveal
 const RECONNECT_GRACE_MS = 60 * 1000;  // 1 minute to reconnect
 
+// =====================================================
+// TIMERS (persisted on the session, see services/games/gameTimer.service.js)
+// =====================================================
+const TIMER_GAME = neverHaveIEverService.config.timerGame;
+
+gameTimerService.register(TIMER_GAME, {
+  model: NeverHaveIEverSession,
+  handlers: {
+    start_game: (sessionId, deadline, { io }) => startGame(io, sessionId),
+    question_timeout: (sessionId, deadline, { io }) => handleTimeout(io, sessionId, deadline.questionIndex),
+    next_question: (sessionId, deadline, { io }) => nextQuestion(io, sessionId)
+  },
+  recover: recoverTimers
+});
+
 // =====================================================
 // HELPER FUNCTIONS
 // =====================================================
@@ -26,29 +38,26 @@ function getRoom(sessionId) {
   return `nhie:${sessionId}`;
 }
 
-function clearTimer(sessionId) {
-  const timer = gameTimers.get(sessionId);
-  if (timer) {
-    clearTimeout(timer.timeout);
-    gameTimers.delete(sessionId);
-  }
+async function clearTimer(sessionId) {
+  await gameTimerService.cancel(TIMER_GAME, sessionId);
 }
 
-function getPlayerId(session, oduserId) {
-  const odusId = oduserId.toString();
+function getPlayerId(session, userId) {
+  const userIdStr = userId.toString();
   const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
   const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
   
-  if (odusId === p1Id) return { isPlayer1: true, oduserId: p1Id, partnerId: p2Id };
-  if (odusId === p2Id) return { isPlayer1: false, oduserId: p2Id, partnerId: p1Id };
+  if (userIdStr === p1Id) return { isPlayer1: true, userId: p1Id, partnerId: p2Id };
+  if (userIdStr === p2Id) return { isPlayer1: false, userId: p2Id, partnerId: p1Id };
   return null;
 }
 
 /**
  * Build complete state object for frontend
+ * (question in the player's language)
  */
-async function buildStatePayload(session, oduserId) {
-  const playerInfo = getPlayerId(session, oduserId);
+async function buildStatePayload(session, userId, locale = null) {
+  const playerInfo = getPlayerId(session, userId);
   if (!playerInfo) return null;
 
   const { isPlayer1, partnerId } = playerInfo;
@@ -59,10 +68,11 @@ async function buildStatePayload(session, oduserId) {
     sessionId: session.sessionId,
     status: session.status,
     currentQuestionIndex: session.currentQuestionIndex,
-    totalQuestions: 30,
-    progress: Math.round((session.currentQuestionIndex / 30) * 100),
+    totalQuestions: session.totalQuestions,
+    progress: Math.round((session.currentQuestionIndex / session.totalQuestions) * 100),
+    excludedCategories: session.excludedCategories,
     partner: {
-      oduserId: partnerId,
+      userId: partnerId,
       firstName: partner.userId.firstName,
       lastName: partner.userId.lastName,
       profilePhoto: partner.userId.profilePhoto,
@@ -73,14 +83,15 @@ async function buildStatePayload(session, oduserId) {
       totalIHave: player.totalIHave || 0,
       totalIHavent: player.totalIHavent || 0,
       discoveryPoints: player.discoveryPoints || 0,
-      totalAnswered: player.answers?.length || 0
+      totalAnswered: player.answers?.length || 0,
+      totalRatherNotSay: player.totalRatherNotSay || 0
     }
   };
 
   // Add current question if playing
-  if (session.status === 'playing' && session.currentQuestionIndex < 30) {
+  if (session.status === 'playing' && session.currentQuestionIndex < session.totalQuestions) {
     const questionNumber = session.questionOrder[session.currentQuestionIndex];
-    const question = await NeverHaveIEverQuestion.findOne({ questionNumber });
+    const question = await NeverHaveIEverQuestion.findVersionAsOf(questionNumber, session.createdAt, locale);
     
     if (question) {
       state.currentQuestion = {
@@ -101,7 +112,8 @@ async function buildStatePayload(session, oduserId) {
       const partnerAnswer = partner.answers?.find(a => a.questionNumber === questionNumber);
       
       state.myAnswer = myAnswer?.answer ?? null;
-      state.partnerAnswered = partnerAnswer?.answer !== null && partnerAnswer?.answer !== undefined;
+      state.myRatherNotSay = Boolean(myAnswer?.ratherNotSay);
+      state.partnerAnswered = NeverHaveIEverSession.hasResponded(partnerAnswer);
     }
   }
 
@@ -122,8 +134,10 @@ async function emitStateToRoom(io, session) {
   const p1Id = session.player1.userId._id?.toString() || session.player1.userId.toString();
   const p2Id = session.player2.userId._id?.toString() || session.player2.userId.toString();
 
-  const p1State = await buildStatePayload(session, p1Id);
-  const p2State = await buildStatePayload(session, p2Id);
+  const locales = await User.getLocales([p1Id, p2Id]);
+
+  const p1State = await buildStatePayload(session, p1Id, locales.get(p1Id));
+  const p2State = await buildStatePayload(session, p2Id, locales.get(p2Id));
 
   // Emit to each player's socket
   io.to(`user:${p1Id}`).emit('nhie:state', p1State);
@@ -134,9 +148,19 @@ async function emitStateToRoom(io, session) {
 // GAME FLOW FUNCTIONS
 // =====================================================
 
+/**
+ * Schedule the game start and emit the countdown
+ * @returns {Promise<Boolean>} False if a countdown is already running
+ */
 async function startCountdown(io, sessionId) {
   const room = getRoom(sessionId);
-  
+
+  // Set timer to start game (only if no countdown already running)
+  const scheduled = await gameTimerService.schedule(TIMER_GAME, sessionId, 'start_game', COUNTDOWN_TIME_MS, {
+    onlyIfNone: true
+  });
+  if (!scheduled) return false;
+
   logger.info('[NHIE] Starting countdown', { sessionId });
 
   // Emit countdown start
@@ -146,19 +170,12 @@ async function startCountdown(io, sessionId) {
     startsAt: new Date(Date.now() + COUNTDOWN_TIME_MS).toISOString()
   });
 
-  // Set timer to start game
-  const timeout = setTimeout(async () => {
-    await startGame(io, sessionId);
-  }, COUNTDOWN_TIME_MS);
-
-  gameTimers.set(sessionId, { timeout, type: 'countdown' });
+  return true;
 }
 
 async function startGame(io, sessionId) {
   try {
     logger.info('[NHIE] startGame() called', { sessionId });
-    
-    clearTimer(sessionId);
 
     const session = await NeverHaveIEverSession.findBySessionId(sessionId);
     if (!session) {
@@ -195,23 +212,19 @@ async function startGame(io, sessionId) {
     await emitStateToRoom(io, updatedSession);
 
     // Start question timer
-    startQuestionTimer(io, sessionId, 0);
+    await startQuestionTimer(sessionId, 0);
 
   } catch (error) {
     logger.error('[NHIE] Start game error:', error);
   }
 }
 
-function startQuestionTimer(io, sessionId, questionIndex) {
-  clearTimer(sessionId);
-
-  const timeout = setTimeout(async () => {
-    await handleTimeout(io, sessionId, questionIndex);
-  }, QUESTION_TIME_MS);
+async function startQuestionTimer(sessionId, questionIndex, delayMs = QUESTION_TIME_MS) {
+  await gameTimerService.schedule(TIMER_GAME, sessionId, 'question_timeout', delayMs, {
+    questionIndex
+  });
 
-  gameTimers.set(sessionId, { timeout, type: 'question', questionIndex });
-  
-  logger.info('[NHIE] Question timer started', { sessionId, questionIndex, timeMs: QUESTION_TIME_MS });
+  logger.info('[NHIE] Question timer started', { sessionId, questionIndex, timeMs: delayMs });
 }
 
 async function handleTimeout(io, sessionId, questionIndex) {
@@ -235,10 +248,14 @@ async function handleTimeout(io, sessionId, questionIndex) {
 
 async function doReveal(io, sessionId, questionIndex) {
   try {
-    clearTimer(sessionId);
+    // Auto-advance after reveal (replaces the question timer)
+    await gameTimerService.schedule(TIMER_GAME, sessionId, 'next_question', REVEAL_TIME_MS);
 
     const revealData = await neverHaveIEverService.getRevealData(sessionId);
-    const room = getRoom(sessionId);
+    const session = await NeverHaveIEverSession.findBySessionId(sessionId);
+    const playerIds = [session.player1.userId, session.player2.userId]
+      .map(userId => userId._id?.toString() || userId.toString());
+    const locales = await User.getLocales(playerIds);
 
     logger.info('[NHIE] Sending reveal', { 
       sessionId, 
@@ -246,18 +263,20 @@ async function doReveal(io, sessionId, questionIndex) {
       outcome: revealData.outcome 
     });
 
-    io.to(room).emit('nhie:reveal', {
-      sessionId,
-      questionIndex,
-      ...revealData
-    });
-
-    // Auto-advance after reveal
-    const timeout = setTimeout(async () => {
-      await nextQuestion(io, sessionId);
-    }, REVEAL_TIME_MS);
+    // Each player gets the statement in their own language
+    for (const playerId of playerIds) {
+      const { statementText } = await NeverHaveIEverQuestion.localize(
+        { questionNumber: revealData.questionNumber, statementText: revealData.statementText },
+        locales.get(playerId)
+      );
 
-    gameTimers.set(sessionId, { timeout, type: 'reveal' });
+      io.to(`user:${playerId}`).emit('nhie:reveal', {
+        sessionId,
+        questionIndex,
+        ...revealData,
+        statementText
+      });
+    }
 
   } catch (error) {
     logger.error('[NHIE] Reveal error:', error);
@@ -266,8 +285,6 @@ async function doReveal(io, sessionId, questionIndex) {
 
 async function nextQuestion(io, sessionId) {
   try {
-    clearTimer(sessionId);
-
     const result = await neverHaveIEverService.nextQuestion(sessionId);
 
     if (result.isComplete) {
@@ -277,8 +294,8 @@ async function nextQuestion(io, sessionId) {
       
       logger.info('[NHIE] Next question', { sessionId, index: result.currentQuestion.index });
       
+      await startQuestionTimer(sessionId, result.currentQuestion.index);
       await emitStateToRoom(io, session);
-      startQuestionTimer(io, sessionId, result.currentQuestion.index);
     }
 
   } catch (error) {
@@ -288,7 +305,7 @@ async function nextQuestion(io, sessionId) {
 
 async function completeGame(io, sessionId) {
   try {
-    clearTimer(sessionId);
+    await clearTimer(sessionId);
 
     const results = await neverHaveIEverService.getResults(sessionId);
     const session = await NeverHaveIEverSession.findBySessionId(sessionId);
@@ -311,92 +328,46 @@ async function completeGame(io, sessionId) {
   }
 }
 
+/**
+ * Boot recovery: re-arm question timers of games in progress
+ * @returns {Promise<Number>} Sessions re-armed
+ */
+async function recoverTimers() {
+  const sessions = await NeverHaveIEverSession.find({
+    status: 'playing',
+    mode: { $ne: 'async' },
+    'timerDeadline.token': null
+  }).select('sessionId currentQuestionIndex currentQuestionExpiresAt');
+
+  for (const session of sessions) {
+    const timeLeft = session.currentQuestionExpiresAt
+      ? session.currentQuestionExpiresAt - Date.now()
+      : 0;
+
+    await gameTimerService.schedule(TIMER_GAME, session.sessionId, 'question_timeout', timeLeft, {
+      questionIndex: session.currentQuestionIndex
+    });
+  }
+
+  return sessions.length;
+}
+
 // =====================================================
 // MAIN SOCKET HANDLER
 // =====================================================
 
+// Invitations (nhie:invite / nhie:accept / nhie:decline) are handled for every
+// game by sockets/games.socket.js; both players then send nhie:join, which
+// starts the countdown once both are connected.
+
 function initializeNeverHaveIEverSocket(io, socket, socketManager) {
-  const oduserId = socket.userId;
-  if (!oduserId) return;
+  const userId = socket.userId;
+  if (!userId) return;
 
   // Join user's personal room for targeted events
-  socket.join(`user:${oduserId}`);
+  socket.join(`user:${userId}`);
 
-  logger.info('[NHIE] Socket initialized', { oduserId });
-
-  // -------------------------------------------------
-  // INVITE - Create and send game invitation
-  // -------------------------------------------------
-  socket.on('nhie:invite', async ({ matchId }) => {
-    try {
-      if (!matchId) {
-        socket.emit('nhie:error', { code: 'MISSING_MATCH', message: 'Match ID required' });
-        return;
-      }
-
-      // Check if user already has an active game
-      const existingSession = await NeverHaveIEverSession.findActiveForUser(oduserId);
-      if (existingSession) {
-        socket.emit('nhie:error', { 
-          code: 'ALREADY_IN_GAME',
-          message: 'You already have an active game',
-          sessionId: existingSession.sessionId
-        });
-        return;
-      }
-
-      // Create the invitation
-      const result = await neverHaveIEverService.createInvitation(oduserId, matchId);
-      const { session, invitedUser } = result;
-
-      // Join the session room
-      socket.join(getRoom(session.sessionId));
-
-      // Mark player 1 as connected
-      await neverHaveIEverService.updateConnectionStatus(session.sessionId, oduserId, true);
-
-      // Confirm to initiator
-      socket.emit('nhie:invitation_sent', {
-        sessionId: session.sessionId,
-        status: 'pending',
-        expiresAt: session.expiresAt,
-        invitedUser: {
-          oduserId: invitedUser.oduserId,
-          firstName: invitedUser.firstName,
-          lastName: invitedUser.lastName,
-          profilePhoto: invitedUser.profilePhoto
-        }
-      });
-
-      // Notify invited user
-      io.to(`user:${invitedUser.oduserId}`).emit('nhie:invited', {
-        sessionId: session.sessionId,
-        expiresAt: session.expiresAt,
-        invitedBy: {
-          oduserId: oduserId.toString(),
-          firstName: session.player1.userId.firstName,
-          lastName: session.player1.userId.lastName,
-          profilePhoto: session.player1.userId.profilePhoto
-        },
-        gameInfo: {
-          name: 'Never Have I Ever',
-          description: 'Discover hidden experiences and secrets through 30 revealing questions',
-          questionCount: 30,
-          timePerQuestion: 15
-        }
-      });
-
-      logger.info('[NHIE] Invitation created and sent', {
-        sessionId: session.sessionId,
-        from: oduserId,
-        to: invitedUser.oduserId
-      });
-
-    } catch (error) {
-      logger.error('[NHIE] Invite error:', error);
-      socket.emit('nhie:error', { code: 'INVITE_FAILED', message: error.message });
-    }
-  });
+  logger.info('[NHIE] Socket initialized', { userId });
 
   // -------------------------------------------------
   // JOIN - Get current game state
@@ -408,7 +379,7 @@ function initializeNeverHaveIEverSocket(io, socket, socketManager) {
       if (sessionId) {
         session = await NeverHaveIEverSession.findBySessionId(sessionId);
       } else {
-        session = await NeverHaveIEverSession.findActiveForUser(oduserId);
+        session = await NeverHaveIEverSession.findActiveForUser(userId);
       }
 
       if (!session) {
@@ -416,31 +387,37 @@ function initializeNeverHaveIEverSocket(io, socket, socketManager) {
         return;
       }
 
-      const playerInfo = getPlayerId(session, oduserId);
+      const playerInfo = getPlayerId(session, userId);
       if (!playerInfo) {
         socket.emit('nhie:error', { code: 'NOT_PLAYER', message: 'Not a player in this game' });
         return;
       }
 
+      // Async games have no shared question - send this player's own state
+      if (session.isAsync) {
+        socket.emit('nhie:async_state', await neverHaveIEverService.getAsyncState(session.sessionId, userId, socket.locale));
+        return;
+      }
+
       // Join session room
       socket.join(getRoom(session.sessionId));
 
       // Mark connected
-      await neverHaveIEverService.updateConnectionStatus(session.sessionId, oduserId, true);
+      await neverHaveIEverService.updateConnectionStatus(session.sessionId, userId, true);
 
       // Reload and emit state
       session = await NeverHaveIEverSession.findBySessionId(session.sessionId);
-      const state = await buildStatePayload(session, oduserId);
+      const state = await buildStatePayload(session, userId, socket.locale);
       
       socket.emit('nhie:state', state);
 
       // Notify partner
       socket.to(getRoom(session.sessionId)).emit('nhie:partner_connected', {
-        oduserId: oduserId.toString()
+        userId: userId.toString()
       });
 
       logger.info('[NHIE] Player joined', { 
-        oduserId, 
+        userId, 
         sessionId: session.sessionId, 
         status: session.status,
         p1Connected: session.player1.isConnected,
@@ -450,11 +427,10 @@ function initializeNeverHaveIEverSocket(io, socket, socketManager) {
       // If status is 'starting' and both now connected, start countdown
       if (session.status === 'starting' && session.player1.isConnected && session.player2.isConnected) {
         // Only start if no countdown already running
-        if (!gameTimers.has(session.sessionId)) {
+        if (await startCountdown(io, session.sessionId)) {
           logger.info('[NHIE] Both players connected in starting state, beginning countdown', { 
             sessionId: session.sessionId 
           });
-          await startCountdown(io, session.sessionId);
         } else {
           logger.info('[NHIE] Countdown already running', { sessionId: session.sessionId });
         }
@@ -468,18 +444,12 @@ function initializeNeverHaveIEverSocket(io, socket, socketManager) {
         logger.info('[NHIE] Resuming paused game', { sessionId: session.sessionId });
         
         // Restart question timer with remaining time
+        // (times out right away if it expired while paused)
         const timeLeft = session.currentQuestionExpiresAt 
           ? Math.max(0, session.currentQuestionExpiresAt - Date.now())
           : QUESTION_TIME_MS;
         
-        if (timeLeft > 0) {
-          // Use remaining time for this question
-          clearTimer(session.sessionId);
-          const timeout = setTimeout(async () => {
-            await handleTimeout(io, session.sessionId, session.currentQuestionIndex);
-          }, timeLeft);
-          gameTimers.set(session.sessionId, { timeout, type: 'question', questionIndex: session.currentQuestionIndex });
-        }
+        await startQuestionTimer(session.sessionId, session.currentQuestionIndex, timeLeft);
         
         await emitStateToRoom(io, session);
       }
@@ -490,99 +460,27 @@ function initializeNeverHaveIEverSocket(io, socket, socketManager) {
     }
   });
 
-  // -------------------------------------------------
-  // ACCEPT - Accept invitation
-  // -------------------------------------------------
-  socket.on('nhie:accept', async ({ sessionId }) => {
-    try {
-      if (!sessionId) {
-        socket.emit('nhie:error', { code: 'MISSING_SESSION', message: 'Session ID required' });
-        return;
-      }
-
-      // Check if user already has an active game (different from this one)
-      const existingSession = await NeverHaveIEverSession.findActiveForUser(oduserId);
-      if (existingSession && existingSession.sessionId !== sessionId) {
-        socket.emit('nhie:error', { 
-          code: 'ALREADY_IN_GAME',
-          message: 'You already have an active game',
-          sessionId: existingSession.sessionId
-        });
-        return;
-      }
-
-      const session = await neverHaveIEverService.acceptInvitation(sessionId, oduserId);
-      
-      // Join room
-      socket.join(getRoom(sessionId));
-      
-      // Mark connected
-      await neverHaveIEverService.updateConnectionStatus(sessionId, oduserId, true);
-
-      // Reload session
-      const updatedSession = await NeverHaveIEverSession.findBySessionId(sessionId);
-
-      logger.info('[NHIE] Invitation accepted', { 
-        sessionId, 
-        oduserId,
-        p1Connected: updatedSession.player1.isConnected,
-        p2Connected: updatedSession.player2.isConnected
-      });
-
-      // Emit updated state to both
-      await emitStateToRoom(io, updatedSession);
-
-      // Start countdown if both connected
-      if (updatedSession.player1.isConnected && updatedSession.player2.isConnected) {
-        await startCountdown(io, sessionId);
-      }
-
-    } catch (error) {
-      logger.error('[NHIE] Accept error:', error);
-      socket.emit('nhie:error', { code: 'ACCEPT_FAILED', message: error.message });
-    }
-  });
-
-  // -------------------------------------------------
-  // DECLINE - Decline invitation
-  // -------------------------------------------------
-  socket.on('nhie:decline', async ({ sessionId }) => {
-    try {
-      if (!sessionId) return;
-
-      await neverHaveIEverService.declineInvitation(sessionId, oduserId);
-      
-      const room = getRoom(sessionId);
-      io.to(room).emit('nhie:state', { status: 'declined', sessionId });
-
-      clearTimer(sessionId);
-
-      logger.info('[NHIE] Invitation declined', { sessionId, oduserId });
-
-    } catch (error) {
-      logger.error('[NHIE] Decline error:', error);
-    }
-  });
-
   // -------------------------------------------------
   // ANSWER - Submit "I Have" (true) or "I Haven't" (false)
   // -------------------------------------------------
-  socket.on('nhie:answer', async ({ sessionId, answer }) => {
+  socket.on('nhie:answer', async ({ sessionId, answer, ratherNotSay = false }) => {
     try {
-      if (!sessionId || answer === undefined || answer === null) {
+      const skip = ratherNotSay === true;
+
+      if (!sessionId || ((answer === undefined || answer === null) && !skip)) {
         socket.emit('nhie:error', { code: 'INVALID_ANSWER', message: 'Session and answer required' });
         return;
       }
 
-      // Ensure boolean
-      const boolAnswer = Boolean(answer);
+      // Ensure boolean ("I'd rather not say" carries no answer)
+      const boolAnswer = skip ? null : Boolean(answer);
 
-      const result = await neverHaveIEverService.recordAnswer(sessionId, oduserId, boolAnswer);
+      const result = await neverHaveIEverService.recordAnswer(sessionId, userId, boolAnswer, skip);
 
       logger.info('[NHIE] Answer submitted', { 
         sessionId, 
-        oduserId, 
-        answer: boolAnswer ? 'I Have' : 'I Haven\'t',
+        userId, 
+        answer: skip ? 'Rather not say' : (boolAnswer ? 'I Have' : 'I Haven\'t'),
         bothAnswered: result.bothAnswered 
       });
 
@@ -590,7 +488,8 @@ function initializeNeverHaveIEverSocket(io, socket, socketManager) {
       socket.emit('nhie:answer_recorded', { 
         sessionId, 
         questionIndex: result.questionIndex,
-        answer: boolAnswer
+        answer: boolAnswer,
+        ratherNotSay: skip
       });
 
       // Notify partner they answered (without revealing what)
@@ -617,28 +516,17 @@ function initializeNeverHaveIEverSocket(io, socket, socketManager) {
     try {
       if (!sessionId) return;
 
-      const session = await NeverHaveIEverSession.findBySessionId(sessionId);
-      if (!session) return;
-
-      const playerInfo = getPlayerId(session, oduserId);
-      if (!playerInfo) return;
+      // Only a game still in progress can be abandoned (the engine checks)
+      await neverHaveIEverService.abandonGame(sessionId, userId);
 
-      // Only abandon if game is in progress
-      if (['pending', 'starting', 'playing', 'paused'].includes(session.status)) {
-        session.status = 'abandoned';
-        await session.save();
-
-        clearTimer(sessionId);
-
-        const room = getRoom(sessionId);
-        io.to(room).emit('nhie:state', { 
-          status: 'abandoned',
-          sessionId,
-          quitBy: oduserId.toString()
-        });
+      const room = getRoom(sessionId);
+      io.to(room).emit('nhie:state', { 
+        status: 'abandoned',
+        sessionId,
+        quitBy: userId.toString()
+      });
 
-        logger.info('[NHIE] Game abandoned', { sessionId, oduserId });
-      }
+      logger.info('[NHIE] Game abandoned', { sessionId, userId });
 
     } catch (error) {
       logger.error('[NHIE] Quit error:', error);
@@ -651,20 +539,20 @@ function initializeNeverHaveIEverSocket(io, socket, socketManager) {
   socket.on('disconnect', async () => {
     try {
       // Find user's active session
-      const session = await NeverHaveIEverSession.findActiveForUser(oduserId);
+      const session = await NeverHaveIEverSession.findActiveForUser(userId);
       if (!session) return;
 
       // Mark disconnected
-      await neverHaveIEverService.updateConnectionStatus(session.sessionId, oduserId, false);
+      await neverHaveIEverService.updateConnectionStatus(session.sessionId, userId, false);
 
       const room = getRoom(session.sessionId);
 
       // Notify partner
       socket.to(room).emit('nhie:partner_disconnected', {
-        oduserId: oduserId.toString()
+        userId: userId.toString()
       });
 
-      logger.info('[NHIE] Player disconnected', { oduserId, sessionId: session.sessionId });
+      logger.info('[NHIE] Player disconnected', { userId, sessionId: session.sessionId });
 
       // Check if we should pause (give grace period)
       setTimeout(async () => {
@@ -672,7 +560,7 @@ function initializeNeverHaveIEverSocket(io, socket, socketManager) {
           const currentSession = await NeverHaveIEverSession.findBySessionId(session.sessionId);
           if (!currentSession) return;
           
-          const playerInfo = getPlayerId(currentSession, oduserId);
+          const playerInfo = getPlayerId(currentSession, userId);
           if (!playerInfo) return;
 
           const player = playerInfo.isPlayer1 ? currentSession.player1 : currentSession.player2;
@@ -682,7 +570,7 @@ function initializeNeverHaveIEverSocket(io, socket, socketManager) {
             currentSession.status = 'paused';
             await currentSession.save();
             
-            clearTimer(session.sessionId);
+            await clearTimer(session.sessionId);
             
             io.to(room).emit('nhie:state', {
               status: 'paused',
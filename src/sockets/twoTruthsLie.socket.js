@@ -0,0 +1,59 @@
+// src/sockets/twoTruthsLie.socket.js
+
+const twoTruthsLieService = require('../services/twoTruthsLie.service');
+const logger = require('../utils/logger');
+
+/**
+ * TWO TRUTHS & A LIE SOCKET HANDLERS
+ *
+ * The game is async (statements and guesses go over REST), so sockets only
+ * keep both players in sync. Partner-facing events are sent by the service
+ * itself (services/games/gameEvents.service.js), so they fire for REST calls
+ * too. Games are identified by gameId. Invitations: ttl:invite / accept /
+ * decline (sockets/games.socket.js).
+ *
+ * Events from Client → Server:
+ * - ttl:state             - Fetch current game state (e.g. after reconnect)
+ *
+ * Events from Server → Client:
+ * - ttl:state             - Game state (reply to ttl:state)
+ * - ttl:progress          - Partner submitted statements or answers
+ * - ttl:results_ready     - Both finished, results can be fetched
+ * - ttl:note_posted       - Partner sent a voice note
+ * - ttl:restart_requested - Partner wants to play again
+ * - ttl:restart_accepted  - Partner agreed, new game created
+ * - ttl:restart_declined  - Partner declined the restart
+ * - ttl:abandoned         - Partner cancelled the game
+ * - ttl:error             - Error occurred
+ */
+
+/**
+ * Initialize Two Truths & A Lie socket handlers
+ * @param {Server} io - Socket.io server instance
+ * @param {Socket} socket - Individual socket connection
+ * @param {Object} socketManager - Socket manager with helper methods
+ */
+function initializeTwoTruthsLieSocket(io, socket, socketManager) {
+  const userId = socket.userId;
+  if (!userId) return;
+
+  // -------------------------------------------------
+  // STATE - Sync game state
+  // -------------------------------------------------
+  socket.on('ttl:state', async ({ gameId } = {}) => {
+    try {
+      if (!gameId) {
+        socket.emit('ttl:error', { code: 'MISSING_GAME', message: 'Game ID required' });
+        return;
+      }
+
+      socket.emit('ttl:state', await twoTruthsLieService.getGameDetails(gameId, userId));
+
+    } catch (error) {
+      logger.error('[TTL] State error:', error);
+      socket.emit('ttl:error', { code: 'STATE_FAILED', message: error.message });
+    }
+  });
+}
+
+module.exports = { initializeTwoTruthsLieSocket };
@@ -0,0 +1,55 @@
+// src/sockets/whatWouldYouDo.socket.js
+
+const whatWouldYouDoService = require('../services/games/whatWouldYouDo.service');
+const logger = require('../utils/logger');
+
+/**
+ * WHAT WOULD YOU DO SOCKET HANDLERS
+ *
+ * The game is async (voice answers are uploaded over REST), so sockets only
+ * keep both players in sync. Partner-facing events are sent by the service
+ * itself (services/games/gameEvents.service.js), so they fire for REST calls
+ * too. Invitations: wwyd:invite / accept / decline (sockets/games.socket.js).
+ *
+ * Events from Client → Server:
+ * - wwyd:state            - Fetch current session state (e.g. after reconnect)
+ *
+ * Events from Server → Client:
+ * - wwyd:state            - Session state (reply to wwyd:state)
+ * - wwyd:progress         - Partner answered a scenario
+ * - wwyd:results_ready    - Analysis finished
+ * - wwyd:note_posted      - Partner posted a discussion voice note
+ * - wwyd:abandoned        - Partner left the game
+ * - wwyd:error            - Error occurred
+ */
+
+/**
+ * Initialize What Would You Do socket handlers
+ * @param {Server} io - Socket.io server instance
+ * @param {Socket} socket - Individual socket connection
+ * @param {Object} socketManager - Socket manager with helper methods
+ */
+function initializeWhatWouldYouDoSocket(io, socket, socketManager) {
+  const userId = socket.userId;
+  if (!userId) return;
+
+  // -------------------------------------------------
+  // STATE - Sync session state
+  // -------------------------------------------------
+  socket.on('wwyd:state', async ({ sessionId } = {}) => {
+    try {
+      if (!sessionId) {
+        socket.emit('wwyd:error', { code: 'MISSING_SESSION', message: 'Session ID required' });
+        return;
+      }
+
+      socket.emit('wwyd:state', await whatWouldYouDoService.getSessionState(sessionId, userId));
+
+    } catch (error) {
+      logger.error('[WWYD] State error:', error);
+      socket.emit('wwyd:error', { code: 'STATE_FAILED', message: error.message });
+    }
+  });
+}
+
+module.exports = { initializeWhatWouldYouDoSocket };
@@ -3,41 +3,60 @@
 const wouldYouRatherService = require('../services/games/wouldYouRather.service');
 const WouldYouRatherSession = require('../models/games/WouldYouRatherSession');
 const WouldYouRatherQuestion = require('../models/games/WouldYouRatherQuestion');
+const User = require('../models/User');
+const gameTimerService = require('../services/games/gameTimer.service');
 
 /**
  * WOULD YOU RATHER SOCKET HANDLERS
  * 
  * Real-time event handling for the Would You Rather game.
  * 
+ * Invitations (wyr:invite / wyr:accept / wyr:decline), abandoning and
+ * voice notes are shared by every game: sockets/games.socket.js and
+ * /api/v1/games/would_you_rather/..., with their events from
+ * services/games/gameEvents.service.js.
+ *
  * Events from Client → Server:
- * - wyr:invite         - Send game invitation
- * - wyr:accept         - Accept invitation
- * - wyr:decline        - Decline invitation
  * - wyr:answer         - Submit answer for current question
  * - wyr:ready          - Player ready after reveal
- * - wyr:voice_note     - Send post-game voice note
+ * - wyr:voice_note     - Deprecated: answered with wyr:error VOICE_NOTE_MOVED
  * 
  * Events from Server → Client:
- * - wyr:invited        - You've been invited
- * - wyr:invitation_sent - Your invitation was sent
- * - wyr:accepted       - Your invitation was accepted
- * - wyr:declined       - Your invitation was declined
- * - wyr:game_starting  - Game starting (3s countdown)
+ * - wyr:game_starting  - Game starting (3s countdown, sent on accept)
  * - wyr:question       - New question to answer
  * - wyr:partner_answered - Partner has answered (no reveal yet)
  * - wyr:reveal         - Both answered, show results
  * - wyr:timeout        - Question timed out
- * - wyr:game_completed - All 50 questions done
- * - wyr:voice_note_received - Partner sent voice note
+ * - wyr:game_completed - All questions done
  * - wyr:error          - Error occurred
  * - wyr:partner_connected - Partner connection status
+ * - wyr:async_state    - Async game state (reconnect of an async game)
+ *
+ * Async games (invite with mode: 'async') are answered over REST; their
+ * wyr:progress / wyr:results_ready events come from
+ * services/games/gameEvents.service.js.
  */
 
-// Store active timers by sessionId
-const questionTimers = new Map();
-
-// Store active sessions by sessionId for quick lookup
-const activeSessions = new Map();
+// Timing constants (ms) - the start countdown is in the service config
+const QUESTION_TIME_MS = 15000;
+const REVEAL_TIME_MS = 3000;
+
+// Timers are persisted on the session (services/games/gameTimer.service.js)
+// so they survive restarts and fire once across instances
+const TIMER_GAME = wouldYouRatherService.config.timerGame;
+
+gameTimerService.register(TIMER_GAME, {
+  model: WouldYouRatherSession,
+  handlers: {
+    start_game: (sessionId, deadline, { io, socketManager }) =>
+      startGameAndSendQuestion(io, socketManager, sessionId),
+    question_timeout: (sessionId, deadline, { io, socketManager }) =>
+      handleQuestionTimeout(io, socketManager, sessionId, deadline.questionIndex),
+    next_question: (sessionId, deadline, { io, socketManager }) =>
+      moveToNextQuestion(io, socketManager, sessionId)
+  },
+  recover: recoverTimers
+});
 
 /**
  * Initialize Would You Rather socket handlers
@@ -55,156 +74,6 @@ function initializeWouldYouRatherSocket(io, socket, socketManager) {
 
   console.log(`[WYR Socket] Initializing for user ${userId}`);
 
-  // =====================================================
-  // INVITATION EVENTS
-  // =====================================================
-
-  /**
-   * Send a game invitation
-   * Payload: { matchId }
-   */
-  socket.on('wyr:invite', async (data) => {
-    try {
-      const { matchId } = data;
-
-      if (!matchId) {
-        return socket.emit('wyr:error', { 
-          message: 'Match ID is required' 
-        });
-      }
-
-      console.log(`[WYR] User ${userId} inviting match ${matchId}`);
-
-      // Create invitation via service
-      const result = await wouldYouRatherService.createInvitation(userId, matchId);
-
-      // Store session reference
-      activeSessions.set(result.session.sessionId, {
-        player1: userId.toString(),
-        player2: result.invitedUser.oduserId.toString()
-      });
-
-      // Notify the initiator
-      socket.emit('wyr:invitation_sent', {
-        sessionId: result.session.sessionId,
-        expiresAt: result.session.expiresAt,
-        invitedUser: result.invitedUser
-      });
-
-      // Notify the invited user
-      socketManager.emitToUser(result.invitedUser.oduserId.toString(), 'wyr:invited', {
-        sessionId: result.session.sessionId,
-        expiresAt: result.session.expiresAt,
-        invitedBy: result.initiator
-      });
-
-      console.log(`[WYR] Invitation sent: ${result.session.sessionId}`);
-
-    } catch (error) {
-      console.error('[WYR] Invite error:', error.message);
-      socket.emit('wyr:error', { message: error.message });
-    }
-  });
-
-  /**
-   * Accept a game invitation
-   * Payload: { sessionId }
-   */
-  socket.on('wyr:accept', async (data) => {
-    try {
-      const { sessionId } = data;
-
-      if (!sessionId) {
-        return socket.emit('wyr:error', { 
-          message: 'Session ID is required' 
-        });
-      }
-
-      console.log(`[WYR] User ${userId} accepting session ${sessionId}`);
-
-      // Accept via service
-      const result = await wouldYouRatherService.acceptInvitation(sessionId, userId);
-
-      // Get session info
-      const sessionInfo = activeSessions.get(sessionId) || {
-        player1: result.player1.oduserId.toString(),
-        player2: result.player2.oduserId.toString()
-      };
-      activeSessions.set(sessionId, sessionInfo);
-
-      // Notify both players that game is starting
-      const gameStartingPayload = {
-        sessionId,
-        startsIn: 3000, // 3 second countdown
-        player1: result.player1,
-        player2: result.player2
-      };
-
-      // Notify accepting player
-      socket.emit('wyr:game_starting', gameStartingPayload);
-
-      // Notify initiating player
-      socketManager.emitToUser(sessionInfo.player1, 'wyr:accepted', {
-        sessionId,
-        acceptedBy: result.player2
-      });
-      socketManager.emitToUser(sessionInfo.player1, 'wyr:game_starting', gameStartingPayload);
-
-      // Start game after 3 second countdown
-      setTimeout(async () => {
-        await startGameAndSendQuestion(io, socketManager, sessionId, sessionInfo);
-      }, 3000);
-
-      console.log(`[WYR] Game accepted, starting in 3s: ${sessionId}`);
-
-    } catch (error) {
-      console.error('[WYR] Accept error:', error.message);
-      socket.emit('wyr:error', { message: error.message });
-    }
-  });
-
-  /**
-   * Decline a game invitation
-   * Payload: { sessionId }
-   */
-  socket.on('wyr:decline', async (data) => {
-    try {
-      const { sessionId } = data;
-
-      if (!sessionId) {
-        return socket.emit('wyr:error', { 
-          message: 'Session ID is required' 
-        });
-      }
-
-      console.log(`[WYR] User ${userId} declining session ${sessionId}`);
-
-      // Decline via service
-      await wouldYouRatherService.declineInvitation(sessionId, userId);
-
-      // Get session info
-      const sessionInfo = activeSessions.get(sessionId);
-
-      // Notify declining player
-      socket.emit('wyr:declined', { sessionId });
-
-      // Notify initiating player
-      if (sessionInfo) {
-        socketManager.emitToUser(sessionInfo.player1, 'wyr:declined', {
-          sessionId,
-          declinedBy: userId
-        });
-        activeSessions.delete(sessionId);
-      }
-
-      console.log(`[WYR] Game declined: ${sessionId}`);
-
-    } catch (error) {
-      console.error('[WYR] Decline error:', error.message);
-      socket.emit('wyr:error', { message: error.message });
-    }
-  });
-
   // =====================================================
   // GAMEPLAY EVENTS
   // =====================================================
@@ -245,10 +114,6 @@ function initializeWouldYouRatherSocket(io, socket, socketManager) {
         return;
       }
   
-      // Update activeSessions map
-      const sessionInfo = { player1: player1Id, player2: player2Id };
-      activeSessions.set(sessionId, sessionInfo);
-  
       // Validate answer
       if (!['A', 'B'].includes(answer)) {
         socket.emit('wyr:error', { message: 'Invalid answer. Must be A or B' });
@@ -274,9 +139,9 @@ function initializeWouldYouRatherSocket(io, socket, socketManager) {
   
       // If both answered, handle reveal and next question
       if (result.bothAnswered) {
-        // Clear the timer since both answered
-        clearQuestionTimer(sessionId);
-  
+        // Replace the question timeout: move to next question after 3 second reveal
+        await gameTimerService.schedule(TIMER_GAME, sessionId, 'next_question', REVEAL_TIME_MS);
+
         // Send reveal to both players
         const revealData = {
           sessionId,
@@ -284,7 +149,7 @@ function initializeWouldYouRatherSocket(io, socket, socketManager) {
           yourAnswer: null, // Will be set per player
           partnerAnswer: null, // Will be set per player
           matched: result.player1Answer === result.player2Answer,
-          revealDuration: 3000
+          revealDuration: REVEAL_TIME_MS
         };
   
         // Send to player 1
@@ -300,11 +165,6 @@ function initializeWouldYouRatherSocket(io, socket, socketManager) {
           yourAnswer: result.player2Answer,
           partnerAnswer: result.player1Answer
         });
-  
-        // After 3 second reveal, move to next question
-        setTimeout(async () => {
-          await moveToNextQuestion(io, socketManager, sessionId, sessionInfo);
-        }, 3000);
       }
   
     } catch (error) {
@@ -312,56 +172,21 @@ function initializeWouldYouRatherSocket(io, socket, socketManager) {
       socket.emit('wyr:error', { message: error.message });
     }
   });
+
   // =====================================================
-  // VOICE NOTE EVENTS
+  // VOICE NOTE EVENTS (deprecated)
   // =====================================================
 
   /**
-   * Send a voice note after game completion
+   * Voice notes are uploaded over REST now, so the engine stores the audio
+   * itself rather than trusting a client's audioUrl
    * Payload: { sessionId, audioUrl, duration }
    */
-  socket.on('wyr:voice_note', async (data) => {
-    try {
-      const { sessionId, audioUrl, duration } = data;
-
-      if (!sessionId || !audioUrl || !duration) {
-        return socket.emit('wyr:error', { 
-          message: 'Session ID, audio URL, and duration are required' 
-        });
-      }
-
-      console.log(`[WYR] User ${userId} sending voice note to ${sessionId}`);
-
-      // Add voice note via service
-      await wouldYouRatherService.addVoiceNote(sessionId, userId, audioUrl, duration);
-
-      // Get session info
-      const session = await WouldYouRatherSession.findOne({ sessionId });
-      const partnerId = session.player1.userId._id.toString() === userId.toString()
-        ? session.player2.userId._id.toString()
-        : session.player1.userId._id.toString();
-
-      // Confirm to sender
-      socket.emit('wyr:voice_note_sent', {
-        sessionId,
-        audioUrl,
-        duration
-      });
-
-      // Notify partner
-      socketManager.emitToUser(partnerId, 'wyr:voice_note_received', {
-        sessionId,
-        fromUserId: userId,
-        audioUrl,
-        duration
-      });
-
-      console.log(`[WYR] Voice note sent in ${sessionId}`);
-
-    } catch (error) {
-      console.error('[WYR] Voice note error:', error.message);
-      socket.emit('wyr:error', { message: error.message });
-    }
+  socket.on('wyr:voice_note', ({ sessionId } = {}) => {
+    socket.emit('wyr:error', {
+      code: 'VOICE_NOTE_MOVED',
+      message: `Send voice notes to POST /api/v1/games/would_you_rather/sessions/${sessionId}/voice-notes`
+    });
   });
 
   // =====================================================
@@ -402,53 +227,27 @@ function initializeWouldYouRatherSocket(io, socket, socketManager) {
       // Update connection status
       await wouldYouRatherService.updateConnectionStatus(sessionId, userId, true);
   
-      // Track active session
-      activeSessions.set(sessionId, {
-        player1: session.player1.userId._id.toString(),
-        player2: session.player2.userId._id.toString()
-      });
-  
       console.log(`[WYR] Session ${sessionId} status: ${session.status}`);
-  
+
       // Handle based on session status
-      if (session.status === 'starting') {
-        // Game was accepted but never started - START IT NOW!
-        console.log(`[WYR] Session ${sessionId} is in 'starting' status - starting game now`);
-        
-        // Start the game
-        const gameData = await wouldYouRatherService.startGame(sessionId);
-        
-        // Get player IDs
-        const player1Id = session.player1.userId._id.toString();
-        const player2Id = session.player2.userId._id.toString();
-        
-        // Send question to BOTH players
-        const questionPayload = {
-          sessionId,
-          currentQuestion: gameData.currentQuestion,
-          totalQuestions: 50,
-          progress: {
-            current: 1,
-            total: 50,
-            percent: 2
-          }
-        };
-        
-        console.log(`[WYR] Sending first question to both players`);
-        socketManager.emitToUser(player1Id, 'wyr:question', questionPayload);
-        socketManager.emitToUser(player2Id, 'wyr:question', questionPayload);
-        
-        // Start the question timer
-        startQuestionTimer(io, socketManager, sessionId, {
-          player1: player1Id,
-          player2: player2Id
-        }, 0);
-        
+      if (session.isAsync && session.status === 'playing') {
+        // Async game - each player is on their own question
+        socket.emit('wyr:async_state', await wouldYouRatherService.getAsyncState(sessionId, userId, socket.locale));
+
+      } else if (session.status === 'starting') {
+        // Game was accepted but never started - START IT NOW
+        // (unless the countdown is still pending, it sends the first question)
+        const scheduled = await gameTimerService.schedule(TIMER_GAME, sessionId, 'start_game', 0, {
+          onlyIfNone: true
+        });
+
+        console.log(`[WYR] Session ${sessionId} is in 'starting' status - ${scheduled ? 'starting game now' : 'countdown pending'}`);
+
       } else if (session.status === 'playing') {
         // Game in progress - send current question
         console.log(`[WYR] Session ${sessionId} is playing - sending current question`);
         
-        const questionData = await wouldYouRatherService.getCurrentQuestion(sessionId);
+        const questionData = await wouldYouRatherService.getCurrentQuestion(sessionId, socket.locale);
         socket.emit('wyr:question', {
           sessionId,
           currentQuestion: questionData.currentQuestion,
@@ -491,24 +290,30 @@ socket.on('wyr:join', async ({ sessionId }) => {
   socket.on('disconnect', async () => {
     console.log(`[WYR Socket] User ${userId} disconnected`);
 
-    // Find any active sessions for this user
-    for (const [sessionId, sessionInfo] of activeSessions.entries()) {
-      if (sessionInfo.player1 === userId.toString() || 
-          sessionInfo.player2 === userId.toString()) {
-        
-        // Update connection status
-        await wouldYouRatherService.updateConnectionStatus(sessionId, userId, false);
+    try {
+      // Find the active session for this user
+      const session = await WouldYouRatherSession.findActiveSession(userId);
+      if (!session || !session.player2?.userId) {
+        return;
+      }
 
-        // Notify partner
-        const partnerId = userId.toString() === sessionInfo.player1 
-          ? sessionInfo.player2 
-          : sessionInfo.player1;
+      const { sessionId } = session;
+      const sessionInfo = toSessionInfo(session);
 
-        socketManager.emitToUser(partnerId, 'wyr:partner_connected', {
-          sessionId,
-          isConnected: false
-        });
-      }
+      // Update connection status
+      await wouldYouRatherService.updateConnectionStatus(sessionId, userId, false);
+
+      // Notify partner
+      const partnerId = userId.toString() === sessionInfo.player1
+        ? sessionInfo.player2
+        : sessionInfo.player1;
+
+      socketManager.emitToUser(partnerId, 'wyr:partner_connected', {
+        sessionId,
+        isConnected: false
+      });
+    } catch (error) {
+      console.error('[WYR] Disconnect error:', error.message);
     }
   });
 }
@@ -517,30 +322,67 @@ socket.on('wyr:join', async ({ sessionId }) => {
 // HELPER FUNCTIONS
 // =====================================================
 
+/**
+ * Player IDs of a (populated) session as strings
+ */
+function toSessionInfo(session) {
+  return {
+    player1: session.player1.userId._id.toString(),
+    player2: session.player2.userId._id.toString()
+  };
+}
+
+/**
+ * Load player IDs for a session
+ */
+async function getSessionInfo(sessionId) {
+  const session = await WouldYouRatherSession.findBySessionId(sessionId);
+  return session ? toSessionInfo(session) : null;
+}
+
+/**
+ * Send a question to both players, each in their own language
+ */
+async function emitQuestion(socketManager, sessionInfo, questionPayload) {
+  const playerIds = [sessionInfo.player1, sessionInfo.player2];
+  const locales = await User.getLocales(playerIds);
+
+  for (const playerId of playerIds) {
+    socketManager.emitToUser(playerId, 'wyr:question', {
+      ...questionPayload,
+      currentQuestion: await WouldYouRatherQuestion.localize(
+        questionPayload.currentQuestion,
+        locales.get(playerId),
+        { key: 'number' }
+      )
+    });
+  }
+}
+
 /**
  * Start the game and send first question
  */
-async function startGameAndSendQuestion(io, socketManager, sessionId, sessionInfo) {
+async function startGameAndSendQuestion(io, socketManager, sessionId) {
+  const sessionInfo = await getSessionInfo(sessionId);
+  if (!sessionInfo) return;
+
   try {
     console.log(`[WYR] Starting game ${sessionId}`);
 
     // Start game via service
     const gameData = await wouldYouRatherService.startGame(sessionId);
 
+    // Start 15-second timer
+    await startQuestionTimer(sessionId, 0);
+
     // Send question to both players
-    const questionPayload = {
+    await emitQuestion(socketManager, sessionInfo, {
       sessionId,
       status: 'playing',
       currentQuestion: gameData.currentQuestion,
       totalQuestions: gameData.totalQuestions,
       progress: gameData.progress
-    };
-
-    socketManager.emitToUser(sessionInfo.player1, 'wyr:question', questionPayload);
-    socketManager.emitToUser(sessionInfo.player2, 'wyr:question', questionPayload);
-
-    // Start 15-second timer
-    startQuestionTimer(io, socketManager, sessionId, sessionInfo, 0);
+    });
 
     console.log(`[WYR] First question sent for ${sessionId}`);
 
@@ -554,38 +396,18 @@ async function startGameAndSendQuestion(io, socketManager, sessionId, sessionInf
 /**
  * Start the 15-second timer for a question
  */
-function startQuestionTimer(io, socketManager, sessionId, sessionInfo, questionIndex) {
-  // Clear any existing timer
-  clearQuestionTimer(sessionId);
-
+async function startQuestionTimer(sessionId, questionIndex) {
   console.log(`[WYR] Starting 15s timer for Q${questionIndex} in ${sessionId}`);
 
-  const timer = setTimeout(async () => {
-    await handleQuestionTimeout(io, socketManager, sessionId, sessionInfo, questionIndex);
-  }, 15000); // 15 seconds
-
-  questionTimers.set(sessionId, {
-    timer,
+  await gameTimerService.schedule(TIMER_GAME, sessionId, 'question_timeout', QUESTION_TIME_MS, {
     questionIndex
   });
 }
 
-/**
- * Clear the question timer
- */
-function clearQuestionTimer(sessionId) {
-  const timerInfo = questionTimers.get(sessionId);
-  if (timerInfo) {
-    clearTimeout(timerInfo.timer);
-    questionTimers.delete(sessionId);
-    console.log(`[WYR] Timer cleared for ${sessionId}`);
-  }
-}
-
 /**
  * Handle question timeout (15 seconds elapsed)
  */
-async function handleQuestionTimeout(io, socketManager, sessionId, sessionInfo, questionIndex) {
+async function handleQuestionTimeout(io, socketManager, sessionId, questionIndex) {
   try {
     console.log(`[WYR] Timeout for Q${questionIndex} in ${sessionId}`);
 
@@ -597,10 +419,15 @@ async function handleQuestionTimeout(io, socketManager, sessionId, sessionInfo,
       return;
     }
 
+    // Move to next question after reveal duration
+    await gameTimerService.schedule(TIMER_GAME, sessionId, 'next_question', REVEAL_TIME_MS);
+
     // Get question details
-    const session = await WouldYouRatherSession.findOne({ sessionId });
+    const session = await WouldYouRatherSession.findBySessionId(sessionId);
+    const sessionInfo = toSessionInfo(session);
     const questionNumber = session.questionOrder[questionIndex];
-    const question = await WouldYouRatherQuestion.findOne({ questionNumber });
+    const question = await WouldYouRatherQuestion.findVersionAsOf(questionNumber, session.createdAt);
+    const locales = await User.getLocales([sessionInfo.player1, sessionInfo.player2]);
 
     // Send timeout/reveal to both players
     const timeoutPayload = {
@@ -613,19 +440,19 @@ async function handleQuestionTimeout(io, socketManager, sessionId, sessionInfo,
       timedOut: true,
       bothTimedOut: result.bothTimedOut,
       matched: result.matched,
-      revealDuration: 3000
+      revealDuration: REVEAL_TIME_MS
     };
 
-    // Send personalized timeout to each player
+    // Send personalized timeout to each player (in their language)
     socketManager.emitToUser(sessionInfo.player1, 'wyr:timeout', {
-      ...timeoutPayload,
+      ...await WouldYouRatherQuestion.localize(timeoutPayload, locales.get(sessionInfo.player1)),
       yourAnswer: result.player1Answer,
       partnerAnswer: result.player2Answer,
       youTimedOut: result.player1Answer === null
     });
 
     socketManager.emitToUser(sessionInfo.player2, 'wyr:timeout', {
-      ...timeoutPayload,
+      ...await WouldYouRatherQuestion.localize(timeoutPayload, locales.get(sessionInfo.player2)),
       yourAnswer: result.player2Answer,
       partnerAnswer: result.player1Answer,
       youTimedOut: result.player2Answer === null
@@ -633,11 +460,6 @@ async function handleQuestionTimeout(io, socketManager, sessionId, sessionInfo,
 
     console.log(`[WYR] Timeout reveal sent for Q${questionIndex}`);
 
-    // Move to next question after reveal duration
-    setTimeout(async () => {
-      await moveToNextQuestion(io, socketManager, sessionId, sessionInfo);
-    }, 3000);
-
   } catch (error) {
     console.error('[WYR] Timeout handling error:', error.message);
   }
@@ -646,10 +468,13 @@ async function handleQuestionTimeout(io, socketManager, sessionId, sessionInfo,
 /**
  * Move to the next question or complete game
  */
-async function moveToNextQuestion(io, socketManager, sessionId, sessionInfo) {
+async function moveToNextQuestion(io, socketManager, sessionId) {
   try {
     console.log(`[WYR] Moving to next question in ${sessionId}`);
 
+    const sessionInfo = await getSessionInfo(sessionId);
+    if (!sessionInfo) return;
+
     // Get next question via service
     const result = await wouldYouRatherService.nextQuestion(sessionId);
 
@@ -664,36 +489,23 @@ async function moveToNextQuestion(io, socketManager, sessionId, sessionInfo) {
       socketManager.emitToUser(sessionInfo.player1, 'wyr:game_completed', results1);
       socketManager.emitToUser(sessionInfo.player2, 'wyr:game_completed', results2);
 
-      // Clean up
-      clearQuestionTimer(sessionId);
-      activeSessions.delete(sessionId);
-
       // AI insights will be generated asynchronously by the service
       // and can be fetched later via REST API
 
     } else {
+      // Start timer for next question
+      await startQuestionTimer(sessionId, result.currentQuestion.index);
+
       // Send next question
-      const questionPayload = {
+      await emitQuestion(socketManager, sessionInfo, {
         sessionId,
         status: 'playing',
         currentQuestion: result.currentQuestion,
         totalQuestions: result.totalQuestions,
         progress: result.progress
-      };
-
-      socketManager.emitToUser(sessionInfo.player1, 'wyr:question', questionPayload);
-      socketManager.emitToUser(sessionInfo.player2, 'wyr:question', questionPayload);
+      });
 
-      // Start timer for next question
-      startQuestionTimer(
-        io, 
-        socketManager, 
-        sessionId, 
-        sessionInfo, 
-        result.currentQuestion.index
-      );
-
-      console.log(`[WYR] Question ${result.currentQuestion.index + 1}/50 sent`);
+      console.log(`[WYR] Question ${result.currentQuestion.index + 1}/${result.totalQuestions} sent`);
     }
 
   } catch (error) {
@@ -701,6 +513,35 @@ async function moveToNextQuestion(io, socketManager, sessionId, sessionInfo) {
   }
 }
 
+/**
+ * Boot recovery: re-arm sessions that lost their timer
+ * (accepted but never started, or mid-question)
+ * @returns {Promise<Number>} Sessions re-armed
+ */
+async function recoverTimers() {
+  const sessions = await WouldYouRatherSession.find({
+    status: { $in: ['starting', 'playing'] },
+    mode: { $ne: 'async' },
+    'timerDeadline.token': null
+  }).select('sessionId status currentQuestionIndex currentQuestionExpiresAt');
+
+  for (const session of sessions) {
+    if (session.status === 'starting') {
+      await gameTimerService.schedule(TIMER_GAME, session.sessionId, 'start_game', 0);
+    } else {
+      const remaining = session.currentQuestionExpiresAt
+        ? session.currentQuestionExpiresAt.getTime() - Date.now()
+        : 0;
+
+      await gameTimerService.schedule(TIMER_GAME, session.sessionId, 'question_timeout', remaining, {
+        questionIndex: session.currentQuestionIndex
+      });
+    }
+  }
+
+  return sessions.length;
+}
+
 /**
  * Register the socket handlers with the main socket manager
  * @param {Server} io - Socket.io server instance
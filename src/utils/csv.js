@@ -0,0 +1,93 @@
+// src/utils/csv.js
+
+/**
+ * Minimal RFC 4180 CSV helpers (quoted fields, escaped quotes, CRLF / LF)
+ */
+
+const escapeField = (value) => {
+  if (value === null || value === undefined) return '';
+
+  const text = String(value);
+  if (/[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+};
+
+/**
+ * Build CSV text
+ * @param {Array} columns - Header names
+ * @param {Array} rows - Arrays of values (same order as columns)
+ * @returns {String}
+ */
+const stringify = (columns, rows) => {
+  return [columns, ...rows]
+    .map(row => row.map(escapeField).join(','))
+    .join('\r\n') + '\r\n';
+};
+
+/**
+ * Parse CSV text with a header row
+ * @param {String} text - CSV text
+ * @returns {Object} { columns, rows } - rows are objects keyed by column
+ */
+const parse = (text) => {
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Skip blank lines
+  const [columns = [], ...dataRecords] = records.filter(
+    row => !(row.length === 1 && row[0].trim() === '')
+  );
+
+  const rows = dataRecords.map(values => {
+    const row = {};
+    columns.forEach((column, index) => {
+      row[column.trim()] = values[index] !== undefined ? values[index] : '';
+    });
+    return row;
+  });
+
+  return { columns: columns.map(column => column.trim()), rows };
+};
+
+module.exports = { parse, stringify };
@@ -0,0 +1,56 @@
+// src/utils/i18n.js
+
+const { DEFAULT_LOCALE, normalizeLocale } = require('../config/locales');
+
+/**
+ * String catalogs for user-facing text that is not admin-managed content
+ * (question banks are translated through models/ContentTranslation.js).
+ */
+
+const catalogs = {
+  en: require('../locales/en'),
+  hi: require('../locales/hi'),
+  es: require('../locales/es'),
+};
+
+/**
+ * Translate a catalog key (falls back to English, then to the key itself)
+ * @param {String} locale - Locale code
+ * @param {String} key - Catalog key, e.g. 'systemMessage.match_created'
+ * @param {Object} params - Values for {placeholders}
+ * @returns {String}
+ */
+const t = (locale, key, params = {}) => {
+  const text = catalogs[locale]?.[key] ?? catalogs[DEFAULT_LOCALE][key];
+  if (text === undefined) return key;
+
+  return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+    params[name] !== undefined ? String(params[name]) : placeholder
+  );
+};
+
+/**
+ * Locale a user reads in when there is no request to go by
+ * (jobs, sockets, content shared by both sides of a match)
+ * @param {Object} user - User (document or lean)
+ * @returns {String}
+ */
+const getUserLocale = (user) => normalizeLocale(user?.locale) || DEFAULT_LOCALE;
+
+/**
+ * Locale for content both users read (AI insights, ice breakers):
+ * the users' common language, English when they differ
+ * @param {Array} users - Users (documents or lean)
+ * @returns {String}
+ */
+const getSharedLocale = (users) => {
+  const locales = new Set(users.map(getUserLocale));
+
+  return locales.size === 1 ? [...locales][0] : DEFAULT_LOCALE;
+};
+
+module.exports = {
+  t,
+  getUserLocale,
+  getSharedLocale,
+};
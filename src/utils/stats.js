@@ -0,0 +1,47 @@
+// src/utils/stats.js
+
+/**
+ * Statistics helpers for evaluating scores against outcomes
+ */
+
+/**
+ * Area under the ROC curve (rank-sum): the chance a positive sample
+ * scores above a negative one, ties counted as half
+ * @param {Array} samples - [{ score, positive }]
+ * @returns {Number|null} null without both outcomes
+ */
+const auc = (samples) => {
+  const positives = samples.filter(sample => sample.positive).length;
+  const negatives = samples.length - positives;
+  if (positives === 0 || negatives === 0) return null;
+
+  const sorted = [...samples].sort((a, b) => a.score - b.score);
+  let positiveRankSum = 0;
+
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j < sorted.length && sorted[j].score === sorted[i].score) j++;
+
+    const averageRank = (i + 1 + j) / 2;
+    for (let k = i; k < j; k++) {
+      if (sorted[k].positive) positiveRankSum += averageRank;
+    }
+    i = j;
+  }
+
+  return (positiveRankSum - positives * (positives + 1) / 2) / (positives * negatives);
+};
+
+/**
+ * Mean of numbers (null when empty)
+ * @param {Array<Number>} values
+ * @returns {Number|null}
+ */
+const mean = (values) => values.length > 0
+  ? values.reduce((sum, value) => sum + value, 0) / values.length
+  : null;
+
+module.exports = {
+  auc,
+  mean,
+};
@@ -0,0 +1,72 @@
+// src/utils/timezone.js
+
+/**
+ * Timezone helpers (IANA names, e.g. 'Europe/Berlin')
+ */
+
+/**
+ * Check if a timezone identifier is valid
+ * @param {String} timezone
+ * @returns {Boolean}
+ */
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Wall clock of a moment in a timezone
+ * @param {String} timezone
+ * @param {Date} date
+ * @returns {Object} { date: 'YYYY-MM-DD', year, month, day, hour, minute }
+ */
+const getLocalTime = (timezone, date = new Date()) => {
+  const parts = Object.fromEntries(new Intl.DateTimeFormat('en-US', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date).map(part => [part.type, part.value]));
+
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    year: Number(parts.year),
+    month: Number(parts.month),
+    day: Number(parts.day),
+    hour: Number(parts.hour),
+    minute: Number(parts.minute),
+  };
+};
+
+/**
+ * The moment a wall clock time happens in a timezone
+ * @param {String} timezone
+ * @param {Object} time - { year, month (1-12), day, hour }
+ * @returns {Date}
+ */
+const fromLocalTime = (timezone, { year, month, day, hour }) => {
+  const wallClock = Date.UTC(year, month - 1, day, hour);
+
+  // Offset at the first guess, then again in case it crossed a DST change
+  let result = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const local = getLocalTime(timezone, new Date(result));
+    const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - result;
+    result = wallClock - offset;
+  }
+
+  return new Date(result);
+};
+
+module.exports = {
+  isValidTimezone,
+  getLocalTime,
+  fromLocalTime,
+};
@@ -0,0 +1,67 @@
+// src/validators/aiUsage.validator.js
+
+const { query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const ApiError = require('../utils/apiError');
+const { FEATURES } = require('../services/ai/features');
+
+/**
+ * AI Usage Validators
+ *
+ * Validation rules for the admin AI usage API.
+ */
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(err => err.msg).join(', ');
+    return next(new ApiError(400, errorMessages));
+  }
+  next();
+};
+
+/**
+ * Validate usage summary query
+ * GET /api/v1/admin/ai-usage
+ */
+const validateUsageQuery = [
+  query('groupBy')
+    .optional()
+    .isIn(['feature', 'user', 'model'])
+    .withMessage('groupBy must be one of: feature, user, model'),
+
+  query('userId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid user ID format'),
+
+  query('feature')
+    .optional()
+    .isIn(Object.keys(FEATURES))
+    .withMessage('Unknown AI feature'),
+
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be an ISO 8601 date'),
+
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be an ISO 8601 date'),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+    .toInt(),
+
+  validate,
+];
+
+module.exports = {
+  validateUsageQuery,
+};
@@ -0,0 +1,198 @@
+// src/validators/content.validator.js
+
+const { body, param, query, validationResult } = require('express-validator');
+const ApiError = require('../utils/apiError');
+const { BANKS } = require('../services/content/banks');
+const { SUPPORTED_LOCALES } = require('../config/locales');
+
+/**
+ * Content Validators
+ *
+ * Validation rules for the admin content API. Question fields themselves
+ * are validated by each bank's Mongoose schema.
+ */
+
+const STATUSES = ['draft', 'published', 'retired'];
+const FORMATS = ['json', 'csv'];
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(err => err.msg).join(', ');
+    return next(new ApiError(400, errorMessages));
+  }
+  next();
+};
+
+const bankParam = param('bank')
+  .isIn(Object.keys(BANKS))
+  .withMessage(`Bank must be one of: ${Object.keys(BANKS).join(', ')}`);
+
+const keyParam = param('key')
+  .isInt({ min: 1 })
+  .withMessage('Question number must be a positive integer')
+  .toInt();
+
+const localeParam = param('locale')
+  .isIn(SUPPORTED_LOCALES)
+  .withMessage(`Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`);
+
+const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Validate bank param
+ */
+const validateBank = [bankParam, validate];
+
+/**
+ * Validate bank + question number params
+ */
+const validateQuestionParams = [bankParam, keyParam, validate];
+
+/**
+ * Validate question list query
+ */
+const validateListQuery = [
+  bankParam,
+
+  query('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 200 })
+    .withMessage('Limit must be between 1 and 200')
+    .toInt(),
+
+  validate,
+];
+
+/**
+ * Validate question create / update body
+ */
+const validateQuestionBody = [
+  bankParam,
+
+  body()
+    .custom(isObject)
+    .withMessage('Question must be an object'),
+
+  validate,
+];
+
+/**
+ * Validate export query
+ */
+const validateExport = [
+  bankParam,
+
+  query('format')
+    .optional()
+    .isIn(FORMATS)
+    .withMessage(`Format must be one of: ${FORMATS.join(', ')}`),
+
+  query('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+
+  validate,
+];
+
+/**
+ * Validate import body
+ * json: data is an array of questions, csv: data is the CSV text (header row first)
+ */
+const validateImport = [
+  bankParam,
+
+  body('format')
+    .isIn(FORMATS)
+    .withMessage(`Format must be one of: ${FORMATS.join(', ')}`),
+
+  body('data')
+    .custom((value, { req }) => (
+      req.body.format === 'csv' ? typeof value === 'string' : Array.isArray(value)
+    ))
+    .withMessage('data must be an array (json) or CSV text (csv)'),
+
+  body('publish')
+    .optional()
+    .isBoolean()
+    .withMessage('publish must be a boolean')
+    .toBoolean(),
+
+  validate,
+];
+
+/**
+ * Validate bank + locale params (translation coverage)
+ */
+const validateTranslationLocale = [bankParam, localeParam, validate];
+
+/**
+ * Validate bank + question number + locale params
+ */
+const validateTranslationParams = [bankParam, keyParam, localeParam, validate];
+
+/**
+ * Validate translation body (fields are checked against the bank)
+ */
+const validateTranslationBody = [
+  bankParam,
+  keyParam,
+  localeParam,
+
+  body('fields')
+    .custom(isObject)
+    .withMessage('fields must be an object'),
+
+  validate,
+];
+
+/**
+ * Validate translation import body
+ */
+const validateTranslationImport = [
+  bankParam,
+  localeParam,
+
+  body('items')
+    .isArray({ min: 1 })
+    .withMessage('items must be a non-empty array'),
+
+  body('items.*.key')
+    .isInt({ min: 1 })
+    .withMessage('Every item needs a positive integer key')
+    .toInt(),
+
+  body('items.*.fields')
+    .custom(isObject)
+    .withMessage('Every item needs a fields object'),
+
+  validate,
+];
+
+module.exports = {
+  validateBank,
+  validateQuestionParams,
+  validateListQuery,
+  validateQuestionBody,
+  validateExport,
+  validateImport,
+  validateTranslationLocale,
+  validateTranslationParams,
+  validateTranslationBody,
+  validateTranslationImport,
+};
@@ -0,0 +1,222 @@
+// src/validators/games.validator.js
+
+const { query, param, body, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const ApiError = require('../utils/apiError');
+const gameRegistry = require('../services/games/gameRegistry');
+const { SELECTION_GAMES } = require('../config/questionSelection');
+const { GAME_MODES } = require('../config/gameModes');
+const { VOICE_NOTES } = require('../services/games/gameEngine');
+
+/**
+ * Games Validators
+ *
+ * Validation rules for the cross-game endpoints and the session flows
+ * every game shares.
+ */
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(err => err.msg).join(', ');
+    return next(new ApiError(400, errorMessages));
+  }
+  next();
+};
+
+/**
+ * Validate match games query
+ */
+const validateMatchGames = [
+  query('matchId')
+    .notEmpty()
+    .withMessage('Match ID is required')
+    .bail()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid match ID format'),
+
+  validate,
+];
+
+/**
+ * Validate lobby query
+ */
+const validateLobby = [
+  query('matchId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid match ID format'),
+
+  validate,
+];
+
+/**
+ * Validate focus packs query
+ */
+const validateFocusPacks = [
+  query('gameType')
+    .optional()
+    .isIn(Object.keys(SELECTION_GAMES))
+    .withMessage(`Game type must be one of: ${Object.keys(SELECTION_GAMES).join(', ')}`),
+
+  validate,
+];
+
+const gameTypeParam = param('gameType')
+  .custom((value) => gameRegistry.isRegistered(value))
+  .withMessage('Unknown game type');
+
+const sessionIdParam = param('sessionId')
+  .trim()
+  .notEmpty()
+  .withMessage('Session ID is required');
+
+/**
+ * Validate game type param
+ */
+const validateGameType = [
+  gameTypeParam,
+
+  validate,
+];
+
+/**
+ * Validate game type and session id params (rematch, accept, decline,
+ * insights, voice notes)
+ */
+const validateGameSession = [
+  gameTypeParam,
+  sessionIdParam,
+
+  validate,
+];
+
+/**
+ * Validate invitation
+ */
+const validateInvitation = [
+  gameTypeParam,
+
+  body('matchId')
+    .notEmpty()
+    .withMessage('Match ID is required')
+    .bail()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid match ID format'),
+
+  body('mode')
+    .optional()
+    .isIn(GAME_MODES)
+    .withMessage(`Mode must be one of: ${GAME_MODES.join(', ')}`),
+
+  body('focusPack')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Focus pack must be a string'),
+
+  validate,
+];
+
+/**
+ * Validate history query
+ */
+const validateHistory = [
+  gameTypeParam,
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+
+  query('skip')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Skip must be 0 or more')
+    .toInt(),
+
+  query('matchId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid match ID format'),
+
+  validate,
+];
+
+/**
+ * Validate abandon
+ */
+const validateAbandon = [
+  gameTypeParam,
+  sessionIdParam,
+
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Reason must be at most 200 characters'),
+
+  validate,
+];
+
+/**
+ * Validate voice note upload (after multer)
+ */
+const validateVoiceNote = [
+  gameTypeParam,
+  sessionIdParam,
+
+  body('duration')
+    .notEmpty()
+    .withMessage('Duration is required')
+    .bail()
+    .isFloat({ min: 1, max: VOICE_NOTES.maxDurationSeconds })
+    .withMessage(`Duration must be between 1 and ${VOICE_NOTES.maxDurationSeconds} seconds`)
+    .toFloat(),
+
+  body('relatedTo')
+    .optional({ nullable: true, checkFalsy: true })
+    .isInt({ min: 1 })
+    .withMessage('relatedTo must be a question, category or round number')
+    .toInt(),
+
+  (req, res, next) => {
+    if (!req.file) {
+      return next(new ApiError(400, 'Audio file is required'));
+    }
+    next();
+  },
+
+  validate,
+];
+
+/**
+ * Validate voice note listened
+ */
+const validateVoiceNoteListened = [
+  gameTypeParam,
+  sessionIdParam,
+
+  param('noteId')
+    .trim()
+    .notEmpty()
+    .withMessage('Voice note ID is required'),
+
+  validate,
+];
+
+module.exports = {
+  validateMatchGames,
+  validateLobby,
+  validateFocusPacks,
+  validateGameType,
+  validateGameSession,
+  validateInvitation,
+  validateHistory,
+  validateAbandon,
+  validateVoiceNote,
+  validateVoiceNoteListened,
+};
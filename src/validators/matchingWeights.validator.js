@@ -0,0 +1,46 @@
+// src/validators/matchingWeights.validator.js
+
+const { query, validationResult } = require('express-validator');
+const ApiError = require('../utils/apiError');
+const { WEIGHT_SCOPE_NAMES } = require('../config/matchingWeights');
+
+/**
+ * Matching Weights Validators
+ *
+ * Validation rules for the admin matching weights API.
+ */
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(err => err.msg).join(', ');
+    return next(new ApiError(400, errorMessages));
+  }
+  next();
+};
+
+/**
+ * Validate weights report query
+ * GET /api/v1/admin/matching-weights/report
+ */
+const validateReportQuery = [
+  query('scope')
+    .optional()
+    .isIn(WEIGHT_SCOPE_NAMES)
+    .withMessage(`scope must be one of: ${WEIGHT_SCOPE_NAMES.join(', ')}`),
+
+  query('version')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('version must be a positive integer')
+    .toInt(),
+
+  validate,
+];
+
+module.exports = {
+  validateReportQuery,
+};
@@ -0,0 +1,248 @@
+// src/validators/moderation.validator.js
+
+const { body, param, query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const ApiError = require('../utils/apiError');
+
+/**
+ * Moderation Validators
+ *
+ * Validation rules for the admin moderation API.
+ */
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(err => err.msg).join(', ');
+    return next(new ApiError(400, errorMessages));
+  }
+  next();
+};
+
+const objectIdParam = (name, label) =>
+  param(name)
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage(`Invalid ${label} ID format`);
+
+const pagination = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+];
+
+const notes = body('notes')
+  .optional()
+  .isString()
+  .trim()
+  .isLength({ max: 2000 })
+  .withMessage('Notes must not exceed 2000 characters');
+
+/**
+ * Validate moderation queue filters
+ */
+const validateQueue = [
+  query('status')
+    .optional()
+    .isIn(['pending', 'under_review', 'action_taken', 'dismissed', 'escalated', 'auto_resolved', 'all'])
+    .withMessage('Invalid report status'),
+
+  query('severity')
+    .optional()
+    .isIn(['low', 'medium', 'high', 'urgent'])
+    .withMessage('Severity must be low, medium, high, or urgent'),
+
+  query('reason')
+    .optional()
+    .isIn([
+      'spam',
+      'inappropriate_content',
+      'harassment',
+      'hate_speech',
+      'violence',
+      'sexual_content',
+      'fake_profile',
+      'underage',
+      'self_harm',
+      'other',
+    ])
+    .withMessage('Invalid report reason'),
+
+  ...pagination,
+  validate,
+];
+
+/**
+ * Validate report detail request
+ */
+const validateReportDetail = [
+  objectIdParam('reportId', 'report'),
+
+  query('context')
+    .optional()
+    .isInt({ min: 0, max: 50 })
+    .withMessage('Context must be between 0 and 50 messages')
+    .toInt(),
+
+  validate,
+];
+
+/**
+ * Validate a report action (dismiss, warn, remove message, escalate)
+ */
+const validateReportAction = [
+  objectIdParam('reportId', 'report'),
+  notes,
+  validate,
+];
+
+/**
+ * Validate ban from a report
+ */
+const validateReportBan = [
+  objectIdParam('reportId', 'report'),
+
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Ban reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Ban reason must not exceed 500 characters'),
+
+  notes,
+  validate,
+];
+
+/**
+ * Validate userId parameter
+ */
+const validateUserId = [
+  objectIdParam('userId', 'user'),
+  validate,
+];
+
+/**
+ * Validate direct user ban
+ */
+const validateUserBan = [
+  objectIdParam('userId', 'user'),
+
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Ban reason is required')
+    .isLength({ max: 500 })
+    .withMessage('Ban reason must not exceed 500 characters'),
+
+  notes,
+  validate,
+];
+
+/**
+ * Validate user unban
+ */
+const validateUserUnban = [
+  objectIdParam('userId', 'user'),
+  notes,
+  validate,
+];
+
+/**
+ * Validate block list filters
+ */
+const validateBlockList = [
+  query('reviewStatus')
+    .optional()
+    .isIn(['pending', 'reviewed', 'upheld', 'reversed', 'all'])
+    .withMessage('Invalid review status'),
+
+  ...pagination,
+  validate,
+];
+
+/**
+ * Validate block review
+ */
+const validateBlockReview = [
+  objectIdParam('blockId', 'block'),
+
+  body('status')
+    .isIn(['reviewed', 'upheld', 'reversed'])
+    .withMessage('Status must be reviewed, upheld, or reversed'),
+
+  notes,
+  validate,
+];
+
+/**
+ * Validate block extension
+ */
+const validateBlockExtend = [
+  objectIdParam('blockId', 'block'),
+
+  body('days')
+    .optional()
+    .isInt({ min: 1, max: 365 })
+    .withMessage('Days must be between 1 and 365')
+    .toInt(),
+
+  notes,
+  validate,
+];
+
+/**
+ * Validate block action with only notes
+ */
+const validateBlockAction = [
+  objectIdParam('blockId', 'block'),
+  notes,
+  validate,
+];
+
+/**
+ * Validate audit trail filters
+ */
+const validateAudit = [
+  query('moderatorId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid moderator ID format'),
+
+  query('userId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid user ID format'),
+
+  query('reportId')
+    .optional()
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid report ID format'),
+
+  ...pagination,
+  validate,
+];
+
+module.exports = {
+  validateQueue,
+  validateReportDetail,
+  validateReportAction,
+  validateReportBan,
+  validateUserId,
+  validateUserBan,
+  validateUserUnban,
+  validateBlockList,
+  validateBlockReview,
+  validateBlockExtend,
+  validateBlockAction,
+  validateAudit,
+};
@@ -0,0 +1,118 @@
+// src/validators/notification.validator.js
+
+const { body, param, query, validationResult } = require('express-validator');
+const mongoose = require('mongoose');
+const ApiError = require('../utils/apiError');
+
+/**
+ * Notification Validators
+ *
+ * Validation rules for the notification inbox and preferences.
+ */
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(err => err.msg).join(', ');
+    return next(new ApiError(400, errorMessages));
+  }
+  next();
+};
+
+const TIME_REGEX = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * Validate inbox query
+ */
+const validateInbox = [
+  query('unreadOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('unreadOnly must be true or false')
+    .toBoolean(),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  validate,
+];
+
+/**
+ * Validate notificationId parameter
+ */
+const validateNotificationId = [
+  param('notificationId')
+    .custom((value) => mongoose.Types.ObjectId.isValid(value))
+    .withMessage('Invalid notification ID format'),
+
+  validate,
+];
+
+/**
+ * Validate preferences update
+ */
+const validatePreferences = [
+  body(['pushEnabled', 'likes', 'matches', 'messages', 'gameInvitations'])
+    .optional()
+    .isBoolean()
+    .withMessage('Preference values must be true or false')
+    .toBoolean(),
+
+  body('quietHours')
+    .optional()
+    .isObject()
+    .withMessage('quietHours must be an object'),
+
+  body('quietHours.enabled')
+    .optional()
+    .isBoolean()
+    .withMessage('quietHours.enabled must be true or false')
+    .toBoolean(),
+
+  body(['quietHours.start', 'quietHours.end'])
+    .optional()
+    .matches(TIME_REGEX)
+    .withMessage('Quiet hours must use HH:mm (24 hour) format'),
+
+  body('quietHours.timezone')
+    .optional()
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Timezone must be an IANA timezone (e.g. Asia/Kolkata)'),
+
+  validate,
+];
+
+/**
+ * Validate device token registration
+ */
+const validateDeviceToken = [
+  body('token')
+    .trim()
+    .notEmpty()
+    .withMessage('Device token is required')
+    .isLength({ max: 4096 })
+    .withMessage('Device token is too long'),
+
+  validate,
+];
+
+module.exports = {
+  validateInbox,
+  validateNotificationId,
+  validatePreferences,
+  validateDeviceToken,
+};
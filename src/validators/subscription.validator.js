@@ -0,0 +1,73 @@
+// src/validators/subscription.validator.js
+
+const { body, query, validationResult } = require('express-validator');
+const ApiError = require('../utils/apiError');
+const { PLATFORMS } = require('../services/subscription/plans');
+
+/**
+ * Subscription Validators
+ *
+ * Validation rules for receipt verification and subscription history.
+ */
+
+/**
+ * Middleware to check validation results
+ */
+const validate = (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    const errorMessages = errors.array().map(err => err.msg).join(', ');
+    return next(new ApiError(400, errorMessages));
+  }
+  next();
+};
+
+/**
+ * Validate receipt verification
+ */
+const validateReceipt = [
+  body('platform')
+    .isIn(PLATFORMS)
+    .withMessage(`Platform must be one of: ${PLATFORMS.join(', ')}`),
+
+  body('productId')
+    .trim()
+    .notEmpty()
+    .withMessage('Product ID is required')
+    .isLength({ max: 200 })
+    .withMessage('Product ID is too long'),
+
+  body('receipt')
+    .isString()
+    .withMessage('Receipt must be a string')
+    .notEmpty()
+    .withMessage('Receipt is required')
+    .isLength({ max: 200000 })
+    .withMessage('Receipt is too large'),
+
+  validate,
+];
+
+/**
+ * Validate history query
+ */
+const validateHistory = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+    .toInt(),
+
+  validate,
+];
+
+module.exports = {
+  validateReceipt,
+  validateHistory,
+};
@@ -2,6 +2,10 @@
 
 const { body, param, validationResult } = require('express-validator');
 const ApiError = require('../utils/apiError');
+const { SUPPORTED_LOCALES } = require('../config/locales');
+const { OPTIONAL_CATEGORIES, BOUNDARY_GAMES } = require('../config/contentBoundaries');
+const { AGE_LIMITS, HARD_FILTERS, HARD_FILTER_KEYS } = require('../config/discoveryPreferences');
+const { isValidTimezone } = require('../utils/timezone');
 
 /**
  * User Validators
@@ -91,6 +95,17 @@ const validateProfileUpdate = [
     .isISO8601()
     .withMessage('dateOfBirth must be a valid date'),  
 
+  body('locale')
+    .optional({ values: 'null' })
+    .isIn(SUPPORTED_LOCALES)
+    .withMessage(`Locale must be one of: ${SUPPORTED_LOCALES.join(', ')}`),
+
+  body('timezone')
+    .optional({ values: 'null' })
+    .isString()
+    .custom(isValidTimezone)
+    .withMessage('Timezone must be a valid IANA timezone (e.g. Europe/Berlin)'),
+
   validate
 ];
 
@@ -205,6 +220,91 @@ const validateGenderPreferences = [
   validate
 ];
 
+/**
+ * Validate account deletion request
+ */
+const validateAccountDeletion = [
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+
+  validate
+];
+
+/**
+ * Content boundaries update validation
+ * Each game takes the full list of categories to exclude ([] opts back in)
+ */
+const validateContentBoundaries = [
+  body()
+    .custom(value => BOUNDARY_GAMES.some(gameType => value?.[gameType] !== undefined))
+    .withMessage(`Provide at least one of: ${BOUNDARY_GAMES.join(', ')}`),
+
+  ...BOUNDARY_GAMES.flatMap(gameType => [
+    body(gameType)
+      .optional()
+      .isArray()
+      .withMessage(`${gameType} must be an array of categories`),
+
+    body(`${gameType}.*`)
+      .isIn(OPTIONAL_CATEGORIES[gameType])
+      .withMessage(`${gameType} categories must be one of: ${OPTIONAL_CATEGORIES[gameType].join(', ')}`)
+  ]),
+
+  validate
+];
+
+/**
+ * Discovery preferences update validation
+ * Hard filters take { value?, acceptable? } (acceptable [] = open to everyone)
+ */
+const DISCOVERY_FIELDS = ['ageMin', 'ageMax', 'maxDistanceKm', ...HARD_FILTER_KEYS];
+
+const validateDiscoveryPreferences = [
+  body()
+    .custom(value => DISCOVERY_FIELDS.some(field => value?.[field] !== undefined))
+    .withMessage(`Provide at least one of: ${DISCOVERY_FIELDS.join(', ')}`),
+
+  ...['ageMin', 'ageMax'].map(field =>
+    body(field)
+      .optional({ values: 'null' })
+      .isInt({ min: AGE_LIMITS.min, max: AGE_LIMITS.max })
+      .withMessage(`${field} must be between ${AGE_LIMITS.min} and ${AGE_LIMITS.max}`)
+      .toInt()
+  ),
+
+  body('maxDistanceKm')
+    .optional({ values: 'null' })
+    .isInt({ min: 1 })
+    .withMessage('maxDistanceKm must be a whole number of kilometers (1 or more)')
+    .toInt(),
+
+  ...HARD_FILTER_KEYS.flatMap(key => [
+    body(key)
+      .optional()
+      .isObject()
+      .withMessage(`${key} must be an object with value and/or acceptable`),
+
+    body(`${key}.value`)
+      .optional({ values: 'null' })
+      .isIn(HARD_FILTERS[key])
+      .withMessage(`${key}.value must be one of: ${HARD_FILTERS[key].join(', ')}`),
+
+    body(`${key}.acceptable`)
+      .optional()
+      .isArray()
+      .withMessage(`${key}.acceptable must be an array`),
+
+    body(`${key}.acceptable.*`)
+      .isIn(HARD_FILTERS[key])
+      .withMessage(`${key}.acceptable values must be one of: ${HARD_FILTERS[key].join(', ')}`)
+  ]),
+
+  validate
+];
+
 module.exports = {
   validateProfileUpdate,
   validateUsernameUpdate,
@@ -212,5 +312,8 @@ module.exports = {
   validateLocationUpdate,
   validateUserId,
   validatePhotoIndex,
-  validateGenderPreferences
+  validateGenderPreferences,
+  validateAccountDeletion,
+  validateContentBoundaries,
+  validateDiscoveryPreferences
 };
\ No newline at end of file
@@ -0,0 +1,164 @@
+// tests/config/matchDrops.test.js
+
+const POLICY_ENV = [
+  'MATCH_DROP_SIZE',
+  'MATCH_DROP_HOUR',
+  'MATCH_DROP_USERS_PER_RUN',
+  'MATCH_REFRESH_DAILY_LIMIT',
+  'MATCH_REFRESH_PREMIUM_DAILY_LIMIT',
+];
+
+const savedEnv = {};
+
+// Load the config with only the given policy variables set
+const loadMatchDrops = (env = {}) => {
+  POLICY_ENV.forEach(name => { delete process.env[name]; });
+  Object.assign(process.env, env);
+
+  let matchDrops;
+  jest.isolateModules(() => {
+    matchDrops = require('../../src/config/matchDrops');
+  });
+  return matchDrops;
+};
+
+beforeAll(() => {
+  POLICY_ENV.forEach(name => { savedEnv[name] = process.env[name]; });
+});
+
+afterAll(() => {
+  POLICY_ENV.forEach(name => {
+    if (savedEnv[name] === undefined) {
+      delete process.env[name];
+    } else {
+      process.env[name] = savedEnv[name];
+    }
+  });
+});
+
+describe('matchDrops policy', () => {
+  it('uses the defaults when nothing is set', () => {
+    const { policy } = loadMatchDrops();
+
+    expect(policy).toEqual({
+      dropSize: 5,
+      dropHour: 8,
+      usersPerRun: 2000,
+      refreshLimit: 1,
+      premiumRefreshLimit: 5,
+    });
+  });
+
+  it('keeps a drop hour and refresh limits of 0', () => {
+    const { policy } = loadMatchDrops({
+      MATCH_DROP_HOUR: '0',
+      MATCH_REFRESH_DAILY_LIMIT: '0',
+      MATCH_REFRESH_PREMIUM_DAILY_LIMIT: '0',
+    });
+
+    expect(policy.dropHour).toBe(0);
+    expect(policy.refreshLimit).toBe(0);
+    expect(policy.premiumRefreshLimit).toBe(0);
+  });
+
+  it('falls back to the defaults for values that are not numbers', () => {
+    const { policy } = loadMatchDrops({
+      MATCH_DROP_HOUR: '',
+      MATCH_REFRESH_DAILY_LIMIT: 'none',
+    });
+
+    expect(policy.dropHour).toBe(8);
+    expect(policy.refreshLimit).toBe(1);
+  });
+
+  it('keeps the drop hour within the day and limits above 0', () => {
+    const { policy } = loadMatchDrops({
+      MATCH_DROP_HOUR: '30',
+      MATCH_REFRESH_DAILY_LIMIT: '-2',
+    });
+
+    expect(policy.dropHour).toBe(23);
+    expect(policy.refreshLimit).toBe(0);
+  });
+});
+
+describe('matchDrops date math', () => {
+  let matchDrops;
+
+  beforeAll(() => {
+    matchDrops = loadMatchDrops();
+  });
+
+  describe('getUserTimezone', () => {
+    it('prefers the user timezone, then the quiet hours one, then UTC', () => {
+      const { getUserTimezone } = matchDrops;
+      const quietHours = { quietHours: { timezone: 'Asia/Tokyo' } };
+
+      expect(getUserTimezone({ timezone: 'Europe/Berlin', notificationPreferences: quietHours })).toBe('Europe/Berlin');
+      expect(getUserTimezone({ timezone: 'Not/AZone', notificationPreferences: quietHours })).toBe('Asia/Tokyo');
+      expect(getUserTimezone({})).toBe('UTC');
+      expect(getUserTimezone(null)).toBe('UTC');
+    });
+  });
+
+  describe('getDropDate', () => {
+    it('is the local date of the user', () => {
+      const now = new Date('2026-05-10T22:30:00Z');
+
+      expect(matchDrops.getDropDate({ timezone: 'UTC' }, now)).toBe('2026-05-10');
+      expect(matchDrops.getDropDate({ timezone: 'Asia/Tokyo' }, now)).toBe('2026-05-11');
+      expect(matchDrops.getDropDate({ timezone: 'America/Los_Angeles' }, now)).toBe('2026-05-10');
+    });
+  });
+
+  describe('isDropDue', () => {
+    const user = { timezone: 'Europe/Berlin' };
+
+    it('is not due before the local drop hour', () => {
+      // 07:59 in Berlin (CEST)
+      expect(matchDrops.isDropDue(user, new Date('2026-05-10T05:59:00Z'))).toBe(false);
+    });
+
+    it('is due from the local drop hour', () => {
+      // 08:00 in Berlin (CEST)
+      expect(matchDrops.isDropDue(user, new Date('2026-05-10T06:00:00Z'))).toBe(true);
+    });
+
+    it('is not due once today\'s drop is made', () => {
+      const dropped = { ...user, matchDrops: { lastDropDate: '2026-05-10' } };
+
+      expect(matchDrops.isDropDue(dropped, new Date('2026-05-10T12:00:00Z'))).toBe(false);
+      expect(matchDrops.isDropDue(dropped, new Date('2026-05-11T06:00:00Z'))).toBe(true);
+    });
+  });
+
+  describe('getNextDropAt', () => {
+    it('is later today while the drop hour is ahead', () => {
+      const next = matchDrops.getNextDropAt({ timezone: 'Asia/Tokyo' }, new Date('2026-05-10T20:00:00Z'));
+
+      // 05:00 on the 11th in Tokyo → 08:00 the same local day
+      expect(next.toISOString()).toBe('2026-05-10T23:00:00.000Z');
+    });
+
+    it('is tomorrow once today\'s drop is made, even before the drop hour', () => {
+      const user = { timezone: 'Asia/Tokyo', matchDrops: { lastDropDate: '2026-05-11' } };
+      const next = matchDrops.getNextDropAt(user, new Date('2026-05-10T20:00:00Z'));
+
+      expect(next.toISOString()).toBe('2026-05-11T23:00:00.000Z');
+    });
+
+    it('rolls over to the next month', () => {
+      const next = matchDrops.getNextDropAt({ timezone: 'Europe/Berlin' }, new Date('2026-01-31T12:00:00Z'));
+
+      // 08:00 CET
+      expect(next.toISOString()).toBe('2026-02-01T07:00:00.000Z');
+    });
+
+    it('follows the local clock across a DST change', () => {
+      // 2026-03-08 New York moves from EST (UTC-5) to EDT (UTC-4)
+      const next = matchDrops.getNextDropAt({ timezone: 'America/New_York' }, new Date('2026-03-07T15:00:00Z'));
+
+      expect(next.toISOString()).toBe('2026-03-08T12:00:00.000Z');
+    });
+  });
+});
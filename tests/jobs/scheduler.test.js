@@ -0,0 +1,57 @@
+// tests/jobs/scheduler.test.js
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const jobScheduler = require('../../src/jobs/scheduler');
+const JobRun = require('../../src/models/JobRun');
+const JobLock = require('../../src/models/JobLock');
+
+describe('JobScheduler.runJob', () => {
+  const handler = jest.fn();
+
+  beforeAll(() => {
+    jobScheduler.register({ name: 'test-job', schedule: '* * * * *', handler });
+  });
+
+  beforeEach(() => {
+    handler.mockReset().mockResolvedValue({ done: true });
+    jest.spyOn(JobLock, 'acquire').mockResolvedValue(true);
+    jest.spyOn(JobLock, 'release').mockResolvedValue();
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('runs the handler and releases the lock', async () => {
+    jest.spyOn(JobRun.prototype, 'save').mockResolvedValue();
+
+    const run = await jobScheduler.runJob('test-job');
+
+    expect(run.status).toBe('succeeded');
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(JobLock.release).toHaveBeenCalledWith('test-job', jobScheduler.owner);
+    expect(jobScheduler.running.has('test-job')).toBe(false);
+  });
+
+  it('releases the lock when the run cannot be saved', async () => {
+    jest.spyOn(JobRun.prototype, 'save').mockRejectedValue(new Error('write failed'));
+
+    await expect(jobScheduler.runJob('test-job')).rejects.toThrow('write failed');
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(JobLock.release).toHaveBeenCalledWith('test-job', jobScheduler.owner);
+    expect(jobScheduler.running.has('test-job')).toBe(false);
+  });
+
+  it('skips while the job is locked elsewhere', async () => {
+    jest.spyOn(JobRun.prototype, 'save').mockResolvedValue();
+    JobLock.acquire.mockResolvedValue(false);
+
+    const run = await jobScheduler.runJob('test-job');
+
+    expect(run.status).toBe('skipped');
+    expect(handler).not.toHaveBeenCalled();
+    expect(JobLock.release).not.toHaveBeenCalled();
+  });
+});
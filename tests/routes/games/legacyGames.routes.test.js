@@ -0,0 +1,98 @@
+// tests/routes/games/legacyGames.routes.test.js
+
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+jest.mock('../../../src/services/s3.service', () => ({ uploadFile: jest.fn() }));
+jest.mock('../../../src/middleware/auth.middleware', () => ({
+  authenticate: (req, res, next) => {
+    req.user = { _id: 'user-1' };
+    next();
+  },
+}));
+
+const express = require('express');
+const request = require('supertest');
+const { legacyGameRoutes } = require('../../../src/routes/games/legacyGames.routes');
+const { errorHandler } = require('../../../src/middleware/errorHandler');
+const gamesService = require('../../../src/services/games/games.service');
+
+const MATCH_ID = '64b7f0c2a1b2c3d4e5f60718';
+const PARTNER_ID = '64b7f0c2a1b2c3d4e5f60719';
+
+const app = express();
+app.use(express.json());
+app.use('/games/two-truths-lie', legacyGameRoutes('two_truths_lie'));
+app.use('/games/dream-board', legacyGameRoutes('dream_board'));
+app.use('/games/never-have-i-ever', legacyGameRoutes('never_have_i_ever'));
+app.use(errorHandler);
+
+describe('legacy game routes', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('invites the match with the partner for a Two Truths & A Lie start', async () => {
+    jest.spyOn(gamesService, 'getMatchIdWithPartner').mockResolvedValue(MATCH_ID);
+    const createInvitation = jest.spyOn(gamesService, 'createInvitation').mockResolvedValue({ session: {} });
+
+    const res = await request(app).post('/games/two-truths-lie/start').send({ partnerId: PARTNER_ID });
+
+    expect(res.status).toBe(201);
+    expect(gamesService.getMatchIdWithPartner).toHaveBeenCalledWith('user-1', PARTNER_ID);
+    expect(createInvitation).toHaveBeenCalledWith('user-1', 'two_truths_lie', expect.objectContaining({ matchId: MATCH_ID }));
+    expect(res.headers.deprecation).toBe('true');
+    expect(res.headers.link).toBe('</api/v1/games/two_truths_lie/invitations>; rel="successor-version"');
+  });
+
+  it('runs the shared accept for a gameId', async () => {
+    const acceptInvitation = jest.spyOn(gamesService, 'acceptInvitation').mockResolvedValue({ session: {} });
+
+    const res = await request(app).post(`/games/two-truths-lie/${MATCH_ID}/accept`);
+
+    expect(res.status).toBe(200);
+    expect(acceptInvitation).toHaveBeenCalledWith('user-1', 'two_truths_lie', MATCH_ID);
+    expect(res.headers.link).toBe(`</api/v1/games/two_truths_lie/sessions/${MATCH_ID}/accept>; rel="successor-version"`);
+  });
+
+  it('pages the Two Truths & A Lie history', async () => {
+    const getGameHistory = jest.spyOn(gamesService, 'getGameHistory').mockResolvedValue([]);
+
+    const res = await request(app).get('/games/two-truths-lie/history?page=3&limit=10');
+
+    expect(res.status).toBe(200);
+    expect(getGameHistory).toHaveBeenCalledWith('user-1', 'two_truths_lie', expect.objectContaining({ limit: 10, skip: 20 }));
+  });
+
+  it('marks a discussion note listened by its index', async () => {
+    const markVoiceNoteListened = jest.spyOn(gamesService, 'markVoiceNoteListened').mockResolvedValue({});
+
+    const res = await request(app).post('/games/dream-board/discussion/db-1/listened/2');
+
+    expect(res.status).toBe(200);
+    expect(markVoiceNoteListened).toHaveBeenCalledWith('user-1', 'dream_board', 'db-1', '2');
+  });
+
+  it('marks the unheard note of an author listened', async () => {
+    jest.spyOn(gamesService, 'getVoiceNotes').mockResolvedValue({
+      sessionId: 'nhie-1',
+      voiceNotes: [
+        { noteId: '0', userId: PARTNER_ID, listened: true },
+        { noteId: '1', userId: 'user-1', listened: false },
+        { noteId: '2', userId: PARTNER_ID, listened: false },
+      ],
+    });
+    const markVoiceNoteListened = jest.spyOn(gamesService, 'markVoiceNoteListened').mockResolvedValue({});
+
+    const res = await request(app).post(`/games/never-have-i-ever/sessions/nhie-1/voice-notes/${PARTNER_ID}/listened`);
+
+    expect(res.status).toBe(200);
+    expect(markVoiceNoteListened).toHaveBeenCalledWith('user-1', 'never_have_i_ever', 'nhie-1', '2');
+  });
+
+  it('answers 404 when the author sent no note', async () => {
+    jest.spyOn(gamesService, 'getVoiceNotes').mockResolvedValue({ sessionId: 'nhie-1', voiceNotes: [] });
+
+    const res = await request(app).post(`/games/never-have-i-ever/sessions/nhie-1/voice-notes/${PARTNER_ID}/listened`);
+
+    expect(res.status).toBe(404);
+  });
+});
@@ -0,0 +1,53 @@
+// tests/services/ai/fixture.provider.test.js
+
+const FixtureProvider = require('../../../src/services/ai/providers/fixture.provider');
+
+const messages = [{ role: 'user', content: 'Describe this couple' }];
+
+describe('FixtureProvider', () => {
+  it('returns registered responses before fixtures', async () => {
+    const provider = new FixtureProvider();
+    provider.register('couple_insights', { summary: 'Registered' });
+
+    const result = await provider.chat({ feature: 'couple_insights', model: 'm', messages, responseFormat: 'json_object' });
+
+    expect(JSON.parse(result.content)).toEqual({ summary: 'Registered' });
+  });
+
+  it('prefers a response registered for the exact prompt', async () => {
+    const provider = new FixtureProvider();
+    provider.register('ice_breakers', 'any prompt');
+    provider.register('ice_breakers', 'this prompt', FixtureProvider.hash(messages));
+
+    const result = await provider.chat({ feature: 'ice_breakers', model: 'm', messages });
+
+    expect(result.content).toBe('this prompt');
+  });
+
+  it('falls back to an empty JSON object for unknown features', async () => {
+    const provider = new FixtureProvider();
+
+    const result = await provider.chat({ feature: 'unknown_feature', model: 'm', messages, responseFormat: 'json_object' });
+
+    expect(result.content).toBe('{}');
+  });
+
+  it('records calls under test', async () => {
+    const provider = new FixtureProvider();
+
+    await provider.chat({ feature: 'unknown_feature', model: 'm', messages });
+
+    expect(provider.getCalls()).toEqual([
+      expect.objectContaining({ kind: 'chat', feature: 'unknown_feature', promptHash: FixtureProvider.hash(messages) }),
+    ]);
+  });
+
+  it('does not record calls when recording is off', async () => {
+    const provider = new FixtureProvider({ recordCalls: false });
+
+    await provider.chat({ feature: 'unknown_feature', model: 'm', messages });
+    await provider.transcribe({ feature: 'unknown_feature', model: 'm', audio: Buffer.from('audio'), prompt: '' });
+
+    expect(provider.getCalls()).toEqual([]);
+  });
+});
@@ -0,0 +1,125 @@
+// tests/services/dimensionScorers.test.js
+
+const { SCORERS, scoreDimension } = require('../../src/services/dimensionScorers');
+
+const analysis = (score, personalityProfile = {}) => ({
+  dimensionScores: score === null ? {} : { lifestyle: { score } },
+  personalityProfile,
+});
+
+describe('dimensionScorers', () => {
+  describe('similarity', () => {
+    it('is 100 minus the gap between the dimension scores', () => {
+      expect(SCORERS.similarity(analysis(80), analysis(65), 'lifestyle')).toBe(85);
+      expect(SCORERS.similarity(analysis(0), analysis(100), 'lifestyle')).toBe(0);
+    });
+
+    it('cannot score without both dimension scores', () => {
+      expect(SCORERS.similarity(analysis(80), analysis(null), 'lifestyle')).toBeNull();
+    });
+  });
+
+  describe('complementarity', () => {
+    it('is 100 at the ideal gap and less the further from it', () => {
+      const options = { trait: 'introversion_score', idealGap: 30 };
+
+      expect(SCORERS.complementarity(
+        analysis(50, { introversion_score: 20 }), analysis(50, { introversion_score: 50 }), 'lifestyle', options
+      )).toBe(100);
+      expect(SCORERS.complementarity(
+        analysis(50, { introversion_score: 40 }), analysis(50, { introversion_score: 50 }), 'lifestyle', options
+      )).toBe(80);
+    });
+
+    it('compares the dimension scores without a trait', () => {
+      expect(SCORERS.complementarity(analysis(20), analysis(70), 'lifestyle', {})).toBe(100);
+    });
+
+    it('cannot score a missing trait', () => {
+      expect(SCORERS.complementarity(
+        analysis(50, { introversion_score: 40 }), analysis(50), 'lifestyle', { trait: 'introversion_score' }
+      )).toBeNull();
+    });
+  });
+
+  describe('pairing', () => {
+    const options = {
+      trait: 'attachment_style',
+      pairs: { 'secure+secure': 100, 'anxious+secure': 75 },
+      defaultScore: 30,
+    };
+
+    it('looks the pair up in either order', () => {
+      const secure = analysis(50, { attachment_style: 'secure' });
+      const anxious = analysis(50, { attachment_style: 'anxious' });
+
+      expect(SCORERS.pairing(secure, secure, 'emotional_intimacy', options)).toBe(100);
+      expect(SCORERS.pairing(secure, anxious, 'emotional_intimacy', options)).toBe(75);
+      expect(SCORERS.pairing(anxious, secure, 'emotional_intimacy', options)).toBe(75);
+    });
+
+    it('gives the default score to pairs not in the table', () => {
+      const avoidant = analysis(50, { attachment_style: 'avoidant' });
+
+      expect(SCORERS.pairing(avoidant, avoidant, 'emotional_intimacy', options)).toBe(30);
+    });
+
+    it('cannot score an unknown trait', () => {
+      const secure = analysis(50, { attachment_style: 'secure' });
+      const unknown = analysis(50, { attachment_style: 'unknown' });
+
+      expect(SCORERS.pairing(secure, unknown, 'emotional_intimacy', options)).toBeNull();
+    });
+  });
+
+  describe('love_languages', () => {
+    const languages = (dominant, secondary) => analysis(50, {
+      dominant_love_language: dominant,
+      secondary_love_language: secondary,
+    });
+
+    it('scores shared and crossed love languages', () => {
+      expect(SCORERS.love_languages(languages('touch', 'time'), languages('touch', 'gifts'))).toBe(100);
+      expect(SCORERS.love_languages(languages('touch', 'time'), languages('time', 'touch'))).toBe(85);
+      expect(SCORERS.love_languages(languages('touch', 'time'), languages('gifts', 'touch'))).toBe(70);
+      expect(SCORERS.love_languages(languages('touch', 'time'), languages('gifts', 'words'))).toBe(40);
+    });
+
+    it('cannot score without both main love languages', () => {
+      expect(SCORERS.love_languages(languages('touch', 'time'), languages(null, 'time'))).toBeNull();
+    });
+  });
+
+  describe('scoreDimension', () => {
+    it('weights the components that could score', () => {
+      const components = [
+        { scorer: 'similarity', weight: 0.5 },
+        { scorer: 'complementarity', trait: 'conscientiousness', idealGap: 0, weight: 0.5 },
+      ];
+
+      const score = scoreDimension(
+        analysis(80, { conscientiousness: 60 }),
+        analysis(60, { conscientiousness: 50 }),
+        'lifestyle',
+        components
+      );
+
+      // (80 + 90) / 2
+      expect(score).toBe(85);
+    });
+
+    it('leaves out components that cannot score', () => {
+      const components = [
+        { scorer: 'similarity', weight: 0.4 },
+        { scorer: 'pairing', trait: 'attachment_style', pairs: {}, weight: 0.6 },
+      ];
+
+      expect(scoreDimension(analysis(80), analysis(70), 'lifestyle', components)).toBe(90);
+    });
+
+    it('is null when no component can score', () => {
+      expect(scoreDimension(analysis(null), analysis(70), 'lifestyle', [{ scorer: 'similarity', weight: 1 }]))
+        .toBeNull();
+    });
+  });
+});
@@ -0,0 +1,186 @@
+// tests/services/games/gameTimer.service.test.js
+
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const gameTimerService = require('../../../src/services/games/gameTimer.service');
+
+/**
+ * Minimal in-memory stand-in for a game session model: the filters and
+ * updates the timer service issues (equality, $lt/$lte, $or, dotted $set)
+ */
+const get = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const set = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((obj, key) => obj[key], doc);
+  target[last] = value && typeof value === 'object' && !(value instanceof Date) ? { ...value } : value;
+};
+
+const matches = (doc, filter) => Object.entries(filter).every(([path, condition]) => {
+  if (path === '$or') return condition.some((clause) => matches(doc, clause));
+
+  const value = get(doc, path);
+  if (condition && typeof condition === 'object' && !(condition instanceof Date)) {
+    if ('$lte' in condition) return value != null && value <= condition.$lte;
+    if ('$lt' in condition) return value != null && value < condition.$lt;
+    if ('$ne' in condition) return value !== condition.$ne;
+  }
+  return (value ?? null) === condition;
+});
+
+const createModel = () => {
+  const docs = [];
+
+  const apply = (doc, update) => {
+    Object.entries(update.$set).forEach(([path, value]) => set(doc, path, value));
+  };
+
+  return {
+    docs,
+    updateOne: async (filter, update) => {
+      const doc = docs.find((candidate) => matches(candidate, filter));
+      if (doc) apply(doc, update);
+      return { modifiedCount: doc ? 1 : 0 };
+    },
+    findOneAndUpdate: (filter, update) => ({
+      lean: async () => {
+        const doc = docs.find((candidate) => matches(candidate, filter));
+        if (!doc) return null;
+        apply(doc, update);
+        return JSON.parse(JSON.stringify(doc), (key, value) => (
+          ['fireAt', 'lockedUntil'].includes(key) && value ? new Date(value) : value
+        ));
+      },
+    }),
+  };
+};
+
+const flush = () => new Promise((resolve) => setImmediate(resolve));
+
+describe('gameTimerService.fire', () => {
+  let model;
+  let handlers;
+
+  const scheduleNow = async (action = 'advance') => {
+    await gameTimerService.schedule('test', 'session-1', action, 0);
+    return model.docs[0].timerDeadline.token;
+  };
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z'), doNotFake: ['setImmediate', 'nextTick'] });
+
+    model = createModel();
+    model.docs.push({ sessionId: 'session-1', timerDeadline: { token: null } });
+    handlers = {};
+    gameTimerService.register('test', { model, handlers });
+  });
+
+  afterEach(() => {
+    gameTimerService.stop();
+    jest.useRealTimers();
+  });
+
+  it('runs the handler once and clears the deadline', async () => {
+    handlers.advance = jest.fn();
+    const token = await scheduleNow();
+
+    expect(await gameTimerService.fire('test', 'session-1', token)).toBe(true);
+    expect(await gameTimerService.fire('test', 'session-1', token)).toBe(false);
+
+    expect(handlers.advance).toHaveBeenCalledTimes(1);
+    expect(model.docs[0].timerDeadline.token).toBeNull();
+  });
+
+  it('keeps the next step a handler scheduled', async () => {
+    handlers.advance = jest.fn(() => gameTimerService.schedule('test', 'session-1', 'reveal', 5000));
+    const token = await scheduleNow();
+
+    await gameTimerService.fire('test', 'session-1', token);
+
+    expect(model.docs[0].timerDeadline).toMatchObject({ action: 'reveal', attempts: 0 });
+    expect(model.docs[0].timerDeadline.token).not.toBe(token);
+  });
+
+  it('releases a failed deadline and retries it with backoff', async () => {
+    handlers.advance = jest.fn().mockRejectedValue(new Error('boom'));
+    const token = await scheduleNow();
+
+    await gameTimerService.fire('test', 'session-1', token);
+
+    expect(model.docs[0].timerDeadline).toMatchObject({
+      token,
+      action: 'advance',
+      attempts: 1,
+      lockedBy: null,
+      lockedUntil: null,
+      fireAt: new Date(Date.now() + 1000),
+    });
+
+    // Not due yet, then retried by the re-armed timer with a longer backoff
+    expect(await gameTimerService.fire('test', 'session-1', token)).toBe(false);
+    jest.advanceTimersByTime(1000);
+    await flush();
+
+    expect(handlers.advance).toHaveBeenCalledTimes(2);
+    expect(model.docs[0].timerDeadline).toMatchObject({
+      token,
+      attempts: 2,
+      fireAt: new Date(Date.now() + 2000),
+    });
+  });
+
+  it('clears the deadline once a retry succeeds', async () => {
+    handlers.advance = jest.fn()
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValueOnce();
+    const token = await scheduleNow();
+
+    await gameTimerService.fire('test', 'session-1', token);
+    jest.advanceTimersByTime(1000);
+    await flush();
+
+    expect(handlers.advance).toHaveBeenCalledTimes(2);
+    expect(model.docs[0].timerDeadline.token).toBeNull();
+  });
+
+  it('keeps a deadline whose action has no handler', async () => {
+    const token = await scheduleNow('unknown');
+
+    await gameTimerService.fire('test', 'session-1', token);
+
+    expect(model.docs[0].timerDeadline).toMatchObject({ token, attempts: 1, lockedUntil: null });
+  });
+
+  it('does not run a deadline leased by another instance', async () => {
+    handlers.advance = jest.fn();
+    const token = await scheduleNow();
+    model.docs[0].timerDeadline.lockedBy = 'other-instance';
+    model.docs[0].timerDeadline.lockedUntil = new Date(Date.now() + 10000);
+
+    expect(await gameTimerService.fire('test', 'session-1', token)).toBe(false);
+    expect(handlers.advance).not.toHaveBeenCalled();
+  });
+
+  it('renews the lease while a slow handler runs', async () => {
+    let finish;
+    handlers.advance = jest.fn(() => new Promise((resolve) => { finish = resolve; }));
+    const token = await scheduleNow();
+
+    const firing = gameTimerService.fire('test', 'session-1', token);
+    await flush();
+
+    jest.advanceTimersByTime(45000);
+    await flush();
+
+    // Past the original 30s lease, but still held
+    expect(model.docs[0].timerDeadline.lockedUntil.getTime()).toBeGreaterThan(Date.now());
+    expect(await gameTimerService.fire('test', 'session-1', token)).toBe(false);
+
+    finish();
+    await firing;
+
+    expect(handlers.advance).toHaveBeenCalledTimes(1);
+    expect(model.docs[0].timerDeadline.token).toBeNull();
+  });
+});
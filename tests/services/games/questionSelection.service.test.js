@@ -0,0 +1,77 @@
+// tests/services/games/questionSelection.service.test.js
+
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const questionSelectionService = require('../../../src/services/games/questionSelection.service');
+
+const CATEGORIES = ['love', 'money', 'travel', 'family'];
+
+// 60 questions, 15 per category, insight values 1-5
+const bank = Array.from({ length: 60 }, (_, i) => ({
+  questionNumber: i + 1,
+  category: CATEGORIES[i % CATEGORIES.length],
+  insightValue: (i % 5) + 1,
+}));
+
+const select = (gameType, questions, options = {}) =>
+  questionSelectionService.selectQuestions(gameType, questions, { seed: 'seed-1', ...options });
+
+describe('QuestionSelectionService.selectQuestions', () => {
+  it('gives the same questions in the same order for the same seed', () => {
+    const first = select('would_you_rather', bank);
+    const second = select('would_you_rather', bank);
+
+    expect(second).toEqual(first);
+    expect(first).toHaveLength(50);
+    expect(new Set(first).size).toBe(50);
+  });
+
+  it('does not depend on the order the bank was read in', () => {
+    const reversed = [...bank].reverse();
+
+    expect(select('would_you_rather', reversed)).toEqual(select('would_you_rather', bank));
+  });
+
+  it('gives another selection for another seed', () => {
+    expect(select('would_you_rather', bank, { seed: 'seed-2' }))
+      .not.toEqual(select('would_you_rather', bank));
+  });
+
+  it('keeps progressive games in question number order', () => {
+    const numbers = select('intimacy_spectrum', bank);
+
+    expect(numbers).toHaveLength(30);
+    expect(numbers).toEqual([...numbers].sort((a, b) => a - b));
+  });
+
+  it('lets categories take turns', () => {
+    const numbers = select('intimacy_spectrum', bank);
+    const perCategory = CATEGORIES.map(category =>
+      numbers.filter(number => bank[number - 1].category === category).length
+    );
+
+    expect(Math.max(...perCategory) - Math.min(...perCategory)).toBeLessThanOrEqual(1);
+  });
+
+  it('plays only unseen questions when enough are left', () => {
+    const exposure = new Map(bank.slice(0, 40).map(question => [question.questionNumber, 1]));
+
+    const numbers = select('never_have_i_ever', bank, { exposure });
+
+    expect(numbers).toHaveLength(20);
+    expect(numbers.every(number => number > 40)).toBe(true);
+  });
+
+  it('draws most of a focus pack session from its categories', () => {
+    const numbers = select('would_you_rather', bank, { focusCategories: ['love'] });
+    const focused = numbers.filter(number => bank[number - 1].category === 'love');
+
+    expect(numbers).toHaveLength(25);
+    expect(focused).toHaveLength(15);
+    expect(select('would_you_rather', bank, { focusCategories: ['love'] })).toEqual(numbers);
+  });
+
+  it('rejects games without question selection', () => {
+    expect(() => select('two_truths_lie', bank)).toThrow('No question selection for two_truths_lie');
+  });
+});
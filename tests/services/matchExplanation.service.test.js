@@ -0,0 +1,95 @@
+// tests/services/matchExplanation.service.test.js
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const MatchExplanationService = require('../../src/services/matchExplanation.service');
+const matchingWeightsService = require('../../src/services/matchingWeights.service');
+const Match = require('../../src/models/Match');
+const { getAlgorithm } = require('../../src/config/matchingAlgorithms');
+
+const algorithm = getAlgorithm('2.0');
+
+describe('MatchExplanationService._explainTraits', () => {
+  it('shows your own attachment style and the pair fit, not the partner\'s style', () => {
+    const traits = MatchExplanationService._explainTraits(
+      'emotional_intimacy',
+      algorithm,
+      { attachment_style: 'anxious', emotional_intelligence: 70 },
+      { attachment_style: 'avoidant', emotional_intelligence: 60 }
+    );
+
+    expect(traits.items).toEqual([
+      { trait: 'attachment_style', label: 'Attachment style', yours: 'anxious', private: true },
+      { trait: 'emotional_intelligence', label: 'Emotional intelligence', yours: 70, theirs: 60 },
+    ]);
+    expect(traits.pairFit).toEqual({ label: 'Attachment styles', score: 20, fit: 'mismatch' });
+    expect(traits.notes[0]).toMatch(/^Anxious\/avoidant mismatch/);
+  });
+
+  it('calls swapped love languages complementary', () => {
+    const traits = MatchExplanationService._explainTraits(
+      'love_languages',
+      algorithm,
+      { dominant_love_language: 'quality_time', secondary_love_language: 'words_of_affirmation' },
+      { dominant_love_language: 'words_of_affirmation', secondary_love_language: 'quality_time' }
+    );
+
+    expect(traits.pairFit).toEqual({ label: 'Love languages', score: 85, fit: 'complementary' });
+    expect(traits.notes).toEqual(['Love languages: complementary']);
+    traits.items.forEach(item => expect(item).not.toHaveProperty('theirs'));
+  });
+
+  it('scores the pair by the current rules for a similarity-only algorithm', () => {
+    const traits = MatchExplanationService._explainTraits(
+      'conflict_communication',
+      getAlgorithm('1.0'),
+      { conflict_style: 'collaborative' },
+      { conflict_style: 'direct' }
+    );
+
+    expect(traits.pairFit).toEqual({ label: 'Conflict styles', score: 90, fit: 'complementary' });
+  });
+
+  it('leaves out the pair fit when a trait is unknown', () => {
+    const traits = MatchExplanationService._explainTraits(
+      'emotional_intimacy',
+      algorithm,
+      { attachment_style: 'secure' },
+      { attachment_style: 'unknown' }
+    );
+
+    expect(traits.pairFit).toBeNull();
+    expect(traits.notes).toEqual([]);
+  });
+});
+
+describe('MatchExplanationService.explainMatch access', () => {
+  const user = { _id: 'user-a' };
+
+  const findMatch = (match) => {
+    jest.spyOn(Match, 'findOne').mockReturnValue({ lean: () => Promise.resolve(match) });
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refuses a match that was never revealed', async () => {
+    findMatch({ _id: 'match-1', revealTier: 'partially_revealed', status: 'pending' });
+
+    await expect(MatchExplanationService.explainMatch('match-1', user)).rejects.toMatchObject({ statusCode: 403 });
+  });
+
+  it('keeps a revealed match explainable after it is liked', async () => {
+    findMatch({
+      _id: 'match-1',
+      revealTier: 'partially_revealed',
+      status: 'liked',
+      revealedAt: new Date('2026-10-01'),
+    });
+    // Stop right after the access check
+    jest.spyOn(matchingWeightsService, 'getWeightSet').mockRejectedValue(new Error('past the access check'));
+
+    await expect(MatchExplanationService.explainMatch('match-1', user)).rejects.toThrow('past the access check');
+  });
+});
@@ -0,0 +1,71 @@
+// tests/services/matchingWeights.service.test.js
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const matchingWeightsService = require('../../src/services/matchingWeights.service');
+const Match = require('../../src/models/Match');
+
+// Match.find(...).select(...).sort(...).limit(...).lean() resolving to docs
+const query = (docs) => ({
+  select: () => ({ sort: () => ({ limit: () => ({ lean: () => Promise.resolve(docs) }) }) }),
+});
+
+const round = (overrides) => ({
+  userId: 'user-a',
+  matchedUserId: 'user-b',
+  dimensionScores: { lifestyle: 70 },
+  generatedAt: new Date('2026-06-01'),
+  previousRounds: [],
+  ...overrides,
+});
+
+describe('MatchingWeightsService._loadMatchSamples', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts both directions of a pair once', async () => {
+    jest.spyOn(Match, 'find').mockReturnValue(query([
+      round({ status: 'mutual_like', isMutualMatch: true }),
+      round({ userId: 'user-b', matchedUserId: 'user-a', status: 'mutual_like', isMutualMatch: true }),
+    ]));
+
+    const samples = await matchingWeightsService._loadMatchSamples();
+
+    expect(samples).toEqual([expect.objectContaining({ key: 'user-a:user-b', positive: true })]);
+  });
+
+  it('keeps the outcome of a round that expired before the match came back', async () => {
+    jest.spyOn(Match, 'find').mockReturnValue(query([
+      round({
+        status: 'passed',
+        previousRounds: [{
+          expiredFromStatus: 'mutual_like',
+          dimensionScores: { lifestyle: 90 },
+          generatedAt: new Date('2026-03-01'),
+        }],
+      }),
+    ]));
+
+    const samples = await matchingWeightsService._loadMatchSamples();
+
+    expect(samples).toEqual([
+      expect.objectContaining({ key: 'user-a:user-b', positive: true, features: { lifestyle: 90 } }),
+      expect.objectContaining({ key: 'user-a:user-b', positive: false, features: { lifestyle: 70 } }),
+    ]);
+  });
+
+  it('leaves out a current round nobody decided yet', async () => {
+    jest.spyOn(Match, 'find').mockReturnValue(query([
+      round({
+        status: 'pending',
+        previousRounds: [{ expiredFromStatus: 'liked', generatedAt: new Date('2026-03-01') }],
+      }),
+    ]));
+
+    const samples = await matchingWeightsService._loadMatchSamples();
+
+    expect(samples).toHaveLength(1);
+    expect(samples[0].positive).toBe(false);
+  });
+});
@@ -0,0 +1,109 @@
+// tests/services/presence/memory.store.test.js
+
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const { MemoryPresenceStore } = require('../../../src/services/presence');
+const presenceService = require('../../../src/services/presence.service');
+
+describe('MemoryPresenceStore', () => {
+  let store;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+    store = new MemoryPresenceStore();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('counts a user once per socket entry', async () => {
+    expect(await store.add('user-1', 'server-a|socket-1', 1000)).toBe(1);
+    expect(await store.add('user-1', 'server-b|socket-2', 1000)).toBe(2);
+    expect(await store.add('user-1', 'server-a|socket-1', 1000)).toBe(2);
+
+    expect(await store.remove('user-1', 'server-a|socket-1')).toBe(1);
+    expect(await store.remove('user-1', 'server-b|socket-2')).toBe(0);
+    expect(await store.count('user-1')).toBe(0);
+  });
+
+  it('drops entries that were not refreshed in time', async () => {
+    await store.add('user-1', 'server-a|socket-1', 1000);
+    await store.add('user-1', 'server-b|socket-2', 5000);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(await store.count('user-1')).toBe(1);
+
+    jest.advanceTimersByTime(4000);
+
+    expect(await store.count('user-1')).toBe(0);
+  });
+
+  it('extends refreshed entries only', async () => {
+    await store.add('user-1', 'server-a|socket-1', 1000);
+    await store.add('user-2', 'server-a|socket-2', 1000);
+
+    jest.advanceTimersByTime(500);
+    await store.refresh([
+      { userId: 'user-1', member: 'server-a|socket-1' },
+      { userId: 'user-3', member: 'server-a|socket-3' },
+    ], 1000);
+    jest.advanceTimersByTime(600);
+
+    expect(await store.count('user-1')).toBe(1);
+    expect(await store.count('user-2')).toBe(0);
+    expect(await store.count('user-3')).toBe(0);
+  });
+
+  it('keeps last seen per user', async () => {
+    const lastSeen = new Date();
+
+    expect(await store.getLastSeen('user-1')).toBeNull();
+    await store.setLastSeen('user-1', lastSeen);
+
+    expect(await store.getLastSeen('user-1')).toBe(lastSeen);
+
+    await store.clear();
+
+    expect(await store.getLastSeen('user-1')).toBeNull();
+  });
+});
+
+describe('presenceService with a memory store', () => {
+  beforeEach(() => {
+    jest.useFakeTimers({ now: new Date('2026-01-01T12:00:00Z') });
+    presenceService.setStore(new MemoryPresenceStore());
+    presenceService.localSockets.clear();
+  });
+
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  it('keeps a user online until their last socket disconnects', async () => {
+    expect(await presenceService.connect('user-1', 'socket-1')).toEqual({ firstConnection: true });
+    expect(await presenceService.connect('user-1', 'socket-2')).toEqual({ firstConnection: false });
+
+    expect(await presenceService.disconnect('user-1', 'socket-1')).toEqual({ isOnline: true });
+    expect(await presenceService.getStore().getLastSeen('user-1')).toBeNull();
+
+    expect(await presenceService.disconnect('user-1', 'socket-2')).toEqual({ isOnline: false });
+    expect(await presenceService.isOnline('user-1')).toBe(false);
+    expect(await presenceService.getStore().getLastSeen('user-1')).toEqual(new Date());
+  });
+
+  it('keeps connected sockets alive through heartbeats', async () => {
+    await presenceService.connect('user-1', 'socket-1');
+
+    jest.advanceTimersByTime(presenceService.config.ttlMs - 1000);
+    await presenceService.heartbeat();
+    jest.advanceTimersByTime(presenceService.config.ttlMs - 1000);
+
+    expect(await presenceService.isOnline('user-1')).toBe(true);
+
+    jest.advanceTimersByTime(1000);
+
+    expect(await presenceService.isOnline('user-1')).toBe(false);
+  });
+});
@@ -0,0 +1,40 @@
+// tests/services/push/log.transport.test.js
+
+jest.mock('../../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const LogTransport = require('../../../src/services/push/log.transport');
+
+describe('LogTransport', () => {
+  it('records sent pushes', async () => {
+    const transport = new LogTransport();
+
+    const result = await transport.send('device-token-123', { title: 'Hi', body: 'There' });
+
+    expect(result).toEqual({ success: true });
+    expect(transport.getSent()).toEqual([
+      expect.objectContaining({ token: 'device-token-123', title: 'Hi', body: 'There' }),
+    ]);
+  });
+
+  it('keeps only the most recent pushes', async () => {
+    const transport = new LogTransport();
+
+    for (let i = 0; i < 150; i++) {
+      await transport.send('token', { title: `Push ${i}`, body: '' });
+    }
+
+    const sent = transport.getSent();
+    expect(sent).toHaveLength(100);
+    expect(sent[0].title).toBe('Push 50');
+    expect(sent[99].title).toBe('Push 149');
+  });
+
+  it('clears recorded pushes', async () => {
+    const transport = new LogTransport();
+    await transport.send('token', { title: 'Hi', body: '' });
+
+    transport.clear();
+
+    expect(transport.getSent()).toEqual([]);
+  });
+});
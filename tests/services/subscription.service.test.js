@@ -0,0 +1,39 @@
+// tests/services/subscription.service.test.js
+
+jest.mock('../../src/utils/logger', () => ({ info: jest.fn(), warn: jest.fn(), error: jest.fn() }));
+
+const subscriptionService = require('../../src/services/subscription.service');
+const Subscription = require('../../src/models/Subscription');
+
+// Subscription.find(...).select(...).sort(...).limit(...) resolving to docs
+const query = (docs) => ({
+  select: () => ({ sort: () => ({ limit: () => Promise.resolve(docs) }) }),
+});
+
+describe('SubscriptionService.processRenewals', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('keeps going when one subscription errors', async () => {
+    const failing = { _id: 'sub-1' };
+    const healthy = { _id: 'sub-2' };
+
+    const find = jest.spyOn(Subscription, 'find')
+      .mockReturnValueOnce(query([failing, healthy]))
+      .mockReturnValue(query([]));
+    const processRenewal = jest.spyOn(subscriptionService, '_processRenewal')
+      .mockImplementation(async (subscription, now, summary) => {
+        if (subscription === failing) throw new Error('save failed');
+        summary.renewed++;
+      });
+
+    const summary = await subscriptionService.processRenewals();
+
+    expect(processRenewal).toHaveBeenCalledTimes(2);
+    expect(summary).toEqual(expect.objectContaining({ checked: 2, renewed: 1, errors: 1 }));
+
+    // The errored subscription isn't picked up again in the same run
+    expect(find).toHaveBeenLastCalledWith(expect.objectContaining({ _id: { $nin: ['sub-1'] } }));
+  });
+});